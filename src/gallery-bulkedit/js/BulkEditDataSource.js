@@ -522,6 +522,36 @@ Y.extend(BulkEditDataSource, Y.DataSource.Local,
 		}
 	},
 
+	/**
+	 * @method getRecordId
+	 * @param record_index {Number}
+	 * @return {String} the id of the specified record or false if it does not exist
+	 */
+	getRecordId: function(
+		/* int */ record_index)
+	{
+		if (!this._dataIsLocal())
+		{
+			Y.error('BulkEditDataSource.getRecordId() can only be called when using a local datasource');
+		}
+
+		var j = fromDisplayIndex.call(this, record_index);
+		if (j === false)
+		{
+			return false;
+		}
+
+		j = this._index[j];
+		if (inserted_re.test(j))
+		{
+			return j.substr(inserted_prefix.length);
+		}
+		else
+		{
+			return this.get('ds').get('source')[j][ this.get('uniqueIdKey') ].toString();
+		}
+	},
+
 	/**
 	 * When using a remote datasource, this will include changes made to
 	 * deleted records.
@@ -688,6 +718,106 @@ Y.extend(BulkEditDataSource, Y.DataSource.Local,
 		}
 	},
 
+	/**
+	 * @method _isCurrentValue
+	 * @protected
+	 * @param record_id {String}
+	 * @param key {String} field key
+	 * @param value {String} new value
+	 * @return {boolean} true if the field already has the given value, including unsaved changes
+	 */
+	_isCurrentValue: function(
+		/* string */	record_id,
+		/* string */	key,
+		/* string */	value)
+	{
+		record_id = record_id.toString();
+
+		var diff   = this._diff[ record_id ],
+			record = this._recordMap[ record_id ] || this._new[ record_id ] || {};
+
+		var current = (diff && !Y.Lang.isUndefined(diff[key])) ? diff[key] : record[key];
+		return this._getComparator(key)(current || '', value || '');
+	},
+
+	/**
+	 * Capture the insertions, removals, and changed values for the given
+	 * records, so they can be restored by _setRecordState().
+	 *
+	 * @method _getRecordState
+	 * @protected
+	 * @param record_ids {Array}
+	 * @return {Object} snapshot of the state
+	 */
+	_getRecordState: function(
+		/* array */	record_ids)
+	{
+		var state =
+		{
+			index:   this._index && this._index.slice(0),
+			count:   this._count,
+			records: {}
+		};
+
+		Y.Array.each(record_ids, function(record_id)
+		{
+			record_id = record_id.toString();
+
+			state.records[ record_id ] =
+			{
+				inserted: Y.clone(this._new[ record_id ], true),
+				diff:     Y.clone(this._diff[ record_id ], true)
+			};
+		},
+		this);
+
+		return state;
+	},
+
+	/**
+	 * <p>Restore a snapshot created by _getRecordState().  Records which
+	 * are listed in record_ids but not in the snapshot are discarded.</p>
+	 *
+	 * <p>You must reload() the widget after calling this function!</p>
+	 *
+	 * @method _setRecordState
+	 * @protected
+	 * @param state {Object} snapshot of the state
+	 * @param record_ids {Array} records to restore
+	 */
+	_setRecordState: function(
+		/* object */	state,
+		/* array */		record_ids)
+	{
+		this._index = state.index && state.index.slice(0);
+		this._count = state.count;
+
+		Y.Array.each(record_ids, function(record_id)
+		{
+			record_id = record_id.toString();
+
+			var rec = state.records[ record_id ] || {};
+			if (rec.inserted)
+			{
+				this._new[ record_id ] = Y.clone(rec.inserted, true);
+			}
+			else
+			{
+				delete this._new[ record_id ];
+			}
+
+			if (rec.diff)
+			{
+				this._diff[ record_id ] = Y.clone(rec.diff, true);
+			}
+			else
+			{
+				delete this._diff[ record_id ];
+			}
+		},
+		this);
+	},
+
 	/**
 	 * @method _getComparator
 	 * @protected
@@ -0,0 +1,92 @@
+/**
+ * @module gallery-bulkedit
+ */
+
+/**
+ * <p>BulkEditUndoableAction is added to the UndoManager of a BulkEditor
+ * for every change that is made.  It stores the state of the affected
+ * records before and after the change, so undo and redo simply restore
+ * the appropriate state.  The BulkEditor reloads itself after the
+ * UndoManager has finished.</p>
+ *
+ * @class BulkEditUndoableAction
+ * @extends UndoableAction
+ * @constructor
+ * @param config {Object}
+ */
+function BulkEditUndoableAction()
+{
+	BulkEditUndoableAction.superclass.constructor.apply(this, arguments);
+}
+
+BulkEditUndoableAction.NAME = "bulkEditUndoableAction";
+
+BulkEditUndoableAction.ATTRS =
+{
+	/**
+	 * @attribute editor
+	 * @type {BulkEditor}
+	 * @required
+	 * @writeonce
+	 */
+	editor:
+	{
+		writeOnce: true
+	},
+
+	/**
+	 * Ids of the records affected by the change, including inserted
+	 * records.
+	 *
+	 * @attribute records
+	 * @type {Array}
+	 * @required
+	 * @writeonce
+	 */
+	records:
+	{
+		validator: Y.Lang.isArray,
+		writeOnce: true
+	},
+
+	/**
+	 * The state before the change, from BulkEditor._getUndoState().
+	 *
+	 * @attribute before
+	 * @type {Object}
+	 * @required
+	 * @writeonce
+	 */
+	before:
+	{
+		writeOnce: true
+	},
+
+	/**
+	 * The state after the change, from BulkEditor._getUndoState().
+	 *
+	 * @attribute after
+	 * @type {Object}
+	 * @required
+	 * @writeonce
+	 */
+	after:
+	{
+		writeOnce: true
+	}
+};
+
+Y.extend(BulkEditUndoableAction, Y.UndoableAction,
+{
+	undo: function()
+	{
+		this.get('editor')._setUndoState(this.get('before'), this.get('records'));
+	},
+
+	redo: function()
+	{
+		this.get('editor')._setUndoState(this.get('after'), this.get('records'));
+	}
+});
+
+Y.BulkEditUndoableAction = BulkEditUndoableAction;
@@ -19,6 +19,16 @@
  * <li>If the server knows the ordering, you can send the diffs.  (Diffs are an unordered map, keyed on the record id.)</li>
  * <li>If the server doesn't know the ordering, you must send all the data.</li>
  * </ul>
+ * 
+ * <p>A block of TSV (e.g., copied from a spreadsheet) or CSV data can be
+ * pasted into the editor.  The values are filled in starting at the
+ * focused field, and new records are appended if necessary.  CSV files
+ * can be imported via importCSV() or importFile().</p>
+ * 
+ * <p>Every change, including insertions and removals, is added to
+ * undoManager, so it can be undone.  After the changes have been saved
+ * and merged, call purgeAll() on undoManager, since the original state
+ * can no longer be restored.</p>
  *
  * @class BulkEditor
  * @extends Widget
@@ -122,6 +132,27 @@ BulkEditor.ATTRS =
 	{
 		value:     2,
 		validator: Y.Lang.isNumber
+	},
+
+	/**
+	 * Records every change, so it can be undone.  The editor reloads
+	 * itself after undo or redo.
+	 *
+	 * @attribute undoManager
+	 * @type {UndoManager}
+	 * @writeonce
+	 */
+	undoManager:
+	{
+		valueFn: function()
+		{
+			return new Y.UndoManager();
+		},
+		validator: function(value)
+		{
+			return (value instanceof Y.UndoManager);
+		},
+		writeOnce: true
 	}
 };
 
@@ -139,6 +170,22 @@ BulkEditor.ATTRS =
  * @description Fired every time after the editor has rendered a page.
  */
 
+/**
+ * Labels for the actions added to the UndoManager.
+ *
+ * @property Y.BulkEditor.Strings
+ * @type {Object}
+ * @static
+ */
+BulkEditor.Strings =
+{
+	edit:          'Edit',
+	paste:         'Paste',
+	importRecords: 'Import',
+	insertRecord:  'Insert record',
+	removeRecord:  'Remove record'
+};
+
 var default_page_size = 1e9,
 
 	id_prefix = 'bulk-editor',
@@ -164,6 +211,48 @@ BulkEditor.field_container_class        = Y.ClassNameManager.getClassName(BulkEd
 BulkEditor.field_container_class_prefix = BulkEditor.field_container_class + '-';
 BulkEditor.field_class_prefix           = Y.ClassNameManager.getClassName(BulkEditor.NAME, 'field') + '-';
 
+function insertRecord(
+	/* int */		index,
+	/* object */	record)
+{
+	var record_id = this.get('ds').insertRecord(index, record);
+	if (index <= this.server_errors.records.length)
+	{
+		this.server_errors.records.splice(index,0, { id: record_id });
+		// leave entry in record_map undefined
+		this._updatePageStatus();
+	}
+	return record_id;
+}
+
+function removeRecord(
+	/* int */ index)
+{
+	if (this.get('ds').removeRecord(index))
+	{
+		if (index < this.server_errors.records.length)
+		{
+			var rec = this.server_errors.records[index];
+			this.server_errors.records.splice(index,1);
+			delete this.server_errors.record_map[ rec[ this.get('ds').get('uniqueIdKey') ] ];
+			this._updatePageStatus();
+		}
+		return true;
+	}
+	else
+	{
+		return false;
+	}
+}
+
+function afterUndo()
+{
+	if (this.get('rendered'))
+	{
+		this.reload();
+	}
+}
+
 function switchPage(state)
 {
 	this.saveChanges();
@@ -185,6 +274,14 @@ Y.extend(BulkEditor, Y.Widget,
 		{
 			config.paginator.on('changeRequest', switchPage, this);
 		}
+
+		this.undo_handle = this.get('undoManager').after(
+			['undoFinished', 'redoFinished'], afterUndo, this);
+	},
+
+	destructor: function()
+	{
+		this.undo_handle.detach();
 	},
 
 	renderUI: function()
@@ -209,6 +306,8 @@ Y.extend(BulkEditor, Y.Widget,
 		/* node */	container)
 	{
 		Y.delegate('bulkeditor|click', handleCheckboxMultiselect, container, '.checkbox-multiselect input', this);
+		Y.delegate('bulkeditor|change', handleFieldChange, container, 'input,textarea,select', this);
+		Y.delegate('bulkeditor|paste', handlePaste, container, 'input,textarea', this);
 	},
 
 	/**
@@ -280,36 +379,45 @@ Y.extend(BulkEditor, Y.Widget,
 		{
 			Y.Array.each(records, function(r)
 			{
-				var node = this.getFieldElement(r, key),
-					tag  = node.get('tagName').toLowerCase(),
-					value;
-				if (tag == 'input' && node.get('type').toLowerCase() == 'checkbox')
-				{
-					value = node.get('checked');
-				}
-				else if (tag == 'select' && node.get('multiple'))
-				{
-					value = Y.reduce(Y.Node.getDOMNode(node).options, [], function(v, o)
-					{
-						if (o.selected)
-						{
-							v.push(o.value);
-						}
-						return v;
-					});
-				}
-				else
-				{
-					value = node.get('value');
-				}
-
-				ds.updateValue(r[ id_key ], key, value);
+				var node = this.getFieldElement(r, key);
+				ds.updateValue(r[ id_key ], key, this._getFieldValue(node));
 			},
 			this);
 		},
 		this);
 	},
 
+	/**
+	 * @method _getFieldValue
+	 * @protected
+	 * @param node {Node} field's input element
+	 * @return {Mixed} the value of the field
+	 */
+	_getFieldValue: function(
+		/* element */	node)
+	{
+		var tag = node.get('tagName').toLowerCase();
+		if (tag == 'input' && node.get('type').toLowerCase() == 'checkbox')
+		{
+			return node.get('checked');
+		}
+		else if (tag == 'select' && node.get('multiple'))
+		{
+			return Y.reduce(Y.Node.getDOMNode(node).options, [], function(v, o)
+			{
+				if (o.selected)
+				{
+					v.push(o.value);
+				}
+				return v;
+			});
+		}
+		else
+		{
+			return node.get('value');
+		}
+	},
+
 	/**
 	 * Retrieve *all* the data.  Do not call this if you use server-side
 	 * pagination.
@@ -356,21 +464,19 @@ Y.extend(BulkEditor, Y.Widget,
 		/* int */		index,
 		/* object */	record)
 	{
-		var record_id = this.get('ds').insertRecord(index, record);
-		if (index <= this.server_errors.records.length)
+		return this._recordChange(BulkEditor.Strings.insertRecord, [], function(inserted)
 		{
-			this.server_errors.records.splice(index,0, { id: record_id });
-			// leave entry in record_map undefined
-			this._updatePageStatus();
-		}
-		return record_id;
+			var record_id = insertRecord.call(this, index, record);
+			inserted.push(record_id);
+			return record_id;
+		});
 	},
 
 	/**
 	 * <p>Remove a record.  The removal will be recorded in the diffs.
-	 * There is no way to un-remove a record, so if you need that
-	 * functionality, you may want to use highlighting to indicate removed
-	 * records instead.</p>
+	 * The only way to un-remove a record is via undoManager, so if you
+	 * need more flexibility, you may want to use highlighting to indicate
+	 * removed records instead.</p>
 	 * 
 	 * <p>You must reload() the widget after calling this function!</p>
 	 * 
@@ -381,21 +487,420 @@ Y.extend(BulkEditor, Y.Widget,
 	removeRecord: function(
 		/* int */ index)
 	{
-		if (this.get('ds').removeRecord(index))
+		var record_id = this._getRecordIdAt(index);
+		return this._recordChange(BulkEditor.Strings.removeRecord,
+			record_id ? [ record_id ] : [],
+			function()
+			{
+				return removeRecord.call(this, index);
+			});
+	},
+
+	/**
+	 * <p>Paste a block of values, starting at the specified field.  Each
+	 * line fills in the next record, and new records are appended if
+	 * there are more lines than records.  If the text contains tabs, it
+	 * is parsed as TSV.  Otherwise, it is parsed as CSV.</p>
+	 * 
+	 * <p>This is called automatically when more than one value is pasted
+	 * into a field.  A single line of text is only treated as a block if
+	 * it contains tabs, so commas can be pasted into a field.  Afterwards, the widget is reloaded and the pasted
+	 * records are validated.</p>
+	 * 
+	 * @method paste
+	 * @param text {String} the data to paste
+	 * @param record_id {String} id of the record for the first line
+	 * @param key {String} key of the field for the first column
+	 * @return {Array} ids of the modified records
+	 */
+	paste: function(
+		/* string */	text,
+		/* string */	record_id,
+		/* string */	key)
+	{
+		var rows  = parseDelimited(text, text.indexOf('\t') >= 0 ? '\t' : ','),
+			keys  = this._getFieldKeys(),
+			col   = Y.Array.indexOf(keys, key),
+			ds    = this.get('ds'),
+			index = this._getRecordIndex(record_id.toString());
+
+		if (index < 0 || col < 0)
+		{
+			return [];
+		}
+
+		keys = keys.slice(col);
+
+		var ids = [];
+		for (var i=0; i<rows.length && index+i < ds.getRecordCount(); i++)
 		{
-			if (index < this.server_errors.records.length)
+			var id = this._getRecordIdAt(index+i);
+			if (!id)
 			{
-				var rec = this.server_errors.records[index];
-				this.server_errors.records.splice(index,1);
-				delete this.server_errors.record_map[ rec[ this.get('ds').get('uniqueIdKey') ] ];
-				this._updatePageStatus();
+				Y.log('cannot paste into records which are not loaded', 'warn', 'BulkEditor');
+				rows = rows.slice(0, i);
+				break;
 			}
-			return true;
+			ids.push(id);
 		}
-		else
+
+		ids = this._recordChange(BulkEditor.Strings.paste, ids, function(inserted)
+		{
+			return Y.Array.map(rows, function(row, i)
+			{
+				var values = {};
+				Y.Array.each(row, function(value, j)
+				{
+					if (j < keys.length)
+					{
+						values[ keys[j] ] = this._parseFieldValue(keys[j], value);
+					}
+				},
+				this);
+
+				if (i < ids.length)
+				{
+					Y.Object.each(values, function(value, key)
+					{
+						ds.updateValue(ids[i], key, value);
+					});
+					return ids[i];
+				}
+				else
+				{
+					var id = insertRecord.call(this, ds.getRecordCount(), values);
+					inserted.push(id);
+					return id;
+				}
+			},
+			this);
+		});
+
+		this._reloadAndValidate(ids, record_id, key);
+		return ids;
+	},
+
+	/**
+	 * <p>Import records from CSV data.  The first line must contain the
+	 * column headers.  Each header is matched to the key or label of a
+	 * field, ignoring case, and unmatched columns are ignored.  If a
+	 * column matches the DataSource's uniqueIdKey and the value is the id
+	 * of an existing record, that record is updated.  Otherwise, a new
+	 * record is appended.  Empty lines are ignored.</p>
+	 * 
+	 * <p>Afterwards, the widget is reloaded and the visible records are
+	 * validated.</p>
+	 * 
+	 * @method importCSV
+	 * @param text {String} CSV data
+	 * @return {Array} ids of the modified records
+	 */
+	importCSV: function(
+		/* string */ text)
+	{
+		var rows = Y.Array.filter(parseDelimited(text, ','), function(row)
+		{
+			return Y.Array.some(row, function(value)
+			{
+				return Y.Lang.trim(value).length > 0;
+			});
+		});
+
+		if (rows.length < 2)
+		{
+			return [];
+		}
+
+		var ds     = this.get('ds'),
+			id_key = ds.get('uniqueIdKey'),
+			fields = this.get('fields'),
+			id_col = -1;
+
+		var keys = Y.Array.map(rows.shift(), function(header, i)
+		{
+			header = Y.Lang.trim(header).toLowerCase();
+			if (header === id_key.toLowerCase())
+			{
+				id_col = i;
+				return null;
+			}
+
+			return Y.Array.find(Y.Object.keys(fields), function(key)
+			{
+				return (key.toLowerCase() === header ||
+						(Y.Lang.isString(fields[key].label) &&
+						 Y.Lang.trim(fields[key].label).toLowerCase() === header));
+			});
+		});
+
+		var ids = [];
+		Y.Array.each(rows, function(row)
+		{
+			var id = id_col >= 0 ? Y.Lang.trim(row[ id_col ] || '') : '';
+			if (id && this._getRecordIndex(id) >= 0)
+			{
+				ids.push(id);
+			}
+		},
+		this);
+
+		ids = this._recordChange(BulkEditor.Strings.importRecords, ids, function(inserted)
+		{
+			return Y.Array.map(rows, function(row)
+			{
+				var values = {};
+				Y.Array.each(row, function(value, j)
+				{
+					if (keys[j])
+					{
+						values[ keys[j] ] = this._parseFieldValue(keys[j], value);
+					}
+				},
+				this);
+
+				var id = id_col >= 0 ? Y.Lang.trim(row[ id_col ] || '') : '';
+				if (id && Y.Array.indexOf(ids, id) >= 0)
+				{
+					Y.Object.each(values, function(value, key)
+					{
+						ds.updateValue(id, key, value);
+					});
+					return id;
+				}
+				else
+				{
+					id = insertRecord.call(this, ds.getRecordCount(), values);
+					inserted.push(id);
+					return id;
+				}
+			},
+			this);
+		});
+
+		this._reloadAndValidate(ids);
+		return ids;
+	},
+
+	/**
+	 * Import records from a CSV file, e.g., from a file input element.
+	 * This requires FileReader.  The import is asynchronous.  See
+	 * importCSV() for details.
+	 * 
+	 * @method importFile
+	 * @param file {File} CSV file
+	 * @param callback {Function} (optional) called with the result of importCSV()
+	 */
+	importFile: function(
+		/* File */		file,
+		/* function */	callback)
+	{
+		var reader    = new Y.config.win.FileReader();
+		reader.onload = Y.bind(function()
+		{
+			var ids = this.importCSV(reader.result);
+			if (callback)
+			{
+				callback(ids);
+			}
+		},
+		this);
+
+		reader.onerror = function()
+		{
+			Y.log('error reading ' + file.name + ' in BulkEditor', 'error');
+		};
+
+		reader.readAsText(file);
+	},
+
+	/**
+	 * Derived class can override if the order of the fields should not be
+	 * the order in which they are configured.
+	 * 
+	 * @method _getFieldKeys
+	 * @protected
+	 * @return {Array} keys of the fields, in display order
+	 */
+	_getFieldKeys: function()
+	{
+		return Y.Object.keys(this.get('fields'));
+	},
+
+	/**
+	 * @method _parseFieldValue
+	 * @protected
+	 * @param key {String} field key
+	 * @param value {String} pasted or imported value
+	 * @return {Mixed} the value to store in the field
+	 */
+	_parseFieldValue: function(
+		/* string */	key,
+		/* string */	value)
+	{
+		var field = this.getFieldConfig(key),
+			f     = BulkEditor.valueParsers[ field.type ];
+		return (f ? f.call(this, value, field) : value);
+	},
+
+	/**
+	 * @method _getRecordIdAt
+	 * @protected
+	 * @param index {Number} record index
+	 * @return {String} record id or null if the record is not available
+	 */
+	_getRecordIdAt: function(
+		/* int */	index)
+	{
+		var ds      = this.get('ds'),
+			pg      = this.get('paginator'),
+			start   = pg ? pg.getStartIndex() : 0,
+			records = ds.getCurrentRecords() || [];
+
+		if (start <= index && index < start + records.length)
+		{
+			return this.getRecordId(records[ index - start ]).toString();
+		}
+		else if (ds._dataIsLocal())
 		{
-			return false;
+			return ds.getRecordId(index) || null;
 		}
+
+		return null;
+	},
+
+	/**
+	 * @method _getRecordIndex
+	 * @protected
+	 * @param record_id {String}
+	 * @return {Number} record index or -1 if the record is not available
+	 */
+	_getRecordIndex: function(
+		/* string */	record_id)
+	{
+		var ds = this.get('ds');
+		if (ds._dataIsLocal())
+		{
+			return ds.recordIdToIndex(record_id);
+		}
+
+		var pg    = this.get('paginator'),
+			start = pg ? pg.getStartIndex() : 0,
+			index = -1;
+
+		Y.Array.some(ds.getCurrentRecords() || [], function(r, i)
+		{
+			if (this.getRecordId(r).toString() === record_id)
+			{
+				index = start + i;
+				return true;
+			}
+		},
+		this);
+
+		return index;
+	},
+
+	/**
+	 * Apply a change and add it to undoManager.
+	 * 
+	 * @method _recordChange
+	 * @protected
+	 * @param label {String} label for the action
+	 * @param record_ids {Array} ids of the records which will be modified
+	 * @param f {Function} applies the change; receives an array to which it must append the ids of inserted records
+	 * @return {Mixed} the result of f
+	 */
+	_recordChange: function(
+		/* string */	label,
+		/* array */		record_ids,
+		/* function */	f)
+	{
+		var before   = this._getUndoState(record_ids),
+			inserted = [],
+			result   = f.call(this, inserted);
+
+		record_ids = record_ids.concat(inserted);
+		this.get('undoManager').add(new BulkEditUndoableAction(
+		{
+			label:   label,
+			editor:  this,
+			records: record_ids,
+			before:  before,
+			after:   this._getUndoState(record_ids)
+		}));
+
+		return result;
+	},
+
+	/**
+	 * @method _getUndoState
+	 * @protected
+	 * @param record_ids {Array}
+	 * @return {Object} snapshot of the state of the given records
+	 */
+	_getUndoState: function(
+		/* array */	record_ids)
+	{
+		return {
+			ds:         this.get('ds')._getRecordState(record_ids),
+			records:    this.server_errors.records.slice(0),
+			record_map: Y.merge(this.server_errors.record_map)
+		};
+	},
+
+	/**
+	 * Restore a snapshot created by _getUndoState().  You must reload()
+	 * the widget after calling this function!
+	 * 
+	 * @method _setUndoState
+	 * @protected
+	 * @param state {Object} snapshot of the state
+	 * @param record_ids {Array} records to restore
+	 */
+	_setUndoState: function(
+		/* object */	state,
+		/* array */		record_ids)
+	{
+		this.get('ds')._setRecordState(state.ds, record_ids);
+
+		this.server_errors.records    = state.records.slice(0);
+		this.server_errors.record_map = Y.merge(state.record_map);
+		this._updatePageStatus();
+	},
+
+	/**
+	 * Reload the widget and then validate the given records.
+	 * 
+	 * @method _reloadAndValidate
+	 * @protected
+	 * @param record_ids {Array}
+	 * @param focus_id {String} (optional) id of the record containing the field to focus
+	 * @param focus_key {String} (optional) key of the field to focus
+	 */
+	_reloadAndValidate: function(
+		/* array */		record_ids,
+		/* string */	focus_id,
+		/* string */	focus_key)
+	{
+		this.once('pageRendered', function()
+		{
+			this._validateRecords(record_ids);
+
+			var field = focus_id && this.getFieldElement(focus_id.toString(), focus_key);
+			if (field)
+			{
+				try
+				{
+					field.focus();
+				}
+				catch (ex)
+				{
+					// no way to determine in IE if focus will fail
+				}
+			}
+		});
+
+		this.reload();
 	},
 
 	/**
@@ -1037,6 +1542,46 @@ Y.extend(BulkEditor, Y.Widget,
 		return status;
 	},
 
+	/**
+	 * Validate the visible fields of the given records, e.g., after
+	 * pasting or importing data.  If the data is stored locally and we
+	 * paginate, the pages with invalid values are marked.
+	 * 
+	 * @method _validateRecords
+	 * @protected
+	 * @param record_ids {Array}
+	 * @return {Boolean} true if all checked values are acceptable
+	 */
+	_validateRecords: function(
+		/* array */	record_ids)
+	{
+		var status = true;
+		Y.Array.each(record_ids, function(id)
+		{
+			var node = this.getRecordContainer(id.toString());
+			if (node)
+			{
+				status = this._validateVisibleFields(node) && status;	// status last to guarantee call
+			}
+		},
+		this);
+
+		if (!status)
+		{
+			this.fire('notifyErrors', { msgs: [ Y.FormManager.Strings.validation_error ] });
+
+			var pg = this.get('paginator');
+			if (pg)
+			{
+				this.page_status[ pg.getCurrentPage()-1 ] = 'error';
+			}
+		}
+
+		this._validateAllPages();
+		this._updatePageStatus();
+		return status;
+	},
+
 	/**
 	 * If the data is stored locally and we paginate, validate all of it
 	 * and mark the pages that have invalid values.
@@ -1509,6 +2054,174 @@ BulkEditor.fieldMarkup = function(key, record)
 	});
 };
 
+/**
+ * Map of field type to function that converts a pasted or imported string
+ * to the value stored for the field.  You can add additional entries.
+ * Each function takes two arguments: the string and the field
+ * configuration.  Types without an entry store the string.
+ *
+ * @property Y.BulkEditor.valueParsers
+ * @type {Object}
+ * @static
+ */
+BulkEditor.valueParsers =
+{
+	checkbox: function(value)
+	{
+		return /^\s*(1|true|yes|y|x|on|checked)\s*$/i.test(value);
+	},
+
+	select: function(value, field)
+	{
+		return findOptionValue(field, value);
+	},
+
+	checkboxMultiselect: function(value, field)
+	{
+		return Y.Array.reduce(value.split(/[,;]/), [], function(v, s)
+		{
+			s = Y.Lang.trim(s);
+			if (s)
+			{
+				v.push(findOptionValue(field, s));
+			}
+			return v;
+		});
+	}
+};
+
+function findOptionValue(field, value)
+{
+	value = Y.Lang.trim(value);
+
+	var v = Y.Array.find(field.values || [], function(v)
+	{
+		return (v.value === value ||
+				String(v.text).toLowerCase() === value.toLowerCase());
+	});
+
+	return (v ? v.value : value);
+}
+
+// RFC 4180, plus any delimiter
+
+function parseDelimited(
+	/* string */	text,
+	/* string */	delimiter)
+{
+	var rows = [], row = [], value = '', quoted = false;
+	for (var i=0; i<text.length; i++)
+	{
+		var c = text.charAt(i);
+		if (quoted)
+		{
+			if (c == '"' && text.charAt(i+1) == '"')
+			{
+				value += c;
+				i++;
+			}
+			else if (c == '"')
+			{
+				quoted = false;
+			}
+			else
+			{
+				value += c;
+			}
+		}
+		else if (c == '"' && value.length === 0)
+		{
+			quoted = true;
+		}
+		else if (c == delimiter)
+		{
+			row.push(value);
+			value = '';
+		}
+		else if (c == '\r' || c == '\n')
+		{
+			if (c == '\r' && text.charAt(i+1) == '\n')
+			{
+				i++;
+			}
+
+			row.push(value);
+			rows.push(row);
+			row   = [];
+			value = '';
+		}
+		else
+		{
+			value += c;
+		}
+	}
+
+	if (value.length > 0 || row.length > 0)
+	{
+		row.push(value);
+		rows.push(row);
+	}
+
+	return rows;
+}
+
+function handleFieldChange(e)
+{
+	var node = e.currentTarget,
+		cbs  = node.ancestor('.checkbox-multiselect');
+	if (cbs)
+	{
+		node = cbs.next('select');
+	}
+
+	var info = this.getRecordAndFieldKey(node);
+	if (!info || !info.record)
+	{
+		return;
+	}
+
+	var ds        = this.get('ds'),
+		record_id = this.getRecordId(info.record).toString(),
+		value     = this._getFieldValue(node);
+
+	if (ds._isCurrentValue(record_id, info.field_key, value))
+	{
+		return;
+	}
+
+	this._recordChange(BulkEditor.Strings.edit, [ record_id ], function()
+	{
+		ds.updateValue(record_id, info.field_key, value);
+	});
+}
+
+function handlePaste(e)
+{
+	var clipboard = e._event.clipboardData,
+		text      = clipboard ? clipboard.getData('text/plain') :
+					Y.config.win.clipboardData ? Y.config.win.clipboardData.getData('Text') : '';
+
+	if (!/[\t\r\n]/.test(text))
+	{
+		return;		// a single line of text is a value, even if it contains commas
+	}
+
+	var rows = parseDelimited(text, text.indexOf('\t') >= 0 ? '\t' : ',');
+	if (rows.length < 2 && (rows.length === 0 || rows[0].length < 2))
+	{
+		return;		// let the browser paste the single value
+	}
+
+	var info = this.getRecordAndFieldKey(e.currentTarget);
+	if (!info || !info.record)
+	{
+		return;
+	}
+
+	e.preventDefault();
+	this.paste(text, this.getRecordId(info.record), info.field_key);
+}
+
 function handleCheckboxMultiselect(e)
 {
 	var cb     = e.currentTarget,
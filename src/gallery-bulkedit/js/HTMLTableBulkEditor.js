@@ -203,6 +203,19 @@ Y.extend(HTMLTableBulkEditor, BulkEditor,
 		// attach events after creating the table
 	},
 
+	_getFieldKeys: function()
+	{
+		var fields = this.get('fields');
+		return Y.Array.reduce(this.get('columns'), [], function(keys, column)
+		{
+			if (fields[ column.key ])
+			{
+				keys.push(column.key);
+			}
+			return keys;
+		});
+	},
+
 	_renderContainer: function(
 		/* element */	container)
 	{
@@ -1,5 +1,322 @@
 YUI.add('gallery-bulkedit-tests', function(Y) {
 "use strict";
 
+	function createEditor()
+	{
+		var data =
+		[
+			{ id: 'r1', name: 'Alice', notes: 'first' },
+			{ id: 'r2', name: 'Bob',   notes: '' }
+		];
 
-}, '@VERSION@', {requires:['gallery-bulkedit','test']});
+		var local = new Y.DataSource.Local({ source: data });
+		local.plug(Y.Plugin.DataSourceArraySchema,
+		{
+			schema: { resultFields: ['id', 'name', 'notes'] }
+		});
+
+		var ds = new Y.DataSource.BulkEdit(
+		{
+			ds:                     local,
+			generateRequest:        function() {},
+			uniqueIdKey:            'id',
+			totalRecordsReturnExpr: '.meta.totalRecords',
+			extractTotalRecords:    function(response)
+			{
+				return response.meta.totalRecords;
+			}
+		});
+
+		var editor = new Y.HTMLTableBulkEditor(
+		{
+			ds: ds,
+			fields:
+			{
+				name:  { type: 'input',    label: 'Name' },
+				notes: { type: 'textarea', label: 'Notes' }
+			},
+			columns:
+			[
+				{ key: 'name',  label: 'Name' },
+				{ key: 'notes', label: 'Notes' }
+			]
+		});
+
+		editor.render(Y.one('body').appendChild('<div></div>'));
+		return editor;
+	}
+
+	function values(editor, key)
+	{
+		var ds     = editor.get('ds'),
+			result = [];
+		for (var i=0; i<ds.getRecordCount(); i++)
+		{
+			result.push(ds.getValue(i, key));
+		}
+		return result;
+	}
+
+	function change(editor, index, key, value)
+	{
+		var record = editor.get('ds').getCurrentRecords()[ index ],
+			field  = editor.getFieldElement(record, key);
+
+		field.set('value', value);
+		field.simulate('change');
+	}
+
+	function pasteInto(editor, index, key, text)
+	{
+		var record = editor.get('ds').getCurrentRecords()[ index ],
+			field  = Y.Node.getDOMNode(editor.getFieldElement(record, key)),
+			e      = Y.config.doc.createEvent('Event');
+
+		e.initEvent('paste', true, true);
+		e.clipboardData =
+		{
+			getData: function()
+			{
+				return text;
+			}
+		};
+
+		return field.dispatchEvent(e);
+	}
+
+	Y.Test.Runner.add(new Y.Test.Case(
+	{
+		name: 'CSV Import',
+
+		setUp: function()
+		{
+			this.editor = createEditor();
+		},
+
+		tearDown: function()
+		{
+			this.editor.destroy(true);
+		},
+
+		testAppend: function()
+		{
+			var ids = this.editor.importCSV('Name,Notes\nCarol,third\nDave,fourth');
+
+			Y.Assert.areEqual(2, ids.length);
+			Y.ArrayAssert.itemsAreEqual(['Alice', 'Bob', 'Carol', 'Dave'], values(this.editor, 'name'));
+			Y.ArrayAssert.itemsAreEqual(['first', '', 'third', 'fourth'], values(this.editor, 'notes'));
+		},
+
+		testUpdateById: function()
+		{
+			var ids = this.editor.importCSV('ID,notes\nr2,updated\n');
+
+			Y.ArrayAssert.itemsAreEqual(['r2'], ids);
+			Y.Assert.areEqual(2, this.editor.get('ds').getRecordCount());
+			Y.ArrayAssert.itemsAreEqual(['first', 'updated'], values(this.editor, 'notes'));
+		},
+
+		testQuotedFields: function()
+		{
+			this.editor.importCSV('name,notes\r\n"Smith, Carol","say ""hi"", then\r\nleave"\r\n"Dave",""\r\n');
+
+			Y.ArrayAssert.itemsAreEqual(['Alice', 'Bob', 'Smith, Carol', 'Dave'], values(this.editor, 'name'));
+			Y.Assert.areEqual('say "hi", then\r\nleave', values(this.editor, 'notes')[2]);
+			Y.Assert.areEqual('', values(this.editor, 'notes')[3]);
+		},
+
+		testEmptyRows: function()
+		{
+			var ids = this.editor.importCSV('\nname,notes\n\nCarol,third\n,\n \nDave,fourth\n\n');
+
+			Y.Assert.areEqual(2, ids.length);
+			Y.ArrayAssert.itemsAreEqual(['Alice', 'Bob', 'Carol', 'Dave'], values(this.editor, 'name'));
+		},
+
+		testOnlyHeaders: function()
+		{
+			Y.ArrayAssert.isEmpty(this.editor.importCSV('name,notes\n\n'));
+			Y.Assert.areEqual(2, this.editor.get('ds').getRecordCount());
+			Y.Assert.isFalse(this.editor.get('undoManager').canUndo());
+		}
+	}));
+
+	Y.Test.Runner.add(new Y.Test.Case(
+	{
+		name: 'Paste',
+
+		setUp: function()
+		{
+			this.editor = createEditor();
+		},
+
+		tearDown: function()
+		{
+			this.editor.destroy(true);
+		},
+
+		testTabs: function()
+		{
+			var ids = this.editor.paste('"A, B"\t"two\nlines"\nC\td\nE\te\n', 'r1', 'name');
+
+			Y.Assert.areEqual(3, ids.length);
+			Y.ArrayAssert.itemsAreEqual(['A, B', 'C', 'E'], values(this.editor, 'name'));
+			Y.ArrayAssert.itemsAreEqual(['two\nlines', 'd', 'e'], values(this.editor, 'notes'));
+		},
+
+		testStartColumn: function()
+		{
+			this.editor.paste('x,"y, z"', 'r2', 'notes');
+
+			Y.ArrayAssert.itemsAreEqual(['Alice', 'Bob'], values(this.editor, 'name'));
+			Y.ArrayAssert.itemsAreEqual(['first', 'x'], values(this.editor, 'notes'));
+		},
+
+		testSingleLineWithCommas: function()
+		{
+			Y.Assert.isTrue(pasteInto(this.editor, 0, 'name', 'Smith, John'), 'browser should paste');
+			Y.ArrayAssert.itemsAreEqual(['Alice', 'Bob'], values(this.editor, 'name'));
+			Y.ArrayAssert.itemsAreEqual(['first', ''], values(this.editor, 'notes'));
+		},
+
+		testSingleLineWithTabs: function()
+		{
+			Y.Assert.isFalse(pasteInto(this.editor, 0, 'name', 'Smith\tJohn'), 'editor should paste');
+			Y.ArrayAssert.itemsAreEqual(['Smith', 'Bob'], values(this.editor, 'name'));
+			Y.ArrayAssert.itemsAreEqual(['John', ''], values(this.editor, 'notes'));
+		}
+	}));
+
+	Y.Test.Runner.add(new Y.Test.Case(
+	{
+		name: 'Undo',
+
+		setUp: function()
+		{
+			this.editor = createEditor();
+			this.undo   = this.editor.get('undoManager');
+		},
+
+		tearDown: function()
+		{
+			this.editor.destroy(true);
+		},
+
+		testEdit: function()
+		{
+			change(this.editor, 0, 'name', 'Alicia');
+			Y.ArrayAssert.itemsAreEqual(['Alicia', 'Bob'], values(this.editor, 'name'));
+
+			this.undo.undo();
+			Y.ArrayAssert.itemsAreEqual(['Alice', 'Bob'], values(this.editor, 'name'));
+			Y.Assert.areEqual('Alice', this.editor.getFieldElement('r1', 'name').get('value'));
+
+			this.undo.redo();
+			Y.ArrayAssert.itemsAreEqual(['Alicia', 'Bob'], values(this.editor, 'name'));
+			Y.Assert.areEqual('Alicia', this.editor.getFieldElement('r1', 'name').get('value'));
+		},
+
+		testUnchangedValue: function()
+		{
+			change(this.editor, 0, 'name', 'Alice');
+			Y.Assert.isFalse(this.undo.canUndo());
+
+			change(this.editor, 0, 'name', 'Alicia');
+			change(this.editor, 0, 'name', 'Alicia');
+			this.undo.undo();
+			Y.Assert.isFalse(this.undo.canUndo());
+			Y.ArrayAssert.itemsAreEqual(['Alice', 'Bob'], values(this.editor, 'name'));
+		},
+
+		testImport: function()
+		{
+			this.editor.importCSV('id,name\nr1,Alicia\nr9,Carol');
+			Y.ArrayAssert.itemsAreEqual(['Alicia', 'Bob', 'Carol'], values(this.editor, 'name'));
+
+			this.undo.undo();
+			Y.ArrayAssert.itemsAreEqual(['Alice', 'Bob'], values(this.editor, 'name'));
+
+			this.undo.redo();
+			Y.ArrayAssert.itemsAreEqual(['Alicia', 'Bob', 'Carol'], values(this.editor, 'name'));
+		},
+
+		testRemove: function()
+		{
+			this.editor.removeRecord(0);
+			this.editor.reload();
+			Y.ArrayAssert.itemsAreEqual(['Bob'], values(this.editor, 'name'));
+
+			this.undo.undo();
+			Y.ArrayAssert.itemsAreEqual(['Alice', 'Bob'], values(this.editor, 'name'));
+		}
+	}));
+
+	Y.Test.Runner.add(new Y.Test.Case(
+	{
+		name: 'Record State',
+
+		setUp: function()
+		{
+			this.editor = createEditor();
+			this.ds     = this.editor.get('ds');
+		},
+
+		tearDown: function()
+		{
+			this.editor.destroy(true);
+		},
+
+		testRestoreValues: function()
+		{
+			this.ds.updateValue('r1', 'name', 'Alicia');
+
+			var state = this.ds._getRecordState(['r1', 'r2']);
+
+			this.ds.updateValue('r1', 'name', 'Al');
+			this.ds.updateValue('r2', 'notes', 'second');
+
+			this.ds._setRecordState(state, ['r1', 'r2']);
+			Y.ArrayAssert.itemsAreEqual(['Alicia', 'Bob'], values(this.editor, 'name'));
+			Y.ArrayAssert.itemsAreEqual(['first', ''], values(this.editor, 'notes'));
+		},
+
+		testSnapshotIsCopied: function()
+		{
+			this.ds.updateValue('r1', 'name', 'Alicia');
+
+			var state = this.ds._getRecordState(['r1']);
+			this.ds.updateValue('r1', 'name', 'Al');
+
+			Y.Assert.areEqual('Alicia', state.records.r1.diff.name);
+
+			this.ds._setRecordState(state, ['r1']);
+			this.ds.updateValue('r1', 'name', 'Ali');
+			Y.Assert.areEqual('Alicia', state.records.r1.diff.name);
+		},
+
+		testDiscardInsertedRecord: function()
+		{
+			var state = this.ds._getRecordState([]),
+				id    = this.editor.insertRecord(2, { name: 'Carol' });
+
+			Y.Assert.areEqual(3, this.ds.getRecordCount());
+
+			this.ds._setRecordState(state, [ id ]);
+			Y.Assert.areEqual(2, this.ds.getRecordCount());
+			Y.ArrayAssert.itemsAreEqual(['Alice', 'Bob'], values(this.editor, 'name'));
+		},
+
+		testRestoreInsertedRecord: function()
+		{
+			var id    = this.editor.insertRecord(0, { name: 'Carol' }),
+				state = this.ds._getRecordState([ id ]);
+
+			this.editor.removeRecord(0);
+			Y.Assert.areEqual(2, this.ds.getRecordCount());
+
+			this.ds._setRecordState(state, [ id ]);
+			Y.ArrayAssert.itemsAreEqual(['Carol', 'Alice', 'Bob'], values(this.editor, 'name'));
+		}
+	}));
+
+}, '@VERSION@', {requires:['gallery-bulkedit','datasource-arrayschema','node-event-simulate','test']});
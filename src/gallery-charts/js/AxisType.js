@@ -25,6 +25,7 @@ Y.AxisType = Y.Base.create("baseAxis", Y.Axis, [], {
         this.after("heightChange", this._handleSizeChange);
         this.after("alwaysShowZeroChange", this._keyChangeHandler);
         this.after("roundingMethodChange", this._keyChangeHandler);
+        this.after("indexRangeChange", this._keyChangeHandler);
     },
 
     /**
@@ -144,13 +145,14 @@ Y.AxisType = Y.Base.create("baseAxis", Y.Axis, [], {
     _updateTotalData: function()
     {
 		var keys = this.get("keys"),
+            range = this.get("indexRange"),
             i;
         this._data = [];
         for(i in keys)
         {
             if(keys.hasOwnProperty(i))
             {
-                this._data = this._data.concat(keys[i]);
+                this._data = this._data.concat(range ? keys[i].slice(range.start, range.end + 1) : keys[i]);
             }
         }
         this._updateTotalDataFlag = false;
@@ -376,6 +378,24 @@ Y.AxisType = Y.Base.create("baseAxis", Y.Axis, [], {
             }
         },
 
+        /**
+         * Range of data indices, <code>{start, end}</code>, used to calculate the minimum and maximum of the axis.
+         * <code>CartesianChart</code> sets this on its value axes when it is zoomed so that they fit the visible
+         * data. When null, all of the data is used.
+         *
+         * @attribute indexRange
+         * @type Object
+         */
+        indexRange: {
+            value: null,
+
+            setter: function(val)
+            {
+                this._updateTotalDataFlag = true;
+                return val;
+            }
+        },
+
         /**
          *Indicates how to round unit values.
          *  <dl>
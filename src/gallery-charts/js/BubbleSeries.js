@@ -0,0 +1,264 @@
+/**
+ * BubbleSeries plots markers whose size is determined by a third value. The area of each
+ * bubble is proportional to its value.
+ *
+ * @class BubbleSeries
+ * @extends MarkerSeries
+ * @constructor
+ */
+Y.BubbleSeries = Y.Base.create("bubbleSeries", Y.MarkerSeries, [], {
+    /**
+     * @private
+     */
+    _sizeDisplayName: null,
+
+    /**
+     * @private
+     * @description Diameter of each bubble.
+     */
+    _bubbleSizes: null,
+
+    /**
+     * @private
+     */
+    _updateAxisData: function()
+    {
+        var yAxis = this.get("yAxis"),
+            sizeKey = this.get("sizeKey"),
+            dp;
+        if(!Y.BubbleSeries.superclass._updateAxisData.apply(this))
+        {
+            return false;
+        }
+        dp = yAxis.get("dataProvider");
+        this.set("sizeData", sizeKey && dp ? yAxis._getKeyArray(sizeKey, dp) : []);
+        return true;
+    },
+
+    /**
+     * @private
+     * @description Returns the diameter of each bubble.
+     */
+    _getBubbleSizes: function()
+    {
+        var data = this.get("sizeData") || [],
+            styles = this.get("styles").marker,
+            minSize = styles.minSize,
+            maxSize = styles.maxSize,
+            sizes = [],
+            min = 0,
+            max = -Infinity,
+            value,
+            i = 0,
+            len = data.length;
+        for(; i < len; ++i)
+        {
+            value = parseFloat(data[i]);
+            if(!isNaN(value))
+            {
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+        }
+        for(i = 0; i < len; ++i)
+        {
+            value = parseFloat(data[i]);
+            if(isNaN(value))
+            {
+                sizes.push(NaN);
+            }
+            else if(max > min)
+            {
+                sizes.push(Math.round(minSize + (maxSize - minSize) * Math.sqrt((value - min) / (max - min))));
+            }
+            else
+            {
+                sizes.push(maxSize);
+            }
+        }
+        return sizes;
+    },
+
+    /**
+     * @protected
+     *
+     * Draws the markers. Overrides the base implementation.
+     *
+     * @method drawPlots
+     */
+    drawPlots: function()
+    {
+        if(!this.get("xcoords") || this.get("xcoords").length < 1)
+        {
+            return;
+        }
+        var style = Y.clone(this.get("styles").marker),
+            xcoords = this.get("xcoords"),
+            ycoords = this.get("ycoords"),
+            sizes = this._getBubbleSizes(),
+            fillColors = null,
+            borderColors = null,
+            graphOrder = this.get("graphOrder"),
+            i = 0,
+            len = xcoords.length,
+            size,
+            left,
+            top,
+            marker,
+            hotspot,
+            isChrome = ISCHROME;
+        if(Y.Lang.isArray(style.fill.color))
+        {
+            fillColors = style.fill.color.concat();
+        }
+        if(Y.Lang.isArray(style.border.color))
+        {
+            borderColors = style.border.color.concat();
+        }
+        this._bubbleSizes = sizes;
+        this._createMarkerCache();
+        if(isChrome)
+        {
+            this._createHotspotCache();
+        }
+        for(; i < len; ++i)
+        {
+            size = sizes[i];
+            left = xcoords[i] - size/2;
+            top = ycoords[i] - size/2;
+            if(isNaN(size) || isNaN(left) || isNaN(top))
+            {
+                this._markers.push(null);
+                this._graphicNodes.push(null);
+                continue;
+            }
+            style.width = size;
+            style.height = size;
+            if(fillColors)
+            {
+                style.fill.color = fillColors[i % fillColors.length];
+            }
+            if(borderColors)
+            {
+                style.border.color = borderColors[i % borderColors.length];
+            }
+            marker = this.getMarker(style, graphOrder, i);
+            marker.setPosition(left, top);
+            if(isChrome)
+            {
+                hotspot = this.getHotspot(style, graphOrder, i);
+                hotspot.setPosition(left, top);
+                hotspot.parentNode.style.zIndex = 5;
+            }
+        }
+        this._clearMarkerCache();
+        if(isChrome)
+        {
+            this._clearHotspotCache();
+        }
+    },
+
+    /**
+     * Resizes and positions markers based on a mouse interaction. Bubbles keep their size.
+     *
+     * @method updateMarkerState
+     * @param {String} type state of the marker
+     * @param {Number} i index of the marker
+     * @protected
+     */
+    updateMarkerState: function(type, i)
+    {
+        if(this._markers[i])
+        {
+            var styles = Y.clone(this.get("styles").marker),
+                state = this._getState(type),
+                markerStyles = state == "off" || !styles[state] ? styles : styles[state],
+                size = this._bubbleSizes[i],
+                marker = this._markers[i],
+                graphicNode = marker.parentNode;
+            markerStyles.fill.color = this._getItemColor(markerStyles.fill.color, i);
+            markerStyles.border.color = this._getItemColor(markerStyles.border.color, i);
+            markerStyles.width = size;
+            markerStyles.height = size;
+            marker.update(markerStyles);
+            graphicNode.style.left = (this.get("xcoords")[i] - size/2) + "px";
+            graphicNode.style.top = (this.get("ycoords")[i] - size/2) + "px";
+            marker.toggleVisible(this.get("visible"));
+        }
+    },
+
+    /**
+     * @private
+     */
+    _getPlotDefaults: function()
+    {
+        var defs = Y.BubbleSeries.superclass._getPlotDefaults.apply(this);
+        defs.fill.alpha = 0.7;
+        defs.minSize = 6;
+        defs.maxSize = 40;
+        return defs;
+    }
+}, {
+    ATTRS: {
+        /**
+         * Read-only attribute indicating the type of series.
+         *
+         * @attribute type
+         * @type String
+         * @default bubble
+         */
+        type: {
+            value: "bubble"
+        },
+
+        /**
+         * Key in the chart's <code>dataProvider</code> for the values that determine the size of each bubble. The key
+         * should not be one of the chart's <code>seriesKeys</code> or it will be plotted on the value axis as well.
+         *
+         * @attribute sizeKey
+         * @type String
+         */
+        sizeKey: {},
+
+        /**
+         * Array of size values for the series.
+         *
+         * @attribute sizeData
+         * @type Array
+         */
+        sizeData: {},
+
+        /**
+         * Name used for for displaying size data
+         *
+         * @attribute sizeDisplayName
+         * @type String
+         */
+        sizeDisplayName: {
+            getter: function()
+            {
+                return this._sizeDisplayName || this.get("sizeKey");
+            },
+
+            setter: function(val)
+            {
+                this._sizeDisplayName = val;
+                return val;
+            }
+        }
+
+        /**
+         * Style properties used for drawing markers. The defaults are the same as <code>MarkerSeries</code> except
+         * for the following:
+         *  <dl>
+         *      <dt>fill</dt><dd>The default <code>alpha</code> is 0.7.</dd>
+         *      <dt>minSize</dt><dd>Diameter of the bubble for the smallest value. The default value is 6.</dd>
+         *      <dt>maxSize</dt><dd>Diameter of the bubble for the largest value. The default value is 40.</dd>
+         *  </dl>
+         *  The <code>width</code> and <code>height</code> of each bubble are determined by its size value.
+         *
+         * @attribute styles
+         * @type Object
+         */
+    }
+});
@@ -3,9 +3,11 @@
  *
  * @class CartesianChart
  * @extends ChartBase
+ * @uses ChartZoom
+ * @uses ChartExport
  * @constructor
  */
-Y.CartesianChart = Y.Base.create("cartesianChart", Y.Widget, [Y.ChartBase], {
+Y.CartesianChart = Y.Base.create("cartesianChart", Y.Widget, [Y.ChartBase, Y.ChartZoom, Y.ChartExport], {
     /**
      * @private
      */
@@ -25,6 +27,8 @@ Y.CartesianChart = Y.Base.create("cartesianChart", Y.Widget, [Y.ChartBase], {
         }
         //If there is a style definition. Force them to set.
         this.get("styles");
+        this._addLegend();
+        this._addNavigator();
         if(this.get("interactionType") == "planar")
         {
             overlay = document.createElement("div");
@@ -39,6 +43,15 @@ Y.CartesianChart = Y.Base.create("cartesianChart", Y.Widget, [Y.ChartBase], {
         this._redraw();
     },
 
+    /**
+     * @private
+     */
+    bindUI: function()
+    {
+        Y.ChartBase.prototype.bindUI.apply(this, arguments);
+        this._bindZoomUI();
+    },
+
     /**
      * @private
      */
@@ -882,10 +895,12 @@ Y.CartesianChart = Y.Base.create("cartesianChart", Y.Widget, [Y.ChartBase], {
         this._callLater = false;
         var w = this.get("width"),
             h = this.get("height"),
-            lw = 0,
-            rw = 0,
-            th = 0,
-            bh = 0,
+            legendOffsets = this._getLegendOffsets(w, h),
+            navigatorHeight = this._getNavigatorHeight(),
+            lw = legendOffsets.left,
+            rw = legendOffsets.right,
+            th = legendOffsets.top,
+            bh = legendOffsets.bottom + navigatorHeight,
             lc = this.get("leftAxesCollection"),
             rc = this.get("rightAxesCollection"),
             tc = this.get("topAxesCollection"),
@@ -979,6 +994,10 @@ Y.CartesianChart = Y.Base.create("cartesianChart", Y.Widget, [Y.ChartBase], {
             graph.set("height", h - (th + bh));
             graph.get("boundingBox").setStyle("overflow", graphOverflow);
         }
+        if(navigatorHeight > 0)
+        {
+            this.get("navigator")._layoutNavigator(lw, h - (legendOffsets.bottom + navigatorHeight), w - (lw + rw), navigatorHeight);
+        }
 
         if(this._overlay)
         {
@@ -111,14 +111,20 @@ Y.extend(CategoryAxis, Y.AxisType,
     },
 
     /**
-     * Returns the total number of majorUnits that will appear on an axis.
+     * Returns the total number of majorUnits that will appear on an axis. When a <code>minimum</code> or
+     * <code>maximum</code> is set, only the categories between them are counted.
      *
      * @method getTotalMajorUnits
      * @return Number
      */
     getTotalMajorUnits: function(majorUnit, len)
     {
-        return this.get("data").length;
+        var count = this.get("data").length;
+        if(count > 0 && (this.get("setMin") || this.get("setMax")))
+        {
+            count = Math.round(this.get("maximum") - this.get("minimum")) + 1;
+        }
+        return count;
     },
     
     /**
@@ -155,6 +161,10 @@ Y.extend(CategoryAxis, Y.AxisType,
      */
     getEdgeOffset: function(ct, l)
     {
+        if(this.get("setMin") || this.get("setMax"))
+        {
+            ct = this.getTotalMajorUnits();
+        }
         return l/ct;
     },
    
@@ -171,14 +181,15 @@ Y.extend(CategoryAxis, Y.AxisType,
     {
         var label,
             data = this.get("data"),
+            min = Math.round(this.get("minimum")),
             position = this.get("position");
         if(position == "bottom" || position == "top")
         {
-            label = data[i];
+            label = data[min + i];
         }
         else
         {
-            label = data[l - (i + 1)];
+            label = data[min + l - (i + 1)];
         }   
         return label;
     }
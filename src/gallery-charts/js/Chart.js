@@ -6,7 +6,7 @@
  */
 function Chart(cfg)
 {
-    if(cfg.type != "pie")
+    if(!Y.PieChart.prototype._isRadialType(cfg.type))
     {
         return new Y.CartesianChart(cfg);
     }
@@ -116,7 +116,23 @@ ChartBase.ATTRS = {
      */
     graph: {
         valueFn: "_getGraph"
-   }
+   },
+
+    /**
+     * Legend displayed alongside the chart. Accepts a <code>ChartLegend</code> instance or an object literal used to
+     * construct one, e.g. <code>{position:"bottom"}</code>. By default, no legend is displayed.
+     *
+     * @attribute legend
+     * @type ChartLegend
+     */
+    legend: {
+        value: null,
+
+        setter: function(val)
+        {
+            return this._setLegend(val);
+        }
+    }
 };
 
 ChartBase.prototype = {
@@ -270,6 +286,18 @@ ChartBase.prototype = {
      */
     _axes: null,
 
+    /**
+     * @private
+     */
+    destructor: function()
+    {
+        var legend = this.get("legend");
+        if(legend)
+        {
+            legend.destroy();
+        }
+    },
+
     /**
      * @private
      */
@@ -285,6 +313,7 @@ ChartBase.prototype = {
         {
             this._addTooltip();
         }
+        this._addLegend();
         this._redraw();
     },
     
@@ -297,6 +326,7 @@ ChartBase.prototype = {
         this.after("widthChange", this._sizeChanged);
         this.after("heightChange", this._sizeChanged);
         this.after("dataProviderChange", this._dataProviderChangeHandler);
+        this.after("legendChange", this._legendChangeHandler);
         var tt = this.get("tooltip"),
             hideEvent = "mouseout",
             showEvent = "mouseover",
@@ -348,6 +378,62 @@ ChartBase.prototype = {
         }
     },
     
+    /**
+     * @private
+     */
+    _setLegend: function(val)
+    {
+        if(val && !(val instanceof Y.ChartLegend))
+        {
+            val = new Y.ChartLegend(val);
+        }
+        if(val)
+        {
+            val.set("chart", this);
+        }
+        return val;
+    },
+
+    /**
+     * @private
+     */
+    _addLegend: function()
+    {
+        var legend = this.get("legend");
+        if(legend && !legend.get("rendered"))
+        {
+            legend.render(this.get("contentBox"));
+        }
+    },
+
+    /**
+     * @private
+     */
+    _legendChangeHandler: function(e)
+    {
+        if(e.prevVal && e.prevVal !== e.newVal)
+        {
+            e.prevVal.destroy();
+        }
+        this._addLegend();
+        this._redraw();
+    },
+
+    /**
+     * @private
+     * @description Positions the legend and returns the space it occupies on each side of the chart.
+     */
+    _getLegendOffsets: function(w, h)
+    {
+        var legend = this.get("legend"),
+            offsets = {top:0, right:0, bottom:0, left:0};
+        if(legend && legend.get("rendered"))
+        {
+            offsets[legend.get("position")] = legend._layoutLegend(w, h);
+        }
+        return offsets;
+    },
+
     /**
      * @private
      */
@@ -686,6 +772,11 @@ ChartBase.prototype = {
         ":&nbsp;" + categoryItem.axis.get("labelFunction").apply(this, [categoryItem.value, categoryItem.axis.get("labelFormat")]) + 
         "<br/>" + valueItem.displayName + 
         ":&nbsp;" + valueItem.axis.get("labelFunction").apply(this, [valueItem.value, valueItem.axis.get("labelFormat")]);
+        if(series instanceof Y.BubbleSeries)
+        {
+            msg += "<br/>" + series.get("sizeDisplayName") + 
+            ":&nbsp;" + valueItem.axis.get("labelFunction").apply(this, [series.get("sizeData")[itemIndex], valueItem.axis.get("labelFormat")]);
+        }
         return msg; 
     },
 
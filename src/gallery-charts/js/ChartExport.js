@@ -0,0 +1,1083 @@
+/**
+ * The ChartExport class adds methods for saving a chart as an image. The chart is read back from the page, so the
+ * export includes the series, axes, labels, gridlines and legend as they are displayed, whichever drawing api
+ * (svg, canvas or vml) is in use.
+ *
+ * <p>Both <code>toSVG</code> and <code>toDataURL</code> accept an optional hash with the following properties:</p>
+ *  <dl>
+ *      <dt>title</dt><dd>Text displayed above the chart.</dd>
+ *      <dt>legend</dt><dd>Indicates whether a legend is included. When true, the chart's legend is used if it has
+ *      one. Otherwise, a legend is drawn underneath the chart. When false, the chart's legend is left out. By
+ *      default, the chart's legend is included if it has one.</dd>
+ *      <dt>background</dt><dd>Color used to fill the image. By default, the image is transparent.</dd>
+ *  </dl>
+ *
+ * @class ChartExport
+ * @constructor
+ */
+function ChartExport() {}
+
+ChartExport.prototype = {
+    /**
+     * Returns the chart as a standalone svg document.
+     *
+     * @method toSVG
+     * @param {Object} options Hash containing the <code>title</code>, <code>legend</code> and
+     * <code>background</code> of the image.
+     * @return String
+     */
+    toSVG: function(options)
+    {
+        var scene = this._getExportScene(options),
+            items = scene.items,
+            svg = '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n',
+            i = 0,
+            len = items.length;
+        svg += '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1"';
+        svg += ' width="' + scene.width + '" height="' + scene.height + '"';
+        svg += ' viewBox="0 0 ' + scene.width + ' ' + scene.height + '">\n';
+        for(; i < len; ++i)
+        {
+            svg += this._getSVGMarkup(items[i]);
+        }
+        svg += '</svg>\n';
+        return svg;
+    },
+
+    /**
+     * Returns the chart as a data url. The chart is drawn onto a canvas element, so the browser must support
+     * canvas. Returns null if it does not.
+     *
+     * @method toDataURL
+     * @param {String} type Image format. The default value is <code>image/png</code>.
+     * @param {Object} options Hash containing the <code>title</code>, <code>legend</code> and
+     * <code>background</code> of the image.
+     * @return String
+     */
+    toDataURL: function(type, options)
+    {
+        var canvas = document.createElement("canvas"),
+            context = canvas.getContext ? canvas.getContext("2d") : null,
+            scene,
+            items,
+            i = 0,
+            len;
+        if(!context)
+        {
+            Y.log('toDataURL requires canvas support', 'warn', 'charts');
+            return null;
+        }
+        scene = this._getExportScene(options);
+        items = scene.items;
+        len = items.length;
+        canvas.width = scene.width;
+        canvas.height = scene.height;
+        for(; i < len; ++i)
+        {
+            context.save();
+            this._drawExportItem(context, items[i]);
+            context.restore();
+        }
+        return canvas.toDataURL(type || "image/png");
+    },
+
+    /**
+     * @private
+     * @description Font size and height of the title.
+     */
+    _exportTitle: {
+        fontSize: 16,
+        height: 32
+    },
+
+    /**
+     * @private
+     * @description Layout of the legend drawn for charts without one.
+     */
+    _exportLegend: {
+        height: 30,
+        fontSize: 12,
+        color: "#808080",
+        swatch: 10,
+        margin: 4,
+        gap: 10
+    },
+
+    /**
+     * @private
+     * @description Returns the size of the image and a list of the paths, images and text to draw.
+     */
+    _getExportScene: function(options)
+    {
+        options = options || {};
+        var root = Y.Node.getDOMNode(this.get("boundingBox")),
+            box = root.getBoundingClientRect(),
+            legend = this.get("legend"),
+            hasLegend = legend && legend.get("rendered"),
+            w = Math.round(box.right - box.left),
+            h = Math.round(box.bottom - box.top),
+            top = options.title ? this._exportTitle.height : 0,
+            legendItems = options.legend === true && !hasLegend ? this._getExportLegendItems() : null,
+            family = Y.DOM.getComputedStyle(root, "fontFamily"),
+            scene = {
+                width: w,
+                height: top + h + (legendItems && legendItems.length > 0 ? this._exportLegend.height : 0),
+                items: [],
+                x: box.left,
+                y: box.top - top,
+                skip: []
+            };
+        if(this._tooltip)
+        {
+            scene.skip.push(Y.Node.getDOMNode(this._tooltip.node));
+        }
+        if(hasLegend && options.legend === false)
+        {
+            scene.skip.push(Y.Node.getDOMNode(legend.get("boundingBox")));
+        }
+        if(options.background)
+        {
+            scene.items.push(this._getExportPath(this._getRectSegments(0, 0, scene.width, scene.height), null, {color: options.background, alpha: 1}, null, 1));
+        }
+        if(options.title)
+        {
+            scene.items.push({
+                type: "text",
+                text: options.title,
+                x: w/2,
+                y: top/2 + this._exportTitle.fontSize * 0.35,
+                rotation: 0,
+                align: "middle",
+                font: {style: "normal", weight: "bold", size: this._exportTitle.fontSize, family: family},
+                color: "#000000",
+                alpha: 1
+            });
+        }
+        this._addExportNodes(root, scene, 1);
+        if(legendItems && legendItems.length > 0)
+        {
+            this._addExportLegend(legendItems, top + h, family, scene);
+        }
+        return scene;
+    },
+
+    /**
+     * @private
+     * @description Adds the shapes and text in a node and its descendants to the scene.
+     */
+    _addExportNodes: function(node, scene, opacity)
+    {
+        var tag = this._getExportTagName(node),
+            className = node.className && Y.Lang.isString(node.className) ? node.className : "",
+            display = Y.DOM.getComputedStyle(node, "display"),
+            alpha = parseFloat(Y.DOM.getComputedStyle(node, "opacity")),
+            visible = Y.DOM.getComputedStyle(node, "visibility") != "hidden",
+            children = node.childNodes,
+            text = "",
+            child,
+            i = 0,
+            len = children.length;
+        if(display == "none" || Y.Array.indexOf(scene.skip, node) > -1 || tag == "img" || tag == "map" || tag == "defs")
+        {
+            return;
+        }
+        opacity *= isNaN(alpha) ? 1 : alpha;
+        if(opacity <= 0)
+        {
+            return;
+        }
+        if(className.indexOf("vmlgroup") > -1)
+        {
+            this._addVMLExportNodes(node, scene, opacity);
+            return;
+        }
+        if(tag == "path" || tag == "rect" || tag == "ellipse" || tag == "circle")
+        {
+            if(visible)
+            {
+                this._addSVGExportNode(node, tag, scene, opacity);
+            }
+            return;
+        }
+        if(tag == "canvas")
+        {
+            if(visible && node.width > 0 && node.height > 0)
+            {
+                this._addCanvasExportNode(node, scene, opacity);
+            }
+            return;
+        }
+        if(visible && tag != "svg" && tag != "g")
+        {
+            this._addExportBox(node, scene, opacity);
+        }
+        for(; i < len; ++i)
+        {
+            child = children[i];
+            if(child.nodeType == 1)
+            {
+                this._addExportNodes(child, scene, opacity);
+            }
+            else if(child.nodeType == 3)
+            {
+                text += child.nodeValue;
+            }
+        }
+        text = Y.Lang.trim(text.replace(/\s+/g, " "));
+        if(visible && text)
+        {
+            this._addExportText(node, text, scene, opacity);
+        }
+    },
+
+    /**
+     * @private
+     * @description Returns the lower case tag name of a node without its namespace prefix.
+     */
+    _getExportTagName: function(node)
+    {
+        var tag = (node.localName || node.tagName || "").toLowerCase();
+        return tag.indexOf(":") > -1 ? tag.substr(tag.indexOf(":") + 1) : tag;
+    },
+
+    /**
+     * @private
+     * @description Adds a path, rect or ellipse from the svg drawing api.
+     */
+    _addSVGExportNode: function(node, tag, scene, opacity)
+    {
+        var matrix = node.getScreenCTM ? node.getScreenCTM() : null,
+            rx,
+            ry,
+            segments,
+            stroke;
+        if(!matrix)
+        {
+            return;
+        }
+        if(tag == "path")
+        {
+            segments = this._parseSVGPath(node.getAttribute("d"));
+        }
+        else if(tag == "rect")
+        {
+            segments = this._getRectSegments(this._getSVGNumber(node, "x"), this._getSVGNumber(node, "y"), this._getSVGNumber(node, "width"), this._getSVGNumber(node, "height"));
+        }
+        else
+        {
+            rx = tag == "circle" ? this._getSVGNumber(node, "r") : this._getSVGNumber(node, "rx");
+            ry = tag == "circle" ? rx : this._getSVGNumber(node, "ry");
+            segments = this._getEllipseSegments(this._getSVGNumber(node, "cx"), this._getSVGNumber(node, "cy"), rx, ry);
+        }
+        stroke = this._getSVGPaint(node, "stroke");
+        if(stroke)
+        {
+            stroke.weight = node.getAttribute("stroke-width") ? this._getSVGNumber(node, "stroke-width") : 1;
+        }
+        matrix = {
+            a: matrix.a,
+            b: matrix.b,
+            c: matrix.c,
+            d: matrix.d,
+            e: matrix.e - scene.x,
+            f: matrix.f - scene.y
+        };
+        this._pushExportPath(scene, this._getExportPath(segments, matrix, this._getSVGPaint(node, "fill"), stroke, opacity));
+    },
+
+    /**
+     * @private
+     */
+    _getSVGNumber: function(node, name)
+    {
+        var val = parseFloat(node.getAttribute(name));
+        return isNaN(val) ? 0 : val;
+    },
+
+    /**
+     * @private
+     * @description Returns the color and alpha of a fill or stroke. Gradients are replaced with their first color.
+     */
+    _getSVGPaint: function(node, name)
+    {
+        var val = node.getAttribute(name),
+            alpha = parseFloat(node.getAttribute(name + "-opacity")),
+            gradient,
+            stop,
+            paint;
+        if(val === null || val === "")
+        {
+            val = name == "fill" ? "#000000" : "none";
+        }
+        if(val.indexOf("url(") === 0)
+        {
+            gradient = document.getElementById(val.replace(/^url\(['"]?#?|['"]?\)$/g, ""));
+            stop = gradient ? gradient.getElementsByTagName("stop")[0] || gradient.getElementsByTagName("svg:stop")[0] : null;
+            if(!stop)
+            {
+                return null;
+            }
+            val = stop.getAttribute("stop-color");
+            alpha = (isNaN(alpha) ? 1 : alpha) * parseFloat(stop.getAttribute("stop-opacity") || 1);
+        }
+        paint = this._parseExportColor(val);
+        if(paint && !isNaN(alpha))
+        {
+            paint.alpha *= alpha;
+        }
+        return paint;
+    },
+
+    /**
+     * @private
+     * @description Adds the shapes in a group from the vml drawing api. Shapes are positioned in pixels within
+     * their group.
+     */
+    _addVMLExportNodes: function(group, scene, opacity)
+    {
+        var box = group.getBoundingClientRect(),
+            children = group.childNodes,
+            child,
+            className,
+            path,
+            x,
+            y,
+            w,
+            h,
+            segments,
+            i = 0,
+            len = children.length;
+        for(; i < len; ++i)
+        {
+            child = children[i];
+            className = child.nodeType == 1 && Y.Lang.isString(child.className) ? child.className : "";
+            if(!className || child.style.display == "none" || child.style.visibility == "hidden")
+            {
+                continue;
+            }
+            x = box.left + (parseFloat(child.style.left) || 0) - scene.x;
+            y = box.top + (parseFloat(child.style.top) || 0) - scene.y;
+            w = parseFloat(child.style.width) || 0;
+            h = parseFloat(child.style.height) || 0;
+            if(className.indexOf("vmlshape") > -1)
+            {
+                path = child.path;
+                segments = this._parseVMLPath(path && path.v ? path.v : String(path || child.getAttribute("path") || ""));
+            }
+            else if(className.indexOf("vmloval") > -1)
+            {
+                segments = this._getEllipseSegments(w/2, h/2, w/2, h/2);
+            }
+            else if(className.indexOf("vmlrect") > -1)
+            {
+                segments = this._getRectSegments(0, 0, w, h);
+            }
+            else
+            {
+                continue;
+            }
+            this._pushExportPath(scene, this._getExportPath(segments, {a: 1, b: 0, c: 0, d: 1, e: x, f: y}, this._getVMLPaint(child, "fill"), this._getVMLPaint(child, "stroke"), opacity));
+        }
+    },
+
+    /**
+     * @private
+     * @description Returns the color and alpha of a vml fill or stroke from the node and its fill or stroke
+     * child.
+     */
+    _getVMLPaint: function(node, name)
+    {
+        var enabled = name == "fill" ? node.filled : node.stroked,
+            children = node.childNodes,
+            sub = null,
+            color,
+            paint,
+            i = 0,
+            len = children.length;
+        if(enabled === false || enabled == "f" || enabled == "false")
+        {
+            return null;
+        }
+        for(; i < len; ++i)
+        {
+            if(Y.Lang.isString(children[i].className) && children[i].className.indexOf("vml" + name) > -1)
+            {
+                sub = children[i];
+            }
+        }
+        color = sub && sub.color ? sub.color : node[name + "color"];
+        paint = this._parseExportColor(color && color.value ? color.value : String(color || "#000000"));
+        if(paint)
+        {
+            if(sub && sub.opacity !== undefined && sub.opacity !== "")
+            {
+                paint.alpha *= this._parseVMLNumber(sub.opacity);
+            }
+            if(name == "stroke")
+            {
+                paint.weight = node.strokeweight ? this._parseVMLNumber(node.strokeweight) : 1;
+            }
+        }
+        return paint;
+    },
+
+    /**
+     * @private
+     * @description Converts a vml number. Fractions can be written as a multiple of 1/65536 with an "f" suffix and
+     * lengths are reported in points.
+     */
+    _parseVMLNumber: function(val)
+    {
+        var str = String(val),
+            num = parseFloat(str);
+        if(isNaN(num))
+        {
+            return 1;
+        }
+        if(str.charAt(str.length - 1) == "f")
+        {
+            return num / 65536;
+        }
+        if(str.indexOf("pt") > -1)
+        {
+            return num * 4 / 3;
+        }
+        return num;
+    },
+
+    /**
+     * @private
+     * @description Adds a canvas from the canvas drawing api as an image.
+     */
+    _addCanvasExportNode: function(node, scene, opacity)
+    {
+        var box = node.getBoundingClientRect(),
+            src;
+        try
+        {
+            src = node.toDataURL("image/png");
+        }
+        catch(e)
+        {
+            return;
+        }
+        scene.items.push({
+            type: "image",
+            node: node,
+            src: src,
+            x: box.left - scene.x,
+            y: box.top - scene.y,
+            width: box.right - box.left,
+            height: box.bottom - box.top,
+            alpha: opacity
+        });
+    },
+
+    /**
+     * @private
+     * @description Adds the background and border of an html element, such as a legend swatch.
+     */
+    _addExportBox: function(node, scene, opacity)
+    {
+        var fill = this._parseExportColor(Y.DOM.getComputedStyle(node, "backgroundColor")),
+            weight = Y.DOM.getComputedStyle(node, "borderTopStyle") != "none" ? parseFloat(Y.DOM.getComputedStyle(node, "borderTopWidth")) || 0 : 0,
+            stroke = weight > 0 ? this._parseExportColor(Y.DOM.getComputedStyle(node, "borderTopColor")) : null,
+            radius = String(Y.DOM.getComputedStyle(node, "borderTopLeftRadius")),
+            box,
+            x,
+            y,
+            w,
+            h,
+            segments;
+        if(!fill && !stroke)
+        {
+            return;
+        }
+        box = node.getBoundingClientRect();
+        x = box.left - scene.x;
+        y = box.top - scene.y;
+        w = box.right - box.left;
+        h = box.bottom - box.top;
+        if(radius.indexOf("%") > -1 ? parseFloat(radius) >= 50 : parseFloat(radius) >= Math.min(w, h)/2)
+        {
+            segments = this._getEllipseSegments(x + w/2, y + h/2, (w - weight)/2, (h - weight)/2);
+        }
+        else
+        {
+            segments = this._getRectSegments(x + weight/2, y + weight/2, w - weight, h - weight);
+        }
+        if(stroke)
+        {
+            stroke.weight = weight;
+        }
+        this._pushExportPath(scene, this._getExportPath(segments, null, fill, stroke, opacity));
+    },
+
+    /**
+     * @private
+     * @description Adds the text of an html element, such as an axis label. Labels rotated with a css transform
+     * are rotated around their top left corner.
+     */
+    _addExportText: function(node, text, scene, opacity)
+    {
+        var box = node.getBoundingClientRect(),
+            rotation = this._getExportRotation(node),
+            radians = rotation / 180 * Math.PI,
+            cos = Math.cos(radians),
+            sin = Math.sin(radians),
+            w = node.offsetWidth || box.right - box.left,
+            h = node.offsetHeight || box.bottom - box.top,
+            fontSize = String(Y.DOM.getComputedStyle(node, "fontSize")),
+            paddingTop = parseFloat(Y.DOM.getComputedStyle(node, "paddingTop")) || 0,
+            paddingBottom = parseFloat(Y.DOM.getComputedStyle(node, "paddingBottom")) || 0,
+            textAlign = Y.DOM.getComputedStyle(node, "textAlign"),
+            color = this._parseExportColor(Y.DOM.getComputedStyle(node, "color")) || {color: "#000000", alpha: 1},
+            align = "start",
+            left = box.left - Math.min(0, w * cos, -h * sin, w * cos - h * sin),
+            top = box.top - Math.min(0, w * sin, h * cos, w * sin + h * cos),
+            x = parseFloat(Y.DOM.getComputedStyle(node, "paddingLeft")) || 0,
+            y;
+        fontSize = fontSize.indexOf("px") > -1 ? parseFloat(fontSize) : 12;
+        y = (h + paddingTop - paddingBottom)/2 + fontSize * 0.35;
+        if(textAlign == "center")
+        {
+            align = "middle";
+            x = w/2;
+        }
+        else if(textAlign == "right")
+        {
+            align = "end";
+            x = w - (parseFloat(Y.DOM.getComputedStyle(node, "paddingRight")) || 0);
+        }
+        scene.items.push({
+            type: "text",
+            text: text,
+            x: left + x * cos - y * sin - scene.x,
+            y: top + x * sin + y * cos - scene.y,
+            rotation: rotation,
+            align: align,
+            font: {
+                style: Y.DOM.getComputedStyle(node, "fontStyle"),
+                weight: Y.DOM.getComputedStyle(node, "fontWeight"),
+                size: fontSize,
+                family: Y.DOM.getComputedStyle(node, "fontFamily")
+            },
+            color: color.color,
+            alpha: color.alpha * opacity
+        });
+    },
+
+    /**
+     * @private
+     * @description Returns the rotation, in degrees, of a css transform.
+     */
+    _getExportRotation: function(node)
+    {
+        var props = ["transform", "MozTransform", "webkitTransform", "msTransform", "OTransform"],
+            match,
+            i = 0,
+            len = props.length;
+        for(; i < len; ++i)
+        {
+            match = /rotate\((-?[\d.]+)deg\)/.exec(node.style[props[i]] || "");
+            if(match)
+            {
+                return parseFloat(match[1]);
+            }
+        }
+        return 0;
+    },
+
+    /**
+     * @private
+     * @description Returns an item for each series, or for each slice of a pie, for charts without a legend.
+     */
+    _getExportLegendItems: function()
+    {
+        var graph = this.get("graph"),
+            sc = graph ? graph.get("seriesCollection") : null,
+            legend = Y.ChartLegend.prototype,
+            items = [],
+            series,
+            i = 0,
+            len = sc ? sc.length : 0;
+        for(; i < len; ++i)
+        {
+            series = sc[i];
+            if(series instanceof Y.PieSeries && !(series instanceof Y.RadarSeries))
+            {
+                items = items.concat(legend._getSliceItems.apply(legend, [series]));
+            }
+            else if(series instanceof Y.CartesianSeries && series.get("visible"))
+            {
+                items.push({
+                    label: series.get("valueDisplayName"),
+                    swatch: legend._getSwatchStyles.apply(legend, [series])
+                });
+            }
+        }
+        return items;
+    },
+
+    /**
+     * @private
+     * @description Draws a row of legend items, centered underneath the chart.
+     */
+    _addExportLegend: function(items, top, family, scene)
+    {
+        var styles = this._exportLegend,
+            size = styles.swatch,
+            font = {style: "normal", weight: "normal", size: styles.fontSize, family: family},
+            widths = [],
+            total = 0,
+            x,
+            y = top + styles.height/2,
+            item,
+            swatch,
+            segments,
+            i = 0,
+            len = items.length;
+        for(; i < len; ++i)
+        {
+            widths[i] = this._measureExportText(items[i].label, font);
+            total += size + styles.margin + widths[i] + (i > 0 ? styles.gap : 0);
+        }
+        x = Math.max(0, (scene.width - total)/2);
+        for(i = 0; i < len; ++i)
+        {
+            item = items[i];
+            swatch = item.swatch;
+            if(swatch.type == "line")
+            {
+                segments = this._getRectSegments(x, y - Math.max(1, Math.min(swatch.weight, size))/2, size, Math.max(1, Math.min(swatch.weight, size)));
+            }
+            else if(swatch.type == "marker" && (swatch.shape == "circle" || swatch.shape == "ellipse"))
+            {
+                segments = this._getEllipseSegments(x + size/2, y, (size - swatch.borderWeight)/2, (size - swatch.borderWeight)/2);
+            }
+            else
+            {
+                segments = this._getRectSegments(x, y - size/2, size, size);
+            }
+            scene.items.push(this._getExportPath(
+                segments,
+                null,
+                this._parseExportColor(swatch.color),
+                swatch.type == "marker" && swatch.borderWeight > 0 ? Y.merge(this._parseExportColor(swatch.borderColor), {weight: swatch.borderWeight}) : null,
+                Y.Lang.isNumber(swatch.alpha) ? swatch.alpha : 1
+            ));
+            x += size + styles.margin;
+            scene.items.push({
+                type: "text",
+                text: item.label,
+                x: x,
+                y: y + styles.fontSize * 0.35,
+                rotation: 0,
+                align: "start",
+                font: font,
+                color: styles.color,
+                alpha: 1
+            });
+            x += widths[i] + styles.gap;
+        }
+    },
+
+    /**
+     * @private
+     * @description Returns the width of a line of text.
+     */
+    _measureExportText: function(text, font)
+    {
+        var node = document.createElement("span"),
+            width;
+        node.style.position = "absolute";
+        node.style.visibility = "hidden";
+        node.style.whiteSpace = "nowrap";
+        node.style.fontSize = font.size + "px";
+        node.style.fontFamily = font.family;
+        node.appendChild(document.createTextNode(text));
+        Y.Node.getDOMNode(this.get("contentBox")).appendChild(node);
+        width = node.offsetWidth;
+        node.parentNode.removeChild(node);
+        return width;
+    },
+
+    /**
+     * @private
+     * @description Returns a path item. The segments are transformed by the matrix.
+     */
+    _getExportPath: function(segments, matrix, fill, stroke, opacity)
+    {
+        var segment,
+            i = 0,
+            j,
+            len = segments.length,
+            x,
+            y;
+        if(matrix)
+        {
+            for(; i < len; ++i)
+            {
+                segment = segments[i];
+                for(j = 1; j < segment.length; j += 2)
+                {
+                    x = segment[j];
+                    y = segment[j + 1];
+                    segment[j] = matrix.a * x + matrix.c * y + matrix.e;
+                    segment[j + 1] = matrix.b * x + matrix.d * y + matrix.f;
+                }
+            }
+        }
+        return {
+            type: "path",
+            segments: segments,
+            fill: fill,
+            stroke: stroke,
+            alpha: opacity
+        };
+    },
+
+    /**
+     * @private
+     * @description Adds a path to the scene unless it is empty or invisible, such as a hotspot.
+     */
+    _pushExportPath: function(scene, path)
+    {
+        var fill = path.fill && path.fill.alpha > 0,
+            stroke = path.stroke && path.stroke.alpha > 0 && path.stroke.weight > 0;
+        if(path.segments.length > 0 && (fill || stroke))
+        {
+            scene.items.push(path);
+        }
+    },
+
+    /**
+     * @private
+     * @description Returns the segments of a rectangle.
+     */
+    _getRectSegments: function(x, y, w, h)
+    {
+        return [["M", x, y], ["L", x + w, y], ["L", x + w, y + h], ["L", x, y + h], ["Z"]];
+    },
+
+    /**
+     * @private
+     * @description Returns the segments of an ellipse drawn with four cubic curves.
+     */
+    _getEllipseSegments: function(cx, cy, rx, ry)
+    {
+        var kx = rx * 0.5523,
+            ky = ry * 0.5523;
+        return [
+            ["M", cx + rx, cy],
+            ["C", cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry],
+            ["C", cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy],
+            ["C", cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry],
+            ["C", cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy],
+            ["Z"]
+        ];
+    },
+
+    /**
+     * @private
+     * @description Converts the absolute commands used by the svg drawing api into segments.
+     */
+    _parseSVGPath: function(d)
+    {
+        var tokens = String(d || "").match(/[MLHVQCZ]|-?[\d.]+(?:e[-+]?\d+)?/gi) || [],
+            sizes = {M: 2, L: 2, H: 1, V: 1, Q: 4, C: 6, Z: 0},
+            segments = [],
+            cmd = null,
+            args = [],
+            x = 0,
+            y = 0,
+            token,
+            i = 0,
+            len = tokens.length;
+        for(; i < len; ++i)
+        {
+            token = tokens[i].toUpperCase();
+            if(sizes.hasOwnProperty(token))
+            {
+                cmd = token;
+                args = [];
+                if(cmd == "Z")
+                {
+                    segments.push(["Z"]);
+                }
+            }
+            else if(cmd && sizes[cmd] > 0)
+            {
+                args.push(parseFloat(token));
+                if(args.length == sizes[cmd])
+                {
+                    if(cmd == "H")
+                    {
+                        args.push(y);
+                    }
+                    else if(cmd == "V")
+                    {
+                        args.unshift(x);
+                    }
+                    segments.push([cmd == "H" || cmd == "V" ? "L" : cmd].concat(args));
+                    x = args[args.length - 2];
+                    y = args[args.length - 1];
+                    args = [];
+                    if(cmd == "M")
+                    {
+                        cmd = "L";
+                    }
+                }
+            }
+        }
+        return segments;
+    },
+
+    /**
+     * @private
+     * @description Converts the commands used by the vml drawing api into segments. Arcs (<code>ae</code>) are
+     * converted into quadratic curves.
+     */
+    _parseVMLPath: function(path)
+    {
+        var tokens = String(path || "").match(/[a-z]+|-?[\d.]+/gi) || [],
+            sizes = {m: 2, l: 2, c: 6, qb: 4, ae: 6, x: 0, e: 0},
+            segments = [],
+            cmd = null,
+            args = [],
+            token,
+            i = 0,
+            len = tokens.length;
+        for(; i < len; ++i)
+        {
+            token = tokens[i].toLowerCase();
+            if(sizes.hasOwnProperty(token))
+            {
+                cmd = token;
+                args = [];
+                if(cmd == "x")
+                {
+                    segments.push(["Z"]);
+                }
+            }
+            else if(cmd && sizes[cmd] > 0)
+            {
+                args.push(parseFloat(token));
+                if(args.length == sizes[cmd])
+                {
+                    if(cmd == "ae")
+                    {
+                        segments = segments.concat(this._getArcSegments(args[0], args[1], args[2], args[3], -args[4] / 65536, args[5] / 65536));
+                    }
+                    else
+                    {
+                        segments.push([cmd == "m" ? "M" : cmd == "l" ? "L" : cmd == "c" ? "C" : "Q"].concat(args));
+                    }
+                    args = [];
+                }
+            }
+        }
+        return segments;
+    },
+
+    /**
+     * @private
+     * @description Returns a line to the start of an arc and quadratic curves along it. Angles are in degrees
+     * and the arc sweeps counterclockwise.
+     */
+    _getArcSegments: function(x, y, rx, ry, startAngle, arc)
+    {
+        var segs = Math.max(1, Math.ceil(Math.abs(arc) / 45)),
+            theta = -(arc / segs) / 180 * Math.PI,
+            angle = startAngle / 180 * Math.PI,
+            segments = [["L", x + Math.cos(angle) * rx, y + Math.sin(angle) * ry]],
+            angleMid,
+            i = 0;
+        for(; i < segs; ++i)
+        {
+            angleMid = angle + theta/2;
+            angle += theta;
+            segments.push([
+                "Q",
+                x + Math.cos(angleMid) * (rx / Math.cos(theta/2)),
+                y + Math.sin(angleMid) * (ry / Math.cos(theta/2)),
+                x + Math.cos(angle) * rx,
+                y + Math.sin(angle) * ry
+            ]);
+        }
+        return segments;
+    },
+
+    /**
+     * @private
+     * @description Splits a css color into an rgb color and an alpha. Returns null for transparent colors.
+     */
+    _parseExportColor: function(val)
+    {
+        var match,
+            parts,
+            alpha;
+        if(!val || val == "none" || val == "transparent")
+        {
+            return null;
+        }
+        match = /^rgba?\(([^)]*)\)$/i.exec(Y.Lang.trim(String(val)));
+        if(!match)
+        {
+            return {color: val, alpha: 1};
+        }
+        parts = match[1].split(",");
+        alpha = parts.length > 3 ? parseFloat(parts[3]) : 1;
+        if(alpha <= 0)
+        {
+            return null;
+        }
+        return {
+            color: "rgb(" + parseInt(parts[0], 10) + ", " + parseInt(parts[1], 10) + ", " + parseInt(parts[2], 10) + ")",
+            alpha: alpha
+        };
+    },
+
+    /**
+     * @private
+     * @description Returns the svg markup for an item.
+     */
+    _getSVGMarkup: function(item)
+    {
+        var markup = "",
+            esc = this._escapeExportText,
+            font = item.font,
+            fill = item.fill,
+            stroke = item.stroke,
+            segments = item.segments,
+            i,
+            len;
+        if(item.type == "path")
+        {
+            markup = '<path d="';
+            for(i = 0, len = segments.length; i < len; ++i)
+            {
+                markup += (i > 0 ? " " : "") + segments[i][0] + this._roundExportNumbers(segments[i].slice(1)).join(" ");
+            }
+            markup += '"';
+            markup += fill ? ' fill="' + esc(fill.color) + '" fill-opacity="' + fill.alpha + '"' : ' fill="none"';
+            if(stroke)
+            {
+                markup += ' stroke="' + esc(stroke.color) + '" stroke-opacity="' + stroke.alpha + '" stroke-width="' + stroke.weight + '"';
+            }
+        }
+        else if(item.type == "image")
+        {
+            markup = '<image x="' + item.x + '" y="' + item.y + '" width="' + item.width + '" height="' + item.height + '" xlink:href="' + item.src + '"';
+        }
+        else if(item.type == "text")
+        {
+            markup = '<text x="' + this._roundExportNumbers([item.x])[0] + '" y="' + this._roundExportNumbers([item.y])[0] + '"';
+            markup += ' font-family="' + esc(font.family) + '" font-size="' + font.size + 'px"';
+            markup += ' font-style="' + font.style + '" font-weight="' + font.weight + '"';
+            markup += ' fill="' + esc(item.color) + '" text-anchor="' + item.align + '"';
+            if(item.rotation)
+            {
+                markup += ' transform="rotate(' + item.rotation + ' ' + this._roundExportNumbers([item.x, item.y]).join(" ") + ')"';
+            }
+        }
+        if(item.alpha < 1)
+        {
+            markup += ' opacity="' + item.alpha + '"';
+        }
+        return item.type == "text" ? markup + '>' + esc(item.text) + '</text>\n' : markup + '/>\n';
+    },
+
+    /**
+     * @private
+     */
+    _roundExportNumbers: function(nums)
+    {
+        var rounded = [],
+            i = 0,
+            len = nums.length;
+        for(; i < len; ++i)
+        {
+            rounded.push(Math.round(nums[i] * 100) / 100);
+        }
+        return rounded;
+    },
+
+    /**
+     * @private
+     * @description Escapes text for use in svg markup.
+     */
+    _escapeExportText: function(val)
+    {
+        return String(val).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    },
+
+    /**
+     * @private
+     * @description Draws an item onto a canvas context.
+     */
+    _drawExportItem: function(context, item)
+    {
+        var segments = item.segments,
+            segment,
+            font = item.font,
+            i,
+            len;
+        if(item.type == "path")
+        {
+            context.beginPath();
+            for(i = 0, len = segments.length; i < len; ++i)
+            {
+                segment = segments[i];
+                switch(segment[0])
+                {
+                    case "M" :
+                        context.moveTo(segment[1], segment[2]);
+                    break;
+                    case "L" :
+                        context.lineTo(segment[1], segment[2]);
+                    break;
+                    case "Q" :
+                        context.quadraticCurveTo(segment[1], segment[2], segment[3], segment[4]);
+                    break;
+                    case "C" :
+                        context.bezierCurveTo(segment[1], segment[2], segment[3], segment[4], segment[5], segment[6]);
+                    break;
+                    case "Z" :
+                        context.closePath();
+                    break;
+                }
+            }
+            if(item.fill)
+            {
+                context.globalAlpha = item.alpha * item.fill.alpha;
+                context.fillStyle = item.fill.color;
+                context.fill();
+            }
+            if(item.stroke)
+            {
+                context.globalAlpha = item.alpha * item.stroke.alpha;
+                context.strokeStyle = item.stroke.color;
+                context.lineWidth = item.stroke.weight;
+                context.stroke();
+            }
+        }
+        else if(item.type == "image")
+        {
+            context.globalAlpha = item.alpha;
+            context.drawImage(item.node, item.x, item.y, item.width, item.height);
+        }
+        else if(item.type == "text")
+        {
+            context.globalAlpha = item.alpha;
+            context.fillStyle = item.color;
+            context.font = font.style + " " + font.weight + " " + font.size + "px " + font.family;
+            context.textAlign = item.align == "middle" ? "center" : item.align;
+            context.textBaseline = "alphabetic";
+            context.translate(item.x, item.y);
+            context.rotate(item.rotation / 180 * Math.PI);
+            context.fillText(item.text, 0, 0);
+        }
+    }
+};
+Y.ChartExport = ChartExport;
@@ -0,0 +1,525 @@
+/**
+ * The ChartLegend class displays a key for the series in a chart. A legend can be positioned on the top, right,
+ * bottom or left of the chart and is laid out alongside the axes. Each item's swatch is drawn from the marker,
+ * line or fill styles of its series. Clicking an item toggles the visibility of the series.
+ *
+ * <p>For pie and polar series, the legend contains an item for each slice. These items do not toggle.</p>
+ *
+ * @class ChartLegend
+ * @extends Renderer
+ * @constructor
+ */
+Y.ChartLegend = Y.Base.create("chartLegend", Y.Widget, [Y.Renderer], {
+    /**
+     * @private
+     */
+    renderUI: function()
+    {
+        this.get("boundingBox").setStyle("position", "absolute");
+        this.get("contentBox").setStyle("position", "relative");
+    },
+
+    /**
+     * @private
+     */
+    bindUI: function()
+    {
+        var chart = this.get("chart");
+        this._handles = [
+            Y.delegate("click", Y.bind(this._itemClickHandler, this), this.get("contentBox"), "." + this.getClassName("item")),
+            this.after("positionChange", this._updateLegend),
+            this.after("stylesChange", this._updateLegend),
+            this.after("visibleChange", this._redrawChart),
+            chart.after("dataProviderChange", Y.bind(this._updateLegend, this)),
+            chart.after("stylesChange", Y.bind(this._updateLegend, this))
+        ];
+    },
+
+    /**
+     * @private
+     */
+    syncUI: function()
+    {
+        this._drawLegend();
+    },
+
+    /**
+     * @private
+     */
+    destructor: function()
+    {
+        this._detachSeriesHandles();
+        if(this._handles)
+        {
+            Y.Array.each(this._handles, function(handle)
+            {
+                handle.detach();
+            });
+            this._handles = null;
+        }
+    },
+
+    /**
+     * @private
+     * @description Collection of objects describing each item in the legend.
+     */
+    _items: null,
+
+    /**
+     * @private
+     * @description Event handles for the <code>visibleChange</code> listeners on each series.
+     */
+    _seriesHandles: null,
+
+    /**
+     * @private
+     */
+    _detachSeriesHandles: function()
+    {
+        var handles = this._seriesHandles,
+            i = 0,
+            len;
+        if(handles)
+        {
+            len = handles.length;
+            for(; i < len; ++i)
+            {
+                handles[i].detach();
+            }
+        }
+        this._seriesHandles = [];
+    },
+
+    /**
+     * Redraws the legend items and updates the layout of the chart.
+     *
+     * @method _updateLegend
+     * @protected
+     */
+    _updateLegend: function()
+    {
+        if(this.get("rendered"))
+        {
+            this._drawLegend();
+            this._redrawChart();
+        }
+    },
+
+    /**
+     * @private
+     */
+    _redrawChart: function()
+    {
+        var chart = this.get("chart");
+        if(chart && chart.get("rendered"))
+        {
+            chart._redraw();
+        }
+    },
+
+    /**
+     * @private
+     * @description Creates a node for each series, or for each slice of a pie, in the chart.
+     */
+    _drawLegend: function()
+    {
+        var cb = this.get("contentBox"),
+            chart = this.get("chart"),
+            graph = chart ? chart.get("graph") : null,
+            sc = graph ? graph.get("seriesCollection") : null,
+            styles = this.get("styles"),
+            padding = styles.padding,
+            pos = this.get("position"),
+            vertical = pos == "left" || pos == "right",
+            items = [],
+            series,
+            i = 0,
+            len;
+        this._detachSeriesHandles();
+        cb.set("innerHTML", "");
+        cb.setStyle("paddingTop", padding.top + "px");
+        cb.setStyle("paddingRight", padding.right + "px");
+        cb.setStyle("paddingBottom", padding.bottom + "px");
+        cb.setStyle("paddingLeft", padding.left + "px");
+        cb.setStyle("textAlign", vertical ? "left" : "center");
+        cb.setStyle("whiteSpace", vertical ? "nowrap" : "normal");
+        if(sc)
+        {
+            len = sc.length;
+            for(; i < len; ++i)
+            {
+                series = sc[i];
+                if(series instanceof Y.PieSeries && !(series instanceof Y.RadarSeries))
+                {
+                    items = items.concat(this._getSliceItems(series));
+                }
+                else if(series instanceof Y.CartesianSeries)
+                {
+                    items.push({
+                        series: series,
+                        label: series.get("valueDisplayName"),
+                        swatch: this._getSwatchStyles(series)
+                    });
+                    this._seriesHandles.push(series.after("visibleChange", Y.bind(this._seriesVisibleChangeHandler, this)));
+                }
+            }
+        }
+        len = items.length;
+        for(i = 0; i < len; ++i)
+        {
+            items[i].node = this._createItem(items[i], i, vertical);
+            cb.appendChild(items[i].node);
+        }
+        this._items = items;
+        this._syncItemStates();
+    },
+
+    /**
+     * @private
+     * @description Returns an item for each slice of a <code>PieSeries</code>.
+     */
+    _getSliceItems: function(series)
+    {
+        var axis = series.get("categoryAxis"),
+            categories = axis.getDataByKey(series.get("categoryKey")),
+            colors = series.get("styles").marker.fill.colors,
+            labelFunction = axis.get("labelFunction"),
+            labelFormat = axis.get("labelFormat"),
+            items = [],
+            i = 0,
+            len = categories ? categories.length : 0;
+        for(; i < len; ++i)
+        {
+            items.push({
+                label: labelFunction.apply(this, [categories[i], labelFormat]),
+                swatch: {
+                    type: "area",
+                    color: colors && colors.length > 0 ? colors[i % colors.length] : series._getDefaultColor(i, "slice"),
+                    alpha: 1
+                }
+            });
+        }
+        return items;
+    },
+
+    /**
+     * Returns a hash describing the swatch for a series. The swatch matches the series' markers if they
+     * are displayed. Otherwise, it matches the series' line or fill.
+     *
+     * @method _getSwatchStyles
+     * @param {CartesianSeries} series
+     * @return Object
+     * @protected
+     */
+    _getSwatchStyles: function(series)
+    {
+        var styles = series.get("styles"),
+            graphOrder = series.get("graphOrder"),
+            marker = styles.marker,
+            line = styles.line,
+            area = styles.area,
+            combo = series instanceof Y.ComboSeries || series instanceof Y.RadarSeries,
+            swatch;
+        if(marker && marker.fill && marker.border && (!combo || series.get("showMarkers")))
+        {
+            swatch = {
+                type: "marker",
+                shape: marker.shape,
+                color: this._getFirstColor(marker.fill.color) || series._getDefaultColor(graphOrder, "fill"),
+                alpha: marker.fill.alpha,
+                borderColor: this._getFirstColor(marker.border.color) || series._getDefaultColor(graphOrder, "border"),
+                borderWeight: marker.border.weight
+            };
+        }
+        else if(line && (!combo || series.get("showLines") || !series.get("showAreaFill")))
+        {
+            swatch = {
+                type: "line",
+                color: line.color || series._getDefaultColor(graphOrder, "line"),
+                alpha: line.alpha,
+                weight: line.weight
+            };
+        }
+        else
+        {
+            area = area || {};
+            swatch = {
+                type: "area",
+                color: area.color || series._getDefaultColor(graphOrder, "slice"),
+                alpha: area.alpha
+            };
+        }
+        return swatch;
+    },
+
+    /**
+     * @private
+     * @description Marker colors can be specified as an array of colors for each item.
+     */
+    _getFirstColor: function(color)
+    {
+        return Y.Lang.isArray(color) ? color[0] : color;
+    },
+
+    /**
+     * @private
+     */
+    _createItem: function(item, index, vertical)
+    {
+        var styles = this.get("styles"),
+            swatchStyles = styles.swatch,
+            labelStyles = styles.label,
+            node = document.createElement("div"),
+            swatch = document.createElement("span"),
+            label = document.createElement("span"),
+            w = swatchStyles.width,
+            h = swatchStyles.height,
+            s = item.swatch,
+            i;
+        node.setAttribute("id", this.get("id") + "_item_" + index);
+        node = Y.one(node);
+        node.addClass(this.getClassName("item"));
+        node.setStyle("display", vertical ? "block" : "inline-block");
+        node.setStyle(vertical ? "marginBottom" : "marginRight", styles.gap + "px");
+        node.setStyle("cursor", item.series ? "pointer" : "default");
+        swatch = Y.one(swatch);
+        swatch.addClass(this.getClassName("swatch"));
+        swatch.setStyle("display", "inline-block");
+        swatch.setStyle("verticalAlign", "middle");
+        swatch.setStyle("width", w + "px");
+        swatch.setStyle("backgroundColor", s.color);
+        if(Y.Lang.isNumber(s.alpha))
+        {
+            swatch.setStyle("opacity", s.alpha);
+        }
+        if(s.type == "line")
+        {
+            swatch.setStyle("height", Math.max(1, Math.min(s.weight, h)) + "px");
+        }
+        else
+        {
+            swatch.setStyle("height", h + "px");
+            if(s.type == "marker")
+            {
+                swatch.setStyle("width", (w - s.borderWeight * 2) + "px");
+                swatch.setStyle("height", (h - s.borderWeight * 2) + "px");
+                swatch.setStyle("border", s.borderWeight + "px solid " + s.borderColor);
+                if(s.shape == "circle" || s.shape == "ellipse")
+                {
+                    swatch.setStyle("borderRadius", "50%");
+                }
+            }
+        }
+        node.appendChild(swatch);
+        label = Y.one(label);
+        label.addClass(this.getClassName("label"));
+        label.setStyle("verticalAlign", "middle");
+        label.setStyle("marginLeft", swatchStyles.margin + "px");
+        label.set("innerHTML", item.label);
+        for(i in labelStyles)
+        {
+            if(labelStyles.hasOwnProperty(i))
+            {
+                label.setStyle(i, labelStyles[i]);
+            }
+        }
+        node.appendChild(label);
+        return node;
+    },
+
+    /**
+     * @private
+     * @description Dims the items of series that are not visible.
+     */
+    _syncItemStates: function()
+    {
+        var items = this._items,
+            hiddenClass = this.getClassName("item", "hidden"),
+            hiddenAlpha = this.get("styles").hiddenAlpha,
+            item,
+            visible,
+            i = 0,
+            len = items ? items.length : 0;
+        for(; i < len; ++i)
+        {
+            item = items[i];
+            visible = !item.series || item.series.get("visible");
+            item.node.setStyle("opacity", visible ? 1 : hiddenAlpha);
+            if(visible)
+            {
+                item.node.removeClass(hiddenClass);
+            }
+            else
+            {
+                item.node.addClass(hiddenClass);
+            }
+        }
+    },
+
+    /**
+     * @private
+     */
+    _seriesVisibleChangeHandler: function(e)
+    {
+        this._syncItemStates();
+    },
+
+    /**
+     * @private
+     */
+    _itemClickHandler: function(e)
+    {
+        var strArr = e.currentTarget.getAttribute("id").split("_"),
+            index = parseInt(strArr[strArr.length - 1], 10),
+            item = this._items ? this._items[index] : null,
+            series = item ? item.series : null;
+        if(series)
+        {
+            series.set("visible", !series.get("visible"));
+            /**
+             * Broadcasts when a legend item is clicked and the visibility of its series is toggled.
+             *
+             * @event itemClick
+             * @preventable false
+             * @param {EventFacade} e Event facade with the following additional
+             *   properties:
+             *  <dl>
+             *      <dt>series</dt><dd>Reference to the series of the item.</dd>
+             *      <dt>index</dt><dd>Index of the item in the legend.</dd>
+             *      <dt>node</dt><dd>The dom node of the item.</dd>
+             *  </dl>
+             */
+            this.fire("itemClick", {series:series, index:index, node:e.currentTarget});
+        }
+    },
+
+    /**
+     * Sizes and positions the legend within a chart of the given dimensions. Returns the amount of space the legend
+     * occupies along its side of the chart.
+     *
+     * @method _layoutLegend
+     * @param {Number} w Width of the chart.
+     * @param {Number} h Height of the chart.
+     * @return Number
+     * @protected
+     */
+    _layoutLegend: function(w, h)
+    {
+        var bb = this.get("boundingBox"),
+            pos = this.get("position"),
+            size;
+        if(!this.get("visible"))
+        {
+            return 0;
+        }
+        if(pos == "left" || pos == "right")
+        {
+            bb.setStyle("height", h + "px");
+            size = bb.get("offsetWidth");
+            bb.setStyle("left", (pos == "left" ? 0 : w - size) + "px");
+            bb.setStyle("top", "0px");
+        }
+        else
+        {
+            bb.setStyle("width", w + "px");
+            size = bb.get("offsetHeight");
+            bb.setStyle("left", "0px");
+            bb.setStyle("top", (pos == "top" ? 0 : h - size) + "px");
+        }
+        return size;
+    },
+
+    /**
+     * @protected
+     *
+     * Gets the default value for the <code>styles</code> attribute. Overrides
+     * base implementation.
+     *
+     * @method _getDefaultStyles
+     * @return Object
+     */
+    _getDefaultStyles: function()
+    {
+        var legendstyles = {
+            padding: {
+                top: 5,
+                right: 5,
+                bottom: 5,
+                left: 5
+            },
+            gap: 10,
+            swatch: {
+                width: 10,
+                height: 10,
+                margin: 4
+            },
+            label: {
+                color: "#808080",
+                fontSize: "85%"
+            },
+            hiddenAlpha: 0.4
+        };
+        return Y.merge(Y.Renderer.prototype._getDefaultStyles(), legendstyles);
+    }
+}, {
+    ATTRS: {
+        /**
+         * Reference to the chart displaying the legend. This is set by the chart when the legend is added.
+         *
+         * @attribute chart
+         * @type ChartBase
+         */
+        chart: {},
+
+        /**
+         * Side of the chart on which the legend is displayed. Valid values are <code>top</code>, <code>right</code>,
+         * <code>bottom</code> and <code>left</code>.
+         *
+         * @attribute position
+         * @type String
+         * @default right
+         */
+        position: {
+            value: "right",
+
+            validator: function(val)
+            {
+                return val == "top" || val == "right" || val == "bottom" || val == "left";
+            }
+        },
+
+        /**
+         * Style properties for the legend.
+         *  <dl>
+         *      <dt>padding</dt><dd>An object containing the <code>top</code>, <code>right</code>, <code>bottom</code>
+         *      and <code>left</code> padding of the legend. The default value for each is 5.</dd>
+         *      <dt>gap</dt><dd>Distance between items. The default value is 10.</dd>
+         *      <dt>swatch</dt><dd>An object containing the <code>width</code> and <code>height</code> of each swatch
+         *      and the <code>margin</code> between the swatch and its label. The default values are 10, 10 and 4.</dd>
+         *      <dt>label</dt><dd>A hash of style properties that will be applied to each label. The defaults are a
+         *      <code>color</code> of #808080 and a <code>fontSize</code> of 85%.</dd>
+         *      <dt>hiddenAlpha</dt><dd>Opacity of items whose series is not visible. The default value is 0.4.</dd>
+         *  </dl>
+         *
+         * @attribute styles
+         * @type Object
+         */
+
+        /**
+         * Read-only collection of objects describing each item in the legend. Each object contains the
+         * <code>label</code>, the <code>node</code> and, except for pie slices, the <code>series</code>.
+         *
+         * @attribute items
+         * @type Array
+         * @readOnly
+         */
+        items: {
+            readOnly: true,
+
+            getter: function()
+            {
+                return this._items || [];
+            }
+        }
+    }
+});
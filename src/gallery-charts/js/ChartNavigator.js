@@ -0,0 +1,497 @@
+/**
+ * The ChartNavigator class displays an overview of a zoomable chart's data underneath the chart. The visible
+ * range is highlighted and can be dragged to pan the chart. Dragging its edges zooms the chart. Clicking outside
+ * of the visible range centers it on the click.
+ *
+ * @class ChartNavigator
+ * @extends Renderer
+ * @constructor
+ */
+Y.ChartNavigator = Y.Base.create("chartNavigator", Y.Widget, [Y.Renderer], {
+    /**
+     * @private
+     */
+    renderUI: function()
+    {
+        var bb = this.get("boundingBox"),
+            cb = this.get("contentBox");
+        bb.setStyle("position", "absolute");
+        bb.setStyle("overflow", "hidden");
+        cb.setStyle("position", "relative");
+        this.set("graphic", new Y.Graphic());
+        this.get("graphic").render(cb);
+        this._leftMask = this._createNode("mask");
+        this._rightMask = this._createNode("mask");
+        this._window = this._createNode("window");
+        this._leftHandle = this._createNode("handle");
+        this._rightHandle = this._createNode("handle");
+        this._window.setStyle("cursor", "move");
+        this._leftHandle.setStyle("cursor", "col-resize");
+        this._rightHandle.setStyle("cursor", "col-resize");
+        this._applyStyles();
+    },
+
+    /**
+     * @private
+     */
+    bindUI: function()
+    {
+        var chart = this.get("chart");
+        this._handles = [
+            Y.on("mousedown", Y.bind(this._mouseDownHandler, this), this.get("contentBox")),
+            this.after("stylesChange", this._stylesChangeHandler),
+            this.after("visibleChange", this._visibleChangeHandler),
+            chart.after("rangeChange", Y.bind(this._syncWindow, this)),
+            chart.after("dataProviderChange", Y.bind(this._dataProviderChangeHandler, this)),
+            chart.after("chartRendered", Y.bind(this._chartRenderedHandler, this))
+        ];
+    },
+
+    /**
+     * @private
+     */
+    syncUI: function()
+    {
+        this._drawOverview();
+        this._syncWindow();
+    },
+
+    /**
+     * @private
+     */
+    destructor: function()
+    {
+        this._endDrag();
+        if(this._handles)
+        {
+            Y.Array.each(this._handles, function(handle)
+            {
+                handle.detach();
+            });
+            this._handles = null;
+        }
+    },
+
+    /**
+     * @private
+     */
+    _width: 0,
+
+    /**
+     * @private
+     */
+    _height: 0,
+
+    /**
+     * @private
+     * @description Indicates that the overview should be drawn the next time the chart is rendered.
+     */
+    _overviewDirty: true,
+
+    /**
+     * @private
+     */
+    _drag: null,
+
+    /**
+     * @private
+     */
+    _dragHandles: null,
+
+    /**
+     * @private
+     */
+    _createNode: function(name)
+    {
+        var node = Y.one(document.createElement("div"));
+        node.addClass(this.getClassName(name));
+        node.setStyle("position", "absolute");
+        node.setStyle("top", "0px");
+        this.get("contentBox").appendChild(node);
+        return node;
+    },
+
+    /**
+     * @private
+     */
+    _applyStyles: function()
+    {
+        var styles = this.get("styles"),
+            mask = styles.mask,
+            border = styles.window.border,
+            handle = styles.handle;
+        Y.Array.each([this._leftMask, this._rightMask], function(node)
+        {
+            node.setStyle("backgroundColor", mask.color);
+            node.setStyle("opacity", mask.alpha);
+        });
+        this._window.setStyle("border", border.weight + "px solid " + border.color);
+        Y.Array.each([this._leftHandle, this._rightHandle], function(node)
+        {
+            node.setStyle("width", handle.width + "px");
+            node.setStyle("backgroundColor", handle.color);
+            node.setStyle("opacity", handle.alpha);
+        });
+    },
+
+    /**
+     * Sizes and positions the navigator within its chart.
+     *
+     * @method _layoutNavigator
+     * @param {Number} x Distance from the left of the chart.
+     * @param {Number} y Distance from the top of the chart.
+     * @param {Number} w Width of the navigator.
+     * @param {Number} h Height of the navigator.
+     * @protected
+     */
+    _layoutNavigator: function(x, y, w, h)
+    {
+        var bb = this.get("boundingBox"),
+            cb = this.get("contentBox"),
+            resized = w != this._width || h != this._height;
+        bb.setStyle("left", x + "px");
+        bb.setStyle("top", y + "px");
+        bb.setStyle("width", w + "px");
+        bb.setStyle("height", h + "px");
+        cb.setStyle("width", w + "px");
+        cb.setStyle("height", h + "px");
+        this._width = w;
+        this._height = h;
+        if(resized)
+        {
+            this._drawOverview();
+        }
+        this._syncWindow();
+    },
+
+    /**
+     * @private
+     */
+    _stylesChangeHandler: function(e)
+    {
+        this._applyStyles();
+        this._drawOverview();
+        this._redrawChart();
+    },
+
+    /**
+     * @private
+     */
+    _visibleChangeHandler: function(e)
+    {
+        this._redrawChart();
+    },
+
+    /**
+     * @private
+     */
+    _redrawChart: function()
+    {
+        var chart = this.get("chart");
+        if(chart && chart.get("rendered"))
+        {
+            chart._redraw();
+        }
+    },
+
+    /**
+     * @private
+     */
+    _dataProviderChangeHandler: function(e)
+    {
+        this._overviewDirty = true;
+    },
+
+    /**
+     * @private
+     */
+    _chartRenderedHandler: function(e)
+    {
+        if(this._overviewDirty)
+        {
+            this._drawOverview();
+            this._syncWindow();
+        }
+    },
+
+    /**
+     * @private
+     * @description Draws a line for each series across the entire category axis.
+     */
+    _drawOverview: function()
+    {
+        var chart = this.get("chart"),
+            graphic = this.get("graphic"),
+            styles = this.get("styles"),
+            line = styles.line,
+            padding = styles.padding,
+            w = this._width,
+            h = this._height - (padding.top + padding.bottom),
+            full = chart._getFullRange(),
+            sc = chart.get("graph").get("seriesCollection"),
+            isCategory = chart.get("categoryAxis") instanceof Y.CategoryAxis,
+            data = [],
+            yMin = Infinity,
+            yMax = -Infinity,
+            xData,
+            yData,
+            series,
+            drawing,
+            x,
+            y,
+            i,
+            j,
+            len;
+        if(!graphic || w <= 0 || h <= 0 || !full || !(full.max > full.min) || !sc)
+        {
+            return;
+        }
+        graphic.clear();
+        graphic.setSize(w, this._height);
+        len = sc.length;
+        for(i = 0; i < len; ++i)
+        {
+            series = sc[i];
+            xData = series.get("xData");
+            yData = series.get("yData");
+            if(xData && yData && series.get("direction") != "vertical")
+            {
+                data.push({x:xData, y:yData});
+                for(j = 0; j < yData.length; ++j)
+                {
+                    if(Y.Lang.isNumber(yData[j]))
+                    {
+                        yMin = Math.min(yMin, yData[j]);
+                        yMax = Math.max(yMax, yData[j]);
+                    }
+                }
+            }
+        }
+        if(yMax == yMin)
+        {
+            yMax = yMin + 1;
+        }
+        len = data.length;
+        for(i = 0; i < len; ++i)
+        {
+            xData = data[i].x;
+            yData = data[i].y;
+            drawing = false;
+            graphic.lineStyle(line.weight, line.color, line.alpha);
+            for(j = 0; j < xData.length; ++j)
+            {
+                x = isCategory ? j : chart._getRangeNumber(xData[j]);
+                if(!Y.Lang.isNumber(x) || !Y.Lang.isNumber(yData[j]))
+                {
+                    continue;
+                }
+                x = Math.round((x - full.min) / (full.max - full.min) * w);
+                y = Math.round(padding.top + h - (yData[j] - yMin) / (yMax - yMin) * h);
+                if(drawing)
+                {
+                    graphic.lineTo(x, y);
+                }
+                else
+                {
+                    graphic.moveTo(x, y);
+                    drawing = true;
+                }
+            }
+            graphic.end();
+        }
+        this._overviewDirty = false;
+    },
+
+    /**
+     * @private
+     * @description Positions the highlighted window and masks for the visible range.
+     */
+    _syncWindow: function()
+    {
+        var chart = this.get("chart"),
+            full = chart._getFullRange(),
+            range = chart._getCurrentRange(),
+            w = this._width,
+            h = this._height,
+            handleWidth = this.get("styles").handle.width,
+            border = this.get("styles").window.border.weight,
+            left,
+            right;
+        if(!this._window || !full || !(full.max > full.min))
+        {
+            return;
+        }
+        left = Math.round((range.min - full.min) / (full.max - full.min) * w);
+        right = Math.round((range.max - full.min) / (full.max - full.min) * w);
+        this._leftMask.setStyle("left", "0px");
+        this._leftMask.setStyle("width", left + "px");
+        this._leftMask.setStyle("height", h + "px");
+        this._rightMask.setStyle("left", right + "px");
+        this._rightMask.setStyle("width", Math.max(0, w - right) + "px");
+        this._rightMask.setStyle("height", h + "px");
+        this._window.setStyle("left", left + "px");
+        this._window.setStyle("width", Math.max(0, right - left - border * 2) + "px");
+        this._window.setStyle("height", Math.max(0, h - border * 2) + "px");
+        this._leftHandle.setStyle("left", Math.round(left - handleWidth / 2) + "px");
+        this._leftHandle.setStyle("height", h + "px");
+        this._rightHandle.setStyle("left", Math.round(right - handleWidth / 2) + "px");
+        this._rightHandle.setStyle("height", h + "px");
+    },
+
+    /**
+     * @private
+     */
+    _mouseDownHandler: function(e)
+    {
+        var chart = this.get("chart"),
+            target = e.target,
+            x = e.pageX - this.get("contentBox").getX(),
+            full = chart._getFullRange(),
+            range = chart._getCurrentRange(),
+            type = "move",
+            center;
+        if(!chart._isZoomReady() || !full || e.button > 1)
+        {
+            return;
+        }
+        e.preventDefault();
+        if(target.compareTo(this._leftHandle))
+        {
+            type = "left";
+        }
+        else if(target.compareTo(this._rightHandle))
+        {
+            type = "right";
+        }
+        else if(!target.compareTo(this._window))
+        {
+            center = full.min + x / this._width * (full.max - full.min);
+            chart._moveRange(center - (range.max - range.min) / 2, center + (range.max - range.min) / 2);
+            range = chart._getCurrentRange();
+        }
+        this._drag = {
+            type: type,
+            startX: x,
+            range: range
+        };
+        this._dragHandles = [
+            Y.on("mousemove", Y.bind(this._mouseMoveHandler, this), document),
+            Y.on("mouseup", Y.bind(this._endDrag, this), document)
+        ];
+    },
+
+    /**
+     * @private
+     */
+    _mouseMoveHandler: function(e)
+    {
+        var chart = this.get("chart"),
+            drag = this._drag,
+            full = chart._getFullRange(),
+            range = drag.range,
+            x = e.pageX - this.get("contentBox").getX(),
+            dv = (x - drag.startX) / this._width * (full.max - full.min);
+        if(drag.type == "move")
+        {
+            chart._moveRange(range.min + dv, range.max + dv);
+        }
+        else if(drag.type == "left")
+        {
+            chart.set("range", {min:Math.min(range.min + dv, range.max), max:range.max});
+        }
+        else
+        {
+            chart.set("range", {min:range.min, max:Math.max(range.max + dv, range.min)});
+        }
+    },
+
+    /**
+     * @private
+     */
+    _endDrag: function()
+    {
+        var handles = this._dragHandles,
+            i = 0,
+            len = handles ? handles.length : 0;
+        for(; i < len; ++i)
+        {
+            handles[i].detach();
+        }
+        this._dragHandles = null;
+        this._drag = null;
+    },
+
+    /**
+     * @protected
+     *
+     * Gets the default value for the <code>styles</code> attribute. Overrides
+     * base implementation.
+     *
+     * @method _getDefaultStyles
+     * @return Object
+     */
+    _getDefaultStyles: function()
+    {
+        var navigatorstyles = {
+            height: 40,
+            padding: {
+                top: 4,
+                right: 0,
+                bottom: 4,
+                left: 0
+            },
+            line: {
+                color: "#808080",
+                weight: 1,
+                alpha: 1
+            },
+            mask: {
+                color: "#dad8c9",
+                alpha: 0.5
+            },
+            window: {
+                border: {
+                    color: "#808080",
+                    weight: 1
+                }
+            },
+            handle: {
+                width: 6,
+                color: "#808080",
+                alpha: 0.8
+            }
+        };
+        return Y.merge(Y.Renderer.prototype._getDefaultStyles(), navigatorstyles);
+    }
+}, {
+    ATTRS: {
+        /**
+         * Reference to the chart displaying the navigator. This is set by the chart when the navigator is added.
+         *
+         * @attribute chart
+         * @type CartesianChart
+         */
+        chart: {}
+
+        /**
+         * Style properties for the navigator.
+         *  <dl>
+         *      <dt>height</dt><dd>Height of the navigator. The default value is 40.</dd>
+         *      <dt>padding</dt><dd>An object containing the <code>top</code> and <code>bottom</code> padding
+         *      around the overview. The default value for each is 4.</dd>
+         *      <dt>line</dt><dd>An object containing the <code>color</code>, <code>weight</code> and
+         *      <code>alpha</code> of the overview lines. The defaults are #808080, 1 and 1.</dd>
+         *      <dt>mask</dt><dd>An object containing the <code>color</code> and <code>alpha</code> of the area outside
+         *      of the visible range. The defaults are #dad8c9 and 0.5.</dd>
+         *      <dt>window</dt><dd>An object containing the <code>border</code> of the visible range. The defaults are
+         *      a <code>color</code> of #808080 and a <code>weight</code> of 1.</dd>
+         *      <dt>handle</dt><dd>An object containing the <code>width</code>, <code>color</code> and
+         *      <code>alpha</code> of the handles used to resize the visible range. The defaults are 6, #808080 and
+         *      0.8.</dd>
+         *  </dl>
+         *
+         * @attribute styles
+         * @type Object
+         */
+    }
+});
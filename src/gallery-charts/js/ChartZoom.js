@@ -0,0 +1,764 @@
+/**
+ * The ChartZoom class adds zooming and panning to a chart whose category axis is horizontal.
+ *
+ * <p>When <code>zoomable</code> is true:</p>
+ *  <dl>
+ *      <dt>drag</dt><dd>Zooms to the selected part of the category axis.</dd>
+ *      <dt>shift + drag</dt><dd>Pans the chart.</dd>
+ *      <dt>mouse wheel</dt><dd>Zooms in or out around the mouse.</dd>
+ *      <dt>pinch</dt><dd>Zooms in or out. Dragging with one finger pans the chart.</dd>
+ *      <dt>double click</dt><dd>Resets the zoom.</dd>
+ *  </dl>
+ *
+ * <p>While the chart is zoomed, the category axis displays the <code>range</code> and the value axes fit the
+ * data within it. A <code>rangeChange</code> event fires whenever the range changes, so that linked charts and
+ * tables can follow along.</p>
+ *
+ * @class ChartZoom
+ * @constructor
+ */
+function ChartZoom() {}
+
+ChartZoom.ATTRS = {
+    /**
+     * Indicates whether the mouse and touch interactions for zooming and panning are enabled. The
+     * <code>range</code> can be set regardless.
+     *
+     * @attribute zoomable
+     * @type Boolean
+     * @default false
+     */
+    zoomable: {
+        value: false
+    },
+
+    /**
+     * The visible range of the category axis. When set, the object must contain a <code>min</code> and a
+     * <code>max</code>. These are category indices for a <code>CategoryAxis</code>, timestamps for a
+     * <code>TimeAxis</code> and numbers for a <code>NumericAxis</code>. The value is clamped to the data and also
+     * contains the <code>startIndex</code> and <code>endIndex</code> of the data within the range. Null when the
+     * chart is not zoomed.
+     *
+     * <p>Listen for <code>rangeChange</code> to follow zooming and panning.</p>
+     *
+     * @attribute range
+     * @type Object
+     */
+    range: {
+        value: null,
+
+        setter: function(val)
+        {
+            return this._setRange(val);
+        }
+    },
+
+    /**
+     * Overview strip displayed underneath the chart. It shows the entire data set and the visible range, which
+     * can be dragged and resized. Accepts a <code>ChartNavigator</code> instance, an object literal used to
+     * construct one or true for the default navigator. By default, no navigator is displayed.
+     *
+     * @attribute navigator
+     * @type ChartNavigator
+     */
+    navigator: {
+        value: null,
+
+        setter: function(val)
+        {
+            return this._setNavigator(val);
+        }
+    }
+};
+
+ChartZoom.prototype = {
+    /**
+     * Zooms the chart by a factor around a value on the category axis. A factor less than 1 zooms in.
+     *
+     * @method zoom
+     * @param {Number} factor Amount by which to scale the visible range.
+     * @param {Number} center (optional) Value that stays in place. Defaults to the center of the visible range.
+     */
+    zoom: function(factor, center)
+    {
+        var range = this._getCurrentRange(),
+            min,
+            max;
+        if(!range)
+        {
+            return;
+        }
+        if(!Y.Lang.isNumber(center))
+        {
+            center = (range.min + range.max) / 2;
+        }
+        min = center - (center - range.min) * factor;
+        max = center + (range.max - center) * factor;
+        if(this.get("categoryAxis") instanceof Y.CategoryAxis)
+        {
+            min = factor > 1 ? Math.floor(min) : Math.round(min);
+            max = factor > 1 ? Math.ceil(max) : Math.round(max);
+        }
+        if(min != range.min || max != range.max)
+        {
+            this.set("range", {min:min, max:max});
+        }
+    },
+
+    /**
+     * Displays the entire category axis.
+     *
+     * @method resetZoom
+     */
+    resetZoom: function()
+    {
+        if(this.get("range"))
+        {
+            this.set("range", null);
+        }
+    },
+
+    /**
+     * @private
+     * @description Range of the category axis when the chart is not zoomed.
+     */
+    _fullRange: null,
+
+    /**
+     * @private
+     */
+    _zoomDrag: null,
+
+    /**
+     * @private
+     */
+    _zoomHandles: null,
+
+    /**
+     * @private
+     */
+    _zoomSelection: null,
+
+    /**
+     * @private
+     * @description Handles for the DOM listeners attached by <code>_bindZoomUI</code>. The mousewheel listener is
+     * global, so it must be detached when the chart is destroyed.
+     */
+    _zoomUIHandles: null,
+
+    /**
+     * @private
+     */
+    destructor: function()
+    {
+        var handles = this._zoomUIHandles,
+            navigator = this.get("navigator"),
+            i = 0,
+            len = handles ? handles.length : 0;
+        this._endZoomDrag();
+        for(; i < len; ++i)
+        {
+            handles[i].detach();
+        }
+        this._zoomUIHandles = null;
+        if(navigator)
+        {
+            navigator.destroy();
+        }
+    },
+
+    /**
+     * @private
+     */
+    _bindZoomUI: function()
+    {
+        var cb = this.get("contentBox"),
+            range = this.get("range");
+        this.after("rangeChange", this._rangeChangeHandler);
+        this.after("navigatorChange", this._navigatorChangeHandler);
+        this.after("dataProviderChange", this.resetZoom);
+        this._zoomUIHandles = [
+            Y.on("mousedown", Y.bind(this._zoomMouseDownHandler, this), cb),
+            Y.on("dblclick", Y.bind(this._zoomDoubleClickHandler, this), cb),
+            Y.on("touchstart", Y.bind(this._zoomTouchStartHandler, this), cb),
+            Y.on("mousewheel", Y.bind(this._zoomMouseWheelHandler, this))
+        ];
+        if(range)
+        {
+            //A range set before the axes were created has not been applied.
+            this.set("range", Y.merge(range));
+        }
+    },
+
+    /**
+     * @private
+     */
+    _isZoomReady: function()
+    {
+        var axis = this.get("categoryAxis"),
+            pos = axis ? axis.get("position") : null;
+        return pos == "bottom" || pos == "top";
+    },
+
+    /**
+     * @private
+     */
+    _getRangeNumber: function(val)
+    {
+        var axis = this.get("categoryAxis");
+        if(axis instanceof Y.TimeAxis)
+        {
+            return axis._getNumber(val);
+        }
+        return Y.Lang.isDate(val) ? val.valueOf() : parseFloat(val);
+    },
+
+    /**
+     * Returns the range of the category axis when the chart is not zoomed.
+     *
+     * @method _getFullRange
+     * @return Object
+     * @protected
+     */
+    _getFullRange: function()
+    {
+        var axis = this.get("categoryAxis");
+        if(this._fullRange)
+        {
+            return this._fullRange;
+        }
+        if(!axis)
+        {
+            return null;
+        }
+        return {
+            min: this._getRangeNumber(axis.get("minimum")),
+            max: this._getRangeNumber(axis.get("maximum")),
+            setMin: axis.get("setMin"),
+            setMax: axis.get("setMax")
+        };
+    },
+
+    /**
+     * Returns the visible range of the category axis.
+     *
+     * @method _getCurrentRange
+     * @return Object
+     * @protected
+     */
+    _getCurrentRange: function()
+    {
+        return this.get("range") || this._getFullRange();
+    },
+
+    /**
+     * Moves the visible range without changing its size, stopping at the ends of the category axis.
+     *
+     * @method _moveRange
+     * @param {Number} min
+     * @param {Number} max
+     * @protected
+     */
+    _moveRange: function(min, max)
+    {
+        var full = this._getFullRange(),
+            range = this._getCurrentRange(),
+            span = max - min;
+        if(!full)
+        {
+            return;
+        }
+        if(min < full.min)
+        {
+            min = full.min;
+            max = min + span;
+        }
+        if(max > full.max)
+        {
+            max = full.max;
+            min = max - span;
+        }
+        if(this.get("categoryAxis") instanceof Y.CategoryAxis)
+        {
+            min = Math.round(min);
+            max = min + Math.round(span);
+        }
+        if(min != range.min || max != range.max)
+        {
+            this.set("range", {min:min, max:max});
+        }
+    },
+
+    /**
+     * @private
+     */
+    _setRange: function(val)
+    {
+        var full,
+            min,
+            max,
+            indices;
+        if(!val)
+        {
+            return null;
+        }
+        if(!this._isZoomReady())
+        {
+            return val;
+        }
+        full = this._getFullRange();
+        min = Math.max(full.min, this._getRangeNumber(val.min));
+        max = Math.min(full.max, this._getRangeNumber(val.max));
+        if(this.get("categoryAxis") instanceof Y.CategoryAxis)
+        {
+            min = Math.round(min);
+            max = Math.round(max);
+        }
+        if(!(max > min))
+        {
+            return Y.Attribute.INVALID_VALUE;
+        }
+        if(min <= full.min && max >= full.max)
+        {
+            return null;
+        }
+        indices = this._getRangeIndices(min, max);
+        return {
+            min: min,
+            max: max,
+            startIndex: indices ? indices.start : null,
+            endIndex: indices ? indices.end : null
+        };
+    },
+
+    /**
+     * @private
+     * @description Returns the indices of the first and last items within a range of the category axis.
+     */
+    _getRangeIndices: function(min, max)
+    {
+        var axis = this.get("categoryAxis"),
+            data,
+            start = -1,
+            end = -1,
+            i = 0,
+            len;
+        if(axis instanceof Y.CategoryAxis)
+        {
+            return {start:min, end:max};
+        }
+        data = axis.getDataByKey(this.get("categoryKey")) || axis.get("data");
+        len = data.length;
+        for(; i < len; ++i)
+        {
+            if(data[i] >= min && data[i] <= max)
+            {
+                if(start < 0)
+                {
+                    start = i;
+                }
+                end = i;
+            }
+        }
+        return start > -1 ? {start:start, end:end} : null;
+    },
+
+    /**
+     * @private
+     */
+    _rangeChangeHandler: function(e)
+    {
+        if(this._isZoomReady())
+        {
+            this._applyRange(e.newVal);
+        }
+    },
+
+    /**
+     * @private
+     * @description Updates the axes for a range.
+     */
+    _applyRange: function(range)
+    {
+        var categoryAxis = this.get("categoryAxis"),
+            axes = this._axesCollection,
+            full,
+            indexRange = null,
+            axis,
+            i = 0,
+            len = axes ? axes.length : 0;
+        if(range)
+        {
+            if(!this._fullRange)
+            {
+                this._fullRange = this._getFullRange();
+            }
+            categoryAxis.set("minimum", range.min);
+            categoryAxis.set("maximum", range.max);
+            if(Y.Lang.isNumber(range.startIndex))
+            {
+                indexRange = {start:range.startIndex, end:range.endIndex};
+            }
+        }
+        else if(this._fullRange)
+        {
+            full = this._fullRange;
+            this._fullRange = null;
+            categoryAxis.set("minimum", full.setMin ? full.min : null);
+            categoryAxis.set("maximum", full.setMax ? full.max : null);
+        }
+        for(; i < len; ++i)
+        {
+            axis = axes[i];
+            if(axis !== categoryAxis && axis instanceof Y.AxisType)
+            {
+                axis.set("indexRange", indexRange);
+            }
+        }
+        this._redraw();
+    },
+
+    /**
+     * @private
+     * @description Returns the category axis value at a distance from the left of the graph.
+     */
+    _getValueAtPoint: function(x)
+    {
+        var axis = this.get("categoryAxis"),
+            w = this.get("graph").get("width"),
+            offset = axis.getEdgeOffset(axis.get("data").length, w),
+            range = this._getCurrentRange();
+        x = Math.max(0, Math.min(w, x));
+        return range.min + (x - offset * 0.5) * (range.max - range.min) / (w - offset);
+    },
+
+    /**
+     * @private
+     * @description Returns the mouse position relative to the graph or null if it is outside of the graph.
+     */
+    _getGraphPoint: function(pageX, pageY)
+    {
+        var graph = this.get("graph"),
+            bb = graph.get("boundingBox"),
+            x = pageX - bb.getX(),
+            y = pageY - bb.getY();
+        if(x < 0 || y < 0 || x > graph.get("width") || y > graph.get("height"))
+        {
+            return null;
+        }
+        return {x:x, y:y};
+    },
+
+    /**
+     * @private
+     */
+    _startZoomDrag: function(x, pan, touch)
+    {
+        this._zoomDrag = {
+            startX: x,
+            pan: pan,
+            range: this._getCurrentRange()
+        };
+        if(touch)
+        {
+            this._zoomHandles = [
+                Y.on("touchmove", Y.bind(this._zoomTouchMoveHandler, this), document),
+                Y.on("touchend", Y.bind(this._zoomTouchEndHandler, this), document)
+            ];
+        }
+        else
+        {
+            this._zoomHandles = [
+                Y.on("mousemove", Y.bind(this._zoomMouseMoveHandler, this), document),
+                Y.on("mouseup", Y.bind(this._zoomMouseUpHandler, this), document)
+            ];
+        }
+    },
+
+    /**
+     * @private
+     */
+    _endZoomDrag: function()
+    {
+        var handles = this._zoomHandles,
+            i = 0,
+            len = handles ? handles.length : 0;
+        for(; i < len; ++i)
+        {
+            handles[i].detach();
+        }
+        this._zoomHandles = null;
+        this._zoomDrag = null;
+        if(this._zoomSelection)
+        {
+            this._zoomSelection.setStyle("display", "none");
+        }
+    },
+
+    /**
+     * @private
+     */
+    _zoomMouseDownHandler: function(e)
+    {
+        var pt;
+        if(!this.get("zoomable") || !this._isZoomReady() || e.button > 1 || this._zoomDrag)
+        {
+            return;
+        }
+        pt = this._getGraphPoint(e.pageX, e.pageY);
+        if(pt)
+        {
+            e.preventDefault();
+            this._startZoomDrag(pt.x, e.shiftKey, false);
+        }
+    },
+
+    /**
+     * @private
+     */
+    _zoomMouseMoveHandler: function(e)
+    {
+        this._dragZoom(e.pageX);
+    },
+
+    /**
+     * @private
+     * @description Pans the chart or updates the selected area during a drag.
+     */
+    _dragZoom: function(pageX)
+    {
+        var drag = this._zoomDrag,
+            graph = this.get("graph"),
+            bb = graph.get("boundingBox"),
+            w = graph.get("width"),
+            x = Math.max(0, Math.min(w, pageX - bb.getX())),
+            range = drag.range,
+            dv,
+            node;
+        if(drag.pan)
+        {
+            dv = (drag.startX - x) * (range.max - range.min) / w;
+            this._moveRange(range.min + dv, range.max + dv);
+        }
+        else
+        {
+            node = this._getZoomSelection();
+            node.setStyle("left", Math.min(drag.startX, x) + "px");
+            node.setStyle("width", Math.abs(x - drag.startX) + "px");
+            node.setStyle("height", graph.get("height") + "px");
+            node.setStyle("display", "block");
+        }
+    },
+
+    /**
+     * @private
+     */
+    _zoomMouseUpHandler: function(e)
+    {
+        var drag = this._zoomDrag,
+            bb = this.get("graph").get("boundingBox"),
+            x = e.pageX - bb.getX(),
+            min,
+            max;
+        if(!drag.pan && Math.abs(x - drag.startX) > 3)
+        {
+            min = this._getValueAtPoint(Math.min(drag.startX, x));
+            max = this._getValueAtPoint(Math.max(drag.startX, x));
+            this.set("range", {min:min, max:max});
+        }
+        this._endZoomDrag();
+    },
+
+    /**
+     * @private
+     * @description Returns the node used to display the area selected with the mouse.
+     */
+    _getZoomSelection: function()
+    {
+        var node = this._zoomSelection;
+        if(!node)
+        {
+            node = Y.one(document.createElement("div"));
+            node.setStyle("position", "absolute");
+            node.setStyle("top", "0px");
+            node.setStyle("backgroundColor", "#426ab3");
+            node.setStyle("opacity", 0.2);
+            node.setStyle("pointerEvents", "none");
+            node.setStyle("zIndex", 3);
+            node.addClass("yui3-chart-zoomselection");
+            this.get("graph").get("boundingBox").appendChild(node);
+            this._zoomSelection = node;
+        }
+        return node;
+    },
+
+    /**
+     * @private
+     */
+    _zoomDoubleClickHandler: function(e)
+    {
+        if(this.get("zoomable") && this._getGraphPoint(e.pageX, e.pageY))
+        {
+            this.resetZoom();
+        }
+    },
+
+    /**
+     * @private
+     */
+    _zoomMouseWheelHandler: function(e)
+    {
+        var pt;
+        if(!this.get("zoomable") || !this._isZoomReady() || !this.get("graph").get("boundingBox").contains(e.target))
+        {
+            return;
+        }
+        pt = this._getGraphPoint(e.pageX, e.pageY);
+        if(pt)
+        {
+            e.preventDefault();
+            this.zoom(e.wheelDelta > 0 ? 0.8 : 1.25, this._getValueAtPoint(pt.x));
+        }
+    },
+
+    /**
+     * @private
+     */
+    _getTouches: function(e)
+    {
+        return e.touches || e._event.touches;
+    },
+
+    /**
+     * @private
+     */
+    _zoomTouchStartHandler: function(e)
+    {
+        var touches = this._getTouches(e),
+            bb = this.get("graph").get("boundingBox"),
+            pt,
+            x1,
+            x2;
+        if(!this.get("zoomable") || !this._isZoomReady() || !touches)
+        {
+            return;
+        }
+        if(touches.length == 1 && !this._zoomDrag)
+        {
+            pt = this._getGraphPoint(touches[0].pageX, touches[0].pageY);
+            if(pt)
+            {
+                e.preventDefault();
+                this._startZoomDrag(pt.x, true, true);
+            }
+        }
+        else if(touches.length == 2)
+        {
+            e.preventDefault();
+            if(!this._zoomDrag)
+            {
+                this._startZoomDrag(0, true, true);
+            }
+            x1 = touches[0].pageX - bb.getX();
+            x2 = touches[1].pageX - bb.getX();
+            this._zoomDrag.pinch = {
+                distance: Math.max(1, Math.abs(x2 - x1)),
+                center: this._getValueAtPoint((x1 + x2) / 2),
+                range: this._getCurrentRange()
+            };
+        }
+    },
+
+    /**
+     * @private
+     */
+    _zoomTouchMoveHandler: function(e)
+    {
+        var touches = this._getTouches(e),
+            pinch = this._zoomDrag.pinch,
+            factor,
+            min,
+            max;
+        e.preventDefault();
+        if(pinch && touches.length > 1)
+        {
+            factor = pinch.distance / Math.max(1, Math.abs(touches[1].pageX - touches[0].pageX));
+            min = pinch.center - (pinch.center - pinch.range.min) * factor;
+            max = pinch.center + (pinch.range.max - pinch.center) * factor;
+            this.set("range", {min:min, max:max});
+        }
+        else if(!pinch)
+        {
+            this._dragZoom(touches[0].pageX);
+        }
+    },
+
+    /**
+     * @private
+     */
+    _zoomTouchEndHandler: function(e)
+    {
+        this._endZoomDrag();
+    },
+
+    /**
+     * @private
+     */
+    _setNavigator: function(val)
+    {
+        if(val === true)
+        {
+            val = {};
+        }
+        if(val && !(val instanceof Y.ChartNavigator))
+        {
+            val = new Y.ChartNavigator(val);
+        }
+        if(val)
+        {
+            val.set("chart", this);
+        }
+        return val;
+    },
+
+    /**
+     * @private
+     */
+    _addNavigator: function()
+    {
+        var navigator = this.get("navigator");
+        if(navigator && !navigator.get("rendered"))
+        {
+            navigator.render(this.get("contentBox"));
+        }
+    },
+
+    /**
+     * @private
+     */
+    _navigatorChangeHandler: function(e)
+    {
+        if(e.prevVal && e.prevVal !== e.newVal)
+        {
+            e.prevVal.destroy();
+        }
+        this._addNavigator();
+        this._redraw();
+    },
+
+    /**
+     * @private
+     * @description Returns the height reserved for the navigator.
+     */
+    _getNavigatorHeight: function()
+    {
+        var navigator = this.get("navigator");
+        if(navigator && navigator.get("rendered") && navigator.get("visible"))
+        {
+            return navigator.get("styles").height;
+        }
+        return 0;
+    }
+};
+
+Y.ChartZoom = ChartZoom;
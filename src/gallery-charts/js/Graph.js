@@ -61,7 +61,8 @@ Y.Graph = Y.Base.create("graph", Y.Widget, [Y.Renderer], {
             i = 0,
             len = sc.length,
             hgl = this.get("horizontalGridlines"),
-            vgl = this.get("verticalGridlines");
+            vgl = this.get("verticalGridlines"),
+            rgl = this.get("radialGridlines");
         for(; i < len; ++i)
         {
             series = sc[i];
@@ -78,6 +79,10 @@ Y.Graph = Y.Base.create("graph", Y.Widget, [Y.Renderer], {
         {
             vgl.draw();
         }
+        if(rgl && rgl instanceof Y.RadialGridlines)
+        {
+            rgl.draw();
+        }
     },
 
     /**
@@ -311,6 +316,15 @@ Y.Graph = Y.Base.create("graph", Y.Widget, [Y.Renderer], {
             case "pie" :
                 seriesClass = Y.PieSeries;
             break;
+            case "polar" :
+                seriesClass = Y.PolarSeries;
+            break;
+            case "radar" :
+                seriesClass = Y.RadarSeries;
+            break;
+            case "bubble" :
+                seriesClass = Y.BubbleSeries;
+            break;
             case "combo" :
                 seriesClass = Y.ComboSeries;
             break;
@@ -364,6 +378,7 @@ Y.Graph = Y.Base.create("graph", Y.Widget, [Y.Renderer], {
     {
         var hgl = this.get("horizontalGridlines"),
             vgl = this.get("verticalGridlines"),
+            rgl = this.get("radialGridlines"),
             w = this.get("width"),
             h = this.get("height"),
             graphicNode,
@@ -402,6 +417,10 @@ Y.Graph = Y.Base.create("graph", Y.Widget, [Y.Renderer], {
         {
             vgl.draw();
         }
+        if(rgl && rgl instanceof Y.RadialGridlines)
+        {
+            rgl.draw();
+        }
         this._drawSeries();
     },
 
@@ -590,6 +609,39 @@ Y.Graph = Y.Base.create("graph", Y.Widget, [Y.Renderer], {
                     return gl;
                 }
             }
+        },
+
+        /**
+         * Reference to the <code>RadialGridlines</code> instance used by radar and polar series.
+         *
+         * @attribute radialGridlines
+         * @type RadialGridlines
+         * @default null
+         */
+        radialGridlines: {
+            value: null,
+
+            setter: function(val)
+            {
+                var gl = this.get("radialGridlines");
+                if(gl && gl instanceof Y.RadialGridlines)
+                {
+                    gl.remove();
+                }
+                if(val instanceof Y.RadialGridlines)
+                {
+                    val.set("graph", this);
+                    val.render();
+                    return val;
+                }
+                else if(val)
+                {
+                    gl = new Y.RadialGridlines({graph:this, styles:val.styles});
+                    gl.render();
+                    return gl;
+                }
+                return null;
+            }
         }
 
         /**
@@ -1,11 +1,13 @@
 /**
- * The PieChart class creates a pie chart
+ * The PieChart class creates a pie chart. It also creates the radar and polar charts, which arrange their
+ * categories in a circle.
  *
  * @class PieChart
  * @extends ChartBase
+ * @uses ChartExport
  * @constructor
  */
-Y.PieChart = Y.Base.create("pieChart", Y.Widget, [Y.ChartBase], {
+Y.PieChart = Y.Base.create("pieChart", Y.Widget, [Y.ChartBase, Y.ChartExport], {
     /**
      * @private
      */
@@ -73,7 +75,7 @@ Y.PieChart = Y.Base.create("pieChart", Y.Widget, [Y.ChartBase], {
             if(hash.hasOwnProperty(i))
             {
                 dh = hash[i];
-                pos = type == "pie" ? "none" : dh.position;
+                pos = this._isRadialType(type) ? "none" : dh.position;
                 axisClass = this._getAxisClass(dh.type);
                 config = {dataProvider:this.get("dataProvider")};
                 if(dh.hasOwnProperty("roundingUnit"))
@@ -138,6 +140,7 @@ Y.PieChart = Y.Base.create("pieChart", Y.Widget, [Y.ChartBase], {
             seriesCollection = this.get("seriesCollection");
         this._parseSeriesAxes(seriesCollection);
         graph.set("showBackground", false);
+        this._addRadialGridlines();
         graph.set("width", this.get("width"));
         graph.set("height", this.get("height"));
         graph.set("seriesCollection", seriesCollection);
@@ -145,6 +148,40 @@ Y.PieChart = Y.Base.create("pieChart", Y.Widget, [Y.ChartBase], {
         graph.render(this.get("contentBox"));
     },
 
+    /**
+     * @private
+     * @description Indicates whether a chart type arranges its categories in a circle.
+     */
+    _isRadialType: function(type)
+    {
+        return type == "pie" || type == "radar" || type == "polar";
+    },
+
+    /**
+     * @private
+     */
+    _radialGridlines: true,
+
+    /**
+     * @private
+     * @description Adds gridlines to the graph for radar and polar charts. Polar charts have circular rings.
+     */
+    _addRadialGridlines: function()
+    {
+        var type = this.get("type"),
+            gridlines = this._radialGridlines;
+        if(type != "radar" && type != "polar")
+        {
+            return;
+        }
+        if(gridlines && !(gridlines instanceof Y.RadialGridlines))
+        {
+            gridlines = Y.merge(gridlines);
+            gridlines.styles = Y.merge({shape:type == "polar" ? "circle" : "polygon"}, gridlines.styles);
+        }
+        this.get("graph").set("radialGridlines", gridlines || null);
+    },
+
     /**
      * @private
      */
@@ -259,11 +296,17 @@ Y.PieChart = Y.Base.create("pieChart", Y.Widget, [Y.ChartBase], {
      */
     _redraw: function()
     {
-        var graph = this.get("graph");
+        var graph = this.get("graph"),
+            w = this.get("width"),
+            h = this.get("height"),
+            legendOffsets;
         if(graph)
         {
-            graph.set("width", this.get("width"));
-            graph.set("height", this.get("height"));
+            legendOffsets = this._getLegendOffsets(w, h);
+            graph.get("boundingBox").setStyle("left", legendOffsets.left + "px");
+            graph.get("boundingBox").setStyle("top", legendOffsets.top + "px");
+            graph.set("width", w - (legendOffsets.left + legendOffsets.right));
+            graph.set("height", h - (legendOffsets.top + legendOffsets.bottom));
         }
     }
 }, {
@@ -306,13 +349,53 @@ Y.PieChart = Y.Base.create("pieChart", Y.Widget, [Y.ChartBase], {
         },
         
         /**
-         * Type of chart when there is no series collection specified.
+         * Type of chart when there is no series collection specified. Can be <code>pie</code>, <code>radar</code>
+         * or <code>polar</code>.
          *
          * @attribute type
          * @type String 
          */
         type: {
             value: "pie"
+        },
+
+        /**
+         * Spokes, rings and labels displayed behind radar and polar charts. Accepts a <code>RadialGridlines</code>
+         * instance or an object literal containing <code>styles</code> for one. Set to false to hide the gridlines.
+         *
+         * @attribute radialGridlines
+         * @type RadialGridlines
+         */
+        radialGridlines: {
+            getter: function()
+            {
+                var graph = this.get("graph");
+                if(graph && graph.get("radialGridlines"))
+                {
+                    return graph.get("radialGridlines");
+                }
+                return this._radialGridlines;
+            },
+
+            setter: function(val)
+            {
+                var graph = this.get("graph"),
+                    gridlines;
+                if(val && !Y.Lang.isObject(val))
+                {
+                    val = {};
+                }
+                this._radialGridlines = val;
+                if(graph && graph.get("rendered"))
+                {
+                    this._addRadialGridlines();
+                    gridlines = graph.get("radialGridlines");
+                    if(gridlines)
+                    {
+                        gridlines.draw();
+                    }
+                }
+            }
         }
     }
 });
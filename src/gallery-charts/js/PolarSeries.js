@@ -0,0 +1,136 @@
+/**
+ * PolarSeries visualizes data as a circular chart divided into wedges of equal angle, one for each category.
+ * The radius of each wedge represents its value.
+ *
+ * @class PolarSeries
+ * @extends PieSeries
+ * @uses RadialUtil
+ * @constructor
+ */
+Y.PolarSeries = Y.Base.create("polarSeries", Y.PieSeries, [Y.RadialUtil], {
+    /**
+     * Wedges are centered between the spokes.
+     *
+     * @private
+     */
+    _radialAngleOffset: 0.5,
+
+    /**
+     * @private
+     */
+    drawPlots: function()
+    {
+        var values = this.get("valueAxis").getDataByKey(this.get("valueKey")),
+            geometry = this._getRadialGeometry(),
+            itemCount = Math.min(values ? values.length : 0, geometry.count),
+            styles = this.get("styles").marker,
+            fillColors = styles.fill.colors,
+            fillAlphas = styles.fill.alphas || ["1"],
+            borderColors = styles.border.colors,
+            graph = this.get("graph"),
+            w = graph.get("width"),
+            h = graph.get("height"),
+            arc = 360 / geometry.count,
+            graphOrder = this.get("graphOrder"),
+            xcoords = [],
+            ycoords = [],
+            isCanvas = DRAWINGAPI == "canvas",
+            wedgeStyle,
+            radius,
+            angle,
+            point,
+            i = 0;
+        this._createMarkerCache();
+        if(isCanvas)
+        {
+            this._setMap();
+            this._image.width = w;
+            this._image.height = h;
+        }
+        for(; i < itemCount; ++i)
+        {
+            radius = this._getRadialDistance(geometry, parseFloat(values[i]));
+            angle = this._getRadialAngle(geometry, i);
+            point = this._getRadialPoint(geometry, angle, radius / 2);
+            xcoords.push(Math.round(point.x));
+            ycoords.push(Math.round(point.y));
+            wedgeStyle = {
+                border: {
+                    color: borderColors && borderColors.length > 0 ? borderColors[i % borderColors.length] : null,
+                    weight: styles.border.weight,
+                    alpha: styles.border.alpha
+                },
+                fill: {
+                    color: fillColors && fillColors.length > 0 ? fillColors[i % fillColors.length] : this._getDefaultColor(i, "slice"),
+                    alpha: fillAlphas[i % fillAlphas.length]
+                },
+                shape: "wedge",
+                props: {
+                    arc: arc,
+                    radius: radius,
+                    startAngle: angle + arc / 2,
+                    x: geometry.x,
+                    y: geometry.y
+                },
+                width: w,
+                height: h
+            };
+            this.getMarker(wedgeStyle, graphOrder, i);
+            if(isCanvas)
+            {
+                this._addHotspot(wedgeStyle.props, graphOrder, i);
+            }
+        }
+        this._clearMarkerCache();
+        this.set("xcoords", xcoords);
+        this.set("ycoords", ycoords);
+    },
+
+    /**
+     * @private
+     */
+    _getRadialPadding: function()
+    {
+        return this.get("styles").marker.padding;
+    },
+
+    /**
+     * @private
+     */
+    _getPlotDefaults: function()
+    {
+        var defs = Y.PolarSeries.superclass._getPlotDefaults.apply(this);
+        defs.padding = {
+            top: 30,
+            right: 30,
+            bottom: 30,
+            left: 30
+        };
+        defs.fill.alphas = ["0.8"];
+        defs.border.weight = 1;
+        return defs;
+    }
+}, {
+    ATTRS: {
+        /**
+         * Read-only attribute indicating the type of series.
+         *
+         * @attribute type
+         * @type String
+         * @default polar
+         */
+        type: {
+            value: "polar"
+        }
+
+        /**
+         * Style properties used for drawing wedges. The defaults are the same as <code>PieSeries</code> except that the
+         * fill <code>alphas</code> are [0.8], the border <code>weight</code> is 1 and each value of <code>padding</code>
+         * is 30. The padding is the space between the edges of the graph and the wedges and is used for the category
+         * labels.
+         *
+         * @attribute styles
+         * @type Object
+         */
+    }
+});
@@ -0,0 +1,296 @@
+/**
+ * RadarSeries plots values on spokes arranged in a circle, one spoke for each category, and connects them
+ * into a closed shape. Each series type has a corresponding boolean attribute indicating if it is rendered.
+ * By default, lines and markers are rendered and the area is not.
+ *
+ * @class RadarSeries
+ * @extends PieSeries
+ * @uses Fills
+ * @uses Lines
+ * @uses RadialUtil
+ * @constructor
+ */
+Y.RadarSeries = Y.Base.create("radarSeries", Y.PieSeries, [Y.Fills, Y.Lines, Y.RadialUtil], {
+    /**
+     * @private
+     */
+    addListeners: function()
+    {
+        Y.RadarSeries.superclass.addListeners.apply(this);
+        this.after("visibleChange", this._toggleVisible);
+    },
+
+    /**
+     * @protected
+     *
+     * Draws the series. Overrides the base implementation.
+     *
+     * @method drawSeries
+     */
+    drawSeries: function()
+    {
+        var graph = this.get("graph"),
+            graphic = this.get("graphic");
+        this.setAreaData();
+        graphic.clear();
+        graphic.setSize(graph.get("width"), graph.get("height"));
+        if(this.get("showAreaFill"))
+        {
+            this.drawFill.apply(this, this._getClosingPoints());
+        }
+        if(this.get("showLines"))
+        {
+            this.drawLines();
+        }
+        else if(this._lineGraphic)
+        {
+            this._lineGraphic.clear();
+        }
+        if(this.get("showMarkers"))
+        {
+            this.drawPlots();
+        }
+        else if(this._markers)
+        {
+            this._createMarkerCache();
+            this._clearMarkerCache();
+        }
+        this._toggleVisible(this.get("visible"));
+    },
+
+    /**
+     * @protected
+     *
+     * Calculates the coordinates for the series. Missing values are stored as <code>NaN</code>.
+     *
+     * @method setAreaData
+     */
+    setAreaData: function()
+    {
+        var values = this.get("valueAxis").getDataByKey(this.get("valueKey")),
+            geometry = this._getRadialGeometry(),
+            xcoords = [],
+            ycoords = [],
+            value,
+            point,
+            i = 0,
+            len = Math.min(values ? values.length : 0, geometry.count);
+        for(; i < len; ++i)
+        {
+            value = parseFloat(values[i]);
+            if(isNaN(value))
+            {
+                xcoords.push(NaN);
+                ycoords.push(NaN);
+                continue;
+            }
+            point = this._getRadialPoint(geometry, this._getRadialAngle(geometry, i), this._getRadialDistance(geometry, value));
+            xcoords.push(Math.round(point.x));
+            ycoords.push(Math.round(point.y));
+        }
+        this.set("xcoords", xcoords);
+        this.set("ycoords", ycoords);
+    },
+
+    /**
+     * @private
+     * @description Returns the coordinates of the valid points, ending with the first point.
+     */
+    _getClosingPoints: function()
+    {
+        var xcoords = this.get("xcoords"),
+            ycoords = this.get("ycoords"),
+            closedX = [],
+            closedY = [],
+            i = 0,
+            len = xcoords.length;
+        for(; i < len; ++i)
+        {
+            if(!isNaN(xcoords[i]) && !isNaN(ycoords[i]))
+            {
+                closedX.push(xcoords[i]);
+                closedY.push(ycoords[i]);
+            }
+        }
+        if(closedX.length > 0)
+        {
+            closedX.push(closedX[0]);
+            closedY.push(closedY[0]);
+        }
+        return [closedX, closedY];
+    },
+
+    /**
+     * Draws a closed line through the valid points of the series.
+     *
+     * @method drawLines
+     * @protected
+     */
+    drawLines: function()
+    {
+        var points = this._getClosingPoints(),
+            xcoords = points[0],
+            ycoords = points[1],
+            styles = this.get("styles").line,
+            graphic = this._getGraphic(),
+            i = 1,
+            len = xcoords.length;
+        if(len < 2)
+        {
+            return;
+        }
+        graphic.lineStyle(styles.weight, styles.color || this._getDefaultColor(this.get("graphOrder"), "line"), styles.alpha);
+        graphic.moveTo(xcoords[0], ycoords[0]);
+        for(; i < len; ++i)
+        {
+            graphic.lineTo(xcoords[i], ycoords[i]);
+        }
+        graphic.end();
+    },
+
+    /**
+     * @private
+     */
+    drawPlots: function()
+    {
+        Y.Plots.prototype.drawPlots.apply(this);
+    },
+
+    /**
+     * @private
+     */
+    updateMarkerState: function(type, i)
+    {
+        Y.Plots.prototype.updateMarkerState.apply(this, arguments);
+    },
+
+    /**
+     * @private
+     */
+    _createMarker: function(styles, order, index)
+    {
+        return Y.Plots.prototype._createMarker.apply(this, arguments);
+    },
+
+    /**
+     * @private
+     */
+    _clearMarkerCache: function()
+    {
+        Y.Plots.prototype._clearMarkerCache.apply(this);
+    },
+
+    /**
+     * @private
+     */
+    _getPlotDefaults: function()
+    {
+        var defs = Y.Plots.prototype._getPlotDefaults.apply(this);
+        defs.width = 8;
+        defs.height = 8;
+        return defs;
+    },
+
+    /**
+     * @protected
+     *
+     * Method used by <code>styles</code> setter. Overrides base implementation.
+     *
+     * @method _setStyles
+     * @param {Object} newStyles Hash of properties to update.
+     * @return Object
+     */
+    _setStyles: function(val)
+    {
+        return Y.Plots.prototype._setStyles.apply(this, [val]);
+    },
+
+    /**
+     * @protected
+     *
+     * Returns the default hash for the <code>styles</code> attribute.
+     *
+     * @method _getDefaultStyles
+     * @return Object
+     */
+    _getDefaultStyles: function()
+    {
+        var styles = Y.RadarSeries.superclass._getDefaultStyles.apply(this);
+        styles.line = this._getLineDefaults();
+        styles.line.weight = 2;
+        styles.area = this._getAreaDefaults();
+        styles.area.alpha = 0.5;
+        styles.padding = {
+            top: 30,
+            right: 30,
+            bottom: 30,
+            left: 30
+        };
+        return styles;
+    }
+},
+{
+    ATTRS: {
+        /**
+         * Read-only attribute indicating the type of series.
+         *
+         * @attribute type
+         * @type String
+         * @default radar
+         */
+        type: {
+            value:"radar"
+        },
+
+        /**
+         * Indicates whether a fill is displayed.
+         *
+         * @attribute showAreaFill
+         * @type Boolean
+         * @default false
+         */
+        showAreaFill: {
+            value: false
+        },
+
+        /**
+         * Indicates whether lines are displayed.
+         *
+         * @attribute showLines
+         * @type Boolean
+         * @default true
+         */
+        showLines: {
+            value: true
+        },
+
+        /**
+         * Indicates whether markers are displayed.
+         *
+         * @attribute showMarkers
+         * @type Boolean
+         * @default true
+         */
+        showMarkers: {
+            value: true
+        }
+
+        /**
+         * Style properties used for drawing the series. Below are the default values:
+         *  <dl>
+         *      <dt>marker</dt><dd>Styles for the markers. The defaults are the same as <code>MarkerSeries</code>
+         *      except that the <code>width</code> and <code>height</code> are 8.</dd>
+         *      <dt>line</dt><dd>Styles for the lines. The defaults are the same as <code>LineSeries</code> except that
+         *      the <code>weight</code> is 2. Dashed lines are not supported.</dd>
+         *      <dt>area</dt><dd>Styles for the fill. The <code>color</code> is determined by the order of the series on
+         *      the graph and the default <code>alpha</code> is 0.5.</dd>
+         *      <dt>padding</dt><dd>A hash containing the <code>top</code>, <code>right</code>, <code>bottom</code> and
+         *      <code>left</code> space between the edges of the graph and the series. The space is used for the
+         *      category labels. The default value for each is 30.</dd>
+         *  </dl>
+         *
+         * @attribute styles
+         * @type Object
+         */
+    }
+});
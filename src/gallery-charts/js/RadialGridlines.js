@@ -0,0 +1,273 @@
+/**
+ * RadialGridlines draws the spokes, rings and labels for the radar and polar series on a Graph. The gridlines are
+ * sized and positioned by the first series in the graph.
+ *
+ * @class RadialGridlines
+ * @constructor
+ * @extends Base
+ * @uses Renderer
+ */
+Y.RadialGridlines = Y.Base.create("radialGridlines", Y.Base, [Y.Renderer], {
+    /**
+     * @private
+     */
+    render: function()
+    {
+        this._setCanvas();
+    },
+
+    /**
+     * @private
+     */
+    remove: function()
+    {
+        var graphic = this.get("graphic"),
+            gNode;
+        if(graphic)
+        {
+            gNode = graphic.node;
+            if(gNode)
+            {
+                Y.one(gNode).remove();
+            }
+        }
+        this._removeLabels(0);
+    },
+
+    /**
+     * @protected
+     *
+     * Draws the gridlines
+     *
+     * @method draw
+     */
+    draw: function()
+    {
+        var series = this._getRadialSeries();
+        if(series && series.get("categoryAxis") && series.get("valueAxis"))
+        {
+            this._drawGridlines(series);
+        }
+    },
+
+    /**
+     * @private
+     */
+    _labels: null,
+
+    /**
+     * @private
+     * @description Returns the first series in the graph that is arranged in a circle.
+     */
+    _getRadialSeries: function()
+    {
+        var graph = this.get("graph"),
+            sc = graph ? graph.get("seriesCollection") : null,
+            i = 0,
+            len = sc ? sc.length : 0;
+        for(; i < len; ++i)
+        {
+            if(sc[i] && sc[i]._getRadialGeometry)
+            {
+                return sc[i];
+            }
+        }
+        return null;
+    },
+
+    /**
+     * @private
+     */
+    _drawGridlines: function(series)
+    {
+        var graphic = this.get("graphic"),
+            graph = this.get("graph"),
+            styles = this.get("styles"),
+            line = styles.line,
+            label = styles.label,
+            geometry = series._getRadialGeometry(),
+            categoryAxis = series.get("categoryAxis"),
+            valueAxis = series.get("valueAxis"),
+            categories = categoryAxis.getDataByKey(series.get("categoryKey")),
+            count = geometry.count,
+            rings = Math.max(2, valueAxis.getTotalMajorUnits()),
+            circular = styles.shape == "circle",
+            segments = circular ? 72 : count,
+            labelIndex = 0,
+            distance,
+            point,
+            angle,
+            value,
+            i,
+            j;
+        if(!graphic)
+        {
+            this._setCanvas();
+            graphic = this.get("graphic");
+        }
+        graphic.clear();
+        graphic.setSize(graph.get("width"), graph.get("height"));
+        if(count < 1 || geometry.radius <= 0)
+        {
+            this._removeLabels(0);
+            return;
+        }
+        graphic.lineStyle(line.weight, line.color, line.alpha);
+        for(i = 0; i < count; ++i)
+        {
+            point = series._getRadialPoint(geometry, -90 + 360 * i / count, geometry.radius);
+            graphic.moveTo(Math.round(geometry.x), Math.round(geometry.y));
+            graphic.lineTo(Math.round(point.x), Math.round(point.y));
+        }
+        for(i = 1; i < rings; ++i)
+        {
+            distance = geometry.radius * i / (rings - 1);
+            for(j = 0; j <= segments; ++j)
+            {
+                point = series._getRadialPoint(geometry, -90 + 360 * j / segments, distance);
+                if(j === 0)
+                {
+                    graphic.moveTo(Math.round(point.x), Math.round(point.y));
+                }
+                else
+                {
+                    graphic.lineTo(Math.round(point.x), Math.round(point.y));
+                }
+            }
+        }
+        graphic.end();
+        if(label.display)
+        {
+            for(i = 0; i < count; ++i)
+            {
+                angle = series._getRadialAngle(geometry, i);
+                point = series._getRadialPoint(geometry, angle, geometry.radius + label.margin);
+                value = categoryAxis.get("labelFunction").apply(this, [categories[i], categoryAxis.get("labelFormat")]);
+                this._placeLabel(labelIndex++, value, point, angle);
+            }
+            for(i = 1; i < rings; ++i)
+            {
+                point = series._getRadialPoint(geometry, -90, geometry.radius * i / (rings - 1));
+                value = geometry.min + (geometry.max - geometry.min) * i / (rings - 1);
+                value = valueAxis.get("labelFunction").apply(this, [value, valueAxis.get("labelFormat")]);
+                this._placeLabel(labelIndex++, value, {x:point.x + label.margin, y:point.y}, 0);
+            }
+        }
+        this._removeLabels(labelIndex);
+    },
+
+    /**
+     * @private
+     * @description Positions a label so that it extends away from the center in the direction of its angle.
+     */
+    _placeLabel: function(index, text, point, angle)
+    {
+        var labels = this._labels || (this._labels = []),
+            styles = this.get("styles").label,
+            node = labels[index],
+            radians = angle / 180 * Math.PI,
+            w,
+            h;
+        if(!node)
+        {
+            node = Y.one(document.createElement("div"));
+            node.addClass("yui3-radialgridlines-label");
+            node.setStyle("position", "absolute");
+            node.setStyle("whiteSpace", "nowrap");
+            this.get("graph").get("contentBox").appendChild(node);
+            labels[index] = node;
+        }
+        node.setStyle("color", styles.color);
+        node.setStyle("fontSize", styles.fontSize);
+        node.set("innerHTML", text);
+        w = node.get("offsetWidth");
+        h = node.get("offsetHeight");
+        node.setStyle("left", Math.round(point.x - w/2 + Math.cos(radians) * w/2) + "px");
+        node.setStyle("top", Math.round(point.y - h/2 + Math.sin(radians) * h/2) + "px");
+    },
+
+    /**
+     * @private
+     * @description Removes the labels starting at an index.
+     */
+    _removeLabels: function(index)
+    {
+        var labels = this._labels;
+        while(labels && labels.length > index)
+        {
+            labels.pop().remove();
+        }
+    },
+
+    /**
+     * @private
+     * Creates a <code>Graphic</code> instance.
+     */
+    _setCanvas: function()
+    {
+        this.set("graphic", new Y.Graphic());
+        this.get("graphic").render(this.get("graph").get("contentBox"));
+    },
+
+    /**
+     * @protected
+     *
+     * Gets the default value for the <code>styles</code> attribute. Overrides
+     * base implementation.
+     *
+     * @method _getDefaultStyles
+     * @return Object
+     */
+    _getDefaultStyles: function()
+    {
+        var defs = {
+            shape: "polygon",
+            line: {
+                color:"#dad8c9",
+                weight: 1,
+                alpha: 1
+            },
+            label: {
+                display: true,
+                color: "#808080",
+                fontSize: "85%",
+                margin: 4
+            }
+        };
+        return defs;
+    }
+},
+{
+    ATTRS: {
+        /**
+         * Indicates the <code>Graph</code> in which the gridlines
+         * are drawn.
+         *
+         * @attribute graph
+         * @type Graph
+         */
+        graph: {}
+
+        /**
+         * Style properties used for drawing the gridlines. Below are the default values:
+         *  <dl>
+         *      <dt>shape</dt><dd>Shape of the rings. Either <code>polygon</code> or <code>circle</code>. The default
+         *      value is polygon.</dd>
+         *      <dt>line</dt><dd>A hash containing the <code>color</code>, <code>weight</code> and <code>alpha</code>
+         *      of the spokes and rings. The defaults are #dad8c9, 1 and 1.</dd>
+         *      <dt>label</dt><dd>A hash containing the following values:
+         *          <dl>
+         *              <dt>display</dt><dd>Indicates whether the category and value labels are displayed. The
+         *              default value is true.</dd>
+         *              <dt>color</dt><dd>Color of the labels. The default value is #808080.</dd>
+         *              <dt>fontSize</dt><dd>Font size of the labels. The default value is 85%.</dd>
+         *              <dt>margin</dt><dd>Distance between the labels and the gridlines. The default value is 4.</dd>
+         *          </dl>
+         *      </dd>
+         *  </dl>
+         *
+         * @attribute styles
+         * @type Object
+         */
+    }
+});
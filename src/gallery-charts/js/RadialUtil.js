@@ -0,0 +1,111 @@
+/**
+ * Utility class used by series that arrange their categories in a circle.
+ *
+ * @class RadialUtil
+ * @constructor
+ */
+function RadialUtil(){}
+
+RadialUtil.prototype = {
+    /**
+     * Fraction of a category's sweep at which its items are placed. Items are placed on the spokes by default.
+     *
+     * @property _radialAngleOffset
+     * @type Number
+     * @protected
+     */
+    _radialAngleOffset: 0,
+
+    /**
+     * Returns the center, radius and value range used to plot the series.
+     *
+     * @method _getRadialGeometry
+     * @return Object
+     * @protected
+     */
+    _getRadialGeometry: function()
+    {
+        var graph = this.get("graph"),
+            padding = this._getRadialPadding(),
+            w = graph.get("width") - (padding.left + padding.right),
+            h = graph.get("height") - (padding.top + padding.bottom),
+            categoryAxis = this.get("categoryAxis"),
+            valueAxis = this.get("valueAxis"),
+            categories = categoryAxis ? categoryAxis.getDataByKey(this.get("categoryKey")) : null;
+        return {
+            x: padding.left + w/2,
+            y: padding.top + h/2,
+            radius: Math.max(0, Math.min(w, h)/2),
+            min: valueAxis ? valueAxis.get("minimum") : 0,
+            max: valueAxis ? valueAxis.get("maximum") : 0,
+            count: categories ? categories.length : 0,
+            offset: this._radialAngleOffset
+        };
+    },
+
+    /**
+     * Returns the padding between the edges of the graph and the plot area.
+     *
+     * @method _getRadialPadding
+     * @return Object
+     * @protected
+     */
+    _getRadialPadding: function()
+    {
+        return this.get("styles").padding;
+    },
+
+    /**
+     * Returns the angle, in degrees, of a category. The first category is at the top and the categories proceed
+     * clockwise.
+     *
+     * @method _getRadialAngle
+     * @param {Object} geometry Hash returned by <code>_getRadialGeometry</code>.
+     * @param {Number} index Index of the category.
+     * @return Number
+     * @protected
+     */
+    _getRadialAngle: function(geometry, index)
+    {
+        return -90 + 360 * (index + geometry.offset) / geometry.count;
+    },
+
+    /**
+     * Returns the distance from the center for a value.
+     *
+     * @method _getRadialDistance
+     * @param {Object} geometry Hash returned by <code>_getRadialGeometry</code>.
+     * @param {Number} value
+     * @return Number
+     * @protected
+     */
+    _getRadialDistance: function(geometry, value)
+    {
+        var range = geometry.max - geometry.min;
+        if(!(range > 0) || !Y.Lang.isNumber(value) || isNaN(value))
+        {
+            return 0;
+        }
+        return Math.max(0, Math.min(1, (value - geometry.min) / range)) * geometry.radius;
+    },
+
+    /**
+     * Returns the coordinates of a point at an angle and distance from the center.
+     *
+     * @method _getRadialPoint
+     * @param {Object} geometry Hash returned by <code>_getRadialGeometry</code>.
+     * @param {Number} angle Angle in degrees.
+     * @param {Number} distance Distance from the center.
+     * @return Object
+     * @protected
+     */
+    _getRadialPoint: function(geometry, angle, distance)
+    {
+        var radians = angle / 180 * Math.PI;
+        return {
+            x: geometry.x + Math.cos(radians) * distance,
+            y: geometry.y + Math.sin(radians) * distance
+        };
+    }
+};
+Y.RadialUtil = RadialUtil;
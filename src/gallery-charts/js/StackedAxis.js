@@ -29,7 +29,8 @@ Y.extend(StackedAxis, Y.NumericAxis,
             i = 0,
             key,
             num,
-            keys = this.get("keys");
+            keys = this.get("keys"),
+            range = this.get("indexRange");
 
         for(key in keys)
         {
@@ -38,6 +39,11 @@ Y.extend(StackedAxis, Y.NumericAxis,
                 len = Math.max(len, keys[key].length);
             }
         }
+        if(range)
+        {
+            i = range.start;
+            len = Math.min(len, range.end + 1);
+        }
         for(; i < len; ++i)
         {
             pos = 0;
@@ -1,7 +1,7 @@
 /**
  * The gallery-charts module allows for the creation of graphic data visualizations.
  * @module gallery-charts
- * @depends dom, datatype, event-custom, event-mouseenter, widget, widget-position, widget-stack
+ * @depends dom, datatype, event-custom, event-mouseenter, event-mousewheel, widget, widget-position, widget-stack
  */
     var Lang = Y.Lang,
         Node = Y.Node,
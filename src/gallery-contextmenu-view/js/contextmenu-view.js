@@ -188,7 +188,7 @@ Y.ContextMenuView = Y.Base.create('contextmenu', Y.View, [],{
      * @private
      */
     _selectMenuItem: function(e){
-        var tar = e.target,
+        var tar = e.currentTarget,
             menuData = +(tar.getData('cmenu')),
             menuItems = this.get('menuItems');
 
@@ -0,0 +1,103 @@
+YUI.add('contextmenu-view-test', function (Y) {
+
+var Assert = Y.Assert,
+
+    suite;
+
+// -- ContextMenuView Suite ----------------------------------------------------
+suite = new Y.Test.Suite('ContextMenuView');
+
+// -- ContextMenuView: Menu ----------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Menu',
+
+    setUp: function () {
+        Y.one('body').append('<ul id="list"><li class="item">One</li><li class="item">Two</li></ul>');
+
+        this.menu = new Y.ContextMenuView({
+            trigger:   { node: Y.one('#list'), target: 'li.item' },
+            menuItems: [
+                { label: 'Open', value: 'open' },
+                { label: '<input type="checkbox"> <b>Pin</b>', value: 'pin' }
+            ]
+        });
+    },
+
+    tearDown: function () {
+        this.menu.destroy();
+        delete this.menu;
+        Y.one('#list').remove(true);
+    },
+
+    menuItem: function (index) {
+        return this.menu.get('container').all('.yui3-contextmenu-menuitem').item(index);
+    },
+
+    'the menu items should be rendered into the overlay': function () {
+        var items = this.menu.get('container').all('.yui3-contextmenu-menuitem');
+
+        Assert.areSame(2, items.size());
+        Assert.areSame('1', items.item(1).getData('cmenu'));
+        Assert.isFalse(this.menu.get('overlay').get('visible'));
+    },
+
+    'a right-click on a target should show the menu': function () {
+        var shown = 0,
+            li    = Y.all('#list li').item(1);
+
+        this.menu.on('contextMenuShow', function () {
+            shown++;
+        });
+
+        li.simulate('contextmenu');
+
+        Assert.areSame(1, shown);
+        Assert.areSame(li, this.menu.get('contextTarget'));
+        Assert.isTrue(this.menu.get('overlay').get('visible'));
+    },
+
+    'clicking a menu item should select it and hide the menu': function () {
+        var hidden = 0,
+            selected;
+
+        this.menu.on('contextMenuHide', function () {
+            hidden++;
+        });
+
+        Y.one('#list li').simulate('contextmenu');
+        this.menuItem(0).simulate('click');
+
+        selected = this.menu.get('selectedMenu');
+        Assert.areSame(0, selected.menuIndex);
+        Assert.areSame('open', selected.menuItem.value);
+        Assert.isFalse(this.menu.get('overlay').get('visible'));
+        Assert.isTrue(hidden > 0);
+    },
+
+    'clicking the content of a menu item should select the item': function () {
+        Y.one('#list li').simulate('contextmenu');
+        this.menuItem(1).one('b').simulate('click');
+
+        Assert.areSame(1, this.menu.get('selectedMenu').menuIndex);
+        Assert.areSame('pin', this.menu.get('selectedMenu').menuItem.value);
+
+        this.menu.set('selectedMenu', null);
+        this.menuItem(1).one('input').simulate('click');
+
+        Assert.areSame('pin', this.menu.get('selectedMenu').menuItem.value, 'checkbox in the menu item');
+    },
+
+    'destroying the menu should remove the listeners and the overlay': function () {
+        var overlay = this.menu.get('overlay');
+
+        this.menu.destroy();
+        Y.one('#list li').simulate('contextmenu');
+
+        Assert.isTrue(overlay.get('destroyed'));
+        Assert.isNull(this.menu.get('contextTarget'));
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-contextmenu-view', 'node-event-simulate', 'test']});
@@ -32,21 +32,21 @@ Y.mix(_C, {
 			
 			if (0xd800 <= cd && cd <= 0xdbff && 0xdc00 <= pr && pr <= 0xdfff) {
 				// Surrogate Pair
-				cd = 0x10000 + ((cd & 0x3ff) + (pr & 0x03ff));
+				cd = 0x10000 + (((cd & 0x3ff) << 10) | (pr & 0x03ff));
 				i += 1;
 			}
 			
 			if (cd <= 0x007f) {
 				output += String.fromCharCode(cd);
 			} else if (cd <= 0x07ff) {
-				output += String.fromCharCode(0xc0 | ((cd >>> 6) & 15),
+				output += String.fromCharCode(0xc0 | ((cd >>> 6) & 31),
 																			0x80 |  (cd & 63));
 			} else if (cd <= 0xffff) {
 				output += String.fromCharCode(0xe0 | ((cd >>> 12) & 15 ),
 																			0x80 | ((cd >>>  6) & 63),
 																			0x80 |  (cd & 63));
 			} else if (cd <= 0x1fffff) {
-				output += String.fromCharCode(0xf0 | ((cd >>> 18) & 15),
+				output += String.fromCharCode(0xf0 | ((cd >>> 18) & 7),
 																			0x80 | ((cd >>> 12) & 63),
 																			0x80 | ((cd >>>  6) & 63),
 																			0x80 |  (cd & 63));
@@ -100,6 +100,88 @@ Y.mix(_C, {
 	 */ 
 	stringToByteArray: function(string) {
 		return _C.utf8ToByteArray(_C.utf16ToUtf8(string));
+	},
+	/**
+	 * Converts an array of bytes (integers from 0 to 255) to a base64 string
+	 *
+	 * @method bytesToBase64
+	 * 
+	 * @param {Array} The bytes to convert
+	 * 
+	 * @static
+	 */ 
+	bytesToBase64: function(bytes) {
+		var output = "", i, n,
+			chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+		for (i = 0 ; i < bytes.length ; i += 3) {
+			n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+			output += chars.charAt((n >>> 18) & 63) +
+							  chars.charAt((n >>> 12) & 63) +
+							  (i + 1 < bytes.length ? chars.charAt((n >>> 6) & 63) : "=") +
+							  (i + 2 < bytes.length ? chars.charAt(n & 63) : "=");
+		}
+		return output;
+	},
+	/**
+	 * Converts an array of bytes (integers from 0 to 255) to a hex string
+	 *
+	 * @method bytesToHex
+	 * 
+	 * @param {Array} The bytes to convert
+	 * 
+	 * @static
+	 */ 
+	bytesToHex: function(bytes) {
+		var output = "", i, chars = "0123456789abcdef";
+		for (i = 0 ; i < bytes.length ; i += 1) {
+			output += chars.charAt((bytes[i] >>> 4) & 0x0f) +
+							  chars.charAt(bytes[i] & 0x0f);
+		}
+		return output;
+	},
+	/**
+	 * Converts the bytes of a digest to the requested output format.
+	 *
+	 * @method formatBytes
+	 * 
+	 * @param {Array} The bytes to convert
+	 * @param {string} "hex" (the default), "base64" or "bytes"
+	 * 
+	 * @static
+	 */ 
+	formatBytes: function(bytes, format) {
+		if (format === "bytes") {
+			return bytes;
+		}
+		if (format === "base64") {
+			return _C.bytesToBase64(bytes);
+		}
+		return _C.bytesToHex(bytes);
+	},
+	/**
+	 * Converts digest input to an array of bytes (integers from 0 to 255).
+	 * Strings are utf8 encoded first; arrays and typed arrays are assumed to
+	 * hold bytes already and are copied.
+	 *
+	 * @method toBytes
+	 * 
+	 * @param {string|Array} The input to convert
+	 * 
+	 * @static
+	 */ 
+	toBytes: function(input) {
+		var output = [], string, i;
+		if (input && !Y.Lang.isString(input) && typeof input.length === "number") {
+			for (i = 0 ; i < input.length ; i += 1) {
+				output.push(input[i] & 0xff);
+			}
+			return output;
+		}
+		string = _C.utf16ToUtf8(Y.Lang.isValue(input) ? String(input) : "");
+		for (i = 0 ; i < string.length ; i += 1) {
+			output.push(string.charCodeAt(i) & 0xff);
+		}
+		return output;
 	}
 });
 
@@ -0,0 +1,97 @@
+_C = Y.Crypto;
+
+/**
+ * Looks up a digest function. Digest functions used with HMAC must accept
+ * an array of bytes, support the "bytes" output format and have a
+ * blockSize property, like SHA1, SHA256 and SHA512 do.
+ *
+ * @method _getHash
+ * @param {Function|string} The digest function, or its name in Y.Crypto
+ * @private
+ * @static
+ */
+_C._getHash = function (hash) {
+	if (Y.Lang.isString(hash)) {
+		hash = _C[hash.toUpperCase().replace(/-/g, "")];
+	}
+	if (!Y.Lang.isFunction(hash) || !hash.blockSize) {
+		Y.error("Y.Crypto: unsupported hash function");
+	}
+	return hash;
+};
+
+/**
+ * Calculates a keyed-hash message authentication code (RFC 2104).
+ *
+ * @method HMAC
+ * 
+ * @param {Function|string} The digest function, e.g. Y.Crypto.SHA256, or
+ * its name, e.g. "SHA256" or "SHA-256"
+ * @param {string|Array} The key; strings are utf8 encoded, arrays hold bytes
+ * @param {string|Array} The message; strings are utf8 encoded, arrays hold
+ * bytes
+ * @param {string} The output format: "hex" (the default), "base64" or
+ * "bytes"
+ * 
+ * @static
+ */ 
+_C.HMAC = function (hash, key, msg, format) {
+	hash = _C._getHash(hash);
+	key = _C.toBytes(key);
+	
+	var blockSize = hash.blockSize, inner = [], outer = [], i;
+	
+	// Keys longer than a block are hashed first
+	if (key.length > blockSize) {
+		key = hash(key, "bytes");
+	}
+	for (i = 0 ; i < blockSize ; i += 1) {
+		inner[i] = (key[i] || 0) ^ 0x36;
+		outer[i] = (key[i] || 0) ^ 0x5c;
+	}
+	return _C.formatBytes(hash(outer.concat(hash(inner.concat(_C.toBytes(msg)), "bytes")), "bytes"), format);
+};
+
+/**
+ * Derives a key from a password (PBKDF2, RFC 2898) using HMAC with the given
+ * digest function.
+ *
+ * @method PBKDF2
+ * 
+ * @param {Function|string} The digest function, or its name
+ * @param {string|Array} The password; strings are utf8 encoded, arrays hold
+ * bytes
+ * @param {string|Array} The salt; strings are utf8 encoded, arrays hold
+ * bytes
+ * @param {int} The number of iterations
+ * @param {int} The length of the derived key in bytes; defaults to the
+ * digest length
+ * @param {string} The output format: "hex" (the default), "base64" or
+ * "bytes"
+ * 
+ * @static
+ */ 
+_C.PBKDF2 = function (hash, password, salt, iterations, keyLength, format) {
+	hash = _C._getHash(hash);
+	password = _C.toBytes(password);
+	salt = _C.toBytes(salt);
+	
+	var output = [], block = 1, u, t, i, j;
+	
+	keyLength = keyLength || hash([], "bytes").length;
+	
+	while (output.length < keyLength) {
+		// U1 = PRF(password, salt || INT(block)), Ui = PRF(password, Ui-1)
+		u = _C.HMAC(hash, password, salt.concat([(block >>> 24) & 0xff, (block >>> 16) & 0xff, (block >>> 8) & 0xff, block & 0xff]), "bytes");
+		t = u.concat();
+		for (i = 1 ; i < iterations ; i += 1) {
+			u = _C.HMAC(hash, password, u, "bytes");
+			for (j = 0 ; j < t.length ; j += 1) {
+				t[j] ^= u[j];
+			}
+		}
+		output = output.concat(t);
+		block += 1;
+	}
+	return _C.formatBytes(output.slice(0, keyLength), format);
+};
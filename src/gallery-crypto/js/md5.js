@@ -1,7 +1,19 @@
 
 _C = Y.Crypto;
 
-_C.MD5 = function (msg) {
+/**
+ * Calculates the MD5 digest of a message.
+ *
+ * @method MD5
+ * 
+ * @param {string|Array} The message; strings are utf8 encoded, arrays hold
+ * bytes
+ * @param {string} The output format: "hex" (the default), "base64" or
+ * "bytes"
+ * 
+ * @static
+ */ 
+_C.MD5 = function (msg, format) {
 	var rotate_left = function(x, n) {
 			return ((x) << (n)) | (x >>> (32-n));
 		},
@@ -21,12 +33,16 @@ _C.MD5 = function (msg) {
 		II = function(a, b, c, d, x, s, ac) {
 			return transform_common((c ^ (b | (~d))), a, b, x, s, ac);
 		},
-		data = _C.stringToByteArray(msg), 
-		len = msg.length * 8,
+		bytes = _C.toBytes(msg),
+		data = [],
+		len = bytes.length * 8,
 		a = 0x67452301,
 		b = 0xefcdab89,
 		c = 0x98badcfe,
 		d = 0x10325476, i, s1, s2, s3, s4;
+	for (i = 0 ; i < bytes.length ; i += 1) {
+		data[i >> 2] |= bytes[i] << ((i % 4) * 8);
+	}
   data[len >> 5] |= 0x80 << ((len) % 32);
 	data[(((len + 64) >>> 9) << 4) + 14] = len;
 	for ( i = 0 ; i < data.length ; i += 16) {
@@ -109,5 +125,10 @@ _C.MD5 = function (msg) {
 	  c = _C.add32Bit(c, s3);
 	  d = _C.add32Bit(d, s4);
 	}
-	return _C.utf8ToHex(_C.byteArrayToString([a, b, c, d]));
-};
+	bytes = [];
+	for (i = 0 ; i < 128 ; i += 8) {
+		bytes.push(([a, b, c, d][i >> 5] >>> (i % 32)) & 0xff);
+	}
+	return _C.formatBytes(bytes, format);
+};
+_C.MD5.blockSize = 64;
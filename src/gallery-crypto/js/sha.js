@@ -0,0 +1,262 @@
+_C = Y.Crypto;
+
+/**
+ * Pads a message as required by the SHA family and converts it to an array
+ * of big-endian 32-bit words.
+ *
+ * @method _shaWords
+ * @param {Array} The message bytes
+ * @param {int} The block size in bytes; 64 for SHA-1 and SHA-256, 128 for
+ * SHA-512
+ * @private
+ * @static
+ */
+_C._shaWords = function (bytes, blockSize) {
+	var length = bytes.length,
+		total = Math.ceil((length + 1 + blockSize / 8) / blockSize) * blockSize / 4,
+		words = [], i;
+	for (i = 0 ; i < total ; i += 1) { words[i] = 0; }
+	for (i = 0 ; i < length ; i += 1) {
+		words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+	}
+	words[length >> 2] |= 0x80 << (24 - (length % 4) * 8);
+	// The message length in bits, as a 64-bit (or 128-bit) big-endian integer
+	words[total - 2] = Math.floor(length / 0x20000000);
+	words[total - 1] = (length * 8) | 0;
+	return words;
+};
+
+/**
+ * Converts an array of 32-bit words to an array of bytes, big-endian.
+ *
+ * @method _wordsToBytes
+ * @param {Array} The words to convert
+ * @private
+ * @static
+ */
+_C._wordsToBytes = function (words) {
+	var output = [], i;
+	for (i = 0 ; i < words.length ; i += 1) {
+		output.push((words[i] >>> 24) & 0xff, (words[i] >>> 16) & 0xff,
+								(words[i] >>> 8) & 0xff, words[i] & 0xff);
+	}
+	return output;
+};
+
+/**
+ * Calculates the SHA-1 digest of a message.
+ *
+ * @method SHA1
+ * 
+ * @param {string|Array} The message; strings are utf8 encoded, arrays hold
+ * bytes
+ * @param {string} The output format: "hex" (the default), "base64" or
+ * "bytes"
+ * 
+ * @static
+ */ 
+_C.SHA1 = function (msg, format) {
+	var rotate_left = function(x, n) {
+			return (x << n) | (x >>> (32 - n));
+		},
+		data = _C._shaWords(_C.toBytes(msg), 64),
+		h0 = 0x67452301,
+		h1 = 0xefcdab89,
+		h2 = 0x98badcfe,
+		h3 = 0x10325476,
+		h4 = 0xc3d2e1f0,
+		w = [], a, b, c, d, e, t, i, j;
+	for (i = 0 ; i < data.length ; i += 16) {
+		a = h0; b = h1; c = h2; d = h3; e = h4;
+		for (j = 0 ; j < 80 ; j += 1) {
+			w[j] = j < 16 ? data[i + j] : rotate_left(w[j - 3] ^ w[j - 8] ^ w[j - 14] ^ w[j - 16], 1);
+			if (j < 20) {
+				t = ((b & c) | ((~b) & d)) + 0x5a827999;
+			} else if (j < 40) {
+				t = (b ^ c ^ d) + 0x6ed9eba1;
+			} else if (j < 60) {
+				t = ((b & c) | (b & d) | (c & d)) + 0x8f1bbcdc;
+			} else {
+				t = (b ^ c ^ d) + 0xca62c1d6;
+			}
+			t = (rotate_left(a, 5) + e + w[j] + t) | 0;
+			e = d; d = c; c = rotate_left(b, 30); b = a; a = t;
+		}
+		h0 = _C.add32Bit(h0, a);
+		h1 = _C.add32Bit(h1, b);
+		h2 = _C.add32Bit(h2, c);
+		h3 = _C.add32Bit(h3, d);
+		h4 = _C.add32Bit(h4, e);
+	}
+	return _C.formatBytes(_C._wordsToBytes([h0, h1, h2, h3, h4]), format);
+};
+_C.SHA1.blockSize = 64;
+
+/**
+ * Calculates the SHA-256 digest of a message.
+ *
+ * @method SHA256
+ * 
+ * @param {string|Array} The message; strings are utf8 encoded, arrays hold
+ * bytes
+ * @param {string} The output format: "hex" (the default), "base64" or
+ * "bytes"
+ * 
+ * @static
+ */ 
+_C.SHA256 = function (msg, format) {
+	var rotate_right = function(x, n) {
+			return (x >>> n) | (x << (32 - n));
+		},
+		K = [
+			0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+			0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+			0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+			0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+			0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+			0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+			0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+			0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+		],
+		H = [
+			0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+		],
+		data = _C._shaWords(_C.toBytes(msg), 64),
+		w = [], a, b, c, d, e, f, g, h, t1, t2, i, j;
+	for (i = 0 ; i < data.length ; i += 16) {
+		a = H[0]; b = H[1]; c = H[2]; d = H[3];
+		e = H[4]; f = H[5]; g = H[6]; h = H[7];
+		for (j = 0 ; j < 64 ; j += 1) {
+			if (j < 16) {
+				w[j] = data[i + j];
+			} else {
+				w[j] = ((rotate_right(w[j - 2], 17) ^ rotate_right(w[j - 2], 19) ^ (w[j - 2] >>> 10)) + w[j - 7] +
+								(rotate_right(w[j - 15], 7) ^ rotate_right(w[j - 15], 18) ^ (w[j - 15] >>> 3)) + w[j - 16]) | 0;
+			}
+			t1 = h + (rotate_right(e, 6) ^ rotate_right(e, 11) ^ rotate_right(e, 25)) +
+					 ((e & f) ^ ((~e) & g)) + K[j] + w[j];
+			t2 = (rotate_right(a, 2) ^ rotate_right(a, 13) ^ rotate_right(a, 22)) +
+					 ((a & b) ^ (a & c) ^ (b & c));
+			h = g; g = f; f = e; e = (d + t1) | 0;
+			d = c; c = b; b = a; a = (t1 + t2) | 0;
+		}
+		H[0] = _C.add32Bit(H[0], a);
+		H[1] = _C.add32Bit(H[1], b);
+		H[2] = _C.add32Bit(H[2], c);
+		H[3] = _C.add32Bit(H[3], d);
+		H[4] = _C.add32Bit(H[4], e);
+		H[5] = _C.add32Bit(H[5], f);
+		H[6] = _C.add32Bit(H[6], g);
+		H[7] = _C.add32Bit(H[7], h);
+	}
+	return _C.formatBytes(_C._wordsToBytes(H), format);
+};
+_C.SHA256.blockSize = 64;
+
+/**
+ * Calculates the SHA-512 digest of a message. JavaScript has no 64-bit
+ * integers, so every 64-bit word is kept as a pair of 32-bit halves, high
+ * half first.
+ *
+ * @method SHA512
+ * 
+ * @param {string|Array} The message; strings are utf8 encoded, arrays hold
+ * bytes
+ * @param {string} The output format: "hex" (the default), "base64" or
+ * "bytes"
+ * 
+ * @static
+ */ 
+_C.SHA512 = function (msg, format) {
+	// Returns the high (hi true) or low half of a 64-bit word rotated right
+	var rotate_right = function(h, l, n, hi) {
+			var t;
+			if (n >= 32) {
+				t = h; h = l; l = t; n -= 32;
+			}
+			if (!n) {
+				return hi ? h : l;
+			}
+			return hi ? (h >>> n) | (l << (32 - n)) : (l >>> n) | (h << (32 - n));
+		},
+		// Returns the carry out of a sum of unsigned low halves
+		carry = function(lo) {
+			return Math.floor(lo / 0x100000000);
+		},
+		K = [
+			0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+			0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+			0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+			0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+			0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+			0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+			0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+			0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+			0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+			0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+			0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+			0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+			0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+			0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+			0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+			0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+			0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+			0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+			0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+			0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+		],
+		H = [
+			0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+			0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+		],
+		data = _C._shaWords(_C.toBytes(msg), 128),
+		wh = [], wl = [],
+		ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl,
+		s0h, s0l, s1h, s1l, t1h, t1l, t2h, t2l, x, y, i, j;
+	for (i = 0 ; i < data.length ; i += 32) {
+		ah = H[0]; al = H[1]; bh = H[2]; bl = H[3];
+		ch = H[4]; cl = H[5]; dh = H[6]; dl = H[7];
+		eh = H[8]; el = H[9]; fh = H[10]; fl = H[11];
+		gh = H[12]; gl = H[13]; hh = H[14]; hl = H[15];
+		for (j = 0 ; j < 80 ; j += 1) {
+			if (j < 16) {
+				wh[j] = data[i + j * 2];
+				wl[j] = data[i + j * 2 + 1];
+			} else {
+				x = wh[j - 15]; y = wl[j - 15];
+				s0h = rotate_right(x, y, 1, true) ^ rotate_right(x, y, 8, true) ^ (x >>> 7);
+				s0l = rotate_right(x, y, 1) ^ rotate_right(x, y, 8) ^ ((y >>> 7) | (x << 25));
+				x = wh[j - 2]; y = wl[j - 2];
+				s1h = rotate_right(x, y, 19, true) ^ rotate_right(x, y, 61, true) ^ (x >>> 6);
+				s1l = rotate_right(x, y, 19) ^ rotate_right(x, y, 61) ^ ((y >>> 6) | (x << 26));
+				t1l = (s1l >>> 0) + (wl[j - 7] >>> 0) + (s0l >>> 0) + (wl[j - 16] >>> 0);
+				wh[j] = (s1h + wh[j - 7] + s0h + wh[j - 16] + carry(t1l)) | 0;
+				wl[j] = t1l | 0;
+			}
+			s1h = rotate_right(eh, el, 14, true) ^ rotate_right(eh, el, 18, true) ^ rotate_right(eh, el, 41, true);
+			s1l = rotate_right(eh, el, 14) ^ rotate_right(eh, el, 18) ^ rotate_right(eh, el, 41);
+			t1l = (hl >>> 0) + (s1l >>> 0) + (((el & fl) ^ ((~el) & gl)) >>> 0) + (K[j * 2 + 1] >>> 0) + (wl[j] >>> 0);
+			t1h = (hh + s1h + ((eh & fh) ^ ((~eh) & gh)) + K[j * 2] + wh[j] + carry(t1l)) | 0;
+			t1l = t1l | 0;
+			s0h = rotate_right(ah, al, 28, true) ^ rotate_right(ah, al, 34, true) ^ rotate_right(ah, al, 39, true);
+			s0l = rotate_right(ah, al, 28) ^ rotate_right(ah, al, 34) ^ rotate_right(ah, al, 39);
+			t2l = (s0l >>> 0) + (((al & bl) ^ (al & cl) ^ (bl & cl)) >>> 0);
+			t2h = (s0h + ((ah & bh) ^ (ah & ch) ^ (bh & ch)) + carry(t2l)) | 0;
+			t2l = t2l | 0;
+			hh = gh; hl = gl; gh = fh; gl = fl; fh = eh; fl = el;
+			x = (dl >>> 0) + (t1l >>> 0);
+			eh = (dh + t1h + carry(x)) | 0; el = x | 0;
+			dh = ch; dl = cl; ch = bh; cl = bl; bh = ah; bl = al;
+			x = (t1l >>> 0) + (t2l >>> 0);
+			ah = (t1h + t2h + carry(x)) | 0; al = x | 0;
+		}
+		x = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl];
+		for (j = 0 ; j < 16 ; j += 2) {
+			y = (H[j + 1] >>> 0) + (x[j + 1] >>> 0);
+			H[j] = (H[j] + x[j] + carry(y)) | 0;
+			H[j + 1] = y | 0;
+		}
+	}
+	return _C.formatBytes(_C._wordsToBytes(H), format);
+};
+_C.SHA512.blockSize = 128;
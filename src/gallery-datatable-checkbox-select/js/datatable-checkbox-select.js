@@ -289,7 +289,7 @@ Y.mix( DtCheckboxSelect.prototype, {
 
             if(rec && pkv) {
                 this._chkRecords.push( pkv );
-                inp = tr.one('.'+this.getClassName("checkbox","select"));
+                inp = (tr) ? tr.one('.'+this.getClassName("checkbox","select")) : null;
                 if (inp) inp.set('checked',true);
             }
         },this);
@@ -44,37 +44,74 @@
     },
 
 
-    //  P R O T E C T E D  //
+    //  P U B L I C  //
 
     /**
+     * Adds a resize grip to a header cell.
      *
+     * @param cell {Node} the header cell that contains the grip
+     * @param target {Node} the header cell resized by the grip, defaults to cell
+     * @return {Node} the grip
      */
-    _afterHostSetHeaders : function(headerCells) {
-      this._removeGrips();
+    addGrip : function(cell, target) {
+      var grip = Y.Node.create('<span class="yui3-icon ' + this.get('gripClass') + '"></span>');
 
-      headerCells.each(function(cell){
-        var grip = Y.Node.create('<span class="yui3-icon ' + this.get('gripClass') + '"></span>');
+      grip.plug(Y.Plugin.Drag);
 
-        grip.plug(Y.Plugin.Drag);
+      grip.dd.on('drag:drag', this._handleDrag, this);
 
-        grip.dd.on('drag:drag', this._handleDrag, this);
+      grip.setData('target', target || cell);
 
-        grip.setData('target', cell);
+      grip.setStyle('opacity', (this.get('visible')) ? 1 : 0 );
 
-        grip.setStyle('opacity', (this.get('visible')) ? 1 : 0 );
+      cell.append(grip);
 
-        cell.append(grip);
+      return grip;
+    },
 
+
+    //  P R O T E C T E D  //
+
+    /**
+     *
+     */
+    _afterHostSetHeaders : function(headerCells) {
+      headerCells.each(function(cell){
+        cell.all('.' + this.get('gripClass')).remove(true);
+        this.addGrip(cell);
       }, this);
     },
 
+    /**
+     * Resizes the target header cell of the dragged grip, and fires the "resize" event.
+     */
     _handleDrag : function(e) {
       var handle = e.target.get('node'),
-          target = handle.getData('target');
+          target = handle.getData('target'),
+          width  = e.target.actXY[0] + parseInt(target.getStyle('width'),10) - e.target.lastXY[0],
+          th;
 
       handle.setStyle('left', 'auto');
 
-      target.setStyle('width', e.target.actXY[0] + parseInt(target.getStyle('width'),10) - e.target.lastXY[0]);
+      target.setStyle('width', width);
+
+      // a vertically scrolling table displays a copy of its header cells,
+      // so the width has to be applied to the table's own header cell
+      if (this._host._yScrollHeader && this._host._yScrollHeader.contains(target)) {
+        th = this._host._theadNode.one('[data-yui3-col-id="' + target.getAttribute('data-yui3-col-id') + '"]');
+        if (th) {
+          th.setStyle('width', width);
+          this._host._syncScrollColumnWidths();
+        }
+      }
+
+      /**
+       * Fires after a header cell is resized.
+       *
+       * @event resize
+       * @param cell {Node} the resized header cell
+       */
+      this.fire('resize', { cell: target });
 
       // dont update the handle position
       e.preventDefault();
@@ -0,0 +1,708 @@
+/**
+  Defines a Y.DataTable class extension that lets the user manage the columns of a DataTable at runtime,
+   by re-ordering them with drag-and-drop of their header cells and by hiding or showing them from a
+   "column chooser" menu.
+
+ <h4>Usage</h4>
+
+        var dtable = new Y.DataTable({
+            columns:        [ 'id','name','city','state','zip' ],
+            data:           addresses,
+            reorderColumns: true,
+            columnChooser:  true
+        }).render('#dtable');
+
+ <h4>Re-ordering Columns</h4>
+
+ With [reorderColumns](#attr_reorderColumns) enabled, a header cell can be dragged (by Y.DD.Delegate) and dropped on
+ another header cell, which moves the column to the position of that column.  Nested columns can only be moved
+ within their parent column.  The leading columns with `frozen:true` (see Y.DataTable.FrozenColumns) can't be
+ moved, and other columns can't be moved in front of them.
+
+ <h4>The Column Chooser</h4>
+
+ With [columnChooser](#attr_columnChooser) enabled, a right-click on the header displays a Y.ContextMenuView menu
+ with a checkbox for each of the "default" columns, i.e. the top-level columns the DataTable was created with,
+ and a "Reset to default" item that restores the default columns in their default order.
+
+ A hidden column is removed from the `columns` attribute, and it is shown again by inserting it after the
+ nearest visible column that precedes it in the default columns.  The methods [hideColumn](#method_hideColumn),
+ [showColumn](#method_showColumn) and [resetColumns](#method_resetColumns) do the same from code.
+
+ <h4>Persisting the Columns</h4>
+
+ Each change fires an event, [columnReorder](#event_columnReorder), [columnHide](#event_columnHide),
+ [columnShow](#event_columnShow) or [columnReset](#event_columnReset), whose default function changes the
+ columns, so "on" subscribers can prevent the change and "after" subscribers can save the new state.  As the
+ changes are made to the `columns` attribute, Y.Plugin.DataTableViewState (which considers a column hidden
+ when it has been removed from the columns) saves and restores them without further code.
+
+  @module gallery-datatable-column-manager
+  @class Y.DataTable.ColumnManager
+  @extensionfor DataTable
+  @since 3.6.0
+ **/
+function DtColumnManager() {}
+
+DtColumnManager.ATTRS = {
+
+    /**
+     * Enables re-ordering the columns by dragging their header cells.
+     *
+     * @attribute reorderColumns
+     * @type Boolean
+     * @default false
+     */
+    reorderColumns: {
+        value:      false,
+        validator:  Y.Lang.isBoolean
+    },
+
+    /**
+     * Enables the column chooser menu, displayed by a right-click on the header.
+     *
+     * @attribute columnChooser
+     * @type Boolean
+     * @default false
+     */
+    columnChooser: {
+        value:      false,
+        validator:  Y.Lang.isBoolean
+    },
+
+    /**
+     * Label of the column chooser's menu item that restores the default columns.
+     *
+     * @attribute columnResetLabel
+     * @type String
+     * @default 'Reset to default'
+     */
+    columnResetLabel: {
+        value:      'Reset to default',
+        validator:  Y.Lang.isString
+    }
+
+};
+
+Y.mix( DtColumnManager.prototype, {
+
+    /**
+     * The top-level columns the DataTable was created with, in their default order.
+     *
+     * @property _defaultColumns
+     * @type Array
+     * @default null
+     * @protected
+     */
+    _defaultColumns: null,
+
+    /**
+     * The Y.DD.Delegate instance for dragging the header cells, while [reorderColumns](#attr_reorderColumns)
+     *  is enabled.
+     *
+     * @property _colDelegate
+     * @type Y.DD.Delegate
+     * @default null
+     * @protected
+     */
+    _colDelegate: null,
+
+    /**
+     * The header cell currently marked as the drop position while dragging.
+     *
+     * @property _colDropNode
+     * @type Node
+     * @default null
+     * @protected
+     */
+    _colDropNode: null,
+
+    /**
+     * The Y.ContextMenuView instance of the column chooser, while [columnChooser](#attr_columnChooser) is
+     *  enabled.
+     *
+     * @property _colChooser
+     * @type Y.ContextMenuView
+     * @default null
+     * @protected
+     */
+    _colChooser: null,
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  L I F E C Y C L E                                                                       */
+/*----------------------------------------------------------------------------------------------------------*/
+
+   /**
+    * Saves the default columns, publishes the events and sets the listeners to enable and disable
+    *  the features.
+    *
+    * @method initializer
+    * @protected
+    * @return this
+    * @chainable
+    */
+    initializer: function(){
+        this._defaultColumns = (this.get('columns') || []).slice(0);
+
+        /**
+         * Fires when a column is moved by dragging its header cell.  The default function moves the
+         *  column with `moveColumn`.
+         *
+         * @event columnReorder
+         * @param {Object} column The column definition
+         * @param {Number} fromIndex Index of the column among its siblings before the move
+         * @param {Number} toIndex Index of the column among its siblings after the move
+         */
+        this.publish('columnReorder', { defaultFn: this._defColumnReorderFn });
+
+        /**
+         * Fires when a column is hidden.  The default function removes the column from the `columns`.
+         *
+         * @event columnHide
+         * @param {Object} column The column definition
+         */
+        this.publish('columnHide', { defaultFn: this._defColumnHideFn });
+
+        /**
+         * Fires when a hidden column is shown.  The default function adds the column back to the `columns`.
+         *
+         * @event columnShow
+         * @param {Object} column The column definition
+         * @param {Number} index Index the column is inserted at
+         */
+        this.publish('columnShow', { defaultFn: this._defColumnShowFn });
+
+        /**
+         * Fires when the default columns are restored.  The default function sets the `columns`.
+         *
+         * @event columnReset
+         * @param {Array} columns The default columns
+         */
+        this.publish('columnReset', { defaultFn: this._defColumnResetFn });
+
+        this._eventHandles.columnManager = [];
+        this._eventHandles.columnManager.push( this.after('render', this._syncColumnManager) );
+        this._eventHandles.columnManager.push(
+            this.after(['reorderColumnsChange', 'columnChooserChange'], this._syncColumnManager) );
+
+        return this;
+    },
+
+    /**
+     * Destructor to clean up listener event handlers, the drag delegate and the column chooser.
+     *
+     * @method destructor
+     * @protected
+     */
+    destructor: function () {
+        Y.Array.each( this._eventHandles.columnManager || [], function(item){
+            item.detach();
+        });
+        delete this._eventHandles.columnManager;
+
+        this._unbindColumnReorder();
+        this._destroyColumnChooser();
+    },
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  P U B L I C      M E T H O D S                                                          */
+/*----------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * Hides a column by removing it from the `columns`, firing the [columnHide](#event_columnHide) event.
+     *  The last displayed column can't be hidden.
+     *
+     * @method hideColumn
+     * @param {String|Number|Object} name The column key, name, index or definition
+     * @return this
+     * @chainable
+     * @public
+     */
+    hideColumn: function(name) {
+        var col = this.getColumn(name);
+
+        if ( col && !col._parent && this.get('columns').length > 1 ) {
+            this.fire('columnHide', { column: col });
+        }
+
+        return this;
+    },
+
+    /**
+     * Shows a hidden default column by inserting it after the nearest displayed column that precedes it
+     *  in the default columns, firing the [columnShow](#event_columnShow) event.
+     *
+     * @method showColumn
+     * @param {String} name The column key or name
+     * @return this
+     * @chainable
+     * @public
+     */
+    showColumn: function(name) {
+        var cols  = this.get('columns'),
+            index = 0,
+            col   = null,
+            i, prev;
+
+        if ( this.getColumn(name) ) {
+            return this;
+        }
+
+        for ( i = 0; i < this._defaultColumns.length; i++ ) {
+            if ( this._getColumnId(this._defaultColumns[i]) === name ) {
+                col = this._defaultColumns[i];
+                break;
+            }
+
+            prev = this.getColumn( this._getColumnId(this._defaultColumns[i]) );
+            if ( prev && !prev._parent ) {
+                index = Y.Array.indexOf(cols, prev) + 1;
+            }
+        }
+
+        if ( col ) {
+            this.fire('columnShow', { column: col, index: index });
+        }
+
+        return this;
+    },
+
+    /**
+     * Restores the default columns in their default order, firing the [columnReset](#event_columnReset)
+     *  event.
+     *
+     * @method resetColumns
+     * @return this
+     * @chainable
+     * @public
+     */
+    resetColumns: function() {
+        this.fire('columnReset', { columns: this._defaultColumns.slice(0) });
+        return this;
+    },
+
+    /**
+     * Returns the default columns that are currently hidden.
+     *
+     * @method getHiddenColumns
+     * @return {Array} Column definitions
+     * @public
+     */
+    getHiddenColumns: function() {
+        return Y.Array.filter( this._defaultColumns, function(col){
+            return !this._isColumnDisplayed(col);
+        }, this);
+    },
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  P R I V A T E    M E T H O D S                                                          */
+/*----------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * Returns the identifier of a column, its key or name.
+     *
+     * @method _getColumnId
+     * @param {Object} col The column definition
+     * @return {String}
+     * @protected
+     */
+    _getColumnId: function(col) {
+        return col.key || col.name;
+    },
+
+    /**
+     * Returns true if a default column is in the current top-level `columns`.
+     *
+     * @method _isColumnDisplayed
+     * @param {Object} col The default column definition
+     * @return {Boolean}
+     * @protected
+     */
+    _isColumnDisplayed: function(col) {
+        var current = this.getColumn( this._getColumnId(col) );
+        return !!current && !current._parent;
+    },
+
+    /**
+     * Returns true if the column is one of the leading frozen columns (see Y.DataTable.FrozenColumns),
+     *  which stay in place.
+     *
+     * @method _isColumnFrozen
+     * @param {Object} col The column definition
+     * @return {Boolean}
+     * @protected
+     */
+    _isColumnFrozen: function(col) {
+        var cols = this.get('columns'),
+            i;
+
+        while ( col._parent ) {
+            col = col._parent;
+        }
+
+        for ( i = 0; i < cols.length && cols[i].frozen; i++ ) {
+            if ( cols[i] === col ) {
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     * Enables or disables the features after rendering and after changes to their attributes.
+     *
+     * @method _syncColumnManager
+     * @protected
+     */
+    _syncColumnManager: function() {
+        if ( !this.get('rendered') ) {
+            return;
+        }
+
+        if ( this.get('reorderColumns') ) {
+            this._bindColumnReorder();
+        } else {
+            this._unbindColumnReorder();
+        }
+
+        if ( this.get('columnChooser') ) {
+            this._createColumnChooser();
+        } else {
+            this._destroyColumnChooser();
+        }
+    },
+
+    /**
+     * Creates the Y.DD.Delegate for dragging the header cells, which also works for the copies of the
+     *  header cells made by vertical scrolling and frozen columns.  A proxy is dragged and the column is
+     *  only moved when it is dropped.
+     *
+     * @method _bindColumnReorder
+     * @protected
+     */
+    _bindColumnReorder: function() {
+        var del;
+
+        if ( this._colDelegate ) {
+            return;
+        }
+
+        del = this._colDelegate = new Y.DD.Delegate({
+            container:  this.get('contentBox'),
+            nodes:      '.' + this.getClassName('header'),
+            invalid:    ''
+        });
+
+        del.dd.plug(Y.Plugin.DDProxy, {
+            moveOnEnd:  false,
+            cloneNode:  true
+        });
+
+        // mousedowns on form controls, or the grips of Y.DatatableColResizePlugin, don't drag the cell
+        del.dd.addInvalid('input, select, button, textarea');
+        if ( this.ddr ) {
+            del.dd.addInvalid('.' + this.ddr.get('gripClass'));
+        }
+
+        del.on('drag:start', this._onColumnDragStart, this);
+        del.on('drag:drag', this._onColumnDrag, this);
+        del.on('drag:end', this._onColumnDragEnd, this);
+
+        this.get('boundingBox').addClass(this.getClassName('col', 'reorder'));
+    },
+
+    /**
+     * Destroys the Y.DD.Delegate for dragging the header cells.
+     *
+     * @method _unbindColumnReorder
+     * @protected
+     */
+    _unbindColumnReorder: function() {
+        if ( this._colDelegate ) {
+            this._colDelegate.destroy();
+            this._colDelegate = null;
+            this.get('boundingBox').removeClass(this.getClassName('col', 'reorder'));
+        }
+    },
+
+    /**
+     * Listener for "drag:start", that stops the drag of a frozen column.
+     *
+     * @method _onColumnDragStart
+     * @param {EventFacade} e The drag event
+     * @protected
+     */
+    _onColumnDragStart: function(e) {
+        var col = this.getColumn( e.target.get('node').getAttribute('data-yui3-col-id') );
+
+        if ( !col || this._isColumnFrozen(col) ) {
+            e.target.stopDrag();
+        }
+    },
+
+    /**
+     * Returns the header cell that a dragged header cell would be dropped on at a page X coordinate,
+     *  i.e. a cell in the same header whose column is a sibling of the dragged column.
+     *
+     * @method _getColumnDropNode
+     * @param {Node} node The dragged header cell
+     * @param {Number} x The page X coordinate
+     * @return {Node} The header cell, or null if it can't be dropped there
+     * @protected
+     */
+    _getColumnDropNode: function(node, x) {
+        var col   = this.getColumn( node.getAttribute('data-yui3-col-id') ),
+            thead = node.ancestor('thead'),
+            drop  = null;
+
+        if ( !col || !thead ) {
+            return null;
+        }
+
+        thead.all('.' + this.getClassName('header')).some( function(th){
+            var target = this.getColumn( th.getAttribute('data-yui3-col-id') ),
+                left   = th.getX();
+
+            if ( target && target._parent === col._parent && x >= left && x < left + th.get('offsetWidth') ) {
+                drop = this._isColumnFrozen(target) ? null : th;
+                return true;
+            }
+            return false;
+        }, this);
+
+        return drop;
+    },
+
+    /**
+     * Listener for "drag:drag", that marks the header cell the column would be dropped on.  The cell gets
+     *  a "before" or "after" class depending on which side the column would be placed.
+     *
+     * @method _onColumnDrag
+     * @param {EventFacade} e The drag event
+     * @protected
+     */
+    _onColumnDrag: function(e) {
+        var node = e.target.get('node'),
+            drop = this._getColumnDropNode( node, e.target.mouseXY[0] ),
+            col, target, siblings;
+
+        this._clearColumnDrop();
+
+        if ( drop && drop !== node ) {
+            col      = this.getColumn( node.getAttribute('data-yui3-col-id') );
+            target   = this.getColumn( drop.getAttribute('data-yui3-col-id') );
+            siblings = col._parent ? col._parent.children : this.get('columns');
+
+            drop.addClass( this.getClassName('col', 'drop',
+                (Y.Array.indexOf(siblings, target) < Y.Array.indexOf(siblings, col)) ? 'before' : 'after') );
+            this._colDropNode = drop;
+        }
+    },
+
+    /**
+     * Listener for "drag:end", that fires the [columnReorder](#event_columnReorder) event if the column was
+     *  dropped on another header cell.
+     *
+     * @method _onColumnDragEnd
+     * @param {EventFacade} e The drag event
+     * @protected
+     */
+    _onColumnDragEnd: function(e) {
+        var node = e.target.get('node'),
+            drop = this._colDropNode,
+            col, target, siblings;
+
+        this._clearColumnDrop();
+
+        if ( !drop || drop === node ) {
+            return;
+        }
+
+        col      = this.getColumn( node.getAttribute('data-yui3-col-id') );
+        target   = this.getColumn( drop.getAttribute('data-yui3-col-id') );
+        siblings = col._parent ? col._parent.children : this.get('columns');
+
+        this.fire('columnReorder', {
+            column:     col,
+            fromIndex:  Y.Array.indexOf(siblings, col),
+            toIndex:    Y.Array.indexOf(siblings, target)
+        });
+    },
+
+    /**
+     * Removes the drop classes from the header cell marked by [_onColumnDrag](#method__onColumnDrag).
+     *
+     * @method _clearColumnDrop
+     * @protected
+     */
+    _clearColumnDrop: function() {
+        if ( this._colDropNode ) {
+            this._colDropNode.removeClass( this.getClassName('col', 'drop', 'before') );
+            this._colDropNode.removeClass( this.getClassName('col', 'drop', 'after') );
+            this._colDropNode = null;
+        }
+    },
+
+    /**
+     * Returns the index path of a column, as used by `moveColumn` for nested columns.
+     *
+     * @method _getColumnPath
+     * @param {Object} col The column definition
+     * @return {Array} Indexes of the column and its ancestors, starting with the top-level column
+     * @protected
+     */
+    _getColumnPath: function(col) {
+        var path = [];
+
+        while ( col ) {
+            path.unshift( Y.Array.indexOf( col._parent ? col._parent.children : this.get('columns'), col ) );
+            col = col._parent;
+        }
+
+        return path;
+    },
+
+    /**
+     * Default function of the [columnReorder](#event_columnReorder) event, that moves the column.
+     *
+     * @method _defColumnReorderFn
+     * @param {EventFacade} e The columnReorder event
+     * @protected
+     */
+    _defColumnReorderFn: function(e) {
+        var path = this._getColumnPath(e.column);
+
+        path[path.length - 1] = e.toIndex;
+        this.moveColumn(e.column, (path.length > 1) ? path : e.toIndex);
+    },
+
+    /**
+     * Default function of the [columnHide](#event_columnHide) event, that removes the column.
+     *
+     * @method _defColumnHideFn
+     * @param {EventFacade} e The columnHide event
+     * @protected
+     */
+    _defColumnHideFn: function(e) {
+        this.removeColumn(e.column);
+    },
+
+    /**
+     * Default function of the [columnShow](#event_columnShow) event, that inserts the column.
+     *
+     * @method _defColumnShowFn
+     * @param {EventFacade} e The columnShow event
+     * @protected
+     */
+    _defColumnShowFn: function(e) {
+        this.addColumn(e.column, e.index);
+    },
+
+    /**
+     * Default function of the [columnReset](#event_columnReset) event, that sets the columns.
+     *
+     * @method _defColumnResetFn
+     * @param {EventFacade} e The columnReset event
+     * @protected
+     */
+    _defColumnResetFn: function(e) {
+        this.set('columns', e.columns);
+    },
+
+    /**
+     * Creates the Y.ContextMenuView of the column chooser, triggered by a right-click on a header cell.
+     *
+     * @method _createColumnChooser
+     * @protected
+     */
+    _createColumnChooser: function() {
+        var items;
+
+        if ( this._colChooser ) {
+            return;
+        }
+
+        items = Y.Array.map( this._defaultColumns, function(col){
+            return {
+                label:  '<input type="checkbox" />' + (col.label || this._getColumnId(col)),
+                value:  this._getColumnId(col)
+            };
+        }, this);
+
+        items.push({
+            label:      this.get('columnResetLabel'),
+            className:  this.getClassName('colchooser', 'reset')
+        });
+
+        this._colChooser = new Y.ContextMenuView({
+            container:  Y.Node.create('<div class="yui3-contextmenu-overlay ' + this.getClassName('colchooser') + '"></div>'),
+            trigger:    {
+                node:   this.get('contentBox'),
+                target: '.' + this.getClassName('header')
+            },
+            menuItems:  items
+        });
+
+        this._colChooser.on('contextMenuShow', this._onColumnChooserShow, this);
+        this._colChooser.after('selectedMenuChange', this._afterColumnChooserSelect, this);
+    },
+
+    /**
+     * Destroys the column chooser.
+     *
+     * @method _destroyColumnChooser
+     * @protected
+     */
+    _destroyColumnChooser: function() {
+        if ( this._colChooser ) {
+            this._colChooser.destroy();
+            this._colChooser = null;
+        }
+    },
+
+    /**
+     * Listener for the column chooser's "contextMenuShow", that checks the checkboxes of the displayed
+     *  columns.
+     *
+     * @method _onColumnChooserShow
+     * @protected
+     */
+    _onColumnChooserShow: function() {
+        var inputs = this._colChooser.get('overlay').get('contentBox').all('input');
+
+        Y.Array.each( this._defaultColumns, function(col, i){
+            inputs.item(i).set('checked', this._isColumnDisplayed(col));
+        }, this);
+    },
+
+    /**
+     * Listener for a selection from the column chooser, that toggles the column or resets the columns.
+     *
+     * @method _afterColumnChooserSelect
+     * @param {EventFacade} e The selectedMenu change event
+     * @protected
+     */
+    _afterColumnChooserSelect: function(e) {
+        var item = e.newVal && e.newVal.menuItem;
+
+        if ( !item ) {
+            return;
+        }
+
+        if ( !item.value ) {
+            this.resetColumns();
+        } else if ( this.getColumn(item.value) ) {
+            this.hideColumn(item.value);
+        } else {
+            this.showColumn(item.value);
+        }
+    }
+
+});
+
+Y.DataTable.ColumnManager = DtColumnManager;
+Y.Base.mix(Y.DataTable, [Y.DataTable.ColumnManager]);
@@ -0,0 +1,335 @@
+YUI.add('datatable-column-manager-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+
+    KEY = 'column-manager-test',
+
+    suite;
+
+function createTable(config) {
+    Y.one('body').append('<div id="dt"></div>');
+
+    return new Y.DataTable(Y.merge({
+        columns: [ 'id', 'name', 'city', 'zip' ],
+        data: [
+            { id: 1, name: 'a', city: 'x', zip: '01' },
+            { id: 2, name: 'b', city: 'y', zip: '02' }
+        ]
+    }, config)).render('#dt');
+}
+
+function columnKeys(dt) {
+    return Y.Array.map(dt.get('columns'), function (col) {
+        return col.key || col.name;
+    });
+}
+
+function headerCell(dt, key) {
+    return dt.get('contentBox').one('thead [data-yui3-col-id="' + dt.getColumn(key)._id + '"]');
+}
+
+// drops the header cell of one column on that of another, as Y.DD.Delegate would
+function dropColumn(dt, key, onKey) {
+    var node = headerCell(dt, key);
+
+    dt._colDropNode = headerCell(dt, onKey);
+    dt._onColumnDragEnd({ target: { get: function () { return node; } } });
+}
+
+// -- DataTable Column Manager Suite -------------------------------------------
+suite = new Y.Test.Suite('DataTable Column Manager');
+
+// -- DataTable Column Manager: Hide and Show ----------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Hide and Show',
+
+    setUp: function () {
+        this.dt = createTable();
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'hideColumn should remove the column': function () {
+        var hidden;
+
+        this.dt.after('columnHide', function (e) {
+            hidden = e.column.key;
+        });
+
+        this.dt.hideColumn('name');
+
+        ArrayAssert.itemsAreEqual([ 'id', 'city', 'zip' ], columnKeys(this.dt));
+        Assert.areSame('name', hidden);
+        ArrayAssert.itemsAreEqual([ 'name' ], Y.Array.map(this.dt.getHiddenColumns(), function (col) {
+            return col.key;
+        }));
+    },
+
+    'preventing columnHide should keep the column': function () {
+        this.dt.on('columnHide', function (e) {
+            e.preventDefault();
+        });
+
+        this.dt.hideColumn('name');
+
+        ArrayAssert.itemsAreEqual([ 'id', 'name', 'city', 'zip' ], columnKeys(this.dt));
+    },
+
+    'the last column should not be hidden': function () {
+        this.dt.set('columns', [ 'id' ]);
+        this.dt.hideColumn('id');
+
+        ArrayAssert.itemsAreEqual([ 'id' ], columnKeys(this.dt));
+    },
+
+    'showColumn should insert the column after its displayed predecessor': function () {
+        var shown;
+
+        this.dt.after('columnShow', function (e) {
+            shown = e.index;
+        });
+
+        this.dt.hideColumn('name').hideColumn('city');
+        this.dt.showColumn('city');
+
+        ArrayAssert.itemsAreEqual([ 'id', 'city', 'zip' ], columnKeys(this.dt));
+        Assert.areSame(1, shown);
+
+        this.dt.showColumn('name');
+        ArrayAssert.itemsAreEqual([ 'id', 'name', 'city', 'zip' ], columnKeys(this.dt));
+    },
+
+    'showColumn should keep the order of moved columns': function () {
+        this.dt.moveColumn('zip', 0);
+        this.dt.hideColumn('id').hideColumn('name');
+
+        this.dt.showColumn('id');
+        ArrayAssert.itemsAreEqual([ 'id', 'zip', 'city' ], columnKeys(this.dt), 'no displayed predecessor');
+
+        this.dt.showColumn('name');
+        ArrayAssert.itemsAreEqual([ 'id', 'name', 'zip', 'city' ], columnKeys(this.dt));
+    },
+
+    'showing a displayed or unknown column should do nothing': function () {
+        var fired = 0;
+
+        this.dt.on('columnShow', function () {
+            fired++;
+        });
+
+        this.dt.showColumn('name');
+        this.dt.showColumn('nope');
+
+        Assert.areSame(0, fired);
+    },
+
+    'resetColumns should restore the default columns': function () {
+        this.dt.hideColumn('id');
+        this.dt.moveColumn('zip', 0);
+        this.dt.resetColumns();
+
+        ArrayAssert.itemsAreEqual([ 'id', 'name', 'city', 'zip' ], columnKeys(this.dt));
+        Assert.areSame(0, this.dt.getHiddenColumns().length);
+    }
+}));
+
+// -- DataTable Column Manager: Reorder ----------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Reorder',
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'reorderColumns should enable dragging the header cells': function () {
+        this.dt = createTable();
+        Assert.isNull(this.dt._colDelegate);
+
+        this.dt.set('reorderColumns', true);
+        Assert.isObject(this.dt._colDelegate);
+        Assert.isTrue(this.dt.get('boundingBox').hasClass(this.dt.getClassName('col', 'reorder')));
+
+        this.dt.set('reorderColumns', false);
+        Assert.isNull(this.dt._colDelegate);
+        Assert.isFalse(this.dt.get('boundingBox').hasClass(this.dt.getClassName('col', 'reorder')));
+    },
+
+    'dropping a header cell on another should move the column': function () {
+        var moved;
+
+        this.dt = createTable({ reorderColumns: true });
+        this.dt.after('columnReorder', function (e) {
+            moved = e.fromIndex + '>' + e.toIndex;
+        });
+
+        dropColumn(this.dt, 'id', 'city');
+
+        ArrayAssert.itemsAreEqual([ 'name', 'city', 'id', 'zip' ], columnKeys(this.dt));
+        Assert.areSame('0>2', moved);
+
+        dropColumn(this.dt, 'zip', 'name');
+        ArrayAssert.itemsAreEqual([ 'zip', 'name', 'city', 'id' ], columnKeys(this.dt));
+    },
+
+    'dropping a header cell on itself should do nothing': function () {
+        var fired = 0;
+
+        this.dt = createTable({ reorderColumns: true });
+        this.dt.on('columnReorder', function () {
+            fired++;
+        });
+
+        dropColumn(this.dt, 'id', 'id');
+
+        Assert.areSame(0, fired);
+    },
+
+    'frozen columns should not be dragged': function () {
+        var stopped = 0,
+            dt      = this.dt = createTable({
+                columns: [ { key: 'id', frozen: true }, 'name', 'city' ],
+                reorderColumns: true
+            });
+
+        function drag(key) {
+            var node = headerCell(dt, key);
+            dt._onColumnDragStart({ target: {
+                get:      function () { return node; },
+                stopDrag: function () { stopped++; }
+            } });
+        }
+
+        drag('id');
+        Assert.areSame(1, stopped);
+
+        drag('name');
+        Assert.areSame(1, stopped);
+    }
+}));
+
+// -- DataTable Column Manager: Column Chooser ---------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Column Chooser',
+
+    setUp: function () {
+        this.dt = createTable({ columnChooser: true });
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    menuItems: function () {
+        return this.dt._colChooser.get('container').all('.yui3-contextmenu-menuitem');
+    },
+
+    'the menu should list the default columns and a reset item': function () {
+        var items = this.menuItems();
+
+        Assert.areSame(5, items.size());
+        Assert.areSame('name', Y.Lang.trim(items.item(1).get('text')));
+        Assert.areSame('Reset to default', Y.Lang.trim(items.item(4).get('text')));
+    },
+
+    'the checkboxes should show the displayed columns': function () {
+        this.dt.hideColumn('city');
+        headerCell(this.dt, 'id').simulate('contextmenu');
+
+        Assert.isTrue(this.dt._colChooser.get('overlay').get('visible'));
+        ArrayAssert.itemsAreEqual([ true, true, false, true ],
+            this.dt._colChooser.get('container').all('input').get('checked'));
+    },
+
+    'clicking a column should toggle it': function () {
+        headerCell(this.dt, 'id').simulate('contextmenu');
+        this.menuItems().item(1).one('input').simulate('click');
+
+        ArrayAssert.itemsAreEqual([ 'id', 'city', 'zip' ], columnKeys(this.dt));
+
+        headerCell(this.dt, 'id').simulate('contextmenu');
+        this.menuItems().item(1).simulate('click');
+
+        ArrayAssert.itemsAreEqual([ 'id', 'name', 'city', 'zip' ], columnKeys(this.dt));
+    },
+
+    'the reset item should restore the default columns': function () {
+        this.dt.hideColumn('id').hideColumn('zip');
+
+        headerCell(this.dt, 'name').simulate('contextmenu');
+        this.menuItems().item(4).simulate('click');
+
+        ArrayAssert.itemsAreEqual([ 'id', 'name', 'city', 'zip' ], columnKeys(this.dt));
+    },
+
+    'disabling the column chooser should destroy the menu': function () {
+        var menu = this.dt._colChooser;
+
+        this.dt.set('columnChooser', false);
+
+        Assert.isNull(this.dt._colChooser);
+        Assert.isTrue(menu.get('destroyed'));
+    }
+}));
+
+// -- DataTable Column Manager: Persistence ------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Persistence',
+
+    setUp: function () {
+        Y.config.win.localStorage.removeItem(KEY);
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+        Y.config.win.localStorage.removeItem(KEY);
+    },
+
+    'hidden and moved columns should be restored': function () {
+        this.dt = createTable({ reorderColumns: true });
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+
+        this.dt.hideColumn('name');
+        dropColumn(this.dt, 'zip', 'id');
+
+        this.dt.destroy();
+        Y.one('#dt').remove(true);
+
+        this.dt = createTable({ plugins: [ { fn: Y.Plugin.DataTableViewState, cfg: { key: KEY } } ] });
+
+        ArrayAssert.itemsAreEqual([ 'zip', 'id', 'city' ], columnKeys(this.dt));
+        ArrayAssert.itemsAreEqual([ 'name' ], Y.Array.map(this.dt.getHiddenColumns(), function (col) {
+            return col.key;
+        }));
+
+        this.dt.showColumn('name');
+        ArrayAssert.itemsAreEqual([ 'zip', 'id', 'name', 'city' ], columnKeys(this.dt));
+    },
+
+    'resetting the columns should be saved': function () {
+        this.dt = createTable();
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+
+        this.dt.hideColumn('name');
+        this.dt.resetColumns();
+
+        Assert.areSame(0, Y.Array.filter(Y.JSON.parse(Y.config.win.localStorage.getItem(KEY)).columns, function (c) {
+            return c.hidden;
+        }).length);
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-datatable-column-manager', 'gallery-datatable-view-state', 'node-event-simulate',
+                            'test']});
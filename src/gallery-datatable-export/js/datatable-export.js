@@ -0,0 +1,594 @@
+/**
+  Defines a Y.DataTable class extension to export the contents of the DataTable as CSV, TSV or
+   SpreadsheetML (i.e. Excel 2003 XML) text, or to download it as a file.
+
+  The export follows what the user sees; the currently displayed columns (in their order, with
+   their labels as the header row) and the current sort order of the data.  Either the current
+   page or all of the data can be exported, and an optional `filter` function may exclude records.
+
+ <h4>Usage</h4>
+
+        var dtable = new Y.DataTable({
+            columns:    [ 'firstName','lastName',{ key:'salary', formatter:'currency2' },{ key:'hired', formatter:'isoDate' } ],
+            data:       employees
+        });
+
+        var csv = dtable.exportData({ format:'csv' });
+
+        dtable.downloadExport({ format:'xml', scope:'all', formatted:true, fileName:'employees.xls' });
+
+ <h4>Formatting</h4>
+
+ By default the raw data values are exported; numbers and dates become typed "Number" and "DateTime" cells
+ in SpreadsheetML, and dates are written as ISO 8601 strings in CSV / TSV.  With `formatted:true` each cell
+ is formatted through its column `formatter`, as the DataTable body does, including the named formatters
+ of [Y.DataTable.Formatters](Y.DataTable.Formatters.html) (e.g. 'currency2' or 'fullDate') when the
+ gallery-datatable-formatters module is loaded.  Formatted cells are exported as text, with any HTML markup removed
+ and HTML entities (e.g. `&amp;` or `&nbsp;`) decoded.
+
+ <h4>Formulas</h4>
+
+ Spreadsheet applications evaluate CSV / TSV fields starting with `=`, `+`, `-` or `@` as formulas, so such
+ text fields are prefixed with a single quote to be read as text, unless `escapeFormulas:false` is given.
+ Numbers (e.g. negative values) are not affected, nor is SpreadsheetML, whose cells are typed.
+
+ <h4>Paginated Data</h4>
+
+ With gallery-datatable-paginator and local data, `scope:'all'` exports the paginator's buffer of all
+ records, sorted by the current `sortBy`.  For remote (server-side paginated) data the records of all pages
+ are not available to the DataTable, so `scope:'all'` calls the [exportRequest](#attr_exportRequest)
+ function to retrieve them from the server, and the result is delivered to the `callback` asynchronously.
+
+  @module gallery-datatable-export
+  @class Y.DataTable.Export
+  @extensionfor DataTable
+  @since 3.6.0
+ **/
+function DtExport() {}
+
+DtExport.ATTRS = {
+
+    /**
+     * Function called to retrieve all of the records from the server, for an export with `scope:'all'`
+     *  of remote (i.e. server-side paginated) data.  It is called in the DataTable's context with
+     *  two arguments;
+     *
+     *  * `request` : Object with the `sortBy` and `columns` (Array of keys) of the DataTable, and the
+     *     export `format`
+     *  * `callback` : Function to be called as `callback(err, records)` with an Array of the records,
+     *     as plain objects
+     *
+     * @attribute exportRequest
+     * @type Function
+     * @default null
+     */
+    exportRequest: {
+        value:      null,
+        validator:  function(v) { return v === null || Y.Lang.isFunction(v); }
+    }
+};
+
+
+Y.mix( DtExport.prototype, {
+
+    /**
+     * The MIME types of the export formats
+     * @property EXPORT_MIME_TYPES
+     * @type Object
+     * @static
+     * @since 3.6.0
+     * @protected
+     */
+    EXPORT_MIME_TYPES: {
+        csv:    'text/csv',
+        tsv:    'text/tab-separated-values',
+        xml:    'application/vnd.ms-excel'
+    },
+
+    /**
+     * Defines the SpreadsheetML workbook template
+     * @property TMPL_xml_workbook
+     * @type String
+     * @static
+     * @since 3.6.0
+     * @protected
+     */
+    TMPL_xml_workbook: '<?xml version="1.0" encoding="UTF-8"?>\n<?mso-application progid="Excel.Sheet"?>\n' +
+        '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n' +
+        '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style>' +
+        '<Style ss:ID="date"><NumberFormat ss:Format="General Date"/></Style></Styles>\n' +
+        '<Worksheet ss:Name="{sheetName}"><Table>\n{rows}</Table></Worksheet>\n</Workbook>\n',
+
+    /**
+     * Defines the SpreadsheetML template for one cell
+     * @property TMPL_xml_cell
+     * @type String
+     * @static
+     * @since 3.6.0
+     * @protected
+     */
+    TMPL_xml_cell: '<Cell{style}><Data ss:Type="{type}">{value}</Data></Cell>',
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  P U B L I C      M E T H O D S                                                          */
+/*----------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * Exports the contents of the DataTable as text.  Recognized config options are;
+     *
+     *  * `format` : 'csv' (default), 'tsv' or 'xml' (SpreadsheetML)
+     *  * `scope` : 'page' (default) for the displayed data, or 'all' for all of the data
+     *  * `formatted` : true to format the cells through the column formatters (default false)
+     *  * `headers` : false to omit the header row of column labels (default true)
+     *  * `columns` : Array of column keys to export, in place of the displayed columns
+     *  * `filter` : Function called with each record (a Model or plain object), returning false to exclude it
+     *  * `delimiter` : The field delimiter for 'csv' (default ',')
+     *  * `lineEnd` : The record separator for 'csv' and 'tsv' (default '\r\n')
+     *  * `escapeFormulas` : false to export 'csv' and 'tsv' text fields starting with `=`, `+`, `-` or `@`
+     *     as is, rather than prefixed with a single quote (default true)
+     *  * `sheetName` : The worksheet name for 'xml' (default 'Sheet1')
+     *  * `callback` : Function called as `callback(err, text)` when the export is complete
+     *
+     * The text is returned, unless the records have to be requested from the server (`scope:'all'`
+     *  with remote data), in which case null is returned and the text is only passed to the `callback`.
+     *
+     * @method exportData
+     * @param {Object} config (optional) The export options
+     * @return {String} text The exported text, or null when retrieved asynchronously
+     * @public
+     */
+    exportData: function(config) {
+        var cfg      = Y.merge( { format:'csv', scope:'page', headers:true, escapeFormulas:true }, config ),
+            callback = cfg.callback,
+            remote   = this._pagDataSrc && this._pagDataSrc !== 'local',
+            request  = this.get('exportRequest'),
+            text     = null,
+            self     = this;
+
+        if ( !this.EXPORT_MIME_TYPES[cfg.format] ) {
+            if ( callback ) callback( new Error('Unknown export format "' + cfg.format + '"'), null );
+            return null;
+        }
+
+        //
+        //  For all of the remote data, the records are requested from the server ...
+        //
+        if ( cfg.scope === 'all' && remote ) {
+            if ( !request ) {
+                if ( callback ) callback( new Error('The exportRequest attribute is required to export all remote data'), null );
+                return null;
+            }
+
+            request.call( this, {
+                sortBy:     this.get('sortBy') || null,
+                columns:    Y.Array.map( this._getExportColumns(cfg), function(col){ return col.key; }),
+                format:     cfg.format
+            }, function(err, records) {
+                if ( err ) {
+                    if ( callback ) callback( err, null );
+                    return;
+                }
+                text = self._serializeExport( self._filterExportRecords( records || [], cfg ), cfg );
+                self.fire( 'dataExport', { format:cfg.format, scope:cfg.scope, text:text } );
+                if ( callback ) callback( null, text );
+            });
+
+            return null;
+        }
+
+        text = this._serializeExport( this._filterExportRecords( this._getExportRecords(cfg), cfg ), cfg );
+
+        this.fire( 'dataExport', { format:cfg.format, scope:cfg.scope, text:text } );
+        if ( callback ) callback( null, text );
+
+        return text;
+    },
+
+    /**
+     * Exports the contents of the DataTable (see [exportData](#method_exportData)) and offers the result
+     *  to the user as a file download.  In addition to the exportData options, `fileName` may be given
+     *  (default 'export.csv', 'export.tsv' or 'export.xls').
+     *
+     * Requires a browser supporting Blob and the "download" attribute of links.
+     *
+     * @method downloadExport
+     * @param {Object} config (optional) The export options
+     * @return this
+     * @chainable
+     * @public
+     */
+    downloadExport: function(config) {
+        var cfg  = Y.merge( { format:'csv' }, config ),
+            win  = Y.config.win,
+            doc  = Y.config.doc,
+            ext  = ( cfg.format === 'xml' ) ? 'xls' : cfg.format,
+            user_cb = cfg.callback,
+            self = this;
+
+        cfg.callback = function(err, text) {
+            var blob, url, link;
+
+            if ( !err ) {
+                blob = new win.Blob( [ text ], { type: self.EXPORT_MIME_TYPES[cfg.format] + ';charset=utf-8' } );
+
+                if ( win.navigator.msSaveBlob ) {
+                    win.navigator.msSaveBlob( blob, cfg.fileName || 'export.' + ext );
+                } else {
+                    url  = win.URL.createObjectURL(blob);
+                    link = doc.createElement('a');
+                    link.href = url;
+                    link.download = cfg.fileName || 'export.' + ext;
+                    doc.body.appendChild(link);
+                    link.click();
+                    doc.body.removeChild(link);
+                    Y.later( 0, win.URL, 'revokeObjectURL', url );
+                }
+            }
+
+            if ( user_cb ) user_cb.call( self, err, text );
+        };
+
+        this.exportData(cfg);
+        return this;
+    },
+
+    /**
+     * Fires after the DataTable contents have been exported
+     * @event dataExport
+     * @param {String} format The export format
+     * @param {String} scope The export scope, 'page' or 'all'
+     * @param {String} text The exported text
+     */
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  P R I V A T E    M E T H O D S                                                          */
+/*----------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * Returns the columns to export, either the columns given by key in the `columns` option or
+     *  the currently displayed columns (excluding any without a key).
+     *
+     * @method _getExportColumns
+     * @param {Object} cfg The export options
+     * @return {Array} columns
+     * @private
+     */
+    _getExportColumns: function(cfg) {
+        var columns;
+
+        if ( cfg.columns ) {
+            return Y.Array.map( cfg.columns, function(key){
+                return this.getColumn(key) || { key:key };
+            }, this);
+        }
+
+        columns = this.displayColumns || ( this.body && this.body.get('columns') ) || this.get('columns');
+
+        return Y.Array.filter( columns, function(col){
+            return !!col.key;
+        });
+    },
+
+    /**
+     * Returns the records to export for the scope of the export, in their current sort order.
+     *  For `scope:'all'` of locally paginated data, this is the paginator buffer sorted by `sortBy`.
+     *
+     * @method _getExportRecords
+     * @param {Object} cfg The export options
+     * @return {Array} records Models or plain objects
+     * @private
+     */
+    _getExportRecords: function(cfg) {
+        var rdata = this._mlistArray,
+            data  = this.data,
+            temp  = [],
+            items;
+
+        if ( cfg.scope !== 'all' || this._pagDataSrc !== 'local' || !rdata )
+            return data.toArray();
+
+        // sort a copy of the buffer by the DataTable's comparator, i.e. the current sortBy
+        if ( !data.comparator ) return rdata.concat();
+
+        // the comparator needs Models, so plain objects are wrapped in temporary ones that are destroyed
+        //  afterwards (DataTable sort replaces the ModelList _compare method, to compare by sortBy)
+        items = Y.Array.map( rdata, function(rec, index){
+            var model = rec;
+
+            if ( !(rec instanceof Y.Model) ) {
+                model = new data.model(rec);
+                temp.push(model);
+            }
+
+            return { rec:rec, model:model, index:index };
+        });
+
+        items.sort( function(a, b){
+            return data._compare( data.comparator(a.model), data.comparator(b.model) ) || a.index - b.index;
+        });
+
+        Y.Array.invoke( temp, 'destroy' );
+
+        return Y.Array.map( items, function(item){
+            return item.rec;
+        });
+    },
+
+    /**
+     * Applies the `filter` option to the records
+     *
+     * @method _filterExportRecords
+     * @param {Array} records
+     * @param {Object} cfg The export options
+     * @return {Array} records
+     * @private
+     */
+    _filterExportRecords: function(records, cfg) {
+        return ( Y.Lang.isFunction(cfg.filter) ) ? Y.Array.filter( records, cfg.filter, this ) : records;
+    },
+
+    /**
+     * Builds a table (Array of rows of cells) of the records, and serializes it in the export format.
+     *
+     * @method _serializeExport
+     * @param {Array} records
+     * @param {Object} cfg The export options
+     * @return {String}
+     * @private
+     */
+    _serializeExport: function(records, cfg) {
+        var columns = this._getExportColumns(cfg),
+            rows    = [];
+
+        Y.Array.each( records, function(rec, index){
+            var data = ( rec && rec.toJSON ) ? rec.toJSON() : rec;
+
+            rows.push( Y.Array.map( columns, function(col){
+                return this._getExportCell( col, data, rec, index, cfg );
+            }, this) );
+        }, this);
+
+        return ( cfg.format === 'xml' ) ? this._toSpreadsheetML( columns, rows, cfg )
+            : this._toDelimited( columns, rows, cfg );
+    },
+
+    /**
+     * Returns the export value of one cell, either the raw data value or the value formatted through
+     *  the column formatter.  For formatted cells an object `{ value:text, formatted:true }` is returned.
+     *
+     * @method _getExportCell
+     * @param {Object} col The column
+     * @param {Object} data The record data
+     * @param {Model|Object} rec The record
+     * @param {Number} index The record index
+     * @param {Object} cfg The export options
+     * @return {Any} value
+     * @private
+     */
+    _getExportCell: function(col, data, rec, index, cfg) {
+        var value = data[col.key],
+            fmtrs = Y.DataTable.Formatters,
+            formatterData;
+
+        if ( !cfg.formatted || !col.formatter ) return value;
+
+        formatterData = {
+            value:      value,
+            data:       data,
+            column:     col,
+            record:     rec,
+            className:  '',
+            rowClass:   '',
+            rowIndex:   index
+        };
+
+        //
+        //  Format in the same manner as the DataTable body
+        //
+        if ( Y.Lang.isString(col.formatter) ) {
+            if ( value !== undefined ) {
+                if ( fmtrs && fmtrs.namedFormatter && fmtrs.formatStrings[col.formatter] )
+                    value = fmtrs.namedFormatter.call( this, col.formatter, formatterData );
+                else if ( col.formatConfig )
+                    value = Y.Lang.sub( '{' + value + '}', col.formatConfig );
+                else
+                    value = Y.Lang.sub( col.formatter, formatterData );
+            }
+        } else if ( Y.Lang.isFunction(col.formatter) ) {
+            value = col.formatter.call( this, formatterData );
+            if ( value === undefined ) value = formatterData.value;
+        }
+
+        if ( value === undefined || value === null || value === '' )
+            value = col.emptyCellValue || '';
+
+        // formatters may return markup, only the text is exported
+        return { value: this._htmlToText(value), formatted: true };
+    },
+
+    /**
+     * Returns the text of a cell value for CSV / TSV, with dates as ISO 8601 strings
+     *
+     * @method _exportText
+     * @param {Any} value
+     * @return {String}
+     * @private
+     */
+    _exportText: function(value) {
+        if ( value && value.formatted ) return value.value;
+        if ( value === undefined || value === null ) return '';
+        if ( Y.Lang.isDate(value) ) return isNaN(value.getTime()) ? '' : value.toISOString();
+        return String(value);
+    },
+
+    /**
+     * Serializes the header and rows as CSV or TSV.  Text fields that a spreadsheet would evaluate as
+     *  a formula are prefixed with a single quote (unless `escapeFormulas` is false).  Fields containing
+     *  the delimiter, a double quote, a line break or leading / trailing spaces are quoted, with double
+     *  quotes doubled (RFC 4180).
+     *
+     * @method _toDelimited
+     * @param {Array} columns
+     * @param {Array} rows
+     * @param {Object} cfg The export options
+     * @return {String}
+     * @private
+     */
+    _toDelimited: function(columns, rows, cfg) {
+        var delim   = ( cfg.format === 'tsv' ) ? '\t' : ( cfg.delimiter || ',' ),
+            lineEnd = cfg.lineEnd || '\r\n',
+            lines   = [],
+            self    = this,
+            quote   = function(value) {
+                var text = self._exportText(value);
+                // raw Numbers are not formulas, e.g. negative values
+                if ( cfg.escapeFormulas && !Y.Lang.isNumber(value) && /^[=+\-@\t\r]/.test(text) )
+                    text = "'" + text;
+                if ( text.indexOf(delim) !== -1 || /["\r\n]|^\s|\s$/.test(text) )
+                    text = '"' + text.replace(/"/g, '""') + '"';
+                return text;
+            };
+
+        if ( cfg.headers ) {
+            lines.push( Y.Array.map( columns, function(col){
+                return quote( this._getExportLabel(col) );
+            }, this).join(delim) );
+        }
+
+        Y.Array.each( rows, function(row){
+            lines.push( Y.Array.map( row, quote ).join(delim) );
+        });
+
+        return lines.join(lineEnd) + ( lines.length ? lineEnd : '' );
+    },
+
+    /**
+     * Serializes the header and rows as a SpreadsheetML workbook with typed cells; Numbers as "Number",
+     *  Dates as "DateTime", Booleans as "Boolean" and everything else (including formatted cells) as "String".
+     *
+     * @method _toSpreadsheetML
+     * @param {Array} columns
+     * @param {Array} rows
+     * @param {Object} cfg The export options
+     * @return {String}
+     * @private
+     */
+    _toSpreadsheetML: function(columns, rows, cfg) {
+        var xml = '';
+
+        if ( cfg.headers ) {
+            xml += '<Row>' + Y.Array.map( columns, function(col){
+                return this._getXmlCell( this._getExportLabel(col), ' ss:StyleID="header"' );
+            }, this).join('') + '</Row>\n';
+        }
+
+        Y.Array.each( rows, function(row){
+            xml += '<Row>' + Y.Array.map( row, function(value){
+                return this._getXmlCell(value);
+            }, this).join('') + '</Row>\n';
+        }, this);
+
+        return Y.Lang.sub( this.TMPL_xml_workbook, {
+            sheetName:  this._escapeXml( cfg.sheetName || 'Sheet1' ),
+            rows:       xml
+        });
+    },
+
+    /**
+     * Returns the SpreadsheetML Cell for a value
+     *
+     * @method _getXmlCell
+     * @param {Any} value
+     * @param {String} style (optional) Style attribute of the cell
+     * @return {String}
+     * @private
+     */
+    _getXmlCell: function(value, style) {
+        var type = 'String',
+            text;
+
+        if ( Y.Lang.isNumber(value) && isFinite(value) ) {
+            type = 'Number';
+            text = String(value);
+        } else if ( Y.Lang.isBoolean(value) ) {
+            type = 'Boolean';
+            text = value ? '1' : '0';
+        } else if ( Y.Lang.isDate(value) && !isNaN(value.getTime()) ) {
+            type  = 'DateTime';
+            style = style || ' ss:StyleID="date"';
+            // SpreadsheetML expects local date and time, without a timezone
+            text  = Y.Array.map( [ value.getFullYear(), value.getMonth() + 1, value.getDate() ], function(n, i){
+                        return ( i && n < 10 ) ? '0' + n : n;
+                    }).join('-') + 'T' +
+                    Y.Array.map( [ value.getHours(), value.getMinutes(), value.getSeconds() ], function(n){
+                        return ( n < 10 ) ? '0' + n : n;
+                    }).join(':') + '.000';
+        } else {
+            text = this._escapeXml( this._exportText(value) );
+        }
+
+        return Y.Lang.sub( this.TMPL_xml_cell, {
+            style:  style || '',
+            type:   type,
+            value:  text
+        });
+    },
+
+    /**
+     * Returns the header label of a column
+     *
+     * @method _getExportLabel
+     * @param {Object} col
+     * @return {String}
+     * @private
+     */
+    _getExportLabel: function(col) {
+        // labels may contain markup, only the text is exported
+        return this._htmlToText( col.label || col.key );
+    },
+
+    /**
+     * Returns the text of an HTML string, i.e. with the markup removed and the character entities
+     *  decoded.  Non-breaking spaces become plain spaces.
+     *
+     * @method _htmlToText
+     * @param {String} html
+     * @return {String}
+     * @private
+     */
+    _htmlToText: function(html) {
+        var named = { amp:'&', lt:'<', gt:'>', quot:'"', apos:"'", nbsp:' ' };
+
+        return String(html).replace(/<[^>]*>/g, '')
+            .replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, function(entity, name){
+                var code;
+
+                if ( name.charAt(0) !== '#' )
+                    return named.hasOwnProperty(name) ? named[name] : entity;
+
+                code = ( name.charAt(1) === 'x' || name.charAt(1) === 'X' ) ? parseInt(name.substr(2), 16)
+                    : parseInt(name.substr(1), 10);
+
+                if ( code === 160 ) return ' ';
+                return ( code > 0 && code <= 0xFFFF ) ? String.fromCharCode(code) : entity;
+            });
+    },
+
+    /**
+     * Escapes a string for XML text or attribute content
+     *
+     * @method _escapeXml
+     * @param {String} text
+     * @return {String}
+     * @private
+     */
+    _escapeXml: function(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/\r\n|\r|\n/g, '&#10;');
+    }
+
+});
+
+Y.DataTable.Export = DtExport;
+Y.Base.mix(Y.DataTable, [Y.DataTable.Export]);
@@ -0,0 +1,271 @@
+YUI.add('datatable-export-test', function (Y) {
+
+var Assert = Y.Assert,
+
+    suite;
+
+function createTable(config) {
+    Y.one('body').append('<div id="dt"></div>');
+
+    return new Y.DataTable(Y.merge({
+        columns: [
+            { key: 'name', label: 'Name' },
+            { key: 'amount', label: 'Amount' },
+            { key: 'when', label: 'When' }
+        ],
+        data: [
+            { name: 'Smith, John', amount: 12.5, when: new Date(Date.UTC(2012, 0, 2, 3, 4, 5)) },
+            { name: 'Say "hi"', amount: -3, when: null }
+        ]
+    }, config)).render('#dt');
+}
+
+// -- DataTable Export Suite ---------------------------------------------------
+suite = new Y.Test.Suite('DataTable Export');
+
+// -- DataTable Export: Delimited ----------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Delimited',
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'csv should quote fields as in RFC 4180': function () {
+        this.dt = createTable();
+
+        Assert.areSame(
+            'Name,Amount,When\r\n' +
+            '"Smith, John",12.5,2012-01-02T03:04:05.000Z\r\n' +
+            '"Say ""hi""",-3,\r\n',
+            this.dt.exportData()
+        );
+    },
+
+    'tsv should only quote fields with tabs, quotes or line breaks': function () {
+        this.dt = createTable({
+            data: [ { name: 'a, b', amount: 1 }, { name: 'tab\there', amount: 2 }, { name: 'two\nlines', amount: 3 } ]
+        });
+
+        Assert.areSame(
+            'a, b\t1\t\n"tab\there"\t2\t\n"two\nlines"\t3\t\n',
+            this.dt.exportData({ format: 'tsv', headers: false, lineEnd: '\n' })
+        );
+    },
+
+    'the columns, delimiter and filter options should be applied': function () {
+        this.dt = createTable();
+
+        Assert.areSame('Amount;Name\r\n12.5;Smith, John\r\n', this.dt.exportData({
+            columns:   [ 'amount', 'name' ],
+            delimiter: ';',
+            filter:    function (rec) { return rec.get('amount') > 0; }
+        }));
+    },
+
+    'text fields starting a formula should be escaped': function () {
+        this.dt = createTable({
+            data: [
+                { name: '=HYPERLINK("http://example.com")', amount: -1 },
+                { name: '+1', amount: 0 },
+                { name: '-2+3', amount: 0 },
+                { name: '@SUM(A1)', amount: 0 },
+                { name: 'a=b', amount: 0 }
+            ]
+        });
+
+        Assert.areSame(
+            '"\'=HYPERLINK(""http://example.com"")",-1\r\n' +
+            "'+1,0\r\n'-2+3,0\r\n'@SUM(A1),0\r\na=b,0\r\n",
+            this.dt.exportData({ columns: [ 'name', 'amount' ], headers: false })
+        );
+    },
+
+    'formula escaping can be turned off': function () {
+        this.dt = createTable({ data: [ { name: '=1+1' } ] });
+
+        Assert.areSame('=1+1\r\n', this.dt.exportData({ columns: [ 'name' ], headers: false, escapeFormulas: false }));
+    }
+}));
+
+// -- DataTable Export: Formatted ----------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Formatted',
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'formatted cells should be exported as text': function () {
+        this.dt = createTable({
+            columns: [
+                { key: 'name', label: '<b>Name</b> &amp; title',
+                  formatter: function (o) { return '<em>' + o.value + '</em> &lt;&#39;&#x41;&gt;&nbsp;&copy;'; } },
+                { key: 'amount', formatter: '${value}' }
+            ]
+        });
+
+        Assert.areSame(
+            'Name & title,amount\r\n' +
+            '"Smith, John <\'A> &copy;",$12.5\r\n' +
+            '"Say ""hi"" <\'A> &copy;",$-3\r\n',
+            this.dt.exportData({ formatted: true })
+        );
+    },
+
+    'formatted cells should be escaped when they start a formula': function () {
+        this.dt = createTable({
+            columns: [ { key: 'amount', formatter: function (o) { return '=' + o.value; } } ]
+        });
+
+        Assert.areSame("'=12.5\r\n'=-3\r\n", this.dt.exportData({ formatted: true, headers: false }));
+    },
+
+    'empty formatted cells should use emptyCellValue': function () {
+        this.dt = createTable({
+            columns: [ { key: 'when', formatter: function () { return ''; }, emptyCellValue: 'n/a' } ]
+        });
+
+        Assert.areSame('n/a\r\nn/a\r\n', this.dt.exportData({ formatted: true, headers: false }));
+    }
+}));
+
+// -- DataTable Export: SpreadsheetML ------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'SpreadsheetML',
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'cells should be typed': function () {
+        var when = new Date(2012, 0, 2, 3, 4, 5),
+            xml;
+
+        this.dt = createTable({
+            columns: [ 'name', 'amount', 'when', 'ok' ],
+            data:    [ { name: 'a < b & "c"', amount: 12.5, when: when, ok: true } ]
+        });
+
+        xml = this.dt.exportData({ format: 'xml', headers: false, sheetName: 'A&B' });
+
+        Assert.isTrue(xml.indexOf('<Worksheet ss:Name="A&amp;B">') !== -1, 'sheet name');
+        Assert.isTrue(xml.indexOf('<Cell><Data ss:Type="String">a &lt; b &amp; &quot;c&quot;</Data></Cell>') !== -1, 'string');
+        Assert.isTrue(xml.indexOf('<Cell><Data ss:Type="Number">12.5</Data></Cell>') !== -1, 'number');
+        Assert.isTrue(xml.indexOf('<Cell ss:StyleID="date"><Data ss:Type="DateTime">2012-01-02T03:04:05.000</Data></Cell>') !== -1, 'date');
+        Assert.isTrue(xml.indexOf('<Cell><Data ss:Type="Boolean">1</Data></Cell>') !== -1, 'boolean');
+    },
+
+    'formulas should not be escaped in typed cells': function () {
+        var xml;
+
+        this.dt = createTable({ columns: [ 'name' ], data: [ { name: '=1+1' } ] });
+        xml = this.dt.exportData({ format: 'xml' });
+
+        Assert.isTrue(xml.indexOf('<Cell ss:StyleID="header"><Data ss:Type="String">name</Data></Cell>') !== -1, 'header');
+        Assert.isTrue(xml.indexOf('<Data ss:Type="String">=1+1</Data>') !== -1, 'formula');
+    }
+}));
+
+// -- DataTable Export: Requests -----------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Requests',
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'unknown formats should be reported to the callback': function () {
+        var error;
+
+        this.dt = createTable();
+
+        Assert.isNull(this.dt.exportData({ format: 'pdf', callback: function (err) { error = err; } }));
+        Assert.isInstanceOf(Error, error);
+    },
+
+    'exports should fire dataExport': function () {
+        var event;
+
+        this.dt = createTable();
+        this.dt.on('dataExport', function (e) { event = e; });
+
+        this.dt.exportData({ format: 'tsv' });
+
+        Assert.areSame('tsv', event.format);
+        Assert.areSame('page', event.scope);
+        Assert.areSame(0, event.text.indexOf('Name\tAmount\tWhen'));
+    },
+
+    'all remote data should be requested through exportRequest': function () {
+        var request, text;
+
+        this.dt = createTable({
+            exportRequest: function (req, callback) {
+                request = req;
+                callback(null, [ { name: 'remote', amount: 1 } ]);
+            }
+        });
+
+        // as gallery-datatable-paginator does for server-side data
+        this.dt._pagDataSrc = 'ds';
+
+        Assert.isNull(this.dt.exportData({
+            scope:    'all',
+            headers:  false,
+            callback: function (err, t) { text = t; }
+        }));
+
+        Y.ArrayAssert.itemsAreEqual([ 'name', 'amount', 'when' ], request.columns);
+        Assert.areSame('csv', request.format);
+        Assert.areSame('remote,1,\r\n', text);
+    },
+
+    'all local data should be sorted without keeping temporary models': function () {
+        var created = [],
+            text;
+
+        this.dt = createTable({ columns: [ 'name', 'amount' ], sortBy: 'amount' });
+
+        this.dt.data.model = Y.Base.create('exportTestRecord', this.dt.data.model, [], {
+            initializer: function () {
+                created.push(this);
+            }
+        });
+
+        // as gallery-datatable-paginator does for local data
+        this.dt._pagDataSrc = 'local';
+        this.dt._mlistArray = [ { name: 'c', amount: 3 }, { name: 'a', amount: 1 }, { name: 'b', amount: 2 } ];
+
+        text = this.dt.exportData({ scope: 'all', headers: false });
+
+        Assert.areSame('a,1\r\nb,2\r\nc,3\r\n', text);
+        Assert.areSame(3, created.length);
+        Y.Array.each(created, function (model) {
+            Assert.isTrue(model.get('destroyed'), model.get('name'));
+        });
+    },
+
+    'remote exports without exportRequest should fail': function () {
+        var error;
+
+        this.dt = createTable();
+        this.dt._pagDataSrc = 'ds';
+
+        this.dt.exportData({ scope: 'all', callback: function (err) { error = err; } });
+
+        Assert.isInstanceOf(Error, error);
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-datatable-export', 'datatable-sort', 'test']});
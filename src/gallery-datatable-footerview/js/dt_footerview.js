@@ -29,6 +29,10 @@
   *  `{date}` Returns the current date
   *  `{time}` Returns the current time
 
+  Further calculated fields, `{count}`, `{count_distinct}`, `{median}`, `{percentile:N}`, `{variance}`,
+  `{stddev}` and `{weighted_avg:weightKey}`, are provided by the registry [Y.FooterView.AGGREGATES](#property_AGGREGATES),
+  to which applications can add their own via [registerAggregate](#method_registerAggregate).
+
   #### Configuration
 
   YUI 3.6.0 DataTable supports attributes including `footerView` and `footerConfig`.
@@ -46,6 +50,8 @@
      * [`content`](#attr_columns.content) : String indicating the contents of this TD
      * [`className`](#attr_columns.className) : Additional classname for TD
      * [`formatter`](#attr_columns.formatter) : Formatter to apply to this column result
+  * [`rows`](#attr_rows) : Array of objects, one per footer row (as `heading`, `columns` and `source`), in
+     place of `heading` and `columns` for a footer with several rows, e.g. page totals and grand totals
   * [`dateFormat`](#attr_dateFormat) : Format string to use for any {date} fields
   * [`timeFormat`](#attr_timeFormat) : Format string to use for any {time} fields
 
@@ -112,26 +118,26 @@
       TMPL_th: '<th colspan="{colspan}" class="{thClass}">{content}</th>',
 
       /**
-       Defines the default TR HTML template for the footer
+       Defines the default TR HTML template for a row of the footer
        @property TMPL_tr
        @type String
-       @default '<tr>{th_content}{td_content}</tr>'
+       @default '<tr class="{trClass}">{th_content}{td_content}</tr>'
        @static
        @since 3.6.0
        @protected
        **/
-      TMPL_tr:    '<tr>{th_content}{td_content}</tr>',
+      TMPL_tr:    '<tr class="{trClass}">{th_content}{td_content}</tr>',
 
       /**
        Defines the default TFOOT HTML template for the footer
        @property TMPL_tfoot
        @type String
-       @default '<tfoot class="{footClass}"><tr>{th_content}{td_content}</tr></tfoot>'
+       @default '<tfoot class="{footClass}">{tr_content}</tfoot>'
        @static
        @since 3.6.0
        @protected
        **/
-      TMPL_tfoot: '<tfoot class="{footClass}"><tr>{th_content}{td_content}</tr></tfoot>',
+      TMPL_tfoot: '<tfoot class="{footClass}">{tr_content}</tfoot>',
 
 
       /**
@@ -192,6 +198,16 @@
        **/
       _dt: null,
 
+      /**
+       Node created by the render() method, holding the footer rows
+       @property _footNode
+       @type Node
+       @default null
+       @since 3.6.0
+       @private
+       **/
+      _footNode: null,
+
       /**
        * Called when view is initialized.  Stores reference to calling DataTable and
        *  creates listeners to link building or refreshing the footer back to the
@@ -218,6 +234,9 @@
           // Listen for changes on the DataTable "data" ...
           this._subscr.push( this._dt.data.after(['*:change','*:add','*:create', '*:remove', '*:reset'], Y.bind('refreshFooter', this) ) );
 
+          // ... and for pages loaded by gallery-datatable-paginator, including the response meta for server-side pages
+          this._subscr.push( this._dt.after(['pageUpdate','responseMeta'], Y.bind('refreshFooter', this) ) );
+
       },
 
       /**
@@ -239,8 +258,11 @@
       /**
        * Creates the DOM elements and attaches them to the footerView container.
        *  Reads the configuration parameters (i.e. from DataTable's config as "footerConfig")
-       *  and structures a single TR element, with a leading TH in first column, and the
-       *  requested TD elements following.
+       *  and structures a TR element for each footer row, with a leading TH in first column,
+       *  and the requested TD elements following.
+       *
+       *  A single row is configured by the `heading` and `columns` of the footerConfig, several
+       *  rows (e.g. page totals and grand totals) by the [`rows`](#attr_rows) Array.
        *
        * @method render
        * @public
@@ -250,13 +272,9 @@
       render: function(){
           var foot_cont = this.get('container'),      // reference to the TFOOT, created by DataTable
               table_obj = this._dt,                   // reference to the parent DataTable instance
-              columns   = table_obj.get('columns'),   // reference to the ModelList / or DataTable.data
-              rs_data   = table_obj.get("data"),      // reference to the ModelList / or DataTable.data
               foot_cfg  = table_obj.get('footerConfig'),    // placeholder for the 'footer' config
-              foot_cols = foot_cfg.columns,           // placeholder for the 'footer'.config.columns entry
-              tfoot_th  = '',                         // the string for the TH node
-              tfoot_td  = '',                         // the string for the TD node
-              cspan     = 1;                          // colSpan entry for TH, default to 1
+              foot_rows = foot_cfg.rows || [ foot_cfg ],    // the footer row configs
+              tfoot_tr  = '';                         // the string for the TR nodes
 
           this.node_cols = [];
 
@@ -271,121 +289,26 @@
               : ( table_obj.get('timeFormat') ) ? table_obj.get('timeFormat')
               : this.timeFormat;
 
-          // define a default replacer object ...
-          var replacer_obj = {
-              ROW_COUNT : rs_data.size(),
-              COL_COUNT : columns.length,
-              DATE:       Y.DataType.Date.format( new Date(), { format: this.dateFormat }),
-              TIME:       Y.DataType.Date.format( new Date(), { format: this.timeFormat })
-          };
-          // duplicate above, for lowercase
-          Y.Object.each(replacer_obj,function(val,key,obj){
-              obj[ key.toLowerCase() ] = val;
-          });
-
-          //
-          //  Process the TH part
-          //
-          if ( foot_cfg.heading ) {
-              cspan = foot_cfg.heading.colspan || cspan;
-              tfoot_th = this.fnReplace( this.TMPL_th, {
-                  colspan: cspan,
-                  thClass: ' ' + (foot_cfg.heading.className || ''),
-                  content: this.fnReplace( foot_cfg.heading.content, replacer_obj )
-              });
-
-              var th_item = {
-                  index:	 0,
-                  key:		 0,
-                  td:		 null,
-                  th:        foot_cfg.heading,
-                  className: foot_cfg.heading.className || '',
-                  formatter: '',
-                  content:   null
-              };
-
-              // save this for later ... used by refreshFooter
-              this.node_cols.push(th_item);
-          }
-
-          //
-          //  Make an array for the remainder TD's in the Footer
-          //
-          var num_tds = columns.length - cspan;
-          var td_html = [];	// an array of objects to hold footer TD (non-TH!) data
-
-          for(var i=cspan; i<columns.length; i++) {
-              var titem = columns[i];
-              td_html.push({
-                  index:	 i,
-                  key:		 titem.key,
-                  td:		 null,
-                  th:        null,
-                  className: titem.className || '',   // copy over this DT's column class
-                  formatter: titem.formatter || '',   //                   and formatter
-                  content:   null
-              });
-          }
-
-          //
-          //  Augment the Footer TD's, by inserting computed values from 'footer' config
-          //
-          //   Note: Users may enter footer 'columns' in non-ascending order, thus
-          //         necessitating the search for column key ...
-          //
-          Y.Array.each( foot_cols, function(fitem){
-              var imatch = -1;
-              Y.Array.some( td_html, function(item,index) {
-                  if ( item.key === fitem.key ) {
-                      imatch = index;
-                      return true;	// true ends the loop ... so this is 'find a first'
-                  }
-              });
-
-              if ( imatch !== -1) {
-                  // go ahead and calculate the value for this cell, while we are building it ...
-                  td_html[imatch].td = this.formatFootCell( td_html[imatch], fitem );
-
-                  td_html[imatch].content = fitem.content || null;
-                  td_html[imatch].foot_cfg = fitem;
-
-                  if ( fitem.formatter )
-                      td_html[imatch].formatter = fitem.formatter;
-
-                  if ( fitem.className )
-                      td_html[imatch].className = fitem.className;
-              }
-
-          }, this);
-
-          //
-          //  and Build out the TD string ... looping over the non-TH columns
-          //
-          Y.Array.each( td_html, function(item){
-              item.td = item.td || '';	// if nothing defined, fill with ''
-              item.content = item.content || null;
-
-              tfoot_td += this.fnReplace( this.TMPL_td, {
-                  tdClass: item.className || '',
-                  content: item.td
-              });
-
-              this.node_cols.push( item );
+          Y.Array.each( foot_rows, function(row_cfg, rindex){
+              tfoot_tr += this._renderFootRow( row_cfg, rindex );
           }, this);
 
           //
-          //  Now construct the TR and the outer TFOOT and add it
+          //  Now construct the outer TFOOT and add it
           //
           var trClass = this._dt.getClassName('footer');
           tr_tmpl = this.TMPL_tfoot;
 
           var tr = this.fnReplace( tr_tmpl, {
               footClass:  trClass,
-              th_content: tfoot_th,
-              td_content: tfoot_td
+              tr_content: tfoot_tr
           });
 
-          var foot_tr = foot_cont.append( Y.Node.create(tr) );
+          // remove the rows of a previous render, i.e. when the DataTable is re-rendered for a new page
+          if ( this._footNode ) this._footNode.remove(true);
+          this._footNode = Y.Node.create(tr);
+
+          var foot_tr = foot_cont.append( this._footNode );
 
           this.fire('renderFooter');
 
@@ -417,6 +340,10 @@
        * {avg}		Calculate the arithmetic average of the datset
        *                (synonyms are {mean}, {average})
        *
+       * These, and any other set-based calcs, are looked up by name in the registry
+       *  [Y.FooterView.AGGREGATES](#property_AGGREGATES), see [registerAggregate](#method_registerAggregate).
+       *  An argument may follow the name after a colon, e.g. {weighted_avg:qty} or {percentile:90}.
+       *
        * Also, non-dataset iterating calcs are;
        *  {row_count}	 Returns the number of rows in the dataset
        *  {col_count}  Returns the number of columns in the dataset (no visibility check)
@@ -424,80 +351,64 @@
        *  {time}		 Returns the current time (via timeFormat setting)
        *
        * If 'calc' argument is a function(), then call it (in the "this" context of this
-       *  FooterView) with one argument, the DataTable.data property.
+       *  FooterView) with one argument, the DataTable.data property (or the 'records'
+       *  argument, if provided).
        *
-       * Doesn't handle non-numeric calculations (i.e. `Date` or `String`)
+       * By default the whole DataTable "data" is used, an Array of Models (or of plain
+       *  objects) can be provided as 'records' to calculate over a subset instead, as
+       *  is done for group subtotals.
        *
-       * TODO:  Consider one call to this (with mult keys) for one loop thru only ...
+       * The built-in calcs don't handle non-numeric values (i.e. `Date` or `String`), except
+       *  for {count} and {count_distinct}.
        *
-       *  not a really possible use case, but ...
-       *  whatif user tries to enter calc='this is a {sum} and {min} value' ??
+       * If 'calc' contains several tags, the first recognized one is calculated (see
+       *  [formatFootCell](#method_formatFootCell), which calculates each of them).  If it
+       *  contains no recognized tag, 'calc' is returned unchanged.
        *
        * @method calcDatasetValue
        * @param {String} colKey  The column key name to be calculated
        * @param {String} calc    A recognizable calc setting from above
-       * @return {Number} the return value
+       * @param {Array} records  (optional) Records to calculate over, defaults to the DataTable "data"
+       * @return {Number|String} the return value
        * @public
        */
-      calcDatasetValue: function(colKey, calc) {
+      calcDatasetValue: function(colKey, calc, records) {
 
-          var rs_data = this._dt.get("data"),    // this is a modelList currently
+          var rs_data = records || this._dt.get("data"),    // this is a modelList, or an Array of records
+              rs_arr  = ( rs_data.toArray ) ? rs_data.toArray() : rs_data,
               rcalc   = 0;
 
           // If a string, then process it ....
 
           if ( Y.Lang.isString(calc) ) {
               var lcalc = calc.toLowerCase(),
-                  avg   = lcalc.search(/{average}|{avg}|{mean}/i);  // a flag for knowing if averaging is to be done
+                  ctag  = this._getFootTag(calc),       // the first recognized {name} or {name:arg} tag
+                  aggr  = ( ctag ) ? Y.FooterView.AGGREGATES[ ctag[1].toLowerCase() ] : null;
+
+              // leave text without recognized tags as is, e.g. '{unknown}'
+              if ( !ctag ) return calc;
 
               //
               //  initial case, if non-summary item, just return it!
               //   Note: these probably shouldn't be used in a TD column,
               //        but sometimes people may do this ...
               //
-              if ( lcalc.search(/{row_count}/) !== -1 ) 	return rs_data.size();
+              if ( lcalc.search(/{row_count}/) !== -1 ) 	return rs_arr.length;
               if ( lcalc.search(/{col_count}/) !== -1  ) 	return this._dt.get("columns").length;
               if ( lcalc.search(/{date}/) !== -1  )		return Y.DataType.Date.format( new Date(), { format: this.dateFormat });
               if ( lcalc.search(/{time}/) !== -1  )		return Y.DataType.Date.format( new Date(), { format: this.timeFormat });
 
-              //
-              //  If a min or max, set initial value to first
-              //
-              if ( lcalc.search(/{min}|{max}/) !== -1 )
-                  rcalc = parseFloat(rs_data.item(0).get(colKey) );
 
               //
-              //  March thru the dataset, operating on the 'calc' item
+              //  March thru the dataset, collecting the column values, and pass them to the
+              //   registered aggregate function
               //
-              rs_data.each( function(item) {
-                  var colItem = item.get(colKey),
-                      rflt    = +colItem;
-           /*
-              TODO:  For handling date / string set calclations ...
-
-                    rflt    = (Y.Lang.isNumber(colItem) && colItem ) ? parseFloat(colItem) : null,
-                    rstr    = (Y.Lang.isString(colItem) && colItem ) ? colItem : null,
-                    rdate   = ( colItem.now ) ? rdate : null;
-            */
+              var values = [];
+              Y.Array.each( rs_arr, function(item) {
+                  values.push( this._getRecordValue(item, colKey) );
+              }, this);
 
-                  if ( lcalc.search(/{sum}/) !== -1 || avg !==-1 )
-                      rcalc += rflt;
-
-                  else if ( lcalc.search(/{min}/) !== -1 )
-                      rcalc = Math.min( rcalc, rflt );
-
-                  else if ( lcalc.search(/{max}/) !== -1 )
-                      rcalc = Math.max( rcalc, rflt );
-
-                  else
-                      rcalc = calc;
-              });
-
-              //
-              //  Post-process the data (mostly for averages) prior to returning
-              //
-              if ( avg !== -1 )
-                  rcalc = ( !rs_data.isEmpty() ) ? ( parseFloat(rcalc)/parseFloat(rs_data.size()) ) : 0;
+              rcalc = aggr.call( this, values, ( ctag[2] !== undefined ) ? Y.Lang.trim(ctag[2]) : null, rs_arr, colKey );
 
               return parseFloat(rcalc);   // processed later in formatFootCell to proper output format
 
@@ -521,14 +432,39 @@
        * @method formatFootCell
        * @param {String} col  The column key name to be calculated
        * @param {String} foot_col    A recognizable calc setting from above
+       * @param {Array} records  (optional) Records to calculate over, defaults to the DataTable "data"
        * @return {Float} the return value
        * @public
        */
-      formatFootCell: function( col, foot_col ) {
+      formatFootCell: function( col, foot_col, records ) {
 
           if ( !foot_col.content ) return '';
 
-          var rval = this.calcDatasetValue( foot_col.key, foot_col.content );	// get the calculated item ...
+          // each recognized tag in a String content is calculated and formatted separately
+          if ( Y.Lang.isString(foot_col.content) ) {
+              return this._replaceFootTags( foot_col.content, function(tag){
+                  var rval = this.calcDatasetValue( foot_col.key, tag, records );
+                  return this._formatFootValue( col, Y.merge( foot_col, { content: tag }), rval );
+              });
+          }
+
+          var rval = this.calcDatasetValue( foot_col.key, foot_col.content, records );	// get the calculated item ...
+
+          return this._formatFootValue( col, foot_col, rval );
+      },
+
+      /**
+       * Formats a calculated value for a footer cell, by the footer column formatter (or the
+       *  DataTable column formatter) and replaces the placeholder in the column content with it.
+       *
+       * @method _formatFootValue
+       * @param {Object} col  The column
+       * @param {Object} foot_col  The footer column config
+       * @param {Any} rval  The calculated value
+       * @return {String} the formatted cell content
+       * @private
+       */
+      _formatFootValue: function( col, foot_col, rval ) {
 
           //
           // See if a custom formatter is defined ...
@@ -545,15 +481,62 @@
           if ( Y.Lang.isFunction(foot_col.content) ) {
               return rval;
           } else {
-              var ctag = foot_col.content.match(/{.*}/)[0] || null,
-                  srtn = foot_col.content;
-              if ( ctag && Y.Lang.isString(ctag) )
-                  srtn = srtn.replace(ctag,rval);
-               return srtn;
-             // return this.fnReplace( foot_col.content, repl_obj);
+              return this._replaceFootTags( foot_col.content, function(){ return rval; });
           }
       },
 
+      /**
+       * Returns the match of the first recognized calculated field tag within a String,
+       *  i.e. the tag, its lowercase name and its argument (if any), or null.  Recognized
+       *  tags are the keys of [AGGREGATES](#property_AGGREGATES), {row_count}, {col_count},
+       *  {date} and {time}.
+       *
+       * @method _getFootTag
+       * @param {String} str
+       * @return {Array} match
+       * @private
+       */
+      _getFootTag: function(str) {
+          var re = /{(\w+)(?::([^}]*))?}/g,
+              ctag;
+
+          while ( (ctag = re.exec(str)) ) {
+              if ( this._isFootTag(ctag[1]) ) return ctag;
+          }
+          return null;
+      },
+
+      /**
+       * Returns true if 'name' is the name of a recognized calculated field tag
+       *
+       * @method _isFootTag
+       * @param {String} name
+       * @return {Boolean}
+       * @private
+       */
+      _isFootTag: function(name) {
+          name = name.toLowerCase();
+          return Y.FooterView.AGGREGATES.hasOwnProperty(name) ||
+              name === 'row_count' || name === 'col_count' || name === 'date' || name === 'time';
+      },
+
+      /**
+       * Replaces every recognized calculated field tag within a String by the return value
+       *  of a function, called in the context of this FooterView with the tag.  Other
+       *  {tags} are left as is.
+       *
+       * @method _replaceFootTags
+       * @param {String} str
+       * @param {Function} fn
+       * @return {String}
+       * @private
+       */
+      _replaceFootTags: function(str, fn) {
+          return str.replace( /{(\w+)(?::[^}]*)?}/g, Y.bind( function(tag, name){
+              return ( this._isFootTag(name) ) ? fn.call(this, tag) : tag;
+          }, this));
+      },
+
       /**
        * Refreshes the summary items in the footer view and populates the footer
        *  elements based on the current "data" contents.
@@ -566,31 +549,26 @@
       refreshFooter: function(){
           var table_obj = this._dt,
               foot_cont = table_obj._tfootNode,
-              td_nodes  = foot_cont.all('th,td');
+              td_nodes;
+
+          // nothing to refresh until rendered
+          if ( !foot_cont || !this.node_cols ) return this;
+          td_nodes = foot_cont.all('th,td');
 
           //
           // Loop through each footer "cell" (i.e. either a TH or TD) and
           //
           Y.Array.each( this.node_cols, function(fitem,findex) {
-              var td_html;
+              var td_html,
+                  row_cfg = fitem.row_cfg || table_obj.get('footerConfig');
+
               if ( fitem.th ) {
-                  var replacer_obj = {
-                      ROW_COUNT : table_obj.data.size(),
-                      COL_COUNT : table_obj.get('columns').length,
-                      DATE:       Y.DataType.Date.format( new Date(), { format: this.get("dateFormat") }),
-                      TIME:       Y.DataType.Date.format( new Date(), { format: this.get("timeFormat") })
-                  };
-
-                  Y.Object.each(replacer_obj,function(val,key,obj){
-                      obj[ key.toLowerCase() ] = val;
-                  });
-
-                  td_html = this.fnReplace( fitem.th.content, replacer_obj );
+                  td_html = this.fnReplace( fitem.th.content, this._getReplacer(row_cfg) );
               }
 
               // call formatFootCell, which calculates the current cell content and formats it
               if ( !fitem.th && fitem.content ) {
-                  td_html = this.formatFootCell( fitem, fitem.foot_cfg);
+                  td_html = this._formatRowCell( fitem, fitem.foot_cfg, row_cfg );
               }
 
               if ( td_html ) td_nodes.item(findex).setHTML(td_html);
@@ -713,6 +691,228 @@
               }
           }
 
+      },
+
+      /**
+       * Builds the HTML for one footer row, a leading TH (if a `heading` is defined) and
+       *  the TD's for the remaining columns, and stores each cell in `node_cols`.
+       *
+       * @method _renderFootRow
+       * @param {Object} row_cfg The row configuration (`heading`, `columns` and `source`)
+       * @param {Number} rindex Index of the row within the footer
+       * @return {String} the TR html
+       * @private
+       */
+      _renderFootRow: function(row_cfg, rindex) {
+          var columns   = this._dt.get('columns'),
+              foot_cols = row_cfg.columns,            // placeholder for the 'footer'.config.columns entry
+              tfoot_th  = '',                         // the string for the TH node
+              tfoot_td  = '',                         // the string for the TD node
+              cspan     = 1;                          // colSpan entry for TH, default to 1
+
+          //
+          //  Process the TH part
+          //
+          if ( row_cfg.heading ) {
+              cspan = row_cfg.heading.colspan || cspan;
+              tfoot_th = this.fnReplace( this.TMPL_th, {
+                  colspan: cspan,
+                  thClass: ' ' + (row_cfg.heading.className || ''),
+                  content: this.fnReplace( row_cfg.heading.content, this._getReplacer(row_cfg) )
+              });
+
+              var th_item = {
+                  index:	 0,
+                  key:		 0,
+                  row:       rindex,
+                  row_cfg:   row_cfg,
+                  td:		 null,
+                  th:        row_cfg.heading,
+                  className: row_cfg.heading.className || '',
+                  formatter: '',
+                  content:   null
+              };
+
+              // save this for later ... used by refreshFooter
+              this.node_cols.push(th_item);
+          }
+
+          //
+          //  Make an array for the remainder TD's in the Footer
+          //
+          var td_html = [];	// an array of objects to hold footer TD (non-TH!) data
+
+          for(var i=cspan; i<columns.length; i++) {
+              var titem = columns[i];
+              td_html.push({
+                  index:	 i,
+                  key:		 titem.key,
+                  row:       rindex,
+                  row_cfg:   row_cfg,
+                  td:		 null,
+                  th:        null,
+                  className: titem.className || '',   // copy over this DT's column class
+                  formatter: titem.formatter || '',   //                   and formatter
+                  content:   null
+              });
+          }
+
+          //
+          //  Augment the Footer TD's, by inserting computed values from 'footer' config
+          //
+          //   Note: Users may enter footer 'columns' in non-ascending order, thus
+          //         necessitating the search for column key ...
+          //
+          Y.Array.each( foot_cols, function(fitem){
+              var imatch = -1;
+              Y.Array.some( td_html, function(item,index) {
+                  if ( item.key === fitem.key ) {
+                      imatch = index;
+                      return true;	// true ends the loop ... so this is 'find a first'
+                  }
+              });
+
+              if ( imatch !== -1) {
+                  // go ahead and calculate the value for this cell, while we are building it ...
+                  td_html[imatch].td = this._formatRowCell( td_html[imatch], fitem, row_cfg );
+
+                  td_html[imatch].content = fitem.content || null;
+                  td_html[imatch].foot_cfg = fitem;
+
+                  if ( fitem.formatter )
+                      td_html[imatch].formatter = fitem.formatter;
+
+                  if ( fitem.className )
+                      td_html[imatch].className = fitem.className;
+              }
+
+          }, this);
+
+          //
+          //  and Build out the TD string ... looping over the non-TH columns
+          //
+          Y.Array.each( td_html, function(item){
+              item.td = item.td || '';	// if nothing defined, fill with ''
+              item.content = item.content || null;
+
+              tfoot_td += this.fnReplace( this.TMPL_td, {
+                  tdClass: item.className || '',
+                  content: item.td
+              });
+
+              this.node_cols.push( item );
+          }, this);
+
+          return this.fnReplace( this.TMPL_tr, {
+              trClass:    row_cfg.className || '',
+              th_content: tfoot_th,
+              td_content: tfoot_td
+          });
+      },
+
+      /**
+       * Returns the records that the calculated fields of a footer row are computed over,
+       *  depending upon the row's `source` setting;
+       *
+       *  * `'page'` (default) : the current DataTable "data", i.e. the displayed page
+       *  * `'all'` : the whole dataset, i.e. for local pagination the paginator's buffer of
+       *     all records
+       *
+       * Returns null for an `'all'` row of a server-side paginated DataTable, whose values
+       *  are read from the response meta instead (see [_getMetaTotals](#method__getMetaTotals)).
+       *
+       * @method _getRowRecords
+       * @param {Object} row_cfg The row configuration
+       * @return {ModelList|Array} records
+       * @private
+       */
+      _getRowRecords: function(row_cfg) {
+          var dt = this._dt;
+
+          if ( row_cfg.source === 'all' && dt._pagDataSrc ) {
+              if ( dt._pagDataSrc === 'local' ) return dt._mlistArray || dt.get('data');
+              return null;
+          }
+
+          return dt.get('data');
+      },
+
+      /**
+       * For a server-side paginated DataTable, returns the grand totals included in the
+       *  latest response meta, i.e. `meta[row_cfg.meta]` (by default `meta.totals`) as an
+       *  object hash keyed by column key.
+       *
+       * @method _getMetaTotals
+       * @param {Object} row_cfg The row configuration
+       * @return {Object} totals
+       * @private
+       */
+      _getMetaTotals: function(row_cfg) {
+          var meta = this._dt._pagResponseMeta || {};
+          return meta[ row_cfg.meta || 'totals' ] || {};
+      },
+
+      /**
+       * Returns the replacer object for the TH content of a footer row
+       *
+       * @method _getReplacer
+       * @param {Object} row_cfg The row configuration
+       * @return {Object}
+       * @private
+       */
+      _getReplacer: function(row_cfg) {
+          var dt      = this._dt,
+              records = this._getRowRecords(row_cfg),
+              replacer_obj = {
+                  ROW_COUNT : ( records ) ? ( records.size ? records.size() : records.length )
+                      : ( dt.pagModel ) ? dt.pagModel.get('totalItems') : dt.get('data').size(),
+                  COL_COUNT : dt.get('columns').length,
+                  DATE:       Y.DataType.Date.format( new Date(), { format: this.dateFormat }),
+                  TIME:       Y.DataType.Date.format( new Date(), { format: this.timeFormat })
+              };
+
+          // duplicate above, for lowercase
+          Y.Object.each(replacer_obj,function(val,key,obj){
+              obj[ key.toLowerCase() ] = val;
+          });
+
+          return replacer_obj;
+      },
+
+      /**
+       * Calculates and formats the contents of a footer TD for the given row, either from
+       *  the row's records or from the response meta.
+       *
+       * @method _formatRowCell
+       * @param {Object} col The footer column item
+       * @param {Object} foot_col The 'columns' config entry
+       * @param {Object} row_cfg The row configuration
+       * @return {String}
+       * @private
+       */
+      _formatRowCell: function(col, foot_col, row_cfg) {
+          var records = this._getRowRecords(row_cfg),
+              totals;
+
+          if ( records ) return this.formatFootCell( col, foot_col, records );
+
+          if ( !foot_col.content ) return '';
+          totals = this._getMetaTotals(row_cfg)[ foot_col.metaKey || foot_col.key ];
+          return ( totals === undefined || totals === null ) ? '' : this._formatFootValue( col, foot_col, totals );
+      },
+
+      /**
+       * Returns the value of the field 'colKey' of a record, which is either a Model
+       *  or a plain object (e.g. the paginator's buffer of local data).
+       *
+       * @method _getRecordValue
+       * @param {Model|Object} record
+       * @param {String} colKey
+       * @return {Any}
+       * @private
+       */
+      _getRecordValue: function(record, colKey) {
+          return ( record && record.get ) ? record.get(colKey) : record[colKey];
       }
 
 
@@ -776,7 +976,7 @@
     **/
 
     /**
-    A string template defining the contents of this TD column in the footer.  May include any set-based (i.e. `{sum}`,`{min}`,`{max}`,`{avg}`) or non-set related fields, including `{row_count}`, `{col_count}`, `{date}`,`{time}`.
+    A string template defining the contents of this TD column in the footer.  May include any set-based (i.e. `{sum}`,`{min}`,`{max}`,`{avg}`, or any other registered in [AGGREGATES](#property_AGGREGATES)) or non-set related fields, including `{row_count}`, `{col_count}`, `{date}`,`{time}`.
     <br/>The {average} and {mean} placeholders are equivalent to {avg} in this implementation.
 
     Example:
@@ -808,6 +1008,42 @@
     @default null
     **/
 
+    /**
+    An array of footer row configurations, for a footer with several rows (e.g. page totals followed by
+    grand totals).  Each row is configured as the single row footer is, i.e. by its own `heading` and
+    `columns`, and additionally by;
+
+    * `source` : Either 'page' (default) to calculate over the DataTable "data", or 'all' to calculate over
+       the whole dataset when paginated by gallery-datatable-paginator.  For server-side pagination the
+       'all' values are read from the response meta.
+    * `meta` : The name of the object within the response meta holding the grand totals keyed by column
+       key (for server-side pagination and `source:'all'`), default 'totals'
+    * `className` : A CSS class name to be added to the TR element
+
+    Example:
+
+        footerConfig: {
+            rows: [
+                { heading: { colspan:2, content:'Page Totals :' },
+                  columns: [ { key:'SalesTTM', content:'{sum}' } ] },
+                { heading: { colspan:2, content:'Grand Totals, {row_count} Mgrs :' }, source:'all',
+                  columns: [ { key:'SalesTTM', content:'{sum}' } ] }
+            ]
+        }
+
+    @attribute rows
+    @type Array
+    @default null
+    **/
+
+    /**
+    For a `source:'all'` row of a server-side paginated DataTable, the key of this column's value within the
+    response meta totals object, if different than the column `key`
+    @attribute columns.metaKey
+    @type String
+    @default null
+    **/
+
     /**
     Specifies a strftime format string to be applied for {date} entries, using Y.DataType.Date.format
     @attribute dateFormat
@@ -825,3 +1061,132 @@
 
 
   });
+
+/**
+ Registry of the set-based calculated fields recognized by [calcDatasetValue](#method_calcDatasetValue),
+ keyed by lowercase placeholder name (i.e. `{median}` is calculated by `AGGREGATES.median`).
+
+ Each function is called in the context of the FooterView, with arguments;
+
+ * `values` : Array of the raw column values of the records
+ * `arg` : The argument following a colon in the placeholder (e.g. `qty` for `{weighted_avg:qty}`) or null
+ * `records` : Array of the records (Models or plain objects)
+ * `colKey` : The column key
+
+ and returns the calculated value.  The built-in aggregates are `sum`, `min`, `max`, `avg` (and
+ `mean`, `average`), `count`, `count_distinct`, `median`, `percentile:N`, `variance`, `stddev` (both
+ of the sample) and `weighted_avg:weightKey`.
+
+ @property AGGREGATES
+ @type Object
+ @static
+ @since 3.6.0
+ **/
+Y.FooterView.AGGREGATES = (function(){
+
+    // the values converted to Numbers (non-numeric values become NaN)
+    function nums(values) {
+        return Y.Array.map( values, function(v){ return +v; });
+    }
+
+    function sum(values) {
+        var rcalc = 0;
+        Y.Array.each( nums(values), function(v){ rcalc += v; });
+        return rcalc;
+    }
+
+    function avg(values) {
+        return ( values.length ) ? sum(values) / values.length : 0;
+    }
+
+    function percentile(values, pct) {
+        var sorted = nums(values).sort(function(a,b){ return a - b; }),
+            rank, lo;
+
+        if ( !sorted.length ) return 0;
+
+        pct  = Math.min( Math.max( +pct || 0, 0 ), 100 );
+        rank = ( sorted.length - 1 ) * pct / 100;
+        lo   = Math.floor(rank);
+
+        // linear interpolation between the closest ranks
+        return ( lo + 1 < sorted.length ) ? sorted[lo] + ( sorted[lo+1] - sorted[lo] ) * ( rank - lo ) : sorted[lo];
+    }
+
+    function variance(values) {
+        var mean = avg(values),
+            rcalc = 0;
+
+        if ( values.length < 2 ) return 0;
+
+        Y.Array.each( nums(values), function(v){ rcalc += (v - mean) * (v - mean); });
+        return rcalc / ( values.length - 1 );
+    }
+
+    return {
+        sum:        sum,
+        avg:        avg,
+        mean:       avg,
+        average:    avg,
+
+        min: function(values) {
+            return ( values.length ) ? Math.min.apply( Math, nums(values) ) : 0;
+        },
+
+        max: function(values) {
+            return ( values.length ) ? Math.max.apply( Math, nums(values) ) : 0;
+        },
+
+        count: function(values) {
+            return Y.Array.filter( values, function(v){ return v !== null && v !== undefined && v !== ''; }).length;
+        },
+
+        count_distinct: function(values) {
+            return Y.Array.dedupe( Y.Array.map( values, String ) ).length;
+        },
+
+        median: function(values) {
+            return percentile(values, 50);
+        },
+
+        percentile: percentile,
+        variance:   variance,
+
+        stddev: function(values) {
+            return Math.sqrt( variance(values) );
+        },
+
+        weighted_avg: function(values, weightKey, records) {
+            var rsum = 0,
+                wsum = 0;
+
+            Y.Array.each( values, function(v, i){
+                var w = +this._getRecordValue( records[i], weightKey );
+                rsum += (+v) * w;
+                wsum += w;
+            }, this);
+
+            return ( wsum ) ? rsum / wsum : 0;
+        }
+    };
+}());
+
+/**
+ Registers a set-based calculated field, which can then be used as the `{name}` (or `{name:arg}`)
+ placeholder within a footer column's content.  See [AGGREGATES](#property_AGGREGATES) for the
+ arguments the function is called with.
+
+ @example
+     Y.FooterView.registerAggregate('range', function(values){
+         return Math.max.apply(Math, values) - Math.min.apply(Math, values);
+     });
+
+ @method registerAggregate
+ @param {String} name The placeholder name (case insensitive)
+ @param {Function} fn The function calculating the value
+ @static
+ @since 3.6.0
+ **/
+Y.FooterView.registerAggregate = function(name, fn) {
+    Y.FooterView.AGGREGATES[ name.toLowerCase() ] = fn;
+};
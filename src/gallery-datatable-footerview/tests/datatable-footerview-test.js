@@ -0,0 +1,233 @@
+YUI.add('datatable-footerview-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+    AGGREGATES  = Y.FooterView.AGGREGATES,
+
+    data = [
+        { item: 'a', qty: 1, price: 10 },
+        { item: 'b', qty: 3, price: 20 },
+        { item: 'c', qty: 2, price: 30 },
+        { item: 'd', qty: 4, price: 40 },
+        { item: 'e', qty: 0, price: 50 }
+    ],
+
+    suite;
+
+function createTable(footerConfig) {
+    Y.one('body').append('<div id="dt"></div>');
+
+    return new Y.DataTable({
+        columns:      [ 'item', 'qty', 'price' ],
+        data:         data,
+        footerView:   Y.FooterView,
+        footerConfig: footerConfig
+    }).render('#dt');
+}
+
+function priceCell(content, extra) {
+    var dt = createTable({
+        heading: { colspan: 2, content: 'Totals' },
+        columns: [ Y.merge({ key: 'price', content: content }, extra) ]
+    });
+
+    return {
+        dt:   dt,
+        text: dt._tfootNode.one('td').get('text')
+    };
+}
+
+// -- FooterView Suite ---------------------------------------------------------
+suite = new Y.Test.Suite('FooterView');
+
+// -- FooterView: AGGREGATES ---------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'AGGREGATES',
+
+    'median should interpolate for an even number of values': function () {
+        Assert.areSame(2, AGGREGATES.median([ 3, 1, 2 ]));
+        Assert.areSame(2.5, AGGREGATES.median([ 4, 1, 3, 2 ]));
+        Assert.areSame(0, AGGREGATES.median([]));
+    },
+
+    'percentile should interpolate between the closest ranks': function () {
+        var values = [ 5, 1, 4, 2, 3 ];
+
+        Assert.areSame(1, AGGREGATES.percentile(values, '0'));
+        Assert.areSame(5, AGGREGATES.percentile(values, '100'));
+        Assert.areSame(4.6, Math.round(AGGREGATES.percentile(values, '90') * 10) / 10);
+        Assert.areSame(5, AGGREGATES.percentile(values, '150'), 'the percentile is clamped to 100');
+    },
+
+    'variance and stddev should be of the sample': function () {
+        var values = [ 2, 4, 4, 4, 5, 5, 7, 9 ];
+
+        Assert.areSame(32 / 7, AGGREGATES.variance(values));
+        Assert.areSame(Math.sqrt(32 / 7), AGGREGATES.stddev(values));
+        Assert.areSame(0, AGGREGATES.stddev([ 1 ]));
+    },
+
+    'weighted_avg should weight by another column': function () {
+        var fv = Y.Object(Y.FooterView.prototype),
+            prices = Y.Array.map(data, function (rec) { return rec.price; });
+
+        // (10*1 + 20*3 + 30*2 + 40*4 + 50*0) / 10
+        Assert.areSame(29, AGGREGATES.weighted_avg.call(fv, prices, 'qty', data));
+        Assert.areSame(0, AGGREGATES.weighted_avg.call(fv, [], 'qty', []));
+    },
+
+    'count should skip empty values and count_distinct should dedupe': function () {
+        Assert.areSame(2, AGGREGATES.count([ 1, null, '', 0, undefined ]));
+        Assert.areSame(3, AGGREGATES.count_distinct([ 'a', 'b', 'a', 1, '1' ]));
+    },
+
+    'registerAggregate should add a tag': function () {
+        Y.FooterView.registerAggregate('Range', function (values) {
+            return Math.max.apply(Math, values) - Math.min.apply(Math, values);
+        });
+
+        Assert.areSame(40, Y.Object(Y.FooterView.prototype).calcDatasetValue('price', '{range}', data));
+        delete AGGREGATES.range;
+    }
+}));
+
+// -- FooterView: Cells --------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Cells',
+
+    tearDown: function () {
+        if (this.dt) {
+            this.dt.destroy();
+            delete this.dt;
+        }
+
+        Y.one('#dt').remove(true);
+    },
+
+    'aggregate tags should be calculated over the data': function () {
+        var cell = priceCell('{median}');
+        this.dt = cell.dt;
+        Assert.areSame('30', cell.text);
+    },
+
+    'tag arguments should be passed to the aggregate': function () {
+        var cell = priceCell('{weighted_avg:qty}');
+        this.dt = cell.dt;
+        Assert.areSame('29', cell.text);
+    },
+
+    'every tag of the content should be replaced': function () {
+        var cell = priceCell('{min} to {max}, {MIN} min');
+        this.dt = cell.dt;
+        Assert.areSame('10 to 50, 10 min', cell.text);
+    },
+
+    'unknown tags should be left as is': function () {
+        var cell = priceCell('{sum} in {currency}');
+        this.dt = cell.dt;
+        Assert.areSame('150 in {currency}', cell.text);
+    },
+
+    'content without known tags should be left as is': function () {
+        var cell = priceCell('n/a {unknown}');
+        this.dt = cell.dt;
+        Assert.areSame('n/a {unknown}', cell.text);
+    },
+
+    'the formatter should apply to each tag': function () {
+        var cell = priceCell('{min} - {max}', {
+                formatter: function (o) { return '$' + o.value; }
+            });
+        this.dt = cell.dt;
+        Assert.areSame('$10 - $50', cell.text);
+    },
+
+    'calcDatasetValue should return unknown tags unchanged': function () {
+        this.dt = createTable({ columns: [] });
+
+        Assert.areSame('{unknown}', this.dt.foot.calcDatasetValue('price', '{unknown}'));
+        Assert.areSame(150, this.dt.foot.calcDatasetValue('price', '{unknown} {sum}'));
+        Assert.areSame(5, this.dt.foot.calcDatasetValue('price', '{row_count}'));
+    },
+
+    'the footer should be refreshed when the data changes': function () {
+        var dt = this.dt = createTable({
+                heading: { colspan: 2, content: '{row_count} items' },
+                columns: [ { key: 'price', content: '{sum}' } ]
+            });
+
+        dt.data.add({ item: 'f', qty: 1, price: 50 });
+
+        Assert.areSame('6 items', dt._tfootNode.one('th').get('text'));
+        Assert.areSame('200', dt._tfootNode.one('td').get('text'));
+    }
+}));
+
+// -- FooterView: Rows ---------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Rows',
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'each configured row should be rendered': function () {
+        var dt = this.dt = createTable({
+                rows: [
+                    {
+                        heading: { colspan: 2, content: 'Sum' },
+                        columns: [ { key: 'price', content: '{sum}' } ]
+                    },
+                    {
+                        heading: { colspan: 2, content: 'Average' },
+                        columns: [ { key: 'price', content: '{avg}' } ]
+                    }
+                ]
+            }),
+            rows = dt._tfootNode.all('tr');
+
+        Assert.areSame(2, rows.size());
+        ArrayAssert.itemsAreEqual([ 'Sum', '150' ], rows.item(0).get('children').get('text'));
+        ArrayAssert.itemsAreEqual([ 'Average', '30' ], rows.item(1).get('children').get('text'));
+
+        dt.data.item(0).set('price', 60);
+
+        ArrayAssert.itemsAreEqual([ 'Average', '40' ], rows.item(1).get('children').get('text'));
+    },
+
+    'rows of server totals should be read from the response meta': function () {
+        var dt = this.dt = createTable({
+                rows: [
+                    {
+                        heading: { colspan: 2, content: 'Page' },
+                        columns: [ { key: 'price', content: '{sum}' } ]
+                    },
+                    {
+                        source:  'all',
+                        heading: { content: 'All' },
+                        columns: [
+                            { key: 'qty', content: '{sum} pcs', metaKey: 'totalQty' },
+                            { key: 'price', content: '{sum}' }
+                        ]
+                    }
+                ]
+            }),
+            rows;
+
+        // as gallery-datatable-paginator does for server-side pages
+        dt._pagDataSrc = 'ds';
+        dt._pagResponseMeta = { totals: { totalQty: 42, price: 1234 } };
+        dt.fire('responseMeta', { meta: dt._pagResponseMeta });
+
+        rows = dt._tfootNode.all('tr');
+
+        ArrayAssert.itemsAreEqual([ 'Page', '150' ], rows.item(0).get('children').get('text'));
+        ArrayAssert.itemsAreEqual([ 'All', '42 pcs', '1234' ], rows.item(1).get('children').get('text'));
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-datatable-footerview', 'test']});
@@ -0,0 +1,657 @@
+/**
+  Defines a Y.DataTable class extension that keeps "frozen" (locked) columns in view while a horizontally
+   scrolling DataTable (i.e. `scrollable:'x'` or `scrollable:'xy'`) is scrolled sideways.  A column is frozen by
+   including `frozen:true` in its configuration.
+
+ <h4>Usage</h4>
+
+        var dtable = new Y.DataTable({
+            columns:    [
+                { key:'id',   frozen:true },
+                { key:'name', frozen:true },
+                'jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'
+            ],
+            data:       monthlyTotals,
+            scrollable: 'xy',
+            width:      '600px',
+            height:     '300px'
+        }).render('#dtable');
+
+ Only the leading columns can be frozen, the first column without `frozen:true` (and all those after it) scroll
+ as usual.  A frozen column with `children` freezes all of its child columns.
+
+ <h4>The Frozen Pane</h4>
+
+ The frozen columns remain in the table, and a separate pane holding copies of their header and data cells is
+ positioned over the left edge of the scrolling container (in the same way that DataTable's fixed header for
+ vertically scrolling tables is a copy of the THEAD).  The pane is rebuilt whenever DataTable synchronizes its
+ scrolling UI, i.e. on rendering and after changes to the data, columns, width or height, and the column widths
+ and row heights of the pane are copied from the table so that they match.  Scrolling the table vertically
+ scrolls the rows of the pane with it, and the mouse wheel over the pane scrolls the table.  The pane can
+ be refreshed after changing the table in some other way by calling [syncFrozenColumns](#method_syncFrozenColumns).
+
+ Clicks on the copied header cells sort the table as usual, either by the DataTable's `sortable` columns or
+ by Y.Plugin.DataTableMultiSort, and the pane is refreshed to show the current sort indicators.  If the
+ table is plugged with Y.DatatableColResizePlugin the copied header cells get their own resize grips, which
+ resize the columns of the table.  Y.DataTable.VirtualScroll is supported, the pane is refreshed each time
+ the window of rendered rows moves.
+
+  @module gallery-datatable-frozen-columns
+  @class Y.DataTable.FrozenColumns
+  @extensionfor DataTable
+  @since 3.6.0
+ **/
+function DtFrozenColumns() {}
+
+DtFrozenColumns.ATTRS = {
+
+    /**
+     * The distance (in pixels) the table is scrolled for each step of the mouse wheel over the frozen pane.
+     *
+     * @attribute frozenWheelStep
+     * @type Number
+     * @default 40
+     */
+    frozenWheelStep: {
+        value:      40,
+        validator:  Y.Lang.isNumber
+    }
+
+};
+
+Y.mix( DtFrozenColumns.prototype, {
+
+    /**
+     * Template for the frozen pane, its header is placed after the body so that it covers the first rows.
+     *
+     * @property _FROZEN_TEMPLATE
+     * @type String
+     * @protected
+     */
+    _FROZEN_TEMPLATE: '<div class="{className}"><div class="{bodyClassName}"></div><div class="{headerClassName}"></div></div>',
+
+    /**
+     * Node containing the copies of the frozen columns, positioned over the scrolling container.
+     *
+     * @property _frozenPane
+     * @type Node
+     * @default null
+     * @protected
+     */
+    _frozenPane: null,
+
+    /**
+     * Node within the [_frozenPane](#property__frozenPane) that contains the copy of the header cells.
+     *
+     * @property _frozenHeader
+     * @type Node
+     * @default null
+     * @protected
+     */
+    _frozenHeader: null,
+
+    /**
+     * Node within the [_frozenPane](#property__frozenPane) that contains the copy of the data rows, its
+     *  `scrollTop` follows the table's.
+     *
+     * @property _frozenBody
+     * @type Node
+     * @default null
+     * @protected
+     */
+    _frozenBody: null,
+
+    /**
+     * The table's header cells that were copied into the [_frozenHeader](#property__frozenHeader), in the
+     *  same order as the copies.
+     *
+     * @property _frozenHeaderCells
+     * @type Array
+     * @default null
+     * @protected
+     */
+    _frozenHeaderCells: null,
+
+    /**
+     * The table's header TR's that were copied into the [_frozenHeader](#property__frozenHeader), in the
+     *  same order as the copies.
+     *
+     * @property _frozenHeaderRows
+     * @type Array
+     * @default null
+     * @protected
+     */
+    _frozenHeaderRows: null,
+
+    /**
+     * The table's TR's that were copied into the [_frozenBody](#property__frozenBody), in the same order as
+     *  the copies.
+     *
+     * @property _frozenRows
+     * @type Array
+     * @default null
+     * @protected
+     */
+    _frozenRows: null,
+
+    /**
+     * The container that scrolls the table's rows vertically (or the horizontal scroller for a table that
+     *  only scrolls horizontally), which the frozen pane is placed over.
+     *
+     * @property _frozenViewport
+     * @type Node
+     * @default null
+     * @protected
+     */
+    _frozenViewport: null,
+
+    /**
+     * Handle for the "scroll" listener on the [_frozenViewport](#property__frozenViewport).
+     *
+     * @property _frozenScrollHandle
+     * @type EventHandle
+     * @default null
+     * @protected
+     */
+    _frozenScrollHandle: null,
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  L I F E C Y C L E                                                                       */
+/*----------------------------------------------------------------------------------------------------------*/
+
+   /**
+    * Sets the AOP listeners that refresh the frozen pane after the scrolling UI is synchronized.
+    *
+    * @method initializer
+    * @protected
+    * @return this
+    * @chainable
+    */
+    initializer: function(){
+        this._eventHandles.frozenColumns = [];
+        this._eventHandles.frozenColumns.push( Y.Do.after(this._bindFrozenUI, this, 'bindUI') );
+        this._eventHandles.frozenColumns.push( Y.Do.after(this.syncFrozenColumns, this, '_syncScrollUI') );
+        this._eventHandles.frozenColumns.push( Y.Do.after(this.syncFrozenColumns, this, '_afterScrollSort') );
+
+        return this;
+    },
+
+    /**
+     * Destructor to clean up listener event handlers and the frozen pane.
+     *
+     * @method destructor
+     * @protected
+     */
+    destructor: function () {
+        Y.Array.each( this._eventHandles.frozenColumns || [], function(item){
+            item.detach();
+        });
+        delete this._eventHandles.frozenColumns;
+
+        this._removeFrozenPane();
+    },
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  P U B L I C      M E T H O D S                                                          */
+/*----------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * Rebuilds the frozen pane from the table's current header and rows, and re-synchronizes its size and
+     *  position.  This is called automatically whenever the scrolling UI is synchronized, but should be
+     *  called after changing the table's cells or row heights in some other way.
+     *
+     * The pane is removed if there are no frozen columns or the table does not scroll horizontally.
+     *
+     * @method syncFrozenColumns
+     * @public
+     */
+    syncFrozenColumns: function() {
+        var frozen   = this._getFrozenColumns(),
+            viewport = this._yScrollNode || this._xScrollNode;
+
+        if ( !this._xScroll || !viewport || !frozen.length || !this._tableNode ) {
+            this._removeFrozenPane();
+            return;
+        }
+
+        if ( !this._frozenPane ) {
+            this._createFrozenPane();
+        }
+
+        if ( viewport !== this._frozenViewport ) {
+            if ( this._frozenScrollHandle ) {
+                this._frozenScrollHandle.detach();
+            }
+            this._frozenViewport = viewport;
+            this._frozenScrollHandle = viewport.on('scroll', this._onFrozenScroll, this);
+        }
+
+        this._renderFrozenHeader(frozen);
+        this._renderFrozenRows(frozen);
+        this._syncFrozenSizes();
+    },
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  P R I V A T E    M E T H O D S                                                          */
+/*----------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * Sets the listeners for the window moves of Y.DataTable.VirtualScroll, the mouse wheel, and the
+     *  `multisort` and `ddr` (Y.DatatableColResizePlugin) plugins if they are plugged.  This executes after
+     *  the DataTable's `bindUI` method.
+     *
+     * @method _bindFrozenUI
+     * @protected
+     */
+    _bindFrozenUI: function() {
+        var handles = this._eventHandles.frozenColumns;
+
+        handles.push( this.after('scrollWindow', this.syncFrozenColumns) );
+        handles.push( Y.on('mousewheel', Y.bind(this._onFrozenMouseWheel, this)) );
+
+        if ( this.multisort ) {
+            handles.push( this.multisort.after('lastSortedByChange', this.syncFrozenColumns, this) );
+        }
+
+        if ( this.ddr ) {
+            handles.push( this.ddr.after('resize', this._syncFrozenSizes, this) );
+        }
+    },
+
+    /**
+     * Returns the frozen columns, i.e. the leading top-level columns with `frozen:true`.
+     *
+     * @method _getFrozenColumns
+     * @return {Array} Column definitions
+     * @protected
+     */
+    _getFrozenColumns: function() {
+        var cols   = this.get('columns') || [],
+            frozen = [],
+            i;
+
+        for ( i = 0; i < cols.length && cols[i].frozen; i++ ) {
+            frozen.push(cols[i]);
+        }
+
+        return frozen;
+    },
+
+    /**
+     * Returns the columns that have data cells among the frozen columns, i.e. the frozen columns
+     *  without children and the descendants without children of those with children.
+     *
+     * @method _getFrozenDisplayColumns
+     * @param {Array} frozen The frozen columns
+     * @return {Array} Column definitions
+     * @protected
+     */
+    _getFrozenDisplayColumns: function(frozen) {
+        var cols = [];
+
+        function process(list) {
+            Y.Array.each( list, function(col){
+                if ( col.children ) {
+                    process(col.children);
+                } else {
+                    cols.push(col);
+                }
+            });
+        }
+
+        process(frozen);
+        return cols;
+    },
+
+    /**
+     * Creates the frozen pane within the `contentBox`, including the delegated listener for clicks on the
+     *  copied header cells.
+     *
+     * @method _createFrozenPane
+     * @protected
+     */
+    _createFrozenPane: function() {
+        var pane = Y.Node.create( Y.Lang.sub( this._FROZEN_TEMPLATE, {
+                className:          this.getClassName('frozen'),
+                headerClassName:    this.getClassName('frozen', 'header'),
+                bodyClassName:      this.getClassName('frozen', 'body')
+            }) );
+
+        this._frozenPane   = pane;
+        this._frozenHeader = pane.one('.' + this.getClassName('frozen', 'header'));
+        this._frozenBody   = pane.one('.' + this.getClassName('frozen', 'body'));
+
+        pane.delegate('click', this._onFrozenHeaderClick, 'th', this);
+
+        this.get('contentBox').append(pane);
+        this.get('boundingBox').addClass(this.getClassName('frozen', 'columns'));
+    },
+
+    /**
+     * Removes the frozen pane, if it exists, and its listeners.
+     *
+     * @method _removeFrozenPane
+     * @protected
+     */
+    _removeFrozenPane: function() {
+        if ( this._frozenScrollHandle ) {
+            this._frozenScrollHandle.detach();
+        }
+
+        if ( this._frozenPane ) {
+            this._frozenPane.remove(true);
+            this.get('boundingBox').removeClass(this.getClassName('frozen', 'columns'));
+        }
+
+        this._frozenPane = this._frozenHeader = this._frozenBody = null;
+        this._frozenViewport = this._frozenScrollHandle = null;
+        this._frozenHeaderCells = this._frozenHeaderRows = this._frozenRows = null;
+    },
+
+    /**
+     * Creates a TABLE for the frozen pane with the same class as the table it copies, including
+     *  a COLGROUP for the widths of the frozen columns.
+     *
+     * @method _createFrozenTable
+     * @param {Node} source The TABLE being copied
+     * @param {Number} count The number of frozen columns with data cells
+     * @return {Node} The new TABLE
+     * @protected
+     */
+    _createFrozenTable: function(source, count) {
+        var table    = Y.Node.create('<table cellspacing="0" role="presentation"></table>'),
+            colgroup = Y.Node.create('<colgroup></colgroup>'),
+            i;
+
+        for ( i = 0; i < count; i++ ) {
+            colgroup.append('<col>');
+        }
+
+        table.set('className', source.get('className'));
+        table.append(colgroup);
+        return table;
+    },
+
+    /**
+     * Copies the header cells of the frozen columns into the frozen pane.  The header of a vertically
+     *  scrolling table is copied from its fixed header, as that is the one displayed.  If the
+     *  Y.DatatableColResizePlugin is plugged, resize grips are added to the copied cells which resize the
+     *  table's header cells.
+     *
+     * @method _renderFrozenHeader
+     * @param {Array} frozen The frozen columns
+     * @protected
+     */
+    _renderFrozenHeader: function(frozen) {
+        var source = (this._yScroll && this._yScrollHeader) || this._tableNode,
+            thead  = source.one('thead'),
+            ids    = {},
+            cells  = this._frozenHeaderCells = [],
+            rows   = this._frozenHeaderRows = [],
+            table, copy;
+
+        this._frozenHeader.empty();
+
+        if ( !thead ) {
+            return;
+        }
+
+        function collect(list) {
+            Y.Array.each( list, function(col){
+                ids[col._id] = true;
+                if ( col.children ) {
+                    collect(col.children);
+                }
+            });
+        }
+        collect(frozen);
+
+        table = this._createFrozenTable( source, this._getFrozenDisplayColumns(frozen).length );
+        copy  = thead.cloneNode(false);
+
+        thead.get('children').each( function(tr){
+            var row = tr.cloneNode(false);
+
+            tr.get('children').each( function(th){
+                if ( ids[ th.getAttribute('data-yui3-col-id') ] ) {
+                    row.append( th.cloneNode(true) );
+                    cells.push(th);
+                }
+            });
+
+            copy.append(row);
+            rows.push(tr);
+        });
+
+        // Prevent duplicate IDs, the cells are found by their data-yui3-col-id
+        copy.all('[id]').removeAttribute('id');
+        table.append(copy);
+
+        if ( this.ddr ) {
+            copy.all('.' + this.ddr.get('gripClass')).remove(true);
+            copy.all('th').each( function(th, i){
+                this.ddr.addGrip(th, cells[i]);
+            }, this);
+        }
+
+        this._frozenHeader.append(table);
+    },
+
+    /**
+     * Copies the data cells of the frozen columns, from each rendered row, into the frozen pane.  A cell
+     *  that spans the frozen and scrolling columns (e.g. a group header) is copied with its `colspan`
+     *  reduced to the frozen columns.
+     *
+     * @method _renderFrozenRows
+     * @param {Array} frozen The frozen columns
+     * @protected
+     */
+    _renderFrozenRows: function(frozen) {
+        var tbody = this.body && this.body.tbodyNode,
+            count = this._getFrozenDisplayColumns(frozen).length,
+            rows  = this._frozenRows = [],
+            table, copy;
+
+        this._frozenBody.empty();
+
+        if ( !tbody ) {
+            return;
+        }
+
+        table = this._createFrozenTable( this._tableNode, count );
+        copy  = tbody.cloneNode(false);
+
+        tbody.get('children').each( function(tr){
+            var row   = tr.cloneNode(false),
+                cells = tr.get('children'),
+                span  = 0,
+                i, cell, colspan;
+
+            for ( i = 0; i < cells.size() && span < count; i++ ) {
+                cell    = cells.item(i).cloneNode(true);
+                colspan = +cell.get('colSpan') || 1;
+
+                if ( span + colspan > count ) {
+                    cell.set('colSpan', count - span);
+                }
+
+                span += colspan;
+                row.append(cell);
+            }
+
+            copy.append(row);
+            rows.push(tr);
+        });
+
+        copy.all('[id]').removeAttribute('id');
+        table.append(copy);
+
+        this._frozenBody.append(table);
+    },
+
+    /**
+     * Copies the widths of the frozen columns and the heights of the rows from the table into the frozen
+     *  pane, and positions the pane over the left edge of the scrolling container.  This is called after
+     *  each column resize by Y.DatatableColResizePlugin.
+     *
+     * @method _syncFrozenSizes
+     * @protected
+     */
+    _syncFrozenSizes: function() {
+        var pane       = this._frozenPane,
+            viewport   = this._frozenViewport,
+            thead      = this._theadNode,
+            tbody      = this.body && this.body.tbodyNode,
+            cbXY, vpXY, left, top, offset, width, widths, headerTable, bodyTable, copies;
+
+        if ( !pane || !viewport ) {
+            return;
+        }
+
+        // Column widths, from the table's own header cells (which share the columns of the data cells)
+
+        widths = Y.Array.map( this._getFrozenDisplayColumns( this._getFrozenColumns() ), function(col){
+            var th = thead && thead.one('[data-yui3-col-id="' + col._id + '"]');
+            return th ? th.get('offsetWidth') : 0;
+        });
+
+        width = 0;
+        Y.Array.each( widths, function(w){
+            width += w;
+        });
+
+        headerTable = this._frozenHeader.one('table');
+        bodyTable   = this._frozenBody.one('table');
+
+        Y.Array.each( [ headerTable, bodyTable ], function(table){
+            if ( table ) {
+                table.setStyle('width', width + 'px');
+                table.all('col').each( function(col, i){
+                    col.setStyle('width', widths[i] + 'px');
+                });
+            }
+        });
+
+        // Header cells and liners may have been resized, and all rows must match the table's heights
+
+        if ( headerTable ) {
+            copies = headerTable.all('th');
+            Y.Array.each( this._frozenHeaderCells, function(th, i){
+                var copy  = copies.item(i),
+                    liner = th.one('.' + this.getClassName('scroll', 'liner'));
+
+                copy.setStyle('width', th.getStyle('width'));
+                if ( liner ) {
+                    copy.one('.' + this.getClassName('scroll', 'liner')).setStyle('width', liner.getStyle('width'));
+                }
+            }, this);
+
+            copies = headerTable.all('thead tr');
+            Y.Array.each( this._frozenHeaderRows, function(tr, i){
+                copies.item(i).setStyle('height', tr.get('offsetHeight') + 'px');
+            });
+        }
+
+        if ( bodyTable ) {
+            copies = bodyTable.all('tbody tr');
+            Y.Array.each( this._frozenRows, function(tr, i){
+                copies.item(i).setStyle('height', tr.get('offsetHeight') + 'px');
+            });
+        }
+
+        // Position the pane over the scrolling container, the left edge of an "xy" table's vertical
+        //  scroller moves as it is scrolled horizontally, so the horizontal scroller's is used
+
+        cbXY = this.get('contentBox').getXY();
+        vpXY = viewport.getXY();
+        left = (this._xScrollNode || viewport).getX() - cbXY[0] + (this._xScrollNode || viewport).get('clientLeft');
+        top  = vpXY[1] - cbXY[1] + viewport.get('clientTop');
+
+        pane.setStyles({
+            left:   left + 'px',
+            top:    top + 'px',
+            width:  width + 'px',
+            height: viewport.get('clientHeight') + 'px'
+        });
+
+        if ( headerTable && this._frozenHeaderRows.length ) {
+            this._frozenHeader.setStyles({
+                top:    (this._frozenHeaderRows[0].getY() - vpXY[1] - viewport.get('clientTop')) + 'px',
+                width:  width + 'px'
+            });
+        }
+
+        // Offset the rows by the position of the TBODY within the scrolling content, so that the same
+        //  scrollTop shows the same rows
+
+        if ( bodyTable && tbody ) {
+            offset = tbody.getY() - vpXY[1] - viewport.get('clientTop') + viewport.get('scrollTop');
+            bodyTable.setStyles({
+                marginTop:      offset + 'px',
+                marginBottom:   Math.max( 0, viewport.get('scrollHeight') - offset - tbody.get('offsetHeight') ) + 'px'
+            });
+        }
+
+        this._onFrozenScroll();
+    },
+
+    /**
+     * Listener for "scroll" on the scrolling container, that scrolls the frozen rows to match.
+     *
+     * @method _onFrozenScroll
+     * @protected
+     */
+    _onFrozenScroll: function() {
+        if ( this._frozenBody && this._frozenViewport ) {
+            this._frozenBody.set('scrollTop', this._frozenViewport.get('scrollTop'));
+        }
+    },
+
+    /**
+     * Listener for the mouse wheel, that scrolls the table vertically when the wheel is turned over the
+     *  frozen pane (which does not scroll itself).
+     *
+     * @method _onFrozenMouseWheel
+     * @param {EventFacade} e The mousewheel event
+     * @protected
+     */
+    _onFrozenMouseWheel: function(e) {
+        var viewport = this._frozenViewport;
+
+        if ( this._frozenPane && viewport && e.target && this._frozenPane.contains(e.target) ) {
+            viewport.set('scrollTop', viewport.get('scrollTop') - e.wheelDelta * this.get('frozenWheelStep'));
+            e.preventDefault();
+        }
+    },
+
+    /**
+     * Delegated listener for clicks on the copied header cells.  DataTable's own sorting finds the column
+     *  from the `data-yui3-col-id` of the copy, but Y.Plugin.DataTableMultiSort uses the header cell's id,
+     *  so for it the click is passed on as if it was on the table's header cell.
+     *
+     * @method _onFrozenHeaderClick
+     * @param {EventFacade} e The delegated click event
+     * @protected
+     */
+    _onFrozenHeaderClick: function(e) {
+        var index = this._frozenHeader.all('th').indexOf(e.currentTarget),
+            facade;
+
+        if ( !this.multisort || index < 0 || !this._frozenHeaderCells[index] ) {
+            return;
+        }
+
+        e.stopPropagation();
+
+        facade = Y.Object(e);
+        facade.currentTarget = this._frozenHeaderCells[index];
+        this.multisort._onEventSortColumn(facade);
+    }
+
+});
+
+Y.DataTable.FrozenColumns = DtFrozenColumns;
+Y.Base.mix(Y.DataTable, [Y.DataTable.FrozenColumns]);
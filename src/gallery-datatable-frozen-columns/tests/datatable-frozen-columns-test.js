@@ -0,0 +1,258 @@
+YUI.add('datatable-frozen-columns-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+
+    suite;
+
+function createTable(config) {
+    Y.one('body').append('<div id="dt"></div>');
+
+    return new Y.DataTable(Y.merge({
+        columns: [
+            { key: 'id', frozen: true, sortable: true },
+            { key: 'name', frozen: true },
+            'jan', 'feb', 'mar'
+        ],
+        data: [
+            { id: 2, name: 'b', jan: 1, feb: 2, mar: 3 },
+            { id: 1, name: 'a', jan: 4, feb: 5, mar: 6 },
+            { id: 3, name: 'c', jan: 7, feb: 8, mar: 9 }
+        ],
+        scrollable: 'xy',
+        width:      '300px',
+        height:     '100px'
+    }, config)).render('#dt');
+}
+
+function cellText(nodes) {
+    return Y.Array.map(nodes._nodes, function (node) {
+        return Y.Lang.trim(Y.one(node).get('text'));
+    });
+}
+
+// -- DataTable Frozen Columns Suite -------------------------------------------
+suite = new Y.Test.Suite('DataTable Frozen Columns');
+
+// -- DataTable Frozen Columns: Pane -------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Pane',
+
+    tearDown: function () {
+        if (this.dt) {
+            this.dt.destroy();
+            delete this.dt;
+        }
+        Y.one('#dt').remove(true);
+    },
+
+    'the frozen columns should be copied into the pane': function () {
+        var pane;
+
+        this.dt = createTable();
+        pane = this.dt._frozenPane;
+
+        Assert.isTrue(pane.inDoc());
+        Assert.isTrue(this.dt.get('boundingBox').hasClass(this.dt.getClassName('frozen', 'columns')));
+        ArrayAssert.itemsAreEqual([ 'id', 'name' ], cellText(this.dt._frozenHeader.all('th')));
+        ArrayAssert.itemsAreEqual([ '2', 'b', '1', 'a', '3', 'c' ], cellText(this.dt._frozenBody.all('td')));
+        Assert.areSame(2, this.dt._frozenBody.all('col').size());
+    },
+
+    'the copies should not duplicate ids': function () {
+        this.dt = createTable();
+
+        this.dt._tableNode.all('[id]').each(function (node) {
+            Assert.areSame(1, Y.all('[id="' + node.get('id') + '"]').size(), node.get('id'));
+        });
+        Assert.areSame(this.dt.getColumn('id')._id,
+            this.dt._frozenHeader.one('th').getAttribute('data-yui3-col-id'));
+    },
+
+    'only the leading frozen columns should be frozen': function () {
+        this.dt = createTable({
+            columns: [ { key: 'id', frozen: true }, 'name', { key: 'jan', frozen: true } ]
+        });
+
+        ArrayAssert.itemsAreEqual([ 'id' ], cellText(this.dt._frozenHeader.all('th')));
+    },
+
+    'frozen parent columns should freeze their children': function () {
+        this.dt = createTable({
+            columns: [
+                { label: 'Who', frozen: true, children: [ 'id', 'name' ] },
+                { label: 'Q1', children: [ 'jan', 'feb', 'mar' ] }
+            ]
+        });
+
+        ArrayAssert.itemsAreEqual([ 'Who', 'id', 'name' ], cellText(this.dt._frozenHeader.all('th')));
+        Assert.areSame(2, this.dt._frozenHeader.all('thead tr').size());
+        ArrayAssert.itemsAreEqual([ '2', 'b', '1', 'a', '3', 'c' ], cellText(this.dt._frozenBody.all('td')));
+    },
+
+    'cells spanning the scrolling columns should be cut to the frozen columns': function () {
+        var tds;
+
+        this.dt = createTable();
+        this.dt.body.tbodyNode.get('children').item(0).setHTML('<td colspan="5">Group</td>');
+        this.dt.syncFrozenColumns();
+
+        tds = this.dt._frozenBody.one('tr').all('td');
+        Assert.areSame(1, tds.size());
+        Assert.areSame(2, tds.item(0).get('colSpan'));
+    },
+
+    'there should be no pane without frozen columns or horizontal scrolling': function () {
+        this.dt = createTable({ columns: [ 'id', 'name' ] });
+        Assert.isNull(this.dt._frozenPane);
+        this.dt.destroy();
+        Y.one('#dt').remove(true);
+
+        this.dt = createTable({ scrollable: 'y' });
+        Assert.isNull(this.dt._frozenPane);
+        Assert.isNull(this.dt.get('contentBox').one('.' + this.dt.getClassName('frozen')));
+    },
+
+    'unfreezing the columns should remove the pane': function () {
+        this.dt = createTable();
+        this.dt.set('columns', [ 'id', 'name', 'jan' ]);
+
+        Assert.isNull(this.dt._frozenPane);
+        Assert.isNull(this.dt.get('contentBox').one('.' + this.dt.getClassName('frozen')));
+        Assert.isFalse(this.dt.get('boundingBox').hasClass(this.dt.getClassName('frozen', 'columns')));
+    },
+
+    'destroying the table should remove the pane': function () {
+        var pane;
+
+        this.dt = createTable();
+        pane = this.dt._frozenPane;
+        this.dt.destroy();
+        delete this.dt;
+
+        Assert.isFalse(pane.inDoc());
+    }
+}));
+
+// -- DataTable Frozen Columns: Updates ----------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Updates',
+
+    setUp: function () {
+        this.dt = createTable();
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'the pane should be rebuilt when the data changes': function () {
+        this.dt.set('data', [ { id: 9, name: 'z' } ]);
+
+        ArrayAssert.itemsAreEqual([ '9', 'z' ], cellText(this.dt._frozenBody.all('td')));
+    },
+
+    'the pane should be rebuilt when the columns change': function () {
+        this.dt.set('columns', [ { key: 'name', frozen: true }, 'id' ]);
+
+        ArrayAssert.itemsAreEqual([ 'name' ], cellText(this.dt._frozenHeader.all('th')));
+        ArrayAssert.itemsAreEqual([ 'b', 'a', 'c' ], cellText(this.dt._frozenBody.all('td')));
+    },
+
+    'clicking a copied header cell should sort the table': function () {
+        this.dt._frozenHeader.one('th').simulate('click');
+
+        ArrayAssert.itemsAreEqual([ 1, 2, 3 ], this.dt.data.get('id'));
+        ArrayAssert.itemsAreEqual([ '1', 'a', '2', 'b', '3', 'c' ], cellText(this.dt._frozenBody.all('td')));
+        Assert.isTrue(this.dt._frozenHeader.one('th').hasClass(this.dt.getClassName('sorted')),
+            'the copy should show the sort indicator');
+    },
+
+    'scrolling the table should scroll the frozen rows': function () {
+        var body = this.dt._frozenBody.getDOMNode();
+
+        this.dt._frozenViewport.set('scrollTop', 20);
+        this.dt._frozenViewport.simulate('scroll');
+
+        Assert.areSame(20, body.scrollTop);
+    },
+
+    'the mouse wheel over the pane should scroll the table': function () {
+        var prevented = false,
+            facade = {
+                target:         this.dt._frozenBody.one('td'),
+                wheelDelta:     -1,
+                preventDefault: function () { prevented = true; }
+            };
+
+        this.dt.set('frozenWheelStep', 30);
+        this.dt._onFrozenMouseWheel(facade);
+
+        Assert.areSame(30, this.dt._frozenViewport.get('scrollTop'));
+        Assert.isTrue(prevented);
+
+        prevented = false;
+        facade.target = this.dt.body.tbodyNode.one('td');
+        this.dt._onFrozenMouseWheel(facade);
+
+        Assert.areSame(30, this.dt._frozenViewport.get('scrollTop'), 'wheel outside the pane');
+        Assert.isFalse(prevented);
+    }
+}));
+
+// -- DataTable Frozen Columns: Column Resizing -------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Column Resizing',
+
+    setUp: function () {
+        this.dt = createTable({ plugins: [ Y.DatatableColResizePlugin ] });
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'the copied header cells should resize the table header cells': function () {
+        var gripClass = '.' + this.dt.ddr.get('gripClass'),
+            copies    = this.dt._frozenHeader.all('th');
+
+        Assert.areSame(2, copies.size());
+        copies.each(function (th, i) {
+            Assert.areSame(1, th.all(gripClass).size());
+            Assert.areSame(this.dt._frozenHeaderCells[i], th.one(gripClass).getData('target'));
+        }, this);
+    },
+
+    'resizing a column should resize the pane': function () {
+        var grip   = this.dt._frozenHeader.one('.' + this.dt.ddr.get('gripClass')),
+            target = grip.getData('target'),
+            resized;
+
+        this.dt.ddr.on('resize', function (e) {
+            resized = e.cell;
+        });
+
+        target.setStyle('width', '50px');
+        this.dt.ddr._handleDrag({
+            target: {
+                get:    function () { return grip; },
+                actXY:  [ 110, 0 ],
+                lastXY: [ 100, 0 ]
+            },
+            preventDefault: function () {}
+        });
+
+        Assert.areSame('60px', target.getStyle('width'));
+        Assert.areSame(target, resized);
+        Assert.areSame('60px', grip.ancestor('th').getStyle('width'), 'the copy should be resized too');
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-datatable-frozen-columns', 'gallery-datatable-col-resize', 'datatable-sort',
+                            'node-event-simulate', 'test']});
@@ -0,0 +1,796 @@
+/**
+  Defines a Y.DataTable class extension that groups the displayed records by the values
+   of one or more column keys.  Each group is introduced by a group header row, which can
+   be clicked to collapse or expand the group, and may be closed by a subtotal row.
+
+  Groups are rendered in the order that their values first appear within the "data", so
+   sorting the DataTable (e.g. sorting by the grouping key first) determines the order of
+   the groups, while records within a group retain their sorted order.
+
+ <h4>Usage</h4>
+
+        var dtable = new Y.DataTable({
+            columns:    [ 'region','state','salesRep','numClients','salesTTM' ],
+            data:       sales.records,
+            sortBy:     [{region:'asc'}, {salesTTM:-1}],
+            groupBy:    [ 'region', 'state' ],
+            groupConfig: {
+                heading: {
+                    content:    '{label}: {value} ({row_count} reps)'
+                },
+                footer: {
+                    heading: {
+                        colspan:    3,
+                        content:    'Subtotal for {value} : &nbsp;',
+                        className:  'align-right'
+                    },
+                    columns: [
+                        { key:'numClients', content:'{sum}' },
+                        { key:'salesTTM',   content:'{sum}', formatter:fmtCurrency }
+                    ]
+                }
+            }
+        });
+
+        dtable.render('#salesDT');
+
+ <h4>Subtotals</h4>
+
+ The group subtotal rows are built from the same configuration format as the
+ [FooterView](Y.FooterView.html) `footerConfig`, and the calculated fields (`{sum}`, `{min}`,
+ `{max}`, `{avg}`, `{row_count}`, etc.) are computed by FooterView over the records of each group.
+ If `groupConfig.footer` is not set, the DataTable's `footerConfig` is used, so a DataTable
+ with a FooterView gets per-group subtotals of the same fields that are totalled in its footer
+ (or in the first row of its footer, if it has several `rows`).
+ Set `groupConfig.footer` to `false` to omit the subtotal rows.
+
+ <h4>Pagination</h4>
+
+ When used with local data in gallery-datatable-paginator, the full data buffer is ordered by
+ group prior to slicing each page, so that groups are kept together across pages.  The subtotals
+ are calculated over the whole group, not only the records of the displayed page.
+
+  @module gallery-datatable-grouping
+  @class Y.DataTable.Grouping
+  @extensionfor DataTable
+  @since 3.6.0
+ **/
+function DtGrouping() {}
+
+DtGrouping.ATTRS = {
+
+    /**
+     * Column key, or Array of column keys, to group the records by.  Each additional key
+     *  defines a nested level of groups.  Set to null to remove grouping.
+     *
+     * @attribute groupBy
+     * @type {String|Array}
+     * @default null
+     */
+    groupBy: {
+        value:  null,
+        setter: '_setGroupBy'
+    },
+
+    /**
+     * Configuration object for the group rows, recognizing;
+     *
+     *  * `heading` : Object defining the group header row as;
+     *     * `content` : Template for the header, recognizing `{key}`, `{label}`, `{value}`,
+     *        `{level}` and `{row_count}` (default '{label}: {value} ({row_count})')
+     *     * `className` : Additional classname for the header TH
+     *  * `footer` : Object defining the group subtotal row, in the format of FooterView's
+     *     `footerConfig` (i.e. `heading` and `columns`), or `false` for no subtotal row
+     *
+     * @attribute groupConfig
+     * @type Object
+     * @default null
+     */
+    groupConfig: {
+        value:      null,
+        validator:  function(v) { return v === null || Y.Lang.isObject(v); }
+    }
+};
+
+
+Y.mix( DtGrouping.prototype, {
+
+    /**
+     * Defines the default TR HTML template for a group header row
+     * @property TMPL_group_header
+     * @type String
+     * @static
+     * @since 3.6.0
+     * @protected
+     */
+    TMPL_group_header: '<tr class="{rowClass}" data-yui3-group="{index}">' +
+        '<th colspan="{colspan}" class="{thClass}" aria-expanded="true">' +
+        '<span class="{toggleClass}"></span>{content}</th></tr>',
+
+    /**
+     * Defines the default TR HTML template for a group subtotal row
+     * @property TMPL_group_footer
+     * @type String
+     * @static
+     * @since 3.6.0
+     * @protected
+     */
+    TMPL_group_footer: '<tr class="{rowClass}" data-yui3-group="{index}">{th_content}{td_content}</tr>',
+
+    /**
+     * Array of the currently rendered groups, in display order.  Each group is an object
+     *  with `id`, `key`, `level`, `value`, `values`, `records`, `groups`, `parent`,
+     *  `headerNode`, `rowNodes` and `footerNode` properties.
+     *
+     * @property _groups
+     * @type Array
+     * @default null
+     * @since 3.6.0
+     * @protected
+     */
+    _groups: null,
+
+    /**
+     * Hash of group ids of the collapsed groups (true if collapsed).  Kept across
+     *  re-renders, so groups remain collapsed after sorting or paging.
+     *
+     * @property _groupCollapsed
+     * @type Object
+     * @default null
+     * @since 3.6.0
+     * @protected
+     */
+    _groupCollapsed: null,
+
+    /**
+     * FooterView based object used to calculate the subtotal fields
+     *
+     * @property _groupCalc
+     * @type Object
+     * @default null
+     * @since 3.6.0
+     * @private
+     */
+    _groupCalc: null,
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  L I F E - C Y C L E    M E T H O D S                                                    */
+/*----------------------------------------------------------------------------------------------------------*/
+
+   /**
+    * Sets up listeners to re-render the groups whenever the body is rendered or its data
+    *  changes, and to toggle a group when its header row is clicked.
+    *
+    * @method initializer
+    * @protected
+    */
+    initializer: function(){
+        this._groups = [];
+        this._groupCollapsed = {};
+        this._eventHandles.grouping = [];
+
+        /**
+         * Fires when a group is collapsed or expanded.
+         * @event groupToggle
+         * @param {String} groupId The group id
+         * @param {Boolean} collapsed True if the group was collapsed
+         */
+        this.publish('groupToggle');
+
+        this._eventHandles.grouping.push(
+            // the body is rendered by the DataTable itself, or by its table view (as 'table:renderBody')
+            this.after( ['renderBody', 'table:renderBody'], this._afterRenderBodyGroups ),
+            this.after( ['groupByChange', 'groupConfigChange'], this._afterGroupByChange ),
+            this.get('contentBox').delegate( 'click', this._onGroupHeaderClick,
+                '.' + this.getClassName('group', 'header'), this )
+        );
+
+        // For paginated local data, keep the groups together across the pages
+        if ( this.processPageRequest ) {
+            this._eventHandles.grouping.push( Y.Do.before( this._orderPageData, this, 'processPageRequest', this ) );
+            if ( this._pagDataSrc === 'local' && this.get('groupBy') )
+                this.processPageRequest( this.pagModel.get('page') );
+        }
+    },
+
+    /**
+     * Detaches the listeners and removes the group rows.
+     *
+     * @method destructor
+     * @protected
+     */
+    destructor: function () {
+        Y.Array.each( this._eventHandles.grouping, function(item){
+            item.detach();
+        });
+        this._clearGroups();
+        delete this._eventHandles.grouping;
+        this._groupCollapsed = null;
+        this._groupCalc = null;
+    },
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  P U B L I C      M E T H O D S                                                          */
+/*----------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * Returns the currently rendered groups, in display order (nested groups follow their
+     *  parent group).  See [_groups](#property__groups).
+     *
+     * @method getGroups
+     * @return {Array} groups
+     * @public
+     */
+    getGroups: function() {
+        return this._groups.concat();
+    },
+
+    /**
+     * Collapses or expands a group, fires `groupToggle` if the state changed.
+     *
+     * @method toggleGroup
+     * @param {String|Array|Object} group The group, its id, or its Array of values from the
+     *  outermost level (a single value may be given for a first level group)
+     * @param {Boolean} collapse (optional) True to collapse, false to expand, toggles if not set
+     * @return this
+     * @chainable
+     * @public
+     */
+    toggleGroup: function(group, collapse) {
+        var gid       = this._getGroupId(group),
+            collapsed = !!this._groupCollapsed[gid];
+
+        collapse = ( collapse === undefined ) ? !collapsed : !!collapse;
+
+        if ( collapse !== collapsed ) {
+            if ( collapse )
+                this._groupCollapsed[gid] = true;
+            else
+                delete this._groupCollapsed[gid];
+
+            this._syncGroupUI();
+
+            this.fire('groupToggle', {
+                groupId:    gid,
+                collapsed:  collapse
+            });
+        }
+
+        return this;
+    },
+
+    /**
+     * Returns true if the given group is collapsed.
+     *
+     * @method isGroupCollapsed
+     * @param {String|Array|Object} group The group, its id, or its Array of values
+     * @return {Boolean}
+     * @public
+     */
+    isGroupCollapsed: function(group) {
+        return !!this._groupCollapsed[ this._getGroupId(group) ];
+    },
+
+    /**
+     * Collapses all of the currently rendered groups.
+     *
+     * @method collapseAllGroups
+     * @return this
+     * @chainable
+     * @public
+     */
+    collapseAllGroups: function() {
+        Y.Array.each( this._groups, function(group){
+            this.toggleGroup(group.id, true);
+        }, this);
+        return this;
+    },
+
+    /**
+     * Expands all of the collapsed groups.
+     *
+     * @method expandAllGroups
+     * @return this
+     * @chainable
+     * @public
+     */
+    expandAllGroups: function() {
+        Y.Object.each( this._groupCollapsed, function(val, gid){
+            this.toggleGroup(gid, false);
+        }, this);
+        return this;
+    },
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  P R I V A T E    M E T H O D S                                                          */
+/*----------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * Setter for the `groupBy` attribute, normalizes the value to an Array of keys or null
+     *
+     * @method _setGroupBy
+     * @param {String|Array} val
+     * @return {Array} keys
+     * @private
+     */
+    _setGroupBy: function(val) {
+        if ( Y.Lang.isString(val) ) val = [ val ];
+        return ( Y.Lang.isArray(val) && val.length ) ? val : null;
+    },
+
+    /**
+     * Listener after the `renderBody` event, hooks the body view's rendering and data
+     *  changes so that the group rows are rebuilt each time the body rows are.
+     *
+     * @method _afterRenderBodyGroups
+     * @param {EventFacade} e
+     * @private
+     */
+    _afterRenderBodyGroups: function(e) {
+        var body = e.view;
+
+        if ( body && body !== this._groupedBody ) {
+            this._groupedBody = body;
+            this._eventHandles.grouping.push(
+                Y.Do.after( this._renderGroups, body, 'render', this ),
+                // the body inserts and removes rows by index, so the group rows are removed first
+                Y.Do.before( this._clearGroups, body, '_afterDataChange', this ),
+                Y.Do.after( this._renderGroups, body, '_afterDataChange', this )
+            );
+        }
+
+        this._renderGroups();
+    },
+
+    /**
+     * Listener after `groupBy` or `groupConfig` changes, re-pages the data if paginated
+     *  locally, otherwise re-renders the groups.
+     *
+     * @method _afterGroupByChange
+     * @private
+     */
+    _afterGroupByChange: function() {
+        this._groupCalc = null;
+
+        if ( this._pagDataSrc === 'local' && this._mlistArray )
+            this.processPageRequest( this.pagModel.get('page') );
+        else
+            this._renderGroups();
+    },
+
+    /**
+     * Delegated click listener on the group header rows, toggles the clicked group
+     *
+     * @method _onGroupHeaderClick
+     * @param {EventFacade} e
+     * @private
+     */
+    _onGroupHeaderClick: function(e) {
+        var group = this._groups[ +e.currentTarget.getAttribute('data-yui3-group') ];
+        if ( group ) this.toggleGroup(group.id);
+    },
+
+    /**
+     * Returns the group id for a group object, an id or an Array of group values
+     *
+     * @method _getGroupId
+     * @param {String|Array|Object} group
+     * @return {String} id
+     * @private
+     */
+    _getGroupId: function(group) {
+        if ( Y.Lang.isArray(group) ) return Y.JSON.stringify(group);
+        if ( group && group.values ) return group.id;
+
+        // either an existing group id, or the value of a first level group
+        if ( this._groupCollapsed[group] || Y.Array.some( this._groups, function(g){ return g.id === group; } ) )
+            return group;
+
+        return Y.JSON.stringify([ group ]);
+    },
+
+    /**
+     * Splits the records into groups by the `groupBy` keys, recursing for nested levels.
+     *  Groups are ordered by the first appearance of their value.
+     *
+     * @method _buildGroups
+     * @param {Array} records Models or plain objects
+     * @param {Array} keys The groupBy keys
+     * @param {Object} parent (optional) The parent group
+     * @return {Array} groups
+     * @private
+     */
+    _buildGroups: function(records, keys, parent) {
+        var level  = parent ? parent.level + 1 : 0,
+            key    = keys[level],
+            groups = [],
+            hash   = {};
+
+        Y.Array.each( records, function(rec){
+            var value = this._getGroupValue(rec, key),
+                hkey  = Y.JSON.stringify([value]),
+                group = hash[hkey],
+                values;
+
+            if ( !group ) {
+                values = ( parent ? parent.values : [] ).concat([ value ]);
+                group = hash[hkey] = {
+                    id:         Y.JSON.stringify(values),
+                    key:        key,
+                    level:      level,
+                    value:      value,
+                    values:     values,
+                    records:    [],
+                    groups:     null,
+                    parent:     parent || null,
+                    rowNodes:   []
+                };
+                groups.push(group);
+            }
+            group.records.push(rec);
+        }, this);
+
+        if ( level < keys.length - 1 ) {
+            Y.Array.each( groups, function(group){
+                group.groups = this._buildGroups(group.records, keys, group);
+            }, this);
+        }
+
+        return groups;
+    },
+
+    /**
+     * Returns the value of a groupBy key for a Model or a plain object record
+     *
+     * @method _getGroupValue
+     * @param {Model|Object} rec
+     * @param {String} key
+     * @return {Any} value
+     * @private
+     */
+    _getGroupValue: function(rec, key) {
+        var value = ( rec && rec.get ) ? rec.get(key) : rec[key];
+        return ( value === undefined ) ? null : value;
+    },
+
+    /**
+     * Before each page request of the paginator, stably orders the local data buffer by
+     *  group, so that the records of each group are contiguous across the pages.
+     *
+     * @method _orderPageData
+     * @private
+     */
+    _orderPageData: function() {
+        var keys = this.get('groupBy'),
+            rdata = this._mlistArray,
+            ranks = {},
+            nrank = 0,
+            items;
+
+        if ( this._pagDataSrc !== 'local' || !keys || !rdata || !rdata.length ) return;
+
+        items = Y.Array.map( rdata, function(rec, index){
+            var values = [],
+                rank   = [];
+
+            Y.Array.each( keys, function(key){
+                values.push( this._getGroupValue(rec, key) );
+                var gid = Y.JSON.stringify(values);
+                if ( !ranks.hasOwnProperty(gid) ) ranks[gid] = nrank++;
+                rank.push( ranks[gid] );
+            }, this);
+
+            rank.push(index);
+            return { rec:rec, rank:rank };
+        }, this);
+
+        items.sort( function(a, b){
+            for ( var i=0; i<a.rank.length; i++ ) {
+                if ( a.rank[i] !== b.rank[i] ) return a.rank[i] - b.rank[i];
+            }
+            return 0;
+        });
+
+        Y.Array.each( items, function(item, index){
+            rdata[index] = item.rec;
+        });
+    },
+
+    /**
+     * Returns the records to calculate a group's subtotals from.  For paginated local data
+     *  this is all of the group's records within the data buffer, otherwise the group's
+     *  displayed records.  Records are matched by group id, as in _buildGroups, so that
+     *  equal Dates or other objects belong to the same group.
+     *
+     * @method _getGroupRecords
+     * @param {Object} group
+     * @return {Array} records
+     * @private
+     */
+    _getGroupRecords: function(group) {
+        var keys = this.get('groupBy').slice( 0, group.level + 1 );
+
+        if ( this._pagDataSrc !== 'local' || !this._mlistArray ) return group.records;
+
+        return Y.Array.filter( this._mlistArray, function(rec){
+            var values = Y.Array.map( keys, function(key){
+                return this._getGroupValue(rec, key);
+            }, this);
+
+            return Y.JSON.stringify(values) === group.id;
+        }, this);
+    },
+
+    /**
+     * Returns the FooterView based object used to calculate the subtotal fields
+     *
+     * @method _getGroupCalc
+     * @param {Object} foot_cfg The subtotal configuration
+     * @return {Object}
+     * @private
+     */
+    _getGroupCalc: function(foot_cfg) {
+        var calc = this._groupCalc,
+            proto;
+
+        if ( !calc ) {
+            proto = Y.FooterView.prototype;
+            calc = this._groupCalc = Y.Object(proto);
+            calc._dt = this;
+            calc.dateFormat = foot_cfg.dateFormat || this.get('dateFormat') || proto.dateFormat;
+            calc.timeFormat = foot_cfg.timeFormat || this.get('timeFormat') || proto.timeFormat;
+        }
+
+        return calc;
+    },
+
+    /**
+     * Removes the group header and subtotal rows from the body
+     *
+     * @method _clearGroups
+     * @private
+     */
+    _clearGroups: function() {
+        Y.Array.each( this._groups, function(group){
+            if ( group.headerNode ) group.headerNode.remove(true);
+            if ( group.footerNode ) group.footerNode.remove(true);
+        });
+        this._groups = [];
+    },
+
+    /**
+     * Main method that re-orders the body rows by group, and inserts the group header and
+     *  subtotal rows.
+     *
+     * @method _renderGroups
+     * @private
+     */
+    _renderGroups: function() {
+        var body  = this.body,
+            tbody = body && body.tbodyNode,
+            keys  = this.get('groupBy'),
+            rows  = {},
+            cfg   = this.get('groupConfig') || {},
+            foot_cfg = ( cfg.footer === undefined ) ? this.get('footerConfig') : cfg.footer;
+
+        this._clearGroups();
+
+        if ( !tbody || !keys ) return;
+
+        // for a FooterView with several rows, the subtotals follow the first row
+        if ( foot_cfg && foot_cfg.rows ) foot_cfg = foot_cfg.rows[0];
+
+        // map the body rows by record clientId
+        tbody.get('children').each( function(tr){
+            var cid = tr.getAttribute('data-yui3-record');
+            if ( cid ) rows[cid] = tr;
+        });
+
+        Y.Array.each( this._buildGroups( this.data.toArray(), keys ), function(group){
+            this._renderGroup( group, tbody, rows, cfg.heading || {}, foot_cfg || null );
+        }, this);
+
+        this._syncGroupUI();
+    },
+
+    /**
+     * Appends the rows of a group (its header, nested groups or record rows and its
+     *  subtotal) to the TBODY.
+     *
+     * @method _renderGroup
+     * @param {Object} group
+     * @param {Node} tbody
+     * @param {Object} rows Hash of body TR nodes by record clientId
+     * @param {Object} head_cfg The group header configuration
+     * @param {Object} foot_cfg The group subtotal configuration, or null
+     * @private
+     */
+    _renderGroup: function(group, tbody, rows, head_cfg, foot_cfg) {
+        var index   = this._groups.length,
+            col     = this.getColumn ? this.getColumn(group.key) : null,
+            records = this._getGroupRecords(group),
+            replacer_obj = {
+                key:        group.key,
+                label:      ( col && col.label ) || group.key,
+                value:      Y.Escape.html( String(group.value) ),
+                level:      group.level,
+                row_count:  records.length,
+                ROW_COUNT:  records.length
+            };
+
+        this._groups.push(group);
+
+        group.headerNode = Y.Node.create( Y.Lang.sub( this.TMPL_group_header, {
+            index:       index,
+            colspan:     this._getGroupColspan(),
+            rowClass:    this.getClassName('group', 'header') + ' ' +
+                         this.getClassName('group', 'level', group.level),
+            thClass:     head_cfg.className || '',
+            toggleClass: this.getClassName('group', 'toggle'),
+            content:     Y.Lang.sub( head_cfg.content || '{label}: {value} ({row_count})', replacer_obj )
+        }));
+        tbody.append(group.headerNode);
+
+        if ( group.groups ) {
+            Y.Array.each( group.groups, function(child){
+                this._renderGroup( child, tbody, rows, head_cfg, foot_cfg );
+            }, this);
+        } else {
+            Y.Array.each( group.records, function(rec){
+                var tr = rows[ rec.get('clientId') ];
+                if ( tr ) group.rowNodes.push( tbody.appendChild(tr) );
+            });
+        }
+
+        if ( foot_cfg ) {
+            group.footerNode = this._renderGroupFooter( group, index, records, foot_cfg, replacer_obj );
+            tbody.append(group.footerNode);
+        }
+    },
+
+    /**
+     * Creates the subtotal row for a group, calculating the configured fields through
+     *  FooterView's formatFootCell over the group's records.
+     *
+     * @method _renderGroupFooter
+     * @param {Object} group
+     * @param {Number} index Index of the group in _groups
+     * @param {Array} records The records to calculate over
+     * @param {Object} foot_cfg The group subtotal configuration
+     * @param {Object} replacer_obj The replacement values for the heading content
+     * @return {Node} the TR node
+     * @private
+     */
+    _renderGroupFooter: function(group, index, records, foot_cfg, replacer_obj) {
+        var calc    = this._getGroupCalc(foot_cfg),
+            columns = this._getGroupColumns(),
+            th_html = '',
+            td_html = '',
+            cspan   = 0,
+            repl    = Y.merge( replacer_obj, {
+                COL_COUNT: columns.length,
+                DATE:      Y.DataType.Date.format( new Date(), { format: calc.dateFormat }),
+                TIME:      Y.DataType.Date.format( new Date(), { format: calc.timeFormat })
+            });
+
+        repl.col_count = repl.COL_COUNT;
+        repl.date      = repl.DATE;
+        repl.time      = repl.TIME;
+
+        if ( foot_cfg.heading ) {
+            cspan = foot_cfg.heading.colspan || 1;
+            th_html = calc.fnReplace( calc.TMPL_th, {
+                colspan: cspan,
+                thClass: ' ' + (foot_cfg.heading.className || ''),
+                content: calc.fnReplace( foot_cfg.heading.content || '', repl )
+            });
+        }
+
+        for ( var i=cspan; i<columns.length; i++ ) {
+            var column = columns[i],
+                fitem  = null;
+
+            Y.Array.some( foot_cfg.columns, function(item){
+                if ( item.key === column.key ) {
+                    fitem = item;
+                    return true;
+                }
+            });
+
+            td_html += calc.fnReplace( calc.TMPL_td, {
+                tdClass: ( fitem && fitem.className ) || column.className || '',
+                content: fitem ? calc.formatFootCell( column, fitem, records ) : ''
+            });
+        }
+
+        return Y.Node.create( Y.Lang.sub( this.TMPL_group_footer, {
+            index:      index,
+            rowClass:   this.getClassName('group', 'footer') + ' ' +
+                        this.getClassName('group', 'level', group.level),
+            th_content: th_html,
+            td_content: td_html
+        }));
+    },
+
+    /**
+     * Returns the displayed columns of the DataTable
+     *
+     * @method _getGroupColumns
+     * @return {Array} columns
+     * @private
+     */
+    _getGroupColumns: function() {
+        return this.displayColumns || ( this.body && this.body.get('columns') ) || this.get('columns');
+    },
+
+    /**
+     * Returns the colspan for a group header, i.e. the number of displayed columns
+     *
+     * @method _getGroupColspan
+     * @return {Number}
+     * @private
+     */
+    _getGroupColspan: function() {
+        return this._getGroupColumns().length || 1;
+    },
+
+    /**
+     * Shows or hides the group rows and record rows according to the collapsed state of
+     *  their groups, and updates the striping of the visible record rows.
+     *
+     * @method _syncGroupUI
+     * @private
+     */
+    _syncGroupUI: function() {
+        var collapsed = this._groupCollapsed,
+            body      = this.body,
+            stripe    = 0,
+            classEven = body && body.CLASS_EVEN,
+            classOdd  = body && body.CLASS_ODD,
+            tbody     = body && body.tbodyNode,
+            hidden;
+
+        if ( !tbody || !this._groups.length ) return;
+
+        Y.Array.each( this._groups, function(group){
+            var isCollapsed = !!collapsed[group.id],
+                parent      = group.parent,
+                hideGroup   = false;
+
+            // a group is hidden when any of its ancestors are collapsed
+            while ( parent ) {
+                if ( collapsed[parent.id] ) hideGroup = true;
+                parent = parent.parent;
+            }
+            group.hidden = hideGroup;
+
+            group.headerNode.toggleClass( this.getClassName('group', 'collapsed'), isCollapsed )
+                .setStyle('display', hideGroup ? 'none' : '');
+            group.headerNode.one('th').setAttribute('aria-expanded', isCollapsed ? 'false' : 'true');
+
+            if ( group.footerNode ) group.footerNode.setStyle('display', hideGroup ? 'none' : '');
+        }, this);
+
+        // then the record rows, in display order
+        Y.Array.each( this._groups, function(group){
+            if ( group.groups ) return;
+
+            hidden = group.hidden || !!collapsed[group.id];
+
+            Y.Array.each( group.rowNodes, function(tr){
+                tr.setStyle('display', hidden ? 'none' : '');
+
+                if ( !hidden && classEven ) {
+                    tr.replaceClass.apply( tr, ( stripe % 2 ) ? [classEven, classOdd] : [classOdd, classEven] );
+                    stripe++;
+                }
+            });
+        }, this);
+    }
+
+});
+
+Y.DataTable.Grouping = DtGrouping;
+Y.Base.mix(Y.DataTable, [Y.DataTable.Grouping]);
@@ -0,0 +1,346 @@
+YUI.add('datatable-grouping-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+
+    data = [
+        { region: 'East', state: 'NY', rep: 'Ann',  sales: 10 },
+        { region: 'West', state: 'CA', rep: 'Bob',  sales: 20 },
+        { region: 'East', state: 'NJ', rep: 'Cid',  sales: 30 },
+        { region: 'East', state: 'NY', rep: 'Dee',  sales: 40 },
+        { region: 'West', state: 'OR', rep: 'Eve',  sales: 50 }
+    ],
+
+    suite;
+
+function createTable(config) {
+    return new Y.DataTable(Y.merge({
+        columns: [ 'region', 'state', 'rep', 'sales' ],
+        data:    data
+    }, config)).render('#dt');
+}
+
+function headerTexts(dt) {
+    return dt.get('contentBox').all('.yui3-datatable-group-header th').get('text');
+}
+
+function isHidden(node) {
+    return node.getStyle('display') === 'none';
+}
+
+// -- DataTable Grouping Suite -------------------------------------------------
+suite = new Y.Test.Suite('DataTable Grouping');
+
+// -- DataTable Grouping: Rendering --------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Rendering',
+
+    setUp: function () {
+        Y.one('body').append('<div id="dt"></div>');
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'records should be grouped in order of first appearance': function () {
+        var dt = this.dt = createTable({ groupBy: 'region' }),
+            rows = dt.body.tbodyNode.get('children');
+
+        ArrayAssert.itemsAreEqual([ 'region: East (3)', 'region: West (2)' ], headerTexts(dt));
+
+        // header, three East records, header, two West records
+        Assert.areSame(7, rows.size());
+        Assert.isTrue(rows.item(0).hasClass('yui3-datatable-group-header'));
+        Assert.isTrue(rows.item(4).hasClass('yui3-datatable-group-header'));
+        ArrayAssert.itemsAreEqual([ 'Ann', 'Cid', 'Dee' ], [
+            rows.item(1).one('.yui3-datatable-col-rep').get('text'),
+            rows.item(2).one('.yui3-datatable-col-rep').get('text'),
+            rows.item(3).one('.yui3-datatable-col-rep').get('text')
+        ]);
+    },
+
+    'nested groups should follow their parent group': function () {
+        var dt = this.dt = createTable({
+                groupBy:     [ 'region', 'state' ],
+                groupConfig: { heading: { content: '{level}:{value}' } }
+            });
+
+        ArrayAssert.itemsAreEqual([ '0:East', '1:NY', '1:NJ', '0:West', '1:CA', '1:OR' ], headerTexts(dt));
+        Assert.areSame(6, dt.getGroups().length);
+        Assert.areSame(2, dt.get('contentBox').all('.yui3-datatable-group-level-0').size());
+    },
+
+    'group values should be escaped': function () {
+        var dt = this.dt = createTable({
+                data:    [ { region: '<b>North</b>', state: 'AK', rep: 'Fay', sales: 1 } ],
+                groupBy: 'region'
+            });
+
+        Assert.isNull(dt.get('contentBox').one('.yui3-datatable-group-header b'));
+        ArrayAssert.itemsAreEqual([ 'region: <b>North</b> (1)' ], headerTexts(dt));
+    },
+
+    'removing groupBy should remove the group rows': function () {
+        var dt = this.dt = createTable({ groupBy: 'region' });
+
+        dt.set('groupBy', null);
+
+        Assert.areSame(0, dt.getGroups().length);
+        Assert.isNull(dt.get('contentBox').one('.yui3-datatable-group-header'));
+        Assert.areSame(5, dt.body.tbodyNode.get('children').size());
+    },
+
+    'group rows should be rebuilt when the data changes': function () {
+        var dt = this.dt = createTable({ groupBy: 'region' });
+
+        dt.data.add({ region: 'South', state: 'TX', rep: 'Gus', sales: 60 });
+
+        ArrayAssert.itemsAreEqual([ 'region: East (3)', 'region: West (2)', 'region: South (1)' ], headerTexts(dt));
+    }
+}));
+
+// -- DataTable Grouping: Collapsing -------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Collapsing',
+
+    setUp: function () {
+        Y.one('body').append('<div id="dt"></div>');
+        this.dt = createTable({ groupBy: [ 'region', 'state' ] });
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'toggleGroup should hide the rows of the group': function () {
+        var dt = this.dt,
+            events = [],
+            east = dt.getGroups()[0];
+
+        dt.on('groupToggle', function (e) {
+            events.push(e.groupId + ':' + e.collapsed);
+        });
+
+        dt.toggleGroup('East');
+
+        Assert.isTrue(dt.isGroupCollapsed('East'));
+        Assert.isTrue(dt.isGroupCollapsed(east));
+        Assert.isTrue(east.headerNode.hasClass('yui3-datatable-group-collapsed'));
+        Assert.areSame('false', east.headerNode.one('th').getAttribute('aria-expanded'));
+        Assert.isFalse(isHidden(east.headerNode));
+        Y.Array.each(east.groups, function (group) {
+            Assert.isTrue(isHidden(group.headerNode));
+            Y.Array.each(group.rowNodes, function (tr) {
+                Assert.isTrue(isHidden(tr));
+            });
+        });
+        Assert.isFalse(isHidden(dt.getGroups()[3].headerNode), 'West should stay visible');
+
+        dt.toggleGroup('East', true);
+        dt.toggleGroup('East');
+
+        Assert.isFalse(dt.isGroupCollapsed('East'));
+        Assert.isFalse(isHidden(east.groups[0].rowNodes[0]));
+        ArrayAssert.itemsAreEqual([ '["East"]:true', '["East"]:false' ], events);
+    },
+
+    'nested groups should be toggled by their values': function () {
+        var dt = this.dt,
+            ny = dt.getGroups()[1];
+
+        dt.toggleGroup([ 'East', 'NY' ]);
+
+        Assert.isTrue(dt.isGroupCollapsed(ny));
+        Assert.isTrue(isHidden(ny.rowNodes[0]));
+        Assert.isFalse(isHidden(dt.getGroups()[2].rowNodes[0]), 'NJ should stay visible');
+    },
+
+    'visible rows should be restriped': function () {
+        var dt = this.dt,
+            nj = dt.getGroups()[2];
+
+        dt.toggleGroup([ 'East', 'NY' ]);
+
+        Assert.isTrue(nj.rowNodes[0].hasClass(dt.body.CLASS_EVEN));
+    },
+
+    'collapseAllGroups and expandAllGroups should toggle every group': function () {
+        var dt = this.dt;
+
+        dt.collapseAllGroups();
+
+        Y.Array.each(dt.getGroups(), function (group) {
+            Assert.isTrue(dt.isGroupCollapsed(group));
+        });
+
+        dt.expandAllGroups();
+
+        Y.Array.each(dt.getGroups(), function (group) {
+            Assert.isFalse(dt.isGroupCollapsed(group));
+            Assert.isFalse(isHidden(group.headerNode));
+        });
+    },
+
+    'clicking a group header should toggle the group': function () {
+        var dt = this.dt,
+            west = dt.getGroups()[3];
+
+        west.headerNode.one('th').simulate('click');
+
+        Assert.isTrue(dt.isGroupCollapsed('West'));
+    },
+
+    'the collapsed state should survive re-rendering': function () {
+        var dt = this.dt;
+
+        dt.toggleGroup('West');
+        dt.data.add({ region: 'West', state: 'WA', rep: 'Hal', sales: 70 });
+
+        Assert.isTrue(dt.isGroupCollapsed('West'));
+        Assert.isTrue(dt.getGroups()[3].headerNode.hasClass('yui3-datatable-group-collapsed'));
+    }
+}));
+
+// -- DataTable Grouping: Subtotals --------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Subtotals',
+
+    setUp: function () {
+        Y.one('body').append('<div id="dt"></div>');
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'group footers should total the records of each group': function () {
+        var dt = this.dt = createTable({
+                groupBy:     'region',
+                groupConfig: {
+                    footer: {
+                        heading: { colspan: 3, content: 'Total {value}' },
+                        columns: [ { key: 'sales', content: '{sum}' } ]
+                    }
+                }
+            }),
+            footers = dt.get('contentBox').all('.yui3-datatable-group-footer');
+
+        Assert.areSame(2, footers.size());
+        Assert.areSame('Total East', footers.item(0).one('th').get('text'));
+        Assert.areSame('80', footers.item(0).one('td').get('text'));
+        Assert.areSame('70', footers.item(1).one('td').get('text'));
+    },
+
+    'collapsing a parent should hide the footers of nested groups': function () {
+        var dt = this.dt = createTable({
+                groupBy:     [ 'region', 'state' ],
+                groupConfig: {
+                    footer: { columns: [ { key: 'sales', content: '{max}' } ] }
+                }
+            }),
+            ny = dt.getGroups()[1];
+
+        Assert.areSame('40', ny.footerNode.one('.yui3-datatable-col-sales, td:last-child').get('text'));
+
+        dt.toggleGroup('East');
+
+        Assert.isTrue(isHidden(ny.footerNode));
+        Assert.isFalse(isHidden(dt.getGroups()[0].footerNode));
+    },
+
+    'a footer of false should omit the subtotal rows': function () {
+        var dt = this.dt = createTable({
+                groupBy:      'region',
+                footerConfig: { columns: [ { key: 'sales', content: '{sum}' } ] },
+                groupConfig:  { footer: false }
+            });
+
+        Assert.isNull(dt.body.tbodyNode.one('.yui3-datatable-group-footer'));
+    },
+
+    'the footerConfig should be used by default': function () {
+        var dt = this.dt = createTable({
+                groupBy:      'region',
+                footerConfig: {
+                    rows: [
+                        { columns: [ { key: 'sales', content: '{min}' } ] },
+                        { columns: [ { key: 'sales', content: '{max}' } ] }
+                    ]
+                }
+            }),
+            footers = dt.body.tbodyNode.all('.yui3-datatable-group-footer');
+
+        Assert.areSame(2, footers.size());
+        Assert.areSame('10', footers.item(0).all('td').item(3).get('text'));
+    }
+}));
+
+// -- DataTable Grouping: Pagination -------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Pagination',
+
+    setUp: function () {
+        Y.one('body').append('<div id="dt"></div><div id="pag"></div>');
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+        Y.one('#pag').remove(true);
+    },
+
+    'subtotals should cover the records of a group on all pages': function () {
+        var dt = this.dt = createTable({
+                groupBy:     'region',
+                groupConfig: {
+                    footer: { columns: [ { key: 'sales', content: '{sum}' } ] }
+                },
+                paginator:   new Y.PaginatorView({
+                    model:     new Y.PaginatorModel({ itemsPerPage: 2 }),
+                    container: '#pag'
+                })
+            }),
+            footers = dt.body.tbodyNode.all('.yui3-datatable-group-footer');
+
+        // the first page only shows Ann and Cid, but the East subtotal includes Dee
+        Assert.areSame(2, dt.data.size());
+        ArrayAssert.itemsAreEqual([ 'region: East (3)' ], headerTexts(dt));
+        Assert.areSame('80', footers.item(0).all('td').item(3).get('text'));
+    },
+
+    'equal dates should be counted in the same group': function () {
+        var dt = this.dt = createTable({
+                columns:     [ 'day', 'sales' ],
+                data:        [
+                    { day: new Date(2012, 0, 1), sales: 1 },
+                    { day: new Date(2012, 0, 1), sales: 2 },
+                    { day: new Date(2012, 0, 2), sales: 4 }
+                ],
+                groupBy:     'day',
+                groupConfig: {
+                    heading: { content: '{row_count}' },
+                    footer:  { columns: [ { key: 'sales', content: '{sum}' } ] }
+                },
+                paginator:   new Y.PaginatorView({
+                    model:     new Y.PaginatorModel({ itemsPerPage: 10 }),
+                    container: '#pag'
+                })
+            }),
+            footers = dt.body.tbodyNode.all('.yui3-datatable-group-footer');
+
+        ArrayAssert.itemsAreEqual([ '2', '1' ], headerTexts(dt));
+        Assert.areSame('3', footers.item(0).all('td').item(1).get('text'));
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-datatable-grouping', 'gallery-datatable-paginator', 'gallery-paginator-view', 'node-event-simulate', 'test']});
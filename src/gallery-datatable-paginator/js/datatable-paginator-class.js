@@ -202,6 +202,18 @@ Y.mix( DtPaginator.prototype, {
      */
     _pagDataSrc: null,
 
+    /**
+     * Placeholder for the meta-data of the latest server response, for remote data only.
+     *
+     * Populated in [_afterDSResponse](#method__afterDSResponse) and [_afterMLResponse](#method__afterMLResponse)
+     *
+     * @property _pagResponseMeta
+     * @type Object
+     * @default null
+     * @protected
+     */
+    _pagResponseMeta: null,
+
     /**
      * A convenience property holder for the DataTable's "paginator" attribute.
      *
@@ -287,7 +299,7 @@ Y.mix( DtPaginator.prototype, {
             item.detach();
         });
         this._mlistArray = null;
-        this._eventHandles.paginator = null;
+        delete this._eventHandles.paginator;
     },
 
 
@@ -565,6 +577,7 @@ Y.mix( DtPaginator.prototype, {
                 this.pagModel.set('totalItems', resp.meta[totalItemProp] );
             }
         }
+        this._setResponseMeta(resp.meta);
         this.resizePaginator();
     },
 
@@ -591,9 +604,23 @@ Y.mix( DtPaginator.prototype, {
                 //Y.log('afterMLResponse ... totalItems=' + resp.meta[totalItemProp] );
             }
         }
+        this._setResponseMeta(resp.meta);
         this.resizePaginator();
     },
 
+    /**
+     * Stores the meta-data of the latest server response (e.g. grand totals used by FooterView)
+     * and fires the `responseMeta` event.
+     *
+     * @method _setResponseMeta
+     * @param {Object} meta The response meta-data
+     * @private
+     */
+    _setResponseMeta: function(meta){
+        this._pagResponseMeta = meta || null;
+        this.fire('responseMeta',{ meta:this._pagResponseMeta });
+    },
+
     /**
      * Listener that fires when the Model's 'pageChange' fires, this extracts the current page from the state object and then
      *  hooks up the processPageRequest method.
@@ -754,6 +781,12 @@ Y.mix( DtPaginator.prototype, {
      * @event resize
      */
 
+    /**
+     * Fires after a server response has been received, with the response meta-data (e.g. totalItems or grand totals)
+     * @event responseMeta
+     * @param {Object} meta The response meta-data
+     */
+
 });
 
 Y.DataTable.Paginator = DtPaginator;
@@ -13,7 +13,9 @@
  Additionally, a "range" selection capability is provided by using the browser range selector click key modifier,
  specifically the Shift key on most systems.
 
- The extension has been written to allow preserving the "selected" rows or cells during "sort" operations.
+ The extension has been written to allow preserving the "selected" rows or cells during "sort" operations, and
+ while scrolling a DataTable with [virtualScroll](Y.DataTable.VirtualScroll.html#attr_virtualScroll), where the selections
+ of records that are not rendered are retained (reported with a null `tr` or `td`).
 
  Specific attributes are provided that can be read for current selections, including the ATTRS [selectedRows](#attr_selectedRows),
  and [selectedCells](#attr_selectedCells).
@@ -21,6 +23,15 @@
  Typical usage would be to set the "selectionMode" attribute (and selectionMulti if desired), and then to listen to for the
  [selection](#event_selection) event to respond to each "click" selection.
 
+ Spreadsheet-style keyboard support is provided when the DataTable has focus (see [keyNavigation](#attr_keyNavigation)).
+ An "active cell" cursor (attribute [activeCell](#attr_activeCell)) is moved with the arrow keys, Home / End
+ (Ctrl+Home / Ctrl+End for the first / last row) and PageUp / PageDown, and the move selects the new cell or row.
+ Holding Shift extends a rectangular range from the last selected cell, when `selectionMulti` is true.
+
+ The browser "copy" command (Ctrl+C / Cmd+C) places the selected range on the clipboard as tab-separated text and as
+ an HTML table.  The browser "paste" command writes tab-separated text into the underlying records, starting from the
+ first selected cell, for those columns that are editable (see [pasteText](#method_pasteText)).
+
  @module DataTable
  @submodule Selection
  @class Y.DataTable.Selection
@@ -99,7 +110,7 @@ DtSelection.ATTRS = {
      *
      * For reading this setting, it returns an Array of objects containing {tr,record,recordIndex} for each
      *  selected "row"; where "tr" is a Y.Node instance and "record" is the Model for the TR and "recordIndex" is the
-     *  record index within the current dataset.
+     *  record index within the current dataset.  The "tr" is null for a record that is not rendered.
      * (Please refer to method [_getSelectedRows](#method__getSelectedRows))
      *
      * @attribute selectedRows
@@ -151,10 +162,63 @@ DtSelection.ATTRS = {
         value:      false,
         setter:     '_setSelectionMulti',
         validator:  Y.Lang.isBoolean
+    },
+
+    /**
+     * Flag to enable keyboard navigation and clipboard copy / paste of the selections while the DataTable has
+     * focus.  When enabled, the DataTable's `tabIndex` is set to 0 (unless already defined) so that it can
+     * receive focus.
+     * @attribute keyNavigation
+     * @type {Boolean}
+     * @default true
+     */
+    keyNavigation: {
+        value:      true,
+        validator:  Y.Lang.isBoolean
+    },
+
+    /**
+     * Number of rows the active cell is moved by the PageUp and PageDown keys.
+     * @attribute pageRows
+     * @type {Integer}
+     * @default 10
+     */
+    pageRows: {
+        value:      10,
+        validator:  function(v){ return Y.Lang.isNumber(v) && v > 0; }
+    },
+
+    /**
+     * TD Node of the keyboard "cursor", which is the most recently selected cell.
+     * The cursor is marked with the CSS class "yui3-datatable-sel-active".
+     * @attribute activeCell
+     * @type {Node}
+     * @default null
+     */
+    activeCell: {
+        value:      null,
+        validator:  function(v){ return (v instanceof Y.Node) || v === null; }
     }
 
 };
 
+/**
+ * Key codes handled by the keyboard navigation, mapped to the move for each key.
+ * @property NAV_KEYS
+ * @type Object
+ * @static
+ */
+DtSelection.NAV_KEYS = {
+    33: 'pageUp',
+    34: 'pageDown',
+    35: 'end',
+    36: 'home',
+    37: 'left',
+    38: 'up',
+    39: 'right',
+    40: 'down'
+};
+
 
 Y.mix( DtSelection.prototype, {
 
@@ -203,6 +267,46 @@ Y.mix( DtSelection.prototype, {
      */
     _clickModifiers: null,
 
+    /**
+     * Holder for the TD from which a "range" selection is extended, i.e. the last cell selected
+     * without the Shift key.
+     * @property _selAnchor
+     * @type Node
+     * @default null
+     * @protected
+     */
+    _selAnchor: null,
+
+    /**
+     * Holder for the selections of records that are not currently rendered (e.g. scrolled out of a virtual scrolling
+     * DataTable), as Models in "row" mode or {record,colIndex} in "cell" mode.
+     * @property _selHidden
+     * @type Array
+     * @default null
+     * @protected
+     */
+    _selHidden: null,
+
+    /**
+     * Holder for the active cell and range anchor, as {record,colName}, while their rows are re-rendered or
+     * not rendered.
+     * @property _selCellKeys
+     * @type Object
+     * @default null
+     * @protected
+     */
+    _selCellKeys: null,
+
+    /**
+     * Holder for the selections by record (see [_getSelectionRecords](#method__getSelectionRecords)) while the
+     * "data" is reset.
+     * @property _selReset
+     * @type Array
+     * @default null
+     * @protected
+     */
+    _selReset: null,
+
 //------------------------------------------------------------------------------------------------------
 //        L I F E C Y C L E    M E T H O D S
 //------------------------------------------------------------------------------------------------------
@@ -316,6 +420,7 @@ Y.mix( DtSelection.prototype, {
      */
     clearSelections: function(){
         this._selections = [];
+        this._selHidden = [];
         this.set('selected',null);
         this._clearAll(this._classSelected);
     },
@@ -340,6 +445,124 @@ Y.mix( DtSelection.prototype, {
         this.clearHighlighted();
     },
 
+    /**
+     * Returns the currently selected cells as the rectangular range that encloses them, formatted as tab-separated
+     * text and as an HTML table.  Cells within the range that are not selected are left empty.  The displayed
+     * text of each cell is used.
+     *
+     * @method getClipboardData
+     * @return {Object} data Returned object as {text,html}, or null if there are no selections
+     * @public
+     */
+    getClipboardData: function(){
+        var bounds = this._getSelectionBounds(),
+            text   = [],
+            html   = [],
+            r, c, td, rowText, rowHtml, value;
+
+        if ( !bounds ) return null;
+
+        for(r=bounds.top; r<=bounds.bottom; r++) {
+            rowText = [];
+            rowHtml = [];
+            for(c=bounds.left; c<=bounds.right; c++) {
+                td = bounds.cells[r+','+c];
+                value = (td) ? Y.Lang.trim(td.get('text')) : '';
+                rowText.push( value.replace(/[\t\r\n]+/g,' ') );
+                rowHtml.push( '<td>' + Y.Escape.html(value) + '</td>' );
+            }
+            text.push( rowText.join('\t') );
+            html.push( '<tr>' + rowHtml.join('') + '</tr>' );
+        }
+
+        return {
+            text: text.join('\r\n'),
+            html: '<table>' + html.join('') + '</table>'
+        };
+    },
+
+    /**
+     * Writes tab-separated text (e.g. copied from a spreadsheet) into the records, starting from the first
+     * selected cell (the top-most, then left-most one), or the [activeCell](#attr_activeCell), and continuing
+     * right and down across the displayed rows and columns.  As in spreadsheets, a value enclosed in double
+     * quotes may contain tabs and line breaks, with any double quotes inside it doubled.
+     *
+     * Only editable columns are updated, i.e. columns with `editable:true` or a `quickEdit` configuration, or
+     * all columns without `editable:false` when the DataTable's `editable` attribute is true.  A column can
+     * define a `pasteParser` function(text, column, record) to convert the pasted text, otherwise the text is
+     * converted to a Number or Date when the current value is one.
+     *
+     * The pasted cells are selected afterwards and a [selectionPaste](#event_selectionPaste) event is fired.
+     *
+     * @method pasteText
+     * @param {String} text Tab-separated text, with one line per row
+     * @return {Array} changes The changes made, as {record,column,prevVal,newVal}
+     * @public
+     */
+    pasteText: function(text){
+        var bounds  = this._getSelectionBounds(),
+            start   = (bounds) ? bounds.first : this._resolveCell(this.get('activeCell')),
+            changes = [],
+            lines, tr, rows, top, left, bottom, right;
+
+        if ( !start || !Y.Lang.isString(text) ) return changes;
+
+        lines = this._parsePasteText(text);
+
+        tr    = start.ancestor('tr');
+        rows  = tr.get('parentNode').get('children');
+        top   = rows.indexOf(tr);
+        left  = tr.get('children').indexOf(start);
+        bottom= Math.min(top + lines.length, rows.size()) - 1;
+        right = left;
+
+        // collect the changes first, since the TBODY may be re-rendered by each record update
+        Y.Array.each(lines,function(line,i){
+            var row = rows.item(top+i),
+                rec = (row) ? this.getRecord(row) : null,
+                tds = (row) ? row.get('children') : null;
+
+            if ( !rec ) return;
+
+            Y.Array.each(line,function(value,j){
+                var td  = tds.item(left+j),
+                    col = (td) ? this.getColumnByTd(td) : null;
+
+                if ( !td ) return;
+                right = Math.max(right, left+j);
+
+                if ( col && col.key && this._isPasteColumn(col) ) {
+                    changes.push({
+                        record:  rec,
+                        column:  col,
+                        prevVal: rec.get(col.key),
+                        newVal:  this._parsePasteValue(value, col, rec)
+                    });
+                }
+            },this);
+        },this);
+
+        Y.Array.each(changes,function(item){
+            item.record.set(item.column.key, item.newVal);
+        });
+
+        this._selectCellRange(top, left, bottom, right);
+
+        /**
+         * Event that fires after tab-separated text has been pasted into the DataTable records.
+         * @event selectionPaste
+         * @param {Object} obj Return object
+         * @param {String} obj.text The pasted text
+         * @param {Array} obj.changes The changes made, as {record,column,prevVal,newVal}
+         */
+        this.fire('selectionPaste',{
+            text:    text,
+            changes: changes
+        });
+
+        return changes;
+    },
+
 //------------------------------------------------------------------------------------------------------
 //        P R I V A T E    M E T H O D S
 //------------------------------------------------------------------------------------------------------
@@ -354,13 +577,15 @@ Y.mix( DtSelection.prototype, {
         Y.Array.each( this._eventHandles.selector,function(item){
             item.detach();
         });
-        this._eventHandles.selector = null;
+        delete this._eventHandles.selector;
 
+        // DataTable's destructor detaches every remaining entry, so none may be null
         if ( this._eventHandles.selectorSelect )
             this._eventHandles.selectorSelect.detach();
-        this._eventHandles.selectorSelect = null;
+        delete this._eventHandles.selectorSelect;
 
         this._clickModifiers = null;
+        this._selAnchor = null;
 
     },
 
@@ -374,6 +599,7 @@ Y.mix( DtSelection.prototype, {
      */
     _bindSelector: function(){
         this._selections = [];
+        this._selHidden = [];
         this._eventHandles.selector = [];
 
         this._eventHandles.selector.push( this.on('highlightedChange',this._highlightChange) );
@@ -391,6 +617,21 @@ Y.mix( DtSelection.prototype, {
         this._eventHandles.selector.push( this.data.before('*:reset', Y.bind('_beforeResetDataSelect', this) ) );
         this._eventHandles.selector.push( this.data.after('*:reset', Y.bind('_afterResetDataSelect', this) ) );
 
+        // Rows are re-used for other records when a virtual scrolling DataTable is scrolled
+        this._eventHandles.selector.push( this.on('scrollWindow', this._beforeScrollWindowSelect) );
+        this._eventHandles.selector.push( this.after('scrollWindow', this._afterScrollWindowSelect) );
+
+        //
+        //  Keyboard navigation and clipboard listeners, only active when the DataTable has focus
+        //
+        this._eventHandles.selector.push( this.after('activeCellChange',this._afterActiveCellChange) );
+        this._eventHandles.selector.push( this.get('boundingBox').on('keydown', Y.bind('_onSelectionKeyDown', this) ) );
+        this._eventHandles.selector.push( Y.one(Y.config.doc).on('copy', Y.bind('_onSelectionCopy', this) ) );
+        this._eventHandles.selector.push( Y.one(Y.config.doc).on('paste', Y.bind('_onSelectionPaste', this) ) );
+
+        if ( this.get('keyNavigation') && this.get('tabIndex') === null )
+            this.set('tabIndex',0);
+
         // track click modifier keys from last click, this is the tempalte
         this._clickModifiers = {
             ctrlKey:null, altKey:null, metaKey:null, shiftKey:null, which:null, button:null
@@ -441,11 +682,21 @@ Y.mix( DtSelection.prototype, {
             // Process the action ... updating 'select' class
             var tar = this._processNodeAction(o,'select', !keepPrev );
 
-            if ( !keepPrev ) this._selections = [];
+            if ( !keepPrev ) {
+                this._selections = [];
+                this._selHidden = [];
+            }
             this._selections.push(tar);
 
+            // the next "range" selection extends from this cell
+            this._selAnchor = o.newVal;
+
         }
 
+        // move the keyboard cursor to the clicked cell
+        if ( o.newVal && o.newVal.get('tagName').toLowerCase() === 'td' )
+            this.set('activeCell',o.newVal);
+
         this.fire('selected',{
             ochange: o,
             record: this.getRecord(o.newVal)
@@ -487,13 +738,15 @@ Y.mix( DtSelection.prototype, {
      * Called when a "range" selection is detected (i.e. SHIFT key held during click) that selects
      * a range of TD's or TR's (depending on [selectionMode](#attr_selectionMode) setting.
      *
+     * The range extends from the last cell selected without SHIFT (or from the previous selection).
+     *
      * @method _processRange
      * @param {Node} o Last clicked TD of range selection
      * @private
      */
     _processRange: function(o) {
         var tarNew  = o.newVal,
-            tarPrev = o.prevVal || null;
+            tarPrev = this._resolveCell(this._selAnchor) || o.prevVal || null;
 
         if ( tarNew && tarPrev ) {
             var newRec  = this.getRecord(tarNew),
@@ -512,8 +765,11 @@ Y.mix( DtSelection.prototype, {
             // if we have valid deltas, update the range cells.
             if ( delCol !== null && delRow !== null) {
 
+                // clear the prior selections, without resetting the "selected" attribute that is being changed
                 if (Y.Lang.isArray(this._selections) ) {
-                    this.clearSelections();
+                    this._selections = [];
+                    this._selHidden = [];
+                    this._clearAll(this._classSelected);
                 }
 
                 // Select a range of CELLS (i.e. TD's) ...
@@ -574,6 +830,7 @@ Y.mix( DtSelection.prototype, {
             rows = [],
             tr, rec;
         Y.Array.each(this._selections,function(item){
+            if (!item) return;
             tr = ( item.get('tagName').toLowerCase() === 'tr' ) ? item : item.ancestor('tr');
             // if and only if, it's a TR and not in "trs" array ... then add it
             if ( tr.get('tagName').toLowerCase() === 'tr' && trs.indexOf(tr) === -1) {
@@ -586,6 +843,19 @@ Y.mix( DtSelection.prototype, {
                 });
             }
         },this);
+
+        // records selected but not rendered
+        Y.Array.each(this._selHidden,function(item){
+            rec = item.record || item;
+            var dup = Y.Array.some(rows,function(r){ return r.record === rec; });
+            if ( !dup ) {
+                rows.push({
+                    tr:     null,
+                    record: rec,
+                    recordIndex: this.data.indexOf(rec)
+                });
+            }
+        },this);
         return rows;
     },
 
@@ -597,7 +867,7 @@ Y.mix( DtSelection.prototype, {
      *
      * **Returned** `cells` {Array} of objects in format;
      * <ul>
-     *   <li>`cells.td` {Node} TD Node for this cell.</li>
+     *   <li>`cells.td` {Node} TD Node for this cell, or null if the record is not rendered.</li>
      *   <li>`cells.record` {Model} Record for this cell as a Y.Model</li>
      *   <li>`cells.recordIndex` {Integer} Record index for this cell in the current "data" set</li>
      *   <li>`cells.column` {Object} Column for this cell defined in original "columns" DataTable attribute</li>
@@ -648,6 +918,30 @@ Y.mix( DtSelection.prototype, {
                 }
             }
         },this);
+
+        // cells (or rows) selected but not rendered
+        Y.Array.each(this._selHidden,function(item){
+            var colIndices = [];
+            rec = item.record || item;
+            if ( item.record ) {
+                colIndices.push(item.colIndex);
+            } else {
+                Y.Array.each(cols,function(c,i){ colIndices.push(i); });
+            }
+
+            Y.Array.each(colIndices,function(ci){
+                col = cols[ci];
+                if ( !col ) return;
+                cells.push({
+                    td:          null,
+                    record:      rec,
+                    recordIndex: this.data.indexOf(rec),
+                    column:      col,
+                    columnName:  col.key || col.name,
+                    columnIndex: ci
+                });
+            },this);
+        },this);
         return cells;
     },
 
@@ -664,6 +958,7 @@ Y.mix( DtSelection.prototype, {
      */
     _setSelectedCells: function(val){
         this._selections = [];
+        this._selHidden = [];
         if ( Y.Lang.isArray(val) && this.data.size() > val.length ) {
             Y.Array.each(val,function(item) {
                 var row, col, td;
@@ -696,12 +991,15 @@ Y.mix( DtSelection.prototype, {
      */
     _setSelectedRows: function(val){
         this._selections = [];
+        this._selHidden = [];
         if ( Y.Lang.isArray(val) && this.data.size() > val.length ) {
             Y.Array.each(val,function(item){
                 var tr = this.getRow(item);
                 if ( tr ) {
                     this._selections.push( tr );
                     tr.addClass(this._classSelected);
+                } else if ( this.data.item(item) ) {
+                    this._selHidden.push( this.data.item(item) );
                 }
             },this);
         }
@@ -717,46 +1015,26 @@ Y.mix( DtSelection.prototype, {
      * @private
      */
     _beforeResetDataSelect: function() {
-        if( !this._selections || this._selections.length === 0 ) return;
+        this._saveCellKeys();
+        if( (!this._selections || this._selections.length === 0) && this._selHidden.length === 0 ) return;
 
         // Save a copy of the current pre-sort rows and/or cells ...
-        var rows  = this.get('selectedRows'),   // array as {record,tr}
-            cells = this.get('selectedCells'),  // array as {record,td,column,columnIndex,columnName}
-            tr, td;
+        var saved = this._getSelectionRecords();
 
         // Clear out the selections, reset selected and remove "selected" CSS on table
         this._selections = [];
+        this._selHidden = [];
         this.set('selected',null);
         this._clearAll(this._classSelected);
 
-        //
-        //  Loop over all of the rows or cells (depending on mode),
-        //    and push a temporary record to the _selections array,
-        //    to be used in _afterResetDataSelect to reconstruct selections
-        //
-        if( this.get('selectionMode') === 'row' && rows && rows.length > 0 ) {
-
-            // Push the Model data only to the _selections array ...
-            Y.Array.each(rows,function(r){
-                if ( r && r.record )
-                    this._selections.push( r.record );
-            },this);
-
-        } else if ( this.get('selectionMode') === 'cell' && cells && cells.length > 0 ) {
-
-            // Push the Model data and column index only to the _selections array
-            Y.Array.each(cells,function(r){
-                if(r && r.record && r.columnIndex)
-                    this._selections.push({record:r.record, colIndex:r.columnIndex});
-            },this);
-        }
-
+        // the temporary records are used in _afterResetDataSelect to reconstruct selections
+        this._selReset = saved;
     },
 
     /**
      * Method is fired AFTER a "reset" action takes place on the "data", usually related to a column sort.
      * This function reads the pre-sorted selections that were stored by  [_beforeResetDataSelect](#method__beforeResetDataSelect)
-     * temporarily in this._selections.
+     * temporarily in this._selReset.
      *
      * Depending upon the current "selectionMode", either post-sorted TBODY selections are re-applied, by determining either
      * the TR's (from the Model data) or the TD's (from the Model and Column Index data).
@@ -765,17 +1043,92 @@ Y.mix( DtSelection.prototype, {
      * @private
      */
     _afterResetDataSelect: function() {
-        if( !this._selections || this._selections.length === 0 ) return;
-        var tr, td;
-        var buffer = [];
+        if( this._selReset && this._selReset.length > 0 )
+            this._selections = this._applySelectionRecords(this._selReset);
+        this._selReset = null;
 
-        Y.Array.each(this._selections,function(item){
+        this._restoreCellKeys();
+    },
+
+    /**
+     * Method is fired BEFORE the rows of a virtual scrolling DataTable are re-used for other records (see
+     * Y.DataTable.VirtualScroll), to save the selections by record.
+     *
+     * @method _beforeScrollWindowSelect
+     * @private
+     */
+    _beforeScrollWindowSelect: function() {
+        this._saveCellKeys();
+        this._selScrolled = this._getSelectionRecords();
+    },
+
+    /**
+     * Method is fired AFTER the rows of a virtual scrolling DataTable were re-used for other records, to re-apply
+     * the selections saved by [_beforeScrollWindowSelect](#method__beforeScrollWindowSelect).
+     *
+     * @method _afterScrollWindowSelect
+     * @private
+     */
+    _afterScrollWindowSelect: function() {
+        this._clearAll(this._classSelected);
+        this._selections = this._applySelectionRecords(this._selScrolled || []);
+        this._selScrolled = null;
+
+        this._restoreCellKeys();
+    },
+
+    /**
+     * Returns the current selections (including those not rendered) by record, as Models in "row" mode
+     * or as {record,colIndex} in "cell" mode.
+     *
+     * @method _getSelectionRecords
+     * @return {Array} saved
+     * @private
+     */
+    _getSelectionRecords: function() {
+        var saved = [];
+
+        if( this.get('selectionMode') === 'row' ) {
+
+            Y.Array.each(this.get('selectedRows'),function(r){
+                if ( r && r.record )
+                    saved.push( r.record );
+            });
+
+        } else if ( this.get('selectionMode') === 'cell' ) {
+
+            Y.Array.each(this.get('selectedCells'),function(r){
+                if( r && r.record && r.columnIndex >= 0 )
+                    saved.push({record:r.record, colIndex:r.columnIndex});
+            });
+        }
+
+        return saved;
+    },
+
+    /**
+     * Re-applies the selections saved by [_getSelectionRecords](#method__getSelectionRecords) to the TR's or TD's
+     * that are rendered.  Records that are not rendered, but remain in the data, are kept in this._selHidden.
+     *
+     * @method _applySelectionRecords
+     * @param {Array} saved
+     * @return {Array} nodes The selected TR's or TD's
+     * @private
+     */
+    _applySelectionRecords: function(saved) {
+        var buffer = [],
+            hidden = [],
+            tr, td;
+
+        Y.Array.each(saved,function(item){
             if( this.get('selectionMode') === 'row' && item ) {
                 // the "item" is a Model pushed prior to the "sort" action ...
                 tr = this.getRow(item);
                 if( tr ){
                     buffer.push(tr);
                     tr.addClass(this._classSelected);
+                } else if ( this.data.indexOf(item) !== -1 ) {
+                    hidden.push(item);
                 }
             } else if (this.get('selectionMode') === 'cell' && item ) {
                 // the item is an object as {record,colIndex} pushed prior to "sort" action ...
@@ -784,13 +1137,80 @@ Y.mix( DtSelection.prototype, {
                 if(tr && td) {
                     buffer.push(td);
                     td.addClass(this._classSelected);
+                } else if ( !tr && this.data.indexOf(item.record) !== -1 ) {
+                    hidden.push(item);
                 }
             }
         },this);
 
-        // swap out the temporary buffer, for the current selections ...
-        this._selections = buffer;
+        this._selHidden = hidden;
+        return buffer;
+    },
+
+    /**
+     * Saves the [activeCell](#attr_activeCell) and the range anchor as {record,colName}, before their rows are re-rendered.
+     * The saved values are kept while the cells are not rendered.
+     *
+     * @method _saveCellKeys
+     * @private
+     */
+    _saveCellKeys: function() {
+        var keys   = this._selCellKeys || {},
+            active = this.get('activeCell');
 
+        this._selCellKeys = {
+            active: (active) ? this._getCellKey(active) : keys.active || null,
+            anchor: (this._selAnchor) ? this._getCellKey(this._selAnchor) : keys.anchor || null
+        };
+    },
+
+    /**
+     * Restores the [activeCell](#attr_activeCell) and the range anchor saved by [_saveCellKeys](#method__saveCellKeys).
+     *
+     * @method _restoreCellKeys
+     * @private
+     */
+    _restoreCellKeys: function() {
+        var keys   = this._selCellKeys || {},
+            active = this._getCellByKey(keys.active),
+            anchor = this._getCellByKey(keys.anchor);
+
+        this._selAnchor = anchor;
+        if ( active ) active.addClass(this.getClassName('sel','active'));
+        this.set('activeCell',active);
+
+        // keep the cells that are not rendered, to restore them when they are
+        this._selCellKeys = {
+            active: (active) ? null : keys.active,
+            anchor: (anchor) ? null : keys.anchor
+        };
+    },
+
+    /**
+     * Returns the record and column name of a TD.
+     * @method _getCellKey
+     * @param {Node} td
+     * @return {Object} key As {record,colName}
+     * @private
+     */
+    _getCellKey: function(td) {
+        var tr = td.ancestor('tr');
+        return {
+            record:  (tr) ? this.data.getByClientId(tr.getData('yui3-record')) : null,
+            colName: this.getColumnNameByTd(td)
+        };
+    },
+
+    /**
+     * Returns the rendered TD for a {record,colName} key, or null.
+     * @method _getCellByKey
+     * @param {Object} key As {record,colName}
+     * @return {Node} td
+     * @private
+     */
+    _getCellByKey: function(key) {
+        var row = (key && key.record) ? this.getRow(key.record) : null;
+        return (row && key.colName) ? row.one('.'+this.getClassName('col')+'-'+key.colName) : null;
     },
 
     /**
@@ -915,6 +1335,347 @@ Y.mix( DtSelection.prototype, {
         var sel = (Y.config.win.getSelection) ? Y.config.win.getSelection() : (Y.config.doc.selection) ? Y.config.doc.selection : null;
         if ( sel && sel.empty ) sel.empty();    // works on chrome
         if ( sel && sel.removeAllRanges ) sel.removeAllRanges();    // works on FireFox
+    },
+
+    /**
+     * Returns the current TD for a cell Node, which may be "stale" if the TBODY has been re-rendered
+     * since it was stored (e.g. by a sort or a record change).  The cell is found again from its record and column.
+     *
+     * @method _resolveCell
+     * @param {Node} td TD Node, possibly no longer in the document
+     * @return {Node} td Current TD Node for the same record and column, or null
+     * @private
+     */
+    _resolveCell: function(td){
+        if ( !td || td.inDoc() ) return td || null;
+
+        var tr      = td.ancestor('tr'),
+            colName = this.getColumnNameByTd(td),
+            rec     = (tr) ? this.data.getByClientId(tr.getData('yui3-record')) : null,
+            row     = (rec) ? this.getRow(rec) : null;
+
+        return (row && colName) ? row.one('.'+this.getClassName('col')+'-'+colName) : null;
+    },
+
+    /**
+     * Re-applies the "active" class to the [activeCell](#attr_activeCell) after the TBODY was re-rendered.
+     * @method _refreshActiveCell
+     * @private
+     */
+    _refreshActiveCell: function(){
+        var td = this._resolveCell(this.get('activeCell'));
+        if ( td ) td.addClass(this.getClassName('sel','active'));
+        this.set('activeCell',td);
+    },
+
+    /**
+     * Method that moves the "active" class to the new [activeCell](#attr_activeCell)
+     * @method _afterActiveCellChange
+     * @param o
+     * @private
+     */
+    _afterActiveCellChange: function(o){
+        var className = this.getClassName('sel','active');
+        if ( o.prevVal ) o.prevVal.removeClass(className);
+        if ( o.newVal )  o.newVal.addClass(className);
+    },
+
+    /**
+     * Returns true if the keyboard focus is within the DataTable, but not within an editor (INPUT, TEXTAREA or SELECT),
+     * and keyboard handling is enabled.
+     * @method _hasSelectionFocus
+     * @return {Boolean}
+     * @private
+     */
+    _hasSelectionFocus: function(){
+        var el = Y.config.doc.activeElement;
+        return !!( this.get('selectionMode') && this.get('keyNavigation') && el &&
+            this.get('boundingBox').contains(el) && !/^(input|textarea|select)$/i.test(el.tagName) );
+    },
+
+    /**
+     * Listener for "keydown" on the DataTable, that moves the [activeCell](#attr_activeCell) and selects the
+     * new cell or row for the keys defined in [NAV_KEYS](#property_NAV_KEYS).  When SHIFT is held, the
+     * selected range is extended instead.
+     *
+     * @method _onSelectionKeyDown
+     * @param {EventFacade} e
+     * @private
+     */
+    _onSelectionKeyDown: function(e){
+        var move = DtSelection.NAV_KEYS[e.keyCode],
+            td, next;
+
+        if ( !move || !this._hasSelectionFocus() ) return;
+
+        e.preventDefault();
+
+        td = this._resolveCell(this.get('activeCell'));
+
+        // the first key press only selects the first cell
+        if ( !td ) {
+            next = this.get('contentBox').one('.'+this.getClassName('data')+' td');
+        } else {
+            next = this._getNavCell(td, move, e.ctrlKey || e.metaKey);
+        }
+
+        if ( !next || next === td ) return;
+
+        this._clickModifiers = {
+            ctrlKey:false, altKey:false, metaKey:false, shiftKey:!!e.shiftKey, which:null, button:null
+        };
+        this.set('selected',next);
+
+        if ( next.getDOMNode().scrollIntoView ) next.getDOMNode().scrollIntoView(false);
+    },
+
+    /**
+     * Returns the TD that the keyboard `move` leads to from the `td` cell, stopping at the edges of the TBODY.
+     *
+     * @method _getNavCell
+     * @param {Node} td Current active TD
+     * @param {String} move One of the values in [NAV_KEYS](#property_NAV_KEYS)
+     * @param {Boolean} ctrl True if the Ctrl (or Cmd) key is held, moves Home / End to the first / last row
+     * @return {Node} td The new TD
+     * @private
+     */
+    _getNavCell: function(td, move, ctrl){
+        var tr    = td.ancestor('tr'),
+            rows  = tr.get('parentNode').get('children'),
+            row   = rows.indexOf(tr),
+            col   = tr.get('children').indexOf(td),
+            nrows = rows.size(),
+            cells;
+
+        switch(move) {
+            case 'left':     col--; break;
+            case 'right':    col++; break;
+            case 'up':       row--; break;
+            case 'down':     row++; break;
+            case 'pageUp':   row -= this.get('pageRows'); break;
+            case 'pageDown': row += this.get('pageRows'); break;
+            case 'home':     col = 0; if (ctrl) row = 0; break;
+            case 'end':      col = Infinity; if (ctrl) row = nrows-1; break;
+        }
+
+        row   = Math.max(0, Math.min(row, nrows-1));
+        cells = rows.item(row).get('children');
+        col   = Math.max(0, Math.min(col, cells.size()-1));
+
+        return cells.item(col);
+    },
+
+    /**
+     * Returns the bounding rectangle of the selected cells, as displayed row and column indices in the TBODY.
+     *
+     * **Returned** `bounds` {Object} in format;
+     * <ul>
+     *   <li>`bounds.top`, `bounds.left`, `bounds.bottom`, `bounds.right` {Integer} Row and column indices</li>
+     *   <li>`bounds.cells` {Object} Selected TD Nodes, keyed by "row,column" index</li>
+     *   <li>`bounds.first` {Node} The first selected TD, i.e. the left-most one in the top row</li>
+     * </ul>
+     *
+     * @method _getSelectionBounds
+     * @return {Object} bounds The selection rectangle, or null if there are no selections
+     * @private
+     */
+    _getSelectionBounds: function(){
+        var bounds = null,
+            firstCol;
+
+        Y.Array.each(this.getSelectedTds(),function(td){
+            var tr = td.ancestor('tr'),
+                r, c;
+
+            if ( !tr || !td.inDoc() ) return;
+            r = tr.get('parentNode').get('children').indexOf(tr);
+            c = tr.get('children').indexOf(td);
+
+            if ( !bounds ) {
+                bounds = { top:r, left:c, bottom:r, right:c, cells:{}, first:td };
+            } else {
+                if ( r < bounds.top || (r === bounds.top && c < firstCol) ) bounds.first = td;
+                bounds.top    = Math.min(bounds.top,r);
+                bounds.left   = Math.min(bounds.left,c);
+                bounds.bottom = Math.max(bounds.bottom,r);
+                bounds.right  = Math.max(bounds.right,c);
+            }
+            bounds.cells[r+','+c] = td;
+            if ( bounds.first === td ) firstCol = c;
+        });
+
+        return bounds;
+    },
+
+    /**
+     * Selects the TD's (or TR's, in "row" `selectionMode`) within the displayed row and column indices,
+     * replacing the current selections.
+     *
+     * @method _selectCellRange
+     * @param {Integer} top
+     * @param {Integer} left
+     * @param {Integer} bottom
+     * @param {Integer} right
+     * @private
+     */
+    _selectCellRange: function(top, left, bottom, right){
+        var tbody = this.get('contentBox').one('.'+this.getClassName('data')),
+            rows  = (tbody) ? tbody.get('children') : null,
+            r, c, tr, td;
+
+        this._selections = [];
+        this._clearAll(this._classSelected);
+        if ( !rows ) return;
+
+        for(r=top; r<=bottom; r++) {
+            tr = rows.item(r);
+            if ( !tr ) continue;
+
+            if ( this.get('selectionMode') === 'row' ) {
+                tr.addClass(this._classSelected);
+                this._selections.push(tr);
+            } else {
+                for(c=left; c<=right; c++) {
+                    td = tr.get('children').item(c);
+                    if ( td ) {
+                        td.addClass(this._classSelected);
+                        this._selections.push(td);
+                    }
+                }
+            }
+        }
+
+        this._refreshActiveCell();
+    },
+
+    /**
+     * Splits pasted tab-separated text into rows of cell values.  A value that is enclosed in double quotes
+     * may contain tabs, line breaks and doubled double quotes, as written by spreadsheets; any other value is
+     * taken literally.  A trailing line break does not add an empty row.
+     *
+     * @method _parsePasteText
+     * @param {String} text Tab-separated text
+     * @return {Array} rows Array of rows, each an Array of String values
+     * @private
+     */
+    _parsePasteText: function(text){
+        var re    = /"((?:[^"]|"")*)"(?=\t|\r|\n|$)|[^\t\r\n]*/g,
+            lines = [],
+            row   = [],
+            i     = 0,
+            m, sep;
+
+        while ( true ) {
+            re.lastIndex = i;
+            m = re.exec(text);
+            row.push( (m[1] !== undefined) ? m[1].replace(/""/g,'"') : m[0] );
+
+            i   = m.index + m[0].length;
+            sep = text.charAt(i);
+            if ( sep === '\t' ) {
+                i++;
+                continue;
+            }
+
+            lines.push(row);
+            row = [];
+            if ( i >= text.length ) break;
+            i += ( text.substr(i,2) === '\r\n' ) ? 2 : 1;
+        }
+
+        if ( lines.length > 1 && lines[lines.length-1].length === 1 && lines[lines.length-1][0] === '' ) lines.pop();
+
+        return lines;
+    },
+
+    /**
+     * Returns true if the column can be updated by [pasteText](#method_pasteText).
+     * @method _isPasteColumn
+     * @param {Object} col Column definition
+     * @return {Boolean}
+     * @private
+     */
+    _isPasteColumn: function(col){
+        if ( col.editable === false ) return false;
+        return !!( col.editable || col.quickEdit || this.get('editable') === true );
+    },
+
+    /**
+     * Converts pasted text to the value to be set in the record, using the column's `pasteParser` if defined.
+     * @method _parsePasteValue
+     * @param {String} text Pasted text for the cell
+     * @param {Object} col Column definition
+     * @param {Model} rec Record for the cell
+     * @return {Any} value
+     * @private
+     */
+    _parsePasteValue: function(text, col, rec){
+        var prev = rec.get(col.key),
+            num, date;
+
+        if ( Y.Lang.isFunction(col.pasteParser) ) return col.pasteParser.call(this, text, col, rec);
+
+        if ( Y.Lang.isNumber(prev) ) {
+            num = parseFloat( Y.Lang.trim(text).replace(/,/g,'') );
+            return isNaN(num) ? text : num;
+        }
+
+        if ( Y.Lang.isDate(prev) ) {
+            date = new Date(text);
+            return isNaN(date.getTime()) ? text : date;
+        }
+
+        return text;
+    },
+
+    /**
+     * Listener for the browser "copy" command, that places the [getClipboardData](#method_getClipboardData)
+     * text and HTML on the clipboard when the DataTable has focus.
+     * @method _onSelectionCopy
+     * @param {EventFacade} e
+     * @private
+     */
+    _onSelectionCopy: function(e){
+        var data, cb;
+
+        if ( !this._hasSelectionFocus() ) return;
+
+        data = this.getClipboardData();
+        cb   = e._event.clipboardData;
+        if ( !data ) return;
+
+        if ( cb && cb.setData ) {
+            cb.setData('text/plain',data.text);
+            cb.setData('text/html',data.html);
+            e.preventDefault();
+        } else if ( Y.config.win.clipboardData ) {      // IE only supports text
+            Y.config.win.clipboardData.setData('Text',data.text);
+            e.preventDefault();
+        }
+    },
+
+    /**
+     * Listener for the browser "paste" command, that passes the clipboard text to [pasteText](#method_pasteText)
+     * when the DataTable has focus.
+     * @method _onSelectionPaste
+     * @param {EventFacade} e
+     * @private
+     */
+    _onSelectionPaste: function(e){
+        var cb = e._event.clipboardData,
+            text;
+
+        if ( !this._hasSelectionFocus() ) return;
+
+        if ( cb && cb.getData )
+            text = cb.getData('text/plain');
+        else if ( Y.config.win.clipboardData )
+            text = Y.config.win.clipboardData.getData('Text');
+
+        if ( text ) {
+            e.preventDefault();
+            this.pasteText(text);
+        }
     }
 
 });
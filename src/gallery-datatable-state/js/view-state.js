@@ -0,0 +1,499 @@
+"use strict";
+
+/**
+ * @module gallery-datatable-view-state
+ */
+
+/**********************************************************************
+ * <p>Plugin for DataTable to preserve the view configuration across
+ * page reloads:  the sort order (either the DataTable's sortBy or
+ * gallery-datatable-multisort's lastSortedBy), the column widths
+ * (including those set by gallery-datatable-col-resize), the order and
+ * visibility of the columns, and the page and itemsPerPage of the
+ * PaginatorModel from gallery-datatable-paginator.</p>
+ *
+ * <p>The state is saved whenever any of these change, either to
+ * localStorage or encoded into the URL via the History module, and it is
+ * restored when the table is rendered.</p>
+ *
+ * <p>Columns are identified by their key (or name).  A column is
+ * considered hidden when it was included in the columns when the plugin
+ * was created, but it is no longer displayed.</p>
+ *
+ * @main gallery-datatable-view-state
+ * @class DataTableViewState
+ * @namespace Plugin
+ * @extends Plugin.Base
+ * @constructor
+ * @param config {Object} configuration
+ */
+function ViewState(
+	/* object */ config)
+{
+	ViewState.superclass.constructor.call(this, config);
+}
+
+ViewState.NAME = "DataTableViewStatePlugin";
+ViewState.NS   = "viewState";
+
+ViewState.ATTRS =
+{
+	/**
+	 * Name under which the state is saved, either the localStorage key
+	 * or the History parameter.  Defaults to the id of the table's
+	 * bounding box, so it should be set if that is generated.
+	 *
+	 * @attribute key
+	 * @type {String}
+	 */
+	key:
+	{
+		validator: Y.Lang.isString
+	},
+
+	/**
+	 * Where to save the state:  "localStorage" or "history" (encoded
+	 * into the URL).
+	 *
+	 * @attribute storage
+	 * @type {String}
+	 * @default "localStorage"
+	 */
+	storage:
+	{
+		value:     'localStorage',
+		validator: function(value)
+		{
+			return (value === 'localStorage' || value === 'history');
+		}
+	},
+
+	/**
+	 * History instance to use when storage is "history".  If this is not
+	 * specified, a new Y.HistoryHash is created, so the state is encoded
+	 * into the URL's hash.  (Y.HistoryHTML5 saves it in the history
+	 * entries instead of the URL.)
+	 *
+	 * @attribute history
+	 * @type {History}
+	 */
+	history:
+	{
+		validator: function(value)
+		{
+			return (!value || Y.Lang.isObject(value));
+		}
+	}
+};
+
+function columnId(col)
+{
+	return col.key || col.name;
+}
+
+function getStorage()
+{
+	try
+	{
+		return Y.config.win.localStorage || null;
+	}
+	catch (e)
+	{
+		// access is denied when cookies are disabled
+		return null;
+	}
+}
+
+function getKey()
+{
+	return this.get('key') || this.get('host').get('boundingBox').get('id');
+}
+
+function getHistory()
+{
+	if (!this.history)
+	{
+		this.history = this.get('history') || new Y.HistoryHash();
+	}
+	return this.history;
+}
+
+function getPaginatorModel()
+{
+	var host = this.get('host');
+	if (host.pagModel)
+	{
+		return host.pagModel;
+	}
+
+	var pg = host.get('paginator');
+	return (pg && pg.get && pg.get('model')) || null;
+}
+
+function getColumnWidth(col)
+{
+	var th    = this.get('host').get('contentBox').one('thead th[data-yui3-col-id="' + col._id + '"]'),
+		width = th && th.getDOMNode().style.width;
+	if (width)
+	{
+		this.widths[ columnId(col) ] = width;
+	}
+
+	return this.widths[ columnId(col) ] || col.width || null;
+}
+
+function setColumnWidth(col, width)
+{
+	var host = this.get('host');
+	if (host.setColumnWidth)
+	{
+		host.setColumnWidth(col, width);
+		return;
+	}
+
+	// same as gallery-datatable-col-resize
+	var th = host.get('contentBox').one('thead th[data-yui3-col-id="' + col._id + '"]');
+	if (th)
+	{
+		th.setStyle('width', width);
+	}
+}
+
+// the header is rebuilt whenever the table is re-rendered, e.g. by the paginator
+
+function applyWidths()
+{
+	var host = this.get('host');
+	Y.Object.each(this.widths, function(width, key)
+	{
+		var col = host.getColumn(key);
+		if (col)
+		{
+			setColumnWidth.call(this, col, width);
+		}
+	},
+	this);
+}
+
+function readState()
+{
+	var data = null;
+	if (this.get('storage') === 'history')
+	{
+		data = getHistory.call(this).get(getKey.call(this));
+	}
+	else
+	{
+		var storage = getStorage();
+		data = storage && storage.getItem(getKey.call(this));
+	}
+
+	try
+	{
+		return data ? Y.JSON.parse(data) : null;
+	}
+	catch (e)
+	{
+		Y.log('ignoring invalid saved state: ' + data, 'warn', 'DataTableViewState');
+		return null;
+	}
+}
+
+function writeState(state)
+{
+	var data = Y.JSON.stringify(state);
+	if (this.get('storage') === 'history')
+	{
+		var h   = getHistory.call(this),
+			key = getKey.call(this);
+		if (h.get(key) !== data)
+		{
+			var change  = {};
+			change[key] = data;
+			h.add(change);
+		}
+	}
+	else
+	{
+		var storage = getStorage();
+		if (storage)
+		{
+			try
+			{
+				storage.setItem(getKey.call(this), data);
+			}
+			catch (e)
+			{
+				Y.log('unable to save state: ' + e.message, 'warn', 'DataTableViewState');
+			}
+		}
+	}
+}
+
+function restoreSort(sort_by)
+{
+	var host = this.get('host');
+	if (host.multisort)
+	{
+		var rs = host.get('recordset');
+		if (rs && rs.multisort && sort_by.length)
+		{
+			rs.multisort.sort(Y.Array.map(sort_by, function(s)
+			{
+				return { field: s.key, desc: s.dir === 'desc' };
+			}));
+		}
+		host.multisort.set('lastSortedBy', sort_by);
+	}
+	else if (host.sort && sort_by.length)
+	{
+		host.sort(sort_by);
+	}
+}
+
+function restoreColumns(saved)
+{
+	var host = this.get('host'),
+		all  = {},
+		cols = [];
+
+	Y.Array.each(this.all_columns, function(col)
+	{
+		all[ columnId(col) ] = col;
+	});
+
+	// saved order first, then any columns added since the state was saved
+
+	Y.Array.each(saved, function(c)
+	{
+		var col = all[ c.key ];
+		if (col)
+		{
+			if (!c.hidden)
+			{
+				cols.push(col);
+			}
+			delete all[ c.key ];
+		}
+	});
+
+	Y.Array.each(this.all_columns, function(col)
+	{
+		if (all[ columnId(col) ])
+		{
+			cols.push(col);
+		}
+	});
+
+	host.set('columns', cols);
+
+	Y.Array.each(saved, function(c)
+	{
+		if (c.width)
+		{
+			this.widths[ c.key ] = c.width;
+		}
+	},
+	this);
+	applyWidths.call(this);
+}
+
+function restorePage(state)
+{
+	var pm = getPaginatorModel.call(this);
+	if (pm)
+	{
+		if (state.itemsPerPage)
+		{
+			pm.set('itemsPerPage', state.itemsPerPage);
+		}
+		if (state.page)
+		{
+			pm.set('page', state.page);
+		}
+	}
+}
+
+function listenForChanges()
+{
+	var host = this.get('host');
+
+	this.afterHostEvent(['sortByChange', 'columnsChange'], this.save);
+	this.afterHostEvent('renderView', applyWidths);
+
+	if (host.multisort)
+	{
+		this.handles.push(host.multisort.after('lastSortedByChange', this.save, this));
+	}
+
+	var pm = getPaginatorModel.call(this);
+	if (pm)
+	{
+		this.handles.push(pm.after(['pageChange', 'itemsPerPageChange'], this.save, this));
+	}
+
+	// column widths changed by gallery-datatable-col-resize
+
+	if (Y.DD && Y.DD.DDM)
+	{
+		this.handles.push(Y.DD.DDM.after('drag:end', function(e)
+		{
+			if (host.get('boundingBox').contains(e.target.get('node')))
+			{
+				this.save();
+			}
+		},
+		this));
+	}
+}
+
+Y.extend(ViewState, Y.Plugin.Base,
+{
+	initializer: function(config)
+	{
+		this.handles     = [];
+		this.widths      = {};
+		this.all_columns = this.get('host').get('columns').slice(0);
+
+		if (this.get('host').get('rendered'))
+		{
+			this.restore();
+		}
+		else
+		{
+			this.afterHostEvent('render', this.restore);
+		}
+	},
+
+	destructor: function()
+	{
+		Y.Array.each(this.handles, function(h)
+		{
+			h.detach();
+		});
+	},
+
+	/**
+	 * Returns the current view state of the table.
+	 *
+	 * @method getState
+	 * @return {Object} sortBy, columns (key, width, hidden), page, itemsPerPage
+	 */
+	getState: function()
+	{
+		var host    = this.get('host'),
+			current = {},
+			state   = { columns: [] };
+
+		if (host.multisort)
+		{
+			state.sortBy = host.multisort.get('lastSortedBy') || [];
+		}
+		else
+		{
+			var sort_by = host.get('sortBy');
+			state.sortBy = sort_by ? Y.Array(sort_by) : [];
+		}
+
+		Y.Array.each(host.get('columns'), function(col)
+		{
+			current[ columnId(col) ] = true;
+			state.columns.push(
+			{
+				key:   columnId(col),
+				width: getColumnWidth.call(this, col)
+			});
+		},
+		this);
+
+		Y.Array.each(this.all_columns, function(col)
+		{
+			if (!current[ columnId(col) ])
+			{
+				state.columns.push({ key: columnId(col), hidden: true });
+			}
+		});
+
+		var pm = getPaginatorModel.call(this);
+		if (pm)
+		{
+			state.page         = pm.get('page');
+			state.itemsPerPage = pm.get('itemsPerPage');
+		}
+
+		return state;
+	},
+
+	/**
+	 * Saves the current view state.  This is called automatically when
+	 * the state changes, so it only needs to be called after changing the
+	 * table in a way that does not fire a change event.
+	 *
+	 * @method save
+	 */
+	save: function()
+	{
+		if (!this.restoring)
+		{
+			writeState.call(this, this.getState());
+		}
+	},
+
+	/**
+	 * Restores the saved view state, if any.  This is called
+	 * automatically when the table is rendered.
+	 *
+	 * @method restore
+	 */
+	restore: function()
+	{
+		var state = readState.call(this);
+
+		this.restoring = true;
+		if (state)
+		{
+			if (state.columns)
+			{
+				restoreColumns.call(this, state.columns);
+			}
+			if (state.sortBy)
+			{
+				restoreSort.call(this, state.sortBy);
+			}
+			restorePage.call(this, state);
+		}
+		this.restoring = false;
+
+		if (!this.listening)
+		{
+			this.listening = true;
+			listenForChanges.call(this);
+		}
+	},
+
+	/**
+	 * Removes the saved view state.
+	 *
+	 * @method clear
+	 */
+	clear: function()
+	{
+		if (this.get('storage') === 'history')
+		{
+			var change = {};
+			change[ getKey.call(this) ] = null;
+			getHistory.call(this).add(change);
+		}
+		else
+		{
+			var storage = getStorage();
+			if (storage)
+			{
+				storage.removeItem(getKey.call(this));
+			}
+		}
+	}
+});
+
+Y.namespace("Plugin");
+Y.Plugin.DataTableViewState = ViewState;
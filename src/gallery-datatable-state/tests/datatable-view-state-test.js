@@ -0,0 +1,383 @@
+YUI.add('datatable-view-state-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+
+    KEY = 'view-state-test',
+
+    suite;
+
+function createTable(config) {
+    Y.one('body').append('<div id="dt"></div>');
+
+    return new Y.DataTable(Y.merge({
+        columns: [ 'name', 'qty', 'price' ],
+        data: [
+            { name: 'b', qty: 2, price: 10 },
+            { name: 'a', qty: 3, price: 5 },
+            { name: 'c', qty: 1, price: 7 }
+        ]
+    }, config));
+}
+
+function columnKeys(dt) {
+    return Y.Array.map(dt.get('columns'), function (col) {
+        return col.key;
+    });
+}
+
+function savedState() {
+    return Y.JSON.parse(Y.config.win.localStorage.getItem(KEY));
+}
+
+function FakeHistory() {
+    this.state = {};
+    this.added = 0;
+}
+
+FakeHistory.prototype = {
+    get: function (key) {
+        return this.state[key];
+    },
+
+    add: function (change) {
+        this.added++;
+        Y.mix(this.state, change, true);
+    }
+};
+
+// stands in for gallery-datatable-multisort, which needs the 3.4 Recordset
+var FakeMultisort = Y.Base.create('fakeMultisort', Y.Base, [], {}, {
+    ATTRS: {
+        lastSortedBy: {}
+    }
+});
+
+// -- DataTable View State Suite -----------------------------------------------
+suite = new Y.Test.Suite('DataTable View State');
+
+// -- DataTable View State: Saving ---------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Saving',
+
+    setUp: function () {
+        Y.config.win.localStorage.removeItem(KEY);
+        this.dt = createTable().render('#dt');
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+        Y.config.win.localStorage.removeItem(KEY);
+    },
+
+    'getState should return the sort order and columns': function () {
+        var state;
+
+        this.dt.set('sortBy', { qty: 'desc' });
+        state = this.dt.viewState.getState();
+
+        ArrayAssert.itemsAreEqual([ 'name', 'qty', 'price' ], Y.Array.map(state.columns, function (c) {
+            return c.key;
+        }));
+        Assert.areSame(1, state.sortBy.length);
+        Assert.areSame('desc', state.sortBy[0].qty);
+        Assert.isUndefined(state.page, 'no paginator');
+    },
+
+    'changing the sort order should save the state': function () {
+        this.dt.set('sortBy', 'price');
+
+        Assert.areSame('price', savedState().sortBy[0]);
+    },
+
+    'hidden columns should be saved after the visible columns': function () {
+        this.dt.set('columns', [ 'price', 'name' ]);
+
+        Y.ObjectAssert.areEqual({ key: 'qty', hidden: true }, savedState().columns[2]);
+        ArrayAssert.itemsAreEqual([ 'price', 'name', 'qty' ], Y.Array.map(savedState().columns, function (c) {
+            return c.key;
+        }));
+    },
+
+    'clear should remove the saved state': function () {
+        this.dt.set('sortBy', 'price');
+        this.dt.viewState.clear();
+
+        Assert.isNull(Y.config.win.localStorage.getItem(KEY));
+    },
+
+    'unplugging should stop saving': function () {
+        this.dt.unplug('viewState');
+        this.dt.set('sortBy', 'price');
+
+        Assert.isNull(Y.config.win.localStorage.getItem(KEY));
+    }
+}));
+
+// -- DataTable View State: Restoring ------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Restoring',
+
+    setUp: function () {
+        Y.config.win.localStorage.removeItem(KEY);
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+        Y.config.win.localStorage.removeItem(KEY);
+    },
+
+    'the state should be restored when the table is rendered': function () {
+        Y.config.win.localStorage.setItem(KEY, Y.JSON.stringify({
+            sortBy:  [ { name: 'asc' } ],
+            columns: [ { key: 'price' }, { key: 'qty', hidden: true }, { key: 'name' } ]
+        }));
+
+        this.dt = createTable({ plugins: [ { fn: Y.Plugin.DataTableViewState, cfg: { key: KEY } } ] });
+        ArrayAssert.itemsAreEqual([ 'name', 'qty', 'price' ], columnKeys(this.dt), 'before render');
+
+        this.dt.render('#dt');
+
+        ArrayAssert.itemsAreEqual([ 'price', 'name' ], columnKeys(this.dt));
+        ArrayAssert.itemsAreEqual([ 'a', 'b', 'c' ], this.dt.data.get('name'));
+    },
+
+    'restoring should not save the state again': function () {
+        var data = Y.JSON.stringify({ columns: [ { key: 'qty' } ] });
+
+        Y.config.win.localStorage.setItem(KEY, data);
+        this.dt = createTable().render('#dt');
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+
+        Assert.areSame(data, Y.config.win.localStorage.getItem(KEY));
+    },
+
+    'columns missing from the saved state should be appended': function () {
+        Y.config.win.localStorage.setItem(KEY, Y.JSON.stringify({
+            columns: [ { key: 'price' }, { key: 'gone' } ]
+        }));
+
+        this.dt = createTable().render('#dt');
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+
+        ArrayAssert.itemsAreEqual([ 'price', 'name', 'qty' ], columnKeys(this.dt));
+    },
+
+    'saved column widths should be applied': function () {
+        var widths = [];
+
+        Y.config.win.localStorage.setItem(KEY, Y.JSON.stringify({
+            columns: [ { key: 'name', width: '120px' } ]
+        }));
+
+        this.dt = createTable().render('#dt');
+        this.dt.setColumnWidth = function (col, width) {
+            widths.push(col.key + ':' + width);
+        };
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+
+        ArrayAssert.itemsAreEqual([ 'name:120px' ], widths);
+        Assert.areSame('120px', this.dt.viewState.getState().columns[0].width);
+    },
+
+    'invalid saved state should be ignored': function () {
+        Y.config.win.localStorage.setItem(KEY, '{not json');
+
+        this.dt = createTable().render('#dt');
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+
+        ArrayAssert.itemsAreEqual([ 'name', 'qty', 'price' ], columnKeys(this.dt));
+
+        this.dt.set('sortBy', 'qty');
+        Assert.areSame('qty', savedState().sortBy[0], 'state should be saved again');
+    },
+
+    'the paginator page should be restored and saved': function () {
+        Y.config.win.localStorage.setItem(KEY, Y.JSON.stringify({ page: 3, itemsPerPage: 5 }));
+
+        this.dt = createTable().render('#dt');
+        this.dt.pagModel = new Y.Model({ page: 1, itemsPerPage: 10 });
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+
+        Assert.areSame(3, this.dt.pagModel.get('page'));
+        Assert.areSame(5, this.dt.pagModel.get('itemsPerPage'));
+
+        this.dt.pagModel.set('page', 2);
+        Assert.areSame(2, savedState().page);
+        Assert.areSame(5, savedState().itemsPerPage);
+    }
+}));
+
+// -- DataTable View State: History --------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'History',
+
+    setUp: function () {
+        this.history = new FakeHistory();
+        this.dt = createTable().render('#dt');
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'the state should be saved to the history': function () {
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: 'grid', storage: 'history', history: this.history });
+        this.dt.set('sortBy', 'qty');
+
+        Assert.areSame('qty', Y.JSON.parse(this.history.get('grid')).sortBy[0]);
+        Assert.areSame(1, this.history.added);
+
+        this.dt.viewState.save();
+        Assert.areSame(1, this.history.added, 'unchanged state should not add an entry');
+    },
+
+    'the state should be restored from the history': function () {
+        this.history.add({ grid: Y.JSON.stringify({ columns: [ { key: 'qty' }, { key: 'name', hidden: true } ] }) });
+
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: 'grid', storage: 'history', history: this.history });
+
+        ArrayAssert.itemsAreEqual([ 'qty', 'price' ], columnKeys(this.dt));
+    },
+
+    'clear should remove the state from the history': function () {
+        this.history.add({ grid: '{}' });
+
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: 'grid', storage: 'history', history: this.history });
+        this.dt.viewState.clear();
+
+        Assert.isNull(this.history.get('grid'));
+    },
+
+    'the key should default to the bounding box id': function () {
+        this.dt.plug(Y.Plugin.DataTableViewState, { storage: 'history', history: this.history });
+        this.dt.set('sortBy', 'name');
+
+        Assert.isString(this.history.get(this.dt.get('boundingBox').get('id')));
+    }
+}));
+
+// -- DataTable View State: Multisort ------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Multisort',
+
+    setUp: function () {
+        var sorts = this.sorts = [];
+
+        Y.config.win.localStorage.removeItem(KEY);
+        this.dt = createTable().render('#dt');
+        this.dt.multisort = new FakeMultisort();
+
+        // get('recordset') no longer returns a Recordset as of 3.5.0
+        this.dt._getRecordset = function () {
+            return {
+                multisort: {
+                    sort: function (fields) {
+                        sorts.push(fields);
+                    }
+                }
+            };
+        };
+    },
+
+    tearDown: function () {
+        this.dt.multisort.destroy();
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+        Y.config.win.localStorage.removeItem(KEY);
+    },
+
+    'the saved sort order should be applied to the recordset': function () {
+        Y.config.win.localStorage.setItem(KEY, Y.JSON.stringify({
+            sortBy: [ { key: 'qty', dir: 'desc' }, { key: 'name', dir: 'asc' } ]
+        }));
+
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+
+        Assert.areSame(1, this.sorts.length);
+        Y.ObjectAssert.areEqual({ field: 'qty', desc: true }, this.sorts[0][0]);
+        Y.ObjectAssert.areEqual({ field: 'name', desc: false }, this.sorts[0][1]);
+        Assert.areSame('qty', this.dt.multisort.get('lastSortedBy')[0].key);
+    },
+
+    'an empty sort order should not sort the recordset': function () {
+        Y.config.win.localStorage.setItem(KEY, Y.JSON.stringify({ sortBy: [] }));
+
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+
+        Assert.areSame(0, this.sorts.length);
+        ArrayAssert.isEmpty(this.dt.multisort.get('lastSortedBy'));
+    },
+
+    'sorting should save lastSortedBy': function () {
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+        this.dt.multisort.set('lastSortedBy', [ { key: 'price', dir: 'desc' } ]);
+
+        Y.ObjectAssert.areEqual({ key: 'price', dir: 'desc' }, savedState().sortBy[0]);
+    }
+}));
+
+// -- DataTable View State: Column Resizing ------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Column Resizing',
+
+    setUp: function () {
+        Y.config.win.localStorage.removeItem(KEY);
+        this.dt = createTable().render('#dt');
+        this.dt.plug(Y.Plugin.DataTableViewState, { key: KEY });
+    },
+
+    tearDown: function () {
+        if (this.drag) {
+            this.drag.destroy();
+            delete this.drag;
+        }
+        if (this.other) {
+            this.other.remove(true);
+            delete this.other;
+        }
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+        Y.config.win.localStorage.removeItem(KEY);
+    },
+
+    'resizing a column should save its width': function () {
+        var th = this.dt.get('contentBox').one('thead th');
+
+        // gallery-datatable-col-resize sets the width on the header cell
+        th.setStyle('width', '150px');
+        this.drag = new Y.DD.Drag({ node: th });
+        this.drag.fire('drag:end');
+
+        Assert.areSame('150px', savedState().columns[0].width);
+    },
+
+    'dragging outside the table should not save': function () {
+        this.other = Y.one('body').appendChild('<div></div>');
+        this.drag  = new Y.DD.Drag({ node: this.other });
+        this.drag.fire('drag:end');
+
+        Assert.isNull(Y.config.win.localStorage.getItem(KEY));
+    },
+
+    'unplugging should stop listening for drags': function () {
+        this.dt.unplug('viewState');
+        this.drag = new Y.DD.Drag({ node: this.dt.get('contentBox').one('thead th') });
+        this.drag.fire('drag:end');
+
+        Assert.isNull(Y.config.win.localStorage.getItem(KEY));
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-datatable-view-state', 'dd-drag', 'test']});
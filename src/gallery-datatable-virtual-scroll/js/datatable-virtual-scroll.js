@@ -0,0 +1,834 @@
+/**
+  Defines a Y.DataTable class extension that adds "virtual scrolling" to a vertically scrolling DataTable
+   (i.e. `scrollable:'y'` or `scrollable:true`), so that very large data sets can be displayed without
+   paginating them.
+
+  Only the rows within the visible part of the scrolling container, plus a buffer of
+   [virtualBuffer](#attr_virtualBuffer) rows above and below it, are rendered into the TBODY.  The table is
+   offset within the scrolling container by CSS margins that stand in for the rows that are not rendered, so
+   the scrollbar reflects the full data set.  As the user scrolls, the TR's that move out of the window are
+   re-used for the records that move into it, rather than creating new rows.
+
+ <h4>Usage</h4>
+
+        var dtable = new Y.DataTable({
+            columns:        [ 'id','name','city','amount' ],
+            data:           fiftyThousandRecords,
+            scrollable:     'y',
+            height:         '400px',
+            virtualScroll:  true
+        }).render('#dtable');
+
+ <h4>Loading Remote Data</h4>
+
+ When the data comes from a DataSource (via the Y.Plugin.DataTableDataSource plugin) or from a ModelList
+ using ModelSync.REST, further blocks of [virtualBlockSize](#attr_virtualBlockSize) records are requested
+ as the user scrolls towards the end of the records loaded so far, and the results are appended to the data.
+ The request includes `start`, `count` and `sortBy` (as a JSON string) parameters, either substituted into the
+ [virtualRequestTemplate](#attr_virtualRequestTemplate) for a DataSource or passed as the `options` of the
+ ModelList's `sync('read')` (for substitution into its `url`).  If the response meta-data includes
+ `totalItems` the full height of the data is reserved in the scrollbar, otherwise requests continue until a
+ block with fewer than `virtualBlockSize` records is returned.  Changing the sort of remote data discards the
+ loaded records and requests them again from the start.
+
+ <h4>Selections</h4>
+
+ Since TR's are re-used for other records, extensions that keep references to rows must re-map them
+ when the window moves.  The [scrollWindow](#event_scrollWindow) event fires for each move, and its "on" and
+ "after" phases allow this (Y.DataTable.Selection uses them to preserve the selected rows and cells).
+ Column formatters are run again for each row that is re-used, so Y.DataTable.CheckboxSelect checkboxes
+ reflect the current state of their record.
+
+ The DataTable methods `getRow` and `getRecord` accept the record index within the full data, and return
+ null for a record that is not currently rendered.
+
+  @module gallery-datatable-virtual-scroll
+  @class Y.DataTable.VirtualScroll
+  @extensionfor DataTable
+  @since 3.6.0
+ **/
+function DtVirtualScroll() {}
+
+DtVirtualScroll.ATTRS = {
+
+    /**
+     * Enables virtual scrolling, this must be set when the DataTable is created and requires
+     *  a vertically scrolling DataTable.
+     *
+     * @attribute virtualScroll
+     * @type Boolean
+     * @default false
+     * @writeOnce
+     */
+    virtualScroll: {
+        value:      false,
+        validator:  Y.Lang.isBoolean,
+        writeOnce:  'initOnly'
+    },
+
+    /**
+     * Height of each row in pixels.  If not set, it is measured from the first rendered row,
+     *  so rows must have a uniform height.
+     *
+     * @attribute virtualRowHeight
+     * @type Number
+     * @default null
+     */
+    virtualRowHeight: {
+        value:      null,
+        validator:  function(v) { return v === null || (Y.Lang.isNumber(v) && v > 0); }
+    },
+
+    /**
+     * Number of rows rendered above and below the visible rows, to reduce the re-rendering
+     *  while scrolling.
+     *
+     * @attribute virtualBuffer
+     * @type Number
+     * @default 10
+     */
+    virtualBuffer: {
+        value:      10,
+        validator:  function(v) { return Y.Lang.isNumber(v) && v >= 0; }
+    },
+
+    /**
+     * Number of records requested from a remote source (DataSource or ModelSync.REST) at a time.
+     *
+     * @attribute virtualBlockSize
+     * @type Number
+     * @default 100
+     */
+    virtualBlockSize: {
+        value:      100,
+        validator:  function(v) { return Y.Lang.isNumber(v) && v > 0; }
+    },
+
+    /**
+     * (SERVER DataSource only!)
+     * Template for the request string of a DataSource block request, where the `{start}`, `{count}`
+     *  and `{sortBy}` placeholders are replaced.
+     *
+     * @attribute virtualRequestTemplate
+     * @type String
+     * @default "?start={start}&count={count}&sortBy={sortBy}"
+     */
+    virtualRequestTemplate: {
+        value:      '?start={start}&count={count}&sortBy={sortBy}',
+        validator:  Y.Lang.isString
+    },
+
+    /**
+     * Total number of records available from a remote source, used to size the scrollbar before all
+     *  records are loaded.  This is set from the `totalItems` property of the response meta-data,
+     *  if provided.
+     *
+     * @attribute virtualTotalItems
+     * @type Number
+     * @default null
+     */
+    virtualTotalItems: {
+        value:      null,
+        validator:  function(v) { return v === null || Y.Lang.isNumber(v); }
+    }
+};
+
+
+Y.mix( DtVirtualScroll.prototype, {
+
+    /**
+     * The scrolling container Node that the "scroll" listener is attached to
+     * @property _vsScrollNode
+     * @type Node
+     * @default null
+     * @private
+     */
+    _vsScrollNode: null,
+
+    /**
+     * Row height measured from the first rendered row
+     * @property _vsRowHeight
+     * @type Number
+     * @default null
+     * @private
+     */
+    _vsRowHeight: null,
+
+    /**
+     * Flag set while a block request to a remote source is pending
+     * @property _vsLoading
+     * @type Boolean
+     * @default false
+     * @private
+     */
+    _vsLoading: false,
+
+    /**
+     * Flag set when a remote source has returned all of its records
+     * @property _vsComplete
+     * @type Boolean
+     * @default false
+     * @private
+     */
+    _vsComplete: false,
+
+    /**
+     * Counter incremented on each re-sort of remote data, so that responses to earlier requests are ignored
+     * @property _vsRequestId
+     * @type Number
+     * @default 0
+     * @private
+     */
+    _vsRequestId: 0,
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  L I F E C Y C L E                                                                       */
+/*----------------------------------------------------------------------------------------------------------*/
+
+   /**
+    * Replaces the `bodyView` with Y.DataTable.VirtualBodyView and sets the listeners for data and sort changes,
+    *  if `virtualScroll` is enabled.
+    *
+    * @method initializer
+    * @protected
+    * @return this
+    * @chainable
+    */
+    initializer: function(){
+        if ( !this.get('virtualScroll') ) return this;
+
+        this.set('bodyView', Y.DataTable.VirtualBodyView);
+
+        /**
+         * Fires when the window of rendered rows changes, i.e. after scrolling, a change of the data
+         *  or loading a block of remote records.  The default function re-uses the rows for the new
+         *  window, so "on" subscribers can inspect the rows before and "after" subscribers after.
+         *
+         * @event scrollWindow
+         * @param {Number} start Index of the first record to be rendered
+         * @param {Number} end Index after the last record to be rendered
+         * @param {Boolean} force True if all rows must be re-rendered, e.g. after the data changed
+         */
+        this.publish('scrollWindow', { defaultFn: this._defScrollWindowFn });
+
+        this._eventHandles.virtualScroll = [];
+        this._eventHandles.virtualScroll.push( this.after('render', this._bindVirtualScroll) );
+        this._eventHandles.virtualScroll.push( this.after('heightChange', this._afterVirtualResize) );
+        this._eventHandles.virtualScroll.push( this.after('dataChange', this._afterVirtualDataSet) );
+        this._eventHandles.virtualScroll.push( this.after('sortByChange', this._afterVirtualSort) );
+
+        this._bindVirtualData();
+
+        return this;
+    },
+
+    /**
+     * Destructor to clean up listener event handlers.
+     *
+     * @method destructor
+     * @protected
+     */
+    destructor: function () {
+        Y.Array.each( (this._eventHandles.virtualScroll || []).concat(this._eventHandles.virtualData || []), function(item){
+            item.detach();
+        });
+        delete this._eventHandles.virtualScroll;
+        delete this._eventHandles.virtualData;
+
+        if ( this._vsScrollHandle ) this._vsScrollHandle.detach();
+        this._vsScrollHandle = null;
+        this._vsScrollNode = null;
+    },
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  P U B L I C      M E T H O D S                                                          */
+/*----------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * Re-calculates the window of rendered rows from the current scroll position and renders it,
+     *  requesting the next block of records from a remote source if required.  This is called
+     *  automatically on scrolling and on changes to the data, but should be called after a change to
+     *  the DataTable's layout that alters the height of the scrolling container or rows.
+     *
+     * @method syncVirtualScroll
+     * @param {Boolean} force True to re-render all rows, even those of records that remain in the window
+     * @public
+     */
+    syncVirtualScroll: function(force) {
+        var node = this._vsScrollNode,
+            body = this.body,
+            rowHeight, viewRows, buffer, first, start, end;
+
+        if ( !node || !body || !body.renderWindow ) return;
+
+        rowHeight = this._getVirtualRowHeight();
+        viewRows  = Math.ceil( (node.get('clientHeight') || parseInt(this.get('height'), 10) || 0) / rowHeight );
+        buffer    = this.get('virtualBuffer');
+        first     = Math.floor( node.get('scrollTop') / rowHeight );
+
+        start = Math.max( 0, first - buffer );
+        end   = Math.min( first + Math.max(viewRows, 1) + buffer, this.data.size() );
+        start = Math.min( start, end );
+
+        if ( force || start !== body._vsStart || end !== body._vsEnd ) {
+            this.fire('scrollWindow', { start:start, end:end, force:!!force });
+        } else {
+            this._syncVirtualMargins();
+        }
+
+        this._loadVirtualBlock(end);
+    },
+
+    /**
+     * Scrolls the DataTable so that the record at the given index (within the full data) is the first visible row.
+     *
+     * @method scrollToIndex
+     * @param {Number} index Record index
+     * @public
+     */
+    scrollToIndex: function(index) {
+        if ( !this._vsScrollNode ) return;
+        this._vsScrollNode.set('scrollTop', Math.max(0, index) * this._getVirtualRowHeight());
+        this.syncVirtualScroll();
+    },
+
+
+/*----------------------------------------------------------------------------------------------------------*/
+/*                  P R I V A T E    M E T H O D S                                                          */
+/*----------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * Attaches the "scroll" listener to the vertical scrolling container after the DataTable is rendered
+     *  and renders the initial window.
+     *
+     * @method _bindVirtualScroll
+     * @private
+     */
+    _bindVirtualScroll: function() {
+        var node = this._yScrollNode;
+
+        if ( !node ) {
+            Y.log('virtualScroll requires a DataTable with scrollable "y"', 'warn', 'gallery-datatable-virtual-scroll');
+            return;
+        }
+
+        if ( node !== this._vsScrollNode ) {
+            if ( this._vsScrollHandle ) this._vsScrollHandle.detach();
+            this._vsScrollHandle = node.on('scroll', Y.bind(this._onVirtualScroll, this));
+            this._vsScrollNode = node;
+        }
+
+        this.syncVirtualScroll(true);
+    },
+
+    /**
+     * Sets the listeners on the current `data` ModelList, for changes to its records and for the
+     *  "response" event that includes the meta-data.
+     *
+     * @method _bindVirtualData
+     * @private
+     */
+    _bindVirtualData: function() {
+        Y.Array.each( this._eventHandles.virtualData || [], function(item){
+            item.detach();
+        });
+
+        this._eventHandles.virtualData = [
+            this.data.after(['add','remove','reset'], this._afterVirtualDataChange, this),
+
+            // the ModelList "response" event with the meta data, see gallery-datatable-paginator
+            this.data.after('response', this._afterVirtualResponse, this)
+        ];
+    },
+
+    /**
+     * Listener for the "scroll" event of the scrolling container
+     *
+     * @method _onVirtualScroll
+     * @private
+     */
+    _onVirtualScroll: function() {
+        this.syncVirtualScroll();
+    },
+
+    /**
+     * Listener for changes to the DataTable height, that re-renders the window
+     *
+     * @method _afterVirtualResize
+     * @private
+     */
+    _afterVirtualResize: function() {
+        if ( this.get('rendered') ) this._bindVirtualScroll();
+    },
+
+    /**
+     * Listener for a new `data` setting, which may be a different ModelList
+     *
+     * @method _afterVirtualDataSet
+     * @private
+     */
+    _afterVirtualDataSet: function() {
+        this._bindVirtualData();
+        this._vsComplete = false;
+        this._afterVirtualResize();
+    },
+
+    /**
+     * Listener for records added to, removed from or reset in the data, which re-renders the window
+     *  since the record indices of the rendered rows may have changed.
+     *
+     * @method _afterVirtualDataChange
+     * @private
+     */
+    _afterVirtualDataChange: function() {
+        this.syncVirtualScroll(true);
+    },
+
+    /**
+     * Default function for the [scrollWindow](#event_scrollWindow) event, which renders the window
+     *  and updates the margins that stand in for the rows that are not rendered.
+     *
+     * @method _defScrollWindowFn
+     * @param {EventFacade} e
+     * @private
+     */
+    _defScrollWindowFn: function(e) {
+        this.body.renderWindow(e.start, e.end, e.force);
+        this._syncVirtualMargins();
+    },
+
+    /**
+     * Sets the top and bottom margins of the TABLE in the scrolling container to the height of
+     *  the rows before and after the rendered window.
+     *
+     * @method _syncVirtualMargins
+     * @private
+     */
+    _syncVirtualMargins: function() {
+        var table     = this._tableNode,
+            body      = this.body,
+            rowHeight = this._getVirtualRowHeight(),
+            total     = Math.max( this.get('virtualTotalItems') || 0, this.data.size() );
+
+        if ( !table || !body ) return;
+
+        table.setStyles({
+            marginTop:      (body._vsStart * rowHeight) + 'px',
+            marginBottom:   (Math.max(0, total - body._vsEnd) * rowHeight) + 'px'
+        });
+    },
+
+    /**
+     * Returns the row height, either from [virtualRowHeight](#attr_virtualRowHeight) or measured
+     *  from the first rendered row.
+     *
+     * @method _getVirtualRowHeight
+     * @return {Number} height Row height in pixels
+     * @private
+     */
+    _getVirtualRowHeight: function() {
+        var tr = this.body && this.body.tbodyNode && this.body.tbodyNode.one('tr');
+
+        if ( this.get('virtualRowHeight') ) return this.get('virtualRowHeight');
+
+        if ( !this._vsRowHeight && tr && tr.get('offsetHeight') ) {
+            this._vsRowHeight = tr.get('offsetHeight');
+        }
+
+        return this._vsRowHeight || 24;
+    },
+
+    /**
+     * Returns the source of the data, using the same "duck-type" evaluation as
+     *  gallery-datatable-paginator; either "ds" (DataSource), "rest" (ModelSync.REST) or "local".
+     *
+     * @method _getVirtualSource
+     * @return {String} source
+     * @private
+     */
+    _getVirtualSource: function() {
+        if ( this.datasource && this.datasource.get ) return 'ds';
+        if ( this.data.url ) return 'rest';
+        return 'local';
+    },
+
+    /**
+     * Requests the next block of records from a remote source, if the window extends to within
+     *  [virtualBuffer](#attr_virtualBuffer) rows of the end of the loaded records.
+     *
+     * @method _loadVirtualBlock
+     * @param {Number} end Index after the last record of the window
+     * @private
+     */
+    _loadVirtualBlock: function(end) {
+        var src    = this._getVirtualSource(),
+            loaded = this.data.size(),
+            total  = this.get('virtualTotalItems'),
+            params;
+
+        if ( src === 'local' || this._vsLoading || this._vsComplete ) return;
+        if ( end + this.get('virtualBuffer') < loaded ) return;
+        if ( Y.Lang.isNumber(total) && loaded >= total ) return;
+
+        params = {
+            start:  loaded,
+            count:  this.get('virtualBlockSize'),
+            sortBy: Y.JSON.stringify( this.get('sortBy') || [] )
+        };
+
+        this._vsLoading = true;
+
+        if ( src === 'ds' ) {
+            this.datasource.get('datasource').sendRequest({
+                request:    Y.Lang.sub( this.get('virtualRequestTemplate'), params ),
+                callback:   {
+                    success: Y.bind(this._afterVirtualLoad, this, this._vsRequestId, params),
+                    failure: Y.bind(this._afterVirtualLoadError, this, this._vsRequestId)
+                }
+            });
+        } else {
+            this.data.sync('read', params, Y.bind(function(requestId, err, response){
+                if ( err ) {
+                    this._afterVirtualLoadError(requestId, { error:err });
+                } else {
+                    this._afterVirtualLoad(requestId, params, { response:{ results:this.data.parse(response) } });
+                }
+            }, this, this._vsRequestId));
+        }
+    },
+
+    /**
+     * Appends the records of a block response to the data and re-renders the window.
+     *
+     * @method _afterVirtualLoad
+     * @param {Number} requestId Value of `_vsRequestId` when the request was sent
+     * @param {Object} params The request parameters {start,count,sortBy}
+     * @param {Object} e Response object, with `response.results` and optional `response.meta`
+     * @private
+     */
+    _afterVirtualLoad: function(requestId, params, e) {
+        var resp    = e.response || {},
+            results = resp.results || [];
+
+        if ( requestId !== this._vsRequestId ) return;
+
+        this._vsLoading = false;
+        if ( results.length < params.count ) this._vsComplete = true;
+        this._setVirtualMeta(resp.meta);
+
+        // silent, since the window is re-rendered once for the block instead of once per record
+        this.data.add(results, { silent:true });
+
+        /**
+         * Fires after a block of records from a remote source was appended to the data.
+         *
+         * @event virtualLoad
+         * @param {Number} start Index of the first record of the block
+         * @param {Array} results The records of the block
+         * @param {Object} meta The response meta-data, if any
+         */
+        this.fire('virtualLoad', { start:params.start, results:results, meta:resp.meta || null });
+
+        this.syncVirtualScroll();
+    },
+
+    /**
+     * Resets the loading flag after a failed block request, so that it is retried on the next scroll.
+     *
+     * @method _afterVirtualLoadError
+     * @param {Number} requestId Value of `_vsRequestId` when the request was sent
+     * @param {Object} e Error response
+     * @private
+     */
+    _afterVirtualLoadError: function(requestId, e) {
+        if ( requestId !== this._vsRequestId ) return;
+        this._vsLoading = false;
+        Y.log('virtual scroll block request failed: ' + (e && e.error), 'warn', 'gallery-datatable-virtual-scroll');
+    },
+
+    /**
+     * Listener for the ModelList "response" event (fired by a custom `parse` method, as for
+     *  gallery-datatable-paginator), which includes the response meta-data.
+     *
+     * @method _afterVirtualResponse
+     * @param {Object} resp Includes results and meta properties
+     * @private
+     */
+    _afterVirtualResponse: function(resp) {
+        this._setVirtualMeta(resp.meta);
+    },
+
+    /**
+     * Updates [virtualTotalItems](#attr_virtualTotalItems) from response meta-data.
+     *
+     * @method _setVirtualMeta
+     * @param {Object} meta The response meta-data
+     * @private
+     */
+    _setVirtualMeta: function(meta) {
+        var total = meta && parseInt(meta.totalItems, 10);
+        if ( total >= 0 ) this.set('virtualTotalItems', total);
+    },
+
+    /**
+     * Listener for changes to `sortBy`, which for remote data discards the loaded records and
+     *  requests them again in the new order.
+     *
+     * @method _afterVirtualSort
+     * @private
+     */
+    _afterVirtualSort: function() {
+        if ( this._getVirtualSource() === 'local' ) return;
+
+        this._vsRequestId++;
+        this._vsLoading  = false;
+        this._vsComplete = false;
+
+        if ( this._vsScrollNode ) this._vsScrollNode.set('scrollTop', 0);
+        this.data.reset();
+    }
+
+});
+
+Y.DataTable.VirtualScroll = DtVirtualScroll;
+Y.Base.mix(Y.DataTable, [Y.DataTable.VirtualScroll]);
+
+
+/**
+  A DataTable body view that renders a window of the records, rather than all of them, and re-uses the
+   TR's for other records when the window moves.  It is used as the `bodyView` of a DataTable with
+   [virtualScroll](Y.DataTable.VirtualScroll.html#attr_virtualScroll) enabled, which sets the window as the
+   user scrolls.
+
+  @module gallery-datatable-virtual-scroll
+  @class Y.DataTable.VirtualBodyView
+  @extends Y.DataTable.BodyView
+  @since 3.6.0
+ **/
+Y.DataTable.VirtualBodyView = Y.Base.create('virtualBodyView', Y.DataTable.BodyView, [], {
+
+    /**
+     * Index of the first rendered record
+     * @property _vsStart
+     * @type Number
+     * @default 0
+     * @protected
+     */
+    _vsStart: 0,
+
+    /**
+     * Index after the last rendered record, or null until the window was first set
+     * @property _vsEnd
+     * @type Number
+     * @default null
+     * @protected
+     */
+    _vsEnd: null,
+
+    /**
+     * Number of rows rendered before the DataTable sets the window
+     * @property initialRows
+     * @type Number
+     * @default 50
+     * @public
+     */
+    initialRows: 50,
+
+    /**
+     * Renders the records from `start` to `end` (exclusive).  Rows whose record remains within the window
+     *  are kept, and the rows of records that left the window are re-used for those that entered it.
+     *
+     * @method renderWindow
+     * @param {Number} start Index of the first record to render
+     * @param {Number} end Index after the last record to render
+     * @param {Boolean} force True to re-render all rows, e.g. if the record indices have changed
+     * @public
+     */
+    renderWindow: function(start, end, force) {
+        var tbody = this.tbodyNode,
+            data  = this.get('modelList'),
+            cols  = this.get('columns'),
+            keep  = {},
+            pool  = [],
+            bound = [],
+            i, tr;
+
+        if ( !tbody || !data ) return;
+
+        end   = Math.min( end, data.size() );
+        start = Math.max( 0, Math.min(start, end) );
+
+        tbody.get('children').each(function(row, index){
+            var recIndex = this._vsStart + index;
+            if ( !force && recIndex >= start && recIndex < end ) {
+                keep[recIndex] = row;
+            } else {
+                pool.push(row);
+            }
+        }, this);
+
+        for ( i = start; i < end; i++ ) {
+            tr = keep[i];
+            if ( !tr ) {
+                tr = pool.shift() || Y.Node.create('<tr></tr>');
+                this._bindRow(tr, data.item(i), i, cols);
+                bound.push(tr);
+            }
+            tbody.appendChild(tr);
+        }
+
+        Y.Array.each(pool, function(row){
+            row.remove(true);
+        });
+
+        this._vsStart = start;
+        this._vsEnd   = end;
+
+        this._applyNodeFormatters(tbody, cols, bound);
+    },
+
+    /**
+     * Returns the TR for a record, where a Number is the record index within the full data.
+     *  Returns null if the record is not currently rendered.
+     *
+     * @method getRow
+     * @param {Number|String|Model} id Record index, Model instance, or clientId
+     * @return {Node}
+     */
+    getRow: function(id) {
+        if ( Y.Lang.isNumber(id) ) {
+            return (this.tbodyNode) ? this.tbodyNode.get('children').item(id - this._vsStart) : null;
+        }
+        return Y.DataTable.VirtualBodyView.superclass.getRow.apply(this, arguments);
+    },
+
+    /**
+     * Creates the markup of the rows in the current window.
+     *
+     * @method _createDataHTML
+     * @param {Object[]} displayCols The column configurations
+     * @return {String} The markup for the rendered rows
+     * @protected
+     */
+    _createDataHTML: function(displayCols) {
+        var data = this.get('modelList'),
+            html = '',
+            end, i;
+
+        if ( data ) {
+            end = (this._vsEnd === null) ? this._vsStart + this.initialRows : this._vsEnd;
+            end = Math.min( end, data.size() );
+            this._vsStart = Math.min( this._vsStart, end );
+            this._vsEnd   = end;
+
+            for ( i = this._vsStart; i < end; i++ ) {
+                html += this._createRowHTML(data.item(i), i, displayCols);
+            }
+        }
+
+        return html;
+    },
+
+    /**
+     * Updates a TR, and its TD's, to display the given record.
+     *
+     * @method _bindRow
+     * @param {Node} tr The row to update
+     * @param {Model} model The record
+     * @param {Number} index Record index
+     * @param {Object[]} displayCols The column configurations
+     * @protected
+     */
+    _bindRow: function(tr, model, index, displayCols) {
+        var src      = Y.Node.create( this._createRowHTML(model, index, displayCols) ),
+            srcCells = src.get('children'),
+            cells    = tr.get('children');
+
+        tr.set('id', src.get('id'));
+        tr.set('className', src.get('className'));
+        tr.setAttribute('data-yui3-record', src.getAttribute('data-yui3-record'));
+
+        if ( cells.size() === srcCells.size() ) {
+            srcCells.each(function(td, i){
+                var cell = cells.item(i);
+                cell.set('className', td.get('className'));
+                cell.setHTML( td.getHTML() );
+            });
+        } else {
+            tr.setHTML('');
+            srcCells.each(function(td){
+                tr.appendChild(td);
+            });
+        }
+    },
+
+    /**
+     * Calls the column `nodeFormatter`s for the given rows, or for all rendered rows.
+     *
+     * @method _applyNodeFormatters
+     * @param {Node} tbody The `<tbody>` Node
+     * @param {Object[]} displayCols The column configurations
+     * @param {Node[]} [rows] The rows to format, defaults to all rendered rows
+     * @protected
+     */
+    _applyNodeFormatters: function(tbody, displayCols, rows) {
+        var host       = this.host || this,
+            linerQuery = '.' + this.getClassName('liner'),
+            formatters = [];
+
+        Y.Array.each(displayCols, function(col, i){
+            if ( col.nodeFormatter ) formatters.push(i);
+        });
+
+        if ( !formatters.length ) return;
+
+        rows = rows || tbody.get('children')._nodes;
+
+        Y.Array.each(rows, function(row){
+            row = Y.one(row);
+
+            var record = this.getRecord(row),
+                cells  = row.get('children'),
+                data   = record && record.toJSON(),
+                index  = this._vsStart + tbody.get('children').indexOf(row);
+
+            if ( !record ) return;
+
+            Y.Array.each(formatters, function(colIndex){
+                var cell = cells.item(colIndex),
+                    col  = displayCols[colIndex];
+
+                if ( !cell ) return;
+
+                col.nodeFormatter.call(host, {
+                    data:       data,
+                    record:     record,
+                    rowIndex:   index,
+                    column:     col,
+                    value:      record.get(col.key || col.id),
+                    td:         cell,
+                    cell:       cell.one(linerQuery) || cell
+                });
+            });
+        }, this);
+    },
+
+    /**
+     * Refreshes the row of a changed record if it is rendered.  Records added, removed or reset
+     *  are handled by the DataTable, which re-renders the window.
+     *
+     * @method _afterDataChange
+     * @param {EventFacade} e The ModelList change event
+     * @protected
+     */
+    _afterDataChange: function(e) {
+        var type = (e.type.match(/:(add|change|remove)$/) || [])[1];
+
+        if ( type === 'change' && this.getRow(e.target) ) {
+            Y.DataTable.VirtualBodyView.superclass._afterDataChange.apply(this, arguments);
+        }
+    }
+
+});
@@ -0,0 +1,297 @@
+YUI.add('datatable-virtual-scroll-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+
+    suite;
+
+function makeData(count, offset) {
+    var data = [],
+        i;
+
+    offset = offset || 0;
+    for (i = offset; i < offset + count; i++) {
+        data.push({ id: i, name: 'Name ' + i });
+    }
+    return data;
+}
+
+// 10 rows of 20px are visible, plus a buffer of 5 rows below (and above once scrolled)
+function createTable(config) {
+    Y.one('body').append('<div id="dt"></div>');
+
+    return new Y.DataTable(Y.merge({
+        columns:          [ 'id', 'name' ],
+        data:             makeData(200),
+        scrollable:       'y',
+        height:           '200px',
+        virtualScroll:    true,
+        virtualRowHeight: 20,
+        virtualBuffer:    5
+    }, config));
+}
+
+function renderedIds(dt) {
+    return dt.body.tbodyNode.all('.' + dt.getClassName('col', 'id')).get('text');
+}
+
+function FakeDataSource() {
+    this.requests = [];
+}
+
+FakeDataSource.prototype = {
+    get: function () {
+        return this;
+    },
+
+    sendRequest: function (req) {
+        this.requests.push(req);
+    },
+
+    respond: function (index, results, meta) {
+        this.requests[index].callback.success({ response: { results: results, meta: meta } });
+    }
+};
+
+// -- DataTable Virtual Scroll Suite -------------------------------------------
+suite = new Y.Test.Suite('DataTable Virtual Scroll');
+
+// -- DataTable Virtual Scroll: Rendering --------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Rendering',
+
+    setUp: function () {
+        this.dt = createTable().render('#dt');
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'only the visible rows and the buffer should be rendered': function () {
+        var table = this.dt._tableNode;
+
+        Assert.areSame(15, this.dt.body.tbodyNode.get('children').size());
+        Assert.areSame('0', renderedIds(this.dt)[0]);
+        Assert.areSame('0px', table.getStyle('marginTop'));
+        Assert.areSame((185 * 20) + 'px', table.getStyle('marginBottom'));
+    },
+
+    'scrolling should re-use the rows for the new window': function () {
+        var rows = this.dt.body.tbodyNode.get('children')._nodes.concat(),
+            ids;
+
+        this.dt.scrollToIndex(50);
+        ids = renderedIds(this.dt);
+
+        Assert.areSame(20, ids.length);
+        Assert.areSame('45', ids[0]);
+        Assert.areSame('64', ids[19]);
+        Assert.areSame((45 * 20) + 'px', this.dt._tableNode.getStyle('marginTop'));
+        Assert.areSame((135 * 20) + 'px', this.dt._tableNode.getStyle('marginBottom'));
+
+        Y.Array.each(rows, function (tr) {
+            Assert.isTrue(Y.one(tr).inDoc(), 'rows should be re-used');
+        });
+    },
+
+    'getRow should use the index within the full data': function () {
+        this.dt.scrollToIndex(50);
+
+        Assert.isNull(this.dt.getRow(0));
+        Assert.areSame('50', this.dt.getRow(50).one('.' + this.dt.getClassName('col', 'id')).get('text'));
+        Assert.areSame(this.dt.data.item(50), this.dt.getRecord(this.dt.getRow(50)));
+    },
+
+    'the scroll event should move the window': function () {
+        this.dt._vsScrollNode.set('scrollTop', 100 * 20);
+        this.dt._onVirtualScroll();
+
+        Assert.areSame('95', renderedIds(this.dt)[0]);
+    },
+
+    'scrollWindow should fire before and after the rows are re-used': function () {
+        var before, after;
+
+        this.dt.on('scrollWindow', function (e) {
+            before = renderedIds(this.dt)[0] + ':' + e.start + '-' + e.end;
+        }, this);
+        this.dt.after('scrollWindow', function () {
+            after = renderedIds(this.dt)[0];
+        }, this);
+
+        this.dt.scrollToIndex(20);
+
+        Assert.areSame('0:15-35', before);
+        Assert.areSame('15', after);
+    },
+
+    'preventing scrollWindow should keep the rendered rows': function () {
+        this.dt.on('scrollWindow', function (e) {
+            e.preventDefault();
+        });
+
+        this.dt.scrollToIndex(20);
+
+        Assert.areSame('0', renderedIds(this.dt)[0]);
+    },
+
+    'changing a rendered record should update its row': function () {
+        this.dt.data.item(3).set('name', 'Changed');
+        this.dt.data.item(150).set('name', 'Not rendered');
+
+        Assert.areSame('Changed', this.dt.getRow(3).one('.' + this.dt.getClassName('col', 'name')).get('text'));
+        Assert.areSame(15, this.dt.body.tbodyNode.get('children').size());
+    },
+
+    'adding and removing records should re-render the window': function () {
+        this.dt.data.remove(this.dt.data.item(0));
+
+        Assert.areSame('1', renderedIds(this.dt)[0]);
+        Assert.areSame((184 * 20) + 'px', this.dt._tableNode.getStyle('marginBottom'));
+
+        this.dt.data.add({ id: -1, name: 'First' }, { index: 0 });
+
+        Assert.areSame('-1', renderedIds(this.dt)[0]);
+    },
+
+    'a new data set should be rendered': function () {
+        this.dt.set('data', makeData(20, 1000));
+
+        ArrayAssert.itemsAreEqual([ '1000', '1014' ], [ renderedIds(this.dt)[0], renderedIds(this.dt).pop() ]);
+        Assert.areSame((5 * 20) + 'px', this.dt._tableNode.getStyle('marginBottom'));
+
+        this.dt.scrollToIndex(10);
+        Assert.areSame('1019', renderedIds(this.dt).pop());
+    }
+}));
+
+// -- DataTable Virtual Scroll: Remote -----------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Remote',
+
+    setUp: function () {
+        this.ds = new FakeDataSource();
+        this.dt = createTable({ data: [], virtualBlockSize: 50 });
+        this.dt.datasource = this.ds;
+        this.dt.render('#dt');
+    },
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'the first block should be requested when rendered': function () {
+        Assert.areSame(1, this.ds.requests.length);
+        Assert.areSame('?start=0&count=50&sortBy=[]', this.ds.requests[0].request);
+
+        this.ds.respond(0, makeData(50), { totalItems: 120 });
+
+        Assert.areSame(50, this.dt.data.size());
+        Assert.areSame(120, this.dt.get('virtualTotalItems'));
+        Assert.areSame(15, renderedIds(this.dt).length);
+        Assert.areSame((105 * 20) + 'px', this.dt._tableNode.getStyle('marginBottom'));
+        Assert.areSame(1, this.ds.requests.length, 'no request until scrolled near the end');
+    },
+
+    'scrolling near the end should request the next block': function () {
+        var loaded;
+
+        this.dt.on('virtualLoad', function (e) {
+            loaded = e;
+        });
+
+        this.ds.respond(0, makeData(50));
+        this.dt.scrollToIndex(40);
+
+        Assert.areSame(2, this.ds.requests.length);
+        Assert.areSame('?start=50&count=50&sortBy=[]', this.ds.requests[1].request);
+
+        this.dt.scrollToIndex(45);
+        Assert.areSame(2, this.ds.requests.length, 'only one request at a time');
+
+        this.ds.respond(1, makeData(10, 50));
+
+        Assert.areSame(50, loaded.start);
+        Assert.areSame(60, this.dt.data.size());
+        Assert.areSame('59', renderedIds(this.dt).pop());
+
+        this.dt.scrollToIndex(60);
+        Assert.areSame(2, this.ds.requests.length, 'a short block is the last');
+    },
+
+    'a failed request should be retried': function () {
+        this.ds.requests[0].callback.failure({ error: new Error('timeout') });
+        this.dt.syncVirtualScroll();
+
+        Assert.areSame(2, this.ds.requests.length);
+    },
+
+    'sorting should reload the data and ignore earlier responses': function () {
+        this.ds.respond(0, makeData(50));
+        this.dt.scrollToIndex(40);
+        this.dt.set('sortBy', [ { name: -1 } ]);
+
+        Assert.areSame(0, this.dt._vsScrollNode.get('scrollTop'));
+        Assert.areSame(3, this.ds.requests.length);
+        Assert.areSame('?start=0&count=50&sortBy=' + Y.JSON.stringify([ { name: -1 } ]), this.ds.requests[2].request);
+
+        this.ds.respond(1, makeData(50, 50));
+        Assert.areSame(0, this.dt.data.size(), 'response to the earlier request');
+
+        this.ds.respond(2, makeData(50, 500));
+        Assert.areSame(50, this.dt.data.size());
+        Assert.areSame('Name 549', this.dt.getRecord(0).get('name'), 'records of the new request');
+    }
+}));
+
+// -- DataTable Virtual Scroll: Selections -------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Selections',
+
+    tearDown: function () {
+        this.dt.destroy();
+        delete this.dt;
+        Y.one('#dt').remove(true);
+    },
+
+    'checkboxes should be set for records that are not rendered': function () {
+        var selected, input;
+
+        this.dt = createTable({ primaryKeys: [ 'id' ], checkboxSelectMode: true }).render('#dt');
+        this.dt.set('checkboxSelected', [ 1, 100 ]);
+
+        selected = this.dt.get('checkboxSelected');
+        Assert.areSame(2, selected.length);
+        Assert.isNull(selected[1].tr, 'record 100 is not rendered');
+
+        this.dt.scrollToIndex(100);
+        input = this.dt.getRow(100).one('.' + this.dt.getClassName('checkbox', 'select'));
+        Assert.isTrue(input.get('checked'), 'checkbox of a re-used row');
+        Assert.isFalse(this.dt.getRow(101).one('.' + this.dt.getClassName('checkbox', 'select')).get('checked'));
+    },
+
+    'selected rows should be kept while scrolled out': function () {
+        this.dt = createTable({ selectionMode: 'row', selectionMulti: true }).render('#dt');
+        this.dt.set('selectedRows', [ 2, 100 ]);
+
+        Assert.isTrue(this.dt.getRow(2).hasClass(this.dt._classSelected));
+
+        this.dt.scrollToIndex(100);
+
+        Assert.isTrue(this.dt.getRow(100).hasClass(this.dt._classSelected));
+        Assert.isFalse(this.dt.getRow(101).hasClass(this.dt._classSelected), 're-used row should not be selected');
+        ArrayAssert.itemsAreEqual([ 2, 100 ], Y.Array.map(this.dt.get('selectedRows'), function (r) {
+            return r.recordIndex;
+        }).sort(function (a, b) { return a - b; }));
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-datatable-virtual-scroll', 'gallery-datatable-checkbox-select',
+                            'gallery-datatable-selection', 'datatable-sort', 'test']});
@@ -29,6 +29,8 @@ Graphic.prototype = {
         var w = config.width || 0,
             h = config.height || 0;
         this.node = Y.config.doc.createElement('div');
+        this._shapes = [];
+        this._addHitTestListeners();
         this.setSize(w, h);
         if(config.render)
         {
@@ -132,12 +134,258 @@ Graphic.prototype = {
     addShape: function(shape)
     {
         var node = shape.get("node");
+        if(shape._graphic)
+        {
+            shape._graphic.removeShape(shape);
+        }
         this.node.appendChild(node);
         if(!this._graphicsList)
         {
             this._graphicsList = [];
         }
         this._graphicsList.push(node);
+        this._shapes.push(shape);
+        shape._graphic = this;
+    },
+
+    /**
+     * Removes a shape instance from the graphic instance. Shapes are removed automatically when they are
+     * destroyed or added to a group.
+     *
+     * @method removeShape
+     * @param {Shape} shape The shape instance to be removed.
+     */
+    removeShape: function(shape)
+    {
+        var node = shape.get("node"),
+            index = Y.Array.indexOf(this._shapes, shape);
+        if(index > -1)
+        {
+            this._shapes.splice(index, 1);
+            shape._graphic = null;
+            index = Y.Array.indexOf(this._graphicsList || [], node);
+            if(index > -1)
+            {
+                this._graphicsList.splice(index, 1);
+            }
+            if(this._isAncestor(node, this._hoverNode))
+            {
+                this._hoverNode = null;
+            }
+            if(node.parentNode)
+            {
+                node.parentNode.removeChild(node);
+            }
+        }
+    },
+
+    /**
+     * Mouse events that are dispatched to the shape painted under the mouse.
+     *
+     * @property _hitTestEvents
+     * @type Array
+     * @private
+     */
+    _hitTestEvents: ["click", "dblclick", "mousedown", "mouseup", "mousemove", "mouseover", "mouseout"],
+
+    /**
+     * Listens for mouse events in the capture phase so that they can be redirected to the shapes.
+     *
+     * @method _addHitTestListeners
+     * @private
+     */
+    _addHitTestListeners: function()
+    {
+        var node = this.node,
+            events = this._hitTestEvents,
+            i = 0,
+            len = events.length;
+        if(node.addEventListener)
+        {
+            this._hitTestHandler = Y.bind(this._mouseEventHandler, this);
+            for(; i < len; ++i)
+            {
+                node.addEventListener(events[i], this._hitTestHandler, true);
+            }
+        }
+    },
+
+    /**
+     * Removes the hit test listeners.
+     *
+     * @method _removeHitTestListeners
+     * @private
+     */
+    _removeHitTestListeners: function()
+    {
+        var node = this.node,
+            events = this._hitTestEvents,
+            i = 0,
+            len = events.length;
+        if(this._hitTestHandler)
+        {
+            for(; i < len; ++i)
+            {
+                node.removeEventListener(events[i], this._hitTestHandler, true);
+            }
+            this._hitTestHandler = null;
+        }
+    },
+
+    /**
+     * Each shape is drawn on its own canvas, so the browser targets mouse events at the top most canvas
+     * even where it is transparent. Mouse events are stopped before they reach the canvas and dispatched
+     * to the shape that is painted under the mouse instead. Mouseover and mouseout events are dispatched when
+     * the mouse moves between shapes.
+     *
+     * @method _mouseEventHandler
+     * @param {Event} e dom event
+     * @private
+     */
+    _mouseEventHandler: function(e)
+    {
+        var type = e.type,
+            hitNode;
+        if(this._dispatching)
+        {
+            return;
+        }
+        if(type == "mouseover" || type == "mouseout")
+        {
+            e.stopPropagation();
+            if(type == "mouseover")
+            {
+                this._setHoverNode(this._getHitNodeFromEvent(e), e);
+            }
+            else if(!this._contains(e.relatedTarget))
+            {
+                this._setHoverNode(null, e);
+            }
+            return;
+        }
+        hitNode = this._getHitNodeFromEvent(e);
+        if(type == "mousemove")
+        {
+            this._setHoverNode(hitNode, e);
+        }
+        if(hitNode !== e.target)
+        {
+            e.stopPropagation();
+            if(!this._dispatchMouseEvent(hitNode, e, type, e.relatedTarget))
+            {
+                e.preventDefault();
+            }
+        }
+    },
+
+    /**
+     * Dispatches mouseout and mouseover events when the node under the mouse changes.
+     *
+     * @method _setHoverNode
+     * @param {HTMLElement} node node under the mouse or null if the mouse has left the graphic
+     * @param {Event} e dom event that caused the change
+     * @private
+     */
+    _setHoverNode: function(node, e)
+    {
+        var hoverNode = this._hoverNode;
+        if(node !== hoverNode)
+        {
+            this._hoverNode = node;
+            if(hoverNode)
+            {
+                this._dispatchMouseEvent(hoverNode, e, "mouseout", node || e.relatedTarget);
+            }
+            if(node)
+            {
+                this._dispatchMouseEvent(node, e, "mouseover", hoverNode || e.relatedTarget);
+            }
+        }
+    },
+
+    /**
+     * Dispatches a copy of a mouse event to a node.
+     *
+     * @method _dispatchMouseEvent
+     * @param {HTMLElement} node node to dispatch the event to
+     * @param {Event} e dom event to copy
+     * @param {String} type type of event
+     * @param {HTMLElement} relatedTarget related target of the event
+     * @return Boolean false if the default action of the event was prevented
+     * @private
+     */
+    _dispatchMouseEvent: function(node, e, type, relatedTarget)
+    {
+        var doc = node.ownerDocument,
+            event = doc.createEvent("MouseEvents"),
+            result;
+        event.initMouseEvent(type, true, true, doc.defaultView, e.detail, e.screenX, e.screenY, e.clientX, e.clientY, e.ctrlKey, e.altKey, e.shiftKey, e.metaKey, e.button, relatedTarget || null);
+        this._dispatching = true;
+        result = node.dispatchEvent(event);
+        this._dispatching = false;
+        return result;
+    },
+
+    /**
+     * Returns the node of the top most shape painted under the mouse or the graphic node if there is none.
+     *
+     * @method _getHitNodeFromEvent
+     * @param {Event} e dom event
+     * @return HTMLElement
+     * @private
+     */
+    _getHitNodeFromEvent: function(e)
+    {
+        var rect = this.node.getBoundingClientRect(),
+            x = e.clientX - rect.left,
+            y = e.clientY - rect.top,
+            shapes = this._shapes,
+            hitNode,
+            i = shapes.length - 1;
+        for(; i > -1; --i)
+        {
+            hitNode = shapes[i]._getHitNode(x, y);
+            if(hitNode)
+            {
+                return hitNode;
+            }
+        }
+        return this.node;
+    },
+
+    /**
+     * Indicates whether a node is the graphic node or one of its descendants.
+     *
+     * @method _contains
+     * @param {HTMLElement} node
+     * @return Boolean
+     * @private
+     */
+    _contains: function(node)
+    {
+        return this._isAncestor(this.node, node);
+    },
+
+    /**
+     * Indicates whether a node is another node or one of its descendants.
+     *
+     * @method _isAncestor
+     * @param {HTMLElement} ancestor
+     * @param {HTMLElement} node
+     * @return Boolean
+     * @private
+     */
+    _isAncestor: function(ancestor, node)
+    {
+        while(node)
+        {
+            if(node === ancestor)
+            {
+                return true;
+            }
+            node = node.parentNode;
+        }
+        return false;
     },
 
     /**
@@ -147,6 +395,16 @@ Graphic.prototype = {
      */
     destroy: function()
     {
+        var shapes = this._shapes,
+            i = 0,
+            len = shapes.length;
+        this._removeHitTestListeners();
+        for(; i < len; ++i)
+        {
+            shapes[i]._graphic = null;
+        }
+        this._shapes = [];
+        this._hoverNode = null;
         this._removeChildren(this.node);
         if(this.node && this.node.parentNode)
         {
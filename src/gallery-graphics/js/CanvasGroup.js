@@ -0,0 +1,162 @@
+/**
+ * Groups shapes so that they can be positioned and transformed together. The coordinates of the shapes
+ * in a group are relative to the group.
+ *
+ * @class Group
+ * @extends Shape
+ */
+ Y.Group = Y.Base.create("group", Y.Shape, [], {
+    /**
+     * Indicates the type of shape
+     *
+     * @property _type
+     * @readOnly
+     * @type String
+     */
+    _type: "group",
+
+    /**
+     * Shapes in the group.
+     *
+     * @property _shapes
+     * @type Array
+     * @private
+     */
+    _shapes: null,
+
+    /**
+     * Initializes the group
+     *
+     * @private
+     * @method initializer
+     */
+    initializer: function()
+    {
+        this._shapes = [];
+    },
+
+    /**
+     * Creates the dom node for the group. The nodes of the shapes are added to a div so that
+     * css transforms on the group apply to all of them.
+     *
+     * @private
+     * @return HTMLElement
+     */
+    _getNode: function()
+    {
+        var node = Y.config.doc.createElement("div");
+        node.style.position = "absolute";
+        return node;
+    },
+
+    /**
+     * Adds a shape instance to the group.
+     *
+     * @method addShape
+     * @param {Shape} shape The shape instance to be added to the group.
+     */
+    addShape: function(shape)
+    {
+        if(shape._graphic)
+        {
+            shape._graphic.removeShape(shape);
+        }
+        this.get("node").appendChild(shape.get("node"));
+        this._shapes.push(shape);
+        shape._graphic = this;
+        this._draw();
+    },
+
+    /**
+     * Removes a shape instance from the group.
+     *
+     * @method removeShape
+     * @param {Shape} shape The shape instance to be removed.
+     */
+    removeShape: function(shape)
+    {
+        var node = shape.get("node"),
+            index = Y.Array.indexOf(this._shapes, shape);
+        if(index > -1)
+        {
+            this._shapes.splice(index, 1);
+            shape._graphic = null;
+            if(node.parentNode)
+            {
+                node.parentNode.removeChild(node);
+            }
+            this._draw();
+        }
+    },
+
+    /**
+     * Sizes the group to the nodes of its shapes so that rotations are around the center of the shapes.
+     *
+     * @method _draw
+     * @private
+     */
+    _draw: function()
+    {
+        var node = this.get("node"),
+            shapes = this._shapes || [],
+            shapeNode,
+            right = 0,
+            bottom = 0,
+            i = 0,
+            len = shapes.length;
+        for(; i < len; ++i)
+        {
+            shapeNode = shapes[i].get("node");
+            right = Math.max(right, (parseFloat(shapeNode.style.left) || 0) + (shapeNode.width || parseFloat(shapeNode.style.width) || 0));
+            bottom = Math.max(bottom, (parseFloat(shapeNode.style.top) || 0) + (shapeNode.height || parseFloat(shapeNode.style.height) || 0));
+        }
+        node.style.width = right + "px";
+        node.style.height = bottom + "px";
+        this._updateNodePosition();
+    },
+
+    /**
+     * Returns the node of the top most shape in the group that is painted at a point.
+     *
+     * @method _getHitNode
+     * @param {Number} x x-coordinate relative to the parent of the group's node
+     * @param {Number} y y-coordinate relative to the parent of the group's node
+     * @return HTMLElement
+     * @private
+     */
+    _getHitNode: function(x, y)
+    {
+        var shapes = this._shapes,
+            point,
+            hitNode,
+            i = shapes.length - 1;
+        if(!this.get("visible") || this.get("pointerEvents") == "none")
+        {
+            return null;
+        }
+        point = this._getLocalPoint(x, y);
+        for(; i > -1; --i)
+        {
+            hitNode = shapes[i]._getHitNode(point.x, point.y);
+            if(hitNode)
+            {
+                return hitNode;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Removes all shapes from the group.
+     *
+     * @method clear
+     */
+    clear: function()
+    {
+        while(this._shapes.length > 0)
+        {
+            this.removeShape(this._shapes[0]);
+        }
+        return this;
+    }
+ });
@@ -0,0 +1,152 @@
+/**
+ * Draws an image
+ *
+ * @class Image
+ * @extends Shape
+ */
+ Y.Image = Y.Base.create("image", Y.Shape, [], {
+    /**
+     * Indicates the type of shape
+     *
+     * @property _type
+     * @readOnly
+     * @type String
+     */
+    _type: "image",
+
+    /**
+     * Image element that is drawn on the canvas.
+     *
+     * @property _image
+     * @type HTMLElement
+     * @private
+     */
+    _image: null,
+
+    /**
+     * Indicates whether the image has loaded.
+     *
+     * @property _imageLoaded
+     * @type Boolean
+     * @private
+     */
+    _imageLoaded: false,
+
+    /**
+     * Initializes the image
+     *
+     * @private
+     * @method initializer
+     */
+    initializer: function()
+    {
+        this._loadImage();
+    },
+
+    /**
+     * Adds change listeners to the shape.
+     *
+     * @private
+     * @method _addListeners
+     */
+    _addListeners: function()
+    {
+        Y.Image.superclass._addListeners.apply(this);
+        this.after("srcChange", this._loadImage);
+    },
+
+    /**
+     * Loads the source of the image.
+     *
+     * @private
+     * @method _loadImage
+     */
+    _loadImage: function()
+    {
+        var src = this.get("src"),
+            image = null;
+        if(src)
+        {
+            image = new Image();
+            image.onload = Y.bind(this._imageLoadHandler, this, image);
+            image.src = src;
+        }
+        this._image = image;
+        this._imageLoaded = false;
+        this._draw();
+    },
+
+    /**
+     * Draws the image once it has loaded. When the <code>width</code> or <code>height</code> is not set, the natural
+     * size of the image is used.
+     *
+     * @private
+     * @method _imageLoadHandler
+     */
+    _imageLoadHandler: function(image)
+    {
+        if(image === this._image)
+        {
+            this._imageLoaded = true;
+            if(!this.get("width"))
+            {
+                this.set("width", image.width);
+            }
+            if(!this.get("height"))
+            {
+                this.set("height", image.height);
+            }
+            this._draw();
+        }
+    },
+
+    /**
+     * @private
+     */
+    _draw: function()
+    {
+        var node = this.get("node"),
+            image = this._image,
+            w = this.get("width") || 0,
+            h = this.get("height") || 0;
+        node.setAttribute("width", w);
+        node.setAttribute("height", h);
+        if(image && this._imageLoaded && w > 0 && h > 0)
+        {
+            this._context.drawImage(image, 0, 0, w, h);
+        }
+        this._updateNodePosition();
+    }
+ }, {
+    ATTRS: {
+        /**
+         * Url of the image.
+         *
+         * @attribute src
+         * @type String
+         */
+        src: {
+            value: ""
+        },
+
+        /**
+         * Width of the image. When not set, the natural width of the image is used once it has loaded.
+         *
+         * @attribute width
+         * @type Number
+         */
+        width: {
+            value: 0
+        },
+
+        /**
+         * Height of the image. When not set, the natural height of the image is used once it has loaded.
+         *
+         * @attribute height
+         * @type Number
+         */
+        height: {
+            value: 0
+        }
+    }
+ });
@@ -32,6 +32,13 @@
      */
     _bottom: 0,
 
+    /**
+     * Graphic or group that contains the shape
+     *
+     * @private
+     */
+    _graphic: null,
+
     /**
      * Initializes the shape
      *
@@ -50,6 +57,20 @@
         node.setAttribute("height", this.get("height"));
         this._draw();
     },
+
+    /**
+     * Removes the shape from its graphic or group.
+     *
+     * @private
+     * @method destructor
+     */
+    destructor: function()
+    {
+        if(this._graphic)
+        {
+            this._graphic.removeShape(this);
+        }
+    },
    
     /**
      * Creates the dom node for the shape.
@@ -423,6 +444,96 @@
         context.moveTo(xEnd, yEnd);
     },
 
+    /**
+     * Returns the dom node of the shape if it is painted at a point. Used by the <code>Graphic</code> to
+     * dispatch mouse events to the shape.
+     *
+     * @method _getHitNode
+     * @param {Number} x x-coordinate relative to the parent of the shape's node
+     * @param {Number} y y-coordinate relative to the parent of the shape's node
+     * @return HTMLElement
+     * @private
+     */
+    _getHitNode: function(x, y)
+    {
+        var node = this.get("node"),
+            point;
+        if(!this.get("visible") || this.get("pointerEvents") == "none")
+        {
+            return null;
+        }
+        point = this._getLocalPoint(x, y);
+        if(point.x < 0 || point.y < 0 || point.x >= node.width || point.y >= node.height)
+        {
+            return null;
+        }
+        return this._isPainted(Math.floor(point.x), Math.floor(point.y)) ? node : null;
+    },
+
+    /**
+     * Indicates whether a pixel of the canvas has been painted.
+     *
+     * @method _isPainted
+     * @param {Number} x x-coordinate of the pixel
+     * @param {Number} y y-coordinate of the pixel
+     * @return Boolean
+     * @private
+     */
+    _isPainted: function(x, y)
+    {
+        try
+        {
+            return this._context.getImageData(x, y, 1, 1).data[3] > 0;
+        }
+        catch(e)
+        {
+            //the pixels of a canvas that has drawn a cross-domain image can not be read
+            return true;
+        }
+    },
+
+    /**
+     * Converts a point relative to the parent of the shape's node into the coordinate space of the node by
+     * reversing its position and css transforms.
+     *
+     * @method _getLocalPoint
+     * @param {Number} x x-coordinate relative to the parent of the shape's node
+     * @param {Number} y y-coordinate relative to the parent of the shape's node
+     * @return Object
+     * @private
+     */
+    _getLocalPoint: function(x, y)
+    {
+        var node = this.get("node"),
+            w = node.width || parseFloat(node.style.width) || 0,
+            h = node.height || parseFloat(node.style.height) || 0,
+            transform = node.style.MozTransform || node.style.webkitTransform || node.style.msTransform || node.style.OTransform || "",
+            test = /(translate|rotate)\(([^\)]*)\)/g,
+            match,
+            args,
+            radians,
+            localX;
+        x -= (parseFloat(node.style.left) || 0) + w * 0.5;
+        y -= (parseFloat(node.style.top) || 0) + h * 0.5;
+        while((match = test.exec(transform)))
+        {
+            args = match[2].split(",");
+            if(match[1] == "translate")
+            {
+                x -= parseFloat(args[0]) || 0;
+                y -= parseFloat(args[1]) || 0;
+            }
+            else
+            {
+                radians = -parseFloat(args[0]) * Math.PI / 180;
+                localX = x * Math.cos(radians) - y * Math.sin(radians);
+                y = x * Math.sin(radians) + y * Math.cos(radians);
+                x = localX;
+            }
+        }
+        return {x: x + w * 0.5, y: y + h * 0.5};
+    },
+
     /**
      * Clears the graphics object.
      *
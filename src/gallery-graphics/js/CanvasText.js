@@ -0,0 +1,238 @@
+/**
+ * Draws text
+ *
+ * @class Text
+ * @extends Shape
+ */
+ Y.Text = Y.Base.create("text", Y.Shape, [], {
+    /**
+     * Indicates the type of shape
+     *
+     * @property _type
+     * @readOnly
+     * @type String
+     */
+    _type: "text",
+
+    /**
+     * Portion of the font size above the baseline. Used to position the text on the canvas.
+     *
+     * @property _ascent
+     * @type Number
+     * @private
+     */
+    _ascent: 0.8,
+
+    /**
+     * Measured width of the text.
+     *
+     * @property _textWidth
+     * @type Number
+     * @private
+     */
+    _textWidth: 0,
+
+    /**
+     * Adds change listeners to the shape.
+     *
+     * @private
+     * @method _addListeners
+     */
+    _addListeners: function()
+    {
+        Y.Text.superclass._addListeners.apply(this);
+        this.after("textChange", this._updateHandler);
+        this.after("fontFamilyChange", this._updateHandler);
+        this.after("fontSizeChange", this._updateHandler);
+        this.after("fontWeightChange", this._updateHandler);
+        this.after("fontStyleChange", this._updateHandler);
+        this.after("textAnchorChange", this._updateHandler);
+    },
+
+    /**
+     * Returns the css font for the text.
+     *
+     * @method _getFont
+     * @return String
+     * @private
+     */
+    _getFont: function()
+    {
+        return this.get("fontStyle") + " " + this.get("fontWeight") + " " + this.get("fontSize") + "px " + this.get("fontFamily");
+    },
+
+    /**
+     * Sizes the canvas to the text and draws it. The canvas is positioned so that the x and y coordinates are
+     * the anchor point on the baseline of the text.
+     *
+     * @method _draw
+     * @private
+     */
+    _draw: function()
+    {
+        var node = this.get("node"),
+            context = this._context,
+            text = this.get("text"),
+            font = this._getFont(),
+            fontSize = this.get("fontSize"),
+            anchor = this.get("textAnchor"),
+            wt = this._stroke ? this._strokeWeight : 0,
+            w;
+        context.font = font;
+        w = Math.ceil(context.measureText(text).width);
+        this._textWidth = w;
+        this._left = -wt;
+        if(anchor == "middle")
+        {
+            this._left -= w * 0.5;
+        }
+        else if(anchor == "end")
+        {
+            this._left -= w;
+        }
+        this._top = -fontSize * this._ascent - wt;
+        node.setAttribute("width", w + wt * 2);
+        node.setAttribute("height", Math.ceil(fontSize) + wt * 2);
+        context.font = font;
+        context.textAlign = "left";
+        context.textBaseline = "alphabetic";
+        if(this._fillColor)
+        {
+            context.fillStyle = this._fillColor;
+            context.fillText(text, wt, wt + fontSize * this._ascent);
+        }
+        if(this._stroke)
+        {
+            context.lineWidth = this._strokeWeight;
+            context.strokeStyle = this._strokeStyle;
+            context.strokeText(text, wt, wt + fontSize * this._ascent);
+        }
+        this._updateNodePosition();
+    }
+ }, {
+    ATTRS: {
+        /**
+         * The text to display.
+         *
+         * @attribute text
+         * @type String
+         */
+        text: {
+            value: ""
+        },
+
+        /**
+         * Font family of the text.
+         *
+         * @attribute fontFamily
+         * @type String
+         */
+        fontFamily: {
+            value: "Arial"
+        },
+
+        /**
+         * Font size of the text in pixels.
+         *
+         * @attribute fontSize
+         * @type Number
+         */
+        fontSize: {
+            value: 12
+        },
+
+        /**
+         * Font weight of the text.
+         *
+         * @attribute fontWeight
+         * @type String
+         */
+        fontWeight: {
+            value: "normal"
+        },
+
+        /**
+         * Font style of the text.
+         *
+         * @attribute fontStyle
+         * @type String
+         */
+        fontStyle: {
+            value: "normal"
+        },
+
+        /**
+         * Indicates how the text is aligned to the x coordinate. Possible values are <code>start</code>,
+         * <code>middle</code> and <code>end</code>. The y coordinate is the baseline of the text.
+         *
+         * @attribute textAnchor
+         * @type String
+         */
+        textAnchor: {
+            value: "start"
+        },
+
+        /**
+         * Measured width of the text.
+         *
+         * @attribute width
+         * @readOnly
+         */
+        width: {
+            readOnly: true,
+
+            getter: function()
+            {
+                return this._textWidth;
+            }
+        },
+
+        /**
+         * Height of the text. Equal to the <code>fontSize</code>.
+         *
+         * @attribute height
+         * @readOnly
+         */
+        height: {
+            readOnly: true,
+
+            getter: function()
+            {
+                return this.get("fontSize");
+            }
+        },
+
+        /**
+         * Contains information about the fill of the text. The default color is #000.
+         *
+         * @attribute fill
+         * @type Object
+         */
+        fill: {
+            valueFn: function()
+            {
+                return {
+                    color: "#000",
+                    alpha: 1
+                };
+            }
+        },
+
+        /**
+         * Contains information about the stroke of the text. By default, the text is not stroked.
+         *
+         * @attribute stroke
+         * @type Object
+         */
+        stroke: {
+            valueFn: function()
+            {
+                return {
+                    weight: 0,
+                    color: "#000",
+                    alpha: 1
+                };
+            }
+        }
+    }
+ });
@@ -0,0 +1,240 @@
+/**
+ * Groups shapes so that they can be positioned and transformed together. The coordinates of the shapes
+ * in a group are relative to the group.
+ *
+ * @class Group
+ * @extends Shape
+ */
+ Y.Group = Y.Base.create("group", Y.Shape, [], {
+    /**
+     * Indicates the type of shape
+     *
+     * @property _type
+     * @readOnly
+     * @type String
+     */
+    _type: "g",
+
+    /**
+     * Shapes in the group.
+     *
+     * @property _shapes
+     * @type Array
+     * @private
+     */
+    _shapes: null,
+
+    /**
+     * Initializes the group
+     *
+     * @private
+     * @method initializer
+     */
+    initializer: function()
+    {
+        this._shapes = [];
+    },
+
+    /**
+     * Adds a shape instance to the group.
+     *
+     * @method addShape
+     * @param {Shape} shape The shape instance to be added to the group.
+     */
+    addShape: function(shape)
+    {
+        shape.set("graphic", this);
+        this.get("node").appendChild(shape.get("node"));
+        this._shapes.push(shape);
+        this.updateCoordSpace();
+    },
+
+    /**
+     * Removes a shape instance from the group.
+     *
+     * @method removeShape
+     * @param {Shape} shape The shape instance to be removed.
+     */
+    removeShape: function(shape)
+    {
+        var node = shape.get("node"),
+            index = Y.Array.indexOf(this._shapes, shape);
+        if(index > -1)
+        {
+            this._shapes.splice(index, 1);
+            if(node.parentNode)
+            {
+                node.parentNode.removeChild(node);
+            }
+            this.updateCoordSpace();
+        }
+    },
+
+    /**
+     * Returns a shape in the group based on the id of its dom node.
+     *
+     * @method getShape
+     * @param {String} id Dom id of the shape's node attribute.
+     * @return Shape
+     */
+    getShape: function(id)
+    {
+        var shapes = this._shapes,
+            i = 0,
+            len = shapes.length;
+        for(; i < len; ++i)
+        {
+            if(shapes[i].get("id") == id)
+            {
+                return shapes[i];
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Redraws the group when one of its shapes changes.
+     *
+     * @method updateCoordSpace
+     */
+    updateCoordSpace: function(e)
+    {
+        this._updateHandler();
+    },
+
+    /**
+     * Returns the bounds of the shapes in the coordinate space of the group.
+     *
+     * @method _getContentBounds
+     * @return Object
+     * @private
+     */
+    _getContentBounds: function()
+    {
+        var shapes = this._shapes || [],
+            bounds,
+            contentBounds = {left: 0, top: 0, right: 0, bottom: 0},
+            i = 0,
+            len = shapes.length;
+        for(; i < len; ++i)
+        {
+            bounds = shapes[i].getBounds();
+            contentBounds.left = Math.min(contentBounds.left, bounds.left);
+            contentBounds.top = Math.min(contentBounds.top, bounds.top);
+            contentBounds.right = Math.max(contentBounds.right, bounds.right);
+            contentBounds.bottom = Math.max(contentBounds.bottom, bounds.bottom);
+        }
+        return contentBounds;
+    },
+
+    /**
+     * Updates the transform of the group. The position and translation of the group are applied first so that
+     * rotations, scales and skews are relative to the group.
+     *
+     * @method _draw
+     * @private
+     */
+    _draw: function()
+    {
+        var node = this.get("node"),
+            args = this._transformArgs || {},
+            bounds = this._getContentBounds(),
+            transform = "translate(" + (this.get("x") + this._translateX) + "," + (this.get("y") + this._translateY) + ")",
+            types = ["rotate", "scale", "skewX", "skewY", "matrix"],
+            type,
+            i = 0,
+            len = types.length;
+        for(; i < len; ++i)
+        {
+            type = types[i];
+            if(args.hasOwnProperty(type))
+            {
+                if(type == "rotate")
+                {
+                    args.rotate = [args.rotate[0], (bounds.left + bounds.right) * 0.5, (bounds.top + bounds.bottom) * 0.5];
+                }
+                transform += " " + type + "(" + args[type].toString() + ")";
+            }
+        }
+        node.setAttribute("transform", transform);
+    },
+
+    /**
+     * Returns the bounds for the group.
+     *
+     * @method getBounds
+     * @return Object
+     */
+    getBounds: function()
+    {
+        var bounds = this._getContentBounds(),
+            x = this.get("x") + this._translateX,
+            y = this.get("y") + this._translateY;
+        return {
+            left: bounds.left + x,
+            top: bounds.top + y,
+            right: bounds.right + x,
+            bottom: bounds.bottom + y
+        };
+    }
+ }, {
+    ATTRS: {
+        /**
+         * Width of the shapes in the group.
+         *
+         * @attribute width
+         * @readOnly
+         */
+        width: {
+            readOnly: true,
+
+            getter: function()
+            {
+                var bounds = this._getContentBounds();
+                return bounds.right - bounds.left;
+            }
+        },
+
+        /**
+         * Height of the shapes in the group.
+         *
+         * @attribute height
+         * @readOnly
+         */
+        height: {
+            readOnly: true,
+
+            getter: function()
+            {
+                var bounds = this._getContentBounds();
+                return bounds.bottom - bounds.top;
+            }
+        },
+
+        /**
+         * Groups do not have a fill.
+         *
+         * @attribute fill
+         * @type Object
+         */
+        fill: {
+            valueFn: function()
+            {
+                return null;
+            }
+        },
+
+        /**
+         * Groups do not have a stroke.
+         *
+         * @attribute stroke
+         * @type Object
+         */
+        stroke: {
+            valueFn: function()
+            {
+                return null;
+            }
+        }
+    }
+ });
@@ -0,0 +1,155 @@
+/**
+ * Draws an image
+ *
+ * @class Image
+ * @extends Shape
+ */
+ Y.Image = Y.Base.create("image", Y.Shape, [], {
+    /**
+     * Indicates the type of shape
+     *
+     * @property _type
+     * @readOnly
+     * @type String
+     */
+    _type: "image",
+
+    /**
+     * Initializes the image
+     *
+     * @private
+     * @method initializer
+     */
+    initializer: function()
+    {
+        this._loadImage();
+    },
+
+    /**
+     * Adds change listeners to the shape.
+     *
+     * @private
+     * @method _addListeners
+     */
+    _addListeners: function()
+    {
+        Y.Image.superclass._addListeners.apply(this);
+        this.after("srcChange", this._srcChangeHandler);
+    },
+
+    /**
+     * Loads the new source and redraws the image.
+     *
+     * @private
+     * @method _srcChangeHandler
+     */
+    _srcChangeHandler: function(e)
+    {
+        this._loadImage();
+        this._updateHandler();
+    },
+
+    /**
+     * Loads the source of the image to determine its natural size. Used when the <code>width</code> or
+     * <code>height</code> is not set.
+     *
+     * @private
+     * @method _loadImage
+     */
+    _loadImage: function()
+    {
+        var src = this.get("src"),
+            image;
+        if(src && (!this.get("width") || !this.get("height")))
+        {
+            image = new Image();
+            this._image = image;
+            image.onload = Y.bind(this._imageLoadHandler, this, image);
+            image.src = src;
+        }
+    },
+
+    /**
+     * Sets the natural size of the image once it has loaded.
+     *
+     * @private
+     * @method _imageLoadHandler
+     */
+    _imageLoadHandler: function(image)
+    {
+        if(image === this._image)
+        {
+            if(!this.get("width"))
+            {
+                this.set("width", image.width);
+            }
+            if(!this.get("height"))
+            {
+                this.set("height", image.height);
+            }
+        }
+    },
+
+    /**
+     * Updates the shape.
+     *
+     * @method _draw
+     * @private
+     */
+    _draw: function()
+    {
+        var node = this.get("node");
+        node.setAttribute("x", this.get("x"));
+        node.setAttribute("y", this.get("y"));
+        node.setAttribute("width", this.get("width") || 0);
+        node.setAttribute("height", this.get("height") || 0);
+        node.setAttribute("preserveAspectRatio", "none");
+        node.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", this.get("src"));
+        this._updateTransform();
+    }
+ }, {
+    ATTRS: {
+        /**
+         * Url of the image.
+         *
+         * @attribute src
+         * @type String
+         */
+        src: {
+            value: ""
+        },
+
+        /**
+         * Width of the image. When not set, the natural width of the image is used once it has loaded.
+         *
+         * @attribute width
+         * @type Number
+         */
+        width: {
+            value: 0
+        },
+
+        /**
+         * Height of the image. When not set, the natural height of the image is used once it has loaded.
+         *
+         * @attribute height
+         * @type Number
+         */
+        height: {
+            value: 0
+        },
+
+        /**
+         * Images are not stroked.
+         *
+         * @attribute stroke
+         * @type Object
+         */
+        stroke: {
+            valueFn: function()
+            {
+                return null;
+            }
+        }
+    }
+ });
@@ -0,0 +1,239 @@
+/**
+ * Draws text
+ *
+ * @class Text
+ * @extends Shape
+ */
+ Y.Text = Y.Base.create("text", Y.Shape, [], {
+    /**
+     * Indicates the type of shape
+     *
+     * @property _type
+     * @readOnly
+     * @type String
+     */
+    _type: "text",
+
+    /**
+     * Portion of the font size above the baseline. Used to calculate the bounds of the text.
+     *
+     * @property _ascent
+     * @type Number
+     * @private
+     */
+    _ascent: 0.8,
+
+    /**
+     * Adds change listeners to the shape.
+     *
+     * @private
+     * @method _addListeners
+     */
+    _addListeners: function()
+    {
+        Y.Text.superclass._addListeners.apply(this);
+        this.after("textChange", this._updateHandler);
+        this.after("fontFamilyChange", this._updateHandler);
+        this.after("fontSizeChange", this._updateHandler);
+        this.after("fontWeightChange", this._updateHandler);
+        this.after("fontStyleChange", this._updateHandler);
+        this.after("textAnchorChange", this._updateHandler);
+    },
+
+    /**
+     * Updates the shape.
+     *
+     * @method _draw
+     * @private
+     */
+    _draw: function()
+    {
+        var node = this.get("node");
+        node.setAttribute("x", this.get("x"));
+        node.setAttribute("y", this.get("y"));
+        node.setAttribute("font-family", this.get("fontFamily"));
+        node.setAttribute("font-size", this.get("fontSize") + "px");
+        node.setAttribute("font-weight", this.get("fontWeight"));
+        node.setAttribute("font-style", this.get("fontStyle"));
+        node.setAttribute("text-anchor", this.get("textAnchor"));
+        while(node.firstChild)
+        {
+            node.removeChild(node.firstChild);
+        }
+        node.appendChild(document.createTextNode(this.get("text")));
+        this._fillChangeHandler();
+        this._strokeChangeHandler();
+        this._updateTransform();
+    },
+
+    /**
+     * Returns the bounds for the text. The top of the bounds is estimated from the font size.
+     *
+     * @method getBounds
+     * @return Object
+     */
+    getBounds: function()
+    {
+        var w = this.get("width"),
+            fontSize = this.get("fontSize"),
+            anchor = this.get("textAnchor"),
+            stroke = this.get("stroke"),
+            x = this.get("x") + this.get("translateX"),
+            y = this.get("y") + this.get("translateY"),
+            wt = 0,
+            bounds = {};
+        if(stroke && stroke.weight)
+        {
+            wt = stroke.weight;
+        }
+        if(anchor == "middle")
+        {
+            x -= w * 0.5;
+        }
+        else if(anchor == "end")
+        {
+            x -= w;
+        }
+        bounds.left = x - wt;
+        bounds.top = y - fontSize * this._ascent - wt;
+        bounds.right = x + w + wt;
+        bounds.bottom = y + fontSize * (1 - this._ascent) + wt;
+        return bounds;
+    }
+ }, {
+    ATTRS: {
+        /**
+         * The text to display.
+         *
+         * @attribute text
+         * @type String
+         */
+        text: {
+            value: ""
+        },
+
+        /**
+         * Font family of the text.
+         *
+         * @attribute fontFamily
+         * @type String
+         */
+        fontFamily: {
+            value: "Arial"
+        },
+
+        /**
+         * Font size of the text in pixels.
+         *
+         * @attribute fontSize
+         * @type Number
+         */
+        fontSize: {
+            value: 12
+        },
+
+        /**
+         * Font weight of the text.
+         *
+         * @attribute fontWeight
+         * @type String
+         */
+        fontWeight: {
+            value: "normal"
+        },
+
+        /**
+         * Font style of the text.
+         *
+         * @attribute fontStyle
+         * @type String
+         */
+        fontStyle: {
+            value: "normal"
+        },
+
+        /**
+         * Indicates how the text is aligned to the x coordinate. Possible values are <code>start</code>,
+         * <code>middle</code> and <code>end</code>. The y coordinate is the baseline of the text.
+         *
+         * @attribute textAnchor
+         * @type String
+         */
+        textAnchor: {
+            value: "start"
+        },
+
+        /**
+         * Measured width of the text.
+         *
+         * @attribute width
+         * @readOnly
+         */
+        width: {
+            readOnly: true,
+
+            getter: function()
+            {
+                var node = this.get("node"),
+                    w = 0;
+                try
+                {
+                    w = node.getComputedTextLength();
+                }
+                catch(e)
+                {
+                    //the node is not measurable until it is in the dom
+                }
+                return w;
+            }
+        },
+
+        /**
+         * Height of the text. Equal to the <code>fontSize</code>.
+         *
+         * @attribute height
+         * @readOnly
+         */
+        height: {
+            readOnly: true,
+
+            getter: function()
+            {
+                return this.get("fontSize");
+            }
+        },
+
+        /**
+         * Contains information about the fill of the text. The default color is #000.
+         *
+         * @attribute fill
+         * @type Object
+         */
+        fill: {
+            valueFn: function()
+            {
+                return {
+                    color: "#000",
+                    alpha: 1
+                };
+            }
+        },
+
+        /**
+         * Contains information about the stroke of the text. By default, the text is not stroked.
+         *
+         * @attribute stroke
+         * @type Object
+         */
+        stroke: {
+            valueFn: function()
+            {
+                return {
+                    weight: 0,
+                    color: "#000",
+                    alpha: 1
+                };
+            }
+        }
+    }
+ });
@@ -8,6 +8,10 @@ sheet.addRule(".vmloval", "behavior:url(#default#VML)", sheet.rules.length);
 sheet.addRule(".vmloval", "display:inline-block", sheet.rules.length);
 sheet.addRule(".vmlrect", "behavior:url(#default#VML)", sheet.rules.length);
 sheet.addRule(".vmlrect", "display:block", sheet.rules.length);
+sheet.addRule(".vmlpath", "behavior:url(#default#VML)", sheet.rules.length);
+sheet.addRule(".vmltextpath", "behavior:url(#default#VML)", sheet.rules.length);
+sheet.addRule(".vmlimage", "behavior:url(#default#VML)", sheet.rules.length);
+sheet.addRule(".vmlimage", "display:inline-block", sheet.rules.length);
 sheet.addRule(".vmlfill", "behavior:url(#default#VML)", sheet.rules.length);
 sheet.addRule(".vmlstroke", "behavior:url(#default#VML)", sheet.rules.length);
 Y.log('using VML');
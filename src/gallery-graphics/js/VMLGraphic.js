@@ -244,6 +244,27 @@ Graphic.prototype = {
         this._shapes[shape.get("id")] = shape;
     },
 
+    /**
+     * Removes a shape instance from the graphic instance.
+     *
+     * @method removeShape
+     * @param {Shape} shape The shape instance to be removed.
+     */
+    removeShape: function(shape)
+    {
+        var node = shape.get("node"),
+            index = Y.Array.indexOf(this._graphicsList || [], node);
+        if(index > -1)
+        {
+            this._graphicsList.splice(index, 1);
+            delete this._shapes[shape.get("id")];
+            if(node.parentNode)
+            {
+                node.parentNode.removeChild(node);
+            }
+        }
+    },
+
     /**
      * Returns a shape based on the id of its dom node.
      *
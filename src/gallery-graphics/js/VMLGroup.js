@@ -0,0 +1,213 @@
+/**
+ * Groups shapes so that they can be positioned and transformed together. The coordinates of the shapes
+ * in a group are relative to the group.
+ *
+ * @class Group
+ * @extends Shape
+ */
+ Y.Group = Y.Base.create("group", Y.Shape, [], {
+    /**
+     * Indicates the type of shape
+     *
+     * @property _type
+     * @readOnly
+     * @type String
+     */
+    _type: "group",
+
+    /**
+     * Shapes in the group.
+     *
+     * @property _shapes
+     * @type Array
+     * @private
+     */
+    _shapes: null,
+
+    /**
+     * Initializes the group
+     *
+     * @private
+     * @method initializer
+     */
+    initializer: function()
+    {
+        this._shapes = [];
+    },
+
+    /**
+     * Adds change listeners to the shape.
+     *
+     * @private
+     * @method _addListeners
+     */
+    _addListeners: function()
+    {
+        Y.Group.superclass._addListeners.apply(this);
+        this.after("xChange", this._draw);
+        this.after("yChange", this._draw);
+    },
+
+    /**
+     * Adds a shape instance to the group.
+     *
+     * @method addShape
+     * @param {Shape} shape The shape instance to be added to the group.
+     */
+    addShape: function(shape)
+    {
+        shape.set("graphic", this);
+        this.get("node").appendChild(shape.get("node"));
+        this._shapes.push(shape);
+        this._draw();
+    },
+
+    /**
+     * Removes a shape instance from the group.
+     *
+     * @method removeShape
+     * @param {Shape} shape The shape instance to be removed.
+     */
+    removeShape: function(shape)
+    {
+        var node = shape.get("node"),
+            index = Y.Array.indexOf(this._shapes, shape);
+        if(index > -1)
+        {
+            this._shapes.splice(index, 1);
+            if(node.parentNode)
+            {
+                node.parentNode.removeChild(node);
+            }
+            this._draw();
+        }
+    },
+
+    /**
+     * Returns a shape in the group based on the id of its dom node.
+     *
+     * @method getShape
+     * @param {String} id Dom id of the shape's node attribute.
+     * @return Shape
+     */
+    getShape: function(id)
+    {
+        var shapes = this._shapes,
+            i = 0,
+            len = shapes.length;
+        for(; i < len; ++i)
+        {
+            if(shapes[i].get("id") == id)
+            {
+                return shapes[i];
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Resizes the group when one of its shapes changes.
+     *
+     * @method updateSize
+     */
+    updateSize: function(e)
+    {
+        this._draw();
+    },
+
+    /**
+     * Returns the bounds of the shapes in the coordinate space of the group.
+     *
+     * @method _getContentBounds
+     * @return Object
+     * @private
+     */
+    _getContentBounds: function()
+    {
+        var shapes = this._shapes || [],
+            bounds,
+            contentBounds = {left: 0, top: 0, right: 0, bottom: 0},
+            i = 0,
+            len = shapes.length;
+        for(; i < len; ++i)
+        {
+            bounds = shapes[i].getBounds();
+            contentBounds.left = Math.min(contentBounds.left, bounds.left);
+            contentBounds.top = Math.min(contentBounds.top, bounds.top);
+            contentBounds.right = Math.max(contentBounds.right, bounds.right);
+            contentBounds.bottom = Math.max(contentBounds.bottom, bounds.bottom);
+        }
+        return contentBounds;
+    },
+
+    /**
+     * Sizes the group to its shapes. The coordinate size matches the pixel size so that the shapes are not scaled.
+     *
+     * @method _draw
+     * @private
+     */
+    _draw: function()
+    {
+        var node = this.get("node"),
+            w = this.get("width"),
+            h = this.get("height");
+        node.style.position = "absolute";
+        node.style.left = this.get("x") + "px";
+        node.style.top = this.get("y") + "px";
+        node.style.width = w + "px";
+        node.style.height = h + "px";
+        node.coordSize = w + " " + h;
+        this.fire("shapeUpdate");
+    },
+
+    /**
+     * Returns the bounds for the group.
+     *
+     * @method getBounds
+     * @return Object
+     */
+    getBounds: function()
+    {
+        var bounds = this._getContentBounds(),
+            x = this.get("x"),
+            y = this.get("y");
+        return {
+            left: bounds.left + x,
+            top: bounds.top + y,
+            right: bounds.right + x,
+            bottom: bounds.bottom + y
+        };
+    }
+ }, {
+    ATTRS: {
+        /**
+         * Width of the shapes in the group.
+         *
+         * @attribute width
+         * @readOnly
+         */
+        width: {
+            readOnly: true,
+
+            getter: function()
+            {
+                return Math.max(Math.ceil(this._getContentBounds().right), 1);
+            }
+        },
+
+        /**
+         * Height of the shapes in the group.
+         *
+         * @attribute height
+         * @readOnly
+         */
+        height: {
+            readOnly: true,
+
+            getter: function()
+            {
+                return Math.max(Math.ceil(this._getContentBounds().bottom), 1);
+            }
+        }
+    }
+ });
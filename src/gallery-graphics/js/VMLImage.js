@@ -0,0 +1,134 @@
+/**
+ * Draws an image
+ *
+ * @class Image
+ * @extends Shape
+ */
+ Y.Image = Y.Base.create("image", Y.Shape, [], {
+    /**
+     * Indicates the type of shape
+     *
+     * @property _type
+     * @readOnly
+     * @type String
+     */
+    _type: "image",
+
+    /**
+     * Initializes the image
+     *
+     * @private
+     * @method initializer
+     */
+    initializer: function()
+    {
+        this._loadImage();
+    },
+
+    /**
+     * Adds change listeners to the shape.
+     *
+     * @private
+     * @method _addListeners
+     */
+    _addListeners: function()
+    {
+        Y.Image.superclass._addListeners.apply(this);
+        this.after("srcChange", this._srcChangeHandler);
+        this.after("widthChange", this._draw);
+        this.after("heightChange", this._draw);
+    },
+
+    /**
+     * Loads the new source and redraws the image.
+     *
+     * @private
+     * @method _srcChangeHandler
+     */
+    _srcChangeHandler: function(e)
+    {
+        this._loadImage();
+        this._draw();
+    },
+
+    /**
+     * Loads the source of the image to determine its natural size. Used when the <code>width</code> or
+     * <code>height</code> is not set.
+     *
+     * @private
+     * @method _loadImage
+     */
+    _loadImage: function()
+    {
+        var src = this.get("src"),
+            image;
+        if(src && (!this.get("width") || !this.get("height")))
+        {
+            image = new Image();
+            this._image = image;
+            image.onload = Y.bind(this._imageLoadHandler, this, image);
+            image.src = src;
+        }
+    },
+
+    /**
+     * Sets the natural size of the image once it has loaded.
+     *
+     * @private
+     * @method _imageLoadHandler
+     */
+    _imageLoadHandler: function(image)
+    {
+        if(image === this._image)
+        {
+            if(!this.get("width"))
+            {
+                this.set("width", image.width);
+            }
+            if(!this.get("height"))
+            {
+                this.set("height", image.height);
+            }
+        }
+    },
+
+    /**
+     * @private
+     */
+    _draw: function()
+    {
+        var node = this.get("node");
+        node.style.position = "absolute";
+        node.style.left = this.get("x") + "px";
+        node.style.top = this.get("y") + "px";
+        node.style.width = (this.get("width") || 0) + "px";
+        node.style.height = (this.get("height") || 0) + "px";
+        node.src = this.get("src");
+        this.fire("shapeUpdate");
+    }
+ }, {
+    ATTRS: {
+        /**
+         * Url of the image.
+         *
+         * @attribute src
+         * @type String
+         */
+        src: {
+            value: ""
+        },
+
+        /**
+         * Images are not stroked.
+         *
+         * @attribute stroke
+         * @type Object
+         */
+        stroke: {
+            valueFn: function()
+            {
+                return null;
+            }
+        }
+    }
+ });
@@ -0,0 +1,291 @@
+/**
+ * Draws text
+ *
+ * @class Text
+ * @extends Shape
+ */
+ Y.Text = Y.Base.create("text", Y.Shape, [], {
+    /**
+     * Indicates the type of shape
+     *
+     * @property _type
+     * @readOnly
+     * @type String
+     */
+    _type: "shape",
+
+    /**
+     * Portion of the font size above the baseline. Used to position the text.
+     *
+     * @property _ascent
+     * @type Number
+     * @private
+     */
+    _ascent: 0.8,
+
+    /**
+     * Adds change listeners to the shape.
+     *
+     * @private
+     * @method _addListeners
+     */
+    _addListeners: function()
+    {
+        Y.Text.superclass._addListeners.apply(this);
+        this.after("textChange", this._draw);
+        this.after("fontFamilyChange", this._draw);
+        this.after("fontSizeChange", this._draw);
+        this.after("fontWeightChange", this._draw);
+        this.after("fontStyleChange", this._draw);
+        this.after("textAnchorChange", this._draw);
+        this.after("xChange", this._draw);
+        this.after("yChange", this._draw);
+    },
+
+    /**
+     * Returns the css font for the text.
+     *
+     * @method _getFont
+     * @return String
+     * @private
+     */
+    _getFont: function()
+    {
+        return this.get("fontStyle") + " " + this.get("fontWeight") + " " + this.get("fontSize") + "px " + this.get("fontFamily");
+    },
+
+    /**
+     * Returns the left edge of the text based on the <code>textAnchor</code>.
+     *
+     * @method _getTextLeft
+     * @return Number
+     * @private
+     */
+    _getTextLeft: function()
+    {
+        var x = this.get("x"),
+            w = this.get("width"),
+            anchor = this.get("textAnchor");
+        if(anchor == "middle")
+        {
+            x -= w * 0.5;
+        }
+        else if(anchor == "end")
+        {
+            x -= w;
+        }
+        return x;
+    },
+
+    /**
+     * Draws the text on a straight textpath through the middle of the shape.
+     *
+     * @method _draw
+     * @private
+     */
+    _draw: function()
+    {
+        var node = this.get("node"),
+            fontSize = this.get("fontSize"),
+            w = Math.ceil(this.get("width")),
+            h = Math.ceil(fontSize),
+            textPathNode = this._textPathNode;
+        if(!textPathNode)
+        {
+            this._pathNode = this._createGraphicNode("path");
+            this._pathNode.textpathok = true;
+            node.appendChild(this._pathNode);
+            textPathNode = this._textPathNode = this._createGraphicNode("textpath");
+            textPathNode.on = true;
+            node.appendChild(textPathNode);
+        }
+        node.style.position = "absolute";
+        node.style.left = this._getTextLeft() + "px";
+        node.style.top = (this.get("y") - fontSize * this._ascent) + "px";
+        node.style.width = w + "px";
+        node.style.height = h + "px";
+        node.coordSize = w + " " + h;
+        node.path = "m 0," + Math.round(h * 0.5) + " l " + w + "," + Math.round(h * 0.5) + " e";
+        textPathNode.string = this.get("text");
+        textPathNode.style.font = this._getFont();
+        textPathNode.style["v-text-align"] = "left";
+        this._fillChangeHandler();
+        this._strokeChangeHandler();
+        this.fire("shapeUpdate");
+    },
+
+    /**
+     * Measures the width of the text with a hidden span.
+     *
+     * @method _measureText
+     * @return Number
+     * @private
+     */
+    _measureText: function()
+    {
+        var doc = Y.config.doc,
+            span = doc.createElement("span"),
+            w;
+        span.style.position = "absolute";
+        span.style.visibility = "hidden";
+        span.style.whiteSpace = "nowrap";
+        span.style.font = this._getFont();
+        span.appendChild(doc.createTextNode(this.get("text")));
+        doc.body.appendChild(span);
+        w = span.offsetWidth;
+        doc.body.removeChild(span);
+        return w;
+    },
+
+    /**
+     * Returns the bounds for the text.
+     *
+     * @method getBounds
+     * @return Object
+     */
+    getBounds: function()
+    {
+        var w = this.get("width"),
+            fontSize = this.get("fontSize"),
+            stroke = this.get("stroke"),
+            x = this._getTextLeft(),
+            y = this.get("y"),
+            wt = 0,
+            bounds = {};
+        if(stroke && stroke.weight)
+        {
+            wt = stroke.weight;
+        }
+        bounds.left = x - wt;
+        bounds.top = y - fontSize * this._ascent - wt;
+        bounds.right = x + w + wt;
+        bounds.bottom = y + fontSize * (1 - this._ascent) + wt;
+        return bounds;
+    }
+ }, {
+    ATTRS: {
+        /**
+         * The text to display.
+         *
+         * @attribute text
+         * @type String
+         */
+        text: {
+            value: ""
+        },
+
+        /**
+         * Font family of the text.
+         *
+         * @attribute fontFamily
+         * @type String
+         */
+        fontFamily: {
+            value: "Arial"
+        },
+
+        /**
+         * Font size of the text in pixels.
+         *
+         * @attribute fontSize
+         * @type Number
+         */
+        fontSize: {
+            value: 12
+        },
+
+        /**
+         * Font weight of the text.
+         *
+         * @attribute fontWeight
+         * @type String
+         */
+        fontWeight: {
+            value: "normal"
+        },
+
+        /**
+         * Font style of the text.
+         *
+         * @attribute fontStyle
+         * @type String
+         */
+        fontStyle: {
+            value: "normal"
+        },
+
+        /**
+         * Indicates how the text is aligned to the x coordinate. Possible values are <code>start</code>,
+         * <code>middle</code> and <code>end</code>. The y coordinate is the baseline of the text.
+         *
+         * @attribute textAnchor
+         * @type String
+         */
+        textAnchor: {
+            value: "start"
+        },
+
+        /**
+         * Measured width of the text.
+         *
+         * @attribute width
+         * @readOnly
+         */
+        width: {
+            readOnly: true,
+
+            getter: function()
+            {
+                return this._measureText();
+            }
+        },
+
+        /**
+         * Height of the text. Equal to the <code>fontSize</code>.
+         *
+         * @attribute height
+         * @readOnly
+         */
+        height: {
+            readOnly: true,
+
+            getter: function()
+            {
+                return this.get("fontSize");
+            }
+        },
+
+        /**
+         * Contains information about the fill of the text. The default color is #000.
+         *
+         * @attribute fill
+         * @type Object
+         */
+        fill: {
+            valueFn: function()
+            {
+                return {
+                    color: "#000",
+                    alpha: 1
+                };
+            }
+        },
+
+        /**
+         * Contains information about the stroke of the text. By default, the text is not stroked.
+         *
+         * @attribute stroke
+         * @type Object
+         */
+        stroke: {
+            valueFn: function()
+            {
+                return {
+                    weight: 0,
+                    color: "#000",
+                    alpha: 1
+                };
+            }
+        }
+    }
+ });
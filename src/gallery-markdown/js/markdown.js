@@ -126,6 +126,62 @@ expose.toHTMLTree = function toHTMLTree( input, dialect , options ) {
   return html;
 };
 
+/**
+Turn a tree back into normalized markdown. Accepts a markdown tree as
+returned by [[parse]], an HTML tree as returned by [[toHTMLTree]], a string
+of HTML or a DOM node (or Y.Node) whose contents are serialized.
+
+Reference style links in a markdown tree are written out together with
+their definitions at the end of the document. Fenced code, tables, task
+lists and strikethrough are only written when `dialect` supports them (e.g.
+`GFM`).
+
+@method toMarkdown
+@static
+@param input {Array | String | Node} tree, HTML string or node to serialize
+@param dialect {String | Object} the dialect to write, defaults to gruber
+@return {String} the markdown source
+**/
+expose.toMarkdown = function toMarkdown( input, dialect ) {
+  var d = new Markdown( dialect ).dialect;
+
+  if ( typeof input === "string" ) {
+    input = parse_html( input );
+  }
+  else if ( input && input.getDOMNode ) {
+    input = input.getDOMNode();
+  }
+
+  if ( input && input.nodeType ) {
+    input = [ "html" ].concat( dom_to_jsonml( input ).slice( 1 ) );
+  }
+
+  if ( input[ 0 ] !== "markdown" ) {
+    input = convert_html_to_tree( input[ 0 ] === "html" ? input : [ "html", input ] );
+  }
+
+  var attrs = extract_attr( input ),
+      state = {
+        references: attrs && attrs.references || {},
+        fenced: "fencedCode" in d.block,
+        tables: "table" in d.block,
+        strike: "~" in d.inline
+      },
+      md = render_md_blocks( jsonml_children( input ), state ),
+      defns = [];
+
+  for ( var ref in state.references ) {
+    var r = state.references[ ref ];
+    defns.push( "[" + ref + "]: " + r.href + ( r.title ? " " + quote_md_title( r.title ) : "" ) );
+  }
+
+  if ( defns.length ) {
+    md += ( md ? "\n\n" : "" ) + defns.join( "\n" );
+  }
+
+  return md;
+};
+
 // For Spidermonkey based engines
 function mk_block_toSource() {
   return "Markdown.mk_block( " +
@@ -1352,6 +1408,277 @@ Markdown.dialects.Maruku.inline[ "{:" ] = function inline_meta( text, matches, o
 Markdown.buildBlockOrder ( Markdown.dialects.Maruku.block );
 Markdown.buildInlinePatterns( Markdown.dialects.Maruku.inline );
 
+/**
+ * Markdown.dialects.GFM
+ *
+ * GitHub Flavored Markdown. Extends the Gruber dialect with fenced code
+ * blocks, pipe tables, task lists, strikethrough and bare URL/email
+ * autolinks, following the GFM spec at http://github.github.com/gfm/
+ **/
+Markdown.dialects.GFM = Markdown.subclassDialect( Markdown.dialects.Gruber );
+
+Markdown.dialects.GFM.block.fencedCode = function fencedCode( block, next ) {
+  var open_re = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\n]*?)[ \t]*(?:\n|$)/,
+      m = block.match( open_re );
+
+  if ( !m ) {
+    // A fence can interrupt a paragraph, but not a list or a blockquote
+    var split = block.match( /^([\s\S]*?)\n( {0,3}(?:`{3,}|~{3,})[^\n]*(?:\n[\s\S]*)?)$/ );
+    if ( !split || !open_re.test( split[ 2 ] ) ||
+         split[ 1 ].match( /^(?: {0,3}(?:[*+-]|\d+\.)[ \t]+|>)/ ) ) {
+      return undefined;
+    }
+
+    next.unshift( mk_block( split[ 2 ], block.trailing, block.lineNumber + count_lines( split[ 1 ] ) + 1 ) );
+    return this.processBlock( mk_block( split[ 1 ], "\n", block.lineNumber ), [] );
+  }
+
+  var indent = new RegExp( "^ {0," + m[ 1 ].length + "}" ),
+      close = new RegExp( "^ {0,3}" + m[ 2 ].charAt( 0 ) + "{" + m[ 2 ].length + ",}[ \\t]*$" ),
+      lang = m[ 3 ].split( /\s+/ )[ 0 ],
+      text = block.substr( m[ 0 ].length ),
+      trailing = block.trailing,
+      ret = [],
+      lines, i;
+
+  fence_search:
+  while ( true ) {
+    lines = text.length ? text.split( "\n" ) : [];
+
+    for ( i = 0; i < lines.length; i++ ) {
+      if ( close.test( lines[ i ] ) ) {
+        // Anything after the closing fence is a block of its own
+        if ( i + 1 < lines.length ) {
+          next.unshift( mk_block( lines.slice( i + 1 ).join( "\n" ), trailing ) );
+        }
+        break fence_search;
+      }
+      ret.push( lines[ i ].replace( indent, "" ) );
+    }
+
+    // An unclosed fence runs to the end of the document
+    if ( !next.length ) break;
+
+    // Put back the blank lines that split_blocks swallowed - minus one for .join
+    for ( i = trailing.replace( /[^\n]/g, "" ).length - 1; i > 0; i-- ) {
+      ret.push( "" );
+    }
+
+    text = next.shift();
+    trailing = text.trailing;
+    text = text.valueOf();
+  }
+
+  return [ lang
+           ? [ "code_block", { lang: lang }, ret.join( "\n" ) ]
+           : [ "code_block", ret.join( "\n" ) ] ];
+};
+
+Markdown.dialects.GFM.block.table = (function( ) {
+  // Split a table row on unescaped pipes, dropping the optional outer ones
+  function split_row( line ) {
+    var cells = [],
+        cell = "";
+
+    line = line.replace( /^\s*\|/, "" ).replace( /(^|[^\\])\|\s*$/, "$1" );
+    for ( var i = 0; i < line.length; i++ ) {
+      if ( line.charAt( i ) == "\\" && line.charAt( i + 1 ) == "|" ) {
+        cell += "|";
+        i++;
+      }
+      else if ( line.charAt( i ) == "|" ) {
+        cells.push( cell.replace( /^\s+|\s+$/g, "" ) );
+        cell = "";
+      }
+      else {
+        cell += line.charAt( i );
+      }
+    }
+    cells.push( cell.replace( /^\s+|\s+$/g, "" ) );
+    return cells;
+  }
+
+  return function table( block, next ) {
+    var lines = block.split( /\n/ );
+
+    if ( lines.length < 2 ||
+         !lines[ 1 ].match( /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/ ) ||
+         ( lines[ 0 ].indexOf( "|" ) == -1 && lines[ 1 ].indexOf( "|" ) == -1 ) ) {
+      return undefined;
+    }
+
+    var header = split_row( lines[ 0 ] ),
+        align = split_row( lines[ 1 ] ),
+        i, j;
+
+    // The delimiter row has to line up with the header row
+    if ( header.length != align.length ) return undefined;
+
+    for ( i = 0; i < align.length; i++ ) {
+      var left = align[ i ].charAt( 0 ) == ":",
+          right = align[ i ].charAt( align[ i ].length - 1 ) == ":";
+      align[ i ] = left && right ? "center" : left ? "left" : right ? "right" : null;
+    }
+
+    function make_row( cells, tag ) {
+      var tr = [ "tr" ];
+      for ( var i = 0; i < align.length; i++ ) {
+        var cell = [ tag ];
+        if ( align[ i ] ) cell.push( { align: align[ i ] } );
+        if ( i < cells.length && cells[ i ].length ) {
+          cell.push.apply( cell, this.processInline( cells[ i ] ) );
+        }
+        tr.push( cell );
+      }
+      return tr;
+    }
+
+    var table = [ "table", [ "thead", make_row.call( this, header, "th" ) ] ],
+        tbody = [ "tbody" ];
+
+    for ( j = 2; j < lines.length; j++ ) {
+      tbody.push( make_row.call( this, split_row( lines[ j ] ), "td" ) );
+    }
+
+    if ( tbody.length > 1 ) table.push( tbody );
+
+    return [ table ];
+  };
+})();
+
+Markdown.dialects.GFM.block.lists = (function( ) {
+  var task_re = /^\[([ xX])\]$/;
+
+  // Turn a leading `[ ]` or `[x]` in each listitem of `list` into a checkbox
+  function mark_tasks( list ) {
+    for ( var i = 1; i < list.length; i++ ) {
+      var li = list[ i ];
+      if ( !isArray( li ) || li[ 0 ] != "listitem" ) continue;
+
+      var content = isArray( li[ 1 ] ) && li[ 1 ][ 0 ] == "para" ? li[ 1 ] : li,
+          first = content[ 1 ],
+          m;
+
+      if ( isArray( first ) && first[ 0 ] == "link_ref" &&
+           ( m = first[ 1 ].original.match( task_re ) ) &&
+           typeof content[ 2 ] == "string" && content[ 2 ].match( /^\s/ ) ) {
+        content[ 1 ] = [ "checkbox", { checked: m[ 1 ] != " " } ];
+      }
+
+      for ( var j = 1; j < li.length; j++ ) {
+        if ( isArray( li[ j ] ) && ( li[ j ][ 0 ] == "bulletlist" || li[ j ][ 0 ] == "numberlist" ) ) {
+          mark_tasks( li[ j ] );
+        }
+      }
+    }
+  }
+
+  return function lists( block, next ) {
+    var ret = Markdown.dialects.Gruber.block.lists.call( this, block, next );
+    if ( !ret ) return ret;
+
+    forEach( ret, function( node ) {
+      if ( node[ 0 ] == "bulletlist" || node[ 0 ] == "numberlist" ) mark_tasks( node );
+    } );
+    return ret;
+  };
+})();
+
+Markdown.dialects.GFM.inline[ "\\" ] = function escaped( text ) {
+  // GFM allows any ASCII punctuation to be escaped
+  if ( text.match( /^\\[!"#$%&'()*+,.\/:;<=>?@\[\\\]^_`{|}~\-]/ ) )
+    return [ 2, text.charAt( 1 ) ];
+  else
+    return [ 1, "\\" ];
+};
+
+Markdown.dialects.GFM.inline[ "~" ] = function strikethrough( text ) {
+  // ~foo~ or ~~foo~~, but the runs of tildes have to match
+  var m = text.match( /^(~~?)(?!~)(?=\S)([\s\S]*?[^\s~])\1(?!~)/ );
+
+  if ( !m ) {
+    m = text.match( /^~+/ );
+    return [ m[ 0 ].length, m[ 0 ] ];
+  }
+
+  return [ m[ 0 ].length, [ "del" ].concat( this.processInline( m[ 2 ] ) ) ];
+};
+
+(function( ) {
+  // Bare URLs and emails may only start after whitespace or one of these
+  var boundary_re = /(?:^|[\s*_~(])$/;
+
+  function at_boundary( previous_nodes ) {
+    var last = previous_nodes[ previous_nodes.length - 1 ];
+    return last === undefined || ( typeof last === "string" && boundary_re.test( last ) );
+  }
+
+  // Trim trailing punctuation, unbalanced parens and entity references
+  function trim_url( url ) {
+    var m;
+    while ( true ) {
+      if ( ( m = url.match( /[?!.,:*_~]+$/ ) ) ) {
+        url = url.substr( 0, url.length - m[ 0 ].length );
+      }
+      else if ( ( m = url.match( /&[a-zA-Z0-9]+;$/ ) ) ) {
+        url = url.substr( 0, url.length - m[ 0 ].length );
+      }
+      else if ( url.charAt( url.length - 1 ) == ")" &&
+                ( url.match( /\)/g ) || [] ).length > ( url.match( /\(/g ) || [] ).length ) {
+        url = url.substr( 0, url.length - 1 );
+      }
+      else {
+        return url;
+      }
+    }
+  }
+
+  function bare_url( prefix ) {
+    return function autoLinkURL( text, orig_match, previous_nodes ) {
+      var m = text.match( /^(?:https?:\/\/|www\.)[a-zA-Z0-9_\-]+(?:\.[a-zA-Z0-9_\-]+)*[^\s<]*/ );
+
+      if ( !m || !at_boundary( previous_nodes ) ) return [ prefix.length, prefix ];
+
+      var url = trim_url( m[ 0 ] );
+      if ( url.length <= prefix.length ) return [ prefix.length, prefix ];
+
+      return [ url.length, [ "link", { href: ( prefix == "www." ? "http://" : "" ) + url }, url ] ];
+    };
+  }
+
+  Markdown.dialects.GFM.inline[ "http://" ] = bare_url( "http://" );
+  Markdown.dialects.GFM.inline[ "https://" ] = bare_url( "https://" );
+  Markdown.dialects.GFM.inline[ "www." ] = bare_url( "www." );
+
+  Markdown.dialects.GFM.inline[ "@" ] = function autoLinkEmail( text, orig_match, previous_nodes ) {
+    var last = previous_nodes[ previous_nodes.length - 1 ],
+        local = typeof last === "string" && last.match( /(^|[\s*_~(])([a-zA-Z0-9.\-_+]+)$/ ),
+        m = text.match( /^@([a-zA-Z0-9\-_]+(?:\.[a-zA-Z0-9\-_]+)+)/ );
+
+    if ( !local || !m ) return [ 1, "@" ];
+
+    // The domain can't end in - or _, and a trailing period isn't part of it
+    var domain = m[ 1 ].replace( /\.$/, "" );
+    if ( domain.match( /[\-_]$/ ) ) return [ 1, "@" ];
+
+    // Pull the local part back out of the text we already emitted
+    var address = local[ 2 ] + "@" + domain;
+    previous_nodes[ previous_nodes.length - 1 ] = last.substr( 0, last.length - local[ 2 ].length );
+
+    return [ domain.length + 1, [ "link", { href: "mailto:" + address }, address ] ];
+  };
+})();
+
+// Own properties of the subclassed block table would otherwise run before the
+// inherited Gruber ones, and `lists` has to come after `horizRule` or `* * *`
+// and `- - -` turn into lists.
+Markdown.dialects.GFM.block.__order__ = [
+  "fencedCode", "table",
+  "atxHeader", "setextHeader", "code", "horizRule", "lists",
+  "blockquote", "referenceDefn", "para"
+];
+Markdown.buildInlinePatterns( Markdown.dialects.GFM.inline );
+
 var isArray = Array.isArray || function(obj) {
   return Object.prototype.toString.call(obj) == '[object Array]';
 };
@@ -1451,7 +1778,7 @@ function render_tree( jsonml ) {
   }
 
   // be careful about adding whitespace here for inline elements
-  if ( tag == "img" || tag == "br" || tag == "hr" ) {
+  if ( tag == "img" || tag == "br" || tag == "hr" || tag == "input" ) {
     return "<"+ tag + tag_attrs + "/>";
   }
   else {
@@ -1511,9 +1838,22 @@ function convert_tree_to_html( tree, references, options ) {
       jsonml[ 0 ] = "pre";
       i = attrs ? 2 : 1;
       var code = [ "code" ];
+      // fenced code blocks carry their info string as a language class
+      if ( attrs && attrs.lang ) {
+        code.push( { "class": "language-" + attrs.lang } );
+        delete attrs.lang;
+      }
       code.push.apply( code, jsonml.splice( i ) );
       jsonml[ i ] = code;
       break;
+    case "checkbox":
+      jsonml[ 0 ] = "input";
+      jsonml[ 1 ] = { type: "checkbox", disabled: "disabled" };
+      if ( attrs.checked ) {
+        jsonml[ 1 ].checked = "checked";
+      }
+      attrs = jsonml[ 1 ];
+      break;
     case "inlinecode":
       jsonml[ 0 ] = "code";
       break;
@@ -1624,6 +1964,535 @@ function merge_text_nodes( jsonml ) {
   }
 }
 
+// Internal - the children of a JsonML node, skipping the attributes
+function jsonml_children( jsonml ) {
+  return jsonml.slice( extract_attr( jsonml ) ? 2 : 1 );
+}
+
+// Internal - parse an HTML string into a detached element
+function parse_html( html ) {
+  var doc = typeof Y !== "undefined" ? Y.config.doc :
+            typeof document !== "undefined" ? document : undefined;
+
+  if ( !doc ) {
+    throw new Error( "toMarkdown needs a DOM to parse HTML strings" );
+  }
+
+  var div = doc.createElement( "div" );
+  div.innerHTML = html;
+  return div;
+}
+
+// Internal - convert a DOM node into an HTML JsonML tree
+function dom_to_jsonml( node ) {
+  if ( node.nodeType === 3 ) {
+    return node.nodeValue;
+  }
+
+  var jsonml = [ node.nodeName.toLowerCase() ],
+      attrs = {},
+      has_attrs = false,
+      i;
+
+  for ( i = 0; node.attributes && i < node.attributes.length; i++ ) {
+    attrs[ node.attributes[ i ].name ] = node.attributes[ i ].value;
+    has_attrs = true;
+  }
+  if ( has_attrs ) jsonml.push( attrs );
+
+  for ( i = 0; i < node.childNodes.length; i++ ) {
+    // skip comments, processing instructions and the like
+    if ( node.childNodes[ i ].nodeType === 1 || node.childNodes[ i ].nodeType === 3 ) {
+      jsonml.push( arguments.callee( node.childNodes[ i ] ) );
+    }
+  }
+
+  return jsonml;
+}
+
+// Internal - the text content of an HTML JsonML node
+function jsonml_text( jsonml ) {
+  if ( typeof jsonml === "string" ) return jsonml;
+  if ( jsonml[ 0 ] === "br" ) return "\n";
+
+  var text = "",
+      children = jsonml_children( jsonml );
+  for ( var i = 0; i < children.length; i++ ) {
+    text += arguments.callee( children[ i ] );
+  }
+  return text;
+}
+
+var html_block_tags = {
+      p: 1, h1: 1, h2: 1, h3: 1, h4: 1, h5: 1, h6: 1, ul: 1, ol: 1, li: 1,
+      pre: 1, blockquote: 1, hr: 1, table: 1
+    },
+    // block elements that have no markdown equivalent and are unwrapped
+    html_container_tags = {
+      html: 1, body: 1, div: 1, section: 1, article: 1, header: 1,
+      footer: 1, main: 1, nav: 1, aside: 1, center: 1, form: 1, fieldset: 1
+    };
+
+function is_html_block( node ) {
+  return isArray( node ) && ( node[ 0 ] in html_block_tags || node[ 0 ] in html_container_tags );
+}
+
+// Internal - convert a list of HTML JsonML inline nodes to markdown JsonML
+function html_to_inline( nodes ) {
+  var out = [],
+      i, node, attrs;
+
+  function add( x ) {
+    if ( typeof x === "string" && typeof out[ out.length - 1 ] === "string" ) {
+      out[ out.length - 1 ] += x;
+    }
+    else {
+      out.push( x );
+    }
+  }
+
+  for ( i = 0; i < nodes.length; i++ ) {
+    node = nodes[ i ];
+
+    if ( typeof node === "string" ) {
+      add( node.replace( /\s+/g, " " ) );
+      continue;
+    }
+
+    attrs = extract_attr( node ) || {};
+
+    switch ( node[ 0 ] ) {
+      case "em":
+      case "i":
+        add( [ "em" ].concat( html_to_inline( jsonml_children( node ) ) ) );
+        break;
+      case "strong":
+      case "b":
+        add( [ "strong" ].concat( html_to_inline( jsonml_children( node ) ) ) );
+        break;
+      case "del":
+      case "s":
+      case "strike":
+        add( [ "del" ].concat( html_to_inline( jsonml_children( node ) ) ) );
+        break;
+      case "code":
+      case "tt":
+      case "kbd":
+      case "samp":
+        add( [ "inlinecode", jsonml_text( node ) ] );
+        break;
+      case "a":
+        if ( attrs.href === undefined ) {
+          forEach( html_to_inline( jsonml_children( node ) ), add );
+        }
+        else {
+          var link = { href: attrs.href };
+          if ( attrs.title ) link.title = attrs.title;
+          add( [ "link", link ].concat( html_to_inline( jsonml_children( node ) ) ) );
+        }
+        break;
+      case "img":
+        var img = { alt: attrs.alt || "", href: attrs.src || "" };
+        if ( attrs.title ) img.title = attrs.title;
+        add( [ "img", img ] );
+        break;
+      case "br":
+        add( [ "linebreak" ] );
+        break;
+      case "input":
+        if ( attrs.type === "checkbox" ) {
+          add( [ "checkbox", { checked: attrs.checked !== undefined && attrs.checked !== false } ] );
+        }
+        break;
+      default:
+        // span, font, etc. have no markdown equivalent - keep the content
+        forEach( html_to_inline( jsonml_children( node ) ), add );
+        break;
+    }
+  }
+
+  // whitespace either side of a line break is not significant
+  for ( i = 0; i < out.length; i++ ) {
+    if ( isArray( out[ i ] ) && out[ i ][ 0 ] === "linebreak" ) {
+      if ( typeof out[ i - 1 ] === "string" ) out[ i - 1 ] = out[ i - 1 ].replace( / +$/, "" );
+      if ( typeof out[ i + 1 ] === "string" ) out[ i + 1 ] = out[ i + 1 ].replace( /^ +/, "" );
+    }
+  }
+
+  return out;
+}
+
+// Internal - trim the leading and trailing whitespace of an inline run
+function trim_inline( nodes ) {
+  if ( typeof nodes[ 0 ] === "string" ) {
+    nodes[ 0 ] = nodes[ 0 ].replace( /^\s+/, "" );
+    if ( !nodes[ 0 ] ) nodes.shift();
+  }
+  if ( typeof nodes[ nodes.length - 1 ] === "string" ) {
+    nodes[ nodes.length - 1 ] = nodes[ nodes.length - 1 ].replace( /\s+$/, "" );
+    if ( !nodes[ nodes.length - 1 ] ) nodes.pop();
+  }
+  return nodes;
+}
+
+// Internal - convert a list of HTML JsonML nodes to markdown JsonML blocks.
+// Runs of inline content outside of a block element become paragraphs.
+function html_to_blocks( nodes ) {
+  var blocks = [],
+      inline = [];
+
+  function flush() {
+    var para = trim_inline( html_to_inline( inline ) );
+    if ( para.length ) blocks.push( [ "para" ].concat( para ) );
+    inline = [];
+  }
+
+  for ( var i = 0; i < nodes.length; i++ ) {
+    if ( !is_html_block( nodes[ i ] ) ) {
+      inline.push( nodes[ i ] );
+      continue;
+    }
+
+    flush();
+    if ( nodes[ i ][ 0 ] in html_container_tags ) {
+      blocks.push.apply( blocks, arguments.callee( jsonml_children( nodes[ i ] ) ) );
+    }
+    else {
+      blocks.push( html_to_block( nodes[ i ] ) );
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+// Internal - convert an HTML JsonML block element to markdown JsonML
+function html_to_block( node ) {
+  var attrs = extract_attr( node ) || {},
+      children = jsonml_children( node ),
+      i, m;
+
+  switch ( node[ 0 ] ) {
+    case "p":
+      return [ "para" ].concat( trim_inline( html_to_inline( children ) ) );
+    case "ul":
+    case "ol":
+      var list = [ node[ 0 ] === "ul" ? "bulletlist" : "numberlist" ];
+      for ( i = 0; i < children.length; i++ ) {
+        // stray text between list items is just whitespace
+        if ( isArray( children[ i ] ) ) list.push( html_to_block( children[ i ] ) );
+      }
+      return list;
+    case "li":
+      var loose = false;
+      for ( i = 0; i < children.length; i++ ) {
+        if ( is_html_block( children[ i ] ) && !children[ i ][ 0 ].match( /^[uo]l$/ ) ) loose = true;
+      }
+      if ( loose ) {
+        return [ "listitem" ].concat( html_to_blocks( children ) );
+      }
+      // a tight item is inline content, possibly followed by nested lists
+      var li = [ "listitem" ],
+          inline = [];
+      for ( i = 0; i <= children.length; i++ ) {
+        if ( i < children.length && !is_html_block( children[ i ] ) ) {
+          inline.push( children[ i ] );
+          continue;
+        }
+        li.push.apply( li, trim_inline( html_to_inline( inline ) ) );
+        inline = [];
+        if ( i < children.length ) li.push( html_to_block( children[ i ] ) );
+      }
+      return li;
+    case "pre":
+      var code = children.length === 1 && isArray( children[ 0 ] ) && children[ 0 ][ 0 ] === "code"
+                 ? extract_attr( children[ 0 ] ) || {}
+                 : {},
+          text = jsonml_text( node ).replace( /\n$/, "" );
+      if ( code[ "class" ] && ( m = code[ "class" ].match( /(?:^|\s)(?:language|lang)-(\S+)/ ) ) ) {
+        return [ "code_block", { lang: m[ 1 ] }, text ];
+      }
+      return [ "code_block", text ];
+    case "blockquote":
+      return [ "blockquote" ].concat( html_to_blocks( children ) );
+    case "hr":
+      return [ "hr" ];
+    case "table":
+      return html_to_table( node );
+    default:
+      // h1 - h6
+      return [ "header", { level: parseInt( node[ 0 ].substr( 1 ), 10 ) } ]
+               .concat( trim_inline( html_to_inline( children ) ) );
+  }
+}
+
+// Internal - normalize an HTML table into thead and tbody with inline cells
+function html_to_table( node ) {
+  var rows = [],
+      head_rows = 0;
+
+  forEach( jsonml_children( node ), function( child ) {
+    if ( !isArray( child ) ) return;
+
+    if ( child[ 0 ] === "tr" ) {
+      rows.push( child );
+    }
+    else {
+      forEach( jsonml_children( child ), function( tr ) {
+        if ( isArray( tr ) && tr[ 0 ] === "tr" ) rows.push( tr );
+      } );
+      if ( child[ 0 ] === "thead" ) head_rows = rows.length;
+    }
+  } );
+
+  // without a thead the first row has to act as the header
+  head_rows = head_rows || 1;
+
+  function convert_row( tr, tag ) {
+    var row = [ "tr" ];
+    forEach( jsonml_children( tr ), function( cell ) {
+      if ( !isArray( cell ) ) return;
+      var attrs = extract_attr( cell ),
+          out = [ tag ];
+      if ( attrs && attrs.align ) out.push( { align: attrs.align } );
+      row.push( out.concat( trim_inline( html_to_inline( jsonml_children( cell ) ) ) ) );
+    } );
+    return row;
+  }
+
+  var table = [ "table", [ "thead", convert_row( rows[ 0 ] || [ "tr" ], "th" ) ] ],
+      tbody = [ "tbody" ];
+
+  // a markdown table only has the one header row
+  for ( var i = 1; i < rows.length; i++ ) {
+    tbody.push( convert_row( rows[ i ], i < head_rows ? "th" : "td" ) );
+  }
+  if ( tbody.length > 1 ) table.push( tbody );
+
+  return table;
+}
+
+// Internal - convert an HTML JsonML tree to a markdown JsonML tree
+function convert_html_to_tree( html ) {
+  return [ "markdown" ].concat( html_to_blocks( jsonml_children( html ) ) );
+}
+
+var md_block_nodes = {
+  para: 1, header: 1, code_block: 1, hr: 1, blockquote: 1,
+  bulletlist: 1, numberlist: 1, table: 1
+};
+
+// Internal - serialize markdown JsonML blocks, separated by blank lines
+function render_md_blocks( blocks, state ) {
+  var out = [];
+  for ( var i = 0; i < blocks.length; i++ ) {
+    var md = render_md_block( blocks[ i ], state );
+    if ( md ) out.push( md );
+  }
+  return out.join( "\n\n" );
+}
+
+// Internal - serialize one markdown JsonML block
+function render_md_block( block, state ) {
+  var attrs = extract_attr( block ) || {},
+      children = jsonml_children( block ),
+      lines, i;
+
+  switch ( block[ 0 ] ) {
+    case "header":
+      return new Array( attrs.level + 1 ).join( "#" ) + " " + render_md_inline( children, state );
+    case "code_block":
+      var code = children.join( "" );
+      if ( state.fenced ) {
+        var fence = "```";
+        while ( code.indexOf( fence ) !== -1 ) fence += "`";
+        return fence + ( attrs.lang || "" ) + "\n" + code + "\n" + fence;
+      }
+      return code.replace( /^(?=.)/gm, "    " );
+    case "hr":
+      return "* * *";
+    case "blockquote":
+      lines = render_md_blocks( children, state ).split( "\n" );
+      for ( i = 0; i < lines.length; i++ ) {
+        lines[ i ] = lines[ i ] ? "> " + lines[ i ] : ">";
+      }
+      return lines.join( "\n" );
+    case "bulletlist":
+    case "numberlist":
+      return render_md_list( block, state );
+    case "table":
+      return render_md_table( block, state );
+    default:
+      return render_md_inline( children, state );
+  }
+}
+
+// Internal - serialize a list. Markers are padded to four characters so
+// continuation lines and nested lists line up at the next indent level.
+function render_md_list( list, state ) {
+  var items = jsonml_children( list ),
+      loose = false,
+      out = [],
+      i, j;
+
+  for ( i = 0; i < items.length; i++ ) {
+    for ( j = 1; j < items[ i ].length; j++ ) {
+      if ( isArray( items[ i ][ j ] ) && items[ i ][ j ][ 0 ] === "para" ) loose = true;
+    }
+  }
+
+  for ( i = 0; i < items.length; i++ ) {
+    var marker = list[ 0 ] === "bulletlist" ? "*" : ( i + 1 ) + ".",
+        parts = [],
+        inline = [],
+        children = jsonml_children( items[ i ] );
+
+    for ( j = 0; j <= children.length; j++ ) {
+      if ( j < children.length && !( isArray( children[ j ] ) && children[ j ][ 0 ] in md_block_nodes ) ) {
+        inline.push( children[ j ] );
+        continue;
+      }
+      if ( inline.length ) parts.push( render_md_inline( inline, state ) );
+      inline = [];
+      if ( j < children.length ) parts.push( render_md_block( children[ j ], state ) );
+    }
+
+    while ( marker.length < 4 ) marker += " ";
+    out.push( marker + parts.join( loose ? "\n\n" : "\n" ).replace( /\n(?=.)/g, "\n    " ) );
+  }
+
+  return out.join( loose ? "\n\n" : "\n" );
+}
+
+// Internal - serialize a table as a pipe table
+function render_md_table( table, state ) {
+  var rows = [],
+      align = [];
+
+  forEach( jsonml_children( table ), function( section ) {
+    forEach( jsonml_children( section ), function( tr ) {
+      var row = [];
+      forEach( jsonml_children( tr ), function( cell ) {
+        var attrs = extract_attr( cell ) || {},
+            text = render_md_inline( jsonml_children( cell ), state );
+        if ( !rows.length ) align.push( attrs.align );
+        row.push( state.tables ? text.replace( /\|/g, "\\|" ) : text );
+      } );
+      rows.push( "| " + row.join( " | " ) + " |" );
+    } );
+  } );
+
+  for ( var i = 0; i < align.length; i++ ) {
+    align[ i ] = align[ i ] === "center" ? ":---:" :
+                 align[ i ] === "left" ? ":---" :
+                 align[ i ] === "right" ? "---:" : "---";
+  }
+
+  rows.splice( 1, 0, "| " + align.join( " | " ) + " |" );
+  return rows.join( "\n" );
+}
+
+// Internal - escape markdown syntax in plain text
+function escape_md( text, state ) {
+  return text.replace( state.strike ? /[\\`*_\[\]~]/g : /[\\`*_\[\]]/g, "\\$&" );
+}
+
+function quote_md_title( title ) {
+  return title.indexOf( '"' ) === -1 ? '"' + title + '"' : "'" + title + "'";
+}
+
+// Internal - urls can't contain whitespace or unbalanced parens in markdown
+function quote_md_url( url ) {
+  url = url.replace( /\s/g, encodeURIComponent );
+  if ( ( url.match( /\(/g ) || [] ).length !== ( url.match( /\)/g ) || [] ).length ) {
+    url = url.replace( /\(/g, "%28" ).replace( /\)/g, "%29" );
+  }
+  return url;
+}
+
+// Internal - serialize markdown JsonML inline nodes
+function render_md_inline( nodes, state ) {
+  var out = "";
+
+  for ( var i = 0; i < nodes.length; i++ ) {
+    var node = nodes[ i ];
+
+    if ( typeof node === "string" ) {
+      out += escape_md( node, state );
+      continue;
+    }
+
+    var attrs = extract_attr( node ) || {},
+        children = jsonml_children( node ),
+        text;
+
+    switch ( node[ 0 ] ) {
+      case "em":
+        // *foo **bar*** is ambiguous, _foo **bar**_ is not
+        var first = children[ 0 ], last = children[ children.length - 1 ],
+            delim = isArray( first ) && first[ 0 ] === "strong" ||
+                    isArray( last ) && last[ 0 ] === "strong" ? "_" : "*";
+        out += delim + arguments.callee( children, state ) + delim;
+        break;
+      case "strong":
+        out += "**" + arguments.callee( children, state ) + "**";
+        break;
+      case "del":
+        text = arguments.callee( children, state );
+        out += state.strike ? "~~" + text + "~~" : text;
+        break;
+      case "inlinecode":
+        var code = children.join( "" ),
+            ticks = "`";
+        while ( code.indexOf( ticks ) !== -1 ) ticks += "`";
+        out += ticks + ( code.match( /^`|`$/ ) ? " " + code + " " : code ) + ticks;
+        break;
+      case "linebreak":
+        out += "  \n";
+        break;
+      case "checkbox":
+        out += attrs.checked ? "[x]" : "[ ]";
+        break;
+      case "link":
+        text = arguments.callee( children, state );
+        var plain = children.join( "" );
+        // autolinks
+        if ( !attrs.title && ( plain === attrs.href && attrs.href.match( /^(?:https?|ftp):/ ) ||
+                               "mailto:" + plain === attrs.href ) ) {
+          out += "<" + plain + ">";
+        }
+        else {
+          out += "[" + text + "](" + quote_md_url( attrs.href ) +
+                 ( attrs.title ? " " + quote_md_title( attrs.title ) : "" ) + ")";
+        }
+        break;
+      case "img":
+        out += "![" + attrs.alt + "](" + quote_md_url( attrs.href ) +
+               ( attrs.title ? " " + quote_md_title( attrs.title ) : "" ) + ")";
+        break;
+      case "link_ref":
+      case "img_ref":
+        // an unknown reference was never a link in the first place
+        if ( !( attrs.ref in state.references ) ) {
+          out += attrs.original;
+          break;
+        }
+        text = node[ 0 ] === "img_ref" ? attrs.alt : arguments.callee( children, state );
+        out += ( node[ 0 ] === "img_ref" ? "![" : "[" ) + text + "]" +
+               ( text.toLowerCase() === attrs.ref ? "[]" : "[" + attrs.ref + "]" );
+        break;
+      default:
+        out += arguments.callee( children, state );
+        break;
+    }
+  }
+
+  // Escape what would otherwise start a block at the beginning of a line
+  return out.replace( /^( *)(#|[-+](?= )|\d+\.(?= )|-+ *$)/gm, function( all, indent, start ) {
+    return indent + start.replace( /^(\d+)\./, "$1\\." ).replace( /^[#+\-]/, "\\$&" );
+  } );
+}
+
 } )( (function() {
   if ( typeof Y !== "undefined" ) {
     return Y.namespace('Markdown');
@@ -0,0 +1,190 @@
+YUI.add('gallery-markdown-gfm-test', function (Y) {
+    var Assert = Y.Assert,
+        Markdown = Y.Markdown,
+        suite;
+
+    // Examples from the GitHub Flavored Markdown spec, version 0.29-gfm,
+    // http://github.github.com/gfm/ -- keyed by example number.
+    var fixtures = {
+        'Fenced code blocks': {
+            89: ['```\n<\n >\n```',
+                 '<pre><code>&lt;\n &gt;\n</code></pre>'],
+            90: ['~~~\n<\n >\n~~~',
+                 '<pre><code>&lt;\n &gt;\n</code></pre>'],
+            94: ['````\naaa\n```\n``````',
+                 '<pre><code>aaa\n```\n</code></pre>'],
+            96: ['```',
+                 '<pre><code></code></pre>'],
+            101: ['  ```\n aaa\naaa\n```',
+                  '<pre><code>aaa\naaa\n</code></pre>'],
+            110: ['foo\n```\nbar\n```\nbaz',
+                  '<p>foo</p>\n<pre><code>bar\n</code></pre>\n<p>baz</p>'],
+            112: ['```ruby\ndef foo(x)\n  return 3\nend\n```',
+                  '<pre><code class="language-ruby">def foo(x)\n  return 3\nend\n</code></pre>'],
+            113: ['~~~~    ruby startline=3 $%@#$\ndef foo(x)\n  return 3\nend\n~~~~~~~',
+                  '<pre><code class="language-ruby">def foo(x)\n  return 3\nend\n</code></pre>']
+        },
+
+        'Thematic breaks': {
+            17: [' - - -',
+                 '<hr />'],
+            18: [' **  * ** * ** * **',
+                 '<hr />'],
+            19: ['-     -      -      -',
+                 '<hr />'],
+            20: ['- - - -    ',
+                 '<hr />']
+        },
+
+        'Tables': {
+            198: ['| foo | bar |\n| --- | --- |\n| baz | bim |',
+                  '<table>\n<thead>\n<tr>\n<th>foo</th>\n<th>bar</th>\n</tr>\n</thead>\n' +
+                  '<tbody>\n<tr>\n<td>baz</td>\n<td>bim</td>\n</tr>\n</tbody>\n</table>'],
+            199: ['| abc | defghi |\n:-: | -----------:\nbar | baz',
+                  '<table>\n<thead>\n<tr>\n<th align="center">abc</th>\n<th align="right">defghi</th>\n</tr>\n</thead>\n' +
+                  '<tbody>\n<tr>\n<td align="center">bar</td>\n<td align="right">baz</td>\n</tr>\n</tbody>\n</table>'],
+            200: ['| f\\|oo  |\n| ------ |\n| b `\\|` az |\n| b **\\|** im |',
+                  '<table>\n<thead>\n<tr>\n<th>f|oo</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n' +
+                  '<td>b <code>|</code> az</td>\n</tr>\n<tr>\n<td>b <strong>|</strong> im</td>\n</tr>\n</tbody>\n</table>'],
+            203: ['| abc | def |\n| --- |\n| bar |',
+                  '<p>| abc | def |\n| --- |\n| bar |</p>'],
+            204: ['| abc | def |\n| --- | --- |\n| bar |\n| bar | baz | boo |',
+                  '<table>\n<thead>\n<tr>\n<th>abc</th>\n<th>def</th>\n</tr>\n</thead>\n<tbody>\n' +
+                  '<tr>\n<td>bar</td>\n<td></td>\n</tr>\n<tr>\n<td>bar</td>\n<td>baz</td>\n</tr>\n</tbody>\n</table>'],
+            205: ['| abc | def |\n| --- | --- |',
+                  '<table>\n<thead>\n<tr>\n<th>abc</th>\n<th>def</th>\n</tr>\n</thead>\n</table>']
+        },
+
+        'Task list items': {
+            279: ['- [ ] foo\n- [x] bar',
+                  '<ul>\n<li><input disabled="" type="checkbox"> foo</li>\n' +
+                  '<li><input checked="" disabled="" type="checkbox"> bar</li>\n</ul>'],
+            280: ['- [x] foo\n  - [ ] bar\n  - [x] baz\n- [ ] bim',
+                  '<ul>\n<li><input checked="" disabled="" type="checkbox"> foo\n<ul>\n' +
+                  '<li><input disabled="" type="checkbox"> bar</li>\n' +
+                  '<li><input checked="" disabled="" type="checkbox"> baz</li>\n</ul>\n</li>\n' +
+                  '<li><input disabled="" type="checkbox"> bim</li>\n</ul>']
+        },
+
+        'Strikethrough': {
+            491: ['~~Hi~~ Hello, ~there~ world!',
+                  '<p><del>Hi</del> Hello, <del>there</del> world!</p>'],
+            492: ['This ~~has a\n\nnew paragraph~~.',
+                  '<p>This ~~has a</p>\n<p>new paragraph~~.</p>'],
+            493: ['This will ~~~not~~~ strike.',
+                  '<p>This will ~~~not~~~ strike.</p>']
+        },
+
+        'Autolinks': {
+            621: ['www.commonmark.org',
+                  '<p><a href="http://www.commonmark.org">www.commonmark.org</a></p>'],
+            622: ['Visit www.commonmark.org/help for more information.',
+                  '<p>Visit <a href="http://www.commonmark.org/help">www.commonmark.org/help</a> for more information.</p>'],
+            623: ['Visit www.commonmark.org.\n\nVisit www.commonmark.org/a.b.',
+                  '<p>Visit <a href="http://www.commonmark.org">www.commonmark.org</a>.</p>\n' +
+                  '<p>Visit <a href="http://www.commonmark.org/a.b">www.commonmark.org/a.b</a>.</p>'],
+            624: ['www.google.com/search?q=Markup+(business)\n\n' +
+                  'www.google.com/search?q=Markup+(business)))\n\n' +
+                  '(www.google.com/search?q=Markup+(business))\n\n' +
+                  '(www.google.com/search?q=Markup+(business)',
+                  '<p><a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a></p>\n' +
+                  '<p><a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a>))</p>\n' +
+                  '<p>(<a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a>)</p>\n' +
+                  '<p>(<a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a></p>'],
+            626: ['www.commonmark.org/he<lp',
+                  '<p><a href="http://www.commonmark.org/he">www.commonmark.org/he</a>&lt;lp</p>'],
+            627: ['http://commonmark.org\n\n(Visit https://encrypted.google.com/search?q=Markup+(business))',
+                  '<p><a href="http://commonmark.org">http://commonmark.org</a></p>\n' +
+                  '<p>(Visit <a href="https://encrypted.google.com/search?q=Markup+(business)">https://encrypted.google.com/search?q=Markup+(business)</a>)</p>'],
+            628: ['foo@bar.baz',
+                  '<p><a href="mailto:foo@bar.baz">foo@bar.baz</a></p>'],
+            629: ['hello@mail+xyz.example isn\'t valid, but hello+xyz@mail.example is.',
+                  '<p>hello@mail+xyz.example isn\'t valid, but <a href="mailto:hello+xyz@mail.example">hello+xyz@mail.example</a> is.</p>'],
+            630: ['a.b-c_d@a.b\n\na.b-c_d@a.b.\n\na.b-c_d@a.b-',
+                  '<p><a href="mailto:a.b-c_d@a.b">a.b-c_d@a.b</a></p>\n' +
+                  '<p><a href="mailto:a.b-c_d@a.b">a.b-c_d@a.b</a>.</p>\n' +
+                  '<p>a.b-c_d@a.b-</p>']
+        }
+    };
+
+    // The spec renders with line breaks between block tags, a trailing
+    // newline in code blocks, HTML5 boolean attributes and no escaping of
+    // single quotes, so bring both sides to a common form before comparing.
+    function normalize(html) {
+        return html
+            .replace(/>\s+</g, '><')
+            .replace(/\s+(<\/?(?:p|pre|ul|ol|li|table|thead|tbody|tr|th|td)\b)/g, '$1')
+            .replace(/\n<\/code><\/pre>/g, '</code></pre>')
+            .replace(/&#39;/g, '\'')
+            .replace(/<(\w+)((?:\s+[\w\-]+="[^"]*")*)\s*\/?>/g, function (tag, name, attrs) {
+                attrs = attrs.match(/[\w\-]+="[^"]*"/g) || [];
+                attrs = Y.Array.map(attrs, function (attr) {
+                    var m = attr.match(/^([\w\-]+)="(.*)"$/);
+                    return m[2] === '' || m[2] === m[1] ? m[1] : attr;
+                }).sort();
+
+                return '<' + name + (attrs.length ? ' ' + attrs.join(' ') : '') + '>';
+            });
+    }
+
+    function makeTestCase(name, examples) {
+        var tests = { name: name };
+
+        Y.Object.each(examples, function (example, number) {
+            tests['example ' + number + ' should match the spec'] = function () {
+                Assert.areEqual(normalize(example[1]), normalize(Markdown.toHTML(example[0], 'GFM')));
+            };
+        });
+
+        return new Y.Test.Case(tests);
+    }
+
+    // -- Suite -----------
+    suite = new Y.Test.Suite({
+        name: 'gallery-markdown GFM'
+    });
+
+    Y.Object.each(fixtures, function (examples, name) {
+        suite.add(makeTestCase(name, examples));
+    });
+
+    // -- JsonML -----------
+    suite.add(new Y.Test.Case({
+        name: 'JsonML',
+
+        'fenced code should keep its language in the markdown tree': function () {
+            var tree = Markdown.parse('```js\nvar a;\n```', 'GFM');
+
+            Y.ArrayAssert.itemsAreEqual(['code_block', 'var a;'], [tree[1][0], tree[1][2]]);
+            Assert.areEqual('js', tree[1][1].lang);
+        },
+
+        'task list items should become checkbox nodes': function () {
+            var tree = Markdown.parse('- [x] done', 'GFM');
+
+            Assert.areEqual('checkbox', tree[1][1][1][0]);
+            Assert.isTrue(tree[1][1][1][1].checked);
+        },
+
+        'table cells should be td nodes in the html tree': function () {
+            var tree = Markdown.toHTMLTree('a | b\n--- | ---\n1 | 2', 'GFM');
+
+            Assert.areEqual('table', tree[1][0]);
+            Assert.areEqual('td', tree[1][2][1][1][0]);
+        },
+
+        'thematic breaks should not become lists': function () {
+            Assert.areEqual('<hr/>', Markdown.toHTML('***', 'GFM'));
+            Assert.areEqual('<hr/>', Markdown.toHTML('* * *', 'GFM'));
+            Assert.areEqual('<hr/>', Markdown.toHTML('- - -', 'GFM'));
+        },
+
+        'gruber dialect should not pick up any GFM syntax': function () {
+            Assert.areEqual('<p>~~no~~ www.example.com</p>', Markdown.toHTML('~~no~~ www.example.com'));
+        }
+    }));
+
+    Y.Test.Runner.add(suite);
+}, '@VERSION@', {
+    requires: ['gallery-markdown', 'array-extras', 'test']
+});
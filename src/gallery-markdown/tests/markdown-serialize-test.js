@@ -0,0 +1,90 @@
+YUI.add('gallery-markdown-serialize-test', function (Y) {
+    var Assert = Y.Assert,
+        Markdown = Y.Markdown,
+        suite;
+
+    // Markdown that is already in normalized form should survive a trip
+    // through the markdown tree untouched.
+    var normalized = {
+        'headers': '# One\n\n###### Six *em*',
+        'emphasis': 'Some *em*, **strong** and _**both**_',
+        'escapes': 'Not \\*em\\*, not \\_em\\_ and not a \\[link\\]\n\\# nor a header',
+        'inline code': 'Use `a` or `` b`c `` here',
+        'links': 'A [link](http://a.com/x "Title") and <http://b.com> and <me@c.com>',
+        'images': '![alt](/a.png "Title")',
+        'line breaks': 'one  \ntwo',
+        'tight lists': '*   one\n*   two\n    *   nested\n*   three',
+        'loose lists': '1.  first\n\n2.  second\n\n    more\n\n3.  third',
+        'blockquotes': '> quoted\n>\n> *   list',
+        'code blocks': '    var a = 1;\n    var b = 2;',
+        'rules': 'above\n\n* * *\n\nbelow',
+        'references': 'A [ref link][foo], [foo][] and ![pic][bar].\n\n' +
+                      '[foo]: http://foo.com "Foo"\n[bar]: /bar.png'
+    };
+
+    // -- Suite -----------
+    suite = new Y.Test.Suite({
+        name: 'gallery-markdown toMarkdown'
+    });
+
+    var roundTrip = { name: 'Round trip' };
+    Y.Object.each(normalized, function (md, name) {
+        roundTrip[name + ' should round trip'] = function () {
+            Assert.areEqual(md, Markdown.toMarkdown(Markdown.parse(md)));
+        };
+    });
+    suite.add(new Y.Test.Case(roundTrip));
+
+    suite.add(new Y.Test.Case({
+        name: 'Dialects',
+
+        'gfm should round trip fenced code, tables, tasks and strikethrough': function () {
+            var md = '```js\nvar a;\n```\n\n' +
+                     '| a | b |\n| :---: | ---: |\n| 1 \\| 2 | ~~gone~~ |\n\n' +
+                     '*   [ ] todo\n*   [x] done';
+
+            Assert.areEqual(md, Markdown.toMarkdown(Markdown.parse(md, 'GFM'), 'GFM'));
+        },
+
+        'gruber should indent fenced code and drop strikethrough': function () {
+            var tree = Markdown.parse('```js\nvar a;\n```\n\n~~gone~~', 'GFM');
+
+            Assert.areEqual('    var a;\n\ngone', Markdown.toMarkdown(tree));
+        }
+    }));
+
+    suite.add(new Y.Test.Case({
+        name: 'HTML',
+
+        'html trees should be serialized': function () {
+            var md = '## Title\n\nA [link](http://a.com) and **bold**';
+
+            Assert.areEqual(md, Markdown.toMarkdown(Markdown.toHTMLTree(md)));
+        },
+
+        'html strings should be serialized': function () {
+            var html = '<h2>Title</h2>\n<p>Some <b>bold</b> and\n <i>italic</i><br> text</p>' +
+                       '<div>Loose <span>text</span></div>' +
+                       '<ul><li>one</li><li>two</li></ul>' +
+                       '<pre><code class="language-js">a &lt; b;\n</code></pre>';
+
+            Assert.areEqual(
+                '## Title\n\nSome **bold** and *italic*  \ntext\n\nLoose text\n\n*   one\n*   two\n\n```js\na < b;\n```',
+                Markdown.toMarkdown(html, 'GFM'));
+        },
+
+        'nodes should have their contents serialized': function () {
+            var node = Y.Node.create('<div><p>one</p><p>two <s>three</s></p></div>');
+
+            Assert.areEqual('one\n\ntwo ~~three~~', Markdown.toMarkdown(node, 'GFM'));
+        },
+
+        'urls with spaces should be encoded': function () {
+            Assert.areEqual('[a](/a%20b)', Markdown.toMarkdown('<a href="/a b">a</a>'));
+        }
+    }));
+
+    Y.Test.Runner.add(suite);
+}, '@VERSION@', {
+    requires: ['gallery-markdown', 'node', 'test']
+});
@@ -0,0 +1,598 @@
+// -- Storage Adapters ---------------------------------------------------------
+
+/**
+Storage adapter which keeps records in the in-memory `ModelSync.Local._data`
+object. Nothing survives a page reload.
+
+Every adapter implements the same asynchronous interface, so custom adapters
+can be dropped in as a `storageAdapter`:
+
+  * `read(root, id, callback)`
+  * `readAll(root, options, callback)`
+  * `write(root, hash, callback)`
+  * `remove(root, id, callback)`
+
+Callbacks receive an error (or `null`) followed by the result.
+
+@class ModelSync.Local.MemoryAdapter
+@constructor
+**/
+function MemoryAdapter() {}
+
+MemoryAdapter.prototype = {
+
+    /**
+    Reads the record with the given `id`.
+
+    @method read
+    @param {String} root Root key of the records
+    @param {String} id Model ID
+    @param {Function} callback Called with `(err, hash)`
+    **/
+    read: function (root, id, callback) {
+        callback(null, this._getRoot(root)[id]);
+    },
+
+    /**
+    Reads all records stored under `root`.
+
+    @method readAll
+    @param {String} root Root key of the records
+    @param {Object} [options] Sync options
+      @param {Object} [options.where] Only return the records whose values
+        match every key/value pair in this object.
+    @param {Function} callback Called with `(err, hashes)`
+    **/
+    readAll: function (root, options, callback) {
+        var where = options && options.where;
+
+        callback(null, Y.Array.filter(Y.Object.values(this._getRoot(root)), function (hash) {
+            return LocalSync._matches(hash, where);
+        }));
+    },
+
+    /**
+    Creates or replaces the record for `hash.id`.
+
+    @method write
+    @param {String} root Root key of the records
+    @param {Object} hash Model hash, including its `id`
+    @param {Function} callback Called with `(err, hash)`
+    **/
+    write: function (root, hash, callback) {
+        this._getRoot(root)[hash.id] = hash;
+        callback(null, hash);
+    },
+
+    /**
+    Removes the record with the given `id`.
+
+    @method remove
+    @param {String} root Root key of the records
+    @param {String} id Model ID
+    @param {Function} callback Called with `(err)`
+    **/
+    remove: function (root, id, callback) {
+        delete this._getRoot(root)[id];
+        callback(null);
+    },
+
+    /**
+    Returns the in-memory object of records for `root`, creating it if needed.
+
+    @method _getRoot
+    @param {String} root Root key of the records
+    @return {Object} Records keyed by model ID
+    @protected
+    **/
+    _getRoot: function (root) {
+        return LocalSync._data[root] || (LocalSync._data[root] = {});
+    }
+};
+
+/**
+Storage adapter which serializes all records of a root into a single
+localStorage key, keeping a copy in `ModelSync.Local._data`. This is the
+format `ModelSync.Local` has always used.
+
+Writes which fail because the storage quota is exhausted are rolled back and
+reported as an Error named `QuotaExceededError`.
+
+@class ModelSync.Local.LocalStorageAdapter
+@extends ModelSync.Local.MemoryAdapter
+@constructor
+@param {Object} [config]
+  @param {Storage} [config.storage] Storage to use, defaults to localStorage
+**/
+function LocalStorageAdapter(config) {
+    this.storage = (config && config.storage) || Y.config.win.localStorage;
+    this._loaded = {};
+}
+
+/**
+Returns `true` if localStorage can be accessed.
+
+@method isSupported
+@return {Boolean}
+@static
+**/
+LocalStorageAdapter.isSupported = function () {
+    try {
+        return !!Y.config.win.localStorage;
+    } catch (e) {
+        return false;
+    }
+};
+
+Y.extend(LocalStorageAdapter, MemoryAdapter, {
+
+    write: function (root, hash, callback) {
+        var records = this._getRoot(root),
+            old     = records[hash.id],
+            err     = null;
+
+        records[hash.id] = hash;
+
+        if ((err = this._save(root))) {
+            old ? (records[hash.id] = old) : delete records[hash.id];
+        }
+
+        callback(err, err ? undefined : hash);
+    },
+
+    remove: function (root, id, callback) {
+        var records = this._getRoot(root),
+            old     = records[id],
+            err;
+
+        delete records[id];
+
+        if ((err = this._save(root)) && old) {
+            records[id] = old;
+        }
+
+        callback(err);
+    },
+
+    /**
+    Pulls in existing data from localStorage the first time `root` is used.
+
+    @method _getRoot
+    @param {String} root Root key of the records
+    @return {Object} Records keyed by model ID
+    @protected
+    **/
+    _getRoot: function (root) {
+        var store;
+
+        if (!this._loaded[root]) {
+            this._loaded[root] = true;
+
+            try {
+                store = this.storage.getItem(root);
+            } catch (e) {
+                Y.log("Could not access localStorage.", "warn");
+            }
+
+            LocalSync._data[root] = (store && Y.JSON.parse(store)) ||
+                LocalSync._data[root] || {};
+        }
+
+        return LocalStorageAdapter.superclass._getRoot.call(this, root);
+    },
+
+    /**
+    Saves the in-memory records of `root` into a localStorage key/value pair.
+
+    @method _save
+    @param {String} root Root key of the records
+    @return {Error|null} The error if the records could not be stored
+    @protected
+    **/
+    _save: function (root) {
+        try {
+            this.storage.setItem(root, Y.JSON.stringify(LocalSync._data[root]));
+        } catch (e) {
+            return LocalSync._storageError(e);
+        }
+
+        return null;
+    }
+});
+
+/**
+Storage adapter which keeps each model as its own record in IndexedDB, so the
+data set isn't limited by the localStorage quota and saving one model doesn't
+rewrite the others.
+
+Each root gets an object store of the same name, keyed by `id`. Secondary
+indexes are created for the configured keys and are used to answer `readAll()`
+calls with a matching `where` filter; any other `where` keys are filtered in
+memory. Stores and indexes are added by upgrading the database version when
+they are first needed.
+
+    var adapter = new Y.ModelSync.Local.IndexedDBAdapter({
+        dbName : 'my-app',
+        indexes: {
+            user: ['group', 'email']
+        }
+    });
+
+@class ModelSync.Local.IndexedDBAdapter
+@constructor
+@param {Object} [config]
+  @param {String} [config.dbName] Database name, defaults to `DB_NAME`
+  @param {Object|String[]} [config.indexes] Keys to index, either as an object
+    mapping roots to arrays of keys, or an array of keys to index in every
+    root.
+**/
+function IndexedDBAdapter(config) {
+    config || (config = {});
+
+    this.dbName  = config.dbName || IndexedDBAdapter.DB_NAME;
+    this.indexes = config.indexes || {};
+
+    this._db      = null;
+    this._ready   = {};
+    this._pending = null;
+}
+
+/**
+Name of the database used when none is configured.
+
+@property DB_NAME
+@type String
+@default 'yui-model-sync-local'
+@static
+**/
+IndexedDBAdapter.DB_NAME = 'yui-model-sync-local';
+
+/**
+Returns `true` if the browser provides IndexedDB.
+
+@method isSupported
+@return {Boolean}
+@static
+**/
+IndexedDBAdapter.isSupported = function () {
+    try {
+        return !!Y.config.win.indexedDB;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+Returns `true` if `value` can be used as an IndexedDB key: a string, a number
+other than `NaN`, a valid date, or an array of valid keys. Booleans, `null` and
+objects can't be looked up through an index.
+
+@method _isValidKey
+@param {Any} value
+@return {Boolean}
+@static
+@protected
+**/
+IndexedDBAdapter._isValidKey = function (value) {
+    if (typeof value === 'string') {
+        return true;
+    }
+
+    // Unlike Y.Lang.isNumber(), this accepts Infinity
+    if (typeof value === 'number') {
+        return !isNaN(value);
+    }
+
+    if (Y.Lang.isDate(value)) {
+        return !isNaN(value.getTime());
+    }
+
+    return Y.Lang.isArray(value) && Y.Array.every(value, IndexedDBAdapter._isValidKey);
+};
+
+IndexedDBAdapter.prototype = {
+
+    read: function (root, id, callback) {
+        this._request(root, 'readonly', function (store) {
+            return store.get(id);
+        }, callback);
+    },
+
+    readAll: function (root, options, callback) {
+        var where   = (options && options.where) || {},
+            results = [];
+
+        this._transaction(root, 'readonly', function (store) {
+            var index, request;
+
+            // Narrow the cursor down with the first indexed key we find. Values
+            // that aren't valid keys are only filtered in memory.
+            Y.Object.some(where, function (value, key) {
+                if (store.indexNames.contains(key) &&
+                        IndexedDBAdapter._isValidKey(value)) {
+                    index = store.index(key);
+                    request = index.openCursor(Y.config.win.IDBKeyRange.only(value));
+                    return true;
+                }
+            });
+
+            request || (request = store.openCursor());
+            request.onsuccess = function () {
+                var cursor = request.result;
+
+                if (cursor) {
+                    LocalSync._matches(cursor.value, where) && results.push(cursor.value);
+                    cursor['continue']();
+                }
+            };
+        }, function (err) {
+            callback(err, err ? undefined : results);
+        });
+    },
+
+    write: function (root, hash, callback) {
+        this._transaction(root, 'readwrite', function (store) {
+            store.put(hash);
+        }, function (err) {
+            callback(err, err ? undefined : hash);
+        });
+    },
+
+    remove: function (root, id, callback) {
+        this._transaction(root, 'readwrite', function (store) {
+            store['delete'](id);
+        }, callback);
+    },
+
+    /**
+    Closes the database connection. It is reopened by the next operation.
+
+    @method close
+    **/
+    close: function () {
+        this._db && this._db.close();
+        this._db = null;
+    },
+
+    /**
+    Returns the keys to index for `root`.
+
+    @method _getIndexes
+    @param {String} root Root key of the records
+    @return {String[]}
+    @protected
+    **/
+    _getIndexes: function (root) {
+        return Y.Lang.isArray(this.indexes) ? this.indexes : (this.indexes[root] || []);
+    },
+
+    /**
+    Returns `true` if `db` already has the object store and indexes for `root`.
+
+    @method _hasStore
+    @param {IDBDatabase} db
+    @param {String} root Root key of the records
+    @return {Boolean}
+    @protected
+    **/
+    _hasStore: function (db, root) {
+        var indexes = this._getIndexes(root),
+            store;
+
+        if (db === this._db && this._ready[root]) {
+            return true;
+        }
+
+        if (!db.objectStoreNames.contains(root)) {
+            return false;
+        }
+
+        if (indexes.length) {
+            store = db.transaction(root, 'readonly').objectStore(root);
+
+            return Y.Array.every(indexes, function (key) {
+                return store.indexNames.contains(key);
+            });
+        }
+
+        return true;
+    },
+
+    /**
+    Opens the database, upgrading it when the object store or indexes for
+    `root` are missing. Concurrent calls share the same open request.
+
+    @method _open
+    @param {String} root Root key of the records
+    @param {Function} callback Called with `(err, db)`
+    @protected
+    **/
+    _open: function (root, callback) {
+        var self = this,
+            idb  = Y.config.win.indexedDB;
+
+        if (this._db && this._hasStore(this._db, root)) {
+            this._ready[root] = true;
+            return callback(null, this._db);
+        }
+
+        if (this._pending) {
+            return this._pending.push(function (err) {
+                err ? callback(err) : self._open(root, callback);
+            });
+        }
+
+        this._pending = [];
+
+        function done(err, db) {
+            var pending = self._pending;
+
+            self._pending = null;
+            self._db = db || null;
+            self._ready = {};
+            db && (self._ready[root] = true);
+
+            callback(err, db);
+            Y.Array.each(pending, function (fn) {
+                fn(err);
+            });
+        }
+
+        function open(version) {
+            var request = version ? idb.open(self.dbName, version) : idb.open(self.dbName);
+
+            request.onupgradeneeded = function () {
+                var db    = request.result,
+                    store = db.objectStoreNames.contains(root) ?
+                        request.transaction.objectStore(root) :
+                        db.createObjectStore(root, {keyPath: 'id'});
+
+                Y.Array.each(self._getIndexes(root), function (key) {
+                    store.indexNames.contains(key) || store.createIndex(key, key);
+                });
+            };
+
+            request.onsuccess = function () {
+                var db = request.result;
+
+                if (!self._hasStore(db, root)) {
+                    db.close();
+                    return open(db.version + 1);
+                }
+
+                // Let other tabs upgrade the database
+                db.onversionchange = function () {
+                    db.close();
+                    self._db === db && (self._db = null);
+                };
+
+                done(null, db);
+            };
+
+            request.onerror = function () {
+                done(LocalSync._storageError(request.error));
+            };
+
+            request.onblocked = function () {
+                Y.log('IndexedDB upgrade blocked by another connection.', 'warn');
+            };
+        }
+
+        this._db && this._db.close();
+        this._db = null;
+
+        try {
+            open();
+        } catch (e) {
+            done(LocalSync._storageError(e));
+        }
+    },
+
+    /**
+    Runs `fn` with the object store for `root` inside a transaction, and calls
+    `callback` once the transaction completes or fails.
+
+    @method _transaction
+    @param {String} root Root key of the records
+    @param {String} mode `readonly` or `readwrite`
+    @param {Function} fn Receives the IDBObjectStore
+    @param {Function} callback Called with `(err)`
+    @protected
+    **/
+    _transaction: function (root, mode, fn, callback) {
+        this._open(root, function (err, db) {
+            var called = false,
+                tx;
+
+            // The transaction may still complete or abort after `fn` threw
+            function done(error) {
+                if (!called) {
+                    called = true;
+                    callback(error);
+                }
+            }
+
+            if (err) {
+                return done(err);
+            }
+
+            try {
+                tx = db.transaction(root, mode);
+
+                tx.oncomplete = function () {
+                    done(null);
+                };
+
+                // Quota errors surface as an aborted transaction
+                tx.onabort = tx.onerror = function () {
+                    tx.onabort = tx.onerror = null;
+                    done(LocalSync._storageError(tx.error));
+                };
+
+                fn(tx.objectStore(root));
+            } catch (e) {
+                if (tx) {
+                    tx.oncomplete = tx.onabort = tx.onerror = null;
+
+                    try {
+                        tx.abort();
+                    } catch (ex) {
+                        // Already finished
+                    }
+                }
+
+                done(LocalSync._storageError(e));
+            }
+        });
+    },
+
+    /**
+    Like `_transaction()`, but passes the result of the request returned by
+    `fn` to `callback`.
+
+    @method _request
+    @param {String} root Root key of the records
+    @param {String} mode `readonly` or `readwrite`
+    @param {Function} fn Receives the IDBObjectStore and returns an IDBRequest
+    @param {Function} callback Called with `(err, result)`
+    @protected
+    **/
+    _request: function (root, mode, fn, callback) {
+        var request;
+
+        this._transaction(root, mode, function (store) {
+            request = fn(store);
+        }, function (err) {
+            callback(err, err ? undefined : request.result);
+        });
+    }
+};
+
+/**
+Normalizes storage exceptions. The various flavours of "quota exceeded" are
+turned into an Error named `QuotaExceededError`.
+
+@method _storageError
+@param {Error|DOMException} e
+@return {Error}
+@static
+@protected
+**/
+LocalSync._storageError = function (e) {
+    var err;
+
+    if (e && (e.name === 'QuotaExceededError' ||
+              e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+              e.code === 22 || e.code === 1014)) {
+        err = new Error('Storage quota exceeded.');
+        err.name  = 'QuotaExceededError';
+        err.cause = e;
+        return err;
+    }
+
+    return e || new Error('Storage error.');
+};
+
+LocalSync.MemoryAdapter       = MemoryAdapter;
+LocalSync.LocalStorageAdapter = LocalStorageAdapter;
+LocalSync.IndexedDBAdapter    = IndexedDBAdapter;
@@ -14,6 +14,22 @@ onto an in-memory cache, that can be mixed into a Model or ModelList subclass.
 A group of Models/ModelLists is serialized in localStorage by either its 
 class name, or a specified 'root' that is provided. 
 
+Where the data actually lives is up to a storage adapter. By default this is
+a `ModelSync.Local.LocalStorageAdapter`, or a `ModelSync.Local.MemoryAdapter`
+when localStorage is not available. Larger data sets can be kept in IndexedDB,
+one record per model, with a `ModelSync.Local.IndexedDBAdapter`:
+
+    var Users = Y.Base.create('users', Y.ModelList, [Y.ModelSync.Local], {
+        model: User,
+        root : 'user',
+
+        storageAdapter: new Y.ModelSync.Local.IndexedDBAdapter({
+            indexes: {user: ['group']}
+        })
+    });
+
+    users.load({where: {group: 'admin'}});
+
     var User = Y.Base.create('user', Y.Model, [Y.ModelSync.REST], {
         root: 'user'
     });
@@ -35,11 +51,11 @@ Model or ModelList constructor.
 
 @property _NON_ATTRS_CFG
 @type Array
-@default ['root', 'url']
+@default ['root', 'storageAdapter']
 @static
 @protected
 **/
-LocalSync._NON_ATTRS_CFG = ['root'];
+LocalSync._NON_ATTRS_CFG = ['root', 'storageAdapter'];
 
 /**
 Object of key/value pairs to fall back on when localStorage is not available.
@@ -50,6 +66,55 @@ Object of key/value pairs to fall back on when localStorage is not available.
 **/
 LocalSync._data = {};
 
+/**
+Shared adapter used by instances that don't specify a `storageAdapter`.
+Created on first use.
+
+@property _defaultAdapter
+@type Object
+@private
+**/
+LocalSync._defaultAdapter = null;
+
+/**
+Returns the shared default storage adapter: localStorage when the browser
+provides it, otherwise the in-memory store.
+
+@method getDefaultAdapter
+@return {Object} Storage adapter
+@static
+**/
+LocalSync.getDefaultAdapter = function () {
+    if (!LocalSync._defaultAdapter) {
+        LocalSync._defaultAdapter = LocalSync.LocalStorageAdapter.isSupported() ?
+            new LocalSync.LocalStorageAdapter() : new LocalSync.MemoryAdapter();
+    }
+
+    return LocalSync._defaultAdapter;
+};
+
+/**
+Returns `true` if `record` has the same value for every key in `where`.
+
+@method _matches
+@param {Object} record Stored model hash
+@param {Object} [where] Key/value pairs to filter on
+@return {Boolean}
+@static
+@protected
+**/
+LocalSync._matches = function (record, where) {
+    var key;
+
+    for (key in where) {
+        if (where.hasOwnProperty(key) && record[key] !== where[key]) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
 LocalSync.prototype = {
 
     // -- Public Methods -------------------------------------------------------
@@ -72,25 +137,36 @@ LocalSync.prototype = {
     **/
     storage: null,
 
+    /**
+    Storage adapter that records are read from and written to. Adapters
+    implement `read()`, `readAll()`, `write()` and `remove()`; see
+    `ModelSync.Local.MemoryAdapter` for the interface.
+
+    @property storageAdapter
+    @type Object
+    @default ModelSync.Local.getDefaultAdapter()
+    **/
+    storageAdapter: null,
+
     // -- Lifecycle Methods -----------------------------------------------------
     initializer: function (config) {
-        var store;
-
         config || (config = {});
 
         if ('root' in config) {
             this.root = config.root || '';
         }
 
+        if (config.storageAdapter) {
+            this.storageAdapter = config.storageAdapter;
+        }
+
+        this.storageAdapter || (this.storageAdapter = LocalSync.getDefaultAdapter());
+
         try {
             this.storage = Y.config.win.localStorage;
-            store = this.storage.getItem(this.root);
         } catch (e) {
             Y.log("Could not access localStorage.", "warn");
         }
-        
-        // Pull in existing data from localStorage, if possible
-        LocalSync._data[this.root] = (store && Y.JSON.parse(store)) || {};
     },
 
     /**
@@ -107,8 +183,9 @@ LocalSync.prototype = {
     // -- Public Methods -----------------------------------------------------------
     
     /**
-    Creates a synchronization layer with the localStorage API, if available.
-    Otherwise, falls back to a in-memory data store.
+    Creates a synchronization layer with the `storageAdapter`: localStorage,
+    if available, otherwise an in-memory data store, unless another adapter
+    such as IndexedDB was provided.
 
     This method is called internally by load(), save(), and destroy().
 
@@ -121,42 +198,42 @@ LocalSync.prototype = {
       * **delete**: Delete an existing model.
 
     @param {Object} [options] Sync options
+      @param {Object} [options.where] When loading a ModelList, only load the
+        records whose values match every key/value pair in this object.
     @param {callback} [callback] Called when the sync operation finishes.
       @param {Error|null} callback.err If an error occurred, this parameter will
         contain the error. If the sync operation succeeded, _err_ will be
-        falsy.
+        falsy. When the storage quota is exhausted this is an Error named
+        `QuotaExceededError`, which the Model or ModelList passes on in its
+        `error` event.
       @param {Any} [callback.response] The response from our sync. This value will
         be passed to the parse() method, which is expected to parse it and
         return an attribute hash.
     **/
     sync: function (action, options, callback) {
-        options || (options = {});
-        var response;
+        options  || (options = {});
+        callback || (callback = function () {});
 
         switch (action) {
             case 'read':
                 if (this._isYUIModelList) {
-                    response = this._index(options);
+                    this._index(options, callback);
                 } else {
-                    response = this._show(options);
+                    this._show(options, callback);
                 }
-                break;
+                return;
             case 'create':
-                response = this._create(options);
-                break;
+                this._create(options, callback);
+                return;
             case 'update':
-                response = this._update(options);
-                break;
+                this._update(options, callback);
+                return;
             case 'delete':
-                response = this._destroy(options);
-                break;
+                this._destroy(options, callback);
+                return;
         }
 
-        if (response) {
-            callback(null, response);
-        } else {
-            callback('Data not found');
-        }
+        callback('Data not found');
     },
 
     // -- Protected Methods ----------------------------------------------------
@@ -165,79 +242,73 @@ LocalSync.prototype = {
     Sync method correlating to the "read" operation, for a Model List
     
     @method _index
-    @return {Object[]} Array of objects found for that root key
+    @param {Object} options Sync options, optionally with a `where` filter
+    @param {Function} callback Called with the array of objects found for
+        that root key
     @protected
     **/    
-    _index: function (options) {
-        return Y.Object.values(LocalSync._data[this.root]);
+    _index: function (options, callback) {
+        this.storageAdapter.readAll(this.root, options, callback);
     },
 
     /**
     Sync method correlating to the "read" operation, for a Model
     
     @method _show
-    @return {Object} Object found for that root key and model ID
+    @param {Object} options Sync options
+    @param {Function} callback Called with the object found for that root key
+        and model ID
     @protected
     **/ 
-    _show: function (options) {
-        return LocalSync._data[this.root][this.get('id')];
+    _show: function (options, callback) {
+        this.storageAdapter.read(this.root, this.get('id'), function (err, hash) {
+            callback(err || (hash ? null : 'Data not found'), hash);
+        });
     },
     
     /**
     Sync method correlating to the "create" operation
     
-    @method _show
-    @return {Object} The new object created.
+    @method _create
+    @param {Object} options Sync options
+    @param {Function} callback Called with the new object created.
     @protected
     **/ 
-    _create: function (options) {
+    _create: function (options, callback) {
         var hash = this.toJSON();
         hash.id = this.generateID(this.root);
-        LocalSync._data[this.root][hash.id] = hash;
 
-        this._save();
-        return hash;
+        this.storageAdapter.write(this.root, hash, callback);
     },
 
     /**
     Sync method correlating to the "update" operation
     
     @method _update
-    @return {Object} The updated object.
+    @param {Object} options Sync options
+    @param {Function} callback Called with the updated object.
     @protected
     **/ 
-    _update: function (options) {
+    _update: function (options, callback) {
         var hash = Y.merge(this.toJSON(), options);
-        LocalSync._data[this.root][this.get('id')] = hash;
-        
-        this._save();
-        return hash;
+
+        this.storageAdapter.write(this.root, hash, callback);
     },
 
     /**
     Sync method correlating to the "delete" operation
     
     @method _destroy
-    @return {Object} The deleted object.
-    @protected
-    **/ 
-    _destroy: function (options) {
-        delete LocalSync._data[this.root][this.get('id')];
-        this._save();
-        return this.toJSON();
-    },
-    
-    /**
-    Saves the current in-memory store into a localStorage key/value pair
-    
-    @method _save
+    @param {Object} options Sync options
+    @param {Function} callback Called with the deleted object.
     @protected
     **/ 
-    _save: function () {
-        this.storage && this.storage.setItem(
-            this.root,
-            Y.JSON.stringify(LocalSync._data[this.root])
-        );
+    _destroy: function (options, callback) {
+        var hash = this.toJSON();
+
+        this.storageAdapter.remove(this.root, this.get('id'), function (err) {
+            callback(err || null, hash);
+        });
     }
 };
 
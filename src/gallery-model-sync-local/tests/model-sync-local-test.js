@@ -0,0 +1,280 @@
+YUI.add('model-sync-local-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+    LocalSync   = Y.ModelSync.Local,
+
+    suite;
+
+// Minimal Storage implementation so the tests don't touch real localStorage.
+function FakeStorage(quota) {
+    this.items = {};
+    this.quota = quota || Infinity;
+}
+
+FakeStorage.prototype = {
+    getItem: function (key) {
+        return this.items.hasOwnProperty(key) ? this.items[key] : null;
+    },
+
+    setItem: function (key, value) {
+        if (value.length > this.quota) {
+            var e = new Error('quota');
+            e.name = 'QuotaExceededError';
+            throw e;
+        }
+
+        this.items[key] = value;
+    }
+};
+
+function ids(hashes) {
+    return Y.Array.map(hashes, function (hash) {
+        return hash.id;
+    }).sort();
+}
+
+// -- ModelSync.Local Suite ----------------------------------------------------
+suite = new Y.Test.Suite('ModelSync.Local');
+
+// -- ModelSync.Local: MemoryAdapter -------------------------------------------
+suite.add(new Y.Test.Case({
+    name : 'MemoryAdapter',
+
+    setUp : function () {
+        this.adapter = new LocalSync.MemoryAdapter();
+    },
+
+    tearDown : function () {
+        delete LocalSync._data['memory-test'];
+    },
+
+    'write() should store a record that read() returns' : function () {
+        var result;
+
+        this.adapter.write('memory-test', {id: 'a', name: 'foo'}, function () {});
+        this.adapter.read('memory-test', 'a', function (err, hash) {
+            result = hash;
+        });
+
+        Assert.areSame('foo', result.name);
+    },
+
+    'readAll() should filter records with `where`' : function () {
+        var result;
+
+        this.adapter.write('memory-test', {id: 'a', group: 'admin'}, function () {});
+        this.adapter.write('memory-test', {id: 'b', group: 'user'}, function () {});
+        this.adapter.write('memory-test', {id: 'c', group: 'admin'}, function () {});
+
+        this.adapter.readAll('memory-test', {where: {group: 'admin'}}, function (err, hashes) {
+            result = hashes;
+        });
+
+        ArrayAssert.itemsAreEqual(['a', 'c'], ids(result));
+    },
+
+    'remove() should delete a record' : function () {
+        var result;
+
+        this.adapter.write('memory-test', {id: 'a'}, function () {});
+        this.adapter.remove('memory-test', 'a', function () {});
+        this.adapter.readAll('memory-test', {}, function (err, hashes) {
+            result = hashes;
+        });
+
+        Assert.areSame(0, result.length);
+    }
+}));
+
+// -- ModelSync.Local: LocalStorageAdapter -------------------------------------
+suite.add(new Y.Test.Case({
+    name : 'LocalStorageAdapter',
+
+    tearDown : function () {
+        delete LocalSync._data['storage-test'];
+    },
+
+    'write() should serialize the records of a root into one key' : function () {
+        var storage = new FakeStorage(),
+            adapter = new LocalSync.LocalStorageAdapter({storage: storage});
+
+        adapter.write('storage-test', {id: 'a', name: 'foo'}, function () {});
+
+        Assert.areSame('foo', Y.JSON.parse(storage.getItem('storage-test')).a.name);
+    },
+
+    'existing data should be read from storage' : function () {
+        var storage = new FakeStorage(),
+            adapter = new LocalSync.LocalStorageAdapter({storage: storage}),
+            result;
+
+        storage.setItem('storage-test', '{"a":{"id":"a","name":"foo"}}');
+        adapter.read('storage-test', 'a', function (err, hash) {
+            result = hash;
+        });
+
+        Assert.areSame('foo', result.name);
+    },
+
+    'a write over the quota should be rolled back and reported' : function () {
+        var storage = new FakeStorage(40),
+            adapter = new LocalSync.LocalStorageAdapter({storage: storage}),
+            error, result;
+
+        adapter.write('storage-test', {id: 'a'}, function () {});
+        adapter.write('storage-test', {id: 'b', name: 'a name that does not fit'}, function (err) {
+            error = err;
+        });
+        adapter.read('storage-test', 'b', function (err, hash) {
+            result = hash;
+        });
+
+        Assert.areSame('QuotaExceededError', error.name);
+        Assert.isUndefined(result);
+        Assert.areSame('{"a":{"id":"a"}}', storage.getItem('storage-test'));
+    }
+}));
+
+// -- ModelSync.Local: IndexedDBAdapter ----------------------------------------
+suite.add(new Y.Test.Case({
+    name : 'IndexedDBAdapter',
+
+    _should: {
+        ignore: {
+            'records should be written, read, filtered and removed': !LocalSync.IndexedDBAdapter.isSupported(),
+            'indexed keys should be filtered in memory when the value is not a valid key': !LocalSync.IndexedDBAdapter.isSupported()
+        }
+    },
+
+    setUp : function () {
+        this.adapter = new LocalSync.IndexedDBAdapter({
+            dbName : 'model-sync-local-test-' + Y.guid(),
+            indexes: {user: ['group', 'active']}
+        });
+    },
+
+    tearDown : function () {
+        this.adapter.close();
+        Y.config.win.indexedDB.deleteDatabase(this.adapter.dbName);
+    },
+
+    'records should be written, read, filtered and removed' : function () {
+        var test    = this,
+            adapter = this.adapter;
+
+        adapter.write('user', {id: 'a', group: 'admin'}, function () {
+            adapter.write('user', {id: 'b', group: 'user'}, function () {
+                adapter.readAll('user', {where: {group: 'admin'}}, function (err, admins) {
+                    adapter.remove('user', 'a', function () {
+                        adapter.read('user', 'a', function (err, removed) {
+                            test.resume(function () {
+                                ArrayAssert.itemsAreEqual(['a'], ids(admins));
+                                Assert.isUndefined(removed);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        this.wait(2000);
+    },
+
+    'indexed keys should be filtered in memory when the value is not a valid key' : function () {
+        var test    = this,
+            adapter = this.adapter,
+            calls   = [];
+
+        adapter.write('user', {id: 'a', group: 'admin', active: true}, function () {
+            adapter.write('user', {id: 'b', group: 'admin', active: false}, function () {
+                adapter.readAll('user', {where: {active: true}}, function (err, active) {
+                    calls.push(err);
+
+                    // Give a stray second callback a chance to arrive
+                    Y.later(50, null, function () {
+                        test.resume(function () {
+                            Assert.areSame(1, calls.length);
+                            Assert.isNull(calls[0]);
+                            ArrayAssert.itemsAreEqual(['a'], ids(active));
+                        });
+                    });
+                });
+            });
+        });
+
+        this.wait(2000);
+    }
+}));
+
+// -- ModelSync.Local: Models --------------------------------------------------
+suite.add(new Y.Test.Case({
+    name : 'Models',
+
+    setUp : function () {
+        var adapter = this.adapter = new LocalSync.MemoryAdapter();
+
+        this.TestModel = Y.Base.create('testModel', Y.Model, [LocalSync], {
+            root: 'model-test',
+            storageAdapter: adapter
+        });
+
+        this.TestModelList = Y.Base.create('testModelList', Y.ModelList, [LocalSync], {
+            model: this.TestModel,
+            root : 'model-test',
+            storageAdapter: adapter
+        });
+    },
+
+    tearDown : function () {
+        delete LocalSync._data['model-test'];
+        delete this.TestModel;
+        delete this.TestModelList;
+    },
+
+    'save() should generate an id and store the model' : function () {
+        var model = new this.TestModel({name: 'foo'}),
+            stored;
+
+        model.save();
+        this.adapter.read('model-test', model.get('id'), function (err, hash) {
+            stored = hash;
+        });
+
+        Assert.isNotNull(model.get('id'));
+        Assert.areSame('foo', stored.name);
+    },
+
+    'load() on a list should respect `where`' : function () {
+        var list = new this.TestModelList();
+
+        new this.TestModel({group: 'admin'}).save();
+        new this.TestModel({group: 'user'}).save();
+        new this.TestModel({group: 'admin'}).save();
+
+        list.load({where: {group: 'admin'}});
+
+        Assert.areSame(2, list.size());
+    },
+
+    'destroy() with `remove` should delete the stored model' : function () {
+        var model = new this.TestModel({name: 'foo'}),
+            list  = new this.TestModelList();
+
+        model.save();
+        model.destroy({remove: true});
+        list.load();
+
+        Assert.areSame(0, list.size());
+    },
+
+    'the default adapter should be shared' : function () {
+        Assert.areSame(LocalSync.getDefaultAdapter(), LocalSync.getDefaultAdapter());
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {
+    requires: ['gallery-model-sync-local', 'model', 'model-list', 'json-parse', 'test']
+});
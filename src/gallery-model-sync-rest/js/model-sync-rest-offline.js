@@ -0,0 +1,600 @@
+// -- OfflineQueue -------------------------------------------------------------
+
+/**
+A persistent journal of the create, update and delete requests made by
+`ModelSync.REST` models with `offline` set to `true` while the server could not
+be reached.
+
+Requests are journaled when the browser reports that it is offline, when an
+XHR fails without reaching the server (status `0`), or when earlier requests
+are still waiting in the journal. The journal is kept in localStorage (in
+memory when that isn't available), and is replayed in order when the window
+fires its `online` event, when an offline model is created, or when `replay()`
+is called.
+
+Repeated saves of a model which are still waiting in the journal are coalesced
+into a single request, and deleting a model whose creation hasn't been sent
+yet simply drops the journaled create.
+
+When a replayed update or delete was made against an `ETag` (or version, see
+`versionAttribute`) that no longer matches, the server is expected to respond
+with `409 Conflict` or `412 Precondition Failed`. The current server data is
+then fetched and the model's `conflictResolver` decides what is sent.
+
+The shared instance is available as `Y.ModelSync.REST.queue`:
+
+    Y.ModelSync.REST.queue.on('queued', function (e) {
+        status.setHTML(this.size() + ' changes waiting for a connection');
+    });
+
+@class ModelSync.REST.OfflineQueue
+@uses EventTarget
+@constructor
+@param {Object} [config]
+  @param {String} [config.storageKey] localStorage key of the journal,
+    defaults to `STORAGE_KEY`
+**/
+function OfflineQueue(config) {
+    config || (config = {});
+
+    this.storageKey = config.storageKey || OfflineQueue.STORAGE_KEY;
+
+    this._models    = {};
+    this._callbacks = [];
+    this._replaying = false;
+    this._timer     = null;
+
+    try {
+        this._storage = Y.config.win.localStorage;
+    } catch (e) {
+        Y.log('Could not access localStorage, journal will not persist.', 'warn');
+    }
+
+    this._entries = this._load();
+
+    /**
+    Fired when a request is added to the journal.
+
+    @event queued
+    @param {Object} entry The journal entry
+    @param {Model} model The model which made the request
+    **/
+
+    /**
+    Fired when a journaled request has been sent to the server. Also fired on
+    the model, if it is still around.
+
+    @event replayed
+    @param {Object} entry The journal entry
+    @param {Model} [model] The model which made the request
+    @param {String} [response] The server's response
+    @param {Object} [error] The error, when the server rejected the request
+    **/
+
+    /**
+    Fired when a replayed request conflicts with the data on the server,
+    after the conflict has been resolved. Also fired on the model, if it is
+    still around.
+
+    @event conflict
+    @param {Object} entry The journal entry
+    @param {Model} [model] The model which made the request
+    @param {Object|null} local The journaled data; for a delete, the model's
+      data at the time it was deleted
+    @param {Object|null} server The data currently on the server
+    @param {Object|null} resolved The data that is sent to the server, or
+      `null` when the server's data is kept
+    **/
+    this.publish([EVT_QUEUED, EVT_REPLAYED, EVT_CONFLICT], {
+        emitFacade: true
+    });
+
+    if (Y.config.win && Y.config.win.addEventListener) {
+        Y.on('online', Y.bind('replay', this), Y.config.win);
+    }
+}
+
+var EVT_QUEUED   = 'queued',
+    EVT_REPLAYED = 'replayed',
+    EVT_CONFLICT = 'conflict';
+
+/**
+localStorage key which the journal is saved under.
+
+@property STORAGE_KEY
+@type String
+@default 'yui-model-sync-rest-queue'
+@static
+**/
+OfflineQueue.STORAGE_KEY = 'yui-model-sync-rest-queue';
+
+/**
+Number of milliseconds to wait before replaying again when the server could
+not be reached.
+
+@property RETRY_INTERVAL
+@type Number
+@default 30000
+@static
+**/
+OfflineQueue.RETRY_INTERVAL = 30000;
+
+OfflineQueue.prototype = {
+
+    // -- Public Methods -------------------------------------------------------
+
+    /**
+    Journals a request made by `model`, and calls `callback` as if the
+    request had succeeded.
+
+    @method add
+    @param {Model} model Model making the request
+    @param {Object} request Request details
+      @param {String} request.action Sync action
+      @param {String} request.url URL of the request
+      @param {String} request.method HTTP method
+      @param {Object} request.headers HTTP headers
+      @param {String} [request.entity] HTTP request entity body
+    @param {Function} [callback] The sync callback
+    @return {Object} The journal entry, or `null` when nothing needs to be sent
+    **/
+    add: function (model, request, callback) {
+        var pending = this._findPending(model),
+            entry;
+
+        if (request.action === 'delete' && pending && pending.action === 'create') {
+            // The server never heard of this model, so there's nothing to do.
+            this._remove(pending);
+            this._save();
+            isFunction(callback) && callback(null);
+            return null;
+        }
+
+        entry = Y.merge(request, {
+            id      : pending ? pending.id : Y.guid('rest-queue-'),
+            data    : request.action === 'delete' ? model.toJSON() : undefined,
+            root    : model.root,
+            etag    : pending ? pending.etag : this._getETag(model),
+            resolver: isString(model.conflictResolver) ?
+                    model.conflictResolver : null
+        });
+
+        // A create which hasn't been sent yet stays a create.
+        if (pending && pending.action === 'create') {
+            entry.action = pending.action;
+            entry.method = pending.method;
+            entry.url    = pending.url;
+        }
+
+        if (pending) {
+            this._entries[Y.Array.indexOf(this._entries, pending)] = entry;
+        } else {
+            this._entries.push(entry);
+        }
+
+        this._models[entry.id] = model;
+        this._save();
+
+        this.fire(EVT_QUEUED, {entry: entry, model: model});
+
+        isFunction(callback) && callback(null, request.entity);
+
+        if (!this.isOffline() && !this._timer) {
+            this.replay();
+        }
+
+        return entry;
+    },
+
+    /**
+    Removes all journaled requests without sending them.
+
+    @method clear
+    **/
+    clear: function () {
+        this._entries = [];
+        this._models  = {};
+        this._save();
+    },
+
+    /**
+    Returns a copy of the journaled requests, oldest first.
+
+    @method getEntries
+    @return {Object[]}
+    **/
+    getEntries: function () {
+        return this._entries.concat();
+    },
+
+    /**
+    Returns `true` when the browser reports that there is no network
+    connection.
+
+    @method isOffline
+    @return {Boolean}
+    **/
+    isOffline: function () {
+        var nav = Y.config.win && Y.config.win.navigator;
+        return !!nav && nav.onLine === false;
+    },
+
+    /**
+    Sends the journaled requests to the server, one at a time and in order.
+    Replaying stops at the first request that can't reach the server (or that
+    fails with a `5xx` status); it is retried after `RETRY_INTERVAL`
+    milliseconds, or as soon as the browser is back online.
+
+    @method replay
+    @param {Function} [callback] Called once replaying stops, with the number
+      of requests still in the journal.
+    **/
+    replay: function (callback) {
+        var self = this;
+
+        isFunction(callback) && this._callbacks.push(callback);
+
+        if (this._replaying) {
+            return;
+        }
+
+        if (this._timer) {
+            this._timer.cancel();
+            this._timer = null;
+        }
+
+        function done(retry) {
+            var callbacks = self._callbacks;
+
+            self._replaying = false;
+            self._callbacks = [];
+
+            if (retry) {
+                self._timer = Y.later(OfflineQueue.RETRY_INTERVAL, self, function () {
+                    self._timer = null;
+                    self.replay();
+                });
+            }
+
+            Y.Array.each(callbacks, function (fn) {
+                fn(self._entries.length);
+            });
+        }
+
+        function next() {
+            var entry = self._entries[0];
+
+            if (!entry || self.isOffline()) {
+                return done();
+            }
+
+            self._replayEntry(entry, function (retry) {
+                retry ? done(true) : next();
+            });
+        }
+
+        this._replaying = true;
+        next();
+    },
+
+    /**
+    Returns the number of journaled requests.
+
+    @method size
+    @return {Number}
+    **/
+    size: function () {
+        return this._entries.length;
+    },
+
+    // -- Protected Methods ----------------------------------------------------
+
+    /**
+    Returns the journaled request of `model` which hasn't been sent yet.
+
+    @method _findPending
+    @param {Model} model
+    @return {Object} The journal entry, or `undefined`
+    @protected
+    **/
+    _findPending: function (model) {
+        var models = this._models,
+            i;
+
+        // Skip the entry which is currently being sent.
+        for (i = this._entries.length - 1; i >= (this._replaying ? 1 : 0); i -= 1) {
+            if (models[this._entries[i].id] === model) {
+                return this._entries[i];
+            }
+        }
+    },
+
+    /**
+    Returns the value for the `If-Match` header of requests made by `model`:
+    the last `ETag` the server sent, or the value of its `versionAttribute`.
+
+    @method _getETag
+    @param {Model} model
+    @return {String} The ETag, or `null`
+    @protected
+    **/
+    _getETag: function (model) {
+        var version;
+
+        if (model._etag) {
+            return model._etag;
+        }
+
+        if (model.versionAttribute) {
+            version = model.get(model.versionAttribute);
+            return isValue(version) ? '"' + version + '"' : null;
+        }
+
+        return null;
+    },
+
+    /**
+    Sends an XHR. This is a separate method so it can be swapped out in tests.
+
+    @method _io
+    @param {String} url
+    @param {Object} config `Y.io()` configuration
+    @protected
+    **/
+    _io: function (url, config) {
+        return Y.io(url, config);
+    },
+
+    /**
+    Restores the journal from localStorage.
+
+    @method _load
+    @return {Object[]} The journal entries
+    @protected
+    **/
+    _load: function () {
+        var stored;
+
+        try {
+            stored = this._storage && this._storage.getItem(this.storageKey);
+            return (stored && Y.JSON.parse(stored)) || [];
+        } catch (e) {
+            Y.log('Could not restore the journal: ' + e.message, 'warn');
+            return [];
+        }
+    },
+
+    /**
+    Parses a JSON response, returning `null` for anything that isn't JSON.
+
+    @method _parse
+    @param {String} text
+    @return {Object}
+    @protected
+    **/
+    _parse: function (text) {
+        try {
+            return text ? Y.JSON.parse(text) : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+    Removes `entry` from the journal.
+
+    @method _remove
+    @param {Object} entry
+    @protected
+    **/
+    _remove: function (entry) {
+        var index = Y.Array.indexOf(this._entries, entry);
+
+        index > -1 && this._entries.splice(index, 1);
+        delete this._models[entry.id];
+    },
+
+    /**
+    Sends one journaled request and deals with its outcome.
+
+    @method _replayEntry
+    @param {Object} entry
+    @param {Function} callback Called with `true` when the request should be
+      retried later.
+    @protected
+    **/
+    _replayEntry: function (entry, callback) {
+        var self = this;
+
+        this._send(entry, entry.entity, entry.etag, function (err, res) {
+            if (err && (!err.code || err.code >= 500)) {
+                return callback(true);
+            }
+
+            if (err && (err.code === 409 || err.code === 412)) {
+                return self._resolveConflict(entry, function () {
+                    callback(false);
+                });
+            }
+
+            self._settle(entry, err, res);
+            callback(false);
+        });
+    },
+
+    /**
+    Fetches the server's data for a conflicting request, runs the conflict
+    resolver and sends the resolved data, if any.
+
+    @method _resolveConflict
+    @param {Object} entry
+    @param {Function} callback
+    @protected
+    **/
+    _resolveConflict: function (entry, callback) {
+        var self  = this,
+            model = this._models[entry.id];
+
+        this._send({
+            url    : entry.url,
+            method : 'GET',
+            headers: {'Accept': RESTSync.HTTP_HEADERS.Accept}
+        }, null, null, function (err, res) {
+            var local    = entry.action === 'delete' ? (entry.data || {}) : self._parse(entry.entity),
+                server   = err ? null : self._parse(res.responseText),
+                resolver = model ? model._getConflictResolver() :
+                        RESTSync.CONFLICT_RESOLVERS[entry.resolver] ||
+                        RESTSync.CONFLICT_RESOLVERS['server-wins'],
+                resolved;
+
+            // The server lost the connection again; try the whole thing later.
+            if (err && !err.code) {
+                return callback();
+            }
+
+            // Resolving a delete in favour of the client sends it again.
+            resolved = resolver(local, server, entry);
+
+            self._fire(EVT_CONFLICT, entry, {
+                local   : local,
+                server  : server,
+                resolved: resolved
+            });
+
+            if (!resolved || (!server && entry.action === 'delete')) {
+                // Keep the server's version, and let the model know about it.
+                if (model && server && entry.action !== 'delete') {
+                    model.setAttrs(model.parse(res.responseText), {src: 'conflict'});
+                }
+
+                self._settle(entry, null, err ? null : res);
+                return callback();
+            }
+
+            self._send(entry, entry.action === 'delete' ? null : Y.JSON.stringify(resolved),
+                    res && res.getResponseHeader && res.getResponseHeader('ETag'),
+                    function (err, res) {
+                        self._settle(entry, err, res);
+                        callback();
+                    });
+        });
+    },
+
+    /**
+    Saves the journal to localStorage.
+
+    @method _save
+    @protected
+    **/
+    _save: function () {
+        try {
+            this._storage && this._storage.setItem(this.storageKey,
+                    Y.JSON.stringify(this._entries));
+        } catch (e) {
+            Y.log('Could not save the journal: ' + e.message, 'warn');
+        }
+    },
+
+    /**
+    Sends the request described by `entry`.
+
+    @method _send
+    @param {Object} entry
+    @param {String} entity HTTP request entity body
+    @param {String} etag Value for the `If-Match` header
+    @param {Function} callback Called with `(err, response)`
+    @protected
+    **/
+    _send: function (entry, entity, etag, callback) {
+        var headers   = Y.merge(entry.headers),
+            csrfToken = RESTSync.CSRF_TOKEN;
+
+        if (etag) {
+            headers['If-Match'] = etag;
+        }
+
+        // The token may have changed since the request was journaled.
+        if (csrfToken && headers['X-CSRF-Token']) {
+            headers['X-CSRF-Token'] = csrfToken;
+        }
+
+        this._io(entry.url, {
+            method : entry.method,
+            headers: headers,
+            data   : entity || undefined,
+            timeout: RESTSync.HTTP_TIMEOUT,
+
+            on: {
+                success: function (txId, res) {
+                    callback(null, res);
+                },
+
+                failure: function (txId, res) {
+                    callback({code: res.status, msg: res.statusText}, res);
+                }
+            }
+        });
+    },
+
+    /**
+    Removes a replayed request from the journal, updates its model with the
+    server's response and fires `replayed`.
+
+    @method _settle
+    @param {Object} entry
+    @param {Object} err The error if the server rejected the request
+    @param {Object} res The XHR response
+    @protected
+    **/
+    _settle: function (entry, err, res) {
+        var model    = this._models[entry.id],
+            response = res && res.responseText;
+
+        this._remove(entry);
+        this._save();
+
+        if (model && !err) {
+            res.getResponseHeader && (model._etag = res.getResponseHeader('ETag') || null);
+
+            if (entry.action !== 'delete' && response) {
+                model.setAttrs(model.parse(response), {src: 'replay'});
+            }
+        }
+
+        this._fire(EVT_REPLAYED, entry, {
+            error   : err || null,
+            response: response
+        });
+    },
+
+    /**
+    Fires `type` on the queue and on the entry's model, if it's still around.
+
+    @method _fire
+    @param {String} type
+    @param {Object} entry
+    @param {Object} payload
+    @protected
+    **/
+    _fire: function (type, entry, payload) {
+        var model = this._models[entry.id] || null;
+
+        payload = Y.merge(payload, {entry: entry, model: model});
+
+        this.fire(type, payload);
+        model && model.fire(type, payload);
+    }
+};
+
+Y.augment(OfflineQueue, Y.EventTarget);
+
+RESTSync.OfflineQueue = OfflineQueue;
+
+/**
+The shared journal of all `ModelSync.REST` models with `offline` set to `true`.
+
+@property queue
+@type ModelSync.REST.OfflineQueue
+@static
+**/
+RESTSync.queue = new OfflineQueue();
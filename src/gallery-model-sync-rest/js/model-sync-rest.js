@@ -23,6 +23,18 @@ when sub-classing ModelList.
         url  : '/user'
     });
 
+Setting the `offline` property to `true` makes create, update and delete
+requests survive a missing network connection: they are journaled in
+`Y.ModelSync.REST.queue` and replayed in order once the browser is back
+online. See `ModelSync.REST.OfflineQueue` for the details.
+
+    var Note = Y.Base.create('note', Y.Model, [Y.ModelSync.REST], {
+        root            : '/notes',
+        offline         : true,
+        versionAttribute: 'version',
+        conflictResolver: 'client-wins'
+    });
+
 @class ModelSync.REST
 @extensionfor Model
 @extensionfor ModelList
@@ -109,6 +121,35 @@ which was overridden.
 **/
 RESTSync.EMULATE_HTTP = false;
 
+/**
+Named conflict resolvers which may be used as the `conflictResolver` of a
+Model. A resolver is called with the local data that was journaled, the data
+currently on the server (`null` if the server has none) and the queue entry.
+It returns the data that should be sent to the server, or `null` to keep the
+server's version.
+
+Custom resolvers can be added to this object so that they can be looked up by
+name when the queue is replayed after a page reload.
+
+@property CONFLICT_RESOLVERS
+@type Object
+@default
+    {
+        'server-wins': function (local, server) { return null; },
+        'client-wins': function (local, server) { return local; }
+    }
+@static
+**/
+RESTSync.CONFLICT_RESOLVERS = {
+    'server-wins': function (local, server) {
+        return null;
+    },
+
+    'client-wins': function (local, server) {
+        return local;
+    }
+};
+
 /**
 A request authenticity token to validate HTTP requests made by this extension
 with the server when the request results in changing persistent state. This
@@ -142,11 +183,12 @@ Model or ModelList constructor.
 
 @property _NON_ATTRS_CFG
 @type Array
-@default ['root', 'url']
+@default ['root', 'url', 'offline', 'versionAttribute', 'conflictResolver']
 @static
 @protected
 **/
-RESTSync._NON_ATTRS_CFG = ['root', 'url'];
+RESTSync._NON_ATTRS_CFG = ['root', 'url', 'offline', 'versionAttribute',
+    'conflictResolver'];
 
 RESTSync.prototype = {
 
@@ -251,11 +293,51 @@ RESTSync.prototype = {
         return this._joinURL(url);
     },
 
+    /**
+    Whether create, update and delete requests which can't reach the server
+    should be journaled in `Y.ModelSync.REST.queue` and replayed later instead
+    of failing.
+
+    @property offline
+    @type Boolean
+    @default false
+    **/
+    offline: false,
+
+    /**
+    Name of the attribute which holds the model's version. When set, its value
+    is sent in an `If-Match` header when a journaled request is replayed and
+    the server didn't provide an `ETag`, so the server can detect conflicts.
+
+    @property versionAttribute
+    @type String
+    @default null
+    **/
+    versionAttribute: null,
+
+    /**
+    How to resolve a conflict detected while replaying a journaled request:
+    either the name of one of the `CONFLICT_RESOLVERS` or a merge Function with
+    the same signature. Functions can't be persisted, so requests replayed after
+    a page reload fall back to `server-wins` unless a named resolver is used.
+
+    @property conflictResolver
+    @type Function|String
+    @default 'server-wins'
+    **/
+    conflictResolver: 'server-wins',
+
     // -- Lifecycle Methods ----------------------------------------------------
 
     initializer: function (config) {
         config || (config = {});
         isValue(config.url) && (this.url = config.url);
+        isValue(config.offline) && (this.offline = config.offline);
+        isValue(config.versionAttribute) && (this.versionAttribute = config.versionAttribute);
+        isValue(config.conflictResolver) && (this.conflictResolver = config.conflictResolver);
+
+        // Flush anything that was journaled before the last page reload.
+        this.offline && RESTSync.queue.replay();
     },
 
     // -- Public Methods -------------------------------------------------------
@@ -284,7 +366,9 @@ RESTSync.prototype = {
       @param {Number} [options.timeout] The number of milliseconds before the
         request will timeout and be aborted. This overrides the default provided
         by the `HTTP_TIMEOUT` static property.
-    @param {callback} [callback] Called when the sync operation finishes.
+    @param {callback} [callback] Called when the sync operation finishes. When
+      the `offline` property is `true` and a create, update or delete request
+      is journaled, this is called right away as if the request succeeded.
       @param {Error|null} callback.err If an error occurred, this parameter will
         contain the error. If the sync operation succeeded, _err_ will be
         falsy.
@@ -295,11 +379,15 @@ RESTSync.prototype = {
     sync: function (action, options, callback) {
         options || (options = {});
 
-        var url       = this._getURL(action),
+        var self      = this,
+            url       = this._getURL(action),
             method    = RESTSync.HTTP_METHODS[action],
             headers   = Y.merge(RESTSync.HTTP_HEADERS, options.headers),
             timeout   = options.timeout || RESTSync.HTTP_TIMEOUT,
             csrfToken = options.csrfToken || RESTSync.CSRF_TOKEN,
+            queue     = RESTSync.queue,
+            journal   = this.offline && action !== 'read',
+            request,
             entity;
 
         // Prepare the content if we are sending data to the server.
@@ -328,6 +416,20 @@ RESTSync.prototype = {
             headers['X-CSRF-Token'] = csrfToken;
         }
 
+        request = {
+            action : action,
+            url    : url,
+            method : method,
+            headers: headers,
+            entity : entity
+        };
+
+        // Keep requests in order behind anything that is already journaled.
+        if (journal && (queue.isOffline() || queue.size())) {
+            queue.add(this, request, callback);
+            return;
+        }
+
         // Setup and send the XHR.
         Y.io(url, {
             method : method,
@@ -337,12 +439,21 @@ RESTSync.prototype = {
 
             on: {
                 success: function (txId, res) {
+                    self._etag = res.getResponseHeader &&
+                            res.getResponseHeader('ETag') || null;
+
                     if (isFunction(callback)) {
                         callback(null, res.responseText);
                     }
                 },
 
                 failure: function (txId, res) {
+                    // A status of 0 means the server was never reached.
+                    if (journal && !res.status) {
+                        queue.add(self, request, callback);
+                        return;
+                    }
+
                     if (isFunction(callback)) {
                         callback({
                             code: res.status,
@@ -356,6 +467,22 @@ RESTSync.prototype = {
 
     // -- Protected Methods ----------------------------------------------------
 
+    /**
+    Returns the conflict resolver Function for this model, looking up named
+    resolvers in `CONFLICT_RESOLVERS`.
+
+    @method _getConflictResolver
+    @return {Function} the conflict resolver.
+    @protected
+    **/
+    _getConflictResolver: function () {
+        var resolver = this.conflictResolver;
+
+        return isFunction(resolver) ? resolver :
+                RESTSync.CONFLICT_RESOLVERS[resolver] ||
+                RESTSync.CONFLICT_RESOLVERS['server-wins'];
+    },
+
     /**
     Helper method to return the URL to use when making the XHR to the server.
 
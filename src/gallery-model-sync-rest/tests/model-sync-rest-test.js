@@ -200,6 +200,205 @@ suite.add(new Y.Test.Case({
 
 }));
 
+// -- ModelSync.REST: Offline --------------------------------------------------
+suite.add(new Y.Test.Case({
+    name : 'Offline',
+
+    setUp : function () {
+        var test = this;
+
+        this.online   = false;
+        this.requests = [];
+        this.server   = {};
+
+        this.queue = new Y.ModelSync.REST.OfflineQueue({ storageKey: 'model-sync-rest-test' });
+        this.queue.clear();
+        this.queue.isOffline = function () { return !test.online; };
+        this.queue._io = function (url, config) { test._io(url, config); };
+
+        this.originalQueue = Y.ModelSync.REST.queue;
+        this.originalIO    = Y.io;
+
+        Y.ModelSync.REST.queue = this.queue;
+        Y.io = this.queue._io;
+
+        this.TestModel = Y.Base.create('testModel', Y.Model, [Y.ModelSync.REST], {
+            root            : '/model',
+            offline         : true,
+            versionAttribute: 'version'
+        });
+    },
+
+    tearDown : function () {
+        this.queue.clear();
+
+        Y.ModelSync.REST.queue = this.originalQueue;
+        Y.io = this.originalIO;
+
+        delete this.queue;
+        delete this.TestModel;
+    },
+
+    // Fake server which keeps its data in `this.server`, keyed by URL.
+    _io : function (url, config) {
+        var server = this.server,
+            res    = { status: 200, responseText: '', getResponseHeader: function () { return null; } },
+            data   = config.data && Y.JSON.parse(config.data),
+            match  = config.headers['If-Match'];
+
+        this.requests.push(config.method + ' ' + url);
+
+        if (!this.online) {
+            res.status = 0;
+            return config.on.failure(1, res);
+        }
+
+        if (config.method === 'GET' || config.method === 'PUT') {
+            if (!server[url]) {
+                res.status = 404;
+                return config.on.failure(1, res);
+            }
+
+            if (config.method === 'PUT') {
+                if (match && match !== '"' + server[url].version + '"') {
+                    res.status = 412;
+                    return config.on.failure(1, res);
+                }
+
+                data.version = server[url].version + 1;
+                server[url]  = data;
+            }
+
+            res.responseText = Y.JSON.stringify(server[url]);
+        } else if (config.method === 'POST') {
+            data.id      = 1;
+            data.version = 1;
+            server[url + '/1'] = data;
+            res.responseText   = Y.JSON.stringify(data);
+        }
+
+        config.on.success(1, res);
+    },
+
+    'requests made while offline should be journaled' : function () {
+        var model  = new this.TestModel({ name: 'foo' }),
+            queued = 0,
+            called = false;
+
+        this.queue.on('queued', function () { queued += 1; });
+
+        model.save(function (err) {
+            called = true;
+            Assert.isNull(err);
+        });
+
+        Assert.isTrue(called);
+        Assert.areSame(1, queued);
+        Assert.areSame(1, this.queue.size());
+        Assert.areSame('create', this.queue.getEntries()[0].action);
+        Assert.isTrue(model.isNew());
+    },
+
+    'repeated saves of a journaled model should be coalesced' : function () {
+        var model = new this.TestModel({ name: 'foo' });
+
+        model.save();
+        model.set('name', 'bar').save();
+
+        Assert.areSame(1, this.queue.size());
+        Assert.areSame('create', this.queue.getEntries()[0].action);
+        Assert.areSame('bar', Y.JSON.parse(this.queue.getEntries()[0].entity).name);
+    },
+
+    'deleting a model whose create is journaled should drop the create' : function () {
+        var model = new this.TestModel({ name: 'foo' });
+
+        model.save();
+        model.destroy({ remove: true });
+
+        Assert.areSame(0, this.queue.size());
+    },
+
+    'journaled requests should be replayed in order' : function () {
+        var created  = new this.TestModel({ name: 'new' }),
+            updated  = new this.TestModel({ id: 2, name: 'changed', version: 1 }),
+            replayed = [];
+
+        this.server['/model/2'] = { id: 2, name: 'old', version: 1 };
+
+        this.queue.on('replayed', function (e) { replayed.push(e.entry.action); });
+
+        created.save();
+        updated.save();
+
+        this.online = true;
+        this.requests = [];
+        this.queue.replay();
+
+        ArrayAssert.itemsAreSame(['POST /model', 'PUT /model/2'], this.requests);
+        ArrayAssert.itemsAreSame(['create', 'update'], replayed);
+        Assert.areSame(0, this.queue.size());
+        Assert.areSame(1, created.get('id'));
+        Assert.areSame('changed', this.server['/model/2'].name);
+    },
+
+    'failing to reach the server should keep requests journaled' : function () {
+        var model = new this.TestModel({ name: 'foo' });
+
+        model.save();
+        this.queue.replay();
+
+        Assert.areSame(1, this.queue.size());
+        this.queue._timer && this.queue._timer.cancel();
+    },
+
+    'conflicts should be resolved in favour of the server by default' : function () {
+        var model    = new this.TestModel({ id: 3, name: 'mine', version: 1 }),
+            conflict = null;
+
+        this.server['/model/3'] = { id: 3, name: 'theirs', version: 2 };
+
+        this.queue.on('conflict', function (e) { conflict = e; });
+
+        model.save();
+        this.online = true;
+        this.queue.replay();
+
+        Assert.isNotNull(conflict);
+        Assert.areSame('mine', conflict.local.name);
+        Assert.areSame('theirs', conflict.server.name);
+        Assert.isNull(conflict.resolved);
+        Assert.areSame('theirs', model.get('name'));
+        Assert.areSame('theirs', this.server['/model/3'].name);
+    },
+
+    'conflicts should be resolved with a custom merge function' : function () {
+        var model = new this.TestModel({ id: 4, name: 'mine', version: 1 });
+
+        model.conflictResolver = function (local, server) {
+            return Y.merge(server, { name: server.name + '+' + local.name });
+        };
+
+        this.server['/model/4'] = { id: 4, name: 'theirs', version: 2 };
+
+        model.save();
+        this.online = true;
+        this.queue.replay();
+
+        Assert.areSame('theirs+mine', this.server['/model/4'].name);
+        Assert.areSame('theirs+mine', model.get('name'));
+        Assert.areSame(3, model.get('version'));
+    },
+
+    'named conflict resolvers should be available' : function () {
+        var resolvers = Y.ModelSync.REST.CONFLICT_RESOLVERS,
+            local     = { name: 'mine' };
+
+        Assert.isNull(resolvers['server-wins'](local, {}));
+        Assert.areSame(local, resolvers['client-wins'](local, {}));
+    }
+}));
+
 Y.Test.Runner.add(suite);
 
 }, '@VERSION@', {
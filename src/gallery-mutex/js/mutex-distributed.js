@@ -0,0 +1,835 @@
+/**
+ * @module gallery-mutex
+ */
+(function (Y) {
+    'use strict';
+
+    /**
+    * Y.Mutex.Distributed offers the same exclusive, shared, and upgradable
+    * locks as Y.Mutex, but the locks are coordinated across every page of
+    * the same origin instead of only within one page.  This is useful when
+    * an application is open in several tabs which all race to access the
+    * same resource, such as refreshing a cached token.
+    *
+    * The state of each distributed lock is kept in localStorage.  Other
+    * pages are notified of changes through a BroadcastChannel where
+    * available and through storage events otherwise.  Every lock granted or
+    * waiting to be granted holds a lease which the page renews periodically.
+    * If a page crashes or is closed while holding a lock, the lease expires
+    * and the lock is released automatically after Y.Mutex.Distributed.LEASE
+    * milliseconds.  Browsers throttle timers in background pages, so the
+    * lease should be generously longer than the throttled timer interval.
+    *
+    * When localStorage is not available, the methods of Y.Mutex.Distributed
+    * fall back to the matching methods of Y.Mutex, which only coordinate
+    * locks within the current page.
+    * @class Mutex.Distributed
+    * @static
+    */
+    var _Distributed = Y.namespace('Mutex.Distributed'),
+        _Mutex = Y.Mutex,
+
+        _each = Y.Object.each,
+        _isEmpty = Y.Object.isEmpty,
+        _later = Y.later,
+        _now = Y.Lang.now,
+        _soon = Y.soon,
+
+        _indexOf = function (array, value) {
+            var i;
+
+            for (i = 0; i < array.length; i += 1) {
+                if (array[i] === value) {
+                    return i;
+                }
+            }
+
+            return -1;
+        };
+
+    Y.mix(_Distributed, {
+        /**
+         * The approximate time in milliseconds a lock survives without its
+         * page renewing the lease.  Leases are renewed three times within
+         * this period.
+         * @property LEASE
+         * @default 30000
+         * @type Number
+         * @static
+         */
+        LEASE: 30000,
+        /**
+         * The prefix of all localStorage keys and of the BroadcastChannel
+         * name used by distributed locks.
+         * @property PREFIX
+         * @default 'yui-mutex-'
+         * @type String
+         * @static
+         */
+        PREFIX: 'yui-mutex-',
+        /**
+         * Obtains an exclusive lock on a resource across all pages.  The
+         * arguments and the return value are the same as for
+         * Y.Mutex.exclusive.  Calling the cancel method while the lock is
+         * still waiting to be granted withdraws the request.
+         * @method exclusive
+         * @param {String} resourceName The name of the resource to lock.
+         * @param {Function} callbackFunction The function that gets called when
+         * the lock is obtained.  It is passed one argument, the unlock
+         * function which must be called to release the lock.
+         * @param {Number} timeout Optional.  The approximate time in
+         * milliseconds to wait after the callback function has been called
+         * before the lock is automatically released.
+         * @return {Object} cancelObject An object with a cancel method and a
+         * mode property set to 'exclusive'.
+         * @static
+         */
+        exclusive: function (resourceName, callbackFunction, timeout) {
+            return _Distributed._request('exclusive', resourceName, callbackFunction, timeout);
+        },
+        /**
+         * Checks whether distributed locks are available.  When this returns
+         * false, locks are only coordinated within the current page.
+         * @method isSupported
+         * @return {Boolean}
+         * @static
+         */
+        isSupported: function () {
+            return !!_Distributed._getStorage();
+        },
+        /**
+         * Obtains a shared lock on a resource across all pages.  The
+         * arguments and the return value are the same as for
+         * Y.Mutex.shared.  Calling the cancel method while the lock is
+         * still waiting to be granted withdraws the request.
+         * @method shared
+         * @param {String} resourceName The name of the resource to lock.
+         * @param {Function} callbackFunction The function that gets called when
+         * the lock is obtained.  It is passed one argument, the unlock
+         * function which must be called to release the lock.
+         * @param {Number} timeout Optional.  The approximate time in
+         * milliseconds to wait after the callback function has been called
+         * before the lock is automatically released.
+         * @return {Object} cancelObject An object with a cancel method and a
+         * mode property set to 'shared'.
+         * @static
+         */
+        shared: function (resourceName, callbackFunction, timeout) {
+            return _Distributed._request('shared', resourceName, callbackFunction, timeout);
+        },
+        /**
+         * Obtains an upgradable lock on a resource across all pages.  The
+         * arguments and the return value are the same as for
+         * Y.Mutex.upgradable.  While upgrading to exclusive mode, no new
+         * shared locks are granted in any page.  Calling the cancel method
+         * while the lock is still waiting to be granted withdraws the
+         * request.
+         * @method upgradable
+         * @param {String} resourceName The name of the resource to lock.
+         * @param {Function} callbackFunction The function that gets called when
+         * the lock is obtained.  It is passed two arguments, the unlock
+         * function which must be called to release the lock and the exclusive
+         * function which may be called to switch the upgradable lock to
+         * exclusive mode.
+         * @param {Number} timeout Optional.  The approximate time in
+         * milliseconds to wait after the callback function has been called
+         * before the lock is automatically released.
+         * @return {Object} cancelObject An object with a cancel method and a
+         * mode property set to 'upgradable'.
+         * @static
+         */
+        upgradable: function (resourceName, callbackFunction, timeout) {
+            return _Distributed._request('upgradable', resourceName, callbackFunction, timeout);
+        },
+        /**
+         * The BroadcastChannel used to notify other pages, if available.
+         * @property _channel
+         * @protected
+         * @static
+         */
+        _channel: null,
+        /**
+         * Runs a function within a critical section guarding the state of a
+         * resource in localStorage, using Lamport's fast mutual exclusion
+         * algorithm.  If the critical section is busy, this is retried
+         * later.  The function is passed the current state of the resource
+         * and the current time.  Changes it makes to the state are saved
+         * and other pages are notified.
+         * @method _critical
+         * @param {String} resourceName The name of the resource.
+         * @param {Function} fn The function to run.
+         * @protected
+         * @static
+         */
+        _critical: function (resourceName, fn) {
+            var storage = _Distributed._getStorage(),
+                prefix = _Distributed.PREFIX,
+
+                id = Y.guid(_Distributed._pageId),
+                key = prefix + 'lock:' + resourceName,
+                keyX = prefix + 'x:' + resourceName,
+                keyY = prefix + 'y:' + resourceName,
+
+                enter = function () {
+                    var now = _now(),
+                        oldValue = storage.getItem(key),
+                        state = _Distributed._parse(oldValue, now),
+                        value;
+
+                    try {
+                        fn(state, now);
+                        value = _Distributed._stringify(state);
+
+                        if (value !== oldValue) {
+                            if (value) {
+                                storage.setItem(key, value);
+                            } else {
+                                storage.removeItem(key);
+                            }
+
+                            _Distributed._notify(resourceName);
+                        }
+                    } finally {
+                        storage.removeItem(keyY);
+
+                        if (storage.getItem(keyX) === id) {
+                            storage.removeItem(keyX);
+                        }
+                    }
+                },
+
+                owner = function () {
+                    var value = storage.getItem(keyY),
+                        separator = value ? value.lastIndexOf('|') : -1;
+
+                    if (separator === -1 || +value.slice(separator + 1) < _now()) {
+                        return null;
+                    }
+
+                    return value.slice(0, separator);
+                },
+
+                retry = function () {
+                    _later(10 + Math.random() * _Distributed._CRITICAL_DELAY, null, function () {
+                        _Distributed._critical(resourceName, fn);
+                    });
+                };
+
+            try {
+                storage.setItem(keyX, id);
+
+                if (owner()) {
+                    retry();
+                    return;
+                }
+
+                storage.setItem(keyY, id + '|' + (_now() + _Distributed._CRITICAL_TIMEOUT));
+
+                if (storage.getItem(keyX) === id) {
+                    enter();
+                    return;
+                }
+            } catch (e) {
+                Y.log('Distributed lock on ' + resourceName + ' failed: ' + e.message, 'warn', 'gallery-mutex');
+                retry();
+                return;
+            }
+
+            // Another page entered at the same time; give it time to
+            // finish writing before checking who won.
+            _later(_Distributed._CRITICAL_DELAY, null, function () {
+                if (owner() === id) {
+                    enter();
+                } else {
+                    retry();
+                }
+            });
+        },
+        /**
+         * The approximate time in milliseconds to wait for other pages when
+         * entering the critical section is contended.
+         * @property _CRITICAL_DELAY
+         * @protected
+         * @static
+         */
+        _CRITICAL_DELAY: 50,
+        /**
+         * The time in milliseconds after which the critical section of a
+         * crashed page is considered abandoned.
+         * @property _CRITICAL_TIMEOUT
+         * @protected
+         * @static
+         */
+        _CRITICAL_TIMEOUT: 1000,
+        /**
+         * Returns localStorage if it is available and writable, or null.
+         * @method _getStorage
+         * @return {Object}
+         * @protected
+         * @static
+         */
+        _getStorage: function () {
+            var key = _Distributed.PREFIX + 'test',
+                storage = _Distributed._storage;
+
+            if (storage === undefined) {
+                try {
+                    storage = Y.config.win.localStorage;
+                    storage.setItem(key, key);
+                    storage.removeItem(key);
+                } catch (e) {
+                    storage = null;
+                }
+
+                _Distributed._storage = storage;
+            }
+
+            return storage;
+        },
+        /**
+         * Tries to grant a waiting lock request, or to upgrade an upgradable
+         * lock, based upon the state of the resource.  The state is updated
+         * as needed.
+         * @method _grant
+         * @param {Object} state The state of the resource.
+         * @param {Object} request The lock request.
+         * @return {Boolean} true if the request was granted.
+         * @protected
+         * @static
+         */
+        _grant: function (state, request) {
+            var id = request.id,
+                index,
+                waiting = state.w;
+
+            if (request.upgrade) {
+                state.ue = id;
+
+                if (!_isEmpty(state.s)) {
+                    return false;
+                }
+
+                state.e = id;
+                delete state.u;
+                delete state.ue;
+                return true;
+            }
+
+            if (request.mode === 'exclusive') {
+                index = _indexOf(waiting, id);
+
+                if (state.e || state.u || !_isEmpty(state.s) || (waiting.length && index !== 0)) {
+                    if (index === -1) {
+                        waiting.push(id);
+                    }
+
+                    return false;
+                }
+
+                if (index === 0) {
+                    waiting.shift();
+                }
+
+                state.e = id;
+                return true;
+            }
+
+            if (state.e || waiting.length) {
+                return false;
+            }
+
+            if (request.mode === 'shared') {
+                if (state.ue) {
+                    return false;
+                }
+
+                state.s[id] = 1;
+                return true;
+            }
+
+            if (state.u) {
+                return false;
+            }
+
+            state.u = id;
+            return true;
+        },
+        /**
+         * Calls the appropriate callback function of a lock request which has
+         * just been granted.
+         * @method _granted
+         * @param {Object} request The lock request.
+         * @protected
+         * @static
+         */
+        _granted: function (request) {
+            var callbackFunction = request.upgrade,
+                exclusive,
+                shared;
+
+            request.waiting = false;
+
+            if (callbackFunction) {
+                request.exclusive = true;
+                request.upgrade = null;
+
+                _soon(function () {
+                    callbackFunction(request.shared);
+                });
+                return;
+            }
+
+            if (request.mode === 'upgradable') {
+                exclusive = function (callbackFunction) {
+                    if (request.done || request.exclusive || request.upgrade) {
+                        return;
+                    }
+
+                    request.upgrade = callbackFunction;
+                    _Distributed._process(request.resourceName);
+                };
+
+                shared = function (callbackFunction) {
+                    if (request.done || !request.exclusive) {
+                        return;
+                    }
+
+                    request.exclusive = false;
+
+                    _Distributed._process(request.resourceName, function (state) {
+                        if (state.e === request.id) {
+                            state.u = request.id;
+                            delete state.e;
+                        }
+                    });
+
+                    _soon(function () {
+                        callbackFunction(exclusive);
+                    });
+                };
+
+                request.shared = shared;
+            }
+
+            _soon(function () {
+                if (request.done) {
+                    return;
+                }
+
+                if (request.timeout) {
+                    request.timer = _later(request.timeout, null, request.unlock);
+                }
+
+                request.callbackFunction(request.unlock, exclusive);
+            });
+        },
+        /**
+         * Checks whether a lock is currently held according to the state of
+         * the resource.
+         * @method _holds
+         * @param {Object} state The state of the resource.
+         * @param {String} id The lock's internal id.
+         * @return {Boolean}
+         * @protected
+         * @static
+         */
+        _holds: function (state, id) {
+            return state.e === id || state.u === id || !!state.s[id];
+        },
+        /**
+         * Starts renewing leases and listening for changes made by other
+         * pages.
+         * @method _listen
+         * @protected
+         * @static
+         */
+        _listen: function () {
+            var win = Y.config.win,
+                prefix = _Distributed.PREFIX + 'lock:',
+                BroadcastChannel = win.BroadcastChannel,
+                channel;
+
+            if (!_Distributed._timer) {
+                _Distributed._timer = _later(_Distributed.LEASE / 3, null, _Distributed._renew, null, true);
+            }
+
+            if (_Distributed._listening) {
+                return;
+            }
+
+            _Distributed._listening = true;
+
+            if (BroadcastChannel) {
+                channel = new BroadcastChannel(_Distributed.PREFIX);
+                channel.onmessage = function (eventFacade) {
+                    _Distributed._wake(eventFacade.data);
+                };
+                _Distributed._channel = channel;
+            } else if (win.addEventListener) {
+                win.addEventListener('storage', function (eventFacade) {
+                    var key = eventFacade.key;
+
+                    if (key && key.indexOf(prefix) === 0) {
+                        _Distributed._wake(key.slice(prefix.length));
+                    }
+                }, false);
+            }
+        },
+        /**
+         * Whether this page is already listening for changes made by other
+         * pages.
+         * @property _listening
+         * @protected
+         * @static
+         */
+        _listening: false,
+        /**
+         * Notifies other pages that the state of a resource has changed.
+         * Without BroadcastChannel, the storage event fired by the change
+         * is the notification.
+         * @method _notify
+         * @param {String} resourceName The name of the resource.
+         * @protected
+         * @static
+         */
+        _notify: function (resourceName) {
+            var channel = _Distributed._channel;
+
+            if (channel) {
+                channel.postMessage(resourceName);
+            }
+        },
+        /**
+         * A random string which keeps lock ids unique across pages.
+         * @property _pageId
+         * @protected
+         * @static
+         */
+        _pageId: 'mutex_' + Math.random().toString(36).slice(2) + '_',
+        /**
+         * Parses the state of a resource stored in localStorage.  Locks with
+         * expired leases are left out.  The state has the following
+         * properties: e, the id of the exclusive lock; u, the id of the
+         * upgradable lock; ue, the id of the upgradable lock if it is
+         * waiting to become exclusive; s, an object whose keys are the ids of
+         * shared locks; w, an array with the ids of exclusive locks waiting
+         * to be granted; and l, an object mapping ids to lease expiry times.
+         * @method _parse
+         * @param {String} value The stored value.
+         * @param {Number} now The current time.
+         * @return {Object} The state of the resource.
+         * @protected
+         * @static
+         */
+        _parse: function (value, now) {
+            var state = {
+                    l: {},
+                    s: {},
+                    w: []
+                },
+
+                alive,
+                leases,
+                record;
+
+            try {
+                record = value && JSON.parse(value);
+            } catch (e) {
+                record = null;
+            }
+
+            if (!record) {
+                return state;
+            }
+
+            leases = record.l || {};
+
+            alive = function (id) {
+                return leases[id] > now;
+            };
+
+            state.l = leases;
+
+            if (record.e && alive(record.e)) {
+                state.e = record.e;
+            }
+
+            if (record.u && alive(record.u)) {
+                state.u = record.u;
+
+                if (record.ue === record.u) {
+                    state.ue = record.ue;
+                }
+            }
+
+            _each(record.s, function (value, id) {
+                if (alive(id)) {
+                    state.s[id] = 1;
+                }
+            });
+
+            Y.Array.each(record.w || [], function (id) {
+                if (alive(id)) {
+                    state.w.push(id);
+                }
+            });
+
+            return state;
+        },
+        /**
+         * Updates the state of a resource, renews the leases of locks held
+         * by this page, and grants waiting lock requests of this page where
+         * possible.
+         * @method _process
+         * @param {String} resourceName The name of the resource.
+         * @param {Function} update Optional.  A function which is passed the
+         * state of the resource to change before granting requests.
+         * @protected
+         * @static
+         */
+        _process: function (resourceName, update) {
+            _Distributed._critical(resourceName, function (state, now) {
+                if (update) {
+                    update(state);
+                }
+
+                _each(_Distributed._requests, function (request) {
+                    if (request.resourceName !== resourceName) {
+                        return;
+                    }
+
+                    if (!request.waiting && !_Distributed._holds(state, request.id)) {
+                        Y.log('Distributed lock on ' + resourceName + ' was lost because its lease expired.', 'warn', 'gallery-mutex');
+                        _Distributed._remove(request);
+                        return;
+                    }
+
+                    if ((request.waiting || request.upgrade) && _Distributed._grant(state, request)) {
+                        _Distributed._granted(request);
+                    }
+
+                    state.l[request.id] = now + _Distributed.LEASE;
+                });
+            });
+        },
+        /**
+         * Releases a lock, or withdraws it if it is still waiting, and
+         * processes the remaining requests for the resource.
+         * @method _release
+         * @param {Object} request The lock request.
+         * @protected
+         * @static
+         */
+        _release: function (request) {
+            var id = request.id;
+
+            if (request.done) {
+                return;
+            }
+
+            _Distributed._remove(request);
+
+            _Distributed._process(request.resourceName, function (state) {
+                var index = _indexOf(state.w, id);
+
+                if (state.e === id) {
+                    delete state.e;
+                }
+
+                if (state.u === id) {
+                    delete state.u;
+                    delete state.ue;
+                }
+
+                if (index !== -1) {
+                    state.w.splice(index, 1);
+                }
+
+                delete state.s[id];
+            });
+        },
+        /**
+         * Stops tracking a lock request in this page.
+         * @method _remove
+         * @param {Object} request The lock request.
+         * @protected
+         * @static
+         */
+        _remove: function (request) {
+            request.done = true;
+
+            if (request.timer) {
+                request.timer.cancel();
+                delete request.timer;
+            }
+
+            delete _Distributed._requests[request.id];
+        },
+        /**
+         * Renews the leases of all locks in this page and checks for
+         * expired leases of locks held by other pages.  Stops the renewal
+         * timer when this page has no locks left.
+         * @method _renew
+         * @protected
+         * @static
+         */
+        _renew: function () {
+            var resourceNames = {};
+
+            _each(_Distributed._requests, function (request) {
+                resourceNames[request.resourceName] = true;
+            });
+
+            if (_isEmpty(resourceNames)) {
+                _Distributed._timer.cancel();
+                _Distributed._timer = null;
+                return;
+            }
+
+            _each(resourceNames, function (value, resourceName) {
+                _Distributed._process(resourceName);
+            });
+        },
+        /**
+         * Creates a lock request and tries to grant it.  Falls back to
+         * Y.Mutex when distributed locks are not supported.
+         * @method _request
+         * @param {String} mode 'exclusive', 'shared', or 'upgradable'.
+         * @param {String} resourceName The name of the resource to lock.
+         * @param {Function} callbackFunction The function that gets called when
+         * the lock is obtained.
+         * @param {Number} timeout The approximate time in milliseconds to wait
+         * after the callback function has been called before the lock is
+         * automatically released.
+         * @return {Object} cancelObject
+         * @protected
+         * @static
+         */
+        _request: function (mode, resourceName, callbackFunction, timeout) {
+            var request,
+                unlock;
+
+            if (!_Distributed.isSupported()) {
+                return _Mutex[mode](resourceName, callbackFunction, timeout);
+            }
+
+            unlock = function () {
+                _Distributed._release(request);
+            };
+
+            request = {
+                callbackFunction: callbackFunction,
+                id: Y.guid(_Distributed._pageId),
+                mode: mode,
+                resourceName: resourceName,
+                timeout: timeout,
+                unlock: unlock,
+                waiting: true
+            };
+
+            _Distributed._requests[request.id] = request;
+            _Distributed._listen();
+            _Distributed._process(resourceName);
+
+            return {
+                cancel: unlock,
+                mode: mode
+            };
+        },
+        /**
+         * An object containing the lock requests of this page, both held and
+         * waiting, by their internal ids.
+         * @property _requests
+         * @protected
+         * @static
+         */
+        _requests: {},
+        /**
+         * The cached result of _getStorage.
+         * @property _storage
+         * @protected
+         * @static
+         */
+        _storage: undefined,
+        /**
+         * Serializes the state of a resource for localStorage.  Leases of
+         * ids which are no longer referenced are dropped.
+         * @method _stringify
+         * @param {Object} state The state of the resource.
+         * @return {String} The value to store, or null if the resource is
+         * not locked.
+         * @protected
+         * @static
+         */
+        _stringify: function (state) {
+            var ids = [],
+                leases = {},
+                record = {};
+
+            if (state.e) {
+                record.e = state.e;
+                ids.push(state.e);
+            }
+
+            if (state.u) {
+                record.u = state.u;
+                ids.push(state.u);
+
+                if (state.ue === state.u) {
+                    record.ue = state.ue;
+                }
+            }
+
+            if (!_isEmpty(state.s)) {
+                record.s = state.s;
+                ids = ids.concat(Y.Object.keys(state.s));
+            }
+
+            if (state.w.length) {
+                record.w = state.w;
+                ids = ids.concat(state.w);
+            }
+
+            if (!ids.length) {
+                return null;
+            }
+
+            Y.Array.each(ids, function (id) {
+                leases[id] = state.l[id];
+            });
+
+            record.l = leases;
+
+            return JSON.stringify(record);
+        },
+        /**
+         * The timer which periodically renews leases while this page has
+         * lock requests.
+         * @property _timer
+         * @protected
+         * @static
+         */
+        _timer: null,
+        /**
+         * Processes a resource after another page changed its state, if this
+         * page is waiting for a lock on it.
+         * @method _wake
+         * @param {String} resourceName The name of the resource.
+         * @protected
+         * @static
+         */
+        _wake: function (resourceName) {
+            var waiting = false;
+
+            _each(_Distributed._requests, function (request) {
+                if (request.resourceName === resourceName && (request.waiting || request.upgrade)) {
+                    waiting = true;
+                }
+            });
+
+            if (waiting) {
+                _Distributed._process(resourceName);
+            }
+        }
+    });
+}(Y));
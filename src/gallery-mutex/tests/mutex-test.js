@@ -0,0 +1,337 @@
+YUI.add('mutex-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+    Distributed = Y.Mutex.Distributed,
+
+    suite;
+
+function key(resourceName) {
+    return Distributed.PREFIX + 'lock:' + resourceName;
+}
+
+function storedState(resourceName) {
+    return JSON.parse(Y.config.win.localStorage.getItem(key(resourceName)));
+}
+
+// Pretends that another page holds a lock by writing its state directly.
+function storeForeignLock(resourceName, record) {
+    Y.config.win.localStorage.setItem(key(resourceName), JSON.stringify(record));
+}
+
+function reset() {
+    var storage = Y.config.win.localStorage,
+        i;
+
+    if (Distributed._timer) {
+        Distributed._timer.cancel();
+        Distributed._timer = null;
+    }
+
+    Y.Object.each(Distributed._requests, function (request) {
+        Distributed._remove(request);
+    });
+
+    for (i = storage.length - 1; i >= 0; i -= 1) {
+        if (storage.key(i).indexOf(Distributed.PREFIX) === 0) {
+            storage.removeItem(storage.key(i));
+        }
+    }
+
+    Distributed._storage = undefined;
+}
+
+// -- Mutex.Distributed Suite --------------------------------------------------
+suite = new Y.Test.Suite('Mutex.Distributed');
+
+// -- Mutex.Distributed: Locking -----------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Locking',
+
+    _should: {
+        ignore: {
+            'exclusive locks should be stored in localStorage': !Distributed.isSupported(),
+            'exclusive locks should wait for each other': !Distributed.isSupported(),
+            'shared locks should be granted together': !Distributed.isSupported(),
+            'upgradable locks should upgrade once shared locks are released': !Distributed.isSupported(),
+            'cancel should withdraw a waiting lock': !Distributed.isSupported()
+        }
+    },
+
+    setUp: reset,
+    tearDown: reset,
+
+    'exclusive locks should be stored in localStorage': function () {
+        var test = this;
+
+        Distributed.exclusive('a', function (unlock) {
+            test.resume(function () {
+                var state = storedState('a');
+
+                Assert.isString(state.e);
+                Assert.isTrue(state.l[state.e] > Y.Lang.now());
+
+                unlock();
+
+                Assert.isNull(Y.config.win.localStorage.getItem(key('a')));
+            });
+        });
+
+        test.wait(1000);
+    },
+
+    'exclusive locks should wait for each other': function () {
+        var test = this,
+            order = [];
+
+        Distributed.exclusive('a', function (unlock) {
+            order.push('first');
+
+            Y.later(20, null, function () {
+                order.push('first unlock');
+                unlock();
+            });
+        });
+
+        Distributed.exclusive('a', function (unlock) {
+            order.push('second');
+            unlock();
+
+            test.resume(function () {
+                ArrayAssert.itemsAreEqual(['first', 'first unlock', 'second'], order);
+            });
+        });
+
+        test.wait(1000);
+    },
+
+    'shared locks should be granted together': function () {
+        var test = this,
+            unlocks = [],
+
+            granted = function (unlock) {
+                unlocks.push(unlock);
+
+                if (unlocks.length === 2) {
+                    test.resume(function () {
+                        Assert.areSame(2, Y.Object.size(storedState('a').s));
+
+                        unlocks[0]();
+                        unlocks[1]();
+
+                        Assert.isNull(Y.config.win.localStorage.getItem(key('a')));
+                    });
+                }
+            };
+
+        Distributed.shared('a', granted);
+        Distributed.shared('a', granted);
+
+        test.wait(1000);
+    },
+
+    'upgradable locks should upgrade once shared locks are released': function () {
+        var test = this,
+            sharedUnlock;
+
+        Distributed.shared('a', function (unlock) {
+            sharedUnlock = unlock;
+        });
+
+        Distributed.upgradable('a', function (unlock, exclusive) {
+            exclusive(function () {
+                test.resume(function () {
+                    var state = storedState('a');
+
+                    Assert.isString(state.e);
+                    Assert.isUndefined(state.s);
+                    unlock();
+                });
+            });
+
+            Y.later(20, null, function () {
+                Assert.areSame(storedState('a').u, storedState('a').ue, 'The upgrade should be pending.');
+                sharedUnlock();
+            });
+        });
+
+        test.wait(1000);
+    },
+
+    'cancel should withdraw a waiting lock': function () {
+        var test = this,
+            cancelObject;
+
+        Distributed.exclusive('a', function (unlock) {
+            cancelObject.cancel();
+
+            Y.later(20, null, function () {
+                test.resume(function () {
+                    Assert.isNull(Y.config.win.localStorage.getItem(key('a')));
+                });
+            });
+
+            unlock();
+        });
+
+        cancelObject = Distributed.exclusive('a', function () {
+            test.resume(function () {
+                Assert.fail('The canceled lock should not be granted.');
+            });
+        });
+
+        Assert.areSame('exclusive', cancelObject.mode);
+
+        test.wait(1000);
+    }
+}));
+
+// -- Mutex.Distributed: Other Pages -------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Other Pages',
+
+    _should: {
+        ignore: {
+            'locks held by other pages should be respected': !Distributed.isSupported(),
+            'expired leases of other pages should be ignored': !Distributed.isSupported()
+        }
+    },
+
+    setUp: reset,
+    tearDown: reset,
+
+    'locks held by other pages should be respected': function () {
+        var test = this,
+            granted = false;
+
+        storeForeignLock('a', {
+            e: 'other',
+            l: {other: Y.Lang.now() + Distributed.LEASE}
+        });
+
+        Distributed.exclusive('a', function (unlock) {
+            granted = true;
+
+            test.resume(function () {
+                Assert.areNotSame('other', storedState('a').e);
+                unlock();
+            });
+        });
+
+        Y.later(50, null, function () {
+            var state = storedState('a');
+
+            Assert.isFalse(granted);
+            Assert.areSame('other', state.e);
+            Assert.areSame(1, state.w.length);
+
+            // The other page releases its lock and this page is notified.
+            delete state.e;
+            Y.config.win.localStorage.setItem(key('a'), JSON.stringify(state));
+            Distributed._wake('a');
+        });
+
+        test.wait(1000);
+    },
+
+    'expired leases of other pages should be ignored': function () {
+        var test = this;
+
+        storeForeignLock('a', {
+            e: 'other',
+            l: {other: Y.Lang.now() - 1}
+        });
+
+        Distributed.exclusive('a', function (unlock) {
+            test.resume(function () {
+                Assert.areNotSame('other', storedState('a').e);
+                Assert.isUndefined(storedState('a').l.other);
+                unlock();
+            });
+        });
+
+        test.wait(1000);
+    }
+}));
+
+// -- Mutex.Distributed: State -------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'State',
+
+    'state should survive a round trip': function () {
+        var now = 1000,
+            state = Distributed._parse(Distributed._stringify({
+                e: 'a',
+                u: 'b',
+                ue: 'b',
+                s: {c: 1},
+                w: ['d'],
+                l: {a: 2000, b: 2000, c: 2000, d: 2000, unused: 2000}
+            }), now);
+
+        Assert.areSame('a', state.e);
+        Assert.areSame('b', state.u);
+        Assert.areSame('b', state.ue);
+        Assert.areSame(1, state.s.c);
+        ArrayAssert.itemsAreEqual(['d'], state.w);
+        Assert.isUndefined(state.l.unused, 'Unreferenced leases should be dropped.');
+    },
+
+    'unlocked resources should not be stored': function () {
+        Assert.isNull(Distributed._stringify({l: {a: 2000}, s: {}, w: []}));
+    },
+
+    'expired locks should be left out': function () {
+        var state = Distributed._parse(JSON.stringify({
+                e: 'a',
+                s: {b: 1, c: 1},
+                w: ['d'],
+                l: {a: 500, b: 500, c: 2000, d: 500}
+            }), 1000);
+
+        Assert.isUndefined(state.e);
+        Assert.isUndefined(state.s.b);
+        Assert.areSame(1, state.s.c);
+        Assert.areSame(0, state.w.length);
+    },
+
+    'invalid values should parse as unlocked': function () {
+        var state = Distributed._parse('{not json', 1000);
+
+        Assert.isUndefined(state.e);
+        Assert.isTrue(Y.Object.isEmpty(state.s));
+        Assert.areSame(0, state.w.length);
+    }
+}));
+
+// -- Mutex.Distributed: Fallback ----------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Fallback',
+
+    tearDown: reset,
+
+    'locks should fall back to Y.Mutex without localStorage': function () {
+        var test = this,
+            cancelObject;
+
+        Distributed._storage = null;
+
+        Assert.isFalse(Distributed.isSupported());
+
+        cancelObject = Distributed.exclusive('a', function (unlock) {
+            test.resume(function () {
+                Assert.isTrue(Y.Object.isEmpty(Distributed._requests));
+                Assert.isNull(Y.config.win.localStorage.getItem(key('a')));
+                unlock();
+            });
+        });
+
+        Assert.areSame('exclusive', cancelObject.mode);
+
+        test.wait(1000);
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-mutex', 'json-parse', 'test']});
@@ -19,16 +19,20 @@
         _string_byte = 'byte',
         _string_complete = 'complete',
         _string_E = 'E',
+        _string_eci = 'eci',
         _string_errorCorrection = 'errorCorrection',
         _string_H = 'H',
         _string_initOnly = 'initOnly',
+        _string_kanji = 'kanji',
         _string_L = 'L',
         _string_M = 'M',
         _string_M1 = 'M1',
+        _string_M2 = 'M2',
         _string_M3 = 'M3',
         _string_M4 = 'M4',
         _string_numeric = 'numeric',
         _string_Q = 'Q',
+        _string_structuredAppend = 'structuredAppend',
         _string_ucs2 = 'ucs2',
         _string_utf8 = 'utf8',
         _string_value = 'value',
@@ -1570,7 +1574,10 @@
         _dataTypes = {
             alphanumeric: _string_alphanumeric,
             'byte': _string_byte,
+            eci: _string_eci,
+            kanji: _string_kanji,
             numeric: _string_numeric,
+            structuredAppend: _string_structuredAppend,
             ucs2: _string_ucs2,
             utf8: _string_utf8
         },
@@ -2937,7 +2944,9 @@
         _abs = Math.abs,
         _ceil = Math.ceil,
         _each = Y.each,
+        _filter = _YArray.filter,
         _floor = Math.floor,
+        _getShiftJisCode,
         _isArray = _YLang.isArray,
         _indexOf = _YArray.indexOf,
         _isUndefined = _YLang.isUndefined,
@@ -2949,7 +2958,12 @@
         _numberToBinaryString,
         _parseInt = parseInt,
         _reduce = _YArray.reduce,
+        _segment,
+        _shiftJisTable,
         _soon = Y.soon,
+        _structuredAppend,
+        _toCharacters,
+        _toUtf8,
         
         _cachedIndexOf = Y.cached(_indexOf),
         _maskFunctions = [
@@ -3676,30 +3690,14 @@
                 _YAsync.runQueue(function (success) {
                     _soon(function () {
                         var codewordCount,
-                            errorCorrection = me.get(_string_errorCorrection),
+                            errorCorrection = me.getErrorCorrection(),
                             remainder,
                             version = _String(me.get(_string_version));
 
                         if (version.charAt(0) === _string_M) {
-                            // Sanitize error correction value for Micro QR Codes.
-                            if (version === _string_M1) {
-                                errorCorrection = _string_E;
-                            } else if (version !== _string_M4) {
-                                if (errorCorrection === _string_H || errorCorrection === _string_Q) {
-                                    errorCorrection = _string_M;
-                                }
-                            } else if (errorCorrection === _string_H) {
-                                errorCorrection = _string_Q;
-                            }
-                            
                             // Append Micro QR Code terminator.
                             binaryString += _Array(2 + 2 * +version.charAt(1)).join(_string_0);
                         } else {
-                            // Sanitize error correction for QR Codes.
-                            if (errorCorrection === _string_E) {
-                                errorCorrection = _string_L;
-                            }
-                            
                             // Append QR Code terminator.
                             binaryString += '0000';
                         }
@@ -4299,6 +4297,58 @@
 
                 return alignmentPatternCoordinates;
             },
+            /**
+             * Returns the number of bits available for data in a QR Code of
+             * this version and error correction mode.  The terminator is not
+             * included.
+             * @method getCapacity
+             * @return {Number}
+             */
+            getCapacity: function () {
+                var version = _String(this.get(_string_version)),
+                    capacity = _codewordCount[version][this.getErrorCorrection()][0] * 8;
+
+                if (version.charAt(0) === _string_M) {
+                    // M1 and M3 versions end with a 4 bit codeword.
+                    if (version === _string_M1 || version === _string_M3) {
+                        capacity -= 4;
+                    }
+
+                    return capacity - 1 - 2 * +version.charAt(1);
+                }
+
+                return capacity - 4;
+            },
+            /**
+             * Returns the error correction mode which is actually used for
+             * this version.  Not every error correction mode is available for
+             * every version, so the value of the errorCorrection attribute is
+             * adjusted to the closest available mode.
+             * @method getErrorCorrection
+             * @return {String}
+             */
+            getErrorCorrection: function () {
+                var errorCorrection = this.get(_string_errorCorrection),
+                    version = _String(this.get(_string_version));
+
+                if (version.charAt(0) === _string_M) {
+                    // Sanitize error correction value for Micro QR Codes.
+                    if (version === _string_M1) {
+                        errorCorrection = _string_E;
+                    } else if (version !== _string_M4) {
+                        if (errorCorrection === _string_H || errorCorrection === _string_Q) {
+                            errorCorrection = _string_M;
+                        }
+                    } else if (errorCorrection === _string_H) {
+                        errorCorrection = _string_Q;
+                    }
+                } else if (errorCorrection === _string_E) {
+                    // Sanitize error correction for QR Codes.
+                    errorCorrection = _string_L;
+                }
+
+                return errorCorrection;
+            },
             /**
              * Converts the value of the data attribute
              * to a string of '1' and '0' characters.
@@ -4473,7 +4523,7 @@
                     modeIndicator,
                     value = this.get(_string_value),
                     // Split the string into 2-character chunks.
-                    valueBinaryString = _reduce(value.match(/.{1,2}/g), _string__empty, function (binaryString, value) {
+                    valueBinaryString = _reduce(value.match(/.{1,2}/g) || [], _string__empty, function (binaryString, value) {
                         var character = value.charAt(0),
                             characterIndex = _indexOf(characters, character),
                             characterValue;
@@ -4640,6 +4690,172 @@
             }
         }),
         
+        /**
+         * This class sets an extended channel interpretation designator.
+         * While this is a Data object, it does not directly encode data.
+         * Instead, it tells a decoder which character set to use when
+         * interpreting the byte mode data that follows.  The value is the
+         * ECI assignment number; common assignments are 3 for ISO-8859-1,
+         * 20 for Shift JIS, 25 for ucs2, and 26 for utf8.  Micro QR Codes do
+         * not support extended channel interpretation, so nothing is encoded
+         * for Micro QR Code versions.
+         * @class EciData
+         * @constructor
+         * @extends QrCode.Data
+         * @namespace QrCode
+         * @param {Object} config Configuration object.
+         */
+        _EciData = _YBase.create('qr-code-eci-data', _Data, [], {
+            /**
+             * Returns a properly formatted binary string for an extended
+             * channel interpretation designator.
+             * @method toBinaryString
+             * @for QrCode.EciData
+             * @param {Number|String} version
+             * @return {String}
+             */
+            toBinaryString: function (version) {
+                var value = this.get(_string_value);
+                
+                if (_String(version).charAt(0) === _string_M) {
+                    return _string__empty;
+                }
+                
+                // The designator is encoded in 1, 2, or 3 codewords depending on its size.
+                if (value < 128) {
+                    return '01110' + _numberToBinaryString(value, 7);
+                }
+                
+                if (value < 16384) {
+                    return '011110' + _numberToBinaryString(value, 14);
+                }
+                
+                return '0111110' + _numberToBinaryString(value, 21);
+            }
+        }, {
+            ATTRS: {
+                /**
+                 * @attribute type
+                 * @default 'eci'
+                 * @readOnly
+                 * @type String
+                 */
+                type: {
+                    readOnly: true,
+                    value: _string_eci
+                },
+                /**
+                 * The ECI assignment number, from 0 to 999999.
+                 * @attribute value
+                 * @default 26
+                 * @initOnly
+                 * @type Number|String
+                 */
+                value: {
+                    setter: function (value) {
+                        return _parseInt(value, 10);
+                    },
+                    validator: function (value) {
+                        value = +value;
+                        return value >= 0 && value <= 999999;
+                    },
+                    value: 26,
+                    writeOnce: _string_initOnly
+                }
+            }
+        }),
+        
+        /**
+         * This class encodes a value in kanji mode.  Kanji mode encodes the
+         * double byte characters of the Shift JIS character set in 13 bits
+         * each, which is much more compact than encoding them in byte mode.
+         * Characters which can not be encoded in kanji mode are removed from
+         * the value.  Converting characters to Shift JIS relies on the
+         * browser's TextDecoder; where that is not available, no characters
+         * can be encoded.
+         * @class KanjiData
+         * @constructor
+         * @extends QrCode.Data
+         * @namespace QrCode
+         * @param {Object} config Configuration object.
+         */
+        _KanjiData = _YBase.create('qr-code-kanji-data', _Data, [], {
+            /**
+             * Returns a properly formatted binary string for kanji data.
+             * @method toBinaryString
+             * @for QrCode.KanjiData
+             * @param {Number|String} version
+             * @return {String}
+             */
+            toBinaryString: function (version) {
+                version = _String(version);
+                
+                // Micro QR versions M1 and M2 have no kanji mode.
+                if (version === 'M1' || version === 'M2') {
+                    Y.error('Kanji mode is not supported in version ' + version + '.');
+                }
+                
+                var characterCountIndicatorBitLength,
+                    modeIndicator,
+                    value = this.get(_string_value),
+                    valueBinaryString = _reduce(value.split(_string__empty), _string__empty, function (binaryString, character) {
+                        var code = _getShiftJisCode(character);
+                        
+                        // Subtract the offset of the character's range, then compact the two bytes into 13 bits.
+                        code -= code < 0xE040 ? 0x8140 : 0xC140;
+                        return binaryString + _numberToBinaryString((code >> 8) * 0xC0 + (code & 0xFF), 13);
+                    });
+                
+                // The mode indicator value and the bit length of the character count indicator depend on the version.
+                if (version.charAt(0) === _string_M) {
+                    version = +version.charAt(1);
+                    characterCountIndicatorBitLength = version;
+                    modeIndicator = _Array(version - 2).join(0) + '11';
+                } else {
+                    version = +version;
+                    
+                    if (version <= 9) {
+                        characterCountIndicatorBitLength = 8;
+                    } else if (version <= 26) {
+                        characterCountIndicatorBitLength = 10;
+                    } else {
+                        characterCountIndicatorBitLength = 12;
+                    }
+                    
+                    modeIndicator = '1000';
+                }
+                
+                return modeIndicator + _numberToBinaryString(value.length, characterCountIndicatorBitLength) + valueBinaryString;
+            }
+        }, {
+            ATTRS: {
+                /**
+                 * @attribute type
+                 * @default 'kanji'
+                 * @readOnly
+                 * @type String
+                 */
+                type: {
+                    readOnly: true,
+                    value: _string_kanji
+                },
+                /**
+                 * @attribute value
+                 * @initOnly
+                 * @type String
+                 */
+                value: {
+                    setter: function (value) {
+                        return _filter(_String(value).split(_string__empty), function (character) {
+                            return !!_getShiftJisCode(character);
+                        }).join(_string__empty);
+                    },
+                    value: _string__empty,
+                    writeOnce: _string_initOnly
+                }
+            }
+        }),
+        
         /**
          * This class encodes a value in numeric mode.  Numeric mode encodes
          * strings containing only numeric characters.
@@ -4665,7 +4881,7 @@
                     modeIndicator,
                     value = this.get(_string_value),
                     // Split the string into 3-character chunks
-                    valueBinaryString = _reduce(value.match(/.{1,3}/g), _string__empty, function (binaryString, value) {
+                    valueBinaryString = _reduce(value.match(/.{1,3}/g) || [], _string__empty, function (binaryString, value) {
                         // Convert 3-character chunks into 10 bit binary strings.
                         // If the last chunk only contains 1 or 2 characters, convert it to a 4 or 7 bit binary string.
                         // Concatenate the binary strings.
@@ -4720,6 +4936,107 @@
             }
         }),
         
+        /**
+         * This class sets a structured append header.  While this is a Data
+         * object, it does not directly encode data.  Instead, it tells a
+         * decoder that the data of this symbol is part of a message which is
+         * split across several symbols, and where this symbol belongs.  The
+         * structured append header must be the first data in a symbol.  Micro
+         * QR Codes do not support structured append, so nothing is encoded for
+         * Micro QR Code versions.  See Y.QrCode.structuredAppend.
+         * @class StructuredAppendData
+         * @constructor
+         * @extends QrCode.Data
+         * @namespace QrCode
+         * @param {Object} config Configuration object.
+         */
+        _StructuredAppendData = _YBase.create('qr-code-structured-append-data', _Data, [], {
+            /**
+             * Returns a properly formatted binary string for a structured
+             * append header.
+             * @method toBinaryString
+             * @for QrCode.StructuredAppendData
+             * @param {Number|String} version
+             * @return {String}
+             */
+            toBinaryString: function (version) {
+                if (_String(version).charAt(0) === _string_M) {
+                    return _string__empty;
+                }
+                
+                return '0011' + _numberToBinaryString(this.get('position'), 4) + _numberToBinaryString(this.get('total') - 1, 4) + _numberToBinaryString(this.get('parity'), 8);
+            }
+        }, {
+            ATTRS: {
+                /**
+                 * The parity of the complete message; the bytes of the
+                 * message combined with exclusive or.  Every symbol of the
+                 * message must use the same parity.
+                 * @attribute parity
+                 * @default 0
+                 * @initOnly
+                 * @type Number
+                 */
+                parity: {
+                    validator: function (value) {
+                        return value >= 0 && value <= 255;
+                    },
+                    value: 0,
+                    writeOnce: _string_initOnly
+                },
+                /**
+                 * The zero based position of this symbol within the message,
+                 * from 0 to 15.
+                 * @attribute position
+                 * @default 0
+                 * @initOnly
+                 * @type Number
+                 */
+                position: {
+                    validator: function (value) {
+                        return value >= 0 && value <= 15;
+                    },
+                    value: 0,
+                    writeOnce: _string_initOnly
+                },
+                /**
+                 * The total number of symbols in the message, from 1 to 16.
+                 * @attribute total
+                 * @default 1
+                 * @initOnly
+                 * @type Number
+                 */
+                total: {
+                    validator: function (value) {
+                        return value >= 1 && value <= 16;
+                    },
+                    value: 1,
+                    writeOnce: _string_initOnly
+                },
+                /**
+                 * @attribute type
+                 * @default 'structuredAppend'
+                 * @readOnly
+                 * @type String
+                 */
+                type: {
+                    readOnly: true,
+                    value: _string_structuredAppend
+                },
+                /**
+                 * This object does not require a value.
+                 * @attribute value
+                 * @default ''
+                 * @readOnly
+                 * @type Number|String
+                 */
+                value: {
+                    readOnly: true,
+                    value: _string__empty
+                }
+            }
+        }),
+        
         /**
          * This class sets the extended channel interpretation mode indicator
          * for the ucs2 character set.  While this is a Data object, it does not
@@ -4851,13 +5168,367 @@
         return _Array(length - numberLength + 1).join(0) + number;
     };
     
+    /**
+     * Returns the Shift JIS code of a character which can be encoded in kanji
+     * mode, or null.  The lookup table is built from the browser's
+     * TextDecoder the first time it is needed.
+     * @method _getShiftJisCode
+     * @for QrCode
+     * @param {String} character
+     * @return {Number}
+     * @private
+     * @static
+     */
+    _getShiftJisCode = function (character) {
+        var code,
+            decoder,
+            i,
+            j;
+        
+        if (!_shiftJisTable) {
+            _shiftJisTable = {};
+            
+            try {
+                decoder = new TextDecoder('shift_jis');
+            } catch (error) {
+                return null;
+            }
+            
+            // Kanji mode supports the double byte ranges 0x8140 to 0x9FFC and 0xE040 to 0xEBBF.
+            for (i = 0x81; i <= 0xEB; i = i === 0x9F ? 0xE0 : i + 1) {
+                for (j = 0x40; j <= (i === 0xEB ? 0xBF : 0xFC); j += 1) {
+                    if (j !== 0x7F) {
+                        code = decoder.decode(new Uint8Array([i, j]));
+                        
+                        if (code.length === 1 && code !== '\uFFFD' && !_shiftJisTable[code]) {
+                            _shiftJisTable[code] = (i << 8) | j;
+                        }
+                    }
+                }
+            }
+        }
+        
+        return _shiftJisTable[character] || null;
+    };
+    
+    /**
+     * Splits a string into an array of Data objects which, together, encode
+     * the string in as few bits as possible.  Digits are encoded in numeric
+     * mode, upper case letters and some symbols are encoded in alphanumeric
+     * mode, Shift JIS double byte characters are encoded in kanji mode, and
+     * everything else is encoded in byte mode as utf8.  When byte mode data
+     * contains non-ascii characters, an EciData object declaring utf8 is
+     * placed at the start.  The array may be passed to
+     * Y.QrCode.GeneratorBase's data attribute.
+     * @method segment
+     * @for QrCode
+     * @param {String} value
+     * @param {Number|String} version Optional.  The segmentation depends on
+     * the version because the length of the headers does.  Micro QR Code
+     * versions M1 to M3 only support some of the modes.  Defaults to 1.
+     * @return {[QrCode.Data]}
+     * @static
+     */
+    _segment = function (value, version) {
+        version = _String(version || 1);
+        value = _String(value);
+        
+        var characters = _toCharacters(value),
+            costs,
+            data = [],
+            headerCosts = [],
+            i,
+            j,
+            k,
+            length = characters.length,
+            mode,
+            modeHistory = [],
+            modes = [
+                {
+                    Data: _NumericData,
+                    // Numeric mode uses 10 bits for 3 characters.
+                    getCost: function (character) {
+                        return /[0-9]/.test(character) ? 20 : 0;
+                    }
+                },
+                {
+                    Data: _AlphanumericData,
+                    // Alphanumeric mode uses 11 bits for 2 characters.
+                    getCost: function (character) {
+                        return /[0-9A-Z $%*+\-.\/:]/.test(character) ? 33 : 0;
+                    }
+                },
+                {
+                    Data: _ByteData,
+                    getCost: function (character) {
+                        return _toUtf8(character).length * 48;
+                    },
+                    getValue: _toUtf8
+                },
+                {
+                    Data: _KanjiData,
+                    getCost: function (character) {
+                        return _getShiftJisCode(character) ? 78 : 0;
+                    }
+                }
+            ],
+            nextCosts,
+            nextModes,
+            runValue,
+            utf8 = false;
+        
+        if (!length) {
+            return data;
+        }
+        
+        // M1 only supports numeric mode, M2 doesn't support byte or kanji mode.
+        if (version === _string_M1) {
+            modes.length = 1;
+        } else if (version === _string_M2) {
+            modes.length = 2;
+        }
+        
+        // Costs are measured in sixths of a bit so partially filled numeric and alphanumeric groups can be compared.
+        _each(modes, function (mode, index) {
+            headerCosts[index] = new mode.Data().toBinaryString(version).length * 6;
+        });
+        
+        costs = headerCosts.concat();
+        
+        // For each character, find the cheapest way to end in each mode.
+        for (i = 0; i < length; i += 1) {
+            nextCosts = [];
+            nextModes = [];
+            
+            for (j = 0; j < modes.length; j += 1) {
+                k = modes[j].getCost(characters[i]);
+                
+                if (k) {
+                    nextCosts[j] = costs[j] + k;
+                    nextModes[j] = j;
+                }
+            }
+            
+            // Consider switching modes after this character.
+            for (j = 0; j < modes.length; j += 1) {
+                for (k = 0; k < modes.length; k += 1) {
+                    if (k !== j && nextModes[k] === k) {
+                        mode = _ceil(nextCosts[k] / 6) * 6 + headerCosts[j];
+                        
+                        if (_isUndefined(nextModes[j]) || mode < nextCosts[j]) {
+                            nextCosts[j] = mode;
+                            nextModes[j] = k;
+                        }
+                    }
+                }
+            }
+            
+            if (!nextModes.length) {
+                Y.error('Character ' + characters[i] + ' can not be encoded in version ' + version + '.');
+            }
+            
+            costs = nextCosts;
+            modeHistory[i] = nextModes;
+        }
+        
+        // Find the cheapest final mode, then walk backwards through the history.
+        mode = -1;
+        
+        for (j = 0; j < modes.length; j += 1) {
+            if (!_isUndefined(costs[j]) && (mode === -1 || _ceil(costs[j] / 6) < _ceil(costs[mode] / 6))) {
+                mode = j;
+            }
+        }
+        
+        for (i = length - 1; i >= 0; i -= 1) {
+            mode = modeHistory[i][mode];
+            characters[i] = {
+                character: characters[i],
+                mode: mode
+            };
+        }
+        
+        // Combine runs of characters in the same mode into Data objects.
+        for (i = 0; i < length; i = j) {
+            mode = characters[i].mode;
+            runValue = _string__empty;
+            
+            for (j = i; j < length && characters[j].mode === mode; j += 1) {
+                runValue += characters[j].character;
+            }
+            
+            if (modes[mode].getValue) {
+                k = runValue.length;
+                runValue = modes[mode].getValue(runValue);
+                utf8 = utf8 || runValue.length !== k;
+            }
+            
+            data.push(new modes[mode].Data({
+                value: runValue
+            }));
+        }
+        
+        if (utf8 && version.charAt(0) !== _string_M) {
+            data.unshift(new _EciData({
+                value: 26
+            }));
+        }
+        
+        return data;
+    };
+    
+    /**
+     * Splits a string across several QR Codes using structured append.
+     * Each symbol's data is segmented with Y.QrCode.segment and starts with
+     * a StructuredAppendData header.  Up to 16 symbols can be linked.
+     * @method structuredAppend
+     * @for QrCode
+     * @param {String} value
+     * @param {Object} config Optional.  version and errorCorrection set the
+     * version and error correction mode every symbol will use.  They default
+     * to 40 and 'M'.  Micro QR Codes do not support structured append.
+     * @return {[[QrCode.Data]]} An array with a data array for each symbol,
+     * or null if the value does not fit in 16 symbols.
+     * @static
+     */
+    _structuredAppend = function (value, config) {
+        config = config || {};
+        
+        var capacity,
+            characters = _toCharacters(value),
+            end,
+            getLength,
+            high,
+            length = characters.length,
+            low,
+            middle,
+            parity = 0,
+            start = 0,
+            symbols = [],
+            total,
+            version = _String(config.version || 40);
+        
+        if (version.charAt(0) === _string_M) {
+            return null;
+        }
+        
+        // Leave room for the 20 bit structured append header.
+        capacity = new _GeneratorBase({
+            errorCorrection: config.errorCorrection || _string_M,
+            version: version
+        }).getCapacity() - 20;
+        
+        getLength = function (end) {
+            return _reduce(_segment(characters.slice(start, end).join(_string__empty), version), 0, function (length, data) {
+                return length + data.toBinaryString(version).length;
+            });
+        };
+        
+        while (start < length) {
+            if (symbols.length === 16) {
+                return null;
+            }
+            
+            // Find the longest run of characters that fits in one symbol.
+            end = start;
+            low = start + 1;
+            high = length;
+            
+            while (low <= high) {
+                middle = _floor((low + high) / 2);
+                
+                if (getLength(middle) <= capacity) {
+                    end = middle;
+                    low = middle + 1;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            
+            if (end === start) {
+                return null;
+            }
+            
+            symbols.push(_segment(characters.slice(start, end).join(_string__empty), version));
+            start = end;
+        }
+        
+        // The parity is calculated over the bytes of the message as they are encoded.
+        _each(symbols, function (data) {
+            _each(data, function (data) {
+                var code,
+                    i,
+                    type = data.get('type'),
+                    value = data.get(_string_value);
+                
+                if (type === _string_eci) {
+                    return;
+                }
+                
+                for (i = 0; i < value.length; i += 1) {
+                    if (type === _string_kanji) {
+                        code = _getShiftJisCode(value.charAt(i));
+                        parity ^= (code >> 8) ^ (code & 0xFF);
+                    } else {
+                        parity ^= value.charCodeAt(i);
+                    }
+                }
+            });
+        });
+        
+        total = symbols.length;
+        
+        return _map(symbols, function (data, position) {
+            return [
+                new _StructuredAppendData({
+                    parity: parity,
+                    position: position,
+                    total: total
+                })
+            ].concat(data);
+        });
+    };
+    
+    /**
+     * Splits a string into an array of characters without splitting
+     * surrogate pairs.
+     * @method _toCharacters
+     * @for QrCode
+     * @param {String} value
+     * @return {[String]}
+     * @private
+     * @static
+     */
+    _toCharacters = function (value) {
+        return _String(value).match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [];
+    };
+    
+    /**
+     * Converts a JavaScript string to a string of utf8 bytes, one byte per
+     * character.
+     * @method _toUtf8
+     * @for QrCode
+     * @param {String} value
+     * @return {String}
+     * @private
+     * @static
+     */
+    _toUtf8 = function (value) {
+        return unescape(encodeURIComponent(value));
+    };
+    
     _mix(Y.namespace('QrCode'), {
         AlphanumericData: _AlphanumericData,
         ByteData: _ByteData,
         Data: _Data,
+        EciData: _EciData,
         GeneratorBase: _GeneratorBase,
+        KanjiData: _KanjiData,
         NumericData: _NumericData,
         numberToBinaryString: _numberToBinaryString,
+        segment: _segment,
+        structuredAppend: _structuredAppend,
+        StructuredAppendData: _StructuredAppendData,
         Ucs2Data: _Ucs2Data,
         Utf8Data: _Utf8Data
     });
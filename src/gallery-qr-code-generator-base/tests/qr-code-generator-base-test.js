@@ -0,0 +1,327 @@
+YUI.add('qr-code-generator-base-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+    QrCode      = Y.QrCode,
+
+    // Kanji mode needs the browser's Shift JIS decoder.
+    noShiftJis = (function () {
+        try {
+            return !new TextDecoder('shift_jis');
+        } catch (e) {
+            return true;
+        }
+    }()),
+
+    suite;
+
+function types(data) {
+    return Y.Array.map(data, function (data) {
+        return data.get('type');
+    });
+}
+
+function values(data) {
+    return Y.Array.map(data, function (data) {
+        return data.get('value');
+    });
+}
+
+// -- QrCode Suite -------------------------------------------------------------
+suite = new Y.Test.Suite('QrCode');
+
+// -- QrCode: KanjiData --------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'KanjiData',
+
+    _should: {
+        error: {
+            'version M1 should throw': true,
+            'version M2 should throw': true
+        },
+        ignore: {
+            'characters should be compacted to 13 bits': noShiftJis,
+            'characters which are not kanji should be dropped': noShiftJis,
+            'the character count indicator should depend on the version': noShiftJis,
+            'micro QR codes should use short mode indicators': noShiftJis
+        }
+    },
+
+    'characters should be compacted to 13 bits': function () {
+        // The example from ISO/IEC 18004, section 7.4.6.
+        Assert.areSame('1000' + '00000010' + '0110110011111' + '1101010101010', new QrCode.KanjiData({
+            value: '点茗'
+        }).toBinaryString(1));
+    },
+
+    'characters which are not kanji should be dropped': function () {
+        Assert.areSame('点', new QrCode.KanjiData({
+            value: 'a点!'
+        }).get('value'));
+    },
+
+    'the character count indicator should depend on the version': function () {
+        var data = new QrCode.KanjiData({
+                value: '点'
+            });
+
+        Assert.areSame(4 + 8 + 13, data.toBinaryString(9).length);
+        Assert.areSame(4 + 10 + 13, data.toBinaryString(10).length);
+        Assert.areSame(4 + 12 + 13, data.toBinaryString(27).length);
+    },
+
+    'micro QR codes should use short mode indicators': function () {
+        var data = new QrCode.KanjiData({
+                value: '点'
+            });
+
+        Assert.areSame('11' + '001' + '0110110011111', data.toBinaryString('M3'));
+        Assert.areSame('011' + '0001' + '0110110011111', data.toBinaryString('M4'));
+    },
+
+    'version M1 should throw': function () {
+        new QrCode.KanjiData({
+            value: '点'
+        }).toBinaryString('M1');
+    },
+
+    'version M2 should throw': function () {
+        new QrCode.KanjiData({
+            value: '点'
+        }).toBinaryString('M2');
+    }
+}));
+
+// -- QrCode: EciData ----------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'EciData',
+
+    'the default designator should be UTF-8': function () {
+        Assert.areSame('0111' + '0' + '0011010', new QrCode.EciData().toBinaryString(1));
+    },
+
+    'designators should use 1, 2, or 3 codewords': function () {
+        Assert.areSame('0111' + '0' + '1111111', new QrCode.EciData({
+            value: 127
+        }).toBinaryString(1));
+        Assert.areSame('0111' + '10' + '00000010000000', new QrCode.EciData({
+            value: 128
+        }).toBinaryString(1));
+        Assert.areSame('0111' + '110' + '000000100000000000000', new QrCode.EciData({
+            value: 16384
+        }).toBinaryString(1));
+    },
+
+    'designators out of range should be rejected': function () {
+        Assert.areSame(26, new QrCode.EciData({
+            value: 1000000
+        }).get('value'));
+    },
+
+    'micro QR codes should not encode ECI': function () {
+        Assert.areSame('', new QrCode.EciData().toBinaryString('M4'));
+    }
+}));
+
+// -- QrCode: StructuredAppendData ---------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'StructuredAppendData',
+
+    'the header should encode position, total, and parity': function () {
+        Assert.areSame('0011' + '0001' + '0010' + '01011010', new QrCode.StructuredAppendData({
+            parity: 0x5A,
+            position: 1,
+            total: 3
+        }).toBinaryString(1));
+    },
+
+    'values out of range should be rejected': function () {
+        var data = new QrCode.StructuredAppendData({
+                parity: 256,
+                position: 16,
+                total: 17
+            });
+
+        Assert.areSame(0, data.get('parity'));
+        Assert.areSame(0, data.get('position'));
+        Assert.areSame(1, data.get('total'));
+    },
+
+    'micro QR codes should not encode structured append': function () {
+        Assert.areSame('', new QrCode.StructuredAppendData().toBinaryString('M4'));
+    }
+}));
+
+// -- QrCode: segment ----------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'segment',
+
+    _should: {
+        error: {
+            'unsupported characters should throw': true
+        },
+
+        ignore: {
+            'kanji should use kanji mode': noShiftJis
+        }
+    },
+
+    'empty values should produce no data': function () {
+        Assert.areSame(0, QrCode.segment('').length);
+    },
+
+    'a single mode should produce one segment': function () {
+        ArrayAssert.itemsAreEqual(['numeric'], types(QrCode.segment('0123456789')));
+        ArrayAssert.itemsAreEqual(['alphanumeric'], types(QrCode.segment('HELLO WORLD')));
+        ArrayAssert.itemsAreEqual(['byte'], types(QrCode.segment('hello world')));
+    },
+
+    'long runs should switch to a cheaper mode': function () {
+        var data = QrCode.segment('abc0123456789012');
+
+        ArrayAssert.itemsAreEqual(['byte', 'numeric'], types(data));
+        ArrayAssert.itemsAreEqual(['abc', '0123456789012'], values(data));
+    },
+
+    'short runs should not switch modes': function () {
+        ArrayAssert.itemsAreEqual(['byte'], types(QrCode.segment('abc1')));
+    },
+
+    'characters outside Latin-1 should be UTF-8 encoded with an ECI header': function () {
+        var data = QrCode.segment('é€');
+
+        ArrayAssert.itemsAreEqual(['eci', 'byte'], types(data));
+        Assert.areSame(26, data[0].get('value'));
+        Assert.areSame('Ã©â\u0082¬', data[1].get('value'));
+    },
+
+    'micro QR codes should not get an ECI header': function () {
+        ArrayAssert.itemsAreEqual(['byte'], types(QrCode.segment('é', 'M4')));
+    },
+
+    'kanji should use kanji mode': function () {
+        var data = QrCode.segment('点茗');
+
+        ArrayAssert.itemsAreEqual(['kanji'], types(data));
+        Assert.areSame('点茗', data[0].get('value'));
+    },
+
+    'unsupported characters should throw': function () {
+        QrCode.segment('A', 'M1');
+    }
+}));
+
+// -- QrCode: structuredAppend -------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'structuredAppend',
+
+    'long values should be split across symbols': function () {
+        var value = new Array(6).join('Lorem ipsum '),
+            symbols = QrCode.structuredAppend(value, {
+                version: 1
+            }),
+            joined = '',
+            parity = 0,
+            i;
+
+        Assert.isTrue(symbols.length > 1);
+
+        for (i = 0; i < value.length; i += 1) {
+            parity ^= value.charCodeAt(i);
+        }
+
+        Y.Array.each(symbols, function (data, position) {
+            var header = data[0],
+                generator = new QrCode.GeneratorBase({
+                    data: data,
+                    errorCorrection: 'M',
+                    version: 1
+                });
+
+            Assert.areSame('structuredAppend', header.get('type'));
+            Assert.areSame(position, header.get('position'));
+            Assert.areSame(symbols.length, header.get('total'));
+            Assert.areSame(parity, header.get('parity'));
+            Assert.isTrue(Y.Array.reduce(data, 0, function (length, data) {
+                return length + data.toBinaryString(1).length;
+            }) <= generator.getCapacity(), 'Symbol ' + position + ' should fit.');
+
+            joined += values(data.slice(1)).join('');
+        });
+
+        Assert.areSame(value, joined);
+    },
+
+    'micro QR codes should not support structured append': function () {
+        Assert.isNull(QrCode.structuredAppend('HELLO', {
+            version: 'M4'
+        }));
+    },
+
+    'values which need more than 16 symbols should fail': function () {
+        Assert.isNull(QrCode.structuredAppend(new Array(400).join('x'), {
+            version: 1
+        }));
+    }
+}));
+
+// -- QrCode: GeneratorBase ----------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'GeneratorBase',
+
+    _should: {
+        ignore: {
+            'kanji data should generate a QR code': noShiftJis
+        }
+    },
+
+    'getCapacity should leave room for the terminator': function () {
+        Assert.areSame(16 * 8 - 4, new QrCode.GeneratorBase({
+            errorCorrection: 'M',
+            version: 1
+        }).getCapacity());
+        Assert.areSame(20 - 3, new QrCode.GeneratorBase({
+            version: 'M1'
+        }).getCapacity());
+    },
+
+    'getErrorCorrection should sanitize the error correction': function () {
+        Assert.areSame('E', new QrCode.GeneratorBase({
+            errorCorrection: 'L',
+            version: 'M1'
+        }).getErrorCorrection());
+        Assert.areSame('M', new QrCode.GeneratorBase({
+            errorCorrection: 'H',
+            version: 'M2'
+        }).getErrorCorrection());
+        Assert.areSame('Q', new QrCode.GeneratorBase({
+            errorCorrection: 'H',
+            version: 'M4'
+        }).getErrorCorrection());
+        Assert.areSame('L', new QrCode.GeneratorBase({
+            errorCorrection: 'E',
+            version: 1
+        }).getErrorCorrection());
+    },
+
+    'kanji data should generate a QR code': function () {
+        var test = this;
+
+        new QrCode.GeneratorBase({
+            data: QrCode.segment('点茗'),
+            version: 1
+        }).generate(function (error, matrix, size) {
+            test.resume(function () {
+                Assert.isNull(error);
+                Assert.areSame(29, size);
+                Assert.areSame(size * size, matrix.length);
+            });
+        });
+
+        test.wait(5000);
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-qr-code-generator-base', 'test']});
@@ -0,0 +1,338 @@
+/**
+ * gallery-qr-code-renderer turns a QR Code matrix, as generated by
+ * Y.QrCode.GeneratorBase, into SVG, a canvas drawing, text, or a data URI.
+ * @module gallery-qr-code-renderer
+ */
+
+/**
+ * All render methods accept the matrix and size passed to the callback
+ * function of Y.QrCode.GeneratorBase's generate method, followed by an
+ * optional configuration object with these properties:
+ * <dl>
+ *     <dt>darkColor</dt>
+ *     <dd>The color of dark modules.  Defaults to '#000000'.</dd>
+ *     <dt>lightColor</dt>
+ *     <dd>The color of light modules and the quiet zone.  Defaults to
+ *     '#ffffff'.  Set to null for a transparent background.</dd>
+ *     <dt>moduleSize</dt>
+ *     <dd>The width and height of each module in pixels.  Defaults to 4.</dd>
+ *     <dt>quietZone</dt>
+ *     <dd>The number of light modules drawn around the code.  Defaults to
+ *     the size of the quiet zone included in the matrix; 4 for QR Codes
+ *     and 2 for Micro QR Codes.</dd>
+ * </dl>
+ * @class QrCode.Renderer
+ * @static
+ */
+(function (Y) {
+    'use strict';
+
+    var _string__empty = '',
+        _string_canvas = 'canvas',
+        _string_image_png = 'image/png',
+        _string_svgNamespace = 'http://www.w3.org/2000/svg',
+
+        _encodeURIComponent = encodeURIComponent,
+        _escapeAttribute = function (value) {
+            return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        },
+        _isValue = Y.Lang.isValue,
+        _mix = Y.mix,
+
+        _defaults = {
+            darkColor: '#000000',
+            lightColor: '#ffffff',
+            moduleSize: 4,
+            quietZone: null
+        },
+
+        _Renderer = Y.namespace('QrCode.Renderer');
+
+    _mix(_Renderer, {
+        /**
+         * Draws the QR Code onto a canvas element.  The canvas is resized to
+         * fit the QR Code.
+         * @method drawCanvas
+         * @param {HTMLElement|Node} canvas The canvas to draw onto.
+         * @param {[Boolean]} matrix
+         * @param {Number} size The square root of the length of matrix.
+         * @param {Object} config Optional.  Render options.
+         * @return {HTMLElement} The canvas element.
+         * @static
+         */
+        drawCanvas: function (canvas, matrix, size, config) {
+            config = _Renderer._getConfig(size, config);
+
+            var context,
+                moduleSize = config.moduleSize,
+                pixelSize = config.dimension * moduleSize;
+
+            if (canvas.getDOMNode) {
+                canvas = canvas.getDOMNode();
+            }
+
+            canvas.width = pixelSize;
+            canvas.height = pixelSize;
+
+            context = canvas.getContext('2d');
+            context.clearRect(0, 0, pixelSize, pixelSize);
+
+            if (config.lightColor) {
+                context.fillStyle = config.lightColor;
+                context.fillRect(0, 0, pixelSize, pixelSize);
+            }
+
+            context.fillStyle = config.darkColor;
+
+            _Renderer._eachRun(matrix, size, config, function (x, y, length) {
+                context.fillRect(x * moduleSize, y * moduleSize, length * moduleSize, moduleSize);
+            });
+
+            return canvas;
+        },
+        /**
+         * Returns a data URI of the QR Code.  By default the data URI holds
+         * an SVG image.  When config.type is 'image/png', the QR Code is
+         * drawn onto a new canvas element which is then converted to a PNG
+         * data URI; this requires a browser with canvas support.
+         * @method toDataUri
+         * @param {[Boolean]} matrix
+         * @param {Number} size The square root of the length of matrix.
+         * @param {Object} config Optional.  Render options.  In addition to
+         * the common options, type may be set to 'image/svg+xml' or
+         * 'image/png'.
+         * @return {String}
+         * @static
+         */
+        toDataUri: function (matrix, size, config) {
+            if (config && config.type === _string_image_png) {
+                return _Renderer.drawCanvas(Y.config.doc.createElement(_string_canvas), matrix, size, config).toDataURL(_string_image_png);
+            }
+
+            return 'data:image/svg+xml;charset=utf-8,' + _encodeURIComponent(_Renderer.toSvgString(matrix, size, config));
+        },
+        /**
+         * Returns an SVG element representing the QR Code.
+         * @method toSvgNode
+         * @param {[Boolean]} matrix
+         * @param {Number} size The square root of the length of matrix.
+         * @param {Object} config Optional.  Render options.
+         * @return {Node}
+         * @static
+         */
+        toSvgNode: function (matrix, size, config) {
+            var doc = Y.config.doc,
+                svg = doc.createElementNS(_string_svgNamespace, 'svg'),
+                parts = _Renderer._getSvgParts(matrix, size, config);
+
+            _Renderer._setAttributes(svg, parts.svg);
+
+            if (parts.rect) {
+                svg.appendChild(_Renderer._setAttributes(doc.createElementNS(_string_svgNamespace, 'rect'), parts.rect));
+            }
+
+            svg.appendChild(_Renderer._setAttributes(doc.createElementNS(_string_svgNamespace, 'path'), parts.path));
+
+            return Y.one(svg);
+        },
+        /**
+         * Returns SVG markup representing the QR Code.
+         * @method toSvgString
+         * @param {[Boolean]} matrix
+         * @param {Number} size The square root of the length of matrix.
+         * @param {Object} config Optional.  Render options.
+         * @return {String}
+         * @static
+         */
+        toSvgString: function (matrix, size, config) {
+            var parts = _Renderer._getSvgParts(matrix, size, config),
+
+                toMarkup = function (tagName, attributes, content) {
+                    var markup = '<' + tagName;
+
+                    Y.Object.each(attributes, function (value, name) {
+                        markup += ' ' + name + '="' + _escapeAttribute(value) + '"';
+                    });
+
+                    return markup + (content ? '>' + content + '</' + tagName + '>' : '/>');
+                };
+
+            parts.svg.xmlns = _string_svgNamespace;
+
+            return toMarkup('svg', parts.svg, (parts.rect ? toMarkup('rect', parts.rect) : _string__empty) + toMarkup('path', parts.path));
+        },
+        /**
+         * Returns a text representation of the QR Code, one line per row of
+         * modules, which is suitable for terminals and test assertions.
+         * @method toText
+         * @param {[Boolean]} matrix
+         * @param {Number} size The square root of the length of matrix.
+         * @param {Object} config Optional.  Render options.  moduleSize and
+         * the colors are ignored.  dark and light may be set to the strings
+         * used for each dark and light module.  They default to two full
+         * block characters and two spaces.
+         * @return {String}
+         * @static
+         */
+        toText: function (matrix, size, config) {
+            var dark = config && _isValue(config.dark) ? config.dark : '\u2588\u2588',
+                light = config && _isValue(config.light) ? config.light : '  ',
+
+                dimension,
+                lines = [],
+                line,
+                x,
+                y;
+
+            config = _Renderer._getConfig(size, config);
+            dimension = config.dimension;
+
+            for (y = 0; y < dimension; y += 1) {
+                line = _string__empty;
+
+                for (x = 0; x < dimension; x += 1) {
+                    line += _Renderer._isDark(matrix, size, config, x, y) ? dark : light;
+                }
+
+                lines.push(line);
+            }
+
+            return lines.join('\n');
+        },
+        /**
+         * Calls a function for each horizontal run of dark modules.
+         * @method _eachRun
+         * @param {[Boolean]} matrix
+         * @param {Number} size The square root of the length of matrix.
+         * @param {Object} config Render options, as returned by _getConfig.
+         * @param {Function} fn This function is passed the x and y
+         * coordinates of the first module of the run and the length of the
+         * run, in output module coordinates.
+         * @protected
+         * @static
+         */
+        _eachRun: function (matrix, size, config, fn) {
+            var dimension = config.dimension,
+                start,
+                x,
+                y;
+
+            for (y = 0; y < dimension; y += 1) {
+                start = -1;
+
+                for (x = 0; x <= dimension; x += 1) {
+                    if (x < dimension && _Renderer._isDark(matrix, size, config, x, y)) {
+                        if (start === -1) {
+                            start = x;
+                        }
+                    } else if (start !== -1) {
+                        fn(start, y, x - start);
+                        start = -1;
+                    }
+                }
+            }
+        },
+        /**
+         * Merges render options with the defaults and calculates the
+         * dimension of the output in modules.
+         * @method _getConfig
+         * @param {Number} size The square root of the length of matrix.
+         * @param {Object} config Render options.
+         * @return {Object}
+         * @protected
+         * @static
+         */
+        _getConfig: function (size, config) {
+            config = _mix(_mix({}, _defaults), config, true);
+
+            // Micro QR Codes are at most 24 modules wide including their
+            // quiet zone; regular QR Codes are at least 29 modules wide.
+            config.matrixQuietZone = size < 29 ? 2 : 4;
+
+            if (!_isValue(config.quietZone) || config.quietZone < 0) {
+                config.quietZone = config.matrixQuietZone;
+            }
+
+            config.dimension = size + 2 * (config.quietZone - config.matrixQuietZone);
+
+            return config;
+        },
+        /**
+         * Returns the attributes of the svg, rect, and path elements which
+         * make up the SVG representation of the QR Code.
+         * @method _getSvgParts
+         * @param {[Boolean]} matrix
+         * @param {Number} size The square root of the length of matrix.
+         * @param {Object} config Render options.
+         * @return {Object}
+         * @protected
+         * @static
+         */
+        _getSvgParts: function (matrix, size, config) {
+            config = _Renderer._getConfig(size, config);
+
+            var dimension = config.dimension,
+                pixelSize = dimension * config.moduleSize,
+                path = [];
+
+            _Renderer._eachRun(matrix, size, config, function (x, y, length) {
+                path.push('M' + x + ' ' + y + 'h' + length + 'v1h-' + length + 'z');
+            });
+
+            return {
+                path: {
+                    d: path.join(_string__empty) || 'M0 0',
+                    fill: config.darkColor
+                },
+                rect: config.lightColor ? {
+                    fill: config.lightColor,
+                    height: dimension,
+                    width: dimension
+                } : null,
+                svg: {
+                    height: pixelSize,
+                    'shape-rendering': 'crispEdges',
+                    viewBox: '0 0 ' + dimension + ' ' + dimension,
+                    width: pixelSize
+                }
+            };
+        },
+        /**
+         * Checks whether the module at the given output coordinates is dark.
+         * Coordinates outside of the matrix are part of the quiet zone.
+         * @method _isDark
+         * @param {[Boolean]} matrix
+         * @param {Number} size The square root of the length of matrix.
+         * @param {Object} config Render options, as returned by _getConfig.
+         * @param {Number} x
+         * @param {Number} y
+         * @return {Boolean}
+         * @protected
+         * @static
+         */
+        _isDark: function (matrix, size, config, x, y) {
+            var offset = config.matrixQuietZone - config.quietZone;
+
+            x += offset;
+            y += offset;
+
+            return x >= 0 && y >= 0 && x < size && y < size && !!matrix[x + y * size];
+        },
+        /**
+         * Sets attributes on a DOM element.
+         * @method _setAttributes
+         * @param {HTMLElement} element
+         * @param {Object} attributes
+         * @return {HTMLElement} The element.
+         * @protected
+         * @static
+         */
+        _setAttributes: function (element, attributes) {
+            Y.Object.each(attributes, function (value, name) {
+                element.setAttribute(name, value);
+            });
+
+            return element;
+        }
+    });
+}(Y));
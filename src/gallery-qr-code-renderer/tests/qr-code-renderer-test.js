@@ -0,0 +1,173 @@
+YUI.add('qr-code-renderer-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+    Renderer    = Y.QrCode.Renderer,
+
+    // A diagonal line in a 3x3 matrix.  Matrices this small are treated as
+    // Micro QR Codes, which include a quiet zone of 2 modules.
+    matrix = [
+        true, false, false,
+        false, true, false,
+        false, false, true
+    ],
+    size = 3,
+    textConfig = {
+        dark: 'X',
+        light: '.'
+    },
+
+    suite;
+
+// Records the calls made to a 2D canvas context.
+function FakeCanvas() {
+    var calls = this.calls = [];
+
+    this.context = {
+        clearRect: function () {
+            calls.push(['clearRect'].concat(Y.Array(arguments)));
+        },
+
+        fillRect: function () {
+            calls.push(['fillRect', this.fillStyle].concat(Y.Array(arguments)));
+        }
+    };
+}
+
+FakeCanvas.prototype.getContext = function () {
+    return this.context;
+};
+
+// -- QrCode.Renderer Suite ----------------------------------------------------
+suite = new Y.Test.Suite('QrCode.Renderer');
+
+// -- QrCode.Renderer: Text ----------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Text',
+
+    'toText should draw one line per row': function () {
+        Assert.areSame('X..\n.X.\n..X', Renderer.toText(matrix, size, textConfig));
+    },
+
+    'toText should default to block characters': function () {
+        Assert.areSame('\u2588\u2588    \n  \u2588\u2588  \n    \u2588\u2588', Renderer.toText(matrix, size));
+    },
+
+    'a larger quiet zone should add light modules around the code': function () {
+        Assert.areSame('.....\n.X...\n..X..\n...X.\n.....', Renderer.toText(matrix, size, Y.merge(textConfig, {
+            quietZone: 3
+        })));
+    },
+
+    'a smaller quiet zone should crop the matrix': function () {
+        Assert.areSame('X', Renderer.toText(matrix, size, Y.merge(textConfig, {
+            quietZone: 1
+        })));
+    },
+
+    'a negative quiet zone should use the quiet zone of the matrix': function () {
+        Assert.areSame('X..\n.X.\n..X', Renderer.toText(matrix, size, Y.merge(textConfig, {
+            quietZone: -1
+        })));
+    }
+}));
+
+// -- QrCode.Renderer: SVG -----------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'SVG',
+
+    'toSvgString should draw runs of dark modules as a path': function () {
+        Assert.areSame(
+            '<svg height="12" shape-rendering="crispEdges" viewBox="0 0 3 3" width="12" xmlns="http://www.w3.org/2000/svg">' +
+                '<rect fill="#ffffff" height="3" width="3"/>' +
+                '<path d="M0 0h1v1h-1zM1 1h1v1h-1zM2 2h1v1h-1z" fill="#000000"/>' +
+            '</svg>',
+            Renderer.toSvgString(matrix, size)
+        );
+    },
+
+    'horizontal runs should be merged': function () {
+        var svg = Renderer.toSvgString([
+                true, true, false,
+                false, false, false,
+                true, true, true
+            ], size);
+
+        Assert.isTrue(svg.indexOf('d="M0 0h2v1h-2zM0 2h3v1h-3z"') !== -1, svg);
+    },
+
+    'a null lightColor should leave out the background': function () {
+        var svg = Renderer.toSvgString(matrix, size, {
+                lightColor: null
+            });
+
+        Assert.areSame(-1, svg.indexOf('<rect'));
+    },
+
+    'attribute values should be escaped': function () {
+        var svg = Renderer.toSvgString(matrix, size, {
+                darkColor: '"><script>&'
+            });
+
+        Assert.isTrue(svg.indexOf('fill="&quot;>&lt;script>&amp;"') !== -1, svg);
+    },
+
+    'toSvgNode should create an SVG element': function () {
+        var svg = Renderer.toSvgNode(matrix, size, {
+                moduleSize: 2
+            }),
+            path = svg.one('path');
+
+        Assert.areSame('http://www.w3.org/2000/svg', svg.getDOMNode().namespaceURI);
+        Assert.areSame('6', svg.getAttribute('width'));
+        Assert.areSame('0 0 3 3', svg.getAttribute('viewBox'));
+        Assert.isNotNull(svg.one('rect'));
+        Assert.areSame('M0 0h1v1h-1zM1 1h1v1h-1zM2 2h1v1h-1z', path.getAttribute('d'));
+    },
+
+    'toDataUri should encode the SVG markup': function () {
+        var dataUri = Renderer.toDataUri(matrix, size),
+            prefix = 'data:image/svg+xml;charset=utf-8,';
+
+        Assert.areSame(prefix, dataUri.slice(0, prefix.length));
+        Assert.areSame(Renderer.toSvgString(matrix, size), decodeURIComponent(dataUri.slice(prefix.length)));
+    }
+}));
+
+// -- QrCode.Renderer: Canvas --------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Canvas',
+
+    'drawCanvas should size the canvas and fill each run': function () {
+        var canvas = new FakeCanvas();
+
+        Assert.areSame(canvas, Renderer.drawCanvas(canvas, matrix, size, {
+            moduleSize: 2
+        }));
+
+        Assert.areSame(6, canvas.width);
+        Assert.areSame(6, canvas.height);
+        Assert.areSame(5, canvas.calls.length);
+        ArrayAssert.itemsAreEqual(['clearRect', 0, 0, 6, 6], canvas.calls[0]);
+        ArrayAssert.itemsAreEqual(['fillRect', '#ffffff', 0, 0, 6, 6], canvas.calls[1]);
+        ArrayAssert.itemsAreEqual(['fillRect', '#000000', 0, 0, 2, 2], canvas.calls[2]);
+        ArrayAssert.itemsAreEqual(['fillRect', '#000000', 2, 2, 2, 2], canvas.calls[3]);
+        ArrayAssert.itemsAreEqual(['fillRect', '#000000', 4, 4, 2, 2], canvas.calls[4]);
+    },
+
+    'drawCanvas should not fill the background without lightColor': function () {
+        var canvas = new FakeCanvas();
+
+        Renderer.drawCanvas(canvas, matrix, size, {
+            lightColor: null
+        });
+
+        Assert.areSame(4, canvas.calls.length);
+        Assert.areSame('clearRect', canvas.calls[0][0]);
+        Assert.areSame('#000000', canvas.calls[1][1]);
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-qr-code-renderer', 'test']});
@@ -0,0 +1,353 @@
+/**
+ * gallery-qr-code-widget displays a QR Code generated from its attributes.
+ * @module gallery-qr-code-widget
+ */
+(function (Y) {
+    'use strict';
+
+    var _string_change = 'Change',
+        _string_error = 'error',
+        _string_generate = 'generate',
+
+        _isString = Y.Lang.isString,
+
+        _QrCode = Y.QrCode,
+        _Renderer = _QrCode.Renderer,
+
+        _renderOptionAttributes = [
+            'darkColor',
+            'lightColor',
+            'moduleSize',
+            'quietZone',
+            'renderer'
+        ],
+        _sourceAttributes = [
+            'data',
+            'errorCorrection',
+            'mask',
+            'version'
+        ],
+
+        /**
+         * A widget which generates a QR Code and renders it as SVG, onto a
+         * canvas, or as text.  The QR Code is regenerated whenever the data,
+         * errorCorrection, mask, or version attributes change, and redrawn
+         * whenever the render options change.
+         * @class Widget
+         * @constructor
+         * @extends Widget
+         * @namespace QrCode
+         * @param {Object} config Configuration object.
+         */
+        _QrCodeWidget = Y.Base.create('qr-code', Y.Widget, [], {
+            /**
+             * The id of the latest generation; results of older generations
+             * are ignored.
+             * @property _generation
+             * @protected
+             * @type Number
+             */
+            _generation: 0,
+            /**
+             * The generated matrix, or null.
+             * @property _matrix
+             * @protected
+             * @type [Boolean]
+             */
+            _matrix: null,
+            /**
+             * The square root of the length of the generated matrix.
+             * @property _size
+             * @protected
+             * @type Number
+             */
+            _size: 0,
+            /**
+             * @method bindUI
+             * @protected
+             */
+            bindUI: function () {
+                var me = this,
+                    changeEvents = function (attributeNames) {
+                        return Y.Array.map(attributeNames, function (attributeName) {
+                            return attributeName + _string_change;
+                        });
+                    };
+
+                me.after(changeEvents(_sourceAttributes), me.regenerate);
+                me.after(changeEvents(_renderOptionAttributes), me._draw);
+            },
+            /**
+             * @method initializer
+             * @protected
+             */
+            initializer: function () {
+                /**
+                 * Fired after a QR Code has been generated and drawn.
+                 * @event generate
+                 * @param {[Boolean]} matrix The generated matrix.
+                 * @param {Number} size The square root of the length of
+                 * matrix.
+                 */
+                this.publish(_string_generate);
+
+                /**
+                 * Fired when a QR Code can not be generated, for example
+                 * because the data does not fit within the version.
+                 * @event error
+                 * @param {String} error The error message.
+                 */
+                this.publish(_string_error);
+            },
+            /**
+             * Generates the QR Code again from the current attribute values
+             * and draws it once it is ready.  Generation is asynchronous.
+             * @method regenerate
+             * @chainable
+             */
+            regenerate: function () {
+                var me = this,
+                    generation = me._generation + 1,
+                    generator;
+
+                me._generation = generation;
+
+                try {
+                    generator = new _QrCode.GeneratorBase({
+                        data: me.get('data'),
+                        errorCorrection: me.get('errorCorrection'),
+                        mask: me.get('mask'),
+                        version: me.get('version')
+                    });
+                } catch (error) {
+                    me.fire(_string_error, {
+                        error: error.message
+                    });
+                    return me;
+                }
+
+                generator.generate(function (error, matrix, size) {
+                    if (generation !== me._generation || me.get('destroyed')) {
+                        return;
+                    }
+
+                    if (error) {
+                        me._matrix = null;
+                        me._size = 0;
+                        me._draw();
+                        me.fire(_string_error, {
+                            error: error
+                        });
+                        return;
+                    }
+
+                    me._matrix = matrix;
+                    me._size = size;
+                    me._draw();
+                    me.fire(_string_generate, {
+                        matrix: matrix,
+                        size: size
+                    });
+                });
+
+                return me;
+            },
+            /**
+             * @method syncUI
+             * @protected
+             */
+            syncUI: function () {
+                this.regenerate();
+            },
+            /**
+             * Returns a data URI of the current QR Code, or null if no QR Code
+             * has been generated yet.
+             * @method toDataUri
+             * @param {String} type Optional.  'image/svg+xml' or 'image/png'.
+             * Defaults to 'image/svg+xml'.
+             * @return {String}
+             */
+            toDataUri: function (type) {
+                if (!this._matrix) {
+                    return null;
+                }
+
+                return _Renderer.toDataUri(this._matrix, this._size, Y.merge(this._getRenderOptions(), {
+                    type: type
+                }));
+            },
+            /**
+             * Returns a text representation of the current QR Code, or null
+             * if no QR Code has been generated yet.
+             * @method toText
+             * @param {Object} config Optional.  Options passed to
+             * Y.QrCode.Renderer.toText.
+             * @return {String}
+             */
+            toText: function (config) {
+                if (!this._matrix) {
+                    return null;
+                }
+
+                return _Renderer.toText(this._matrix, this._size, Y.merge(this._getRenderOptions(), config));
+            },
+            /**
+             * Replaces the content box's content with a rendering of the
+             * current QR Code.
+             * @method _draw
+             * @protected
+             */
+            _draw: function () {
+                var contentBox = this.get('contentBox'),
+                    matrix = this._matrix,
+                    options,
+                    size = this._size;
+
+                if (!this.get('rendered')) {
+                    return;
+                }
+
+                contentBox.empty();
+
+                if (!matrix) {
+                    return;
+                }
+
+                options = this._getRenderOptions();
+
+                switch (this.get('renderer')) {
+                case 'canvas':
+                    contentBox.append(_Renderer.drawCanvas(Y.config.doc.createElement('canvas'), matrix, size, options));
+                    break;
+                case 'text':
+                    contentBox.append(Y.Node.create('<pre></pre>').set('text', _Renderer.toText(matrix, size, options)));
+                    break;
+                default:
+                    contentBox.append(_Renderer.toSvgNode(matrix, size, options));
+                }
+            },
+            /**
+             * Collects the render options from the widget's attributes.
+             * @method _getRenderOptions
+             * @protected
+             * @return {Object}
+             */
+            _getRenderOptions: function () {
+                return {
+                    darkColor: this.get('darkColor'),
+                    lightColor: this.get('lightColor'),
+                    moduleSize: this.get('moduleSize'),
+                    quietZone: this.get('quietZone')
+                };
+            }
+        }, {
+            ATTRS: {
+                /**
+                 * The color of dark modules.
+                 * @attribute darkColor
+                 * @default '#000000'
+                 * @type String
+                 */
+                darkColor: {
+                    validator: _isString,
+                    value: '#000000'
+                },
+                /**
+                 * The data to encode.  Strings are encoded in byte mode.
+                 * Data objects, or an array of them, may be used for other
+                 * encoding modes.
+                 * @attribute data
+                 * @default ''
+                 * @type String|QrCode.Data|Array
+                 */
+                data: {
+                    setter: function (value) {
+                        if (_isString(value)) {
+                            value = new _QrCode.ByteData({
+                                value: value
+                            });
+                        }
+
+                        return value;
+                    },
+                    value: ''
+                },
+                /**
+                 * The error correction mode: 'L', 'M', 'Q', or 'H'.  See
+                 * Y.QrCode.GeneratorBase.
+                 * @attribute errorCorrection
+                 * @default 'M'
+                 * @type String
+                 */
+                errorCorrection: {
+                    value: 'M'
+                },
+                /**
+                 * The color of light modules and the quiet zone.  Set to null
+                 * for a transparent background.
+                 * @attribute lightColor
+                 * @default '#ffffff'
+                 * @type String
+                 */
+                lightColor: {
+                    value: '#ffffff'
+                },
+                /**
+                 * The mask to apply, or null to choose the best one.  See
+                 * Y.QrCode.GeneratorBase.
+                 * @attribute mask
+                 * @default null
+                 * @type Number
+                 */
+                mask: {
+                    value: null
+                },
+                /**
+                 * The width and height of each module in pixels.
+                 * @attribute moduleSize
+                 * @default 4
+                 * @type Number
+                 */
+                moduleSize: {
+                    validator: function (value) {
+                        return value > 0;
+                    },
+                    value: 4
+                },
+                /**
+                 * The number of light modules drawn around the QR Code, or
+                 * null for the standard quiet zone.
+                 * @attribute quietZone
+                 * @default null
+                 * @type Number
+                 */
+                quietZone: {
+                    value: null
+                },
+                /**
+                 * How the QR Code is drawn: 'svg', 'canvas', or 'text'.
+                 * @attribute renderer
+                 * @default 'svg'
+                 * @type String
+                 */
+                renderer: {
+                    validator: function (value) {
+                        return value === 'svg' || value === 'canvas' || value === 'text';
+                    },
+                    value: 'svg'
+                },
+                /**
+                 * The QR Code version, from '1' to '40', or 'M1' to 'M4' for
+                 * Micro QR Codes.  See Y.QrCode.GeneratorBase.
+                 * @attribute version
+                 * @default '1'
+                 * @type String
+                 */
+                version: {
+                    value: '1'
+                }
+            }
+        });
+
+    _QrCode.Widget = _QrCodeWidget;
+}(Y));
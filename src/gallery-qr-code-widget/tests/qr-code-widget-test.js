@@ -0,0 +1,148 @@
+YUI.add('qr-code-widget-test', function (Y) {
+
+var Assert = Y.Assert,
+    QrCode = Y.QrCode,
+
+    suite;
+
+// -- QrCode.Widget Suite ------------------------------------------------------
+suite = new Y.Test.Suite('QrCode.Widget');
+
+// -- QrCode.Widget: Rendering -------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Rendering',
+
+    setUp: function () {
+        this.widget = new QrCode.Widget({
+            data: 'HELLO'
+        });
+    },
+
+    tearDown: function () {
+        this.widget.destroy(true);
+        delete this.widget;
+    },
+
+    'nothing should be generated before rendering': function () {
+        Assert.isNull(this.widget.toText());
+        Assert.isNull(this.widget.toDataUri());
+    },
+
+    'rendering should generate and draw an SVG QR Code': function () {
+        var test = this,
+            widget = test.widget;
+
+        widget.after('generate', function (eventFacade) {
+            test.resume(function () {
+                var svg = widget.get('contentBox').one('svg');
+
+                Assert.areSame(29, eventFacade.size, 'Version 1 with its quiet zone should be 29 modules wide.');
+                Assert.isNotNull(svg);
+                Assert.areSame(String(29 * 4), svg.getAttribute('width'));
+                Assert.areSame(29, widget.toText().split('\n').length);
+                Assert.areSame(0, widget.toDataUri().indexOf('data:image/svg+xml'));
+            });
+        });
+
+        widget.render();
+        test.wait(5000);
+    },
+
+    'changing render options should redraw without regenerating': function () {
+        var test = this,
+            widget = test.widget,
+            generated = 0;
+
+        widget.after('generate', function () {
+            generated += 1;
+
+            if (generated > 1) {
+                return;
+            }
+
+            test.resume(function () {
+                widget.set('renderer', 'text');
+
+                Assert.isNull(widget.get('contentBox').one('svg'));
+                Assert.areSame(widget.toText(), widget.get('contentBox').one('pre').get('text'));
+
+                widget.set('moduleSize', 2);
+                widget.set('quietZone', 1);
+
+                Assert.areSame(23, widget.toText().split('\n').length);
+                Assert.areSame(1, generated);
+            });
+        });
+
+        widget.render();
+        test.wait(5000);
+    },
+
+    'changing the data should regenerate the QR Code': function () {
+        var test = this,
+            widget = test.widget,
+            texts = [];
+
+        widget.after('generate', function () {
+            texts.push(widget.toText());
+
+            if (texts.length === 1) {
+                widget.set('data', 'WORLD');
+                return;
+            }
+
+            test.resume(function () {
+                Assert.areNotSame(texts[0], texts[1]);
+            });
+        });
+
+        widget.render();
+        test.wait(5000);
+    },
+
+    'invalid render options should be rejected': function () {
+        this.widget.set('renderer', 'png');
+        this.widget.set('moduleSize', 0);
+
+        Assert.areSame('svg', this.widget.get('renderer'));
+        Assert.areSame(4, this.widget.get('moduleSize'));
+    }
+}));
+
+// -- QrCode.Widget: Errors ----------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'Errors',
+
+    tearDown: function () {
+        this.widget.destroy(true);
+        delete this.widget;
+    },
+
+    'data which does not fit should fire error and clear the QR Code': function () {
+        var test = this,
+            widget;
+
+        widget = test.widget = new QrCode.Widget({
+            data: 'HELLO'
+        });
+
+        widget.after('generate', function () {
+            widget.set('data', new Array(100).join('too long '));
+        });
+
+        widget.after('error', function (eventFacade) {
+            test.resume(function () {
+                Assert.isString(eventFacade.error);
+                Assert.isNull(widget.toText());
+                Assert.isNull(widget.get('contentBox').one('svg'));
+            });
+        });
+
+        widget.render();
+        test.wait(5000);
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {requires: ['gallery-qr-code-widget', 'test']});
@@ -12,10 +12,15 @@
  * nodes might be very large.  To turn on this feature, set
  * paginateChildren:true.</p>
  * 
- * <p>The tree must be immutable.  The total number of items available from
- * each DataSource must remain constant.  (The one exception to this rule
- * is that filtering and sorting are allowed.  This is done by detecting
- * that the request parameters have changed.)</p>
+ * <p>The total number of items available from each DataSource must not
+ * change behind the back of TreebleDataSource.  Filtering and sorting are
+ * allowed, because this is detected from the change in the request
+ * parameters.  Any other changes must be reported by calling
+ * <code>insertNode</code>, <code>removeNode</code>, <code>moveNode</code>,
+ * or <code>refreshNode</code>.  These adjust the cached open nodes and
+ * child counts, so the open/closed state and the current page are
+ * preserved when the data is reloaded.  When the data is an array in a
+ * DataSource.Local, the first three also update the array.</p>
  * 
  * @namespace DataSource
  * @class Treeble
@@ -130,6 +135,7 @@ TreebleDataSource.ATTRS =
 
 		index:      {Number} sorting key; the index of the node
 		open:       null if never opened, true if open, false otherwise
+		stale:      true if the node was in a subtree passed to refreshNode
 		ds:         {DataSource} source for child nodes
 		childTotal: {Number} total number of child nodes
 		children:   {Array} (recursive) child nodes which are or have been opened
@@ -197,7 +203,16 @@ function populateOpen(
 			if (uniqueIdKey)
 			{
 				cached_item = this._open_cache[ data[k][ uniqueIdKey ] ];
-				if (cached_item)
+				if (cached_item && cached_item.stale)
+				{
+					// child count must be fetched again
+
+					if (cached_item.open)
+					{
+						this._toggle.push(req.path.concat(i));
+					}
+				}
+				else if (cached_item)
 				{
 					item.open       = cached_item.open;
 					item.childTotal = cached_item.childTotal;
@@ -245,12 +260,228 @@ function getNode(
 	for (var i=0; i<last; i++)
 	{
 		var node = searchOpen(open, path[i]);
-		open     = node.children;
+		if (!node)
+		{
+			return false;
+		}
+		open = node.children;
 	}
 
 	return searchOpen(open, path[last]);
 }
 
+function getLevel(
+	/* array */	path)
+{
+	if (path.length === 0)
+	{
+		return { parent: null, list: this._open, ds: this.get('root') };
+	}
+
+	var parent = getNode.call(this, path);
+	if (!parent)
+	{
+		return null;
+	}
+
+	return { parent: parent, list: parent.children, ds: parent.ds };
+}
+
+function hasIndex(
+	/* object */	level,
+	/* int */		index,
+	/* int */		extra)
+{
+	// only arrays in a DataSource.Local can be checked; extra allows
+	// appending at the end
+
+	if (index < 0)
+	{
+		return false;
+	}
+
+	var data = getLocalData(level.ds);
+	return !data || index < data.length + extra;
+}
+
+function checkPath(
+	/* array */	path,
+	/* int */	extra)
+{
+	// true if path is not the root, its parent has been explored, and
+	// the index is in range
+
+	var last = path.length-1;
+	if (last < 0)
+	{
+		return false;
+	}
+
+	var level = getLevel.call(this, path.slice(0, last));
+	return !!level && hasIndex(level, path[last], extra);
+}
+
+function originalPath(
+	/* array */	path,
+	/* array */	removed)
+{
+	// converts a path in the tree without the node at "removed" into a
+	// path in the current tree
+
+	var last = removed.length-1;
+	if (path.length <= last)
+	{
+		return path;
+	}
+
+	for (var i=0; i<last; i++)
+	{
+		if (path[i] != removed[i])
+		{
+			return path;
+		}
+	}
+
+	var result = path.slice(0);
+	if (result[last] >= removed[last])
+	{
+		result[last]++;
+	}
+	return result;
+}
+
+function shiftOpen(
+	/* array */	list,
+	/* int */	index,
+	/* int */	delta)
+{
+	for (var i=0; i<list.length; i++)
+	{
+		if (list[i].index >= index)
+		{
+			list[i].index += delta;
+		}
+	}
+}
+
+function adjustTotal(
+	/* object */	level,
+	/* int */		delta)
+{
+	if (level.parent)
+	{
+		if (level.parent.open !== null)		// otherwise, not yet fetched
+		{
+			level.parent.childTotal += delta;
+		}
+	}
+	else
+	{
+		this._topNodeTotal += delta;
+	}
+}
+
+function flushCache(
+	/* DataSource */	ds)
+{
+	if (ds && ds.cache)
+	{
+		ds.cache.flush();
+	}
+}
+
+function getLocalData(
+	/* DataSource */	ds)
+{
+	var data = (ds instanceof Y.DataSource.Local) && ds.get('source');
+	return Y.Lang.isArray(data) ? data : null;
+}
+
+function detachNode(
+	/* array */	path)
+{
+	var last  = path.length-1,
+		index = path[last],
+		level = getLevel.call(this, path.slice(0, last));
+	if (!level)
+	{
+		return null;
+	}
+
+	var result = { item: null, data: null };
+	for (var i=0; i<level.list.length; i++)
+	{
+		if (level.list[i].index == index)
+		{
+			result.item = level.list.splice(i, 1)[0];
+			break;
+		}
+	}
+
+	var data = getLocalData(level.ds);
+	if (data)
+	{
+		result.data = data.splice(index, 1)[0];
+	}
+
+	shiftOpen(level.list, index+1, -1);
+	adjustTotal.call(this, level, -1);
+	flushCache(level.ds);
+	return result;
+}
+
+function attachNode(
+	/* array */		path,
+	/* object */	item,
+	/* object */	data)
+{
+	var last  = path.length-1,
+		index = path[last],
+		level = getLevel.call(this, path.slice(0, last));
+	if (!level)
+	{
+		return false;
+	}
+
+	shiftOpen(level.list, index, +1);
+	adjustTotal.call(this, level, +1);
+
+	var local = getLocalData(level.ds);
+	if (local && data)
+	{
+		local.splice(index, 0, data);
+	}
+
+	if (item && (!level.parent || level.parent.open !== null))
+	{
+		item.index  = index;
+		item.parent = level.parent;
+
+		for (var i=0; i<level.list.length; i++)
+		{
+			if (level.list[i].index > index)
+			{
+				break;
+			}
+		}
+		level.list.splice(i, 0, item);
+	}
+
+	flushCache(level.ds);
+	return true;
+}
+
+function markStale(
+	/* array */	list)
+{
+	for (var i=0; i<list.length; i++)
+	{
+		list[i].stale = true;
+		flushCache(list[i].ds);
+		markStale(list[i].children);
+	}
+}
+
 function countVisibleNodes(
 
 	// not sent by initiator
@@ -715,14 +946,7 @@ function checkFinished()
 	}
 	else if (this._toggle.length > 0)
 	{
-		this.toggle(this._toggle[0], Y.clone(this._callback.request, true),
-		{
-			fn: function()
-			{
-				Y.Lang.later(0, this, requestTree);
-			},
-			scope: this
-		});
+		toggleNext.call(this, this._toggle.slice(0));
 		return;
 	}
 
@@ -762,6 +986,29 @@ function checkFinished()
 	this.fire('response', this._callback);
 }
 
+// opens the nodes in sequence, because requestTree discards this._toggle
+
+function toggleNext(
+	/* array */	paths)
+{
+	if (paths.length === 0)
+	{
+		Y.Lang.later(0, this, requestTree);
+		return;
+	}
+
+	var path = paths.shift();
+	if (!this.toggle(path, Y.clone(this._callback.request, true),
+		{
+			fn:    toggleNext,
+			scope: this,
+			args:  [ paths ]
+		}))
+	{
+		toggleNext.call(this, paths);
+	}
+}
+
 function toggleSuccess(e, node, completion)
 {
 	if (node.ds.treeble_config.totalRecordsExpr)
@@ -938,6 +1185,127 @@ Y.extend(TreebleDataSource, Y.DataSource.Local,
 		return true;
 	},
 
+	/**
+	 * <p>Updates the cached state after a node was inserted.  If the
+	 * node's parent DataSource is a DataSource.Local containing an array,
+	 * <code>data</code> is inserted into the array.  Otherwise, the node
+	 * must already have been added to the DataSource.</p>
+	 * 
+	 * <p>The parent node must be able to have children, i.e., it must
+	 * already have a child DataSource.  Reload the data afterwards to
+	 * display the change.</p>
+	 * 
+	 * @method insertNode
+	 * @param path {Array} Path to the new node
+	 * @param data {Object} (optional) The new node's data
+	 * @return {boolean} false if the path to the parent has not yet been fully explored or the index is out of range, true otherwise.  Nothing is changed if the result is false.
+	 */
+	insertNode: function(path, data)
+	{
+		return checkPath.call(this, path, 1) && attachNode.call(this, path, null, data);
+	},
+
+	/**
+	 * Updates the cached state after a node was removed, discarding the
+	 * state of its descendants.  If the node's parent DataSource is a
+	 * DataSource.Local containing an array, the node is removed from the
+	 * array.  Otherwise, the node must already have been removed from the
+	 * DataSource.  Reload the data afterwards to display the change.
+	 * 
+	 * @method removeNode
+	 * @param path {Array} Path to the node
+	 * @return {boolean} false if the path to the parent has not yet been fully explored or the index is out of range, true otherwise.  Nothing is changed if the result is false.
+	 */
+	removeNode: function(path)
+	{
+		return checkPath.call(this, path, 0) && !!detachNode.call(this, path);
+	},
+
+	/**
+	 * Updates the cached state after a node was moved, preserving the
+	 * state of the node and its descendants.  If the DataSources are
+	 * DataSource.Local containing arrays, the node is moved between the
+	 * arrays.  Otherwise, the node must already have been moved by the
+	 * DataSources.  Reload the data afterwards to display the change.
+	 * 
+	 * @method moveNode
+	 * @param fromPath {Array} Path to the node
+	 * @param toPath {Array} Path to the node after the move, i.e., after it has been removed from <code>fromPath</code>.  For example, moving [1] to [1,0] makes it the first child of its next sibling.  Since the moved node is not part of this tree, it cannot be moved inside itself.
+	 * @return {boolean} false if either path has not yet been fully explored or is out of range, true otherwise.  Nothing is changed if the result is false.
+	 */
+	moveNode: function(fromPath, toPath)
+	{
+		var from_last = fromPath.length-1,
+			to_last   = toPath.length-1;
+		if (from_last < 0 || to_last < 0)
+		{
+			return false;
+		}
+
+		// Resolve both parents before changing anything, so a bad path
+		// leaves the tree untouched.  toPath is relative to the tree
+		// without the moved node, so it has to be translated to find its
+		// parent now.
+
+		var from_level = getLevel.call(this, fromPath.slice(0, from_last)),
+			to_level   = getLevel.call(this, originalPath(toPath.slice(0, to_last), fromPath));
+		if (!from_level || !to_level ||
+			!hasIndex(from_level, fromPath[from_last], 0) ||
+			!hasIndex(to_level, toPath[to_last], from_level.ds === to_level.ds ? 0 : 1))
+		{
+			return false;
+		}
+
+		var node = detachNode.call(this, fromPath);
+		return attachNode.call(this, toPath, node.item, node.data);
+	},
+
+	/**
+	 * <p>Marks the subtree of a node dirty after arbitrary changes to the
+	 * node's children, flushing the caches of its DataSources and
+	 * fetching its number of children again.  Any code that assumes the
+	 * refetch has completed must be passed in as a completion
+	 * function.</p>
+	 * 
+	 * <p>The open/closed state of the descendants can only be preserved
+	 * if <code>uniqueIdKey</code> is set, because their positions may
+	 * have changed.  Pass an empty path to refresh the entire tree.</p>
+	 * 
+	 * @method refreshNode
+	 * @param path {Array} Path to the node
+	 * @param request {Object} {sort,dir,startIndex,resultCount}
+	 * @param completion {Function|Object} Function to call when the operation completes.  Can be object: {fn,scope,args}
+	 * @return {boolean} false if the path to the node has not yet been fully explored, true otherwise
+	 */
+	refreshNode: function(path, request, completion)
+	{
+		var level = getLevel.call(this, path);
+		if (!level)
+		{
+			return false;
+		}
+
+		markStale(level.list);
+		level.list.splice(0, level.list.length);
+		flushCache(level.ds);
+
+		if (level.parent && level.parent.open)
+		{
+			level.parent.open = null;
+			this.toggle(path, request, completion);
+		}
+		else
+		{
+			if (level.parent)
+			{
+				level.parent.open = null;
+			}
+			complete(completion);
+		}
+
+		return true;
+	},
+
 	_defRequestFn: function(e)
 	{
 		// wipe out all state if the request parameters change
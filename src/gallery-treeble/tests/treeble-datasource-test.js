@@ -0,0 +1,432 @@
+YUI.add('treeble-datasource-test', function (Y) {
+
+var ArrayAssert = Y.ArrayAssert,
+    Assert      = Y.Assert,
+    suite;
+
+function createData() {
+    return [
+        {title: 'A', kids: [{title: 'A0'}, {title: 'A1'}]},
+        {title: 'B', kids: [{title: 'B0'}]},
+        {title: 'C', kids: [{title: 'C0'}]},
+        {title: 'D'}
+    ];
+}
+
+function titles(list) {
+    return Y.Array.map(list, function (item) {
+        return item.title;
+    });
+}
+
+function createDataSource(data, config, attrs) {
+    var root = new Y.DataSource.Local({source: data});
+
+    root.treeble_config = Y.merge({
+        generateRequest   : function () {},
+        schemaPluginConfig: {
+            fn : Y.Plugin.DataSourceArraySchema,
+            cfg: {
+                schema: {
+                    resultFields: ['id', 'title', 'open', {key: 'kids', parser: 'treebledatasource'}]
+                }
+            }
+        },
+        childNodesKey         : 'kids',
+        totalRecordsReturnExpr: '.meta.totalRecords'
+    }, config);
+    root.plug(Y.clone(root.treeble_config.schemaPluginConfig, true));
+
+    return new Y.TreebleDataSource(Y.merge({root: root}, attrs));
+}
+
+function request() {
+    return {startIndex: 0, resultCount: 100};
+}
+
+// Loads the visible rows, opening the nodes at the given paths first.
+function load(ds, paths) {
+    var rows = null;
+
+    function send() {
+        ds.sendRequest({
+            request : request(),
+            callback: {
+                success: function (e) {
+                    rows = titles(e.response.results);
+                }
+            }
+        });
+    }
+
+    send();
+    Y.Array.each(paths || [], function (path) {
+        Assert.isTrue(ds.toggle(path, request()), 'toggle ' + path);
+    });
+    send();
+
+    Assert.isNotNull(rows, 'response');
+    return rows;
+}
+
+// Loads the visible rows when nodes have to be opened after the response.
+function loadAsync(test, ds, callback) {
+    ds.sendRequest({
+        request : request(),
+        callback: {
+            success: function (e) {
+                test.resume(function () {
+                    callback(titles(e.response.results));
+                });
+            }
+        }
+    });
+
+    test.wait(1000);
+}
+
+// -- Suite --------------------------------------------------------------------
+suite = new Y.Test.Suite('TreebleDataSource');
+
+// -- Suite: moveNode ----------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'moveNode',
+
+    setUp: function () {
+        this.data = createData();
+        this.ds   = createDataSource(this.data);
+    },
+
+    tearDown: function () {
+        this.ds.destroy();
+        delete this.ds;
+    },
+
+    load: function (paths) {
+        return load(this.ds, paths);
+    },
+
+    'moving a node to a later sibling should keep its open state': function () {
+        this.load([[0], [2]]);
+
+        Assert.isTrue(this.ds.moveNode([0], [2]));
+        ArrayAssert.itemsAreEqual(['B', 'C', 'A', 'D'], titles(this.data));
+        Assert.isFalse(this.ds.isOpen([0]));
+        Assert.isTrue(this.ds.isOpen([1]));
+        Assert.isTrue(this.ds.isOpen([2]));
+        ArrayAssert.itemsAreEqual(['B', 'C', 'C0', 'A', 'A0', 'A1', 'D'], this.load());
+    },
+
+    'moving a node to an earlier sibling should keep its open state': function () {
+        this.load([[2]]);
+
+        Assert.isTrue(this.ds.moveNode([2], [0]));
+        ArrayAssert.itemsAreEqual(['C', 'A', 'B', 'D'], titles(this.data));
+        Assert.isTrue(this.ds.isOpen([0]));
+        Assert.isFalse(this.ds.isOpen([1]));
+        ArrayAssert.itemsAreEqual(['C', 'C0', 'A', 'B', 'D'], this.load());
+    },
+
+    'moving a node to the end should append it': function () {
+        this.load();
+
+        Assert.isTrue(this.ds.moveNode([0], [3]));
+        ArrayAssert.itemsAreEqual(['B', 'C', 'D', 'A'], titles(this.data));
+    },
+
+    'moving a node to another parent should update both levels': function () {
+        this.load([[0], [2]]);
+
+        Assert.isTrue(this.ds.moveNode([0, 1], [2, 0]));
+        ArrayAssert.itemsAreEqual(['A0'], titles(this.data[0].kids));
+        ArrayAssert.itemsAreEqual(['A1', 'C0'], titles(this.data[2].kids));
+        ArrayAssert.itemsAreEqual(['A', 'A0', 'B', 'C', 'A1', 'C0', 'D'], this.load());
+    },
+
+    'moving a child to the top level should update both levels': function () {
+        this.load([[0]]);
+
+        Assert.isTrue(this.ds.moveNode([0, 0], [4]));
+        ArrayAssert.itemsAreEqual(['A1'], titles(this.data[0].kids));
+        ArrayAssert.itemsAreEqual(['A', 'B', 'C', 'D', 'A0'], titles(this.data));
+        ArrayAssert.itemsAreEqual(['A', 'A1', 'B', 'C', 'D', 'A0'], this.load());
+    },
+
+    'the destination should be relative to the tree without the node': function () {
+        this.load([[1], [2]]);
+
+        // [1,0] is the first child of C, which takes B's place
+
+        Assert.isTrue(this.ds.moveNode([1], [1, 0]));
+        ArrayAssert.itemsAreEqual(['A', 'C', 'D'], titles(this.data));
+        ArrayAssert.itemsAreEqual(['B', 'C0'], titles(this.data[1].kids));
+        Assert.isTrue(this.ds.isOpen([1]));
+        Assert.isTrue(this.ds.isOpen([1, 0]));
+        ArrayAssert.itemsAreEqual(['A', 'C', 'B', 'B0', 'C0', 'D'], this.load());
+    },
+
+    'the root should not be moved inside itself': function () {
+        this.load();
+
+        Assert.isFalse(this.ds.moveNode([], [0]));
+        Assert.isFalse(this.ds.moveNode([0], []));
+        ArrayAssert.itemsAreEqual(['A', 'B', 'C', 'D'], titles(this.data));
+    },
+
+    'an unexplored destination should not change anything': function () {
+        this.load([[0], [2]]);
+
+        // without A, [2] is D, which cannot have children
+
+        Assert.isFalse(this.ds.moveNode([0], [2, 0]));
+        Assert.isFalse(this.ds.moveNode([0], [3, 0, 0]));
+        ArrayAssert.itemsAreEqual(['A', 'B', 'C', 'D'], titles(this.data));
+        Assert.isTrue(this.ds.isOpen([0]));
+        Assert.isTrue(this.ds.isOpen([2]));
+        ArrayAssert.itemsAreEqual(['A', 'A0', 'A1', 'B', 'C', 'C0', 'D'], this.load());
+    },
+
+    'an unexplored source should not change anything': function () {
+        this.load([[2]]);
+
+        Assert.isFalse(this.ds.moveNode([3, 0], [0]));
+        Assert.isFalse(this.ds.moveNode([2, 0, 0], [0]));
+        ArrayAssert.itemsAreEqual(['A', 'B', 'C', 'D'], titles(this.data));
+        ArrayAssert.itemsAreEqual(['C0'], titles(this.data[2].kids));
+        ArrayAssert.itemsAreEqual(['A', 'B', 'C', 'C0', 'D'], this.load());
+    },
+
+    'indices out of range should not change anything': function () {
+        this.load([[2]]);
+
+        Assert.isFalse(this.ds.moveNode([4], [0]));
+        Assert.isFalse(this.ds.moveNode([-1], [0]));
+        Assert.isFalse(this.ds.moveNode([0], [4]));
+        Assert.isFalse(this.ds.moveNode([0], [1, 2]));
+        ArrayAssert.itemsAreEqual(['A', 'B', 'C', 'D'], titles(this.data));
+        ArrayAssert.itemsAreEqual(['C0'], titles(this.data[2].kids));
+        ArrayAssert.itemsAreEqual(['A', 'B', 'C', 'C0', 'D'], this.load());
+    }
+}));
+
+// -- Suite: insertNode --------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'insertNode',
+
+    setUp: function () {
+        this.data = createData();
+        this.ds   = createDataSource(this.data);
+    },
+
+    tearDown: function () {
+        this.ds.destroy();
+        delete this.ds;
+    },
+
+    'inserting a node should shift its open siblings': function () {
+        load(this.ds, [[0], [2]]);
+
+        Assert.isTrue(this.ds.insertNode([1], {title: 'X'}));
+        ArrayAssert.itemsAreEqual(['A', 'X', 'B', 'C', 'D'], titles(this.data));
+        Assert.isTrue(this.ds.isOpen([0]));
+        Assert.isFalse(this.ds.isOpen([2]));
+        Assert.isTrue(this.ds.isOpen([3]));
+        ArrayAssert.itemsAreEqual(['A', 'A0', 'A1', 'X', 'B', 'C', 'C0', 'D'], load(this.ds));
+    },
+
+    'a child should be appended to an open node': function () {
+        load(this.ds, [[0]]);
+
+        Assert.isTrue(this.ds.insertNode([0, 2], {title: 'A2'}));
+        ArrayAssert.itemsAreEqual(['A0', 'A1', 'A2'], titles(this.data[0].kids));
+        ArrayAssert.itemsAreEqual(['A', 'A0', 'A1', 'A2', 'B', 'C', 'D'], load(this.ds));
+    },
+
+    'a bad path should not change anything': function () {
+        load(this.ds, [[0]]);
+
+        Assert.isFalse(this.ds.insertNode([], {title: 'X'}));
+        Assert.isFalse(this.ds.insertNode([-1], {title: 'X'}));
+        Assert.isFalse(this.ds.insertNode([5], {title: 'X'}));
+        Assert.isFalse(this.ds.insertNode([0, 3], {title: 'X'}));
+        Assert.isFalse(this.ds.insertNode([3, 0], {title: 'X'}));
+        ArrayAssert.itemsAreEqual(['A', 'B', 'C', 'D'], titles(this.data));
+        ArrayAssert.itemsAreEqual(['A0', 'A1'], titles(this.data[0].kids));
+        Assert.isTrue(this.ds.isOpen([0]));
+        ArrayAssert.itemsAreEqual(['A', 'A0', 'A1', 'B', 'C', 'D'], load(this.ds));
+    }
+}));
+
+// -- Suite: removeNode --------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'removeNode',
+
+    setUp: function () {
+        this.data = createData();
+        this.ds   = createDataSource(this.data);
+    },
+
+    tearDown: function () {
+        this.ds.destroy();
+        delete this.ds;
+    },
+
+    'removing a node should shift its open siblings': function () {
+        load(this.ds, [[0], [2]]);
+
+        Assert.isTrue(this.ds.removeNode([0, 0]));
+        Assert.isTrue(this.ds.removeNode([1]));
+        ArrayAssert.itemsAreEqual(['A', 'C', 'D'], titles(this.data));
+        ArrayAssert.itemsAreEqual(['A1'], titles(this.data[0].kids));
+        Assert.isTrue(this.ds.isOpen([0]));
+        Assert.isTrue(this.ds.isOpen([1]));
+        ArrayAssert.itemsAreEqual(['A', 'A1', 'C', 'C0', 'D'], load(this.ds));
+    },
+
+    'removing an open node should discard its state': function () {
+        load(this.ds, [[0]]);
+
+        Assert.isTrue(this.ds.removeNode([0]));
+        Assert.isFalse(this.ds.isOpen([0]));
+        ArrayAssert.itemsAreEqual(['B', 'C', 'D'], load(this.ds));
+    },
+
+    'a bad path should not change anything': function () {
+        load(this.ds, [[0]]);
+
+        Assert.isFalse(this.ds.removeNode([]));
+        Assert.isFalse(this.ds.removeNode([-1]));
+        Assert.isFalse(this.ds.removeNode([4]));
+        Assert.isFalse(this.ds.removeNode([9]));
+        Assert.isFalse(this.ds.removeNode([0, 2]));
+        Assert.isFalse(this.ds.removeNode([3, 0]));
+        ArrayAssert.itemsAreEqual(['A', 'B', 'C', 'D'], titles(this.data));
+        ArrayAssert.itemsAreEqual(['A0', 'A1'], titles(this.data[0].kids));
+        Assert.isTrue(this.ds.isOpen([0]));
+        ArrayAssert.itemsAreEqual(['A', 'A0', 'A1', 'B', 'C', 'D'], load(this.ds));
+    }
+}));
+
+// -- Suite: refreshNode -------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'refreshNode',
+
+    setUp: function () {
+        this.data = [
+            {id: 'a', title: 'A', kids: [
+                {id: 'a0', title: 'A0', kids: [{id: 'a00', title: 'A00'}]},
+                {id: 'a1', title: 'A1', kids: [{id: 'a10', title: 'A10'}]}
+            ]},
+            {id: 'b', title: 'B', kids: [{id: 'b0', title: 'B0'}]}
+        ];
+        this.ds = createDataSource(this.data, null, {uniqueIdKey: 'id'});
+    },
+
+    tearDown: function () {
+        this.ds.destroy();
+        delete this.ds;
+    },
+
+    'an open node should fetch its children again': function () {
+        var done = false;
+
+        load(this.ds, [[0]]);
+        this.data[0].kids.push({id: 'a2', title: 'A2'});
+
+        Assert.isTrue(this.ds.refreshNode([0], request(), function () {
+            done = true;
+        }));
+        Assert.isTrue(done, 'completion');
+        Assert.isTrue(this.ds.isOpen([0]));
+        ArrayAssert.itemsAreEqual(['A', 'A0', 'A1', 'A2', 'B'], load(this.ds));
+    },
+
+    'a closed node should stay closed': function () {
+        var done = false;
+
+        load(this.ds);
+
+        Assert.isTrue(this.ds.refreshNode([1], request(), function () {
+            done = true;
+        }));
+        Assert.isTrue(done, 'completion');
+        Assert.isFalse(this.ds.isOpen([1]));
+        ArrayAssert.itemsAreEqual(['A', 'B'], load(this.ds));
+    },
+
+    'an unexplored node should not be refreshed': function () {
+        load(this.ds);
+
+        Assert.isFalse(this.ds.refreshNode([0, 0], request()));
+        Assert.isFalse(this.ds.refreshNode([2], request()));
+    },
+
+    'open descendants should be reopened after a refresh': function () {
+        var ds = this.ds;
+
+        load(ds, [[0]]);
+        load(ds, [[0, 1]]);
+
+        // A0 is now the second child, so it has to be found by its id
+
+        this.data[0].kids.reverse();
+        Assert.isTrue(ds.refreshNode([0], request()));
+        Assert.isFalse(ds.isOpen([0, 0]));
+        Assert.isFalse(ds.isOpen([0, 1]));
+
+        loadAsync(this, ds, function (rows) {
+            ArrayAssert.itemsAreEqual(['A', 'A1', 'A10', 'A0', 'B'], rows);
+            Assert.isTrue(ds.isOpen([0, 0]));
+            Assert.isFalse(ds.isOpen([0, 1]));
+        });
+    }
+}));
+
+// -- Suite: nodeOpenKey -------------------------------------------------------
+suite.add(new Y.Test.Case({
+    name: 'nodeOpenKey',
+
+    setUp: function () {
+        this.data = [
+            {title: 'A', open: true, kids: [
+                {title: 'A0', open: true, kids: [{title: 'A00'}]},
+                {title: 'A1', kids: [{title: 'A10'}]}
+            ]},
+            {title: 'B', kids: [{title: 'B0'}]},
+            {title: 'C', open: true, kids: [{title: 'C0'}]}
+        ];
+        this.ds = createDataSource(this.data, {nodeOpenKey: 'open'});
+    },
+
+    tearDown: function () {
+        this.ds.destroy();
+        delete this.ds;
+    },
+
+    'marked nodes should be opened the first time they are shown': function () {
+        var ds = this.ds;
+
+        loadAsync(this, ds, function (rows) {
+            ArrayAssert.itemsAreEqual(['A', 'A0', 'A00', 'A1', 'B', 'C', 'C0'], rows);
+            Assert.isTrue(ds.isOpen([0]));
+            Assert.isTrue(ds.isOpen([0, 0]));
+            Assert.isFalse(ds.isOpen([1]));
+            Assert.isTrue(ds.isOpen([2]));
+        });
+    },
+
+    'closed nodes should not be opened again': function () {
+        var ds = this.ds;
+
+        loadAsync(this, ds, function () {
+            Assert.isTrue(ds.toggle([2], request()));
+            ArrayAssert.itemsAreEqual(['A', 'A0', 'A00', 'A1', 'B', 'C'], load(ds));
+        });
+    }
+}));
+
+Y.Test.Runner.add(suite);
+
+}, '@VERSION@', {
+    requires: ['datatable', 'gallery-treeble', 'test']
+});
@@ -72,6 +72,60 @@ Y.mix( UndoableAction, {
             value: false,
             validator: Lang.isBoolean
         }
+    },
+
+    /**
+     * Map of the action classes, which can be rebuilt by <code>fromJSON</code>, by their <code>NAME</code>.
+     *
+     * @property UndoableAction._types
+     * @type Object
+     * @protected
+     * @static
+     */
+    _types : {},
+
+    /**
+     * Registers an action class, so its instances, serialized by <code>toJSON</code>, can be rebuilt by <code>fromJSON</code>.
+     * The class must have its own, unique <code>NAME</code>.
+     *
+     * @method UndoableAction.register
+     * @param {Function} actionClass The class to be registered
+     * @static
+     */
+    register : function( actionClass ){
+        var name = actionClass.NAME;
+
+        if( !name || ( actionClass !== UndoableAction && name === UAName ) ){
+            Y.log( "Action class must have its own NAME in order to be registered", "warn", UAName );
+            return;
+        }
+
+        UndoableAction._types[ name ] = actionClass;
+    },
+
+    /**
+     * Rebuilds an action, serialized by <code>toJSON</code>.<br>
+     * If the registered class has its own static <code>fromJSON</code> method, it is called to create the action.
+     * Otherwise, the action is created with the serialized attributes as configuration.
+     *
+     * @method UndoableAction.fromJSON
+     * @param {Object} data The serialized action
+     * @return {Y.UndoableAction} The rebuilt action, or null if its class has not been registered
+     * @static
+     */
+    fromJSON : function( data ){
+        var actionClass = data && UndoableAction._types[ data.type ];
+
+        if( !actionClass ){
+            Y.log( "Unknown action type: " + ( data && data.type ), "warn", UAName );
+            return null;
+        }
+
+        if( actionClass.fromJSON && actionClass.fromJSON !== UndoableAction.fromJSON ){
+            return actionClass.fromJSON( data );
+        }
+
+        return new actionClass( data.attrs );
     }
 });
 
@@ -215,6 +269,27 @@ Y.extend( UndoableAction, Y.Base, {
     },
     
     
+    /**
+     * Serializes the action into an object, which can be passed to <code>JSON.stringify</code> and to <code>Y.UndoableAction.fromJSON</code>.<br>
+     * The default implementation stores the class <code>NAME</code> as <code>type</code> and the values of all attributes as <code>attrs</code>.
+     * Subclasses, which hold data that can not be serialized this way, should override <code>toJSON</code> and provide a static <code>fromJSON</code> method.
+     *
+     * @method toJSON
+     * @return {Object} The serialized action
+     */
+    toJSON : function(){
+        var attrs = this.getAttrs();
+
+        delete attrs.initialized;
+        delete attrs.destroyed;
+
+        return {
+            type : this.constructor.NAME,
+            attrs : attrs
+        };
+    },
+
+
     /**
      * Overrides <code>toString()</code> method.<br>
      * The default implementation returns the value of <code>label</code> property.
@@ -225,6 +300,8 @@ Y.extend( UndoableAction, Y.Base, {
     }
 });
 
+UndoableAction.register( UndoableAction );
+
 Y.UndoableAction = UndoableAction;
 
 }());
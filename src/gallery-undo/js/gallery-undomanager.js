@@ -7,7 +7,12 @@
 (function(){
 
     /**
-     * Create a UndoManager to manage list of undoable actions.
+     * Create a UndoManager to manage list of undoable actions.<br>
+     * Internally the actions are kept in a tree. The list of actions, which <code>undo</code>, <code>redo</code> and <code>processTo</code>
+     * operate on, is the currently active branch of the tree. If <code>branching</code> is true, adding an action after undo starts
+     * a new branch instead of canceling the undone actions, and every state in the tree can be reached by <code>processToState</code>.<br>
+     * The history can be serialized by <code>toJSON</code> and rebuilt later by <code>fromJSON</code>, provided all actions are
+     * registered by <code>Y.UndoableAction.register</code>.
      *
      * @class UndoManager
      * @extends Base
@@ -34,6 +39,7 @@
     REDOFINISHED = "redoFinished",
     ACTIONREDONE = "actionRedone",
     ASYNCPROCESSING = "asyncProcessing",
+    BRANCHING = "branching",
     UNLIMITED = 0;
 
     Y.mix( UndoManager, {
@@ -70,6 +76,19 @@
                 }
             },
 
+            /**
+             * Boolean, indicates if actions, abandoned by adding a new action after undo, should be kept in the undo tree as a separate branch.
+             * If false, these actions will be canceled and removed.
+             *
+             * @attribute branching
+             * @type Boolean
+             * @default false
+             */
+            branching : {
+                value: false,
+                validator: Lang.isBoolean
+            },
+
             /**
              * The index of command, that will be executed on the next call to redo().
              * If undo() has been not invoked, the value is the size of the current list of actions.
@@ -92,12 +111,58 @@
     Y.extend( UndoManager, Y.Base, {
 
         /**
-         * Collection of actions.
+         * Collection of actions in the active branch of the undo tree.
          * @property _actions
          * @protected
          * @type Array
          */
-        _actions : [],
+        _actions : null,
+
+        /**
+         * The nodes of the active branch of the undo tree. Each item corresponds to the action with the same index in <code>_actions</code>.
+         * @property _path
+         * @protected
+         * @type Array
+         */
+        _path : null,
+
+        /**
+         * The root node of the undo tree. It represents the state before the first action and holds no action.<br>
+         * Each node is an object with the following properties:
+         *  <dl>
+         *      <dt>id</dt>
+         *          <dd>Number, which identifies the state after the action of the node</dd>
+         *      <dt>action</dt>
+         *          <dd>The <code>Y.UndoableAction</code> of the node</dd>
+         *      <dt>parent</dt>
+         *          <dd>The parent node</dd>
+         *      <dt>children</dt>
+         *          <dd>Array of child nodes</dd>
+         *      <dt>active</dt>
+         *          <dd>The child node, which belongs to the active branch, or null</dd>
+         *  </dl>
+         *
+         * @property _root
+         * @protected
+         * @type Object
+         */
+        _root : null,
+
+        /**
+         * Map of the nodes in the undo tree by their ids.
+         * @property _nodes
+         * @protected
+         * @type Object
+         */
+        _nodes : null,
+
+        /**
+         * The last id, assigned to a node.
+         * @property _lastId
+         * @protected
+         * @type Number
+         */
+        _lastId : 0,
 
         /**
          * If undo() has been not invoked, _undoIndex is the size of the current list of actions.
@@ -136,6 +201,17 @@
          * @protected
          */
         initializer : function( cfg ) {
+            this._actions = [];
+            this._path = [];
+            this._root = {
+                id : 0,
+                action : null,
+                parent : null,
+                children : [],
+                active : null
+            };
+            this._nodes = {};
+
             this._initEvents();
         
             this.after( "limitChange", Y.bind( this._afterLimit, this ) );
@@ -303,55 +379,41 @@
 
         /**
          * Adds an UndoableAction to UndoManager.<br>
-         * Removes and cancels all actions from the current action index till the end of the list.
-         * Tries to merge the current action with the <code>newAction</code>, passed as parameter. If <code>currentAction.merge(newAction)</code> returns false, UndoManager places the <code>newAction</code> at the end of the list.<br>
+         * If <code>branching</code> is false, removes and cancels all actions from the current action index till the end of the list.
+         * Otherwise these actions are kept in the undo tree and the <code>newAction</code> starts a new branch.<br>
+         * Tries to merge the current action with the <code>newAction</code>, passed as parameter. If <code>currentAction.merge(newAction)</code> returns false, UndoManager places the <code>newAction</code> at the end of the list.
+         * The current action is never merged if there are other actions, which follow it in the undo tree.<br>
          * Fires <code>actionAdded</code> event if action has been added to the list, or <code>actionMerged</code> if <code>newAction</code> has been merged.
          * @method add
          * @param {Y.UndoableAction} newAction The action to be added
          * @return {Boolean} True if action was added to the list. The result might be False if UndoManager was processing another (asynchronous) action.
          */
         add : function( newAction ){
-            var curAction = null, actions, undoIndex, tmp, merged  = false;
+            var curNode, curAction, undoIndex, merged  = false;
         
             if( this._processing ){
                 return false;
             }
 
-            actions = this._actions;
             undoIndex = this._undoIndex;
+            curNode = this._getNode( undoIndex );
+            curAction = curNode.action;
 
-            if( undoIndex > 0 ){
-                curAction = actions[ undoIndex - 1 ];
-            }
-
-            if( undoIndex < actions.length ){
+            if( undoIndex < this._actions.length && !this.get( BRANCHING ) ){
                 this.fire( BEFORECANCELING );
-
-                while( undoIndex < actions.length ){
-                    tmp = actions.splice( -1, 1 )[0];
-
-                    tmp.cancel();
-                    this.fire( ACTIONCANCELED, {
-                        action: tmp,
-                        index : actions.length
-                    });
-                }
-
+                this._cancelNode( curNode.active, undoIndex );
+                this._syncActions();
                 this.fire( CANCELINGFINISHED );
             }
         
-            if( curAction ){
+            if( curAction && !curNode.children.length ){
                 merged = curAction.merge( newAction );
-
-                if( !merged ){
-                    actions.push( newAction );
-                }
-            } else {
-                actions.push( newAction );
             }
         
             if( !merged ){
+                this._createNode( newAction, curNode );
                 this._undoIndex++;
+                this._syncActions();
                 this._limitActions();
                 this.fire( ACTIONADDED, {
                     action : newAction
@@ -365,19 +427,192 @@
             
             return true;
         },
+
+
+        /**
+         * Creates a new node of the undo tree and makes it the active child of its parent.
+         *
+         * @method _createNode
+         * @param {Y.UndoableAction} action The action of the node
+         * @param {Object} parent The parent node
+         * @param {Number} id Optional. The id of the node. By default, a new id is generated.
+         * @return {Object} The created node
+         * @protected
+         */
+        _createNode : function( action, parent, id ){
+            var node;
+
+            if( !Lang.isNumber( id ) ){
+                id = this._lastId + 1;
+            }
+
+            this._lastId = Math.max( this._lastId, id );
+
+            node = {
+                id : id,
+                action : action,
+                parent : parent,
+                children : [],
+                active : null
+            };
+
+            parent.children.push( node );
+            parent.active = node;
+            this._nodes[ id ] = node;
+
+            return node;
+        },
+
+
+        /**
+         * Returns the node of the active branch at the given index. Index 0 corresponds to the root of the tree.
+         *
+         * @method _getNode
+         * @param {Number} index The number of actions from the root to the node
+         * @return {Object} The node
+         * @protected
+         */
+        _getNode : function( index ){
+            return index > 0 ? this._path[ index - 1 ] : this._root;
+        },
+
+
+        /**
+         * Returns the index of the node in the active branch, or -1 if the node does not belong to it.
+         *
+         * @method _getNodeIndex
+         * @param {Object} node The node
+         * @return {Number} The number of actions from the root to the node
+         * @protected
+         */
+        _getNodeIndex : function( node ){
+            var path = this._path, i;
+
+            if( node === this._root ){
+                return 0;
+            }
+
+            for( i = path.length - 1; i >= 0; i-- ){
+                if( path[i] === node ){
+                    return i + 1;
+                }
+            }
+
+            return -1;
+        },
+
+
+        /**
+         * Rebuilds <code>_path</code> and <code>_actions</code> by following the active children, starting from the root.
+         *
+         * @method _syncActions
+         * @protected
+         */
+        _syncActions : function(){
+            var actions = this._actions, path = [], node = this._root.active;
+
+            actions.length = 0;
+
+            while( node ){
+                path.push( node );
+                actions.push( node.action );
+                node = node.active;
+            }
+
+            this._path = path;
+        },
+
+
+        /**
+         * Cancels and removes a node with all its descendants from the undo tree. The descendants are canceled first.
+         * Fires <code>actionCanceled</code> event for each canceled action.
+         *
+         * @method _cancelNode
+         * @param {Object} node The node to be removed
+         * @param {Number} index The index of node's action in its branch
+         * @protected
+         */
+        _cancelNode : function( node, index ){
+            var children = node.children, parent = node.parent, i;
+
+            while( children.length ){
+                this._cancelNode( children[ children.length - 1 ], index + 1 );
+            }
+
+            for( i = parent.children.length - 1; i >= 0; i-- ){
+                if( parent.children[i] === node ){
+                    parent.children.splice( i, 1 );
+                    break;
+                }
+            }
+
+            if( parent.active === node ){
+                parent.active = null;
+            }
+
+            delete this._nodes[ node.id ];
+
+            node.action.cancel();
+            this.fire( ACTIONCANCELED, {
+                'action': node.action,
+                index : index
+            });
+        },
+
+
+        /**
+         * Cancels and removes the first action of the active branch. The branches, which start before the
+         * second action of the active branch, can not be reached anymore and they are canceled too.
+         *
+         * @method _shiftNode
+         * @protected
+         */
+        _shiftNode : function(){
+            var root = this._root, node = root.active, next = node.active, children, i;
+
+            children = root.children;
+            for( i = children.length - 1; i >= 0; i-- ){
+                if( children[i] !== node ){
+                    this._cancelNode( children[i], 0 );
+                }
+            }
+
+            children = node.children;
+            for( i = children.length - 1; i >= 0; i-- ){
+                if( children[i] !== next ){
+                    this._cancelNode( children[i], 1 );
+                }
+            }
+
+            root.children = next ? [ next ] : [];
+            root.active = next;
+
+            if( next ){
+                next.parent = root;
+            }
+
+            delete this._nodes[ node.id ];
+
+            node.action.cancel();
+            this.fire( ACTIONCANCELED, {
+                'action': node.action,
+                index : 0
+            });
+        },
     
 
         /**
-         * Removes actions from the list if their number exceedes the <code>limit</code>
+         * Removes actions from the active branch if their number exceedes the <code>limit</code>.
+         * The actions in other branches are not counted, but they are removed together with the action they start from.
          * 
          * @method _limitActions
          * @param {Number} limit The max number of actions in the list
          * @protected
          */
         _limitActions : function( limit ){
-            var actions, action,
+            var actions, path,
             halfLimit, actionsLeft, actionsRight, deleteLeft, deleteRight,
-            index, i, j;
+            index, i;
 
             if( !limit ){
                 limit = this.get( "limit" );
@@ -414,22 +649,14 @@
 
                 for( i = 0; i < deleteLeft; i++ ){
                     this._undoIndex--;
-
-                    action = actions.splice( 0, 1 )[0];
-                    action.cancel();
-                    this.fire( ACTIONCANCELED, {
-                        'action': action,
-                        index : 0
-                    });
+                    this._shiftNode();
+                    this._syncActions();
                 }
 
-                for( i = actions.length - 1, j = 0; j < deleteRight; i--, j++ ){
-                    action = actions.splice( i, 1 )[0];
-                    action.cancel();
-                    this.fire( ACTIONCANCELED, {
-                        'action': action,
-                        index : i
-                    });
+                for( i = 0; i < deleteRight; i++ ){
+                    path = this._path;
+                    this._cancelNode( path[ path.length - 1 ], path.length - 1 );
+                    this._syncActions();
                 }
 
                 this.fire( CANCELINGFINISHED );
@@ -536,7 +763,7 @@
     
     
         /**
-         * Cancels and removes all actions from the list
+         * Cancels and removes all actions from the undo tree
          * 
          * @method purgeAll
          */
@@ -547,26 +774,29 @@
 
         /**
          * Cancels and removes actions from the end of the list (the most recent actions) to the index, passed as parameter.
+         * The branches, which start from the removed actions, are removed too. If <code>index</code> is 0, the whole undo tree is purged.
          * 
          * @method purgeTo
          * @param {Number} index The index in the list to which actions should be be removed
          */
         purgeTo : function( index ){
-            var action, i = this._actions.length - 1;
+            var path = this._path, children = this._root.children, i = path.length - 1;
 
-            if( i >= index ){
+            if( i >= index || ( index === 0 && children.length ) ){
                 this.fire( BEFOREPURGE );
 
                 for( ; i >= index; i-- ) {
-                    action = this._actions.splice( i, 1 )[0];
+                    this._cancelNode( path[i], i );
+                }
 
-                    action.cancel();
-                    this.fire( ACTIONCANCELED, {
-                        'action': action,
-                        index : i
-                    });
+                if( index === 0 ){
+                    while( children.length ){
+                        this._cancelNode( children[ children.length - 1 ], 0 );
+                    }
                 }
 
+                this._syncActions();
+
                 if( this._undoIndex > index ){
                     this._undoIndex = index;
                 }
@@ -594,7 +824,240 @@
                 }
             }
         },
-        
+
+
+        /**
+         * Brings the application to any state in the undo tree, even if it belongs to another branch.
+         * Undoes the actions till the closest state, shared by the active branch and the branch of the target state,
+         * then activates the branch of the target state and redoes its actions.
+         *
+         * @method processToState
+         * @param {Number} id The id of the state, as returned by <code>getStateId</code> or <code>getTree</code>. Id 0 is the state before the first action.
+         * @return {Boolean} True if the processing has been started, false if the state does not exist or UndoManager is processing another (asynchronous) action.
+         */
+        processToState : function( id ){
+            var target = id === 0 ? this._root : this._nodes[ id ],
+                node, index, handle;
+
+            if( !target || this._processing ){
+                return false;
+            }
+
+            node = target;
+            index = this._getNodeIndex( node );
+
+            while( index === -1 ){
+                node = node.parent;
+                index = this._getNodeIndex( node );
+            }
+
+            index = Math.min( index, this._undoIndex );
+
+            if( index < this._undoIndex ){
+                handle = this.after( UNDOFINISHED, function(){
+                    handle.detach();
+                    this._activateNode( target );
+                }, this );
+
+                this._undoTo( index );
+            } else {
+                this._activateNode( target );
+            }
+
+            return true;
+        },
+
+
+        /**
+         * Makes the branch, which contains the node, active and redoes its actions till the node.
+         *
+         * @method _activateNode
+         * @param {Object} target The node to be activated
+         * @protected
+         */
+        _activateNode : function( target ){
+            var node, index;
+
+            for( node = target; node.parent; node = node.parent ){
+                node.parent.active = node;
+            }
+
+            this._syncActions();
+
+            index = this._getNodeIndex( target );
+
+            if( index > this._undoIndex ){
+                this._redoTo( index );
+            }
+        },
+
+
+        /**
+         * Returns the id of the current state, which is the state after the last not undone action.
+         *
+         * @method getStateId
+         * @return {Number} The id of the current state. It is 0 if there are no actions to undo.
+         */
+        getStateId : function(){
+            return this._getNode( this._undoIndex ).id;
+        },
+
+
+        /**
+         * Returns a snapshot of the undo tree. Each node is an object with the following properties:
+         *  <dl>
+         *      <dt>id</dt>
+         *          <dd>The id of the state after the action, which can be passed to <code>processToState</code></dd>
+         *      <dt>action</dt>
+         *          <dd>The <code>Y.UndoableAction</code>, or null for the root node</dd>
+         *      <dt>current</dt>
+         *          <dd>True if this is the current state</dd>
+         *      <dt>children</dt>
+         *          <dd>Array of child nodes. The actions in them have been added after the action of the node.</dd>
+         *  </dl>
+         *
+         * @method getTree
+         * @return {Object} The root node, which represents the state before the first action
+         */
+        getTree : function(){
+            return this._copyNode( this._root, this._getNode( this._undoIndex ) );
+        },
+
+
+        /**
+         * Copies a node and its descendants for <code>getTree</code>.
+         *
+         * @method _copyNode
+         * @param {Object} node The node to be copied
+         * @param {Object} current The node of the current state
+         * @return {Object} The copy
+         * @protected
+         */
+        _copyNode : function( node, current ){
+            var children = [], i;
+
+            for( i = 0; i < node.children.length; i++ ){
+                children.push( this._copyNode( node.children[i], current ) );
+            }
+
+            return {
+                id : node.id,
+                action : node.action,
+                current : node === current,
+                children : children
+            };
+        },
+
+
+        /**
+         * Serializes the undo tree, including the current state and the active branch, into an object, which can be passed to
+         * <code>JSON.stringify</code>. Actions are serialized by their <code>toJSON</code> method.
+         *
+         * @method toJSON
+         * @return {Object} The serialized undo tree
+         */
+        toJSON : function(){
+            return {
+                state : this.getStateId(),
+                root : this._nodeToJSON( this._root )
+            };
+        },
+
+
+        /**
+         * Serializes a node and its descendants.
+         *
+         * @method _nodeToJSON
+         * @param {Object} node The node to be serialized
+         * @return {Object} The serialized node
+         * @protected
+         */
+        _nodeToJSON : function( node ){
+            var children = [], i;
+
+            for( i = 0; i < node.children.length; i++ ){
+                children.push( this._nodeToJSON( node.children[i] ) );
+            }
+
+            return {
+                id : node.id,
+                action : node.action ? node.action.toJSON() : null,
+                active : node.active ? node.active.id : null,
+                children : children
+            };
+        },
+
+
+        /**
+         * Replaces the current undo tree with a tree, serialized by <code>toJSON</code>. Actions are rebuilt by <code>Y.UndoableAction.fromJSON</code>.<br>
+         * Neither undo nor redo is invoked, so the application must be already in the serialized state.
+         * Actions, which can not be rebuilt, are skipped together with their descendants.
+         *
+         * @method fromJSON
+         * @param {Object} data The serialized undo tree
+         * @return {Boolean} True if the tree has been restored. The result might be False if UndoManager was processing another (asynchronous) action.
+         */
+        fromJSON : function( data ){
+            var state, node;
+
+            if( this._processing ){
+                return false;
+            }
+
+            this.purgeAll();
+            this._lastId = 0;
+
+            if( data && data.root ){
+                this._nodeFromJSON( data.root, this._root );
+            }
+
+            state = data && data.state ? this._nodes[ data.state ] : this._root;
+
+            if( !state ){
+                Y.log( "State " + data.state + " could not be restored", "warn", UMName );
+                state = this._root;
+            }
+
+            for( node = state; node.parent; node = node.parent ){
+                node.parent.active = node;
+            }
+
+            this._syncActions();
+            this._undoIndex = this._getNodeIndex( state );
+
+            return true;
+        },
+
+
+        /**
+         * Rebuilds the children of a serialized node.
+         *
+         * @method _nodeFromJSON
+         * @param {Object} data The serialized node
+         * @param {Object} parent The rebuilt node, which will hold the children
+         * @protected
+         */
+        _nodeFromJSON : function( data, parent ){
+            var children = data.children || [], action, child, i;
+
+            for( i = 0; i < children.length; i++ ){
+                action = Y.UndoableAction.fromJSON( children[i].action );
+
+                if( action ){
+                    child = this._createNode( action, parent, children[i].id );
+                    this._nodeFromJSON( children[i], child );
+                }
+            }
+
+            parent.active = null;
+
+            for( i = 0; i < parent.children.length; i++ ){
+                if( parent.children[i].id === data.active ){
+                    parent.active = parent.children[i];
+                }
+            }
+        },
+
         
         /**
          * Redoes all actions from current index to <code>newIndex</code>. In case of asynchronous action, waits until action fires <code>redoFinished</code> event.
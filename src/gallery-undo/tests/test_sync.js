@@ -3,8 +3,8 @@ YUI({
     combine: false,
     debug: true,
     filter:"RAW"
-}).use('gallery-undo', 'test', 'console', function(Y) {
-    var that = this, testArray = [], total = 0, console, synActions = 20;
+}).use('gallery-undo', 'json', 'test', 'console', function(Y) {
+    var that = this, testArray = [], values = [], total = 0, console, synActions = 20;
 
     function TestUndoableAction( config ){
         TestUndoableAction.superclass.constructor.apply( this, arguments );
@@ -60,6 +60,61 @@ YUI({
     });
 
 
+    function ValueAction( config ){
+        ValueAction.superclass.constructor.apply( this, arguments );
+    }
+
+    Y.mix( ValueAction, {
+        NAME : "ValueAction",
+
+        ATTRS : {
+            value: {
+                value: ""
+            },
+
+            values: {
+                value: null
+            }
+        }
+    });
+
+    Y.extend( ValueAction, Y.UndoableAction, {
+        undo : function(){
+            this.get( "values" ).pop();
+        },
+
+        redo : function(){
+            this.get( "values" ).push( this.get( "value" ) );
+        },
+
+        toJSON : function(){
+            return {
+                type : "ValueAction",
+                value : this.get( "value" )
+            };
+        }
+    });
+
+    ValueAction.fromJSON = function( data ){
+        return new ValueAction({
+            value : data.value,
+            values : values
+        });
+    };
+
+    Y.UndoableAction.register( ValueAction );
+
+    function addValue( undoManager, value ){
+        var action = new ValueAction({
+            value : value,
+            values : values
+        });
+
+        action.redo();
+        undoManager.add( action );
+    }
+
+
     this.undoManager = new Y.UndoManager();
 
     this.undoManager.on( "actionAdded", Y.bind( function(attrs){
@@ -474,10 +529,176 @@ YUI({
         }
      });
 
+     var testBranches = new Y.Test.Case({
+        name: "Test undo tree",
+
+        setUp : function(){
+            values.length = 0;
+            this.undoManager = new Y.UndoManager({
+                branching : true
+            });
+        },
+
+        tearDown : function(){
+            this.undoManager.destroy();
+        },
+
+        testKeepBranch: function(){
+            var undoManager = this.undoManager, canceled = 0, tree;
+
+            undoManager.on( "actionCanceled", function(){
+                canceled++;
+            });
+
+            addValue( undoManager, "a" );
+            addValue( undoManager, "b" );
+            undoManager.undo();
+            addValue( undoManager, "c" );
+
+            Y.Assert.areEqual( 0, canceled, "No action must be canceled" );
+            Y.Assert.areEqual( "a,c", values.join(), "Values must be a,c" );
+            Y.Assert.areEqual( 2, undoManager._actions.length, "There must be 2 actions in the active branch" );
+
+            tree = undoManager.getTree();
+            Y.Assert.areEqual( 1, tree.children.length, "Root must have 1 child" );
+            Y.Assert.areEqual( 2, tree.children[0].children.length, "Action a must have 2 children" );
+            Y.Assert.areEqual( "b", tree.children[0].children[0].action.get( "value" ), "First branch must be b" );
+            Y.Assert.isTrue( tree.children[0].children[1].current, "Action c must be current" );
+        },
+
+        testProcessToState: function(){
+            var undoManager = this.undoManager, stateB, stateD;
+
+            addValue( undoManager, "a" );
+            addValue( undoManager, "b" );
+            stateB = undoManager.getStateId();
+            undoManager.undo();
+            addValue( undoManager, "c" );
+            addValue( undoManager, "d" );
+            stateD = undoManager.getStateId();
+
+            Y.Assert.isTrue( undoManager.processToState( stateB ), "Processing must be started" );
+            Y.Assert.areEqual( "a,b", values.join(), "Values must be a,b" );
+            Y.Assert.areEqual( stateB, undoManager.getStateId(), "State must be " + stateB );
+            Y.Assert.isFalse( undoManager.canRedo(), "Redoing must be not allowed" );
+
+            undoManager.processToState( stateD );
+            Y.Assert.areEqual( "a,c,d", values.join(), "Values must be a,c,d" );
+
+            undoManager.processToState( 0 );
+            Y.Assert.areEqual( "", values.join(), "Values must be empty" );
+            Y.Assert.areEqual( 3, undoManager._actions.length, "Active branch must be kept" );
+
+            Y.Assert.isFalse( undoManager.processToState( 100 ), "Unknown state must be refused" );
+        },
+
+        testNoMergeWithBranches: function(){
+            var undoManager = this.undoManager, merged = 0;
+
+            undoManager.on( "actionMerged", function(){
+                merged++;
+            });
+
+            addValue( undoManager, "a" );
+            addValue( undoManager, "b" );
+            undoManager.undo();
+
+            undoManager._getNode( 1 ).action.merge = function(){
+                return true;
+            };
+
+            addValue( undoManager, "c" );
+            Y.Assert.areEqual( 0, merged, "Action with children must not merge" );
+        },
+
+        testLimitBranches: function(){
+            var undoManager = this.undoManager, tree;
+
+            addValue( undoManager, "a" );
+            undoManager.undo();
+            addValue( undoManager, "b" );
+            addValue( undoManager, "c" );
+            undoManager.set( "limit", 1 );
+
+            tree = undoManager.getTree();
+            Y.Assert.areEqual( 1, tree.children.length, "Root must have 1 child" );
+            Y.Assert.areEqual( "c", tree.children[0].action.get( "value" ), "The only action must be c" );
+        },
+
+        testPurgeAll: function(){
+            var undoManager = this.undoManager;
+
+            addValue( undoManager, "a" );
+            undoManager.undo();
+            addValue( undoManager, "b" );
+            undoManager.purgeAll();
+
+            Y.Assert.areEqual( 0, undoManager.getTree().children.length, "Undo tree must be empty" );
+            Y.Assert.areEqual( 0, undoManager.get( "undoIndex" ), "Undo index must be 0" );
+        }
+    });
+
+
+     var testSerialization = new Y.Test.Case({
+        name: "Test serialization",
+
+        setUp : function(){
+            values.length = 0;
+        },
+
+        testDefaultToJSON: function(){
+            var action = new UndoableActionMerge({
+                label : "merge",
+                number : 5
+            }), data = action.toJSON();
+
+            Y.Assert.areEqual( "merge", data.attrs.label, "Label must be serialized" );
+            Y.Assert.areEqual( 5, data.attrs.number, "Number must be serialized" );
+            Y.Assert.isUndefined( data.attrs.initialized, "Base attributes must be skipped" );
+
+            Y.Assert.isNull( Y.UndoableAction.fromJSON({ type: "Unknown" }), "Unknown type must not be rebuilt" );
+        },
+
+        testRestoreHistory: function(){
+            var undoManager = new Y.UndoManager({ branching: true }),
+                restored = new Y.UndoManager(), data, stateB;
+
+            addValue( undoManager, "a" );
+            addValue( undoManager, "b" );
+            stateB = undoManager.getStateId();
+            undoManager.undo();
+            addValue( undoManager, "c" );
+            undoManager.undo();
+
+            data = Y.JSON.parse( Y.JSON.stringify( undoManager ) );
+            Y.Assert.areEqual( undoManager.getStateId(), data.state, "State must be serialized" );
+
+            Y.Assert.isTrue( restored.fromJSON( data ), "History must be restored" );
+            Y.Assert.areEqual( "a", values.join(), "Restoring must not change values" );
+            Y.Assert.areEqual( 1, restored.get( "undoIndex" ), "Undo index must be 1" );
+            Y.Assert.areEqual( 2, restored._actions.length, "Active branch must be restored" );
+            Y.Assert.areEqual( "c", restored._actions[1].get( "value" ), "Action c must be active" );
+
+            restored.redo();
+            Y.Assert.areEqual( "a,c", values.join(), "Values must be a,c" );
+
+            restored.processToState( stateB );
+            Y.Assert.areEqual( "a,b", values.join(), "Values must be a,b" );
+
+            addValue( restored, "d" );
+            Y.Assert.isTrue( restored.getStateId() > stateB, "New state must get a new id" );
+
+            undoManager.destroy();
+            restored.destroy();
+        }
+     });
+
     Y.Test.Runner.add(testSynchronousActions);
     Y.Test.Runner.add(testSynchronousActionsLimit);
     Y.Test.Runner.add(testPurgeActions);
     Y.Test.Runner.add(testMergeActions);
+    Y.Test.Runner.add(testBranches);
+    Y.Test.Runner.add(testSerialization);
 
     console = new Y.Console({
         verbose : false,
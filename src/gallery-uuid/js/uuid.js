@@ -4,6 +4,10 @@
  */
 
 /**
+ * Generates, parses and validates UUIDs. Besides the random UUIDs returned by
+ * calling UUID directly, the RFC 4122 time-based (v1), name-based (v3 and v5)
+ * and random (v4) versions are available, always formatted with dashes.
+ *
  * @class UUID
  */
 var C = Y.namespace('Crypto'),
@@ -23,6 +27,248 @@ C.UUID = u = function(formatted) {
 };
 
 Y.mix(u, {
+/**
+ * The namespace for fully-qualified domain names, for use with v3 and v5
+ *
+ * @property NAMESPACE_DNS
+ * @static
+ * @type string
+ */
+NAMESPACE_DNS: '6ba7b810-9dad-11d1-80b4-00c04fd430c8',
+
+/**
+ * The namespace for ISO OIDs, for use with v3 and v5
+ *
+ * @property NAMESPACE_OID
+ * @static
+ * @type string
+ */
+NAMESPACE_OID: '6ba7b812-9dad-11d1-80b4-00c04fd430c8',
+
+/**
+ * The namespace for URLs, for use with v3 and v5
+ *
+ * @property NAMESPACE_URL
+ * @static
+ * @type string
+ */
+NAMESPACE_URL: '6ba7b811-9dad-11d1-80b4-00c04fd430c8',
+
+/**
+ * The namespace for X.500 distinguished names, for use with v3 and v5
+ *
+ * @property NAMESPACE_X500
+ * @static
+ * @type string
+ */
+NAMESPACE_X500: '6ba7b814-9dad-11d1-80b4-00c04fd430c8',
+
+/**
+ * Parse a UUID, with or without dashes, into an array of 16 bytes
+ *
+ * @method parse
+ * @static
+ * @param uuid string The UUID to parse
+ * @returns Array 16 integers from 0 to 255, or null if uuid is not a UUID
+ */
+parse: function(uuid) {
+    var hex = String(uuid).replace(/^\{|\}$/g, ''),
+        bytes = [],
+        i;
+
+    if (!/^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(hex)) {
+        return null;
+    }
+
+    hex = hex.replace(/-/g, '');
+
+    for (i = 0; i < 32; i += 2) {
+        bytes.push(parseInt(hex.substring(i, i + 2), 16));
+    }
+
+    return bytes;
+},
+
+/**
+ * Generate a time-based UUID. UUIDs generated later on the same page always
+ * have a later timestamp, even when several are generated within the same
+ * millisecond.
+ *
+ * @method v1
+ * @static
+ * @param options Object Optional. msecs (a timestamp in milliseconds, like
+ * Date.now()), nsecs (additional 100-nanosecond intervals, 0 to 9999),
+ * clockseq (a 14-bit integer) and node (an array of 6 bytes) replace the
+ * generated values
+ * @returns string UUID formatted according to RFC 4122
+ */
+v1: function(options) {
+    options = options || {};
+
+    var clockseq = Y.Lang.isNumber(options.clockseq) ? options.clockseq : u._clockseq,
+        msecs = Y.Lang.isNumber(options.msecs) ? options.msecs : new Date().getTime(),
+        nsecs = Y.Lang.isNumber(options.nsecs) ? options.nsecs : u._lastNSecs + 1,
+        node = options.node || u._node,
+        bytes = [],
+        dt = (msecs - u._lastMSecs) + (nsecs - u._lastNSecs) / 10000,
+        tl,
+        tmh;
+
+    if (!Y.Lang.isNumber(clockseq)) {
+        clockseq = u._gen32BitEntropy() & 0x3fff;
+    }
+
+    if (!node) {
+        // A random node id has the multicast bit set so it can't collide with a MAC address
+        tl = u._gen32BitEntropy();
+        tmh = u._gen32BitEntropy();
+        node = u._node = [
+            (tl >>> 24) | 0x01, (tl >>> 16) & 0xff, (tl >>> 8) & 0xff, tl & 0xff, (tmh >>> 8) & 0xff, tmh & 0xff
+        ];
+    }
+
+    // The clock moved backwards, so the clock sequence has to change
+    if (dt < 0 && !Y.Lang.isNumber(options.clockseq)) {
+        clockseq = (clockseq + 1) & 0x3fff;
+    }
+
+    if ((dt < 0 || msecs > u._lastMSecs) && !Y.Lang.isNumber(options.nsecs)) {
+        nsecs = 0;
+    }
+
+    if (nsecs >= 10000) {
+        Y.error('Y.Crypto.UUID.v1: can\'t create more than 10 million UUIDs per second');
+    }
+
+    u._clockseq = clockseq;
+    u._lastMSecs = msecs;
+    u._lastNSecs = nsecs;
+
+    // Count 100-nanosecond intervals since the start of the Gregorian calendar
+    msecs += 12219292800000;
+
+    tl = ((msecs % 0x10000000) * 10000 + nsecs) % 0x100000000;
+    bytes.push((tl >>> 24) & 0xff, (tl >>> 16) & 0xff, (tl >>> 8) & 0xff, tl & 0xff);
+
+    tmh = (msecs / 0x100000000 * 10000) & 0xfffffff;
+    bytes.push((tmh >>> 8) & 0xff, tmh & 0xff, ((tmh >>> 24) & 0x0f) | 0x10, (tmh >>> 16) & 0xff);
+
+    bytes.push((clockseq >>> 8) | 0x80, clockseq & 0xff);
+
+    return u._bytesToUUID(bytes.concat(node.slice(0, 6)));
+},
+
+/**
+ * Generate a name-based UUID using MD5. The same name in the same namespace
+ * always results in the same UUID.
+ *
+ * @method v3
+ * @static
+ * @param name string|Array The name; strings are utf8 encoded, arrays hold bytes
+ * @param namespace string|Array The namespace UUID, e.g. UUID.NAMESPACE_DNS
+ * @returns string UUID formatted according to RFC 4122
+ */
+v3: function(name, namespace) {
+    return u._nameBasedUUID(C.MD5, 3, name, namespace);
+},
+
+/**
+ * Generate a random UUID
+ *
+ * @method v4
+ * @static
+ * @returns string UUID formatted according to RFC 4122
+ */
+v4: function() {
+    return u(true);
+},
+
+/**
+ * Generate a name-based UUID using SHA-1. The same name in the same
+ * namespace always results in the same UUID.
+ *
+ * @method v5
+ * @static
+ * @param name string|Array The name; strings are utf8 encoded, arrays hold bytes
+ * @param namespace string|Array The namespace UUID, e.g. UUID.NAMESPACE_DNS
+ * @returns string UUID formatted according to RFC 4122
+ */
+v5: function(name, namespace) {
+    return u._nameBasedUUID(C.SHA1, 5, name, namespace);
+},
+
+/**
+ * Check whether a string is an RFC 4122 UUID of version 1 to 5, or the nil
+ * UUID. Dashes are optional.
+ *
+ * @method validate
+ * @static
+ * @param uuid string
+ * @returns boolean
+ */
+validate: function(uuid) {
+    return u.version(uuid) !== null;
+},
+
+/**
+ * Get the version of a UUID
+ *
+ * @method version
+ * @static
+ * @param uuid string
+ * @returns int The version, 1 to 5, 0 for the nil UUID, or null if uuid is
+ * not a valid RFC 4122 UUID
+ */
+version: function(uuid) {
+    var bytes = u.parse(uuid),
+        version;
+
+    if (!bytes) {
+        return null;
+    }
+
+    version = bytes[6] >>> 4;
+
+    // The nil UUID has all 128 bits set to zero
+    if (!version && !Y.Array.some(bytes, function(b) {
+        return b;
+    })) {
+        return 0;
+    }
+
+    return version >= 1 && version <= 5 && (bytes[8] & 0xc0) === 0x80 ? version : null;
+},
+
+/**
+ * Format an array of 16 bytes as a UUID
+ *
+ * @method _bytesToUUID
+ * @static
+ * @private
+ * @param bytes Array
+ * @returns string
+ */
+_bytesToUUID: function(bytes) {
+    var hex = '',
+        i;
+
+    for (i = 0; i < 16; i += 1) {
+        hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    }
+
+    return u._formatUUIDString(hex);
+},
+
+/**
+ * The clock sequence of the last time-based UUID
+ *
+ * @property _clockseq
+ * @static
+ * @private
+ * @type int
+ */
+_clockseq: null,
+
 /**
  * Format a 32-character string in the accepted format for UUIDs
  *
@@ -52,7 +298,7 @@ _formatUUIDString: function(uuid) {
  * @private
  * @returns int
  */
-_gen32BitEntropy: function() { return (Math.random() * 0x100000000) | 0; },
+_gen32BitEntropy: function() { return (Math.random() * 0x100000000) >>> 0; },
 
 /**
  * Convert a 32-bit integer into an 8-character hex string
@@ -65,6 +311,63 @@ _gen32BitEntropy: function() { return (Math.random() * 0x100000000) | 0; },
  */
 _intToHex: function(number) { return ('00000000' + number.toString(16)).slice(-8); },
 
+/**
+ * The timestamp of the last time-based UUID, in milliseconds
+ *
+ * @property _lastMSecs
+ * @static
+ * @private
+ * @type number
+ */
+_lastMSecs: 0,
+
+/**
+ * The additional 100-nanosecond intervals of the last time-based UUID
+ *
+ * @property _lastNSecs
+ * @static
+ * @private
+ * @type int
+ */
+_lastNSecs: 0,
+
+/**
+ * Generate a name-based UUID
+ *
+ * @method _nameBasedUUID
+ * @static
+ * @private
+ * @param hash Function The digest function, Y.Crypto.MD5 or Y.Crypto.SHA1
+ * @param version int 3 or 5
+ * @param name string|Array
+ * @param namespace string|Array
+ * @returns string
+ */
+_nameBasedUUID: function(hash, version, name, namespace) {
+    var bytes = Y.Lang.isString(namespace) ? u.parse(namespace) : namespace;
+
+    if (!bytes || bytes.length !== 16) {
+        Y.error('Y.Crypto.UUID: invalid namespace ' + namespace);
+    }
+
+    bytes = hash(bytes.concat(C.toBytes(name)), 'bytes');
+
+    bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    return u._bytesToUUID(bytes);
+},
+
+/**
+ * The node id used for time-based UUIDs; random, and generated once per page
+ *
+ * @property _node
+ * @static
+ * @private
+ * @type Array
+ */
+_node: null,
+
 /**
  * Generate a random UUID, 128-bits of hex-enocded data, with the appopriate flags set for the random variant on UUID
  *
@@ -81,8 +384,9 @@ _randomUUID: function() {
     data.push(u._gen32BitEntropy());
     data.push(u._gen32BitEntropy());
 
-    data[1] = (((data[1] >>> 4) << 4) >>> 0) + 4;
-    data[2] = (((data[2] & 0xfcffffff) >>> 0) + 0x1000000);
+    // Set the version to 4 and the variant to RFC 4122
+    data[1] = ((data[1] & 0xffff0fff) | 0x4000) >>> 0;
+    data[2] = ((data[2] & 0x3fffffff) | 0x80000000) >>> 0;
 
     return u._intToHex(data[0]) + u._intToHex(data[1]) + u._intToHex(data[2]) + u._intToHex(data[3]);
 }
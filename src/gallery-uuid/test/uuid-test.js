@@ -53,6 +53,114 @@ YUI.add('gallery-uuid-test', function (Y) {
         }
     }));
 
+    // -- RFC 4122 Versions -------
+    suite.add(new Y.Test.Case({
+        name: 'Versions',
+        'v1 uuids should have version 1 and increase with time': function() {
+            var UUID = Y.Crypto.UUID,
+                first = UUID.v1(),
+                second = UUID.v1(),
+                timestamp = function(uuid) {
+                    return uuid.substring(15, 18) + uuid.substring(9, 13) + uuid.substring(0, 8);
+                };
+
+            Assert.areEqual(1, UUID.version(first));
+            Assert.areEqual(first.substring(19), second.substring(19), 'clock sequence and node should not change');
+            Assert.isTrue(timestamp(second) > timestamp(first));
+        },
+        'v1 uuid should encode the given time, clock sequence and node': function() {
+            var actual = Y.Crypto.UUID.v1({
+                    clockseq: 0x1234,
+                    msecs: new Date(Date.UTC(2011, 0, 1)).getTime(),
+                    node: [0x01, 0x23, 0x45, 0x67, 0x89, 0xab],
+                    nsecs: 0
+                });
+
+            Assert.areEqual('13778000-153a-11e0-9234-0123456789ab', actual);
+        },
+        'v3 uuid should match the reference value': function() {
+            var UUID = Y.Crypto.UUID;
+
+            Assert.areEqual('5df41881-3aed-3515-88a7-2f4a814cf09e', UUID.v3('www.example.com', UUID.NAMESPACE_DNS));
+            Assert.areEqual('dd1a1cef-13d5-368a-ad82-eca71acd4cd1', UUID.v3('1.3.6.1', UUID.NAMESPACE_OID));
+        },
+        'v4 uuid should have version 4': function() {
+            var UUID = Y.Crypto.UUID,
+                uuid = UUID.v4();
+
+            Assert.areEqual(4, UUID.version(uuid));
+            Assert.isTrue(UUID.validate(UUID()));
+        },
+        'v4 uuids should always be valid': function() {
+            var UUID = Y.Crypto.UUID,
+                uuid,
+                i;
+
+            for (i = 0; i < 1000; i++) {
+                uuid = UUID.v4();
+                Assert.isTrue(UUID.validate(uuid), uuid + ' should be valid');
+                Assert.areEqual(4, UUID.version(uuid), uuid + ' should have version 4');
+            }
+        },
+        'entropy should be unsigned': function() {
+            var UUID = Y.Crypto.UUID,
+                random = Math.random;
+
+            Math.random = function() { return 0.999; };
+            try {
+                Assert.isTrue(UUID._gen32BitEntropy() > 0x7fffffff);
+            } finally {
+                Math.random = random;
+            }
+        },
+        'v5 uuid should match the reference value': function() {
+            var UUID = Y.Crypto.UUID;
+
+            Assert.areEqual('2ed6657d-e927-568b-95e1-2665a8aea6a2', UUID.v5('www.example.com', UUID.NAMESPACE_DNS));
+            Assert.areEqual('ea5db334-2512-577e-980e-9dc56054185e', UUID.v5('http://yuilibrary.com/', UUID.NAMESPACE_URL));
+            Assert.areEqual('1713550e-4d56-5817-bce4-d5dac105f99d', UUID.v5('cn=John', UUID.parse(UUID.NAMESPACE_X500)));
+            Assert.areEqual('5ca283f8-ff14-58cb-ba86-bf52120a3414', UUID.v5('h\u00e9llo', UUID.NAMESPACE_DNS));
+        },
+        'name-based uuid with an invalid namespace should throw': function() {
+            Assert.throwsError(Error, function() {
+                Y.Crypto.UUID.v5('name', 'not a uuid');
+            });
+        }
+    }));
+
+    // -- Parsing and Validation -------
+    suite.add(new Y.Test.Case({
+        name: 'Parsing',
+        'parse should return 16 bytes': function() {
+            var UUID = Y.Crypto.UUID,
+                expected = [0x6b, 0xa7, 0xb8, 0x10, 0x9d, 0xad, 0x11, 0xd1, 0x80, 0xb4, 0x00, 0xc0, 0x4f, 0xd4, 0x30, 0xc8];
+
+            Y.ArrayAssert.itemsAreEqual(expected, UUID.parse(UUID.NAMESPACE_DNS));
+            Y.ArrayAssert.itemsAreEqual(expected, UUID.parse('6BA7B8109DAD11D180B400C04FD430C8'));
+            Assert.isNull(UUID.parse('6ba7b810-9dad-11d1-80b4'));
+            Assert.isNull(UUID.parse('6ba7b810-9dad-11d1-80b4-00c04fd430cg'));
+        },
+        'validate should accept rfc 4122 uuids only': function() {
+            var UUID = Y.Crypto.UUID;
+
+            Assert.isTrue(UUID.validate('f81d4fae-7dec-11d0-a765-00a0c91e6bf6'));
+            Assert.isTrue(UUID.validate('00000000-0000-0000-0000-000000000000'));
+            Assert.isFalse(UUID.validate('f81d4fae-7dec-61d0-a765-00a0c91e6bf6'), 'unknown version');
+            Assert.isFalse(UUID.validate('f81d4fae-7dec-11d0-c765-00a0c91e6bf6'), 'wrong variant');
+            Assert.isFalse(UUID.validate('hello'));
+        },
+        'version should return the version number': function() {
+            var UUID = Y.Crypto.UUID;
+
+            Assert.areEqual(1, UUID.version('f81d4fae-7dec-11d0-a765-00a0c91e6bf6'));
+            Assert.areEqual(0, UUID.version('00000000-0000-0000-0000-000000000000'));
+            Assert.areEqual(0, UUID.version('{00000000-0000-0000-0000-000000000000}'));
+            Assert.areEqual(0, UUID.version('00000000000000000000000000000000'));
+            Assert.isNull(UUID.version('00000000-0000-0000-0000-000000000001'));
+            Assert.isNull(UUID.version('hello'));
+        }
+    }));
+
     Y.Test.Runner.add(suite);
 }, '@VERSION@', {
     requires: ['gallery-uuid', 'test']